@@ -12,7 +12,11 @@ const { doubleCsrf } = require('csrf-csrf');
 
 const sessionConfig = require('./config/session');
 const errorHandler = require('./middleware/errorHandler');
+const { getBearerToken } = require('./middleware/auth');
+const { loadNotificationSummary } = require('./middleware/notifications');
+const { uploadAttachments } = require('./middleware/upload');
 const { i18next, middleware: i18nMiddleware } = require('./config/i18n');
+const errorReportingService = require('./services/errorReportingService');
 
 const publicRoutes = require('./routes/public');
 const authRoutes = require('./routes/auth');
@@ -20,8 +24,16 @@ const adminRoutes = require('./routes/admin');
 const userRoutes = require('./routes/users');
 const departmentRoutes = require('./routes/departments');
 const floorRoutes = require('./routes/floors');
+const slaRoutes = require('./routes/sla');
+const auditRoutes = require('./routes/audit');
+const reportRoutes = require('./routes/reports');
 const clientRoutes = require('./routes/client');
 const errorReportingRoutes = require('./routes/errorReporting');
+const errorReportRoutes = require('./routes/errorReports');
+const jobRoutes = require('./routes/jobs');
+const apiRoutes = require('./routes/api');
+const accountRoutes = require('./routes/account');
+const notificationRoutes = require('./routes/notifications');
 const languageRoutes = require('./routes/language');
 const testComponentsRoutes = require('./routes/test-components');
 
@@ -41,7 +53,12 @@ const csrfConfig = doubleCsrf({
   },
   size: 64,
   ignoredMethods: ['GET', 'HEAD', 'OPTIONS'],
-  getCsrfTokenFromRequest: (req) => req.body?._csrf,
+  // Forms post _csrf; JSON API clients send the X-CSRF-Token header. Never read it
+  // from the query string, where it would end up in logs and Referer headers.
+  getCsrfTokenFromRequest: (req) => req.body?._csrf || req.headers['x-csrf-token'],
+  // Browsers never attach Bearer tokens on their own, so token requests cannot be
+  // forged cross-site; requireApiAuth never falls back to the session for them
+  skipCsrfProtection: (req) => req.path.startsWith('/api/v1/') && Boolean(getBearerToken(req)),
   getSessionIdentifier: (req) => req.sessionID || '',
 });
 const { generateCsrfToken, doubleCsrfProtection } = csrfConfig;
@@ -88,6 +105,17 @@ app.use(i18nMiddleware.handle(i18next));
 
 app.use(flash());
 
+// Forms that can attach files post multipart/form-data, whose _csrf field can only be
+// read once the upload middleware has parsed the body, so on their routes it runs first
+const ATTACHMENT_UPLOAD_PATHS = [
+  '/admin/tickets',
+  '/admin/tickets/department',
+  '/admin/tickets/:id/comments',
+  '/client/tickets',
+  '/client/tickets/:id/comments',
+];
+app.post(ATTACHMENT_UPLOAD_PATHS, uploadAttachments);
+
 // Apply CSRF protection to all routes
 app.use(doubleCsrfProtection);
 
@@ -116,14 +144,25 @@ app.use((req, res, next) => {
   next();
 });
 
+// Header notification bell (unread count and recent notifications)
+app.use(loadNotificationSummary);
+
 app.use('/', publicRoutes);
 app.use('/auth', authRoutes);
 app.use('/admin', adminRoutes);
 app.use('/admin/users', userRoutes);
 app.use('/admin/departments', departmentRoutes);
 app.use('/admin/floors', floorRoutes);
+app.use('/admin/sla', slaRoutes);
+app.use('/admin/audit', auditRoutes);
+app.use('/admin/reports', reportRoutes);
+app.use('/admin/error-reports', errorReportRoutes);
+app.use('/admin/jobs', jobRoutes);
 app.use('/client', clientRoutes);
+app.use('/account', accountRoutes);
+app.use('/notifications', notificationRoutes);
 app.use('/api/errors', errorReportingRoutes);
+app.use('/api/v1', apiRoutes);
 app.use('/language', languageRoutes);
 
 // Component tester page (development only - not available in staging or production)
@@ -132,9 +171,11 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 app.use((req, res) => {
-  // Generate correlation ID for 404 errors
-  const crypto = require('crypto');
-  const correlationId = crypto.randomBytes(8).toString('hex').toUpperCase();
+  // Correlation ID for 404 errors (remembered so the page can be reported)
+  const correlationId = errorReportingService.trackError(req, {
+    category: 'NOT_FOUND',
+    status: 404,
+  });
 
   res.status(404).render('errors/404', {
     title: req.t('errors:404.title'),
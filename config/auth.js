@@ -0,0 +1,59 @@
+const LocalProvider = require('../services/auth/localProvider');
+const LdapProvider = require('../services/auth/ldapProvider');
+
+/**
+ * Parse LDAP_DEPARTMENT_GROUPS ("Department=Group DN;Department=Group DN")
+ * Group DNs contain '=' themselves, so each pair is split at its first '='.
+ * @param {string} value - Raw environment value
+ * @returns {Array<{department: string, group: string}>}
+ */
+function parseDepartmentGroups(value) {
+  return (value || '')
+    .split(';')
+    .map((pair) => pair.trim())
+    .filter((pair) => pair.includes('='))
+    .map((pair) => ({
+      department: pair.slice(0, pair.indexOf('=')).trim(),
+      group: pair.slice(pair.indexOf('=') + 1).trim(),
+    }));
+}
+
+// Authentication providers by AUTH_PROVIDERS name
+// A new provider only needs name, provisions and authenticate() (see localProvider.js)
+const providers = {
+  local: () => new LocalProvider(),
+  ldap: () =>
+    new LdapProvider({
+      url: process.env.LDAP_URL || 'ldap://localhost:389',
+      bindDN: process.env.LDAP_BIND_DN || '',
+      bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+      searchBase: process.env.LDAP_SEARCH_BASE || '',
+      userFilter: process.env.LDAP_USER_FILTER || '(sAMAccountName={{username}})',
+      usernameAttribute: process.env.LDAP_USERNAME_ATTRIBUTE || 'sAMAccountName',
+      emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+      roleGroups: {
+        super_admin: process.env.LDAP_GROUP_SUPER_ADMIN,
+        admin: process.env.LDAP_GROUP_ADMIN,
+        department: process.env.LDAP_GROUP_DEPARTMENT,
+      },
+      departmentGroups: parseDepartmentGroups(process.env.LDAP_DEPARTMENT_GROUPS),
+      timeoutMs: parseInt(process.env.LDAP_TIMEOUT_MS || '5000'),
+      tlsOptions: { rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+    }),
+};
+
+// Unknown usernames are tried against the providers in this order
+const providerNames = (process.env.AUTH_PROVIDERS || 'local')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+providerNames.forEach((name) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown AUTH_PROVIDERS entry: ${name}`);
+  }
+});
+
+module.exports = {
+  providers: providerNames.map((name) => providers[name]()),
+  parseDepartmentGroups,
+};
@@ -14,7 +14,25 @@ i18next
     preload: ['el', 'en'],
 
     // Namespace configuration
-    ns: ['common', 'auth', 'tickets', 'users', 'departments', 'floors', 'validation', 'errors'],
+    ns: [
+      'common',
+      'auth',
+      'tickets',
+      'users',
+      'departments',
+      'floors',
+      'sla',
+      'tokens',
+      'notifications',
+      'audit',
+      'reports',
+      'errorReports',
+      'jobs',
+      'account',
+      'twoFactor',
+      'validation',
+      'errors',
+    ],
     defaultNS: 'common',
 
     // Backend options for loading translation files
@@ -0,0 +1,40 @@
+const path = require('path');
+const nodemailer = require('nodemailer');
+const FileTransport = require('../services/mail/fileTransport');
+const ConsoleTransport = require('../services/mail/consoleTransport');
+
+// Mail transports by MAIL_TRANSPORT name
+// A new transport only needs sendMail(message) (see services/mail/fileTransport.js)
+const transports = {
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+      // Notifications are sent while a request waits; never hang on a dead server
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 20000,
+    }),
+  file: () =>
+    new FileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '../storage/mail')),
+  console: () => new ConsoleTransport(),
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+}
+
+module.exports = {
+  transport: transports[transportName](),
+  from: process.env.MAIL_FROM || 'KNII Ticketing <no-reply@localhost>',
+  // Base URL for links in emails (no trailing slash)
+  appUrl: (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(
+    /\/$/,
+    '',
+  ),
+};
@@ -14,6 +14,9 @@ if (process.env.NODE_ENV === 'test') {
     pool: pool,
     tableName: 'session',
     createTableIfMissing: true,
+    // Expired sessions are deleted by the cleanup job in one worker (services/jobService.js);
+    // without the job scheduler every worker prunes them itself
+    pruneSessionInterval: process.env.JOBS_ENABLED === 'false' ? 15 * 60 : false,
   });
 }
 
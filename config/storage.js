@@ -0,0 +1,18 @@
+const path = require('path');
+const LocalDiskStorage = require('../services/storage/localDiskStorage');
+
+// Attachment storage backends by ATTACHMENT_STORAGE name
+// A new backend only needs save/createReadStream/remove (see localDiskStorage.js)
+const backends = {
+  local: () =>
+    new LocalDiskStorage(
+      process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '../storage/attachments'),
+    ),
+};
+
+const backendName = process.env.ATTACHMENT_STORAGE || 'local';
+if (!backends[backendName]) {
+  throw new Error(`Unknown ATTACHMENT_STORAGE backend: ${backendName}`);
+}
+
+module.exports = backends[backendName]();
@@ -51,6 +51,128 @@ const COMMENT_VISIBILITY = {
   INTERNAL: 'internal',
 };
 
+// 'write' includes read access
+const API_TOKEN_SCOPE = {
+  READ: 'read',
+  WRITE: 'write',
+};
+
+// Notification events (in-app notification center and email)
+// Email is only offered for the events listed per role in notificationService
+const NOTIFICATION_EVENT = {
+  TICKET_REPLY: 'ticket_reply',
+  STATUS_CHANGE: 'status_change',
+  DEPARTMENT_REPLY: 'department_reply',
+  TICKET_ASSIGNED: 'ticket_assigned',
+  SLA_WARNING: 'sla_warning',
+  ACCOUNT_LOCKED: 'account_locked',
+};
+
+// Download formats of the audit log browser
+const AUDIT_EXPORT_FORMAT = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+// Reports at /admin/reports; each has its own CSV download
+const REPORT_TYPE = {
+  VOLUME: 'volume',
+  BACKLOG: 'backlog',
+  RESPONSE_TIMES: 'response_times',
+  DEPARTMENTS: 'departments',
+  FLOORS: 'floors',
+  REPORTERS: 'reporters',
+};
+
+// Period size of the opened/closed report
+const REPORT_GRANULARITY = {
+  DAY: 'day',
+  WEEK: 'week',
+};
+
+// State of a migration file against schema_migrations (npm run migrate:status)
+const MIGRATION_STATE = {
+  APPLIED: 'applied',
+  PENDING: 'pending',
+  // Applied, but the file changed since
+  MODIFIED: 'modified',
+  // Applied, but the file no longer exists
+  MISSING: 'missing',
+};
+
+// Error reports submitted from error pages (/admin/error-reports)
+const ERROR_REPORT_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+};
+
+// Background jobs (services/jobService.js), shown at /admin/jobs
+const JOB_NAME = {
+  SLA_WARNINGS: 'sla_warnings',
+  TICKET_AUTO_CLOSE: 'ticket_auto_close',
+  CLEANUP: 'cleanup',
+  AUDIT_CHAIN_VERIFY: 'audit_chain_verify',
+};
+
+const JOB_RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+// How a job run was started
+const JOB_TRIGGER = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual',
+};
+
+// Why a user is sent to the change-password screen
+const PASSWORD_CHANGE_REASON = {
+  RESET: 'reset', // must_change_password: admin reset or seeded account
+  EXPIRED: 'expired', // older than PASSWORD_MAX_AGE_DAYS
+};
+
+// UI languages (locales/<language>); users.language holds a user's choice
+const LANGUAGE = {
+  EL: 'el',
+  EN: 'en',
+};
+
+// How a two-factor login step was passed
+const TWO_FACTOR_METHOD = {
+  TOTP: 'totp', // code from the authenticator app
+  RECOVERY_CODE: 'recovery_code', // one of the one-time recovery codes
+};
+
+// Dashboard SLA filters (models/Ticket.js SLA_FILTERS)
+const SLA_FILTER = {
+  BREACHED: 'breached',
+  ON_TRACK: 'on_track',
+  NO_POLICY: 'no_policy',
+};
+
+// Ticket list sort keys (models/Ticket.js SORT_KEYS); the SLA ones are admin-only
+const TICKET_SORT = {
+  NEWEST: 'newest',
+  UPDATED: 'updated',
+  PRIORITY: 'priority',
+  STATUS: 'status',
+  ID: 'id',
+  RESPONSE_DUE: 'response_due',
+  RESOLUTION_DUE: 'resolution_due',
+};
+
+const SORT_ORDER = {
+  ASC: 'asc',
+  DESC: 'desc',
+};
+
+// Where an account's password is checked (config/auth.js)
+const AUTH_PROVIDER = {
+  LOCAL: 'local', // bcrypt hash in the users table
+  LDAP: 'ldap', // bind against the LDAP / Active Directory server
+};
+
 /**
  * NOTE: DEPARTMENT_FLOOR constant was removed in v2.4.0
  * Floors are now fully database-driven and seeded via JSON configuration files.
@@ -66,4 +188,21 @@ module.exports = {
   USER_STATUS,
   REPORTER_DEPARTMENT,
   COMMENT_VISIBILITY,
+  API_TOKEN_SCOPE,
+  NOTIFICATION_EVENT,
+  AUDIT_EXPORT_FORMAT,
+  REPORT_TYPE,
+  REPORT_GRANULARITY,
+  MIGRATION_STATE,
+  ERROR_REPORT_STATUS,
+  JOB_NAME,
+  JOB_RUN_STATUS,
+  JOB_TRIGGER,
+  PASSWORD_CHANGE_REASON,
+  LANGUAGE,
+  TWO_FACTOR_METHOD,
+  AUTH_PROVIDER,
+  SLA_FILTER,
+  TICKET_SORT,
+  SORT_ORDER,
 };
@@ -26,6 +26,11 @@ const COMMENT_MESSAGES = {
   ADDED: 'Comment added successfully',
 };
 
+const ATTACHMENT_MESSAGES = {
+  NOT_FOUND: 'Attachment not found',
+  UPLOAD_FAILED: 'Failed to store attachment',
+};
+
 const USER_MESSAGES = {
   CREATED: 'User created successfully',
   UPDATED: 'User updated successfully',
@@ -46,5 +51,6 @@ module.exports = {
   AUTH_MESSAGES,
   TICKET_MESSAGES,
   COMMENT_MESSAGES,
+  ATTACHMENT_MESSAGES,
   USER_MESSAGES,
 };
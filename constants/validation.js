@@ -7,6 +7,7 @@ const MAX_LENGTHS = {
   EMAIL: 100,
   NAME: 100,
   DEPARTMENT: 100,
+  ERROR_REPORT_DESCRIPTION: 2000,
 };
 
 const VALIDATION_MESSAGES = {
@@ -39,9 +40,71 @@ const VALIDATION_MESSAGES = {
   ROLE_INVALID: 'Invalid role selected',
   PASSWORD_TOO_SHORT: 'Password must be at least 8 characters',
   PASSWORD_COMPLEXITY: 'Password must contain uppercase, lowercase, number, and special character',
+  TOKEN_SCOPE_INVALID: 'Token scope must be read or write',
+  TOKEN_EXPIRY_INVALID: 'Invalid token lifetime selected',
+  ATTACHMENT_TOO_LARGE: 'Each attachment must be 10 MB or smaller',
+  ATTACHMENT_TOO_MANY: 'You can attach up to 5 files at a time',
+  ATTACHMENT_TYPE_INVALID:
+    'Unsupported attachment type. Allowed: images, PDF, text, Word and Excel files',
+  NOTIFICATION_EVENT_INVALID: 'Invalid notification event',
+  AUDIT_EXPORT_FORMAT_INVALID: 'Export format must be CSV or JSON',
+  REPORT_TYPE_INVALID: 'Unknown report',
+  CORRELATION_ID_INVALID: 'A valid error reference is required',
+  ERROR_REPORT_DESCRIPTION_TOO_LONG: `Description cannot exceed ${MAX_LENGTHS.ERROR_REPORT_DESCRIPTION} characters`,
+  RESOLUTION_TOO_LONG: `Resolution cannot exceed ${MAX_LENGTHS.ERROR_REPORT_DESCRIPTION} characters`,
+  JOB_NAME_INVALID: 'Unknown job',
+  CURRENT_PASSWORD_REQUIRED: 'Current password is required',
+  PASSWORD_MISMATCH: 'New password and confirmation do not match',
+  LANGUAGE_INVALID: 'Unsupported language',
+  TWO_FACTOR_CODE_REQUIRED: 'Enter the code from your authenticator app or a recovery code',
+  MANAGED_BY_DIRECTORY: 'This account signs in through the directory; change it there',
+};
+
+// Failed logins before an account is locked, and how long the locks last
+// The first lock lasts BASE_MINUTES; every further failure doubles it, up to MAX_MINUTES.
+// The count only resets on a successful login or an unlock by a super admin.
+const LOGIN_LOCKOUT = {
+  MAX_ATTEMPTS: 5,
+  BASE_MINUTES: 15,
+  MAX_MINUTES: 24 * 60,
+};
+
+// Second login step of users with two-factor authentication
+// The step has to be passed within LOGIN_MINUTES and with at most MAX_ATTEMPTS wrong
+// codes, otherwise the login starts over at the password.
+const TWO_FACTOR = {
+  MAX_ATTEMPTS: 5,
+  LOGIN_MINUTES: 5,
+  RECOVERY_CODES: 10,
+};
+
+// Lifetimes (in days) offered when creating an API token; tokens always expire
+const API_TOKEN_EXPIRY_DAYS = [7, 30, 90, 365];
+
+// Upload limits for ticket and comment attachments
+// ALLOWED_TYPES maps each accepted MIME type to the file extensions it may carry
+const ATTACHMENT_LIMITS = {
+  MAX_FILE_SIZE_BYTES: 10 * 1024 * 1024,
+  MAX_FILES: 5,
+  ALLOWED_TYPES: {
+    'image/png': ['.png'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/gif': ['.gif'],
+    'image/webp': ['.webp'],
+    'application/pdf': ['.pdf'],
+    'text/plain': ['.txt', '.log'],
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  },
 };
 
 module.exports = {
   VALIDATION_MESSAGES,
   MAX_LENGTHS,
+  API_TOKEN_EXPIRY_DAYS,
+  ATTACHMENT_LIMITS,
+  LOGIN_LOCKOUT,
+  TWO_FACTOR,
 };
@@ -1,8 +1,30 @@
 const app = require('./app');
+const migrationService = require('./services/migrationService');
+const jobService = require('./services/jobService');
 const logger = require('./utils/logger');
 
 const port = process.env.PORT || 3000;
 
-app.listen(port, () => {
-  logger.info('Ticketing system started', { port, nodeEnv: process.env.NODE_ENV || 'development' });
+async function start() {
+  // Every PM2 instance runs this; the migration lock lets only one apply them
+  if (process.env.MIGRATE_ON_START === 'true') {
+    await migrationService.up();
+  }
+
+  app.listen(port, () => {
+    logger.info('Ticketing system started', {
+      port,
+      nodeEnv: process.env.NODE_ENV || 'development',
+    });
+  });
+
+  // Every PM2 instance polls; the job locks let only one run each job
+  if (process.env.JOBS_ENABLED !== 'false') {
+    await jobService.start();
+  }
+}
+
+start().catch((error) => {
+  logger.error('Ticketing system failed to start', { error: error.message, stack: error.stack });
+  process.exit(1);
 });
@@ -1,9 +1,58 @@
 const { AUTH_MESSAGES } = require('../constants/messages');
-const { USER_ROLE } = require('../constants/enums');
-const { errorRedirect } = require('../utils/responseHelpers');
+const { USER_ROLE, API_TOKEN_SCOPE } = require('../constants/enums');
+const { errorRedirect, apiError } = require('../utils/responseHelpers');
 const User = require('../models/User');
+const apiTokenService = require('../services/apiTokenService');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
 const logger = require('../utils/logger');
 
+/**
+ * Refresh the department copied into the session at login
+ * The user row is authoritative: a department rename or reassignment (and
+ * sessions created before department ids existed) must not leave the session
+ * scoped to a stale department.
+ */
+function syncSessionDepartment(session, user) {
+  if (
+    session.user.department_id !== user.department_id ||
+    session.user.department !== user.department
+  ) {
+    session.user.department = user.department;
+    session.user.department_id = user.department_id;
+  }
+}
+
+// The only page a user who has to change their password can open
+const PASSWORD_CHANGE_PATH = '/account/password';
+
+/**
+ * Send users who have to change their password to the change-password screen
+ * Runs at the end of requireAuth, which sets req.passwordChange from the user row on
+ * every request, so an admin reset or an expiring password takes effect at once.
+ */
+function requirePasswordChange(req, res, next) {
+  if (req.passwordChange && `${req.baseUrl}${req.path}` !== PASSWORD_CHANGE_PATH) {
+    return res.redirect(PASSWORD_CHANGE_PATH);
+  }
+  next();
+}
+
+// Two-factor enrolment pages (the screen and its form actions)
+const TWO_FACTOR_SETUP_PATH = '/account/two-factor';
+
+/**
+ * Send users whose role requires two-factor authentication to the enrolment screen
+ * until they have turned it on (req.twoFactorSetup, set by requireAuth like
+ * req.passwordChange). A pending password change comes first.
+ */
+function requireTwoFactorSetup(req, res, next) {
+  if (req.twoFactorSetup && !`${req.baseUrl}${req.path}`.startsWith(TWO_FACTOR_SETUP_PATH)) {
+    return res.redirect(TWO_FACTOR_SETUP_PATH);
+  }
+  next();
+}
+
 async function requireAuth(req, res, next) {
   if (!req.session || !req.session.user) {
     return errorRedirect(req, res, AUTH_MESSAGES.UNAUTHORIZED, '/auth/login');
@@ -25,7 +74,10 @@ async function requireAuth(req, res, next) {
       });
     }
 
-    next();
+    syncSessionDepartment(req.session, user);
+    req.passwordChange = authService.passwordChangeReason(user);
+    req.twoFactorSetup = twoFactorService.setupRequired(user);
+    requirePasswordChange(req, res, () => requireTwoFactorSetup(req, res, next));
   } catch (err) {
     logger.error('Auth check error', { error: err.message, stack: err.stack });
     return res.redirect('/auth/login');
@@ -69,9 +121,156 @@ function requireSuperAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Read the token from an "Authorization: Bearer <token>" header
+ * @returns {string|null} The token, or null when no Bearer header is sent
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers?.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Authenticate an API request by personal API token
+ * Read-scoped tokens may only use safe methods; every other request made with
+ * a token is audited with the token id before its JSON response is sent, and
+ * answers 500 instead when the audit entry cannot be written.
+ */
+async function authenticateApiToken(req, res, next, plainToken) {
+  try {
+    const result = await apiTokenService.authenticate(plainToken);
+    if (!result) {
+      logger.warn('Rejected API token', { ip: req.ip, path: req.originalUrl });
+      return apiError(res, 401, 'INVALID_TOKEN', 'Invalid, expired or revoked API token');
+    }
+
+    const { token, user } = result;
+    if (!apiTokenService.allowsMethod(token.scope, req.method)) {
+      return apiError(res, 403, 'INSUFFICIENT_SCOPE', 'This API token only allows read access');
+    }
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      department: user.department,
+      department_id: user.department_id,
+    };
+    req.apiToken = token;
+
+    if (token.scope === API_TOKEN_SCOPE.WRITE && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      const sendJson = res.json;
+      res.json = (body) => {
+        res.json = sendJson;
+        apiTokenService
+          .recordUsage(token, {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            ipAddress: req.ip,
+          })
+          .then(
+            () => res.json(body),
+            (err) => {
+              logger.error('API token usage audit error', {
+                tokenId: token.id,
+                error: err.message,
+              });
+              apiError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+            },
+          );
+        return res;
+      };
+    }
+
+    next();
+  } catch (err) {
+    logger.error('API token check error', { error: err.message, stack: err.stack });
+    next(err);
+  }
+}
+
+/**
+ * API variant of requireAuth: accepts a Bearer API token or the session login
+ * and sets req.user. Answers with a JSON 401 instead of redirecting.
+ * A request carrying a Bearer token never falls back to the session, because
+ * CSRF protection is skipped for such requests.
+ */
+async function requireApiAuth(req, res, next) {
+  const plainToken = getBearerToken(req);
+  if (plainToken) {
+    return authenticateApiToken(req, res, next, plainToken);
+  }
+
+  if (!req.session || !req.session.user) {
+    return apiError(res, 401, 'UNAUTHORIZED', AUTH_MESSAGES.UNAUTHORIZED);
+  }
+
+  try {
+    const user = await User.findById(req.session.user.id);
+
+    if (!user || user.status !== 'active') {
+      return new Promise((resolve) => {
+        req.session.destroy((err) => {
+          if (err) {
+            logger.error('Session destruction error', { error: err.message });
+          }
+          apiError(res, 401, 'UNAUTHORIZED', AUTH_MESSAGES.UNAUTHORIZED);
+          resolve();
+        });
+      });
+    }
+
+    syncSessionDepartment(req.session, user);
+    if (authService.passwordChangeReason(user)) {
+      return apiError(
+        res,
+        403,
+        'PASSWORD_CHANGE_REQUIRED',
+        'Change your password before using the API',
+      );
+    }
+    if (twoFactorService.setupRequired(user)) {
+      return apiError(
+        res,
+        403,
+        'TWO_FACTOR_SETUP_REQUIRED',
+        'Turn on two-factor authentication before using the API',
+      );
+    }
+    req.user = req.session.user;
+    next();
+  } catch (err) {
+    logger.error('API auth check error', { error: err.message, stack: err.stack });
+    next(err);
+  }
+}
+
+/**
+ * API variant of requireAdmin: JSON 403 for non-admin users
+ * Must run after requireApiAuth (uses req.user).
+ */
+function requireApiAdmin(req, res, next) {
+  if (!req.user) {
+    return apiError(res, 401, 'UNAUTHORIZED', AUTH_MESSAGES.UNAUTHORIZED);
+  }
+
+  const adminRoles = [USER_ROLE.ADMIN, USER_ROLE.SUPER_ADMIN];
+  if (!adminRoles.includes(req.user.role)) {
+    return apiError(res, 403, 'FORBIDDEN', AUTH_MESSAGES.FORBIDDEN);
+  }
+
+  next();
+}
+
 module.exports = {
   requireAuth,
   requireAdmin,
   requireDepartment,
   requireSuperAdmin,
+  requireApiAuth,
+  requireApiAdmin,
+  requirePasswordChange,
+  requireTwoFactorSetup,
+  getBearerToken,
 };
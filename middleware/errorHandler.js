@@ -1,10 +1,5 @@
 const logger = require('../utils/logger');
-const crypto = require('crypto');
-
-// Generate a unique correlation ID for error tracking
-function generateCorrelationId() {
-  return crypto.randomBytes(8).toString('hex').toUpperCase();
-}
+const errorReportingService = require('../services/errorReportingService');
 
 // Categorize error types for better debugging
 function categorizeError(err, status) {
@@ -42,10 +37,15 @@ function categorizeError(err, status) {
 }
 
 function errorHandler(err, req, res, _next) {
-  const correlationId = generateCorrelationId();
   const status = err.status || 500;
   const message = err.message || 'Something went wrong';
   const errorCategory = categorizeError(err, status);
+  // Remembered so the user can report this error (see errorReportingService)
+  const correlationId = errorReportingService.trackError(req, {
+    category: errorCategory,
+    status,
+    message,
+  });
 
   // Enhanced logging with correlation ID and more context
   logger.error('Error handler caught exception', {
@@ -71,7 +71,10 @@ function errorHandler(err, req, res, _next) {
     },
   });
 
-  if (req.accepts('html')) {
+  // API routes always answer with JSON, whatever the client's Accept header says
+  const isApiRequest = (req.originalUrl || req.url || '').startsWith('/api/');
+
+  if (req.accepts('html') && !isApiRequest) {
     // Determine which error template to render
     let errorTemplate = 'errors/error'; // default generic template
 
@@ -101,6 +104,7 @@ function errorHandler(err, req, res, _next) {
   } else {
     res.status(status).json({
       error: {
+        code: errorCategory,
         message: process.env.NODE_ENV === 'production' ? 'Internal server error' : message,
         correlationId,
         category: errorCategory,
@@ -0,0 +1,29 @@
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Load the header bell data (unread count + recent notifications) for page views
+ * Skipped for anonymous users, non-GET requests and the JSON API. A failure only
+ * hides the bell content; it never breaks the page.
+ */
+async function loadNotificationSummary(req, res, next) {
+  res.locals.notificationSummary = null;
+
+  if (!req.session.user || req.method !== 'GET' || req.path.startsWith('/api/')) {
+    return next();
+  }
+
+  try {
+    res.locals.notificationSummary = await notificationService.getSummary(req.session.user.id);
+  } catch (error) {
+    logger.error('Failed to load notification summary', {
+      userId: req.session.user.id,
+      error: error.message,
+    });
+  }
+  next();
+}
+
+module.exports = {
+  loadNotificationSummary,
+};
@@ -55,7 +55,29 @@ const adminMutationLimiter = rateLimit({
   },
 });
 
+/**
+ * Rate limiter for JSON API mutations (POST/PATCH)
+ * Same limits as adminMutationLimiter, but answers with a JSON 429
+ * since API clients cannot follow flash-and-redirect responses.
+ */
+const apiMutationLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute in milliseconds
+  max: 20, // Limit each IP to 20 requests per minute
+  standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
+  legacyHeaders: false, // Disable `X-RateLimit-*` headers
+  skip: () => isTestEnvironment, // Skip rate limiting in test environment
+  handler: (req, res) => {
+    res.status(429).json({
+      error: {
+        code: 'RATE_LIMITED',
+        message: 'Too many requests. Please wait a moment before trying again.',
+      },
+    });
+  },
+});
+
 module.exports = {
   loginLimiter,
   adminMutationLimiter,
+  apiMutationLimiter,
 };
@@ -0,0 +1,80 @@
+const multer = require('multer');
+const attachmentService = require('../services/attachmentService');
+const { ATTACHMENT_LIMITS, VALIDATION_MESSAGES } = require('../constants/validation');
+const { errorRedirect } = require('../utils/responseHelpers');
+const logger = require('../utils/logger');
+
+const INVALID_TYPE = 'ATTACHMENT_TYPE_INVALID';
+
+// Files are kept in memory until the request passes validation, so rejected
+// requests never leave files behind in storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_LIMITS.MAX_FILE_SIZE_BYTES,
+    files: ATTACHMENT_LIMITS.MAX_FILES,
+  },
+  fileFilter: (req, file, callback) => {
+    if (!attachmentService.isAllowedType(file.originalname, file.mimetype)) {
+      const error = new Error(VALIDATION_MESSAGES.ATTACHMENT_TYPE_INVALID);
+      error.code = INVALID_TYPE;
+      return callback(error);
+    }
+    callback(null, true);
+  },
+}).array('attachments', ATTACHMENT_LIMITS.MAX_FILES);
+
+/**
+ * Map an upload error to a user-facing message (null for unexpected errors)
+ */
+function getUploadErrorMessage(error) {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return VALIDATION_MESSAGES.ATTACHMENT_TOO_LARGE;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return VALIDATION_MESSAGES.ATTACHMENT_TOO_MANY;
+    case INVALID_TYPE:
+      return VALIDATION_MESSAGES.ATTACHMENT_TYPE_INVALID;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse multipart/form-data with optional files in the "attachments" field
+ * Populates req.body and req.files (empty array for non-multipart requests).
+ * Rejected uploads flash a message and redirect back, like validateRequest.
+ * Runs before the CSRF check and the routes' auth (see app.js), so the body of a
+ * request without a signed-in user is not read: its token is then missing and the
+ * CSRF check refuses it.
+ */
+function uploadAttachments(req, res, next) {
+  if (!req.session?.user) {
+    req.files = [];
+    return next();
+  }
+
+  upload(req, res, (error) => {
+    if (!error) {
+      req.files = req.files || [];
+      return next();
+    }
+
+    const message = getUploadErrorMessage(error);
+    if (!message) {
+      return next(error);
+    }
+
+    logger.warn('Attachment upload rejected', {
+      path: req.path,
+      userId: req.session?.user?.id,
+      code: error.code,
+    });
+    return errorRedirect(req, res, message, 'back');
+  });
+}
+
+module.exports = {
+  uploadAttachments,
+};
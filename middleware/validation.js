@@ -1,4 +1,5 @@
 const { validationResult } = require('express-validator');
+const { apiError } = require('../utils/responseHelpers');
 const logger = require('../utils/logger');
 
 function validateRequest(req, res, next) {
@@ -27,6 +28,24 @@ function validateRequest(req, res, next) {
   next();
 }
 
+/**
+ * API variant of validateRequest: always answers with a JSON 400
+ * listing the failed fields instead of flashing and redirecting
+ */
+function validateApiRequest(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const details = errors.array().map((e) => ({ field: e.path, message: e.msg }));
+    logger.warn('API validation failed', {
+      path: req.path,
+      method: req.method,
+      errors: details,
+    });
+    return apiError(res, 400, 'VALIDATION_ERROR', 'Validation failed', details);
+  }
+  next();
+}
+
 /**
  * Middleware to parse and validate integer ID from route params
  * Converts req.params.id to integer and validates it's positive
@@ -45,5 +64,6 @@ function parseUserId(req, res, next) {
 
 module.exports = {
   validateRequest,
+  validateApiRequest,
   parseUserId,
 };
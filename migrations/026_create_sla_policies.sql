@@ -0,0 +1,67 @@
+-- Migration 026: SLA policies and ticket response/resolution tracking
+-- Description: Adds configurable first-response and resolution targets per priority,
+--              optionally scoped to a department, and records when each ticket got its
+--              first admin response and when it was resolved (closed)
+-- Policy lookup: a department-specific policy wins over the global (department_id NULL)
+--                policy for the same priority
+
+CREATE TABLE IF NOT EXISTS sla_policies (
+  id SERIAL PRIMARY KEY,
+  priority VARCHAR(20) NOT NULL
+    CHECK (priority IN ('unset', 'low', 'medium', 'high', 'critical')),
+  -- NULL = global policy for this priority
+  -- ON DELETE CASCADE: department-specific targets are meaningless without the department
+  department_id INTEGER REFERENCES departments(id) ON DELETE CASCADE,
+  first_response_minutes INTEGER NOT NULL CHECK (first_response_minutes > 0),
+  resolution_minutes INTEGER NOT NULL CHECK (resolution_minutes > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT sla_policies_resolution_after_response
+    CHECK (resolution_minutes >= first_response_minutes)
+);
+
+-- One policy per (priority, department); COALESCE makes the global policy unique too
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_scope
+ON sla_policies(priority, COALESCE(department_id, 0));
+
+-- Ticket SLA timestamps
+-- first_response_at: first public comment by an admin (never cleared)
+-- resolved_at: set when the ticket is closed, cleared when it is reopened
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMP;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+
+-- Backfill first response from existing admin comments
+UPDATE tickets t
+SET first_response_at = (
+  SELECT MIN(c.created_at)
+  FROM comments c
+  JOIN users u ON c.user_id = u.id
+  WHERE c.ticket_id = t.id
+    AND c.visibility_type = 'public'
+    AND u.role IN ('admin', 'super_admin')
+)
+WHERE t.first_response_at IS NULL;
+
+-- Backfill resolution time for already closed tickets (best available approximation)
+UPDATE tickets
+SET resolved_at = updated_at
+WHERE status = 'closed' AND resolved_at IS NULL;
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'sla_policies'
+  ) THEN
+    RAISE EXCEPTION 'Migration 026 failed: sla_policies table was not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tickets' AND column_name = 'resolved_at'
+  ) THEN
+    RAISE EXCEPTION 'Migration 026 failed: tickets.resolved_at column was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 026 completed successfully: SLA policies created';
+END $$;
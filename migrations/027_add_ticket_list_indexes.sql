@@ -0,0 +1,44 @@
+-- Migration 027: Indexes for paginated and sorted ticket lists
+-- Description: Supports the dashboard sort keys and the per-row last public comment lookup
+--              so a page of tickets does not scan every ticket and comment
+-- Risk Level: LOW - Read-only optimization, no data changes
+
+-- "Recently updated" sort on both dashboards
+CREATE INDEX IF NOT EXISTS idx_tickets_updated_at
+ON tickets(updated_at DESC);
+
+-- Client dashboard: department tickets, newest first
+CREATE INDEX IF NOT EXISTS idx_tickets_department_created
+ON tickets(reporter_department, created_at DESC);
+
+-- Latest public comment per ticket (last_comment column of the ticket lists)
+CREATE INDEX IF NOT EXISTS idx_comments_ticket_public_created
+ON comments(ticket_id, created_at DESC)
+WHERE visibility_type = 'public';
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_indexes
+    WHERE tablename = 'tickets' AND indexname = 'idx_tickets_updated_at'
+  ) THEN
+    RAISE EXCEPTION 'Migration 027 failed: idx_tickets_updated_at index was not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_indexes
+    WHERE tablename = 'tickets' AND indexname = 'idx_tickets_department_created'
+  ) THEN
+    RAISE EXCEPTION 'Migration 027 failed: idx_tickets_department_created index was not created';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_indexes
+    WHERE tablename = 'comments' AND indexname = 'idx_comments_ticket_public_created'
+  ) THEN
+    RAISE EXCEPTION 'Migration 027 failed: idx_comments_ticket_public_created index was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 027 completed successfully: Ticket list indexes created';
+END $$;
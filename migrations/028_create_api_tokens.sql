@@ -0,0 +1,39 @@
+-- Migration 028: Personal API tokens
+-- Description: Lets users (and super admins on their behalf) create named tokens for
+--              machine clients calling /api/v1 with "Authorization: Bearer <token>"
+-- Security: only the SHA-256 hash of a token is stored; the plain token is shown once
+--           at creation. token_prefix (first characters) identifies a token in lists.
+-- Scope: 'read' allows GET requests only, 'write' allows all API requests
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id SERIAL PRIMARY KEY,
+  -- ON DELETE CASCADE: a token never outlives its user
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  token_prefix VARCHAR(16) NOT NULL,
+  scope VARCHAR(10) NOT NULL CHECK (scope IN ('read', 'write')),
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  -- ON DELETE SET NULL: keep the revocation when the revoking admin is deleted
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Token list on the account and user edit pages
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user
+ON api_tokens(user_id, created_at DESC);
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'api_tokens'
+  ) THEN
+    RAISE EXCEPTION 'Migration 028 failed: api_tokens table was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 028 completed successfully: api_tokens table created';
+END $$;
@@ -0,0 +1,42 @@
+-- Migration 029: Ticket and comment attachments
+-- Description: Files uploaded with a ticket or a comment (screenshots, scanned forms,
+--              device error photos). File contents live in the configured storage
+--              backend (local disk by default); this table only holds metadata.
+-- comment_id: NULL for files attached to the ticket itself. Attachments of internal
+--             comments are never served to department users.
+-- storage_key: backend-specific location generated by the server; the uploaded file
+--              name is only kept for display and downloads.
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id SERIAL PRIMARY KEY,
+  -- ON DELETE CASCADE: attachments are part of their ticket/comment
+  ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+  -- ON DELETE SET NULL: keep the file when the uploader is deleted
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  original_name VARCHAR(255) NOT NULL,
+  storage_key VARCHAR(255) NOT NULL UNIQUE,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Attachment lists on the ticket detail pages
+CREATE INDEX IF NOT EXISTS idx_attachments_ticket
+ON attachments(ticket_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_comment
+ON attachments(comment_id)
+WHERE comment_id IS NOT NULL;
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'attachments'
+  ) THEN
+    RAISE EXCEPTION 'Migration 029 failed: attachments table was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 029 completed successfully: attachments table created';
+END $$;
@@ -0,0 +1,26 @@
+-- Migration 030: Notification preferences
+-- Description: Per-user opt-out of email notifications, one row per event type
+--              (ticket_reply, status_change, department_reply)
+-- A missing row means the user receives that notification; rows are only written
+-- from the account notification settings page.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  -- ON DELETE CASCADE: preferences never outlive their user
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  email_enabled BOOLEAN NOT NULL DEFAULT true,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, event_type)
+);
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'notification_preferences'
+  ) THEN
+    RAISE EXCEPTION 'Migration 030 failed: notification_preferences table was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 030 completed successfully: notification_preferences table created';
+END $$;
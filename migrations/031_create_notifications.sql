@@ -0,0 +1,39 @@
+-- Migration 031: In-app notifications
+-- Description: Notification center entries shown under the header bell
+--              (replies, assignments, status changes, SLA warnings)
+-- details holds event data for rendering (e.g. old/new status, SLA target and due time)
+-- read_at NULL = unread
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  -- ON DELETE CASCADE: a notification never outlives its recipient or ticket
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticket_id INTEGER REFERENCES tickets(id) ON DELETE CASCADE,
+  -- ON DELETE SET NULL: keep the notification when the acting user is deleted
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  event_type VARCHAR(50) NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recent notifications dropdown and notification page
+CREATE INDEX IF NOT EXISTS idx_notifications_user
+ON notifications(user_id, created_at DESC);
+
+-- Unread badge count
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread
+ON notifications(user_id)
+WHERE read_at IS NULL;
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'notifications'
+  ) THEN
+    RAISE EXCEPTION 'Migration 031 failed: notifications table was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 031 completed successfully: notifications table created';
+END $$;
@@ -0,0 +1,28 @@
+-- Migration 032: Tamper-evident hash chain for audit_logs
+-- Description: Every entry written by AuditLog.create stores a SHA-256 hash over its
+--              content and the previous entry's hash (prev_hash), so editing or
+--              deleting an entry breaks the chain from that point on.
+-- Entries written before this migration keep hash NULL and are reported as
+-- unsealed by the verification (npm run audit:verify, /admin/audit/verify).
+-- Appends are serialised with a transaction-scoped advisory lock in AuditLog.create.
+
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS prev_hash VARCHAR(64);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS hash VARCHAR(64);
+
+COMMENT ON COLUMN audit_logs.prev_hash IS
+  'Hash of the previous entry (NULL for the first sealed entry)';
+COMMENT ON COLUMN audit_logs.hash IS
+  'SHA-256 over this entry and prev_hash; NULL for entries written before migration 032';
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'audit_logs' AND column_name = 'hash'
+  ) THEN
+    RAISE EXCEPTION 'Migration 032 failed: audit_logs.hash column was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 032 completed successfully: audit log hash chain columns added';
+END $$;
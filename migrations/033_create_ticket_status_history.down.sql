@@ -0,0 +1,4 @@
+-- Rollback of migration 033: drops the ticket status history (the recorded
+-- periods are lost)
+
+DROP TABLE IF EXISTS ticket_status_history;
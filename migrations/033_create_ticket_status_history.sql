@@ -0,0 +1,51 @@
+-- Migration 033: Ticket status history
+-- Description: One row per period a ticket spent in a status, written by
+--              Ticket.create and Ticket.update for every status change
+--              (admin, department user or automatic), so time spent per status
+--              can be measured (e.g. how long a department waited on the admin team)
+-- ended_at NULL = the ticket's current status
+-- Existing tickets get one open period for their current status, starting at their
+-- last update (the best estimate available); earlier changes were not recorded.
+
+CREATE TABLE IF NOT EXISTS ticket_status_history (
+  id SERIAL PRIMARY KEY,
+  -- ON DELETE CASCADE: history is removed with its ticket
+  ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+  status VARCHAR(50) NOT NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP,
+  CONSTRAINT ticket_status_history_period_check CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+-- Per-ticket history, and closing the open period on a status change
+CREATE INDEX IF NOT EXISTS idx_ticket_status_history_ticket
+ON ticket_status_history(ticket_id, started_at);
+
+-- At most one open period per ticket
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_status_history_open
+ON ticket_status_history(ticket_id)
+WHERE ended_at IS NULL;
+
+-- Duration statistics over recently finished periods of a status
+CREATE INDEX IF NOT EXISTS idx_ticket_status_history_status_ended
+ON ticket_status_history(status, ended_at);
+
+-- Backfill: open period for the current status of every existing ticket
+INSERT INTO ticket_status_history (ticket_id, status, started_at)
+SELECT t.id, t.status, COALESCE(t.updated_at, t.created_at)
+FROM tickets t
+WHERE NOT EXISTS (
+  SELECT 1 FROM ticket_status_history h WHERE h.ticket_id = t.id
+);
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'ticket_status_history'
+  ) THEN
+    RAISE EXCEPTION 'Migration 033 failed: ticket_status_history table was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 033 completed successfully: ticket_status_history table created';
+END $$;
@@ -0,0 +1,25 @@
+-- Rollback of migration 034: back to the name-only department foreign keys of
+-- migration 016. The names were kept in sync by the composite keys, so nothing
+-- needs to be copied back.
+
+DROP INDEX IF EXISTS idx_tickets_department_id_created;
+DROP INDEX IF EXISTS idx_users_department_id;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_department_created
+ON tickets(reporter_department, created_at DESC);
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_department_fk;
+ALTER TABLE tickets DROP CONSTRAINT IF EXISTS tickets_reporter_department_fk;
+
+ALTER TABLE users DROP COLUMN IF EXISTS department_id;
+ALTER TABLE tickets DROP COLUMN IF EXISTS reporter_department_id;
+
+ALTER TABLE users ADD CONSTRAINT users_department_fk
+  FOREIGN KEY (department) REFERENCES departments(name)
+  ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE tickets ADD CONSTRAINT tickets_reporter_department_fk
+  FOREIGN KEY (reporter_department) REFERENCES departments(name)
+  ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE departments DROP CONSTRAINT IF EXISTS departments_id_name_key;
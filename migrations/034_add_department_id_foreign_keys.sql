@@ -0,0 +1,72 @@
+-- Migration 034: Reference departments by id from users and tickets
+-- Description: Adds users.department_id and tickets.reporter_department_id, backfilled
+--              from the department names, and makes the id the key used for department
+--              scoping and access checks.
+-- The name columns stay as a copy of departments.name for display and filters. They are
+-- tied to the id by a composite foreign key (id, name) with ON UPDATE CASCADE, so a
+-- department rename updates every user and ticket in the same statement and the pair
+-- can never point at two different departments.
+-- MATCH FULL: a user either has both department columns set or neither.
+
+-- Target for the composite foreign keys
+ALTER TABLE departments
+ADD CONSTRAINT departments_id_name_key UNIQUE (id, name);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS department_id INTEGER;
+ALTER TABLE tickets ADD COLUMN IF NOT EXISTS reporter_department_id INTEGER;
+
+-- Backfill from the names (kept valid until now by the name foreign keys of migration 016)
+UPDATE users u
+SET department_id = d.id
+FROM departments d
+WHERE u.department = d.name AND u.department_id IS NULL;
+
+UPDATE tickets t
+SET reporter_department_id = d.id
+FROM departments d
+WHERE t.reporter_department = d.name AND t.reporter_department_id IS NULL;
+
+ALTER TABLE tickets ALTER COLUMN reporter_department_id SET NOT NULL;
+
+-- Replace the name-only foreign keys of migration 016
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_department_fk;
+ALTER TABLE tickets DROP CONSTRAINT IF EXISTS tickets_reporter_department_fk;
+
+-- ON DELETE RESTRICT: departments with users or tickets cannot be deleted
+-- ON UPDATE CASCADE: renaming a department renames it on its users and tickets
+ALTER TABLE users ADD CONSTRAINT users_department_fk
+  FOREIGN KEY (department_id, department) REFERENCES departments(id, name)
+  MATCH FULL ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE tickets ADD CONSTRAINT tickets_reporter_department_fk
+  FOREIGN KEY (reporter_department_id, reporter_department) REFERENCES departments(id, name)
+  MATCH FULL ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Department user lookups (notifications, department member lists)
+CREATE INDEX IF NOT EXISTS idx_users_department_id
+ON users(department_id);
+
+-- Client dashboard: department tickets, newest first (replaces the name index of 027)
+CREATE INDEX IF NOT EXISTS idx_tickets_department_id_created
+ON tickets(reporter_department_id, created_at DESC);
+
+DROP INDEX IF EXISTS idx_tickets_department_created;
+
+-- Migration verification
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM users WHERE department IS NOT NULL AND department_id IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Migration 034 failed: users with a department name but no department_id';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tickets' AND column_name = 'reporter_department_id'
+  ) THEN
+    RAISE EXCEPTION 'Migration 034 failed: tickets.reporter_department_id column was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 034 completed successfully: department id foreign keys added';
+END $$;
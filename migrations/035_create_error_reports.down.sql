@@ -0,0 +1,4 @@
+-- Rollback of migration 035: drops the error reports (submitted reports are lost;
+-- tickets created from them are kept)
+
+DROP TABLE IF EXISTS error_reports;
@@ -0,0 +1,53 @@
+-- Migration 035: Error reports
+-- Description: Reports users submit from an error page ("Report this error"),
+--              previously kept in process memory and lost on every restart.
+-- correlation_id is the reference shown on the error page and logged by the error
+-- handler. The request details (status_code .. occurred_at) are what the server
+-- recorded when it generated that reference, so a report always points at a real
+-- logged error.
+-- ticket_id links the internal ticket an admin created from the report.
+
+CREATE TABLE IF NOT EXISTS error_reports (
+  id SERIAL PRIMARY KEY,
+  correlation_id VARCHAR(32) NOT NULL UNIQUE,
+  category VARCHAR(50) NOT NULL,
+  status_code INTEGER,
+  request_method VARCHAR(10),
+  request_path TEXT,
+  error_message TEXT,
+  occurred_at TIMESTAMP NOT NULL,
+  -- ON DELETE SET NULL: reports outlive the accounts that filed them
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  description TEXT NOT NULL DEFAULT '',
+  additional_data JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  resolution TEXT,
+  resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP,
+  ticket_id INTEGER REFERENCES tickets(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT error_reports_status_check CHECK (status IN ('open', 'resolved')),
+  CONSTRAINT error_reports_resolved_check CHECK ((status = 'resolved') = (resolved_at IS NOT NULL))
+);
+
+-- Admin list: open reports first, newest first
+CREATE INDEX IF NOT EXISTS idx_error_reports_status_created
+ON error_reports(status, created_at DESC);
+
+-- Category filter
+CREATE INDEX IF NOT EXISTS idx_error_reports_category
+ON error_reports(category);
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'error_reports'
+  ) THEN
+    RAISE EXCEPTION 'Migration 035 failed: error_reports table was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 035 completed successfully: error_reports table created';
+END $$;
@@ -0,0 +1,8 @@
+-- Rollback of migration 036: system comments have no author to keep them under,
+-- so they are deleted before user_id becomes required again.
+
+DELETE FROM comments WHERE user_id IS NULL;
+
+COMMENT ON COLUMN comments.user_id IS NULL;
+
+ALTER TABLE comments ALTER COLUMN user_id SET NOT NULL;
@@ -0,0 +1,23 @@
+-- Migration 036: System comments
+-- Description: Comments written by the application itself rather than a user, such
+--              as the public note added when a ticket waiting on its department is
+--              closed automatically (npm run tickets:auto-close).
+-- A comment without user_id is a system comment. User comments still cascade with
+-- their author.
+
+ALTER TABLE comments ALTER COLUMN user_id DROP NOT NULL;
+
+COMMENT ON COLUMN comments.user_id IS 'Author of the comment; NULL for comments written by the system';
+
+-- Migration verification
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'comments' AND column_name = 'user_id' AND is_nullable = 'NO'
+  ) THEN
+    RAISE EXCEPTION 'Migration 036 failed: comments.user_id is still NOT NULL';
+  END IF;
+
+  RAISE NOTICE 'Migration 036 completed successfully: comments.user_id is nullable';
+END $$;
@@ -0,0 +1,4 @@
+-- Rollback of migration 037: drops the job tables (the run history is lost)
+
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS scheduled_jobs;
@@ -0,0 +1,59 @@
+-- Migration 037: Background jobs
+-- Description: Jobs the application runs on a timer (SLA warnings, ticket auto-close,
+--              session cleanup, audit chain check) and the history of their runs.
+-- scheduled_jobs has one row per job, written by the scheduler from the job
+-- definitions in services/jobService.js. Every PM2 worker runs the scheduler; a
+-- worker claims a due job by setting locked_by/locked_until in a single UPDATE, so
+-- only one of them runs it. A lock whose locked_until has passed belonged to a
+-- worker that died mid-run and can be claimed again.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name VARCHAR(100) PRIMARY KEY,
+  interval_minutes INTEGER NOT NULL,
+  next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_run_at TIMESTAMP,
+  last_status VARCHAR(20),
+  last_result JSONB,
+  locked_by VARCHAR(255),
+  locked_until TIMESTAMP,
+  CONSTRAINT scheduled_jobs_interval_check CHECK (interval_minutes > 0),
+  CONSTRAINT scheduled_jobs_last_status_check
+    CHECK (last_status IS NULL OR last_status IN ('succeeded', 'failed')),
+  CONSTRAINT scheduled_jobs_lock_check CHECK ((locked_by IS NULL) = (locked_until IS NULL))
+);
+
+-- One row per run, scheduled or started by a super admin
+CREATE TABLE IF NOT EXISTS job_runs (
+  id SERIAL PRIMARY KEY,
+  job_name VARCHAR(100) NOT NULL REFERENCES scheduled_jobs(name) ON DELETE CASCADE,
+  trigger VARCHAR(20) NOT NULL,
+  -- ON DELETE SET NULL: the history outlives the account that started a run
+  triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  worker VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  result JSONB,
+  error TEXT,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP,
+  CONSTRAINT job_runs_trigger_check CHECK (trigger IN ('schedule', 'manual')),
+  CONSTRAINT job_runs_status_check CHECK (status IN ('running', 'succeeded', 'failed')),
+  CONSTRAINT job_runs_finished_check CHECK ((status = 'running') = (finished_at IS NULL))
+);
+
+-- Run history of a job, newest first
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started
+ON job_runs(job_name, started_at DESC);
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'scheduled_jobs'
+  ) OR NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'job_runs'
+  ) THEN
+    RAISE EXCEPTION 'Migration 037 failed: scheduled_jobs or job_runs table was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 037 completed successfully: scheduled_jobs and job_runs tables created';
+END $$;
@@ -0,0 +1,4 @@
+-- Rollback of Migration 038: Time-based account lockout
+-- Accounts still past the attempt limit stay locked for good, as before.
+
+ALTER TABLE users DROP COLUMN locked_until;
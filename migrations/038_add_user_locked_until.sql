@@ -0,0 +1,28 @@
+-- Migration 038: Time-based account lockout
+-- Description: Failed logins now lock an account for a limited time instead of for
+--              good. login_attempts keeps counting failures until the next successful
+--              login, and each failure at or past the limit locks the account for
+--              twice as long as the previous one (services/authService.js).
+-- Accounts locked under the old rule (login_attempts >= 5, no end) get a fresh
+-- 15 minute lock, the shortest the new rule gives.
+
+ALTER TABLE users ADD COLUMN locked_until TIMESTAMP;
+
+COMMENT ON COLUMN users.locked_until IS 'Logins are refused until this time after too many failed attempts';
+
+UPDATE users
+SET locked_until = CURRENT_TIMESTAMP + INTERVAL '15 minutes'
+WHERE login_attempts >= 5;
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'locked_until'
+  ) THEN
+    RAISE EXCEPTION 'Migration 038 failed: users.locked_until was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 038 completed successfully: users.locked_until added';
+END $$;
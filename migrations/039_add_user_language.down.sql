@@ -0,0 +1,3 @@
+-- Rollback of Migration 039: Per-user language preference
+
+ALTER TABLE users DROP COLUMN language;
@@ -0,0 +1,23 @@
+-- Migration 039: Per-user language preference
+-- Description: The language a user picks (on /account or with the header switcher) is
+--              stored with the user and restored into the session at login, instead
+--              of living only in req.session.language.
+-- NULL means the user never picked one; the default language applies.
+
+ALTER TABLE users ADD COLUMN language VARCHAR(5)
+  CONSTRAINT users_language_check CHECK (language IN ('el', 'en'));
+
+COMMENT ON COLUMN users.language IS 'Preferred UI language (el/en), NULL for the default';
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'language'
+  ) THEN
+    RAISE EXCEPTION 'Migration 039 failed: users.language was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 039 completed successfully: users.language added';
+END $$;
@@ -0,0 +1,5 @@
+-- Rollback of Migration 040: Forced password changes and password history
+-- (the stored previous password hashes are lost)
+
+DROP TABLE IF EXISTS password_history;
+ALTER TABLE users DROP COLUMN must_change_password;
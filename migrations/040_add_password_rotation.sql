@@ -0,0 +1,37 @@
+-- Migration 040: Forced password changes and password history
+-- Description: must_change_password sends a user to the change-password screen before
+--              anything else (middleware/auth.js). It is set when a super admin resets
+--              a password and for seeded accounts, and cleared when the user picks
+--              their own password.
+-- password_history keeps the hashes a user's password replaced, so a new password
+-- cannot repeat one of the last PASSWORD_HISTORY_SIZE passwords (services/userService.js).
+
+ALTER TABLE users ADD COLUMN must_change_password BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN users.must_change_password IS 'The user has to choose a new password before using the app';
+
+CREATE TABLE IF NOT EXISTS password_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A user's previous passwords, newest first
+CREATE INDEX IF NOT EXISTS idx_password_history_user_created
+ON password_history(user_id, created_at DESC);
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'must_change_password'
+  ) OR NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'password_history'
+  ) THEN
+    RAISE EXCEPTION 'Migration 040 failed: users.must_change_password or password_history was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 040 completed successfully: must_change_password and password_history added';
+END $$;
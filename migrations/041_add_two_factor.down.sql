@@ -0,0 +1,7 @@
+-- Rollback of Migration 041: TOTP two-factor authentication
+-- (every user's two-factor enrolment and recovery codes are lost)
+
+DROP TABLE IF EXISTS two_factor_recovery_codes;
+ALTER TABLE users DROP COLUMN totp_last_step;
+ALTER TABLE users DROP COLUMN totp_enabled_at;
+ALTER TABLE users DROP COLUMN totp_secret;
@@ -0,0 +1,42 @@
+-- Migration 041: TOTP two-factor authentication
+-- Description: totp_secret holds the base32 secret of a user's authenticator app and
+--              totp_enabled_at marks two-factor authentication as on; the login then asks
+--              for a code before the session is created (routes/auth.js).
+-- totp_last_step is the 30-second time step of the last accepted code, so a code
+-- cannot be used twice. two_factor_recovery_codes keeps SHA-256 hashes of the one-time
+-- recovery codes shown to the user at enrolment.
+
+ALTER TABLE users ADD COLUMN totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN totp_last_step BIGINT;
+
+COMMENT ON COLUMN users.totp_secret IS 'Base32 TOTP secret (set while two-factor authentication is on)';
+COMMENT ON COLUMN users.totp_enabled_at IS 'When two-factor authentication was turned on (NULL when off)';
+COMMENT ON COLUMN users.totp_last_step IS 'Time step of the last accepted TOTP code (replay protection)';
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Looking up a code of a user at login
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user
+ON two_factor_recovery_codes(user_id, code_hash);
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'totp_secret'
+  ) OR NOT EXISTS (
+    SELECT 1 FROM information_schema.tables WHERE table_name = 'two_factor_recovery_codes'
+  ) THEN
+    RAISE EXCEPTION 'Migration 041 failed: users.totp_secret or two_factor_recovery_codes was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 041 completed successfully: two-factor authentication columns and recovery codes added';
+END $$;
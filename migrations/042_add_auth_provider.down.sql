@@ -0,0 +1,5 @@
+-- Rollback of Migration 042: Authentication provider per user
+-- (directory users keep their random password_hash and can no longer sign in until an
+-- admin resets their password)
+
+ALTER TABLE users DROP COLUMN auth_provider;
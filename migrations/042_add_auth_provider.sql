@@ -0,0 +1,23 @@
+-- Migration 042: Authentication provider per user
+-- Description: auth_provider names the provider that checks a user's password
+--              (config/auth.js): 'local' for the bcrypt hash in password_hash, 'ldap' for a
+--              bind against the LDAP / Active Directory server.
+-- Directory users are created on their first login with a random password_hash that is
+-- never checked; their role, department and email follow their directory groups.
+
+ALTER TABLE users ADD COLUMN auth_provider VARCHAR(20) NOT NULL DEFAULT 'local';
+
+COMMENT ON COLUMN users.auth_provider IS 'Provider that checks the password (local or ldap)';
+
+-- Migration verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'auth_provider'
+  ) THEN
+    RAISE EXCEPTION 'Migration 042 failed: users.auth_provider was not created';
+  END IF;
+
+  RAISE NOTICE 'Migration 042 completed successfully: users.auth_provider added';
+END $$;
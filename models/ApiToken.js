@@ -0,0 +1,104 @@
+const pool = require('../config/database');
+
+/**
+ * ApiToken Model
+ * Manages database operations for the api_tokens table
+ *
+ * Only the SHA-256 hash of a token is stored; lookups during authentication
+ * go through the unique token_hash column. Revoked and expired tokens are kept
+ * for the audit trail and shown as inactive in token lists.
+ */
+class ApiToken {
+  /**
+   * Create a new token
+   * @param {Object} data - {user_id, name, token_hash, token_prefix, scope, expires_at, created_by}
+   * @returns {Promise<Object>} Created token row
+   */
+  static async create(
+    { user_id, name, token_hash, token_prefix, scope, expires_at, created_by },
+    client = null,
+  ) {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scope, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [user_id, name, token_hash, token_prefix, scope, expires_at, created_by || null],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find token by ID
+   * @param {number} id - Token ID
+   * @returns {Promise<Object|undefined>} Token row or undefined
+   */
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM api_tokens WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find a usable token by hash: not revoked and not expired
+   * @param {string} tokenHash - SHA-256 hex digest of the plain token
+   * @returns {Promise<Object|undefined>} Token row or undefined
+   */
+  static async findActiveByHash(tokenHash) {
+    const result = await pool.query(
+      `SELECT * FROM api_tokens
+       WHERE token_hash = $1
+         AND revoked_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP`,
+      [tokenHash],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find all tokens of a user, newest first (hashes are never selected)
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Array>} Token rows with creator/revoker usernames
+   */
+  static async findByUser(userId) {
+    const result = await pool.query(
+      `SELECT t.id, t.user_id, t.name, t.token_prefix, t.scope, t.expires_at, t.last_used_at,
+              t.revoked_at, t.created_at,
+              creator.username AS created_by_username,
+              revoker.username AS revoked_by_username
+       FROM api_tokens t
+       LEFT JOIN users creator ON t.created_by = creator.id
+       LEFT JOIN users revoker ON t.revoked_by = revoker.id
+       WHERE t.user_id = $1
+       ORDER BY t.created_at DESC, t.id DESC`,
+      [userId],
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke a token (no-op if it is already revoked)
+   * @param {number} id - Token ID
+   * @param {number} revokedBy - User revoking the token
+   * @returns {Promise<Object|undefined>} Revoked token row, or undefined if already revoked
+   */
+  static async revoke(id, revokedBy) {
+    const result = await pool.query(
+      `UPDATE api_tokens
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id, revokedBy],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record that a token was used to authenticate a request
+   * @param {number} id - Token ID
+   */
+  static async touchLastUsed(id) {
+    await pool.query('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  }
+}
+
+module.exports = ApiToken;
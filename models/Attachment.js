@@ -0,0 +1,86 @@
+const pool = require('../config/database');
+
+/**
+ * Attachment Model
+ * Manages database operations for the attachments table
+ *
+ * Rows only describe files; contents live in the storage backend under
+ * storage_key. A NULL comment_id means the file belongs to the ticket itself.
+ */
+class Attachment {
+  /**
+   * Create attachment metadata
+   * @param {Object} data - {ticket_id, comment_id, uploaded_by, original_name, storage_key, mime_type, size_bytes}
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} Created attachment row
+   */
+  static async create(
+    { ticket_id, comment_id, uploaded_by, original_name, storage_key, mime_type, size_bytes },
+    client = null,
+  ) {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO attachments
+         (ticket_id, comment_id, uploaded_by, original_name, storage_key, mime_type, size_bytes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        ticket_id,
+        comment_id || null,
+        uploaded_by || null,
+        original_name,
+        storage_key,
+        mime_type,
+        size_bytes,
+      ],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find attachment by ID with the fields needed for access checks
+   * @param {number} id - Attachment ID
+   * @returns {Promise<Object|undefined>} Attachment with ticket department/is_admin_created
+   *   and comment visibility_type (NULL for ticket attachments)
+   */
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT a.*, t.reporter_department, t.reporter_department_id, t.is_admin_created, c.visibility_type
+       FROM attachments a
+       JOIN tickets t ON a.ticket_id = t.id
+       LEFT JOIN comments c ON a.comment_id = c.id
+       WHERE a.id = $1`,
+      [id],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find the attachments of a ticket and its comments that a role may see
+   * Department users never see attachments of internal comments.
+   * @param {number} ticketId - Ticket ID
+   * @param {string} userRole - 'admin', 'super_admin' or 'department'
+   * @returns {Promise<Array>} Attachments with uploader username, oldest first
+   */
+  static async findVisibleByTicketId(ticketId, userRole) {
+    let query = `
+      SELECT a.id, a.ticket_id, a.comment_id, a.original_name, a.mime_type, a.size_bytes,
+             a.created_at, u.username AS uploaded_by_username
+      FROM attachments a
+      LEFT JOIN comments c ON a.comment_id = c.id
+      LEFT JOIN users u ON a.uploaded_by = u.id
+      WHERE a.ticket_id = $1
+    `;
+
+    if (userRole === 'department') {
+      query += " AND (a.comment_id IS NULL OR c.visibility_type = 'public')";
+    }
+
+    query += ' ORDER BY a.created_at ASC, a.id ASC';
+
+    const result = await pool.query(query, [ticketId]);
+    return result.rows;
+  }
+}
+
+module.exports = Attachment;
@@ -1,13 +1,105 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
+const crypto = require('crypto');
+const { sanitizeSearchInput } = require('../utils/sanitizeSearch');
+
+// Advisory lock key serialising hash chain appends (any constant unique to this app)
+const AUDIT_CHAIN_LOCK = 7420012;
+
+// Text form of created_at that is hashed (independent of DateStyle and time zone)
+const CHAIN_TIMESTAMP_FORMAT = 'YYYY-MM-DD HH24:MI:SS.US';
+
+/**
+ * Serialise a value as JSON with object keys sorted
+ * JSONB does not keep key order, so hashes must not depend on it.
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Coerce an ID the way the INTEGER column stores it
+ */
+function toIntOrNull(value) {
+  return value === null || value === undefined || value === '' ? null : parseInt(value);
+}
+
+/**
+ * Build the WHERE conditions shared by the audit log browser list, count and export
+ * @param {Object} filters - actor_id, action, target_type, target_id, ip_address,
+ *   date_from, date_to (YYYY-MM-DD, both inclusive)
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {string} SQL conditions starting with " AND", or empty string
+ */
+function buildAuditConditions(filters, params) {
+  let conditions = '';
+
+  if (filters.actor_id) {
+    params.push(filters.actor_id);
+    conditions += ` AND a.actor_id = $${params.length}`;
+  }
+
+  if (filters.action) {
+    params.push(filters.action);
+    conditions += ` AND a.action = $${params.length}`;
+  }
+
+  if (filters.target_type) {
+    params.push(filters.target_type);
+    conditions += ` AND a.target_type = $${params.length}`;
+  }
+
+  if (filters.target_id) {
+    params.push(filters.target_id);
+    conditions += ` AND a.target_id = $${params.length}`;
+  }
+
+  // Prefix match so a subnet such as "10.0.3." finds every address in it
+  if (filters.ip_address) {
+    params.push(`${sanitizeSearchInput(filters.ip_address)}%`);
+    conditions += ` AND a.ip_address LIKE $${params.length}`;
+  }
+
+  if (filters.date_from) {
+    params.push(filters.date_from);
+    conditions += ` AND a.created_at >= $${params.length}::date`;
+  }
+
+  if (filters.date_to) {
+    params.push(filters.date_to);
+    conditions += ` AND a.created_at < $${params.length}::date + 1`;
+  }
+
+  return conditions;
+}
 
 class AuditLog {
+  /**
+   * Append an entry to the audit log and seal it into the hash chain
+   * Appends are serialised with an advisory lock held until the transaction ends, so
+   * concurrent callers never chain to the same previous entry. Without a client the
+   * entry gets its own transaction; a client passed in must already be inside one.
+   * @param {Object} entry - {actorId, action, targetType, targetId, details, ipAddress}
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} Created audit entry
+   */
   static async create(
     { actorId, action, targetType, targetId, details, ipAddress },
     client = null,
   ) {
-    const db = client || pool;
     const startTime = Date.now();
+    const db = client || (await pool.connect());
     try {
       logger.debug('AuditLog.create: Creating audit log entry', {
         actorId,
@@ -16,10 +108,52 @@ class AuditLog {
         targetId,
         ipAddress,
       });
+      if (!client) {
+        await db.query('BEGIN');
+      }
+      await db.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK]);
+
+      // Reserve the ID and timestamp first: both are part of the hashed content
+      const reserved = await db.query(
+        `SELECT nextval(pg_get_serial_sequence('audit_logs', 'id')) AS id,
+                to_char(LOCALTIMESTAMP, '${CHAIN_TIMESTAMP_FORMAT}') AS created_at,
+                (SELECT hash FROM audit_logs ORDER BY id DESC LIMIT 1) AS prev_hash`,
+      );
+      const sealed = {
+        id: parseInt(reserved.rows[0].id),
+        created_at: reserved.rows[0].created_at,
+        actor_id: toIntOrNull(actorId),
+        action,
+        target_type: targetType,
+        target_id: toIntOrNull(targetId),
+        // Same normalisation JSONB applies (dates become strings, undefined keys vanish)
+        details: details === undefined ? null : JSON.parse(JSON.stringify(details)),
+        ip_address: ipAddress || null,
+        prev_hash: reserved.rows[0].prev_hash,
+      };
+      sealed.hash = AuditLog.computeHash(sealed);
+
       const result = await db.query(
-        'INSERT INTO audit_logs (actor_id, action, target_type, target_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-        [actorId, action, targetType, targetId, JSON.stringify(details), ipAddress],
+        `INSERT INTO audit_logs
+           (id, actor_id, action, target_type, target_id, details, ip_address, created_at, prev_hash, hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::timestamp, $9, $10)
+         RETURNING *`,
+        [
+          sealed.id,
+          sealed.actor_id,
+          sealed.action,
+          sealed.target_type,
+          sealed.target_id,
+          sealed.details === null ? null : JSON.stringify(sealed.details),
+          sealed.ip_address,
+          sealed.created_at,
+          sealed.prev_hash,
+          sealed.hash,
+        ],
       );
+      if (!client) {
+        await db.query('COMMIT');
+      }
       const duration = Date.now() - startTime;
 
       if (duration > 500) {
@@ -42,6 +176,9 @@ class AuditLog {
       });
       return result.rows[0];
     } catch (error) {
+      if (!client) {
+        await db.query('ROLLBACK').catch(() => {});
+      }
       logger.error('AuditLog.create: Database error', {
         actorId,
         action,
@@ -52,6 +189,63 @@ class AuditLog {
         code: error.code,
       });
       throw error;
+    } finally {
+      if (!client) {
+        db.release();
+      }
+    }
+  }
+
+  /**
+   * Hash of an entry in the chain
+   * The timestamp is hashed in its CHAIN_TIMESTAMP_FORMAT text form so the result does
+   * not depend on the time zone of the verifying process.
+   * @param {Object} entry - Row fields (created_at as text) including prev_hash
+   * @returns {string} Hex SHA-256
+   */
+  static computeHash(entry) {
+    const content = canonicalJson([
+      entry.id,
+      entry.created_at,
+      entry.actor_id,
+      entry.action,
+      entry.target_type,
+      entry.target_id,
+      entry.details,
+      entry.ip_address,
+      entry.prev_hash,
+    ]);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Read the chain in ID order for verification
+   * created_at is returned in the hashed text form (see computeHash).
+   * @param {number} afterId - Return entries with a greater ID
+   * @param {number} limit - Batch size
+   * @returns {Promise<Array>} Entries with prev_hash and hash
+   */
+  static async findChainBatch(afterId, limit) {
+    try {
+      const result = await pool.query(
+        `SELECT id, actor_id, action, target_type, target_id, details, ip_address,
+                to_char(created_at, '${CHAIN_TIMESTAMP_FORMAT}') AS created_at,
+                prev_hash, hash
+         FROM audit_logs
+         WHERE id > $1
+         ORDER BY id
+         LIMIT $2`,
+        [afterId, limit],
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('AuditLog.findChainBatch: Database error', {
+        afterId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
     }
   }
 
@@ -93,6 +287,61 @@ class AuditLog {
     }
   }
 
+  /**
+   * Find audit entries for a target with the actor's username, oldest first
+   * Used for chronological views such as the ticket activity timeline.
+   * @param {string} targetType - Target type (e.g. 'ticket')
+   * @param {number} targetId - Target ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Audit entries with actor_username
+   */
+  static async findByTargetWithActor(targetType, targetId, limit = 500) {
+    const startTime = Date.now();
+    try {
+      logger.debug('AuditLog.findByTargetWithActor: Starting query', {
+        targetType,
+        targetId,
+        limit,
+      });
+      const result = await pool.query(
+        `SELECT a.*, u.username AS actor_username
+         FROM audit_logs a
+         LEFT JOIN users u ON a.actor_id = u.id
+         WHERE a.target_type = $1 AND a.target_id = $2
+         ORDER BY a.created_at ASC, a.id ASC
+         LIMIT $3`,
+        [targetType, targetId, limit],
+      );
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('AuditLog.findByTargetWithActor: Slow query detected', {
+          targetType,
+          targetId,
+          duration,
+          rowCount: result.rows.length,
+        });
+      }
+
+      logger.debug('AuditLog.findByTargetWithActor: Query completed', {
+        targetType,
+        targetId,
+        rowCount: result.rows.length,
+        duration,
+      });
+      return result.rows;
+    } catch (error) {
+      logger.error('AuditLog.findByTargetWithActor: Database error', {
+        targetType,
+        targetId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
   static async findByActor(actorId, limit = 50) {
     const startTime = Date.now();
     try {
@@ -127,6 +376,169 @@ class AuditLog {
       throw error;
     }
   }
+
+  /**
+   * Find audit entries matching the browser filters, newest first
+   * Without a limit every matching entry is returned (used by the export).
+   * @param {Object} filters - See buildAuditConditions, plus limit and offset
+   * @returns {Promise<Array>} Audit entries with actor_username
+   */
+  static async findAll(filters = {}) {
+    const startTime = Date.now();
+    try {
+      logger.debug('AuditLog.findAll: Starting query', { filters });
+      const params = [];
+      let query = `
+        SELECT a.*, u.username AS actor_username
+        FROM audit_logs a
+        LEFT JOIN users u ON a.actor_id = u.id
+        WHERE 1=1
+      `;
+      query += buildAuditConditions(filters, params);
+      query += ' ORDER BY a.created_at DESC, a.id DESC';
+
+      if (filters.limit) {
+        params.push(filters.limit, filters.offset || 0);
+        query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+      }
+
+      const result = await pool.query(query, params);
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('AuditLog.findAll: Slow query detected', {
+          filters,
+          duration,
+          rowCount: result.rows.length,
+        });
+      }
+
+      logger.debug('AuditLog.findAll: Query completed', {
+        filters,
+        rowCount: result.rows.length,
+        duration,
+      });
+      return result.rows;
+    } catch (error) {
+      logger.error('AuditLog.findAll: Database error', {
+        filters,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count audit entries matching the browser filters
+   * @param {Object} filters - See buildAuditConditions
+   * @returns {Promise<number>} Number of matching entries
+   */
+  static async countAll(filters = {}) {
+    const startTime = Date.now();
+    try {
+      logger.debug('AuditLog.countAll: Starting query', { filters });
+      const params = [];
+      const query =
+        'SELECT COUNT(*) AS count FROM audit_logs a WHERE 1=1' +
+        buildAuditConditions(filters, params);
+
+      const result = await pool.query(query, params);
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('AuditLog.countAll: Slow query detected', { filters, duration });
+      }
+
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('AuditLog.countAll: Database error', {
+        filters,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find one audit entry with the actor's username
+   * @param {number} id - Audit entry ID
+   * @returns {Promise<Object|undefined>} Audit entry or undefined
+   */
+  static async findByIdWithActor(id) {
+    const startTime = Date.now();
+    try {
+      logger.debug('AuditLog.findByIdWithActor: Starting query', { auditLogId: id });
+      const result = await pool.query(
+        `SELECT a.*, u.username AS actor_username
+         FROM audit_logs a
+         LEFT JOIN users u ON a.actor_id = u.id
+         WHERE a.id = $1`,
+        [id],
+      );
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('AuditLog.findByIdWithActor: Slow query detected', {
+          auditLogId: id,
+          duration,
+        });
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('AuditLog.findByIdWithActor: Database error', {
+        auditLogId: id,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Values present in the log, for the browser's filter dropdowns
+   * Actors are users with at least one entry (entries of removed accounts have no actor).
+   * @returns {Promise<{actions: Array<string>, targetTypes: Array<string>, actors: Array}>}
+   */
+  static async findFilterOptions() {
+    const startTime = Date.now();
+    try {
+      logger.debug('AuditLog.findFilterOptions: Starting query');
+      const [actions, targetTypes, actors] = await Promise.all([
+        pool.query('SELECT DISTINCT action FROM audit_logs ORDER BY action'),
+        pool.query('SELECT DISTINCT target_type FROM audit_logs ORDER BY target_type'),
+        pool.query(
+          `SELECT u.id, u.username
+           FROM users u
+           WHERE EXISTS (SELECT 1 FROM audit_logs a WHERE a.actor_id = u.id)
+           ORDER BY u.username`,
+        ),
+      ]);
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('AuditLog.findFilterOptions: Slow query detected', { duration });
+      }
+
+      return {
+        actions: actions.rows.map((row) => row.action),
+        targetTypes: targetTypes.rows.map((row) => row.target_type),
+        actors: actors.rows,
+      };
+    } catch (error) {
+      logger.error('AuditLog.findFilterOptions: Database error', {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
 }
 
 module.exports = AuditLog;
@@ -54,10 +54,11 @@ class Comment {
     const startTime = Date.now();
     try {
       logger.debug('Comment.findByTicketId: Starting query', { ticketId });
+      // System comments have no author (username is NULL)
       const result = await pool.query(
         `SELECT c.*, u.username
          FROM comments c
-         JOIN users u ON c.user_id = u.id
+         LEFT JOIN users u ON c.user_id = u.id
          WHERE c.ticket_id = $1
          ORDER BY c.created_at ASC`,
         [ticketId],
@@ -106,7 +107,7 @@ class Comment {
       let query = `
         SELECT c.*, u.username
         FROM comments c
-        JOIN users u ON c.user_id = u.id
+        LEFT JOIN users u ON c.user_id = u.id
         WHERE c.ticket_id = $1
       `;
 
@@ -134,59 +134,60 @@ class Department {
 
   /**
    * Check if department has users assigned
-   * @param {string} name - Department name
+   * @param {number} id - Department ID
    * @returns {Promise<number>} Count of users
    */
-  static async countUsers(name) {
-    const result = await pool.query('SELECT COUNT(*) as count FROM users WHERE department = $1', [
-      name,
-    ]);
+  static async countUsers(id) {
+    const result = await pool.query(
+      'SELECT COUNT(*) as count FROM users WHERE department_id = $1',
+      [id],
+    );
     return parseInt(result.rows[0].count);
   }
 
   /**
    * Check if department has tickets
-   * @param {string} name - Department name
+   * @param {number} id - Department ID
    * @returns {Promise<number>} Count of tickets
    */
-  static async countTickets(name) {
+  static async countTickets(id) {
     const result = await pool.query(
-      'SELECT COUNT(*) as count FROM tickets WHERE reporter_department = $1',
-      [name],
+      'SELECT COUNT(*) as count FROM tickets WHERE reporter_department_id = $1',
+      [id],
     );
     return parseInt(result.rows[0].count);
   }
 
   /**
    * Get all users assigned to a department
-   * @param {string} name - Department name
+   * @param {number} id - Department ID
    * @returns {Promise<Array>} Array of users
    */
-  static async getUsers(name) {
+  static async getUsers(id) {
     const result = await pool.query(
       `SELECT id, username, email, role, status, created_at
        FROM users
-       WHERE department = $1
+       WHERE department_id = $1
        ORDER BY username`,
-      [name],
+      [id],
     );
     return result.rows;
   }
 
   /**
    * Get all users NOT assigned to this department (for assignment dropdown)
-   * @param {string} name - Department name
+   * @param {number} id - Department ID
    * @returns {Promise<Array>} Array of available users
    */
-  static async getAvailableUsers(name) {
+  static async getAvailableUsers(id) {
     const result = await pool.query(
       `SELECT id, username, email, role, status, department
        FROM users
-       WHERE (department != $1 OR department IS NULL)
+       WHERE (department_id != $1 OR department_id IS NULL)
          AND role = 'department'
          AND status = 'active'
        ORDER BY username`,
-      [name],
+      [id],
     );
     return result.rows;
   }
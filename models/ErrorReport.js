@@ -0,0 +1,228 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { sanitizeSearchInput } = require('../utils/sanitizeSearch');
+
+// Report columns plus the usernames of the reporter and the resolving admin
+const REPORT_SELECT = `
+  SELECT r.*, u.username AS reporter_username, ru.username AS resolved_by_username
+  FROM error_reports r
+  LEFT JOIN users u ON r.user_id = u.id
+  LEFT JOIN users ru ON r.resolved_by = ru.id
+`;
+
+/**
+ * Build the WHERE conditions shared by the admin list and its count
+ * @param {Object} filters - status, category, search (correlation ID, path or description)
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {string} SQL conditions starting with " AND", or empty string
+ */
+function buildReportConditions(filters, params) {
+  let conditions = '';
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions += ` AND r.status = $${params.length}`;
+  }
+
+  if (filters.category) {
+    params.push(filters.category);
+    conditions += ` AND r.category = $${params.length}`;
+  }
+
+  if (filters.search) {
+    params.push(`%${sanitizeSearchInput(filters.search)}%`);
+    conditions += ` AND (r.correlation_id ILIKE $${params.length}
+      OR r.request_path ILIKE $${params.length}
+      OR r.description ILIKE $${params.length})`;
+  }
+
+  return conditions;
+}
+
+/**
+ * Error reports (error_reports)
+ * Submitted by users from an error page; one report per correlation ID.
+ */
+class ErrorReport {
+  /**
+   * Store a report
+   * @param {Object} report - correlationId, category, statusCode, requestMethod, requestPath,
+   *   errorMessage, occurredAt (server side); userId, userAgent, ipAddress, description,
+   *   additionalData (reporter side)
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} Created report
+   */
+  static async create(
+    {
+      correlationId,
+      category,
+      statusCode = null,
+      requestMethod = null,
+      requestPath = null,
+      errorMessage = null,
+      occurredAt,
+      userId = null,
+      userAgent = null,
+      ipAddress = null,
+      description = '',
+      additionalData = {},
+    },
+    client = null,
+  ) {
+    const db = client || pool;
+    try {
+      const result = await db.query(
+        `INSERT INTO error_reports (
+           correlation_id, category, status_code, request_method, request_path, error_message,
+           occurred_at, user_id, user_agent, ip_address, description, additional_data
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          correlationId,
+          category,
+          statusCode,
+          requestMethod,
+          requestPath,
+          errorMessage,
+          occurredAt,
+          userId,
+          userAgent,
+          ipAddress,
+          description,
+          JSON.stringify(additionalData),
+        ],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('ErrorReport.create: Database error', {
+        correlationId,
+        error: error.message,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find one report
+   * @param {number} id - Report ID
+   * @returns {Promise<Object|null>} Report with reporter_username and resolved_by_username
+   */
+  static async findById(id) {
+    const result = await pool.query(`${REPORT_SELECT} WHERE r.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find reports matching the admin list filters, newest first
+   * @param {Object} filters - See buildReportConditions, plus limit and offset
+   * @returns {Promise<Array>} Reports with reporter_username and resolved_by_username
+   */
+  static async findAll(filters = {}) {
+    const startTime = Date.now();
+    try {
+      const params = [];
+      let query = `${REPORT_SELECT} WHERE 1=1`;
+      query += buildReportConditions(filters, params);
+      query += ' ORDER BY r.created_at DESC, r.id DESC';
+
+      if (filters.limit) {
+        params.push(filters.limit, filters.offset || 0);
+        query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+      }
+
+      const result = await pool.query(query, params);
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('ErrorReport.findAll: Slow query detected', { filters, duration });
+      }
+
+      return result.rows;
+    } catch (error) {
+      logger.error('ErrorReport.findAll: Database error', {
+        filters,
+        error: error.message,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count reports matching the admin list filters
+   * @param {Object} filters - See buildReportConditions
+   * @returns {Promise<number>}
+   */
+  static async countAll(filters = {}) {
+    const params = [];
+    const query =
+      'SELECT COUNT(*) AS count FROM error_reports r WHERE 1=1' +
+      buildReportConditions(filters, params);
+    const result = await pool.query(query, params);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Number of reports per status
+   * @returns {Promise<Object>} e.g. { open: 3, resolved: 12 } (statuses without reports are absent)
+   */
+  static async countByStatus() {
+    const result = await pool.query(
+      'SELECT status, COUNT(*) AS count FROM error_reports GROUP BY status',
+    );
+    return Object.fromEntries(result.rows.map((row) => [row.status, parseInt(row.count)]));
+  }
+
+  /**
+   * Categories that have reports, for the filter dropdown
+   * @returns {Promise<Array<string>>}
+   */
+  static async findCategories() {
+    const result = await pool.query(
+      'SELECT DISTINCT category FROM error_reports ORDER BY category',
+    );
+    return result.rows.map((row) => row.category);
+  }
+
+  /**
+   * Mark an open report as resolved
+   * @param {number} id - Report ID
+   * @param {Object} resolution - {resolution, resolvedBy}
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} Updated report, or null when it is not open
+   */
+  static async resolve(id, { resolution = null, resolvedBy }, client = null) {
+    const db = client || pool;
+    const result = await db.query(
+      `UPDATE error_reports
+       SET status = 'resolved', resolution = $2, resolved_by = $3, resolved_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [id, resolution, resolvedBy],
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Link the ticket created from a report
+   * @param {number} id - Report ID
+   * @param {number} ticketId - Ticket ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} Updated report, or null when it already has a ticket
+   */
+  static async linkTicket(id, ticketId, client = null) {
+    const db = client || pool;
+    const result = await db.query(
+      `UPDATE error_reports
+       SET ticket_id = $2
+       WHERE id = $1 AND ticket_id IS NULL
+       RETURNING *`,
+      [id, ticketId],
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ErrorReport;
@@ -0,0 +1,169 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Build the WHERE conditions shared by the run history and its count
+ * @param {Object} filters - jobName, status
+ * @param {Array} params - Query parameters (appended to)
+ * @returns {string} SQL conditions starting with " AND", or empty string
+ */
+function buildRunConditions(filters, params) {
+  let conditions = '';
+
+  if (filters.jobName) {
+    params.push(filters.jobName);
+    conditions += ` AND r.job_name = $${params.length}`;
+  }
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions += ` AND r.status = $${params.length}`;
+  }
+
+  return conditions;
+}
+
+/**
+ * Background job runs (job_runs)
+ * One row per run of a scheduled job, written when the run starts and completed when
+ * it ends.
+ */
+class JobRun {
+  /**
+   * Record the start of a run
+   * @param {Object} run - jobName, trigger ('schedule' or 'manual'), triggeredBy (user ID
+   *   for manual runs), worker
+   * @returns {Promise<Object>} Created run
+   */
+  static async create({ jobName, trigger, triggeredBy = null, worker }) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO job_runs (job_name, trigger, triggered_by, worker)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [jobName, trigger, triggeredBy, worker],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('JobRun.create: Database error', {
+        jobName,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the end of a run
+   * @param {number} id - Run ID
+   * @param {Object} outcome - status ('succeeded' or 'failed'), result, error message
+   * @returns {Promise<Object>} Updated run
+   */
+  static async finish(id, { status, result = null, error = null }) {
+    try {
+      const updated = await pool.query(
+        `UPDATE job_runs
+         SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id, status, result === null ? null : JSON.stringify(result), error],
+      );
+      return updated.rows[0];
+    } catch (dbError) {
+      logger.error('JobRun.finish: Database error', {
+        id,
+        error: dbError.message,
+        stack: dbError.stack,
+        code: dbError.code,
+      });
+      throw dbError;
+    }
+  }
+
+  /**
+   * Runs, newest first, with the username of whoever started manual runs
+   * @param {Object} filters - jobName, status, and optionally limit/offset for one page
+   * @returns {Promise<Array>} Run rows with triggered_by_username
+   */
+  static async findAll(filters = {}) {
+    const params = [];
+    let query = `
+      SELECT r.*, u.username AS triggered_by_username
+      FROM job_runs r
+      LEFT JOIN users u ON r.triggered_by = u.id
+      WHERE 1=1${buildRunConditions(filters, params)}
+      ORDER BY r.started_at DESC, r.id DESC
+    `;
+
+    if (filters.limit) {
+      params.push(filters.limit, filters.offset || 0);
+      query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('JobRun.findAll: Database error', {
+        filters,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count runs matching the filters
+   * @param {Object} filters - jobName, status
+   * @returns {Promise<number>}
+   */
+  static async countAll(filters = {}) {
+    const params = [];
+    try {
+      const result = await pool.query(
+        `SELECT COUNT(*) AS count FROM job_runs r WHERE 1=1${buildRunConditions(filters, params)}`,
+        params,
+      );
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('JobRun.countAll: Database error', {
+        filters,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete finished runs older than a number of days
+   * @param {number} days - Days of history to keep
+   * @returns {Promise<number>} Number of runs deleted
+   */
+  static async deleteOlderThan(days) {
+    try {
+      const result = await pool.query(
+        `DELETE FROM job_runs
+         WHERE finished_at IS NOT NULL
+           AND started_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+        [days],
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('JobRun.deleteOlderThan: Database error', {
+        days,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = JobRun;
@@ -0,0 +1,145 @@
+const pool = require('../config/database');
+
+/**
+ * Notification Model
+ * Manages database operations for the notifications table (in-app notification center)
+ *
+ * Every query is scoped to the recipient, so one user can never read or mark
+ * another user's notifications.
+ */
+class Notification {
+  /**
+   * Create notifications in one statement
+   * @param {Array<Object>} rows - [{user_id, ticket_id, actor_id, event_type, details}]
+   * @returns {Promise<Array>} Created rows
+   */
+  static async createMany(rows, client = null) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const db = client || pool;
+    const values = [];
+    const placeholders = rows.map((row, index) => {
+      const offset = index * 5;
+      values.push(
+        row.user_id,
+        row.ticket_id || null,
+        row.actor_id || null,
+        row.event_type,
+        JSON.stringify(row.details || {}),
+      );
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5})`;
+    });
+
+    const result = await db.query(
+      `INSERT INTO notifications (user_id, ticket_id, actor_id, event_type, details)
+       VALUES ${placeholders.join(', ')}
+       RETURNING *`,
+      values,
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find a user's most recent notifications, newest first
+   * @param {number} userId - Recipient user ID
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array>} Rows with ticket title and actor username
+   */
+  static async findRecentByUser(userId, limit = 10) {
+    const result = await pool.query(
+      `SELECT n.id, n.ticket_id, n.event_type, n.details, n.read_at, n.created_at,
+              t.title AS ticket_title,
+              actor.username AS actor_username
+       FROM notifications n
+       LEFT JOIN tickets t ON n.ticket_id = t.id
+       LEFT JOIN users actor ON n.actor_id = actor.id
+       WHERE n.user_id = $1
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $2`,
+      [userId, limit],
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {number} userId - Recipient user ID
+   * @returns {Promise<number>}
+   */
+  static async countUnreadByUser(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId],
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Find one of a user's notifications
+   * @param {number} id - Notification ID
+   * @param {number} userId - Recipient user ID
+   * @returns {Promise<Object|undefined>} Row or undefined (also for other users' notifications)
+   */
+  static async findByIdForUser(id, userId) {
+    const result = await pool.query('SELECT * FROM notifications WHERE id = $1 AND user_id = $2', [
+      id,
+      userId,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Mark one notification as read (keeps the first read time)
+   * @param {number} id - Notification ID
+   * @param {number} userId - Recipient user ID
+   * @returns {Promise<boolean>} True if an unread notification was updated
+   */
+  static async markRead(id, userId) {
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND read_at IS NULL`,
+      [id, userId],
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {number} userId - Recipient user ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  static async markAllRead(userId) {
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND read_at IS NULL`,
+      [userId],
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Find tickets that already got an SLA warning for a target (avoids repeat warnings)
+   * @param {Array<number>} ticketIds - Candidate tickets
+   * @param {string} target - 'first_response' or 'resolution'
+   * @returns {Promise<Array<number>>} Ticket IDs already warned about
+   */
+  static async findSlaWarnedTicketIds(ticketIds, target) {
+    if (ticketIds.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(
+      `SELECT DISTINCT ticket_id
+       FROM notifications
+       WHERE ticket_id = ANY($1::int[])
+         AND event_type = 'sla_warning'
+         AND details->>'target' = $2`,
+      [ticketIds, target],
+    );
+    return result.rows.map((row) => row.ticket_id);
+  }
+}
+
+module.exports = Notification;
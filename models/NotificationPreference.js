@@ -0,0 +1,67 @@
+const pool = require('../config/database');
+
+/**
+ * NotificationPreference Model
+ * Manages database operations for the notification_preferences table
+ *
+ * Notifications are opt-out: a user without a row for an event type receives it.
+ */
+class NotificationPreference {
+  /**
+   * Find all stored preferences of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Rows of {event_type, email_enabled}
+   */
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      `SELECT event_type, email_enabled
+       FROM notification_preferences
+       WHERE user_id = $1
+       ORDER BY event_type`,
+      [userId],
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find which of the given users opted out of an event
+   * @param {Array<number>} userIds - Candidate recipients
+   * @param {string} eventType - NOTIFICATION_EVENT value
+   * @returns {Promise<Array<number>>} IDs of users with email disabled for the event
+   */
+  static async findOptedOutUserIds(userIds, eventType) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(
+      `SELECT user_id
+       FROM notification_preferences
+       WHERE user_id = ANY($1::int[]) AND event_type = $2 AND email_enabled = false`,
+      [userIds, eventType],
+    );
+    return result.rows.map((row) => row.user_id);
+  }
+
+  /**
+   * Store a user's choice for one event type
+   * @param {number} userId - User ID
+   * @param {string} eventType - NOTIFICATION_EVENT value
+   * @param {boolean} emailEnabled - Whether email is sent for the event
+   * @returns {Promise<Object>} Stored row
+   */
+  static async upsert(userId, eventType, emailEnabled, client = null) {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO notification_preferences (user_id, event_type, email_enabled)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, event_type)
+       DO UPDATE SET email_enabled = EXCLUDED.email_enabled, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [userId, eventType, emailEnabled],
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = NotificationPreference;
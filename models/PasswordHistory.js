@@ -0,0 +1,70 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Previous password hashes (password_history)
+ * Rows are written by User.updatePassword whenever a password is replaced; the
+ * password-change check compares a new password against the most recent ones.
+ */
+class PasswordHistory {
+  /**
+   * Hashes of a user's previous passwords, newest first
+   * @param {number} userId - User ID
+   * @param {number} limit - Number of hashes to return
+   * @returns {Promise<Array<string>>}
+   */
+  static async findRecentHashes(userId, limit) {
+    try {
+      const result = await pool.query(
+        `SELECT password_hash FROM password_history
+         WHERE user_id = $1
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2`,
+        [userId, limit],
+      );
+      return result.rows.map((row) => row.password_hash);
+    } catch (error) {
+      logger.error('PasswordHistory.findRecentHashes: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all but a user's most recent hashes
+   * @param {number} userId - User ID
+   * @param {number} keep - Number of hashes to keep
+   * @returns {Promise<number>} Number of hashes deleted
+   */
+  static async prune(userId, keep) {
+    try {
+      const result = await pool.query(
+        `DELETE FROM password_history
+         WHERE user_id = $1
+           AND id NOT IN (
+             SELECT id FROM password_history
+             WHERE user_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2
+           )`,
+        [userId, keep],
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('PasswordHistory.prune: Database error', {
+        userId,
+        keep,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = PasswordHistory;
@@ -0,0 +1,93 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Two-factor recovery codes (two_factor_recovery_codes)
+ * Only SHA-256 hashes are stored; each code can be used once in place of a TOTP code.
+ */
+class RecoveryCode {
+  /**
+   * Replace all of a user's recovery codes
+   * @param {number} userId - User ID
+   * @param {Array<string>} codeHashes - Hashes of the new codes
+   * @returns {Promise<number>} Number of codes stored
+   */
+  static async replaceForUser(userId, codeHashes) {
+    try {
+      const result = await pool.query(
+        `WITH removed AS (
+           DELETE FROM two_factor_recovery_codes WHERE user_id = $1
+         )
+         INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+         SELECT $1, unnest($2::text[])`,
+        [userId, codeHashes],
+      );
+      return result.rowCount;
+    } catch (error) {
+      logger.error('RecoveryCode.replaceForUser: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an unused code of a user as used
+   * @param {number} userId - User ID
+   * @param {string} codeHash - Hash of the code entered
+   * @returns {Promise<boolean>} Whether an unused code matched
+   */
+  static async consume(userId, codeHash) {
+    try {
+      const result = await pool.query(
+        `UPDATE two_factor_recovery_codes
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE id = (
+           SELECT id FROM two_factor_recovery_codes
+           WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           LIMIT 1
+         ) AND used_at IS NULL
+         RETURNING id`,
+        [userId, codeHash],
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('RecoveryCode.consume: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a user's unused codes
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  static async countUnused(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT COUNT(*) AS count FROM two_factor_recovery_codes
+         WHERE user_id = $1 AND used_at IS NULL`,
+        [userId],
+      );
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('RecoveryCode.countUnused: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = RecoveryCode;
@@ -0,0 +1,147 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Background jobs (scheduled_jobs)
+ * One row per job in services/jobService.js. The lock columns make sure only one
+ * worker runs a job at a time: claim() takes the lock in a single UPDATE, so of several
+ * workers polling at once exactly one gets the row back.
+ */
+class ScheduledJob {
+  /**
+   * Create or update the row of every job definition
+   * The interval always follows the code; run state and locks are kept.
+   * @param {Array<{name: string, intervalMinutes: number}>} jobs - Job definitions
+   * @returns {Promise<void>}
+   */
+  static async sync(jobs) {
+    try {
+      for (const job of jobs) {
+        await pool.query(
+          `INSERT INTO scheduled_jobs (name, interval_minutes)
+           VALUES ($1, $2)
+           ON CONFLICT (name) DO UPDATE SET interval_minutes = EXCLUDED.interval_minutes`,
+          [job.name, job.intervalMinutes],
+        );
+      }
+    } catch (error) {
+      logger.error('ScheduledJob.sync: Database error', {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * All jobs, by name
+   * @returns {Promise<Array>} Job rows
+   */
+  static async findAll() {
+    try {
+      const result = await pool.query('SELECT * FROM scheduled_jobs ORDER BY name');
+      return result.rows;
+    } catch (error) {
+      logger.error('ScheduledJob.findAll: Database error', {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Names of the jobs that are due and not locked
+   * @returns {Promise<Array<string>>}
+   */
+  static async findDueNames() {
+    try {
+      const result = await pool.query(
+        `SELECT name FROM scheduled_jobs
+         WHERE next_run_at <= CURRENT_TIMESTAMP
+           AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+         ORDER BY next_run_at, name`,
+      );
+      return result.rows.map((row) => row.name);
+    } catch (error) {
+      logger.error('ScheduledJob.findDueNames: Database error', {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Take the lock of a job
+   * Fails when another worker holds an unexpired lock, or (unless force) when the job is
+   * not due yet, e.g. because another worker ran it a moment ago.
+   * @param {string} name - Job name
+   * @param {Object} options - worker (lock owner), leaseMinutes (lock lifetime), force
+   *   (run even if not due, for manual runs)
+   * @returns {Promise<Object|null>} The locked job, or null if not claimed
+   */
+  static async claim(name, { worker, leaseMinutes, force = false }) {
+    try {
+      const result = await pool.query(
+        `UPDATE scheduled_jobs
+         SET locked_by = $2,
+             locked_until = CURRENT_TIMESTAMP + make_interval(mins => $3)
+         WHERE name = $1
+           AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+           AND ($4 OR next_run_at <= CURRENT_TIMESTAMP)
+         RETURNING *`,
+        [name, worker, leaseMinutes, force],
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('ScheduledJob.claim: Database error', {
+        name,
+        worker,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a run, schedule the next one and release the lock
+   * Only the lock owner can release it.
+   * @param {string} name - Job name
+   * @param {Object} outcome - worker, status ('succeeded' or 'failed'), result
+   * @returns {Promise<Object|null>} Updated job, or null if the lock was lost
+   */
+  static async release(name, { worker, status, result = null }) {
+    try {
+      const updated = await pool.query(
+        `UPDATE scheduled_jobs
+         SET last_run_at = CURRENT_TIMESTAMP,
+             last_status = $3,
+             last_result = $4,
+             next_run_at = CURRENT_TIMESTAMP + make_interval(mins => interval_minutes),
+             locked_by = NULL,
+             locked_until = NULL
+         WHERE name = $1 AND locked_by = $2
+         RETURNING *`,
+        [name, worker, status, result === null ? null : JSON.stringify(result)],
+      );
+      return updated.rows[0] || null;
+    } catch (error) {
+      logger.error('ScheduledJob.release: Database error', {
+        name,
+        worker,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = ScheduledJob;
@@ -0,0 +1,100 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Applied migrations (schema_migrations)
+ * The table is created by the migration runner itself, before any migration runs.
+ * Every method takes the runner's client so reads and writes happen on the session
+ * that holds the migration lock.
+ */
+class SchemaMigration {
+  /**
+   * Create the tracking table if it does not exist
+   * @param {Object} client - Optional client
+   * @returns {Promise<void>}
+   */
+  static async createTable(client = null) {
+    const db = client || pool;
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version INTEGER PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         checksum CHAR(64) NOT NULL,
+         -- true when recorded by "baseline" without running the file
+         baselined BOOLEAN NOT NULL DEFAULT false,
+         duration_ms INTEGER,
+         applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+       )`,
+    );
+  }
+
+  /**
+   * Applied migrations, oldest version first
+   * @param {Object} client - Optional client
+   * @returns {Promise<Array>} [{version, name, checksum, baselined, duration_ms, applied_at}]
+   */
+  static async findAll(client = null) {
+    const db = client || pool;
+    try {
+      const result = await db.query(
+        `SELECT version, name, checksum, baselined, duration_ms, applied_at
+         FROM schema_migrations
+         ORDER BY version`,
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('SchemaMigration.findAll: Database error', {
+        error: error.message,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a migration as applied
+   * @param {Object} migration - {version, name, checksum, baselined, durationMs}
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} Created row
+   */
+  static async record(
+    { version, name, checksum, baselined = false, durationMs = null },
+    client = null,
+  ) {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO schema_migrations (version, name, checksum, baselined, duration_ms)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [version, name, checksum, baselined, durationMs],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Forget a migration after its down script ran
+   * @param {number} version - Migration version
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<boolean>} Whether a row was deleted
+   */
+  static async remove(version, client = null) {
+    const db = client || pool;
+    const result = await db.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Whether the database already has the application schema (the users table)
+   * Used to refuse re-running every migration on a database created before the
+   * tracking table existed.
+   * @param {Object} client - Optional client
+   * @returns {Promise<boolean>}
+   */
+  static async hasApplicationSchema(client = null) {
+    const db = client || pool;
+    const result = await db.query("SELECT to_regclass('public.users') IS NOT NULL AS exists");
+    return result.rows[0].exists;
+  }
+}
+
+module.exports = SchemaMigration;
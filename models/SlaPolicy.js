@@ -0,0 +1,113 @@
+const pool = require('../config/database');
+
+/**
+ * SlaPolicy Model
+ * Manages database operations for the sla_policies table
+ *
+ * A policy sets first-response and resolution targets (in minutes) for one
+ * ticket priority. Policies with department_id NULL are global defaults; a
+ * department-specific policy overrides the global one for that department.
+ */
+class SlaPolicy {
+  /**
+   * Find all policies with their department name (for admin management UI)
+   * Global policies are listed first, then by department and priority severity
+   * @returns {Promise<Array>} Array of policy objects
+   */
+  static async findAll() {
+    const result = await pool.query(
+      `SELECT sp.*, d.name as department_name
+       FROM sla_policies sp
+       LEFT JOIN departments d ON sp.department_id = d.id
+       ORDER BY sp.department_id IS NOT NULL, d.name,
+         CASE sp.priority
+           WHEN 'critical' THEN 1
+           WHEN 'high' THEN 2
+           WHEN 'medium' THEN 3
+           WHEN 'low' THEN 4
+           ELSE 5
+         END`,
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find policy by ID
+   * @param {number} id - Policy ID
+   * @returns {Promise<Object|undefined>} Policy object or undefined
+   */
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT sp.*, d.name as department_name
+       FROM sla_policies sp
+       LEFT JOIN departments d ON sp.department_id = d.id
+       WHERE sp.id = $1`,
+      [id],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find the policy for an exact priority/department scope
+   * @param {string} priority - Ticket priority
+   * @param {number|null} departmentId - Department ID, or null for the global policy
+   * @returns {Promise<Object|undefined>} Policy object or undefined
+   */
+  static async findByScope(priority, departmentId) {
+    const result = await pool.query(
+      'SELECT * FROM sla_policies WHERE priority = $1 AND department_id IS NOT DISTINCT FROM $2',
+      [priority, departmentId],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Create a new policy
+   * @param {Object} data - {priority, department_id, first_response_minutes, resolution_minutes}
+   * @returns {Promise<Object>} Created policy
+   */
+  static async create(
+    { priority, department_id, first_response_minutes, resolution_minutes },
+    client = null,
+  ) {
+    const db = client || pool;
+    const result = await db.query(
+      `INSERT INTO sla_policies (priority, department_id, first_response_minutes, resolution_minutes)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [priority, department_id || null, first_response_minutes, resolution_minutes],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update policy targets (scope is fixed once created)
+   * @param {number} id - Policy ID
+   * @param {Object} data - {first_response_minutes, resolution_minutes}
+   * @returns {Promise<Object|undefined>} Updated policy
+   */
+  static async update(id, { first_response_minutes, resolution_minutes }, client = null) {
+    const db = client || pool;
+    const result = await db.query(
+      `UPDATE sla_policies
+       SET first_response_minutes = $1, resolution_minutes = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [first_response_minutes, resolution_minutes, id],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete policy (hard delete - tickets fall back to the next matching policy)
+   * @param {number} id - Policy ID
+   * @returns {Promise<Object|undefined>} Deleted policy
+   */
+  static async delete(id, client = null) {
+    const db = client || pool;
+    const result = await db.query('DELETE FROM sla_policies WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0];
+  }
+}
+
+module.exports = SlaPolicy;
@@ -1,7 +1,151 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
+const TicketStatusHistory = require('./TicketStatusHistory');
 const { sanitizeSearchInput } = require('../utils/sanitizeSearch');
 
+/**
+ * SLA SQL fragments shared by ticket queries (alias `t` = tickets)
+ *
+ * The applicable policy is the department-specific policy for the ticket's
+ * priority, falling back to the global (department_id NULL) policy. Due dates
+ * are computed at query time so priority or policy changes apply immediately.
+ * A response/resolution that has not happened yet is measured against now;
+ * closing a ticket without any admin reply stops the first-response clock.
+ */
+const SLA_POLICY_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT sp.first_response_minutes, sp.resolution_minutes
+    FROM sla_policies sp
+    WHERE sp.priority = t.priority
+      AND (sp.department_id = t.reporter_department_id OR sp.department_id IS NULL)
+    ORDER BY sp.department_id NULLS LAST
+    LIMIT 1
+  ) sla ON true`;
+
+const SLA_FIRST_RESPONSE_DUE = 't.created_at + make_interval(mins => sla.first_response_minutes)';
+const SLA_RESOLUTION_DUE = 't.created_at + make_interval(mins => sla.resolution_minutes)';
+const SLA_FIRST_RESPONSE_BREACHED = `COALESCE(COALESCE(t.first_response_at, t.resolved_at, CURRENT_TIMESTAMP) > ${SLA_FIRST_RESPONSE_DUE}, false)`;
+const SLA_RESOLUTION_BREACHED = `COALESCE(COALESCE(t.resolved_at, CURRENT_TIMESTAMP) > ${SLA_RESOLUTION_DUE}, false)`;
+
+const SLA_COLUMNS = `
+  ${SLA_FIRST_RESPONSE_DUE} as first_response_due_at,
+  ${SLA_RESOLUTION_DUE} as resolution_due_at,
+  ${SLA_FIRST_RESPONSE_BREACHED} as first_response_breached,
+  ${SLA_RESOLUTION_BREACHED} as resolution_breached`;
+
+/**
+ * Dashboard SLA filters (filters.sla)
+ */
+const SLA_FILTERS = {
+  breached: ` AND (${SLA_FIRST_RESPONSE_BREACHED} OR ${SLA_RESOLUTION_BREACHED})`,
+  on_track: ` AND sla.resolution_minutes IS NOT NULL AND NOT ${SLA_FIRST_RESPONSE_BREACHED} AND NOT ${SLA_RESOLUTION_BREACHED}`,
+  no_policy: ' AND sla.resolution_minutes IS NULL',
+};
+
+/**
+ * SQL condition of a dashboard SLA filter
+ * Only the table's own keys count (`?sla=toString` must not reach the query).
+ * @param {string} sla - filters.sla
+ * @returns {string|null} Condition starting with AND, or null for no / unknown filter
+ */
+function slaFilterFor(sla) {
+  return Object.hasOwn(SLA_FILTERS, sla) ? SLA_FILTERS[sla] : null;
+}
+
+/**
+ * Ticket list sort keys (filters.sort) with their default direction
+ * `filters.order` ('asc' | 'desc') overrides the direction. The SLA keys need
+ * the SLA columns and are only available in findAll. Every order ends with
+ * t.id so pages are stable when the sort key has ties.
+ */
+const PRIORITY_RANK =
+  "CASE t.priority WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END";
+const STATUS_RANK =
+  "CASE t.status WHEN 'open' THEN 1 WHEN 'in_progress' THEN 2 WHEN 'waiting_on_admin' THEN 3 WHEN 'waiting_on_department' THEN 4 ELSE 5 END";
+
+const SORT_KEYS = {
+  newest: { expression: 't.created_at', direction: 'DESC' },
+  updated: { expression: 't.updated_at', direction: 'DESC' },
+  priority: { expression: PRIORITY_RANK, direction: 'DESC' },
+  status: { expression: STATUS_RANK, direction: 'ASC' },
+  id: { expression: 't.id', direction: 'DESC' },
+  response_due: { expression: 'first_response_due_at', direction: 'ASC', sla: true },
+  resolution_due: { expression: 'resolution_due_at', direction: 'ASC', sla: true },
+};
+
+/**
+ * Build the ORDER BY clause for a ticket list
+ * Unknown keys (and SLA keys when SLA columns are unavailable) fall back to newest first.
+ * @param {Object} filters - List filters (sort, order)
+ * @param {boolean} withSla - Whether the query selects the SLA columns
+ * @returns {string} ORDER BY clause
+ */
+function buildOrderBy(filters, withSla) {
+  // Own keys only: `?sort=constructor` must fall back like any other unknown key
+  const key = Object.hasOwn(SORT_KEYS, filters.sort) ? SORT_KEYS[filters.sort] : null;
+  const sortKey = key && (withSla || !key.sla) ? key : SORT_KEYS.newest;
+  const direction = ['asc', 'desc'].includes(filters.order)
+    ? filters.order.toUpperCase()
+    : sortKey.direction;
+  const nulls = sortKey.sla ? ' NULLS LAST' : '';
+  const tieBreaker = sortKey === SORT_KEYS.id ? '' : `, t.id ${direction}`;
+
+  return ` ORDER BY ${sortKey.expression} ${direction}${nulls}${tieBreaker}`;
+}
+
+/**
+ * Append the shared ticket list filters (status, priority, search, assignee)
+ * @param {Object} filters - List filters
+ * @param {Array} params - Query parameters; matching values are pushed onto it
+ * @returns {string} SQL conditions, each starting with AND
+ */
+function buildListConditions(filters, params) {
+  let conditions = '';
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions += ` AND t.status = $${params.length}`;
+  }
+
+  if (filters.priority) {
+    params.push(filters.priority);
+    conditions += ` AND t.priority = $${params.length}`;
+  }
+
+  if (filters.search) {
+    params.push(`%${sanitizeSearchInput(filters.search)}%`);
+    conditions += ` AND (t.title ILIKE $${params.length} OR t.description ILIKE $${params.length})`;
+  }
+
+  // Assignee filter: 'unassigned' or a user ID
+  if (filters.assigned_to === 'unassigned') {
+    conditions += ' AND t.assigned_to IS NULL';
+  } else if (filters.assigned_to) {
+    params.push(parseInt(filters.assigned_to));
+    conditions += ` AND t.assigned_to = $${params.length}`;
+  }
+
+  return conditions;
+}
+
+/**
+ * Append LIMIT/OFFSET when the caller asked for a page
+ * @param {Object} filters - List filters (limit, offset)
+ * @param {Array} params - Query parameters
+ * @returns {string} LIMIT/OFFSET clause or empty string
+ */
+function buildPageClause(filters, params) {
+  if (!filters.limit) {
+    return '';
+  }
+  params.push(filters.limit, filters.offset || 0);
+  return ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+}
+
+const DEPARTMENT_LIST_WHERE = `
+        WHERE t.reporter_department_id = $1
+          AND t.is_admin_created = false`;
+
 class Ticket {
   static async create(
     {
@@ -29,8 +173,8 @@ class Ticket {
         titleLength: title?.length,
       });
       const result = await db.query(
-        `INSERT INTO tickets (title, description, reporter_name, reporter_department, reporter_phone, reporter_id, priority, status, is_admin_created)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `INSERT INTO tickets (title, description, reporter_name, reporter_department, reporter_department_id, reporter_phone, reporter_id, priority, status, is_admin_created)
+         VALUES ($1, $2, $3, $4, (SELECT id FROM departments WHERE name = $4::varchar), $5, $6, $7, $8, $9)
          RETURNING *`,
         [
           title,
@@ -44,6 +188,7 @@ class Ticket {
           is_admin_created,
         ],
       );
+      await TicketStatusHistory.record(result.rows[0].id, result.rows[0].status, db);
       const duration = Date.now() - startTime;
 
       if (duration > 500) {
@@ -84,10 +229,12 @@ class Ticket {
     try {
       logger.debug('Ticket.findById: Starting query', { ticketId: id });
       const result = await pool.query(
-        `SELECT t.*, u.username as assigned_to_username, d.floor as department_floor
+        `SELECT t.*, u.username as assigned_to_username, d.floor as department_floor,
+           sla.first_response_minutes, sla.resolution_minutes, ${SLA_COLUMNS}
          FROM tickets t
          LEFT JOIN users u ON t.assigned_to = u.id
-         LEFT JOIN departments d ON t.reporter_department = d.name
+         LEFT JOIN departments d ON t.reporter_department_id = d.id
+         ${SLA_POLICY_JOIN}
          WHERE t.id = $1`,
         [id],
       );
@@ -114,10 +261,17 @@ class Ticket {
     }
   }
 
+  /**
+   * List tickets for the admin dashboard
+   * @param {Object} filters - status, priority, search, assigned_to, sla, sort, order,
+   *   and optionally limit/offset for one page
+   * @returns {Promise<Array>} Tickets with assignee, last public comment and SLA columns
+   */
   static async findAll(filters = {}) {
     const startTime = Date.now();
     try {
       logger.debug('Ticket.findAll: Starting query', { filters });
+      const params = [];
       let query = `
         SELECT
           t.*,
@@ -128,34 +282,22 @@ class Ticket {
             WHERE ticket_id = t.id AND visibility_type = 'public'
             ORDER BY created_at DESC
             LIMIT 1
-          ) as last_comment
+          ) as last_comment,
+          ${SLA_COLUMNS}
         FROM tickets t
         LEFT JOIN users u ON t.assigned_to = u.id
+        ${SLA_POLICY_JOIN}
         WHERE 1=1
       `;
-      const params = [];
-      let paramIndex = 1;
+      query += buildListConditions(filters, params);
 
-      if (filters.status) {
-        query += ` AND t.status = $${paramIndex}`;
-        params.push(filters.status);
-        paramIndex++;
-      }
-
-      if (filters.priority) {
-        query += ` AND t.priority = $${paramIndex}`;
-        params.push(filters.priority);
-        paramIndex++;
-      }
-
-      if (filters.search) {
-        query += ` AND (t.title ILIKE $${paramIndex} OR t.description ILIKE $${paramIndex})`;
-        const sanitizedSearch = sanitizeSearchInput(filters.search);
-        params.push(`%${sanitizedSearch}%`);
-        paramIndex++;
+      const slaFilter = slaFilterFor(filters.sla);
+      if (slaFilter) {
+        query += slaFilter;
       }
 
-      query += ' ORDER BY t.created_at DESC';
+      query += buildOrderBy(filters, true);
+      query += buildPageClause(filters, params);
 
       const result = await pool.query(query, params);
       const duration = Date.now() - startTime;
@@ -185,10 +327,65 @@ class Ticket {
     }
   }
 
-  static async findByDepartment(department, filters = {}) {
+  /**
+   * Count tickets matching the admin dashboard filters (ignores sort and paging)
+   * @param {Object} filters - Same filters as findAll
+   * @returns {Promise<number>} Number of matching tickets
+   */
+  static async countAll(filters = {}) {
     const startTime = Date.now();
     try {
-      logger.debug('Ticket.findByDepartment: Starting query', { department, filters });
+      logger.debug('Ticket.countAll: Starting query', { filters });
+      const params = [];
+      // The SLA join is only needed when filtering on SLA state
+      const slaFilter = slaFilterFor(filters.sla);
+      let query = `
+        SELECT COUNT(*) as count
+        FROM tickets t
+        ${slaFilter ? SLA_POLICY_JOIN : ''}
+        WHERE 1=1
+      `;
+      query += buildListConditions(filters, params);
+      if (slaFilter) {
+        query += slaFilter;
+      }
+
+      const result = await pool.query(query, params);
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('Ticket.countAll: Slow query detected', { filters, duration });
+      }
+
+      logger.debug('Ticket.countAll: Query completed', {
+        filters,
+        count: result.rows[0].count,
+        duration,
+      });
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Ticket.countAll: Database error', {
+        filters,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a department's tickets for the client portal (admin-created tickets excluded)
+   * @param {number} departmentId - Department ID
+   * @param {Object} filters - status, priority, search, sort, order,
+   *   and optionally limit/offset for one page
+   * @returns {Promise<Array>} Tickets with assignee and last public comment
+   */
+  static async findByDepartment(departmentId, filters = {}) {
+    const startTime = Date.now();
+    try {
+      logger.debug('Ticket.findByDepartment: Starting query', { departmentId, filters });
+      const params = [departmentId];
       let query = `
         SELECT
           t.*,
@@ -202,39 +399,18 @@ class Ticket {
           ) as last_comment
         FROM tickets t
         LEFT JOIN users u ON t.assigned_to = u.id
-        WHERE t.reporter_department = $1
-          AND t.is_admin_created = false
+        ${DEPARTMENT_LIST_WHERE}
       `;
-      const params = [department];
-      let paramIndex = 2;
-
-      if (filters.status) {
-        query += ` AND t.status = $${paramIndex}`;
-        params.push(filters.status);
-        paramIndex++;
-      }
-
-      if (filters.priority) {
-        query += ` AND t.priority = $${paramIndex}`;
-        params.push(filters.priority);
-        paramIndex++;
-      }
-
-      if (filters.search) {
-        query += ` AND (t.title ILIKE $${paramIndex} OR t.description ILIKE $${paramIndex})`;
-        const sanitizedSearch = sanitizeSearchInput(filters.search);
-        params.push(`%${sanitizedSearch}%`);
-        paramIndex++;
-      }
-
-      query += ' ORDER BY t.created_at DESC';
+      query += buildListConditions(filters, params);
+      query += buildOrderBy(filters, false);
+      query += buildPageClause(filters, params);
 
       const result = await pool.query(query, params);
       const duration = Date.now() - startTime;
 
       if (duration > 500) {
         logger.warn('Ticket.findByDepartment: Slow query detected', {
-          department,
+          departmentId,
           filters,
           duration,
           rowCount: result.rows.length,
@@ -242,7 +418,7 @@ class Ticket {
       }
 
       logger.debug('Ticket.findByDepartment: Query completed', {
-        department,
+        departmentId,
         filters,
         rowCount: result.rows.length,
         duration,
@@ -250,7 +426,55 @@ class Ticket {
       return result.rows;
     } catch (error) {
       logger.error('Ticket.findByDepartment: Database error', {
-        department,
+        departmentId,
+        filters,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a department's tickets matching the client portal filters
+   * @param {number} departmentId - Department ID
+   * @param {Object} filters - Same filters as findByDepartment
+   * @returns {Promise<number>} Number of matching tickets
+   */
+  static async countByDepartment(departmentId, filters = {}) {
+    const startTime = Date.now();
+    try {
+      logger.debug('Ticket.countByDepartment: Starting query', { departmentId, filters });
+      const params = [departmentId];
+      let query = `
+        SELECT COUNT(*) as count
+        FROM tickets t
+        ${DEPARTMENT_LIST_WHERE}
+      `;
+      query += buildListConditions(filters, params);
+
+      const result = await pool.query(query, params);
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('Ticket.countByDepartment: Slow query detected', {
+          departmentId,
+          filters,
+          duration,
+        });
+      }
+
+      logger.debug('Ticket.countByDepartment: Query completed', {
+        departmentId,
+        filters,
+        count: result.rows[0].count,
+        duration,
+      });
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Ticket.countByDepartment: Database error', {
+        departmentId,
         filters,
         error: error.message,
         stack: error.stack,
@@ -260,8 +484,116 @@ class Ticket {
     }
   }
 
+  /**
+   * Count a department's tickets per status (no filters), for dashboard summaries
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<Object>} Map of status -> count (statuses without tickets omitted)
+   */
+  static async countStatusesByDepartment(departmentId) {
+    const startTime = Date.now();
+    try {
+      logger.debug('Ticket.countStatusesByDepartment: Starting query', { departmentId });
+      const result = await pool.query(
+        `SELECT t.status, COUNT(*) as count
+         FROM tickets t
+         ${DEPARTMENT_LIST_WHERE}
+         GROUP BY t.status`,
+        [departmentId],
+      );
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('Ticket.countStatusesByDepartment: Slow query detected', {
+          departmentId,
+          duration,
+        });
+      }
+
+      logger.debug('Ticket.countStatusesByDepartment: Query completed', {
+        departmentId,
+        rowCount: result.rows.length,
+        duration,
+      });
+      return Object.fromEntries(result.rows.map((row) => [row.status, parseInt(row.count)]));
+    } catch (error) {
+      logger.error('Ticket.countStatusesByDepartment: Database error', {
+        departmentId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a department's tickets closed at or after a given time
+   * @param {number} departmentId - Department ID
+   * @param {Date} since - Earliest resolution time
+   * @returns {Promise<number>}
+   */
+  static async countClosedSinceByDepartment(departmentId, since) {
+    try {
+      const result = await pool.query(
+        `SELECT COUNT(*) as count
+         FROM tickets t
+         ${DEPARTMENT_LIST_WHERE}
+           AND t.status = 'closed'
+           AND t.resolved_at >= $2`,
+        [departmentId, since],
+      );
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Ticket.countClosedSinceByDepartment: Database error', {
+        departmentId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a department's oldest ticket that is not closed
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<Object|undefined>} {id, title, status, priority, created_at}
+   */
+  static async findOldestOpenByDepartment(departmentId) {
+    try {
+      const result = await pool.query(
+        `SELECT t.id, t.title, t.status, t.priority, t.created_at
+         FROM tickets t
+         ${DEPARTMENT_LIST_WHERE}
+           AND t.status <> 'closed'
+         ORDER BY t.created_at ASC, t.id ASC
+         LIMIT 1`,
+        [departmentId],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Ticket.findOldestOpenByDepartment: Database error', {
+        departmentId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a ticket's status, priority and/or assignee
+   * A status change is recorded in the status history in the same transaction, with the
+   * ticket row locked, so concurrent changes cannot leave two open periods or none.
+   * Without a client the update gets its own transaction; a client passed in must
+   * already be inside one.
+   * @param {number} id - Ticket ID
+   * @param {Object} changes - status, priority, assigned_to (undefined fields are kept)
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|undefined>} Updated ticket, or undefined if not found
+   */
   static async update(id, { status, priority, assigned_to }, client = null) {
-    const db = client || pool;
     const startTime = Date.now();
     const updates = [];
     const params = [];
@@ -270,11 +602,22 @@ class Ticket {
     const changes = { status, priority, assigned_to };
     const changedFields = Object.keys(changes).filter((key) => changes[key] !== undefined);
 
+    const db = client || (await pool.connect());
     try {
       logger.info('Ticket.update: Starting ticket update', { ticketId: id, changedFields });
+      if (!client) {
+        await db.query('BEGIN');
+      }
+      await db.query('SELECT id FROM tickets WHERE id = $1 FOR UPDATE', [id]);
 
       if (status) {
         updates.push(`status = $${paramIndex}`);
+        // Resolution time: stamped on first close, kept on re-close, cleared on reopen
+        updates.push(
+          status === 'closed'
+            ? 'resolved_at = COALESCE(resolved_at, CURRENT_TIMESTAMP)'
+            : 'resolved_at = NULL',
+        );
         params.push(status);
         paramIndex++;
       }
@@ -297,6 +640,12 @@ class Ticket {
       const query = `UPDATE tickets SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
 
       const result = await db.query(query, params);
+      if (status && result.rows[0]) {
+        await TicketStatusHistory.record(id, status, db);
+      }
+      if (!client) {
+        await db.query('COMMIT');
+      }
       const duration = Date.now() - startTime;
 
       if (duration > 500) {
@@ -314,6 +663,9 @@ class Ticket {
       });
       return result.rows[0];
     } catch (error) {
+      if (!client) {
+        await db.query('ROLLBACK').catch(() => {});
+      }
       logger.error('Ticket.update: Database error', {
         ticketId: id,
         changedFields,
@@ -322,6 +674,165 @@ class Ticket {
         code: error.code,
       });
       throw error;
+    } finally {
+      if (!client) {
+        db.release();
+      }
+    }
+  }
+
+  /**
+   * Record the first admin response time for SLA tracking
+   * Only the first call has an effect; later responses leave the timestamp untouched.
+   * @param {number} id - Ticket ID
+   * @param {Date} respondedAt - When the response was made (comment created_at)
+   * @returns {Promise<Object|undefined>} Updated ticket, or undefined if already responded
+   */
+  static async recordFirstResponse(id, respondedAt, client = null) {
+    const db = client || pool;
+    try {
+      const result = await db.query(
+        `UPDATE tickets
+         SET first_response_at = $1
+         WHERE id = $2 AND first_response_at IS NULL
+         RETURNING *`,
+        [respondedAt, id],
+      );
+
+      if (result.rows[0]) {
+        logger.info('Ticket.recordFirstResponse: First response recorded', {
+          ticketId: id,
+          respondedAt,
+        });
+      }
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Ticket.recordFirstResponse: Database error', {
+        ticketId: id,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find open tickets whose SLA first-response or resolution deadline falls within
+   * the next `withinMinutes` (not yet breached). Targets already met are skipped.
+   * @param {number} withinMinutes - Warning window
+   * @returns {Promise<Array>} Rows of {id, title, assigned_to, target, due_at}, soonest first
+   */
+  static async findNearingSlaBreach(withinMinutes) {
+    try {
+      const result = await pool.query(
+        `SELECT t.id, t.title, t.assigned_to, due.target, due.due_at
+         FROM tickets t
+         ${SLA_POLICY_JOIN}
+         CROSS JOIN LATERAL (VALUES
+           ('first_response', ${SLA_FIRST_RESPONSE_DUE}, t.first_response_at IS NULL),
+           ('resolution', ${SLA_RESOLUTION_DUE}, true)
+         ) AS due(target, due_at, pending)
+         WHERE t.status != 'closed'
+           AND sla.resolution_minutes IS NOT NULL
+           AND due.pending
+           AND due.due_at > CURRENT_TIMESTAMP
+           AND due.due_at <= CURRENT_TIMESTAMP + make_interval(mins => $1)
+         ORDER BY due.due_at, t.id`,
+        [withinMinutes],
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Ticket.findNearingSlaBreach: Database error', {
+        withinMinutes,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find tickets that have been waiting on their department for `idleDays` without any
+   * comment or change in that time
+   * The wait starts when the ticket entered waiting_on_department (ticket status history).
+   * @param {number} idleDays - Days without activity
+   * @returns {Promise<Array>} Ticket rows with waiting_since, longest waiting first
+   */
+  static async findStaleWaitingOnDepartment(idleDays) {
+    try {
+      const result = await pool.query(
+        `SELECT t.*, h.started_at AS waiting_since
+         FROM tickets t
+         JOIN ticket_status_history h ON h.ticket_id = t.id AND h.ended_at IS NULL
+         WHERE t.status = 'waiting_on_department'
+           AND h.started_at <= CURRENT_TIMESTAMP - make_interval(days => $1)
+           AND t.updated_at <= CURRENT_TIMESTAMP - make_interval(days => $1)
+           AND NOT EXISTS (
+             SELECT 1 FROM comments c
+             WHERE c.ticket_id = t.id
+               AND c.created_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+           )
+         ORDER BY h.started_at, t.id`,
+        [idleDays],
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Ticket.findStaleWaitingOnDepartment: Database error', {
+        idleDays,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Close a ticket found by findStaleWaitingOnDepartment if it is still stale
+   * The conditions are checked again in the UPDATE itself, so a ticket commented on or
+   * changed since it was found is left alone. The status period is recorded on the same
+   * client; pass one inside a transaction.
+   * @param {number} id - Ticket ID
+   * @param {number} idleDays - Days without activity
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|undefined>} Closed ticket, or undefined if no longer stale
+   */
+  static async closeIfStale(id, idleDays, client = null) {
+    const db = client || pool;
+    try {
+      const result = await db.query(
+        `UPDATE tickets t
+         SET status = 'closed',
+             resolved_at = COALESCE(t.resolved_at, CURRENT_TIMESTAMP),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE t.id = $1
+           AND t.status = 'waiting_on_department'
+           AND t.updated_at <= CURRENT_TIMESTAMP - make_interval(days => $2)
+           AND NOT EXISTS (
+             SELECT 1 FROM comments c
+             WHERE c.ticket_id = t.id
+               AND c.created_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+           )
+         RETURNING *`,
+        [id, idleDays],
+      );
+
+      if (result.rows[0]) {
+        await TicketStatusHistory.record(id, 'closed', db);
+        logger.info('Ticket.closeIfStale: Stale ticket closed', { ticketId: id, idleDays });
+      }
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Ticket.closeIfStale: Database error', {
+        ticketId: id,
+        idleDays,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
     }
   }
 }
@@ -0,0 +1,218 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+// Tickets opened / closed inside the report range ($1 = from, $2 = to, both inclusive dates)
+const OPENED_IN_RANGE = 't.created_at >= $1::date AND t.created_at < $2::date + 1';
+const CLOSED_IN_RANGE = 't.resolved_at >= $1::date AND t.resolved_at < $2::date + 1';
+
+// Median durations in whole seconds (NULL when nothing matched)
+const MEDIAN_FIRST_RESPONSE = `ROUND(EXTRACT(EPOCH FROM percentile_cont(0.5) WITHIN GROUP
+  (ORDER BY t.first_response_at - t.created_at)
+  FILTER (WHERE t.first_response_at IS NOT NULL AND ${OPENED_IN_RANGE})))::int`;
+const MEDIAN_CLOSE = `ROUND(EXTRACT(EPOCH FROM percentile_cont(0.5) WITHIN GROUP
+  (ORDER BY t.resolved_at - t.created_at)
+  FILTER (WHERE ${CLOSED_IN_RANGE})))::int`;
+
+// Per-group counts shared by the department and floor breakdowns
+const BREAKDOWN_COLUMNS = `
+  COUNT(t.id) FILTER (WHERE ${OPENED_IN_RANGE})::int AS opened,
+  COUNT(t.id) FILTER (WHERE ${CLOSED_IN_RANGE})::int AS closed,
+  COUNT(t.id) FILTER (WHERE t.status <> 'closed')::int AS backlog,
+  ${MEDIAN_FIRST_RESPONSE} AS median_first_response_seconds,
+  ${MEDIAN_CLOSE} AS median_close_seconds`;
+
+/**
+ * Run a report query with slow query and error logging
+ * @param {string} name - Method name for log messages
+ * @param {string} sql - Query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} Rows
+ */
+async function runReport(name, sql, params) {
+  const startTime = Date.now();
+  try {
+    const result = await pool.query(sql, params);
+    const duration = Date.now() - startTime;
+
+    if (duration > 500) {
+      logger.warn(`TicketReport.${name}: Slow query detected`, { params, duration });
+    }
+
+    logger.debug(`TicketReport.${name}: Query completed`, {
+      rowCount: result.rows.length,
+      duration,
+    });
+    return result.rows;
+  } catch (error) {
+    logger.error(`TicketReport.${name}: Database error`, {
+      params,
+      error: error.message,
+      stack: error.stack,
+      code: error.code,
+    });
+    throw error;
+  }
+}
+
+/**
+ * TicketReport Model
+ * Read-only aggregate queries over tickets for the admin reports
+ * Dates are YYYY-MM-DD strings and both ends of a range are inclusive. "Closed" means
+ * resolved_at falls in the range (reopening a ticket clears resolved_at).
+ */
+class TicketReport {
+  /**
+   * Tickets opened and closed per day or week, with empty periods included
+   * @param {string} from - First day
+   * @param {string} to - Last day
+   * @param {string} granularity - 'day' or 'week' (weeks start on Monday)
+   * @returns {Promise<Array>} [{period: 'YYYY-MM-DD', opened, closed}] oldest first
+   */
+  static async countOpenedClosed(from, to, granularity) {
+    return runReport(
+      'countOpenedClosed',
+      `WITH periods AS (
+         SELECT generate_series(
+           date_trunc($3::text, $1::date::timestamp),
+           date_trunc($3::text, $2::date::timestamp),
+           ('1 ' || $3::text)::interval
+         ) AS period
+       ),
+       opened AS (
+         SELECT date_trunc($3::text, t.created_at) AS period, COUNT(*) AS count
+         FROM tickets t
+         WHERE ${OPENED_IN_RANGE}
+         GROUP BY 1
+       ),
+       closed AS (
+         SELECT date_trunc($3::text, t.resolved_at) AS period, COUNT(*) AS count
+         FROM tickets t
+         WHERE ${CLOSED_IN_RANGE}
+         GROUP BY 1
+       )
+       SELECT to_char(p.period, 'YYYY-MM-DD') AS period,
+              COALESCE(o.count, 0)::int AS opened,
+              COALESCE(c.count, 0)::int AS closed
+       FROM periods p
+       LEFT JOIN opened o ON o.period = p.period
+       LEFT JOIN closed c ON c.period = p.period
+       ORDER BY p.period`,
+      [from, to, granularity],
+    );
+  }
+
+  /**
+   * Tickets not yet closed, per status and priority (current state, not ranged)
+   * @returns {Promise<Array>} [{status, priority, count}]
+   */
+  static async countBacklog() {
+    return runReport(
+      'countBacklog',
+      `SELECT t.status, t.priority, COUNT(*)::int AS count
+       FROM tickets t
+       WHERE t.status <> 'closed'
+       GROUP BY t.status, t.priority`,
+      [],
+    );
+  }
+
+  /**
+   * Median time to first response (tickets opened in the range) and to close
+   * (tickets closed in the range), per priority plus an overall row
+   * @param {string} from - First day
+   * @param {string} to - Last day
+   * @returns {Promise<Array>} [{priority (null for overall), responded,
+   *   median_first_response_seconds, closed, median_close_seconds}]
+   */
+  static async findResponseTimes(from, to) {
+    return runReport(
+      'findResponseTimes',
+      `SELECT CASE WHEN GROUPING(t.priority) = 1 THEN NULL ELSE t.priority END AS priority,
+              COUNT(*) FILTER (WHERE t.first_response_at IS NOT NULL AND ${OPENED_IN_RANGE})::int
+                AS responded,
+              ${MEDIAN_FIRST_RESPONSE} AS median_first_response_seconds,
+              COUNT(*) FILTER (WHERE ${CLOSED_IN_RANGE})::int AS closed,
+              ${MEDIAN_CLOSE} AS median_close_seconds
+       FROM tickets t
+       WHERE (${OPENED_IN_RANGE}) OR (${CLOSED_IN_RANGE})
+       GROUP BY GROUPING SETS ((t.priority), ())`,
+      [from, to],
+    );
+  }
+
+  /**
+   * Activity per department: every active department, plus inactive ones with tickets
+   * @param {string} from - First day
+   * @param {string} to - Last day
+   * @returns {Promise<Array>} [{department, floor, opened, closed, backlog,
+   *   median_first_response_seconds, median_close_seconds}]
+   */
+  static async countByDepartment(from, to) {
+    return runReport(
+      'countByDepartment',
+      `SELECT d.name AS department, d.floor, ${BREAKDOWN_COLUMNS}
+       FROM departments d
+       LEFT JOIN tickets t ON t.reporter_department_id = d.id
+       GROUP BY d.id, d.name, d.floor, d.active
+       HAVING d.active OR COUNT(t.id) > 0
+       ORDER BY opened DESC, backlog DESC, d.name`,
+      [from, to],
+    );
+  }
+
+  /**
+   * Activity per floor, through each ticket's department (departments.floor)
+   * Departments without a floor are grouped under a NULL floor.
+   * @param {string} from - First day
+   * @param {string} to - Last day
+   * @returns {Promise<Array>} [{floor, opened, closed, backlog,
+   *   median_first_response_seconds, median_close_seconds}] in floor order
+   */
+  static async countByFloor(from, to) {
+    return runReport(
+      'countByFloor',
+      `SELECT d.floor, ${BREAKDOWN_COLUMNS}
+       FROM tickets t
+       JOIN departments d ON d.id = t.reporter_department_id
+       LEFT JOIN floors f ON f.name = d.floor
+       WHERE (${OPENED_IN_RANGE}) OR (${CLOSED_IN_RANGE}) OR t.status <> 'closed'
+       GROUP BY d.floor, f.sort_order
+       ORDER BY f.sort_order NULLS LAST, d.floor NULLS LAST`,
+      [from, to],
+    );
+  }
+
+  /**
+   * Reporters with more than one ticket opened in the range
+   * Department accounts are grouped by user; public submissions by name and department.
+   * @param {string} from - First day
+   * @param {string} to - Last day
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array>} [{reporter_id, reporter, department, ticket_count,
+   *   open_count, last_ticket_at}] busiest first
+   */
+  static async findTopReporters(from, to, limit) {
+    return runReport(
+      'findTopReporters',
+      `SELECT t.reporter_id,
+              COALESCE(u.username, MIN(TRIM(t.reporter_name))) AS reporter,
+              MIN(t.reporter_department) AS department,
+              COUNT(*)::int AS ticket_count,
+              COUNT(*) FILTER (WHERE t.status <> 'closed')::int AS open_count,
+              MAX(t.created_at) AS last_ticket_at
+       FROM tickets t
+       LEFT JOIN users u ON u.id = t.reporter_id
+       WHERE ${OPENED_IN_RANGE}
+         AND (t.reporter_id IS NOT NULL OR TRIM(COALESCE(t.reporter_name, '')) <> '')
+       GROUP BY t.reporter_id, u.username,
+                CASE WHEN t.reporter_id IS NULL THEN LOWER(TRIM(t.reporter_name)) END,
+                CASE WHEN t.reporter_id IS NULL THEN t.reporter_department END
+       HAVING COUNT(*) > 1
+       ORDER BY ticket_count DESC, last_ticket_at DESC
+       LIMIT $3`,
+      [from, to, limit],
+    );
+  }
+}
+
+module.exports = TicketReport;
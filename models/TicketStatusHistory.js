@@ -0,0 +1,106 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * TicketStatusHistory Model
+ * Manages database operations for the ticket_status_history table: one row per period
+ * a ticket spent in a status, the current one with ended_at NULL.
+ *
+ * Written by Ticket.create and Ticket.update, so every status change is recorded
+ * whoever makes it (admin, department user or automatic).
+ */
+class TicketStatusHistory {
+  /**
+   * Record that a ticket is now in a status
+   * Closes the open period when the status differs and opens a new one; recording the
+   * status the ticket is already in does nothing. Pass the client of the transaction
+   * that changed the status (with the ticket row locked), so both statements run in it.
+   * @param {number} ticketId - Ticket ID
+   * @param {string} status - New status
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|undefined>} The new period, or undefined if unchanged
+   */
+  static async record(ticketId, status, client = null) {
+    const db = client || pool;
+    try {
+      await db.query(
+        `UPDATE ticket_status_history
+         SET ended_at = CURRENT_TIMESTAMP
+         WHERE ticket_id = $1 AND ended_at IS NULL AND status <> $2`,
+        [ticketId, status],
+      );
+
+      const result = await db.query(
+        `INSERT INTO ticket_status_history (ticket_id, status)
+         SELECT $1, $2
+         WHERE NOT EXISTS (
+           SELECT 1 FROM ticket_status_history WHERE ticket_id = $1 AND ended_at IS NULL
+         )
+         ON CONFLICT (ticket_id) WHERE ended_at IS NULL DO NOTHING
+         RETURNING *`,
+        [ticketId, status],
+      );
+
+      if (result.rows[0]) {
+        logger.debug('TicketStatusHistory.record: Status period opened', { ticketId, status });
+      }
+      return result.rows[0];
+    } catch (error) {
+      logger.error('TicketStatusHistory.record: Database error', {
+        ticketId,
+        status,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Average length of a department's finished periods in a status
+   * Only the department's own tickets count (admin-created tickets are excluded, as on
+   * the department dashboard).
+   * @param {number} departmentId - Department ID
+   * @param {string} status - Status to measure (e.g. 'waiting_on_admin')
+   * @param {Date} since - Only periods that ended at or after this time
+   * @returns {Promise<{count: number, average_seconds: number|null}>}
+   */
+  static async averageDurationByDepartment(departmentId, status, since) {
+    const startTime = Date.now();
+    try {
+      const result = await pool.query(
+        `SELECT COUNT(*)::int AS count,
+                ROUND(AVG(EXTRACT(EPOCH FROM h.ended_at - h.started_at)))::int AS average_seconds
+         FROM ticket_status_history h
+         JOIN tickets t ON t.id = h.ticket_id
+         WHERE t.reporter_department_id = $1
+           AND t.is_admin_created = false
+           AND h.status = $2
+           AND h.ended_at >= $3`,
+        [departmentId, status, since],
+      );
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('TicketStatusHistory.averageDurationByDepartment: Slow query detected', {
+          departmentId,
+          status,
+          duration,
+        });
+      }
+      return result.rows[0];
+    } catch (error) {
+      logger.error('TicketStatusHistory.averageDurationByDepartment: Database error', {
+        departmentId,
+        status,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = TicketStatusHistory;
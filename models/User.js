@@ -8,7 +8,7 @@ class User {
     try {
       logger.debug('User.findById: Starting query', { userId: id });
       const result = await pool.query(
-        'SELECT id, username, email, role, status, department, login_attempts, last_login_at, deleted_at, created_at, updated_at FROM users WHERE id = $1',
+        'SELECT id, username, email, role, status, department, department_id, login_attempts, locked_until, language, must_change_password, password_changed_at, totp_enabled_at, auth_provider, last_login_at, deleted_at, created_at, updated_at FROM users WHERE id = $1',
         [id],
       );
       const duration = Date.now() - startTime;
@@ -39,7 +39,7 @@ class User {
     try {
       logger.debug('User.findByUsername: Starting query', { username });
       const result = await pool.query(
-        'SELECT id, username, email, role, status, department, login_attempts, last_login_at, deleted_at, created_at, updated_at FROM users WHERE username = $1',
+        'SELECT id, username, email, role, status, department, department_id, login_attempts, locked_until, language, must_change_password, password_changed_at, totp_enabled_at, auth_provider, last_login_at, deleted_at, created_at, updated_at FROM users WHERE username = $1',
         [username],
       );
       const duration = Date.now() - startTime;
@@ -100,7 +100,7 @@ class User {
     try {
       logger.debug('User.findByEmail: Starting query', { email });
       const result = await pool.query(
-        'SELECT id, username, email, role, status, department, login_attempts, last_login_at, deleted_at, created_at, updated_at FROM users WHERE email = $1',
+        'SELECT id, username, email, role, status, department, department_id, login_attempts, locked_until, language, must_change_password, password_changed_at, totp_enabled_at, auth_provider, last_login_at, deleted_at, created_at, updated_at FROM users WHERE email = $1',
         [email],
       );
       const duration = Date.now() - startTime;
@@ -127,7 +127,16 @@ class User {
   }
 
   static async create(
-    { username, email, password, role = 'admin', department = null, status = 'active' },
+    {
+      username,
+      email,
+      password,
+      role = 'admin',
+      department = null,
+      status = 'active',
+      mustChangePassword = false,
+      authProvider = 'local',
+    },
     client = null,
   ) {
     const db = client || pool;
@@ -142,8 +151,8 @@ class User {
       });
       const password_hash = await bcrypt.hash(password, 10);
       const result = await db.query(
-        'INSERT INTO users (username, email, password_hash, role, department, status) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, username, email, role, department, status',
-        [username, email, password_hash, role, department, status],
+        'INSERT INTO users (username, email, password_hash, role, department, department_id, status, must_change_password, auth_provider) VALUES ($1, $2, $3, $4, $5, (SELECT id FROM departments WHERE name = $5::varchar), $6, $7, $8) RETURNING id, username, email, role, department, department_id, status, must_change_password, auth_provider',
+        [username, email, password_hash, role, department, status, mustChangePassword, authProvider],
       );
       const duration = Date.now() - startTime;
 
@@ -177,7 +186,7 @@ class User {
     try {
       logger.debug('User.findAll: Starting query');
       const result = await pool.query(
-        'SELECT id, username, email, role, status, department, login_attempts, last_login_at, deleted_at, created_at, updated_at FROM users ORDER BY created_at DESC',
+        'SELECT id, username, email, role, status, department, department_id, login_attempts, locked_until, language, must_change_password, password_changed_at, totp_enabled_at, auth_provider, last_login_at, deleted_at, created_at, updated_at FROM users ORDER BY created_at DESC',
       );
       const duration = Date.now() - startTime;
 
@@ -234,7 +243,9 @@ class User {
         }
       }
       if (department !== undefined) {
-        fields.push(`department = $${paramCount++}`);
+        // department_id follows the name (NULL when the department is removed)
+        fields.push(`department = $${paramCount}`);
+        fields.push(`department_id = (SELECT id FROM departments WHERE name = $${paramCount++}::varchar)`);
         values.push(department);
       }
       if (login_attempts !== undefined) {
@@ -249,7 +260,7 @@ class User {
         UPDATE users
         SET ${fields.join(', ')}
         WHERE id = $${paramCount}
-        RETURNING id, username, email, role, status, department, login_attempts, last_login_at, deleted_at, created_at, updated_at
+        RETURNING id, username, email, role, status, department, department_id, login_attempts, locked_until, language, must_change_password, password_changed_at, totp_enabled_at, auth_provider, last_login_at, deleted_at, created_at, updated_at
       `;
 
       const result = await db.query(query, values);
@@ -277,16 +288,26 @@ class User {
     }
   }
 
-  // Update password (admin-initiated, no verification)
-  static async updatePassword(id, newPassword, client = null) {
+  // Update password (no verification of the old one)
+  // The replaced hash is kept in password_history; mustChange marks a password the user
+  // has to replace at their next request (admin resets).
+  static async updatePassword(id, newPassword, client = null, { mustChange = false } = {}) {
     const db = client || pool;
     const startTime = Date.now();
     try {
-      logger.debug('User.updatePassword: Starting password update', { userId: id });
+      logger.debug('User.updatePassword: Starting password update', { userId: id, mustChange });
       const password_hash = await bcrypt.hash(newPassword, 10);
       const result = await db.query(
-        'UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id',
-        [password_hash, id],
+        `WITH replaced AS (
+           INSERT INTO password_history (user_id, password_hash)
+           SELECT id, password_hash FROM users WHERE id = $2
+         )
+         UPDATE users
+         SET password_hash = $1, must_change_password = $3,
+             password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id`,
+        [password_hash, id, mustChange],
       );
       const duration = Date.now() - startTime;
 
@@ -336,13 +357,13 @@ class User {
     }
   }
 
-  // Update last login timestamp
+  // Update last login timestamp (and clear failed attempts and any lock)
   static async updateLastLogin(id) {
     const startTime = Date.now();
     try {
       logger.debug('User.updateLastLogin: Updating last login', { userId: id });
       await pool.query(
-        'UPDATE users SET last_login_at = CURRENT_TIMESTAMP, login_attempts = 0 WHERE id = $1',
+        'UPDATE users SET last_login_at = CURRENT_TIMESTAMP, login_attempts = 0, locked_until = NULL WHERE id = $1',
         [id],
       );
       const duration = Date.now() - startTime;
@@ -366,27 +387,46 @@ class User {
     }
   }
 
-  // Increment login attempts
-  static async incrementLoginAttempts(username) {
+  /**
+   * Count a failed login and lock the account once the attempts reach the limit
+   * Every failure at or past the limit locks for twice as long as the previous one,
+   * up to maxMinutes. Done in one UPDATE so concurrent failures all count.
+   * @param {number} id - User ID
+   * @param {Object} lockout - maxAttempts, baseMinutes (first lock), maxMinutes (longest lock)
+   * @returns {Promise<{login_attempts: number, locked_until: Date|null}>}
+   */
+  static async recordFailedLogin(id, { maxAttempts, baseMinutes, maxMinutes }) {
     const startTime = Date.now();
     try {
-      logger.debug('User.incrementLoginAttempts: Incrementing login attempts', { username });
-      await pool.query('UPDATE users SET login_attempts = login_attempts + 1 WHERE username = $1', [
-        username,
-      ]);
+      logger.debug('User.recordFailedLogin: Recording failed login', { userId: id });
+      const result = await pool.query(
+        `UPDATE users
+         SET login_attempts = login_attempts + 1,
+             locked_until = CASE
+               WHEN login_attempts + 1 >= $2 THEN CURRENT_TIMESTAMP + make_interval(
+                 mins => LEAST($3 * POWER(2, LEAST(login_attempts + 1 - $2, 20)), $4)::int
+               )
+               ELSE locked_until
+             END
+         WHERE id = $1
+         RETURNING login_attempts, locked_until`,
+        [id, maxAttempts, baseMinutes, maxMinutes],
+      );
       const duration = Date.now() - startTime;
 
       if (duration > 500) {
-        logger.warn('User.incrementLoginAttempts: Slow query detected', { username, duration });
+        logger.warn('User.recordFailedLogin: Slow query detected', { userId: id, duration });
       }
 
-      logger.debug('User.incrementLoginAttempts: Login attempts incremented', {
-        username,
+      logger.debug('User.recordFailedLogin: Failed login recorded', {
+        userId: id,
+        loginAttempts: result.rows[0]?.login_attempts,
         duration,
       });
+      return result.rows[0];
     } catch (error) {
-      logger.error('User.incrementLoginAttempts: Database error', {
-        username,
+      logger.error('User.recordFailedLogin: Database error', {
+        userId: id,
         error: error.message,
         stack: error.stack,
         code: error.code,
@@ -395,6 +435,46 @@ class User {
     }
   }
 
+  /**
+   * Lift a login lock and forget the failed attempts
+   * @param {number} id - User ID
+   * @returns {Promise<Object|undefined>} Updated user
+   */
+  static async unlock(id) {
+    try {
+      const result = await pool.query(
+        `UPDATE users
+         SET login_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, username, login_attempts, locked_until`,
+        [id],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('User.unlock: Database error', {
+        userId: id,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Active super admins (recipients of account security notifications)
+   * @returns {Promise<Array>} Users with id, username, email, role
+   */
+  static async findActiveSuperAdmins() {
+    const result = await pool.query(
+      `SELECT id, username, email, role
+       FROM users
+       WHERE role = 'super_admin' AND status = 'active'
+       ORDER BY username`,
+    );
+    return result.rows;
+  }
+
   // Get count of active super_admins
   static async countActiveSuperAdmins() {
     const startTime = Date.now();
@@ -428,7 +508,7 @@ class User {
     try {
       logger.debug('User.findAllActive: Starting query');
       const result = await pool.query(
-        "SELECT id, username, email, role, status, department, created_at, last_login_at FROM users WHERE status != 'deleted' ORDER BY created_at DESC",
+        "SELECT id, username, email, role, status, department, department_id, login_attempts, locked_until, created_at, last_login_at FROM users WHERE status != 'deleted' ORDER BY created_at DESC",
       );
       const duration = Date.now() - startTime;
 
@@ -454,6 +534,38 @@ class User {
     }
   }
 
+  // Find active admins and super admins (ticket assignees)
+  static async findAssignableAdmins() {
+    const startTime = Date.now();
+    try {
+      logger.debug('User.findAssignableAdmins: Starting query');
+      const result = await pool.query(
+        "SELECT id, username, role FROM users WHERE status = 'active' AND role IN ('admin', 'super_admin') ORDER BY username",
+      );
+      const duration = Date.now() - startTime;
+
+      if (duration > 500) {
+        logger.warn('User.findAssignableAdmins: Slow query detected', {
+          duration,
+          rowCount: result.rows.length,
+        });
+      }
+
+      logger.debug('User.findAssignableAdmins: Query completed', {
+        rowCount: result.rows.length,
+        duration,
+      });
+      return result.rows;
+    } catch (error) {
+      logger.error('User.findAssignableAdmins: Database error', {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
   // Clear all sessions for a specific user
   static async clearUserSessions(userId, client = null) {
     const db = client || pool;
@@ -495,6 +607,52 @@ class User {
     }
   }
 
+  /**
+   * A user's unexpired sessions, most recently active first
+   * Like clearUserSessions this reads connect-pg-simple's session table. loginInfo is
+   * what routes/auth.js stores at login (ipAddress, userAgent, signedInAt).
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<{sid: string, expire: Date, login_info: Object|null}>>}
+   */
+  static async findSessions(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT sid, expire, sess::jsonb->'loginInfo' AS login_info
+         FROM session
+         WHERE sess::jsonb->'user'->>'id' = $1 AND expire > CURRENT_TIMESTAMP
+         ORDER BY expire DESC`,
+        [userId.toString()],
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('User.findSessions: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired sessions (the session-cleanup background job)
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  static async deleteExpiredSessions() {
+    try {
+      const result = await pool.query('DELETE FROM session WHERE expire < CURRENT_TIMESTAMP');
+      return result.rowCount;
+    } catch (error) {
+      logger.error('User.deleteExpiredSessions: Database error', {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Update user's department assignment
    * @param {number} userId - User ID
@@ -504,14 +662,157 @@ class User {
   static async updateDepartment(userId, department) {
     const result = await pool.query(
       `UPDATE users
-       SET department = $1, updated_at = NOW()
+       SET department = $1,
+           department_id = (SELECT id FROM departments WHERE name = $1::varchar),
+           updated_at = NOW()
        WHERE id = $2 AND role = 'department'
-       RETURNING id, username, email, role, status, department, login_attempts, last_login_at, deleted_at, created_at, updated_at`,
+       RETURNING id, username, email, role, status, department, department_id, login_attempts, locked_until, language, must_change_password, password_changed_at, totp_enabled_at, auth_provider, last_login_at, deleted_at, created_at, updated_at`,
       [department, userId],
     );
     return result.rows[0];
   }
 
+  /**
+   * Store a user's preferred language
+   * @param {number} userId - User ID
+   * @param {string|null} language - LANGUAGE value, or null for the default
+   * @returns {Promise<Object|undefined>} Updated user (id, username, language)
+   */
+  static async updateLanguage(userId, language) {
+    try {
+      const result = await pool.query(
+        `UPDATE users
+         SET language = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING id, username, language`,
+        [language, userId],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('User.updateLanguage: Database error', {
+        userId,
+        language,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Two-factor state of a user, secret included
+   * Only for twoFactorService: the secret never leaves the service.
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|undefined>} id, totp_secret, totp_enabled_at, totp_last_step
+   */
+  static async findTwoFactor(userId) {
+    try {
+      const result = await pool.query(
+        'SELECT id, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = $1',
+        [userId],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('User.findTwoFactor: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication on
+   * @param {number} userId - User ID
+   * @param {string} secret - Base32 TOTP secret
+   * @param {number} step - Time step of the code that confirmed the enrolment
+   * @returns {Promise<Object|undefined>} id and totp_enabled_at
+   */
+  static async enableTwoFactor(userId, secret, step) {
+    try {
+      const result = await pool.query(
+        `UPDATE users
+         SET totp_secret = $1, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING id, totp_enabled_at`,
+        [secret, step, userId],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('User.enableTwoFactor: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the time step of an accepted TOTP code
+   * Fails (returns false) when a code of this or a later step was already accepted, so
+   * a code cannot be replayed, not even by two requests at once.
+   * @param {number} userId - User ID
+   * @param {number} step - Time step of the code
+   * @returns {Promise<boolean>} Whether the step was recorded
+   */
+  static async recordTotpStep(userId, step) {
+    try {
+      const result = await pool.query(
+        `UPDATE users
+         SET totp_last_step = $1
+         WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+         RETURNING id`,
+        [step, userId],
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('User.recordTotpStep: Database error', {
+        userId,
+        step,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off and delete the user's recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|undefined>} id, or undefined for an unknown user
+   */
+  static async disableTwoFactor(userId) {
+    try {
+      const result = await pool.query(
+        `WITH removed AS (
+           DELETE FROM two_factor_recovery_codes WHERE user_id = $1
+         )
+         UPDATE users
+         SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id`,
+        [userId],
+      );
+      return result.rows[0];
+    } catch (error) {
+      logger.error('User.disableTwoFactor: Database error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Count active tickets for user (safety check before removing from department)
    * @param {number} userId - User ID
@@ -526,6 +827,22 @@ class User {
     );
     return parseInt(result.rows[0].count);
   }
+
+  /**
+   * Find active department users of a department (ticket notification recipients)
+   * @param {number} departmentId - Department ID
+   * @returns {Promise<Array>} Users with id, username, email and role
+   */
+  static async findActiveByDepartment(departmentId) {
+    const result = await pool.query(
+      `SELECT id, username, email, role
+       FROM users
+       WHERE department_id = $1 AND role = 'department' AND status = 'active'
+       ORDER BY username`,
+      [departmentId],
+    );
+    return result.rows;
+  }
 }
 
 module.exports = User;
@@ -0,0 +1,133 @@
+/**
+ * Error Page Troubleshooting Panel
+ * Copy the error reference, show debug info, report the error and the quick actions
+ * of views/partials/troubleshooting.ejs (inline handlers are blocked by the CSP)
+ */
+
+document.addEventListener('DOMContentLoaded', function () {
+  document.querySelectorAll('[data-copy-text]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      copyToClipboard(button, button.dataset.copyText);
+    });
+  });
+
+  document.querySelectorAll('[data-toggle-debug]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      document.getElementById('debugInfo').classList.toggle('hidden');
+    });
+  });
+
+  document.querySelectorAll('[data-report-error]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      reportError(button.dataset.reportError, button.dataset.category, button.dataset.csrfToken);
+    });
+  });
+
+  document.querySelectorAll('[data-history-back]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      window.history.back();
+    });
+  });
+
+  document.querySelectorAll('[data-reload]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      window.location.reload();
+    });
+  });
+});
+
+/**
+ * Copy the error reference and briefly confirm on the button
+ */
+function copyToClipboard(button, text) {
+  navigator.clipboard
+    .writeText(text)
+    .then(function () {
+      const originalText = button.innerHTML;
+      button.innerHTML = '<i class="bi bi-check"></i> Αντιγράφηκε!';
+      button.classList.remove('btn-outline-secondary');
+      button.classList.add('btn-success');
+      setTimeout(function () {
+        button.innerHTML = originalText;
+        button.classList.remove('btn-success');
+        button.classList.add('btn-outline-secondary');
+      }, 2000);
+    })
+    .catch(function (err) {
+      console.error('Αποτυχία αντιγραφής: ', err);
+    });
+}
+
+/**
+ * Send the report to the server; falls back to an email when it cannot be stored
+ */
+function reportError(correlationId, category, csrfToken) {
+  const userDescription = prompt(
+    'Περιγράψτε τι κάνατε όταν συνέβη αυτό το σφάλμα (προαιρετικό):',
+    '',
+  );
+
+  if (userDescription === null) {
+    return;
+  }
+
+  fetch('/api/errors/report', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': csrfToken || '',
+    },
+    body: JSON.stringify({
+      correlationId: correlationId,
+      userDescription: userDescription,
+      additionalData: {
+        url: window.location.href,
+        timestamp: new Date().toISOString(),
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight,
+        },
+      },
+    }),
+  })
+    .then(function (response) {
+      return response.json();
+    })
+    .then(function (data) {
+      if (data.success) {
+        alert('Ευχαριστούμε! Η αναφορά σφάλματος υποβλήθηκε. ID Αναφοράς: ' + correlationId);
+      } else {
+        alert(
+          'Η υποβολή της αναφοράς σφάλματος απέτυχε. Μπορείτε να στείλετε email στην υποστήριξη με το ID αναφοράς: ' +
+            correlationId,
+        );
+        fallbackEmailReport(correlationId, category, userDescription);
+      }
+    })
+    .catch(function (error) {
+      console.error('Σφάλμα υποβολής αναφοράς:', error);
+      alert(
+        'Η υποβολή της αναφοράς σφάλματος απέτυχε. Μπορείτε να στείλετε email στην υποστήριξη με το ID αναφοράς: ' +
+          correlationId,
+      );
+      fallbackEmailReport(correlationId, category, userDescription);
+    });
+}
+
+function fallbackEmailReport(correlationId, category, userDescription) {
+  const subject = `Αναφορά Σφάλματος: ${category} (${correlationId})`;
+  const body = `Αναφορά Σφάλματος: ${correlationId}
+Κατηγορία Σφάλματος: ${category}
+URL: ${window.location.href}
+Πρόγραμμα Περιήγησης: ${navigator.userAgent}
+Χρονική Σήμανση: ${new Date().toISOString()}
+
+Περιγραφή Χρήστη:
+${userDescription || 'Δεν δόθηκε περιγραφή'}
+
+---
+Αυτή η αναφορά σφάλματος υποβλήθηκε από τη σελίδα σφάλματος.`;
+
+  const mailtoLink = `mailto:support@yourcompany.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  window.location.href = mailtoLink;
+}
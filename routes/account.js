@@ -0,0 +1,368 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { validateApiTokenId, validateApiTokenCreate } = require('../validators/apiTokenValidators');
+const { validateNotificationPreferences } = require('../validators/notificationValidators');
+const {
+  validatePasswordChange,
+  validateEmailChange,
+  validateLanguage,
+} = require('../validators/accountValidators');
+const { validateTwoFactorCode } = require('../validators/authValidators');
+const { validateRequest } = require('../middleware/validation');
+const apiTokenService = require('../services/apiTokenService');
+const notificationService = require('../services/notificationService');
+const userService = require('../services/userService');
+const twoFactorService = require('../services/twoFactorService');
+const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
+const { adminMutationLimiter } = require('../middleware/rateLimiter');
+const { API_TOKEN_EXPIRY_DAYS } = require('../constants/validation');
+const { LANGUAGE, USER_ROLE } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+// GET /account - Profile: password, email, language and signed-in sessions
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const account = await userService.getUserById(req.session.user.id);
+    const sessions = await userService.getSessions(req.session.user.id, req.sessionID);
+
+    res.render('account/index', {
+      title: 'My Account',
+      account,
+      sessions,
+      languages: Object.values(LANGUAGE),
+    });
+  } catch (error) {
+    logger.error('Error loading account page', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+// GET /account/password - Change-password screen (where requireAuth sends users whose
+// password was reset or has expired)
+router.get('/password', requireAuth, (req, res) => {
+  res.render('account/password', {
+    title: 'Change Password',
+    reason: req.passwordChange,
+  });
+});
+
+// POST /account/password - Change own password
+router.post(
+  '/password',
+  requireAuth,
+  adminMutationLimiter,
+  validatePasswordChange,
+  validateRequest,
+  async (req, res, _next) => {
+    // A forced change leads on to the dashboard, a voluntary one back to the account page
+    const formPath = req.passwordChange ? '/account/password' : '/account';
+    try {
+      await userService.changePassword(
+        req.session.user.id,
+        req.body.current_password,
+        req.body.new_password,
+        req.ip,
+      );
+
+      let nextPath = '/account';
+      if (req.passwordChange) {
+        nextPath =
+          req.session.user.role === USER_ROLE.DEPARTMENT ? '/client/dashboard' : '/admin/dashboard';
+      }
+      return successRedirect(req, res, 'account:messages.passwordChanged', nextPath);
+    } catch (error) {
+      logger.error('Error changing password', { error: error.message });
+      return errorRedirect(req, res, error.message, formPath);
+    }
+  },
+);
+
+// POST /account/email - Change own email address
+router.post(
+  '/email',
+  requireAuth,
+  adminMutationLimiter,
+  validateEmailChange,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      const updated = await userService.changeEmail(req.session.user.id, req.body.email, req.ip);
+      req.session.user.email = updated.email;
+
+      return successRedirect(req, res, 'account:messages.emailChanged', '/account');
+    } catch (error) {
+      logger.error('Error changing email', { error: error.message });
+      return errorRedirect(req, res, error.message, '/account');
+    }
+  },
+);
+
+// POST /account/language - Save preferred language (and switch to it)
+router.post(
+  '/language',
+  requireAuth,
+  validateLanguage,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      await userService.setLanguage(req.session.user.id, req.body.language);
+      req.session.language = req.body.language;
+      if (req.i18n) {
+        await req.i18n.changeLanguage(req.body.language);
+      }
+
+      return successRedirect(req, res, 'account:messages.languageSaved', '/account');
+    } catch (error) {
+      logger.error('Error saving language', { error: error.message });
+      return errorRedirect(req, res, error.message, '/account');
+    }
+  },
+);
+
+// POST /account/sessions/revoke - Sign out of every session, this one included
+router.post('/sessions/revoke', requireAuth, adminMutationLimiter, async (req, res, _next) => {
+  try {
+    await userService.signOutEverywhere(req.session.user.id, req.ip);
+  } catch (error) {
+    logger.error('Error signing out everywhere', { error: error.message });
+    return errorRedirect(req, res, error.message, '/account');
+  }
+
+  // clearUserSessions only reaches the PostgreSQL session table; end this session through
+  // express-session too, so it is not saved back at the end of the request
+  req.session.destroy((err) => {
+    if (err) {
+      logger.error('Failed to destroy session', { error: err.message });
+    }
+    res.clearCookie('connect.sid');
+    res.redirect('/auth/login');
+  });
+});
+
+/**
+ * Render the two-factor page
+ * Without two-factor authentication the page enrols: the secret lives in the session
+ * until a code confirms it. New recovery codes are rendered directly, never flashed,
+ * so they do not end up in the session store.
+ */
+async function renderTwoFactor(req, res, recoveryCodes = null) {
+  const account = await userService.getUserById(req.session.user.id);
+  const status = await twoFactorService.getStatus(account);
+
+  let enrolment = null;
+  if (!status.enabled) {
+    if (!req.session.twoFactorSecret) {
+      req.session.twoFactorSecret = twoFactorService.generateSecret();
+    }
+    enrolment = await twoFactorService.buildEnrolment(
+      account.username,
+      req.session.twoFactorSecret,
+    );
+  }
+
+  res.render('account/two-factor', {
+    title: 'Two-Factor Authentication',
+    status,
+    enrolment,
+    recoveryCodes,
+    setupRequired: req.twoFactorSetup,
+    dashboardPath: account.role === USER_ROLE.DEPARTMENT ? '/client/dashboard' : '/admin/dashboard',
+  });
+}
+
+// GET /account/two-factor - Two-factor status, or enrolment with a QR code (where requireAuth
+// sends users whose role requires two-factor authentication)
+router.get('/two-factor', requireAuth, async (req, res, next) => {
+  try {
+    await renderTwoFactor(req, res);
+  } catch (error) {
+    logger.error('Error loading two-factor page', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /account/two-factor - Confirm the enrolment with a code from the app
+router.post(
+  '/two-factor',
+  requireAuth,
+  adminMutationLimiter,
+  validateTwoFactorCode,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      const recoveryCodes = await twoFactorService.enable(
+        req.session.user.id,
+        req.session.twoFactorSecret,
+        req.body.code,
+        req.ip,
+      );
+      delete req.session.twoFactorSecret;
+      // The funnel in requireAuth ends with this request
+      req.twoFactorSetup = false;
+
+      await renderTwoFactor(req, res, recoveryCodes);
+    } catch (error) {
+      logger.error('Error enabling two-factor authentication', { error: error.message });
+      return errorRedirect(req, res, error.message, '/account/two-factor');
+    }
+  },
+);
+
+// POST /account/two-factor/recovery-codes - Replace the recovery codes
+router.post(
+  '/two-factor/recovery-codes',
+  requireAuth,
+  adminMutationLimiter,
+  validateTwoFactorCode,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+        req.session.user.id,
+        req.body.code,
+        req.ip,
+      );
+
+      await renderTwoFactor(req, res, recoveryCodes);
+    } catch (error) {
+      logger.error('Error regenerating recovery codes', { error: error.message });
+      return errorRedirect(req, res, error.message, '/account/two-factor');
+    }
+  },
+);
+
+// POST /account/two-factor/disable - Turn two-factor authentication off
+router.post(
+  '/two-factor/disable',
+  requireAuth,
+  adminMutationLimiter,
+  validateTwoFactorCode,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      await twoFactorService.disable(req.session.user, req.body.code, req.ip);
+
+      return successRedirect(req, res, 'twoFactor:messages.disabled', '/account/two-factor');
+    } catch (error) {
+      logger.error('Error disabling two-factor authentication', { error: error.message });
+      return errorRedirect(req, res, error.message, '/account/two-factor');
+    }
+  },
+);
+
+/**
+ * Render the token page
+ * A freshly created token is rendered directly instead of being flashed, so the
+ * plain value never ends up in the session store.
+ */
+async function renderTokens(req, res, newToken = null) {
+  const apiTokens = await apiTokenService.getUserTokens(req.session.user.id);
+  res.render('account/tokens', {
+    title: 'API Tokens',
+    user: req.session.user,
+    apiTokens,
+    expiryOptions: API_TOKEN_EXPIRY_DAYS,
+    newToken,
+  });
+}
+
+// GET /account/tokens - List own API tokens
+router.get('/tokens', requireAuth, async (req, res, next) => {
+  try {
+    await renderTokens(req, res);
+  } catch (error) {
+    logger.error('Error loading API tokens', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /account/tokens - Create an API token for the current user
+router.post(
+  '/tokens',
+  requireAuth,
+  adminMutationLimiter,
+  validateApiTokenCreate,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      const { name, scope, expires_in_days } = req.body;
+      const { plainToken } = await apiTokenService.createToken(
+        req.session.user.id,
+        req.session.user.id,
+        { name, scope, expires_in_days },
+        req.ip,
+      );
+
+      await renderTokens(req, res, plainToken);
+    } catch (error) {
+      logger.error('Error creating API token', { error: error.message, stack: error.stack });
+      return errorRedirect(req, res, error.message, '/account/tokens');
+    }
+  },
+);
+
+// POST /account/tokens/:tokenId/revoke - Revoke one of the current user's tokens
+router.post(
+  '/tokens/:tokenId/revoke',
+  requireAuth,
+  adminMutationLimiter,
+  validateApiTokenId,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      await apiTokenService.revokeToken(
+        req.session.user.id,
+        req.session.user.id,
+        req.params.tokenId,
+        req.ip,
+      );
+
+      return successRedirect(req, res, 'tokens:messages.revoked', '/account/tokens');
+    } catch (error) {
+      logger.error('Error revoking API token', { error: error.message, stack: error.stack });
+      return errorRedirect(req, res, error.message, '/account/tokens');
+    }
+  },
+);
+
+// GET /account/notifications - Email notification settings
+router.get('/notifications', requireAuth, async (req, res, next) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.session.user);
+    res.render('account/notifications', {
+      title: 'Notification Settings',
+      preferences,
+      hasEmail: Boolean(req.session.user.email),
+    });
+  } catch (error) {
+    logger.error('Error loading notification settings', {
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+});
+
+// POST /account/notifications - Save email notification settings
+router.post(
+  '/notifications',
+  requireAuth,
+  validateNotificationPreferences,
+  validateRequest,
+  async (req, res, _next) => {
+    try {
+      await notificationService.updatePreferences(req.session.user, req.body.email_events || []);
+
+      return successRedirect(req, res, 'notifications:messages.saved', '/account/notifications');
+    } catch (error) {
+      logger.error('Error saving notification settings', {
+        error: error.message,
+        stack: error.stack,
+      });
+      return errorRedirect(req, res, error.message, '/account/notifications');
+    }
+  },
+);
+
+module.exports = router;
@@ -2,34 +2,67 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { adminMutationLimiter } = require('../middleware/rateLimiter');
-const Comment = require('../models/Comment');
 const { validateRequest } = require('../middleware/validation');
-const { TICKET_MESSAGES, COMMENT_MESSAGES } = require('../constants/messages');
+const { TICKET_MESSAGES, COMMENT_MESSAGES, ATTACHMENT_MESSAGES } = require('../constants/messages');
 const ticketService = require('../services/ticketService');
 const adminTicketService = require('../services/adminTicketService');
+const attachmentService = require('../services/attachmentService');
 const departmentService = require('../services/departmentService');
 const {
   validateTicketUpdate,
   validateTicketId,
   validateTicketStatusUpdate,
   validateTicketPriorityUpdate,
+  validateTicketAssignment,
 } = require('../validators/ticketValidators');
 const {
   validateAdminTicketCreation,
   validateDepartmentTicketCreation,
 } = require('../validators/adminTicketValidators');
 const { validateCommentCreation } = require('../validators/commentValidators');
-const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
+const { validateAttachmentId } = require('../validators/attachmentValidators');
+const { successRedirect, errorRedirect, sendDownload } = require('../utils/responseHelpers');
+const {
+  INVALID_STATUS_TRANSITION,
+  getAllowedTransitions,
+} = require('../utils/ticketStatusTransitions');
 const logger = require('../utils/logger');
 
+// Attachments (req.files) of ticket and comment forms are parsed in app.js, before the
+// CSRF check (ATTACHMENT_UPLOAD_PATHS)
 router.use(requireAuth);
 
+/**
+ * Flash a translated "invalid status transition" message and return to the ticket
+ */
+function invalidTransitionRedirect(req, res, error, ticketId) {
+  return errorRedirect(
+    req,
+    res,
+    'tickets:messages.invalidStatusTransition',
+    `/admin/tickets/${ticketId}`,
+    {
+      from: req.t(`tickets:status.${error.fromStatus}`),
+      to: req.t(`tickets:status.${error.toStatus}`),
+    },
+  );
+}
+
 router.get('/dashboard', async (req, res, next) => {
   try {
-    const tickets = await ticketService.getAllTickets(req.query);
+    // "My queue": resolve assigned_to=me to the current user
+    const filters = { ...req.query };
+    if (filters.assigned_to === 'me') {
+      filters.assigned_to = req.session.user.id;
+    }
+
+    const { tickets, pagination } = await ticketService.getAllTickets(filters);
+    const assignableUsers = await ticketService.getAssignableUsers();
     res.render('admin/dashboard', {
       title: 'Admin Dashboard',
       tickets,
+      pagination,
+      assignableUsers,
       filters: req.query,
     });
   } catch (error) {
@@ -71,16 +104,26 @@ router.get('/tickets/department/new', requireAdmin, async (req, res, next) => {
 router.get('/tickets/:id', validateTicketId, validateRequest, async (req, res, next) => {
   try {
     const ticket = await ticketService.getTicketById(req.params.id);
-    const comments = await Comment.findByTicketId(req.params.id);
 
     if (!ticket) {
       return errorRedirect(req, res, TICKET_MESSAGES.NOT_FOUND, '/admin/dashboard');
     }
 
+    const timeline = await ticketService.getTicketTimeline(ticket.id);
+    const assignableUsers = await ticketService.getAssignableUsers();
+    const attachments = await attachmentService.getTicketAttachments(
+      ticket.id,
+      req.session.user.role,
+    );
+
     res.render('admin/ticket-detail', {
       title: `Ticket #${ticket.id}`,
       ticket,
-      comments,
+      timeline,
+      attachments,
+      commentCount: timeline.filter((item) => item.type === 'comment').length,
+      assignableUsers,
+      allowedStatuses: getAllowedTransitions(ticket.status, req.session.user.role),
     });
   } catch (error) {
     next(error);
@@ -99,6 +142,9 @@ router.post(
       await ticketService.updateTicket(req.params.id, req.body, req.session.user.id, req.ip);
       successRedirect(req, res, TICKET_MESSAGES.UPDATED, `/admin/tickets/${req.params.id}`);
     } catch (error) {
+      if (error.code === INVALID_STATUS_TRANSITION) {
+        return invalidTransitionRedirect(req, res, error, req.params.id);
+      }
       next(error);
     }
   },
@@ -117,6 +163,9 @@ router.post(
       await ticketService.updateTicket(req.params.id, { status: req.body.status }, req.session.user.id, req.ip);
       successRedirect(req, res, 'Status updated successfully', `/admin/tickets/${req.params.id}`);
     } catch (error) {
+      if (error.code === INVALID_STATUS_TRANSITION) {
+        return invalidTransitionRedirect(req, res, error, req.params.id);
+      }
       logger.error('Status update error', { ticketId: req.params.id, error: error.message });
       next(error);
     }
@@ -142,6 +191,73 @@ router.post(
   },
 );
 
+/**
+ * Run a ticket assignment change and redirect back to the ticket
+ * Assignee validation errors (status 400) become flash messages.
+ */
+async function handleAssignment(req, res, next, assigneeId, successKey) {
+  const ticketId = req.params.id;
+  try {
+    await ticketService.assignTicket(ticketId, assigneeId, req.session.user.id, req.ip);
+    successRedirect(req, res, successKey, `/admin/tickets/${ticketId}`);
+  } catch (error) {
+    if (error.message === 'Ticket not found') {
+      return errorRedirect(req, res, TICKET_MESSAGES.NOT_FOUND, '/admin/dashboard');
+    }
+    if (error.status === 400) {
+      return errorRedirect(req, res, error.message, `/admin/tickets/${ticketId}`);
+    }
+    logger.error('Ticket assignment error', {
+      ticketId,
+      assigneeId,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+}
+
+// POST /admin/tickets/:id/assign - Assign ticket to an admin (empty assigned_to unassigns)
+router.post(
+  '/tickets/:id/assign',
+  requireAdmin,
+  adminMutationLimiter,
+  validateTicketId,
+  validateTicketAssignment,
+  validateRequest,
+  (req, res, next) => {
+    const assigneeId = req.body.assigned_to ? parseInt(req.body.assigned_to) : null;
+    return handleAssignment(
+      req,
+      res,
+      next,
+      assigneeId,
+      assigneeId ? 'tickets:messages.assigned' : 'tickets:messages.unassigned',
+    );
+  },
+);
+
+// POST /admin/tickets/:id/claim - Assign ticket to the current admin
+router.post(
+  '/tickets/:id/claim',
+  requireAdmin,
+  adminMutationLimiter,
+  validateTicketId,
+  validateRequest,
+  (req, res, next) =>
+    handleAssignment(req, res, next, req.session.user.id, 'tickets:messages.claimed'),
+);
+
+// POST /admin/tickets/:id/unassign - Remove the current assignee
+router.post(
+  '/tickets/:id/unassign',
+  requireAdmin,
+  adminMutationLimiter,
+  validateTicketId,
+  validateRequest,
+  (req, res, next) => handleAssignment(req, res, next, null, 'tickets:messages.unassigned'),
+);
+
 router.post(
   '/tickets/:id/comments',
   adminMutationLimiter,
@@ -153,38 +269,24 @@ router.post(
       const ticketId = req.params.id;
       const visibility_type = req.body.is_internal === 'on' ? 'internal' : 'public';
 
-      // Get current ticket to check status
-      const ticket = await ticketService.getTicketById(ticketId);
-      if (!ticket) {
-        return errorRedirect(req, res, TICKET_MESSAGES.NOT_FOUND, '/admin/dashboard');
-      }
-
-      // Create comment
-      await Comment.create({
-        ticket_id: ticketId,
-        user_id: req.session.user.id,
-        content: req.body.content,
+      const comment = await ticketService.addAdminComment(
+        ticketId,
+        req.session.user,
+        req.body.content,
         visibility_type,
+        req.ip,
+      );
+      await attachmentService.saveAttachments(req.files, {
+        ticketId,
+        commentId: comment.id,
+        uploadedBy: req.session.user.id,
       });
 
-      // AUTO-STATUS UPDATE: Admin adding PUBLIC comment → "waiting_on_department"
-      // ONLY if: public comment AND ticket not closed AND has reporter_id (dept ticket)
-      if (
-        visibility_type === 'public' &&
-        ticket.status !== 'closed' &&
-        ticket.reporter_id !== null
-      ) {
-        await ticketService.updateTicket(ticketId, { status: 'waiting_on_department' }, req.session.user.id, req.ip);
-        logger.info('Admin comment triggered status update', {
-          ticketId,
-          oldStatus: ticket.status,
-          newStatus: 'waiting_on_department',
-          adminId: req.session.user.id,
-        });
-      }
-
       successRedirect(req, res, COMMENT_MESSAGES.ADDED, `/admin/tickets/${ticketId}`);
     } catch (error) {
+      if (error.message === 'Ticket not found') {
+        return errorRedirect(req, res, TICKET_MESSAGES.NOT_FOUND, '/admin/dashboard');
+      }
       logger.error('Admin comment creation error', {
         ticketId: req.params.id,
         error: error.message,
@@ -218,6 +320,10 @@ router.post(
         ticketData,
         req.ip,
       );
+      await attachmentService.saveAttachments(req.files, {
+        ticketId: ticket.id,
+        uploadedBy: req.session.user.id,
+      });
 
       logger.info('Admin created admin ticket', {
         ticketId: ticket.id,
@@ -260,6 +366,10 @@ router.post(
         ticketData,
         req.ip,
       );
+      await attachmentService.saveAttachments(req.files, {
+        ticketId: ticket.id,
+        uploadedBy: req.session.user.id,
+      });
 
       logger.info('Admin created department ticket', {
         ticketId: ticket.id,
@@ -285,4 +395,34 @@ router.post(
   },
 );
 
+// GET /admin/attachments/:id - Download a ticket or comment attachment
+router.get(
+  '/attachments/:id',
+  requireAdmin,
+  validateAttachmentId,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const attachment = await attachmentService.getAttachmentById(req.params.id);
+
+      if (!attachment) {
+        return errorRedirect(req, res, ATTACHMENT_MESSAGES.NOT_FOUND, '/admin/dashboard');
+      }
+
+      sendDownload(res, next, attachmentService.openAttachment(attachment), {
+        filename: attachment.original_name,
+        mimeType: attachment.mime_type,
+        size: attachment.size_bytes,
+      });
+    } catch (error) {
+      logger.error('Admin attachment download error', {
+        attachmentId: req.params.id,
+        error: error.message,
+        stack: error.stack,
+      });
+      next(error);
+    }
+  },
+);
+
 module.exports = router;
@@ -0,0 +1,466 @@
+/**
+ * JSON API v1 (/api/v1)
+ *
+ * JSON counterpart of the admin and client portals for tablets and integration
+ * scripts. Uses the same validators, services and role rules as the HTML routes:
+ * - Admins see every ticket and all comments (public and internal)
+ * - Department users only see their department's non-internal tickets and
+ *   public comments, and can only change status to waiting_on_admin/closed
+ *
+ * Clients authenticate with a personal API token ("Authorization: Bearer
+ * <token>", see services/apiTokenService) or the session cookie. Session
+ * mutations need the CSRF token from GET /api/v1/me in the X-CSRF-Token header;
+ * token requests are exempt from CSRF.
+ *
+ * Success bodies are { data } (plus { pagination } for lists); errors are
+ * { error: { code, message, details? } }.
+ *
+ * @module routes/api
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireApiAuth, requireApiAdmin } = require('../middleware/auth');
+const { validateApiRequest } = require('../middleware/validation');
+const { apiMutationLimiter } = require('../middleware/rateLimiter');
+const ticketService = require('../services/ticketService');
+const clientTicketService = require('../services/clientTicketService');
+const adminTicketService = require('../services/adminTicketService');
+const departmentService = require('../services/departmentService');
+const floorService = require('../services/floorService');
+const Comment = require('../models/Comment');
+const {
+  validateTicketId,
+  validateTicketUpdate,
+  validateTicketAssignment,
+} = require('../validators/ticketValidators');
+const {
+  validateAdminTicketCreation,
+  validateDepartmentTicketCreation,
+} = require('../validators/adminTicketValidators');
+const {
+  validateClientTicketCreation,
+  validateClientStatusUpdate,
+  validateClientCommentCreation,
+} = require('../validators/clientValidators');
+const { validateCommentCreation } = require('../validators/commentValidators');
+const { TICKET_MESSAGES } = require('../constants/messages');
+const { USER_ROLE, COMMENT_VISIBILITY } = require('../constants/enums');
+const { apiError } = require('../utils/responseHelpers');
+const { INVALID_STATUS_TRANSITION } = require('../utils/ticketStatusTransitions');
+const logger = require('../utils/logger');
+
+// Error codes for 4xx errors thrown by services with error.status set
+const STATUS_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+};
+
+router.use(requireApiAuth);
+
+function isAdmin(user) {
+  return user.role === USER_ROLE.ADMIN || user.role === USER_ROLE.SUPER_ADMIN;
+}
+
+/**
+ * Run the admin or the department validator chain depending on the user's role
+ * Lets one endpoint reuse the validators of both portals.
+ */
+function validateForRole(adminValidators, departmentValidators) {
+  return async (req, res, next) => {
+    const validators = isAdmin(req.user) ? adminValidators : departmentValidators;
+    try {
+      for (const validator of validators) {
+        await validator.run(req);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Load req.params.id into req.ticket, enforcing department isolation
+ * Department users get a 404 (not a 403) for other departments' and internal
+ * tickets, so ticket IDs cannot be probed.
+ */
+async function loadTicket(req, res, next) {
+  try {
+    const user = req.user;
+    const ticket = await ticketService.getTicketById(req.params.id);
+
+    if (!ticket) {
+      return apiError(res, 404, 'NOT_FOUND', TICKET_MESSAGES.NOT_FOUND);
+    }
+
+    if (
+      !isAdmin(user) &&
+      (ticket.reporter_department_id !== user.department_id || ticket.is_admin_created === true)
+    ) {
+      logger.warn('API department access violation attempt', {
+        ticketId: ticket.id,
+        userId: user.id,
+        userDepartment: user.department,
+        ticketDepartment: ticket.reporter_department,
+        isAdminCreated: ticket.is_admin_created,
+        ip: req.ip,
+      });
+      return apiError(res, 404, 'NOT_FOUND', TICKET_MESSAGES.NOT_FOUND);
+    }
+
+    req.ticket = ticket;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Convert utils/pagination metadata to the API's snake_case shape
+ */
+function serializePagination(pagination) {
+  return {
+    page: pagination.page,
+    per_page: pagination.perPage,
+    total: pagination.total,
+    total_pages: pagination.totalPages,
+  };
+}
+
+/**
+ * GET /api/v1/me
+ * Current user (and token, for Bearer requests) and the CSRF token for session mutations
+ */
+router.get('/me', (req, res) => {
+  const { id, username, role, department } = req.user;
+  const data = { id, username, role, department: department || null };
+
+  if (req.apiToken) {
+    const { id: tokenId, name, scope, expires_at } = req.apiToken;
+    data.token = { id: tokenId, name, scope, expires_at };
+  }
+
+  res.json({ data, csrfToken: res.locals.csrfToken });
+});
+
+/**
+ * GET /api/v1/tickets
+ * One page of tickets. Query: status, priority, search, sort, order, page, per_page;
+ * admins can also filter by assigned_to (user ID, 'unassigned' or 'me') and sla.
+ */
+router.get('/tickets', async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (isAdmin(user)) {
+      const filters = { ...req.query };
+      if (filters.assigned_to === 'me') {
+        filters.assigned_to = user.id;
+      }
+      const { tickets, pagination } = await ticketService.getAllTickets(filters);
+      return res.json({ data: tickets, pagination: serializePagination(pagination) });
+    }
+
+    const filters = {
+      status: req.query.status,
+      priority: req.query.priority,
+      search: req.query.search,
+      sort: req.query.sort,
+      order: req.query.order,
+      page: req.query.page,
+      per_page: req.query.per_page,
+    };
+    const { tickets, pagination } = await clientTicketService.getDepartmentTickets(
+      user.id,
+      user.department_id,
+      filters,
+    );
+    res.json({ data: tickets, pagination: serializePagination(pagination) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/tickets
+ * Admins create an admin ticket (hidden from department users);
+ * department users create a ticket for their own department
+ */
+router.post(
+  '/tickets',
+  apiMutationLimiter,
+  validateForRole(validateAdminTicketCreation, validateClientTicketCreation),
+  validateApiRequest,
+  async (req, res, next) => {
+    try {
+      const user = req.user;
+      let ticket;
+
+      if (isAdmin(user)) {
+        ticket = await adminTicketService.createAdminTicket(
+          user.id,
+          {
+            title: req.body.title,
+            description: req.body.description,
+            reporter_department: req.body.reporter_department,
+            reporter_phone: req.body.reporter_phone,
+            priority: req.body.priority,
+            status: req.body.status,
+          },
+          req.ip,
+        );
+      } else {
+        ticket = await clientTicketService.createTicket(
+          user.id,
+          {
+            title: req.body.title,
+            description: req.body.description,
+            reporter_phone: req.body.reporter_phone,
+          },
+          req.ip,
+        );
+      }
+
+      logger.info('API ticket created', {
+        ticketId: ticket.id,
+        userId: user.id,
+        role: user.role,
+      });
+
+      res.status(201).json({ data: ticket });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /api/v1/tickets/department
+ * Admin creates a ticket on behalf of a department (visible to that department)
+ */
+router.post(
+  '/tickets/department',
+  requireApiAdmin,
+  apiMutationLimiter,
+  validateDepartmentTicketCreation,
+  validateApiRequest,
+  async (req, res, next) => {
+    try {
+      const ticket = await adminTicketService.createDepartmentTicket(
+        req.user.id,
+        {
+          title: req.body.title,
+          description: req.body.description,
+          reporter_name: req.body.reporter_name,
+          reporter_department: req.body.reporter_department,
+          reporter_phone: req.body.reporter_phone,
+          priority: req.body.priority,
+        },
+        req.ip,
+      );
+
+      logger.info('API department ticket created', {
+        ticketId: ticket.id,
+        adminId: req.user.id,
+        department: ticket.reporter_department,
+      });
+
+      res.status(201).json({ data: ticket });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * GET /api/v1/tickets/:id
+ */
+router.get('/tickets/:id', validateTicketId, validateApiRequest, loadTicket, (req, res) => {
+  res.json({ data: req.ticket });
+});
+
+/**
+ * PATCH /api/v1/tickets/:id
+ * Admins can change status, priority and assigned_to (null unassigns);
+ * department users can only change status (waiting_on_admin or closed)
+ */
+router.patch(
+  '/tickets/:id',
+  apiMutationLimiter,
+  validateTicketId,
+  validateForRole(
+    [...validateTicketUpdate, ...validateTicketAssignment],
+    validateClientStatusUpdate,
+  ),
+  validateApiRequest,
+  loadTicket,
+  async (req, res, next) => {
+    try {
+      const user = req.user;
+
+      if (isAdmin(user)) {
+        const updates = {};
+        for (const field of ['status', 'priority', 'assigned_to']) {
+          if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+          }
+        }
+        if (Object.keys(updates).length === 0) {
+          return apiError(
+            res,
+            400,
+            'VALIDATION_ERROR',
+            'Nothing to update: provide status, priority or assigned_to',
+          );
+        }
+        await ticketService.updateTicket(req.ticket.id, updates, user.id, req.ip);
+      } else {
+        await clientTicketService.updateTicketStatus(
+          req.ticket.id,
+          req.body.status,
+          user.id,
+          req.ip,
+        );
+      }
+
+      const ticket = await ticketService.getTicketById(req.ticket.id);
+      res.json({ data: ticket });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * GET /api/v1/tickets/:id/comments
+ * Admins get all comments; department users only public ones
+ */
+router.get(
+  '/tickets/:id/comments',
+  validateTicketId,
+  validateApiRequest,
+  loadTicket,
+  async (req, res, next) => {
+    try {
+      const comments = isAdmin(req.user)
+        ? await Comment.findByTicketId(req.ticket.id)
+        : await clientTicketService.getVisibleComments(req.ticket.id);
+      res.json({ data: comments });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * POST /api/v1/tickets/:id/comments
+ * Admins may set visibility_type ('public' by default, or 'internal');
+ * department users can only add public comments
+ */
+router.post(
+  '/tickets/:id/comments',
+  apiMutationLimiter,
+  validateTicketId,
+  validateForRole(validateCommentCreation, validateClientCommentCreation),
+  validateApiRequest,
+  loadTicket,
+  async (req, res, next) => {
+    try {
+      const user = req.user;
+      let comment;
+
+      if (isAdmin(user)) {
+        comment = await ticketService.addAdminComment(
+          req.ticket.id,
+          user,
+          req.body.content,
+          req.body.visibility_type || COMMENT_VISIBILITY.PUBLIC,
+          req.ip,
+        );
+      } else {
+        if (req.body.visibility_type && req.body.visibility_type !== COMMENT_VISIBILITY.PUBLIC) {
+          return apiError(res, 403, 'FORBIDDEN', 'Department users can only add public comments');
+        }
+        comment = await clientTicketService.addComment(
+          req.ticket.id,
+          user.id,
+          req.body.content,
+          req.ip,
+        );
+      }
+
+      res.status(201).json({ data: comment });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+/**
+ * GET /api/v1/departments
+ * Active departments; the system 'Internal' department is only listed for admins
+ */
+router.get('/departments', async (req, res, next) => {
+  try {
+    const departments = await departmentService.getActiveDepartments(isAdmin(req.user));
+    res.json({ data: departments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/floors
+ * Active floors
+ */
+router.get('/floors', async (req, res, next) => {
+  try {
+    const floors = await floorService.getActiveFloors();
+    res.json({ data: floors });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unknown API paths get a JSON 404 instead of the HTML error page
+router.use((req, res) => {
+  apiError(res, 404, 'NOT_FOUND', 'API endpoint not found');
+});
+
+// Map service errors to JSON error bodies
+router.use((error, req, res, _next) => {
+  if (error.code === INVALID_STATUS_TRANSITION) {
+    return apiError(res, 409, INVALID_STATUS_TRANSITION, error.message, {
+      from: error.fromStatus,
+      to: error.toStatus,
+    });
+  }
+
+  if (error.message === TICKET_MESSAGES.NOT_FOUND) {
+    return apiError(res, 404, 'NOT_FOUND', error.message);
+  }
+
+  if (error.status >= 400 && error.status < 500) {
+    return apiError(
+      res,
+      error.status,
+      STATUS_ERROR_CODES[error.status] || 'CLIENT_ERROR',
+      error.message,
+    );
+  }
+
+  logger.error('API request error', {
+    method: req.method,
+    url: req.originalUrl,
+    userId: req.user?.id,
+    error: error.message,
+    stack: error.stack,
+  });
+  apiError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireSuperAdmin } = require('../middleware/auth');
+const { validateAuditLogId, validateAuditExport } = require('../validators/auditValidators');
+const { validateRequest } = require('../middleware/validation');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// All routes require super admin
+router.use(requireAuth, requireSuperAdmin);
+
+/**
+ * GET /admin/audit - Browse the audit log (filters and pagination in the query string)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { entries, pagination } = await auditService.getAuditLogs(req.query);
+    const filterOptions = await auditService.getFilterOptions();
+
+    res.render('admin/audit/index', {
+      title: 'Audit Log',
+      entries,
+      pagination,
+      filterOptions,
+      filters: req.query,
+    });
+  } catch (error) {
+    logger.error('Error loading audit log', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/audit/export?format=csv|json - Download all entries matching the filters
+ * IMPORTANT: Must come before /:id
+ */
+router.get('/export', validateAuditExport, validateRequest, async (req, res, next) => {
+  try {
+    const { filename, contentType, content } = await auditService.exportAuditLogs(
+      req.query,
+      req.query.format,
+      req.session.user.id,
+      req.ip,
+    );
+
+    res.attachment(filename);
+    res.type(contentType);
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting audit log', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/audit/verify - Check the audit log hash chain
+ * IMPORTANT: Must come before /:id
+ */
+router.get('/verify', async (req, res, next) => {
+  try {
+    const report = await auditService.verifyChain();
+
+    res.render('admin/audit/verify', {
+      title: 'Verify Audit Log',
+      report,
+    });
+  } catch (error) {
+    logger.error('Error verifying audit log chain', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/audit/:id - Audit entry detail
+ */
+router.get('/:id', validateAuditLogId, validateRequest, async (req, res, next) => {
+  try {
+    const entry = await auditService.getAuditLogById(req.params.id);
+
+    res.render('admin/audit/show', {
+      title: 'Audit Log Entry',
+      entry,
+    });
+  } catch (error) {
+    logger.error('Error loading audit log entry', {
+      auditLogId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,12 +3,63 @@ const router = express.Router();
 const { validateRequest } = require('../middleware/validation');
 // const { AUTH_MESSAGES } = require('../constants/messages'); // Not currently used
 const { USER_ROLE } = require('../constants/enums');
+const { TWO_FACTOR } = require('../constants/validation');
 const authService = require('../services/authService');
-const { validateLogin } = require('../validators/authValidators');
+const twoFactorService = require('../services/twoFactorService');
+const { validateLogin, validateTwoFactorCode } = require('../validators/authValidators');
 const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
 const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
 const { loginLimiter } = require('../middleware/rateLimiter');
 
+/**
+ * Sign a user in once every login step is passed
+ * @param {Object} details - Extra audit details (e.g. the two-factor method)
+ */
+async function completeLogin(req, res, user, details = {}) {
+  req.session.user = authService.createSessionData(user);
+  // Shown in the session list on /account
+  req.session.loginInfo = {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    signedInAt: new Date().toISOString(),
+  };
+  // The language the user picked last time, wherever they sign in from
+  if (user.language) {
+    req.session.language = user.language;
+  }
+
+  // Log successful login to audit trail
+  await AuditLog.create({
+    actorId: user.id,
+    action: 'USER_LOGIN',
+    targetType: 'user',
+    targetId: user.id,
+    details: { success: true, ...details },
+    ipAddress: req.ip,
+  });
+
+  // Role-based redirect after login
+  const redirectPath =
+    user.role === USER_ROLE.DEPARTMENT ? '/client/dashboard' : '/admin/dashboard';
+
+  successRedirect(req, res, 'auth:messages.loginSuccess', redirectPath);
+}
+
+/**
+ * The login waiting for its two-factor code, if it has not timed out
+ * Set by POST /auth/login when the password was right; no session user exists until
+ * the code is accepted.
+ */
+function pendingTwoFactorLogin(req) {
+  const pending = req.session.twoFactorLogin;
+  if (pending && pending.expiresAt > Date.now()) {
+    return pending;
+  }
+  delete req.session.twoFactorLogin;
+  return null;
+}
+
 router.get('/login', (req, res) => {
   if (req.session.user) {
     // Role-based redirect
@@ -26,34 +77,79 @@ router.get('/login', (req, res) => {
 router.post('/login', loginLimiter, validateLogin, validateRequest, async (req, res, next) => {
   try {
     const { username, password } = req.body;
-    const user = await authService.authenticate(username, password);
+    const user = await authService.authenticate(username, password, req.ip);
 
     if (!user) {
       return errorRedirect(req, res, 'auth:messages.loginFailed', '/auth/login');
     }
 
-    req.session.user = authService.createSessionData(user);
-
-    // Log successful login to audit trail
-    await AuditLog.create({
-      actorId: user.id,
-      action: 'USER_LOGIN',
-      targetType: 'user',
-      targetId: user.id,
-      details: { success: true },
-      ipAddress: req.ip,
-    });
-
-    // Role-based redirect after login
-    const redirectPath =
-      user.role === USER_ROLE.DEPARTMENT ? '/client/dashboard' : '/admin/dashboard';
+    // Users with two-factor authentication get a second step before the session is created
+    if (twoFactorService.isEnabled(user)) {
+      req.session.twoFactorLogin = {
+        userId: user.id,
+        attempts: 0,
+        expiresAt: Date.now() + TWO_FACTOR.LOGIN_MINUTES * 60 * 1000,
+      };
+      return res.redirect('/auth/two-factor');
+    }
 
-    successRedirect(req, res, 'auth:messages.loginSuccess', redirectPath);
+    await completeLogin(req, res, user);
   } catch (error) {
+    // A directory that cannot be reached is not the user's fault: say so on the login page
+    if (error.status === 503) {
+      return errorRedirect(req, res, 'auth:messages.directoryUnavailable', '/auth/login');
+    }
     next(error);
   }
 });
 
+router.get('/two-factor', (req, res) => {
+  if (!pendingTwoFactorLogin(req)) {
+    return res.redirect('/auth/login');
+  }
+  res.render('auth/two-factor', {
+    title: req.t('twoFactor:login.title'),
+    t: req.t,
+    language: req.language || 'el',
+  });
+});
+
+router.post(
+  '/two-factor',
+  loginLimiter,
+  validateTwoFactorCode,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const pending = pendingTwoFactorLogin(req);
+      if (!pending) {
+        return errorRedirect(req, res, 'twoFactor:messages.loginExpired', '/auth/login');
+      }
+
+      const method = await twoFactorService.verifyCode(pending.userId, req.body.code, req.ip);
+      if (!method) {
+        pending.attempts += 1;
+        if (pending.attempts >= TWO_FACTOR.MAX_ATTEMPTS) {
+          delete req.session.twoFactorLogin;
+          return errorRedirect(req, res, 'twoFactor:messages.tooManyAttempts', '/auth/login');
+        }
+        return errorRedirect(req, res, 'twoFactor:messages.invalidCode', '/auth/two-factor');
+      }
+
+      delete req.session.twoFactorLogin;
+      // Re-read the user: the account may have been deactivated since the password step
+      const user = await User.findById(pending.userId);
+      if (!user || user.status !== 'active') {
+        return errorRedirect(req, res, 'auth:messages.loginFailed', '/auth/login');
+      }
+
+      await completeLogin(req, res, user, { two_factor: method });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
 router.post('/logout', (req, res) => {
   req.session.destroy((err) => {
     if (err) {
@@ -3,17 +3,27 @@ const router = express.Router();
 const { requireAuth, requireDepartment } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { validateTicketId } = require('../validators/ticketValidators');
+const { validateAttachmentId } = require('../validators/attachmentValidators');
 const {
   validateClientTicketCreation,
   validateClientStatusUpdate,
   validateClientCommentCreation,
 } = require('../validators/clientValidators');
 const clientTicketService = require('../services/clientTicketService');
-const { TICKET_MESSAGES, COMMENT_MESSAGES } = require('../constants/messages');
+const attachmentService = require('../services/attachmentService');
+const ticketLifecycleService = require('../services/ticketLifecycleService');
+const { TICKET_MESSAGES, COMMENT_MESSAGES, ATTACHMENT_MESSAGES } = require('../constants/messages');
 const { TICKET_STATUS, TICKET_PRIORITY } = require('../constants/enums');
-const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
+const { successRedirect, errorRedirect, sendDownload } = require('../utils/responseHelpers');
+const {
+  INVALID_STATUS_TRANSITION,
+  getAllowedTransitions,
+} = require('../utils/ticketStatusTransitions');
 const logger = require('../utils/logger');
 
+// Attachments (req.files) of ticket and comment forms are parsed in app.js, before the
+// CSRF check (ATTACHMENT_UPLOAD_PATHS)
+
 // Apply authentication middleware to all client routes
 router.use(requireAuth, requireDepartment);
 
@@ -27,17 +37,25 @@ router.get('/dashboard', async (req, res, next) => {
       status: req.query.status,
       priority: req.query.priority,
       search: req.query.search,
+      sort: req.query.sort,
+      order: req.query.order,
+      page: req.query.page,
+      per_page: req.query.per_page,
     };
 
-    const tickets = await clientTicketService.getDepartmentTickets(
+    const { tickets, pagination, statusCounts } = await clientTicketService.getDepartmentTickets(
       req.session.user.id,
-      req.session.user.department,
+      req.session.user.department_id,
       filters,
     );
+    const summary = await clientTicketService.getDepartmentSummary(req.session.user.department_id);
 
     res.render('client/dashboard', {
       title: 'My Tickets',
       tickets,
+      pagination,
+      statusCounts,
+      summary,
       filters,
       TICKET_STATUS,
       TICKET_PRIORITY,
@@ -66,32 +84,45 @@ router.get('/tickets/new', (req, res) => {
  * POST /client/tickets
  * Create a new ticket for the department user
  */
-router.post('/tickets', validateClientTicketCreation, validateRequest, async (req, res, next) => {
-  try {
-    const ticketData = {
-      title: req.body.title,
-      description: req.body.description,
-      reporter_phone: req.body.reporter_phone,
-    };
+router.post(
+  '/tickets',
+  validateClientTicketCreation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const ticketData = {
+        title: req.body.title,
+        description: req.body.description,
+        reporter_phone: req.body.reporter_phone,
+      };
 
-    const ticket = await clientTicketService.createTicket(req.session.user.id, ticketData);
+      const ticket = await clientTicketService.createTicket(
+        req.session.user.id,
+        ticketData,
+        req.ip,
+      );
+      await attachmentService.saveAttachments(req.files, {
+        ticketId: ticket.id,
+        uploadedBy: req.session.user.id,
+      });
 
-    logger.info('Department user created ticket', {
-      ticketId: ticket.id,
-      userId: req.session.user.id,
-      department: ticket.reporter_department,
-    });
+      logger.info('Department user created ticket', {
+        ticketId: ticket.id,
+        userId: req.session.user.id,
+        department: ticket.reporter_department,
+      });
 
-    successRedirect(req, res, TICKET_MESSAGES.CREATED, `/client/tickets/${ticket.id}`);
-  } catch (error) {
-    logger.error('Client ticket creation error', {
-      userId: req.session.user.id,
-      error: error.message,
-      stack: error.stack,
-    });
-    next(error);
-  }
-});
+      successRedirect(req, res, TICKET_MESSAGES.CREATED, `/client/tickets/${ticket.id}`);
+    } catch (error) {
+      logger.error('Client ticket creation error', {
+        userId: req.session.user.id,
+        error: error.message,
+        stack: error.stack,
+      });
+      next(error);
+    }
+  },
+);
 
 /**
  * GET /client/tickets/:id
@@ -108,7 +139,7 @@ router.get('/tickets/:id', validateTicketId, validateRequest, async (req, res, n
 
     // CRITICAL: Department-based access control
     // Allow access if ticket belongs to user's department AND is not an internal admin ticket
-    if (ticket.reporter_department !== req.session.user.department) {
+    if (ticket.reporter_department_id !== req.session.user.department_id) {
       logger.warn('Department access violation attempt', {
         ticketId,
         userId: req.session.user.id,
@@ -132,12 +163,21 @@ router.get('/tickets/:id', validateTicketId, validateRequest, async (req, res, n
 
     // Get visible comments (public only for department users)
     const comments = await clientTicketService.getVisibleComments(ticketId);
+    // Attachments of internal comments are filtered out at SQL level
+    const attachments = await attachmentService.getTicketAttachments(
+      ticketId,
+      req.session.user.role,
+    );
 
     res.render('client/ticket-detail', {
       title: `Ticket #${ticket.id}`,
       ticket,
       comments,
+      attachments,
       TICKET_STATUS,
+      allowedStatuses: getAllowedTransitions(ticket.status, req.session.user.role),
+      // Closed tickets accept comments (which reopen them) until this date
+      reopenDeadline: ticketLifecycleService.getReopenDeadline(ticket),
     });
   } catch (error) {
     logger.error('Client ticket detail error', {
@@ -170,7 +210,7 @@ router.post(
 
       // CRITICAL: Department-based access control
       // Allow access if ticket belongs to user's department AND is not an internal admin ticket
-      if (ticket.reporter_department !== req.session.user.department) {
+      if (ticket.reporter_department_id !== req.session.user.department_id) {
         logger.warn('Comment department access violation attempt', {
           ticketId,
           userId: req.session.user.id,
@@ -192,7 +232,17 @@ router.post(
         return errorRedirect(req, res, TICKET_MESSAGES.UNAUTHORIZED_ACCESS, '/client/dashboard');
       }
 
-      await clientTicketService.addComment(ticketId, req.session.user.id, req.body.content);
+      const comment = await clientTicketService.addComment(
+        ticketId,
+        req.session.user.id,
+        req.body.content,
+        req.ip,
+      );
+      await attachmentService.saveAttachments(req.files, {
+        ticketId,
+        commentId: comment.id,
+        uploadedBy: req.session.user.id,
+      });
 
       logger.info('Department user added comment', {
         ticketId,
@@ -232,7 +282,7 @@ router.post(
 
       // CRITICAL: Department-based access control
       // Allow access if ticket belongs to user's department AND is not an internal admin ticket
-      if (ticket.reporter_department !== req.session.user.department) {
+      if (ticket.reporter_department_id !== req.session.user.department_id) {
         logger.warn('Status update department access violation attempt', {
           ticketId,
           userId: req.session.user.id,
@@ -254,7 +304,7 @@ router.post(
         return errorRedirect(req, res, TICKET_MESSAGES.UNAUTHORIZED_ACCESS, '/client/dashboard');
       }
 
-      await clientTicketService.updateTicketStatus(ticketId, req.body.status);
+      await clientTicketService.updateTicketStatus(ticketId, req.body.status, req.session.user.id, req.ip);
 
       logger.info('Department user updated ticket status', {
         ticketId,
@@ -264,6 +314,18 @@ router.post(
 
       successRedirect(req, res, TICKET_MESSAGES.STATUS_CHANGED, `/client/tickets/${ticketId}`);
     } catch (error) {
+      if (error.code === INVALID_STATUS_TRANSITION) {
+        return errorRedirect(
+          req,
+          res,
+          'tickets:messages.invalidStatusTransition',
+          `/client/tickets/${req.params.id}`,
+          {
+            from: req.t(`tickets:status.${error.fromStatus}`),
+            to: req.t(`tickets:status.${error.toStatus}`),
+          },
+        );
+      }
       logger.error('Client status update error', {
         ticketId: req.params.id,
         userId: req.session.user.id,
@@ -275,4 +337,70 @@ router.post(
   },
 );
 
+/**
+ * GET /client/attachments/:id
+ * Download an attachment (same department checks as the ticket detail page)
+ */
+router.get('/attachments/:id', validateAttachmentId, validateRequest, async (req, res, next) => {
+  try {
+    const attachmentId = req.params.id;
+    const attachment = await attachmentService.getAttachmentById(attachmentId);
+
+    if (!attachment) {
+      return errorRedirect(req, res, ATTACHMENT_MESSAGES.NOT_FOUND, '/client/dashboard');
+    }
+
+    // CRITICAL: Department-based access control
+    // Allow access if ticket belongs to user's department AND is not an internal admin ticket
+    if (attachment.reporter_department_id !== req.session.user.department_id) {
+      logger.warn('Attachment department access violation attempt', {
+        attachmentId,
+        ticketId: attachment.ticket_id,
+        userId: req.session.user.id,
+        userDepartment: req.session.user.department,
+        ticketDepartment: attachment.reporter_department,
+        ip: req.ip,
+      });
+      return errorRedirect(req, res, TICKET_MESSAGES.UNAUTHORIZED_ACCESS, '/client/dashboard');
+    }
+
+    // Additional security: Block internal admin tickets (defense in depth)
+    if (attachment.is_admin_created === true) {
+      logger.warn('Internal ticket attachment access attempt', {
+        attachmentId,
+        ticketId: attachment.ticket_id,
+        userId: req.session.user.id,
+        userDepartment: req.session.user.department,
+        ip: req.ip,
+      });
+      return errorRedirect(req, res, TICKET_MESSAGES.UNAUTHORIZED_ACCESS, '/client/dashboard');
+    }
+
+    // Files of internal comments are never served to department users
+    if (attachment.visibility_type === 'internal') {
+      logger.warn('Internal comment attachment access attempt', {
+        attachmentId,
+        ticketId: attachment.ticket_id,
+        userId: req.session.user.id,
+        ip: req.ip,
+      });
+      return errorRedirect(req, res, ATTACHMENT_MESSAGES.NOT_FOUND, '/client/dashboard');
+    }
+
+    sendDownload(res, next, attachmentService.openAttachment(attachment), {
+      filename: attachment.original_name,
+      mimeType: attachment.mime_type,
+      size: attachment.size_bytes,
+    });
+  } catch (error) {
+    logger.error('Client attachment download error', {
+      attachmentId: req.params.id,
+      userId: req.session.user.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+});
+
 module.exports = router;
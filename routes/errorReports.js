@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { adminMutationLimiter } = require('../middleware/rateLimiter');
+const {
+  validateErrorReportId,
+  validateErrorReportResolve,
+} = require('../validators/errorReportValidators');
+const { validateRequest } = require('../middleware/validation');
+const errorReportingService = require('../services/errorReportingService');
+const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
+const logger = require('../utils/logger');
+
+// All routes require admin or super admin
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /admin/error-reports - Reports submitted from error pages (filters and pagination
+ * in the query string)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { reports, pagination, categories, counts } = await errorReportingService.getReports(
+      req.query,
+    );
+
+    res.render('admin/error-reports/index', {
+      title: 'Error Reports',
+      reports,
+      pagination,
+      categories,
+      counts,
+      filters: req.query,
+    });
+  } catch (error) {
+    logger.error('Error loading error reports', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/error-reports/:id - Report detail with the request that failed
+ */
+router.get('/:id', validateErrorReportId, validateRequest, async (req, res, next) => {
+  try {
+    const report = await errorReportingService.getReportById(req.params.id);
+
+    res.render('admin/error-reports/show', {
+      title: 'Error Report',
+      report,
+    });
+  } catch (error) {
+    logger.error('Error loading error report', {
+      reportId: req.params.id,
+      error: error.message,
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/error-reports/:id/resolve - Mark a report as resolved
+ */
+router.post(
+  '/:id/resolve',
+  adminMutationLimiter,
+  validateErrorReportResolve,
+  validateRequest,
+  async (req, res) => {
+    try {
+      await errorReportingService.resolveReport(
+        req.session.user.id,
+        req.params.id,
+        req.body.resolution,
+        req.ip,
+      );
+
+      successRedirect(
+        req,
+        res,
+        'errorReports:messages.resolved',
+        `/admin/error-reports/${req.params.id}`,
+      );
+    } catch (error) {
+      logger.error('Error resolving error report', {
+        reportId: req.params.id,
+        error: error.message,
+      });
+      return errorRedirect(req, res, error.message, `/admin/error-reports/${req.params.id}`);
+    }
+  },
+);
+
+/**
+ * POST /admin/error-reports/:id/ticket - Create an internal admin ticket from a report
+ */
+router.post(
+  '/:id/ticket',
+  adminMutationLimiter,
+  validateErrorReportId,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const ticket = await errorReportingService.createTicketFromReport(
+        req.session.user.id,
+        req.params.id,
+        req.ip,
+      );
+
+      successRedirect(
+        req,
+        res,
+        'errorReports:messages.ticketCreated',
+        `/admin/tickets/${ticket.id}`,
+        {
+          id: ticket.id,
+        },
+      );
+    } catch (error) {
+      logger.error('Error creating ticket from error report', {
+        reportId: req.params.id,
+        error: error.message,
+      });
+      return errorRedirect(req, res, error.message, `/admin/error-reports/${req.params.id}`);
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireSuperAdmin } = require('../middleware/auth');
+const { adminMutationLimiter } = require('../middleware/rateLimiter');
+const { validateJobName } = require('../validators/jobValidators');
+const { validateRequest } = require('../middleware/validation');
+const jobService = require('../services/jobService');
+const { JOB_RUN_STATUS } = require('../constants/enums');
+const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
+const logger = require('../utils/logger');
+
+// All routes require super admin
+router.use(requireAuth, requireSuperAdmin);
+
+/**
+ * GET /admin/jobs - Background jobs and their run history (filters and pagination in the
+ * query string)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const jobs = await jobService.getJobs();
+    const { runs, pagination } = await jobService.getRuns(req.query);
+
+    res.render('admin/jobs/index', {
+      title: 'Background Jobs',
+      jobs,
+      runs,
+      pagination,
+      filters: req.query,
+    });
+  } catch (error) {
+    logger.error('Error loading background jobs', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/jobs/:name/run - Run a job now (waits for it to finish)
+ */
+router.post(
+  '/:name/run',
+  adminMutationLimiter,
+  validateJobName,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const run = await jobService.triggerJob(req.session.user.id, req.params.name, req.ip);
+
+      if (run.status === JOB_RUN_STATUS.FAILED) {
+        return errorRedirect(req, res, 'jobs:messages.failed', `/admin/jobs?job=${run.job_name}`, {
+          job: run.job_name,
+          error: run.error,
+        });
+      }
+      successRedirect(req, res, 'jobs:messages.succeeded', `/admin/jobs?job=${run.job_name}`, {
+        job: run.job_name,
+      });
+    } catch (error) {
+      logger.error('Error running background job', {
+        name: req.params.name,
+        error: error.message,
+      });
+      return errorRedirect(req, res, error.message, '/admin/jobs');
+    }
+  },
+);
+
+module.exports = router;
@@ -1,22 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const userService = require('../services/userService');
+const { LANGUAGE } = require('../constants/enums');
 const logger = require('../utils/logger');
 
+/**
+ * Remember the language for a signed-in user so the next login starts in it
+ * A failure is only logged; the session still switches.
+ */
+async function persistLanguage(req, lang) {
+  if (!req.session.user) {
+    return;
+  }
+  try {
+    await userService.setLanguage(req.session.user.id, lang);
+  } catch (error) {
+    logger.error('Failed to store language preference', {
+      lang,
+      userId: req.session.user.id,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * POST /language/change
  * Changes the user's language preference
  */
-router.post('/change', (req, res) => {
+router.post('/change', async (req, res) => {
   const { lang } = req.body;
-  const supportedLangs = ['el', 'en'];
+  const supportedLangs = Object.values(LANGUAGE);
 
   if (!supportedLangs.includes(lang)) {
     logger.warn('Invalid language change attempt', { lang, ip: req.ip });
     return res.redirect('back');
   }
 
-  // Store in session
+  // Store in session (and with the user)
   req.session.language = lang;
+  await persistLanguage(req, lang);
 
   // Update i18next language
   if (req.i18n) {
@@ -45,16 +67,17 @@ router.post('/change', (req, res) => {
  * GET /language/:lang
  * Alternative route for language switching (for direct links)
  */
-router.get('/:lang', (req, res) => {
+router.get('/:lang', async (req, res) => {
   const { lang } = req.params;
-  const supportedLangs = ['el', 'en'];
+  const supportedLangs = Object.values(LANGUAGE);
 
   if (!supportedLangs.includes(lang)) {
     return res.redirect('back');
   }
 
-  // Store in session
+  // Store in session (and with the user)
   req.session.language = lang;
+  await persistLanguage(req, lang);
 
   // Update i18next language
   if (req.i18n) {
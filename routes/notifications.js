@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { validateNotificationId } = require('../validators/notificationValidators');
+const notificationService = require('../services/notificationService');
+const { NOTIFICATION_EVENT } = require('../constants/enums');
+const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
+const logger = require('../utils/logger');
+
+router.use(requireAuth);
+
+// GET /notifications - Notification center
+router.get('/', async (req, res, next) => {
+  try {
+    const notifications = await notificationService.getRecent(req.session.user.id);
+    res.render('notifications/index', {
+      title: 'Notifications',
+      notifications,
+    });
+  } catch (error) {
+    logger.error('Error loading notifications', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+// POST /notifications/read-all - Mark every notification as read
+router.post('/read-all', async (req, res, next) => {
+  try {
+    await notificationService.markAllRead(req.session.user.id);
+    successRedirect(req, res, 'notifications:messages.allRead', 'back');
+  } catch (error) {
+    logger.error('Error marking notifications as read', {
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+});
+
+// POST /notifications/:id/read - Mark one notification as read and open its ticket
+router.post('/:id/read', validateNotificationId, validateRequest, async (req, res, next) => {
+  try {
+    const notification = await notificationService.markRead(req.session.user.id, req.params.id);
+    if (!notification) {
+      return errorRedirect(req, res, 'notifications:messages.notFound', '/notifications');
+    }
+
+    if (notification.event_type === NOTIFICATION_EVENT.ACCOUNT_LOCKED) {
+      return res.redirect(`/admin/users/${notification.details.user_id}/edit`);
+    }
+    if (!notification.ticket_id) {
+      return res.redirect('/notifications');
+    }
+    res.redirect(notificationService.getTicketPath(notification.ticket_id, req.session.user.role));
+  } catch (error) {
+    logger.error('Error marking notification as read', {
+      notificationId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
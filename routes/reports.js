@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validateReportExport } = require('../validators/reportValidators');
+const { validateRequest } = require('../middleware/validation');
+const reportService = require('../services/reportService');
+const logger = require('../utils/logger');
+
+// All routes require admin or super admin
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /admin/reports - Ticket reports (from, to and granularity in the query string)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const reports = await reportService.getReports(req.query);
+
+    res.render('admin/reports/index', {
+      title: 'Reports',
+      ...reports,
+    });
+  } catch (error) {
+    logger.error('Error loading reports', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/reports/export?report=... - Download one report as CSV
+ */
+router.get('/export', validateReportExport, validateRequest, async (req, res, next) => {
+  try {
+    const { filename, contentType, content } = await reportService.exportReport(
+      req.query.report,
+      req.query,
+    );
+
+    res.attachment(filename);
+    res.type(contentType);
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting report', {
+      report: req.query.report,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireSuperAdmin } = require('../middleware/auth');
+const {
+  validateSlaPolicyId,
+  validateSlaPolicyCreate,
+  validateSlaPolicyUpdate,
+} = require('../validators/slaValidators');
+const { validateRequest } = require('../middleware/validation');
+const slaService = require('../services/slaService');
+const departmentService = require('../services/departmentService');
+const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
+const { TICKET_PRIORITY } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+// All routes require super admin
+router.use(requireAuth, requireSuperAdmin);
+
+/**
+ * GET /admin/sla - List all SLA policies
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const policies = await slaService.getAllPolicies();
+
+    res.render('admin/sla/index', {
+      title: 'SLA Policies',
+      policies,
+    });
+  } catch (error) {
+    logger.error('Error loading SLA policies', { error: error.message, stack: error.stack });
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/sla/new - New SLA policy form
+ */
+router.get('/new', async (req, res, next) => {
+  try {
+    const departments = await departmentService.getActiveDepartments(true);
+
+    res.render('admin/sla/create', {
+      title: 'Create SLA Policy',
+      departments,
+      priorities: Object.values(TICKET_PRIORITY),
+    });
+  } catch (error) {
+    logger.error('Error loading SLA policy form', { error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/sla - Create SLA policy
+ */
+router.post('/', validateSlaPolicyCreate, validateRequest, async (req, res) => {
+  try {
+    const policy = await slaService.createPolicy(
+      req.session.user.id,
+      {
+        priority: req.body.priority,
+        department_id: req.body.department_id,
+        first_response_minutes: req.body.first_response_minutes,
+        resolution_minutes: req.body.resolution_minutes,
+      },
+      req.ip,
+    );
+
+    logger.info('SLA policy created', {
+      policyId: policy.id,
+      priority: policy.priority,
+      departmentId: policy.department_id,
+      createdBy: req.session.user.username,
+    });
+
+    successRedirect(req, res, 'sla:messages.created', '/admin/sla');
+  } catch (error) {
+    logger.error('Error creating SLA policy', { error: error.message, stack: error.stack });
+    return errorRedirect(req, res, error.message, '/admin/sla/new');
+  }
+});
+
+/**
+ * GET /admin/sla/:id/edit - Edit SLA policy form
+ */
+router.get('/:id/edit', validateSlaPolicyId, validateRequest, async (req, res) => {
+  try {
+    const policy = await slaService.getPolicyById(parseInt(req.params.id));
+
+    res.render('admin/sla/edit', {
+      title: 'Edit SLA Policy',
+      policy,
+    });
+  } catch (error) {
+    logger.error('Error loading SLA policy', { error: error.message, stack: error.stack });
+    return errorRedirect(req, res, error.message, '/admin/sla');
+  }
+});
+
+/**
+ * POST /admin/sla/:id - Update SLA policy targets
+ */
+router.post('/:id', validateSlaPolicyUpdate, validateRequest, async (req, res) => {
+  try {
+    const policyId = parseInt(req.params.id);
+
+    await slaService.updatePolicy(
+      req.session.user.id,
+      policyId,
+      {
+        first_response_minutes: req.body.first_response_minutes,
+        resolution_minutes: req.body.resolution_minutes,
+      },
+      req.ip,
+    );
+
+    logger.info('SLA policy updated', {
+      policyId,
+      updatedBy: req.session.user.username,
+    });
+
+    successRedirect(req, res, 'sla:messages.updated', '/admin/sla');
+  } catch (error) {
+    logger.error('Error updating SLA policy', { error: error.message, stack: error.stack });
+    return errorRedirect(req, res, error.message, `/admin/sla/${req.params.id}/edit`);
+  }
+});
+
+/**
+ * POST /admin/sla/:id/delete - Delete SLA policy
+ */
+router.post('/:id/delete', validateSlaPolicyId, validateRequest, async (req, res) => {
+  try {
+    const policyId = parseInt(req.params.id);
+
+    await slaService.deletePolicy(req.session.user.id, policyId, req.ip);
+
+    logger.info('SLA policy deleted', {
+      policyId,
+      deletedBy: req.session.user.username,
+    });
+
+    successRedirect(req, res, 'sla:messages.deleted', '/admin/sla');
+  } catch (error) {
+    logger.error('Error deleting SLA policy', { error: error.message, stack: error.stack });
+    return errorRedirect(req, res, error.message, '/admin/sla');
+  }
+});
+
+module.exports = router;
@@ -6,13 +6,47 @@ const {
   validateUserUpdate,
   validatePasswordReset,
 } = require('../validators/userValidators');
+const { validateApiTokenId, validateApiTokenCreate } = require('../validators/apiTokenValidators');
 const { validateRequest } = require('../middleware/validation');
 const userService = require('../services/userService');
 const departmentService = require('../services/departmentService');
+const apiTokenService = require('../services/apiTokenService');
+const twoFactorService = require('../services/twoFactorService');
 const { successRedirect, errorRedirect } = require('../utils/responseHelpers');
 const { adminMutationLimiter } = require('../middleware/rateLimiter');
+const { API_TOKEN_EXPIRY_DAYS } = require('../constants/validation');
 const logger = require('../utils/logger');
 
+/**
+ * Render the edit user page
+ * @param {string|null} newToken - Plain API token created by this request, shown once
+ */
+async function renderEditUser(req, res, next, newToken = null) {
+  const userId = parseInt(req.params.id);
+  const targetUser = await userService.getUserById(userId);
+
+  if (!targetUser) {
+    const error = new Error('User not found');
+    error.status = 404;
+    return next(error);
+  }
+
+  const departments = await departmentService.getActiveDepartments(false);
+  const apiTokens = await apiTokenService.getUserTokens(userId);
+  const twoFactor = await twoFactorService.getStatus(targetUser);
+
+  res.render('admin/users/edit', {
+    title: 'Edit User',
+    targetUser,
+    user: req.session.user,
+    departments,
+    apiTokens,
+    twoFactor,
+    expiryOptions: API_TOKEN_EXPIRY_DAYS,
+    newToken,
+  });
+}
+
 // GET /admin/users - List all users
 router.get('/', requireAuth, requireSuperAdmin, async (req, res, next) => {
   try {
@@ -80,23 +114,7 @@ router.post(
 // GET /admin/users/:id/edit - Show edit user form
 router.get('/:id/edit', requireAuth, requireSuperAdmin, async (req, res, next) => {
   try {
-    const userId = parseInt(req.params.id);
-    const targetUser = await userService.getUserById(userId);
-
-    if (!targetUser) {
-      const error = new Error('User not found');
-      error.status = 404;
-      return next(error);
-    }
-
-    const departments = await departmentService.getActiveDepartments(false);
-
-    res.render('admin/users/edit', {
-      title: 'Edit User',
-      targetUser,
-      user: req.session.user,
-      departments,
-    });
+    await renderEditUser(req, res, next);
   } catch (error) {
     logger.error('Error loading user', { error: error.message, stack: error.stack });
     next(error);
@@ -206,4 +224,99 @@ router.post(
   },
 );
 
+// POST /admin/users/:id/unlock - Lift a login lock and clear the failed attempts
+router.post(
+  '/:id/unlock',
+  requireAuth,
+  requireSuperAdmin,
+  adminMutationLimiter,
+  async (req, res, _next) => {
+    try {
+      const userId = parseInt(req.params.id);
+      await userService.unlockUser(req.session.user.id, userId, req.ip);
+
+      return successRedirect(req, res, 'users:messages.unlocked', '/admin/users');
+    } catch (error) {
+      logger.error('Error unlocking user', { error: error.message, stack: error.stack });
+      return errorRedirect(req, res, error.message, '/admin/users');
+    }
+  },
+);
+
+// POST /admin/users/:id/two-factor/reset - Turn off a user's two-factor authentication
+// (lost device); users whose role requires it enrol again at their next sign-in
+router.post(
+  '/:id/two-factor/reset',
+  requireAuth,
+  requireSuperAdmin,
+  adminMutationLimiter,
+  async (req, res, _next) => {
+    const userId = parseInt(req.params.id);
+    try {
+      await twoFactorService.resetForUser(req.session.user.id, userId, req.ip);
+
+      return successRedirect(req, res, 'twoFactor:messages.reset', `/admin/users/${userId}/edit`);
+    } catch (error) {
+      logger.error('Error resetting two-factor authentication', {
+        error: error.message,
+        stack: error.stack,
+      });
+      return errorRedirect(req, res, error.message, `/admin/users/${userId}/edit`);
+    }
+  },
+);
+
+// POST /admin/users/:id/tokens - Create an API token on behalf of a user
+router.post(
+  '/:id/tokens',
+  requireAuth,
+  requireSuperAdmin,
+  adminMutationLimiter,
+  validateApiTokenCreate,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.id);
+      const { name, scope, expires_in_days } = req.body;
+      const { plainToken } = await apiTokenService.createToken(
+        req.session.user.id,
+        userId,
+        { name, scope, expires_in_days },
+        req.ip,
+      );
+
+      await renderEditUser(req, res, next, plainToken);
+    } catch (error) {
+      logger.error('Error creating API token', { error: error.message, stack: error.stack });
+      return errorRedirect(req, res, error.message, 'back');
+    }
+  },
+);
+
+// POST /admin/users/:id/tokens/:tokenId/revoke - Revoke a user's API token
+router.post(
+  '/:id/tokens/:tokenId/revoke',
+  requireAuth,
+  requireSuperAdmin,
+  adminMutationLimiter,
+  validateApiTokenId,
+  validateRequest,
+  async (req, res, _next) => {
+    const userId = parseInt(req.params.id);
+    try {
+      await apiTokenService.revokeToken(req.session.user.id, userId, req.params.tokenId, req.ip);
+
+      return successRedirect(
+        req,
+        res,
+        'tokens:messages.revoked',
+        `/admin/users/${userId}/edit`,
+      );
+    } catch (error) {
+      logger.error('Error revoking API token', { error: error.message, stack: error.stack });
+      return errorRedirect(req, res, error.message, `/admin/users/${userId}/edit`);
+    }
+  },
+);
+
 module.exports = router;
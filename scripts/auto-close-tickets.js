@@ -0,0 +1,40 @@
+/**
+ * Ticket Auto-Close Script
+ *
+ * Closes every ticket that has been waiting on its department for
+ * TICKET_AUTO_CLOSE_DAYS (default: 14) without a comment. Each closed ticket gets
+ * a public system comment and the department is notified as for any status
+ * change. Tickets that were already closed are left alone, so the script is safe
+ * to run repeatedly, e.g. once a day from cron:
+ *
+ *   npm run tickets:auto-close
+ *
+ * Exit codes:
+ * - 0: Stale tickets closed (or nothing to close)
+ * - 1: The run failed
+ */
+
+require('dotenv').config();
+const pool = require('../config/database');
+const { i18next } = require('../config/i18n');
+const ticketLifecycleService = require('../services/ticketLifecycleService');
+
+async function main() {
+  try {
+    // The system comment is translated; wait for the locale files
+    if (!i18next.isInitialized) {
+      await new Promise((resolve) => i18next.on('initialized', resolve));
+    }
+
+    const closed = await ticketLifecycleService.autoCloseStaleTickets();
+    console.log(`✅ Auto-closed ${closed} stale ticket(s)`);
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Ticket auto-close failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+main();
@@ -21,11 +21,16 @@ DB_INITIALIZED=$(PGPASSWORD=${POSTGRES_PASSWORD:-ticketing_pass} psql -h db -U $
 if [ "$DB_INITIALIZED" = "t" ]; then
   echo "✓ Database tables already exist"
 else
-  echo "Database not initialized. Running migrations..."
-  node scripts/init-db.js
-  echo "✓ Database initialized successfully"
+  echo "Database not initialized."
 fi
 
+# Applies only migrations missing from schema_migrations. A database created
+# before migrations were tracked must be baselined once first:
+#   npm run migrate:baseline -- <last applied version>
+echo "Applying pending migrations..."
+node scripts/migrate.js up
+echo "✓ Database schema is up to date"
+
 echo ""
 echo "Checking for admin user..."
 
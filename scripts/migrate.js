@@ -0,0 +1,105 @@
+/**
+ * Database Migration Script
+ *
+ * Applies and rolls back the SQL files in migrations/, tracked in the
+ * schema_migrations table (see services/migrationService.js).
+ *
+ *   npm run migrate:status             # applied, pending and changed migrations
+ *   npm run migrate:up                 # apply every pending migration
+ *   npm run migrate:up -- 030          # apply pending migrations up to 030
+ *   npm run migrate:down               # roll back the last migration
+ *   npm run migrate:down -- 2          # roll back the last two migrations
+ *   npm run migrate:baseline -- 034    # existing database: record 001-034 as applied
+ *
+ * Rolling back needs a down script next to the migration (NNN_name.down.sql).
+ *
+ * Exit codes:
+ * - 0: Success (status: every migration applied)
+ * - 1: status: pending, changed or missing migrations
+ * - 2: The command failed
+ */
+
+require('dotenv').config();
+const pool = require('../config/database');
+const migrationService = require('../services/migrationService');
+const { MIGRATION_STATE } = require('../constants/enums');
+
+const USAGE = 'Usage: node scripts/migrate.js <status|up|down|baseline> [version|steps]';
+
+/**
+ * Parse the optional numeric argument
+ * @param {string|undefined} value - Command line argument
+ * @returns {number|undefined}
+ */
+function parseNumber(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Expected a number, got "${value}". ${USAGE}`);
+  }
+  return parseInt(value);
+}
+
+async function status() {
+  const rows = await migrationService.getStatus();
+  for (const row of rows) {
+    const appliedAt = row.applied_at ? row.applied_at.toISOString() : '';
+    const notes = [row.baselined ? 'baseline' : '', row.hasDown ? 'down' : '']
+      .filter(Boolean)
+      .join(', ');
+    console.log(
+      `${row.state.padEnd(8)} ${row.name.padEnd(50)} ${appliedAt}${notes ? ` (${notes})` : ''}`,
+    );
+  }
+
+  const outstanding = rows.filter((row) => row.state !== MIGRATION_STATE.APPLIED);
+  console.log(`\n${rows.length - outstanding.length} applied, ${outstanding.length} outstanding`);
+  return outstanding.length === 0 ? 0 : 1;
+}
+
+async function up(to) {
+  const applied = await migrationService.up({ to });
+  applied.forEach((migration) => console.log(`✓ ${migration.name} (${migration.durationMs} ms)`));
+  console.log(applied.length ? `\nApplied ${applied.length} migration(s)` : 'Nothing to apply');
+  return 0;
+}
+
+async function down(steps = 1) {
+  const rolledBack = await migrationService.down(steps);
+  rolledBack.forEach((migration) => console.log(`↩ ${migration.name}`));
+  console.log(
+    rolledBack.length ? `\nRolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back',
+  );
+  return 0;
+}
+
+async function baseline(version) {
+  if (version === undefined) {
+    throw new Error(`baseline needs the last migration version the database has. ${USAGE}`);
+  }
+  const recorded = await migrationService.baseline(version);
+  console.log(`Recorded ${recorded.length} migration(s) as applied, up to ${recorded.at(-1).name}`);
+  return 0;
+}
+
+const COMMANDS = { status, up, down, baseline };
+
+async function main() {
+  const [command, argument] = process.argv.slice(2);
+  let exitCode = 2;
+
+  try {
+    if (!COMMANDS[command]) {
+      throw new Error(USAGE);
+    }
+    exitCode = await COMMANDS[command](parseNumber(argument));
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+  }
+
+  await pool.end();
+  process.exit(exitCode);
+}
+
+main();
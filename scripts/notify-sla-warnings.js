@@ -0,0 +1,33 @@
+/**
+ * SLA Warning Script
+ *
+ * Raises an in-app notification for every open ticket whose first response or
+ * resolution is due within SLA_WARNING_MINUTES (default: 60). Each ticket is
+ * warned once per SLA target, so the script is safe to run repeatedly, e.g.
+ * every few minutes from cron:
+ *
+ *   npm run sla:notify
+ *
+ * Exit codes:
+ * - 0: Warnings raised (or nothing to warn about)
+ * - 1: The check failed
+ */
+
+require('dotenv').config();
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+
+async function main() {
+  try {
+    const warned = await notificationService.notifySlaWarnings();
+    console.log(`✅ SLA warnings raised for ${warned} ticket target(s)`);
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ SLA warning check failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+main();
@@ -191,7 +191,7 @@ async function seedDemoUsers() {
     const superAdminLast = getRandomElement(greekLastNames);
     const superAdminUsername = greekToLatin(superAdminFirst).toLowerCase() + '_admin';
     const superAdminResult = await pool.query(
-      'INSERT INTO users (username, email, password_hash, role, department) VALUES ($1, $2, $3, $4, $5) RETURNING id, username, email, role, department',
+      'INSERT INTO users (username, email, password_hash, role, department, department_id) VALUES ($1, $2, $3, $4, $5, (SELECT id FROM departments WHERE name = $5::varchar)) RETURNING id, username, email, role, department',
       [
         superAdminUsername,
         `${superAdminUsername}@example.com`,
@@ -211,7 +211,7 @@ async function seedDemoUsers() {
       const lastName = getRandomElement(greekLastNames);
       const username = greekToLatin(firstName).toLowerCase() + (i + 1);
       const result = await pool.query(
-        'INSERT INTO users (username, email, password_hash, role, department) VALUES ($1, $2, $3, $4, $5) RETURNING id, username, email, role, department',
+        'INSERT INTO users (username, email, password_hash, role, department, department_id) VALUES ($1, $2, $3, $4, $5, (SELECT id FROM departments WHERE name = $5::varchar)) RETURNING id, username, email, role, department',
         [username, `${username}@example.com`, defaultPassword, 'admin', 'Internal'],
       );
       createdUsers.push({ ...result.rows[0], greekName: `${firstName} ${lastName}` });
@@ -224,7 +224,7 @@ async function seedDemoUsers() {
       const department = departments[i % departments.length];
       const username = greekToLatin(firstName).toLowerCase() + '_dept' + (i + 1);
       const result = await pool.query(
-        'INSERT INTO users (username, email, password_hash, role, department) VALUES ($1, $2, $3, $4, $5) RETURNING id, username, email, role, department',
+        'INSERT INTO users (username, email, password_hash, role, department, department_id) VALUES ($1, $2, $3, $4, $5, (SELECT id FROM departments WHERE name = $5::varchar)) RETURNING id, username, email, role, department',
         [username, `${username}@example.com`, defaultPassword, 'department', department],
       );
       createdUsers.push({ ...result.rows[0], greekName: `${firstName} ${lastName}` });
@@ -195,6 +195,8 @@ async function createSuperAdmin(superAdminConfig) {
       password: superAdminConfig.password,
       role: 'super_admin',
       department: null,
+      // Seeded passwords come from the config files, so the first login replaces them
+      mustChangePassword: true,
     });
 
     console.log(`   ✓ Super admin created: ${superAdminConfig.username}\n`);
@@ -281,6 +283,7 @@ async function createDepartmentUsers(departmentsConfig) {
         password: userConfig.password,
         role: 'department',
         department: deptConfig.name,
+        mustChangePassword: true,
       });
 
       createdUsers.push({
@@ -340,6 +343,7 @@ function displayCredentials(superAdmin, users) {
     }
   }
 
+  console.log('🔑 Every seeded user has to choose a new password at their first login.');
   console.log('📝 Access the application at: http://localhost:3000/auth/login');
   console.log('💡 To add sample tickets and comments, run: npm run seed:sample\n');
 }
@@ -0,0 +1,48 @@
+/**
+ * Audit Chain Verification Script
+ *
+ * Walks the audit log hash chain from the oldest entry and reports the first
+ * broken link (an edited, deleted or inserted entry). Entries written before
+ * migration 032 have no hash and are reported as unsealed. Record the printed
+ * head hash somewhere outside the database: removing the newest entries is only
+ * detectable by comparing against an earlier head.
+ *
+ *   npm run audit:verify
+ *
+ * Exit codes:
+ * - 0: Chain intact
+ * - 1: Chain broken
+ * - 2: The check failed
+ */
+
+require('dotenv').config();
+const pool = require('../config/database');
+const auditService = require('../services/auditService');
+
+async function main() {
+  try {
+    const report = await auditService.verifyChain();
+    console.log(`Checked ${report.checked} entries (${report.unsealed} unsealed)`);
+
+    if (!report.intact) {
+      console.error(
+        `❌ Audit log chain broken at entry #${report.brokenAt.id} (${report.brokenAt.reason})`,
+      );
+      await pool.end();
+      process.exit(1);
+    }
+
+    console.log('✅ Audit log chain intact');
+    if (report.headId) {
+      console.log(`   Head: #${report.headId} ${report.headHash}`);
+    }
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Audit log chain verification failed:', error.message);
+    await pool.end();
+    process.exit(2);
+  }
+}
+
+main();
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { API_TOKEN_SCOPE } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+// Marks KNII tokens so they are easy to recognise in configs and secret scanners
+const TOKEN_PREFIX = 'knii_';
+// Leading characters stored in clear to identify a token in lists
+const DISPLAY_PREFIX_LENGTH = 12;
+// Methods a read-scoped token may use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * API Token Service
+ * Business logic for personal API tokens (creation, revocation, Bearer authentication)
+ */
+class ApiTokenService {
+  /**
+   * Hash a plain token for storage and lookup
+   * @param {string} plainToken - Token as sent by the client
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(plainToken) {
+    return crypto.createHash('sha256').update(plainToken).digest('hex');
+  }
+
+  /**
+   * Generate a new random plain token
+   * @returns {string} Token with the knii_ prefix
+   */
+  generateToken() {
+    return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Check whether a token scope allows an HTTP method
+   * @param {string} scope - 'read' or 'write'
+   * @param {string} method - HTTP method
+   * @returns {boolean}
+   */
+  allowsMethod(scope, method) {
+    return scope === API_TOKEN_SCOPE.WRITE || READ_METHODS.includes(method);
+  }
+
+  /**
+   * Get a user's tokens with a derived status (active, expired or revoked)
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Array>} Tokens, newest first
+   */
+  async getUserTokens(userId) {
+    const tokens = await ApiToken.findByUser(userId);
+    const now = new Date();
+
+    return tokens.map((token) => {
+      let status = 'active';
+      if (token.revoked_at) {
+        status = 'revoked';
+      } else if (new Date(token.expires_at) <= now) {
+        status = 'expired';
+      }
+      return { ...token, status };
+    });
+  }
+
+  /**
+   * Create a token for a user
+   * The plain token is only returned here; it cannot be recovered later.
+   * @param {number} actorId - User creating the token (owner or super admin)
+   * @param {number} userId - Token owner
+   * @param {Object} data - {name, scope, expires_in_days}
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<{token: Object, plainToken: string}>} Created token row and plain token
+   */
+  async createToken(actorId, userId, { name, scope, expires_in_days }, ipAddress) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.status !== 'active') {
+      const error = new Error('API tokens can only be created for active users');
+      error.status = 400;
+      throw error;
+    }
+
+    const plainToken = this.generateToken();
+    const expiresAt = new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000);
+
+    const token = await ApiToken.create({
+      user_id: userId,
+      name,
+      token_hash: this.hashToken(plainToken),
+      token_prefix: plainToken.slice(0, DISPLAY_PREFIX_LENGTH),
+      scope,
+      expires_at: expiresAt,
+      created_by: actorId,
+    });
+
+    // Log action
+    await AuditLog.create({
+      actorId,
+      action: 'API_TOKEN_CREATED',
+      targetType: 'api_token',
+      targetId: token.id,
+      details: {
+        name: token.name,
+        scope: token.scope,
+        expires_at: token.expires_at,
+        user_id: userId,
+        username: user.username,
+      },
+      ipAddress,
+    });
+
+    logger.info('apiTokenService.createToken: API token created', {
+      tokenId: token.id,
+      userId,
+      actorId,
+      scope: token.scope,
+    });
+
+    return { token, plainToken };
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   * @param {number} actorId - User revoking the token (owner or super admin)
+   * @param {number} userId - Expected token owner (tokens of other users are "not found")
+   * @param {number} tokenId - Token ID
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} Revoked token row
+   */
+  async revokeToken(actorId, userId, tokenId, ipAddress) {
+    const token = await ApiToken.findById(tokenId);
+    if (!token || token.user_id !== userId) {
+      const error = new Error('API token not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const revoked = await ApiToken.revoke(tokenId, actorId);
+    if (!revoked) {
+      const error = new Error('API token is already revoked');
+      error.status = 400;
+      throw error;
+    }
+
+    // Log action
+    await AuditLog.create({
+      actorId,
+      action: 'API_TOKEN_REVOKED',
+      targetType: 'api_token',
+      targetId: tokenId,
+      details: {
+        name: token.name,
+        scope: token.scope,
+        user_id: token.user_id,
+      },
+      ipAddress,
+    });
+
+    logger.info('apiTokenService.revokeToken: API token revoked', {
+      tokenId,
+      userId,
+      actorId,
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Resolve a Bearer token to its token row and active owner
+   * @param {string} plainToken - Token from the Authorization header
+   * @returns {Promise<{token: Object, user: Object}|null>} null if the token is unknown,
+   *   revoked, expired or its owner is not active
+   */
+  async authenticate(plainToken) {
+    if (!plainToken || !plainToken.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const token = await ApiToken.findActiveByHash(this.hashToken(plainToken));
+    if (!token) {
+      return null;
+    }
+
+    const user = await User.findById(token.user_id);
+    if (!user || user.status !== 'active') {
+      logger.warn('apiTokenService.authenticate: Token owner is not active', {
+        tokenId: token.id,
+        userId: token.user_id,
+      });
+      return null;
+    }
+
+    await ApiToken.touchLastUsed(token.id);
+
+    return { token, user };
+  }
+
+  /**
+   * Audit a state-changing API request made with a token
+   * @param {Object} token - Token row
+   * @param {Object} request - {method, path, status, ipAddress}
+   */
+  async recordUsage(token, { method, path, status, ipAddress }) {
+    await AuditLog.create({
+      actorId: token.user_id,
+      action: 'API_TOKEN_USED',
+      targetType: 'api_token',
+      targetId: token.id,
+      details: { name: token.name, method, path, status },
+      ipAddress,
+    });
+  }
+}
+
+module.exports = new ApiTokenService();
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const storage = require('../config/storage');
+const { ATTACHMENT_LIMITS } = require('../constants/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Attachment Service
+ * Business logic for ticket and comment attachments (type checks, storage, listing)
+ */
+class AttachmentService {
+  /**
+   * Check an uploaded file against the allowed types
+   * The extension must belong to the declared MIME type, so a renamed
+   * executable cannot pass as an image.
+   * @param {string} originalName - File name sent by the browser
+   * @param {string} mimeType - MIME type sent by the browser
+   * @returns {boolean}
+   */
+  isAllowedType(originalName, mimeType) {
+    const extensions = ATTACHMENT_LIMITS.ALLOWED_TYPES[mimeType];
+    if (!extensions) {
+      return false;
+    }
+    return extensions.includes(path.extname(originalName || '').toLowerCase());
+  }
+
+  /**
+   * Generate a storage key for a new file
+   * Keys never contain the uploaded name; they are grouped by month.
+   * @returns {string} e.g. '2026/10/3f2b...'
+   */
+  generateStorageKey() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    return `${now.getFullYear()}/${month}/${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Store uploaded files and record them against a ticket or comment
+   * @param {Array} files - Files parsed by the upload middleware ({originalname, mimetype, size, buffer})
+   * @param {Object} target - {ticketId, commentId (optional), uploadedBy}
+   * @returns {Promise<Array>} Created attachment rows
+   */
+  async saveAttachments(files, { ticketId, commentId = null, uploadedBy }) {
+    const attachments = [];
+
+    for (const file of files || []) {
+      const storageKey = this.generateStorageKey();
+      await storage.save(storageKey, file.buffer);
+
+      try {
+        const attachment = await Attachment.create({
+          ticket_id: ticketId,
+          comment_id: commentId,
+          uploaded_by: uploadedBy,
+          original_name: file.originalname,
+          storage_key: storageKey,
+          mime_type: file.mimetype,
+          size_bytes: file.size,
+        });
+        attachments.push(attachment);
+      } catch (error) {
+        // Do not leave an orphaned file behind
+        await storage.remove(storageKey).catch((removeError) => {
+          logger.error('attachmentService.saveAttachments: Failed to remove orphaned file', {
+            storageKey,
+            error: removeError.message,
+          });
+        });
+        throw error;
+      }
+    }
+
+    if (attachments.length > 0) {
+      logger.info('attachmentService.saveAttachments: Attachments stored', {
+        ticketId,
+        commentId,
+        uploadedBy,
+        count: attachments.length,
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Get the attachments of a ticket visible to a role, split by owner
+   * @param {number} ticketId - Ticket ID
+   * @param {string} userRole - Viewer role (department users never see internal comment files)
+   * @returns {Promise<{ticket: Array, byComment: Object}>} Ticket attachments and
+   *   comment attachments keyed by comment ID
+   */
+  async getTicketAttachments(ticketId, userRole) {
+    const attachments = await Attachment.findVisibleByTicketId(ticketId, userRole);
+    const result = { ticket: [], byComment: {} };
+
+    attachments.forEach((attachment) => {
+      if (attachment.comment_id === null) {
+        result.ticket.push(attachment);
+      } else {
+        result.byComment[attachment.comment_id] = result.byComment[attachment.comment_id] || [];
+        result.byComment[attachment.comment_id].push(attachment);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Get an attachment with the fields needed for access checks
+   * @param {number} attachmentId - Attachment ID
+   * @returns {Promise<Object|undefined>} Attachment or undefined
+   */
+  async getAttachmentById(attachmentId) {
+    return Attachment.findById(attachmentId);
+  }
+
+  /**
+   * Open a stored attachment for download
+   * @param {Object} attachment - Attachment row
+   * @returns {Readable} File stream from the storage backend
+   */
+  openAttachment(attachment) {
+    return storage.createReadStream(attachment.storage_key);
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,225 @@
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_EXPORT_FORMAT } = require('../constants/enums');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns of the CSV export; details stay JSON so nothing is lost
+const CSV_COLUMNS = [
+  { header: 'ID', value: (entry) => entry.id },
+  { header: 'Timestamp', value: (entry) => entry.created_at },
+  { header: 'Actor ID', value: (entry) => entry.actor_id },
+  { header: 'Actor', value: (entry) => entry.actor_username },
+  { header: 'Action', value: (entry) => entry.action },
+  { header: 'Target Type', value: (entry) => entry.target_type },
+  { header: 'Target ID', value: (entry) => entry.target_id },
+  { header: 'IP Address', value: (entry) => entry.ip_address },
+  { header: 'Details', value: (entry) => (entry.details ? JSON.stringify(entry.details) : '') },
+  { header: 'Hash', value: (entry) => entry.hash },
+];
+
+// Entries read per query while verifying the hash chain
+const CHAIN_BATCH_SIZE = 1000;
+
+// Why a chain link is broken
+const CHAIN_BREAK = {
+  // An entry written after the chain started carries no hash
+  MISSING_HASH: 'missing_hash',
+  // prev_hash does not match the entry before it: an entry was deleted or re-hashed
+  PREV_HASH_MISMATCH: 'prev_hash_mismatch',
+  // The entry's content no longer matches its hash: it was edited
+  HASH_MISMATCH: 'hash_mismatch',
+};
+
+/**
+ * Audit Service
+ * Read side of the audit trail: the super admin audit log browser, its exports and
+ * the hash chain check
+ */
+class AuditService {
+  /**
+   * Keep only well-formed filter values from the query string
+   * Invalid values are dropped (like the ticket list filters) rather than rejected.
+   * @param {Object} query - Request query
+   * @returns {Object} actor_id, action, target_type, target_id, ip_address, date_from, date_to
+   */
+  cleanFilters(query = {}) {
+    const text = (value, pattern) =>
+      typeof value === 'string' && pattern.test(value.trim()) ? value.trim() : undefined;
+    const date = (value) => {
+      const day = text(value, DATE_PATTERN);
+      return day && !isNaN(new Date(day).getTime()) ? day : undefined;
+    };
+    const id = (value) => (/^\d+$/.test(String(value)) ? parseInt(value) : undefined);
+
+    return {
+      actor_id: id(query.actor_id),
+      action: text(query.action, /^[A-Za-z_]{1,50}$/),
+      target_type: text(query.target_type, /^[A-Za-z_]{1,50}$/),
+      target_id: id(query.target_id),
+      ip_address: text(query.ip_address, /^[0-9A-Fa-f.:]{1,45}$/),
+      date_from: date(query.date_from),
+      date_to: date(query.date_to),
+    };
+  }
+
+  /**
+   * Get one page of audit entries
+   * @param {Object} query - Request query (filters, page, per_page)
+   * @returns {Promise<{entries: Array, pagination: Object}>}
+   */
+  async getAuditLogs(query = {}) {
+    const filters = this.cleanFilters(query);
+    const { page, perPage } = parsePagination(query);
+    const total = await AuditLog.countAll(filters);
+    const pagination = buildPagination(page, perPage, total);
+    const entries = await AuditLog.findAll({
+      ...filters,
+      limit: perPage,
+      offset: pagination.offset,
+    });
+
+    return { entries, pagination };
+  }
+
+  /**
+   * Get one audit entry
+   * @param {number} id - Audit entry ID
+   * @returns {Promise<Object>} Audit entry with actor_username
+   */
+  async getAuditLogById(id) {
+    const entry = await AuditLog.findByIdWithActor(id);
+    if (!entry) {
+      const error = new Error('Audit log entry not found');
+      error.status = 404;
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * Actions, target types and actors for the filter dropdowns
+   * @returns {Promise<{actions: Array<string>, targetTypes: Array<string>, actors: Array}>}
+   */
+  async getFilterOptions() {
+    return AuditLog.findFilterOptions();
+  }
+
+  /**
+   * Export every entry matching the filters
+   * The export itself is audited, so the log shows who took a copy and of what.
+   * @param {Object} query - Request query (filters)
+   * @param {string} format - AUDIT_EXPORT_FORMAT value
+   * @param {number} actorId - Exporting super admin
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<{filename: string, contentType: string, content: string}>}
+   */
+  async exportAuditLogs(query, format, actorId, ipAddress) {
+    const filters = this.cleanFilters(query);
+    const entries = await AuditLog.findAll(filters);
+
+    await AuditLog.create({
+      actorId,
+      action: 'AUDIT_LOG_EXPORTED',
+      targetType: 'audit_log',
+      targetId: null,
+      details: { format, filters, count: entries.length },
+      ipAddress,
+    });
+
+    logger.info('auditService.exportAuditLogs: Audit log exported', {
+      actorId,
+      format,
+      count: entries.length,
+    });
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    if (format === AUDIT_EXPORT_FORMAT.JSON) {
+      return {
+        filename: `audit-log-${stamp}.json`,
+        contentType: 'application/json; charset=utf-8',
+        content: JSON.stringify(entries, null, 2),
+      };
+    }
+    return {
+      filename: `audit-log-${stamp}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: toCsv(CSV_COLUMNS, entries),
+    };
+  }
+
+  /**
+   * Walk the hash chain from the oldest entry and stop at the first broken link
+   * Entries written before the chain existed (no hash, before the first sealed entry)
+   * are counted as unsealed. Removing the newest entries cannot be detected from the
+   * chain alone, so the result includes the head hash to compare with a recorded copy.
+   * @returns {Promise<Object>} {intact, checked, unsealed, headId, headHash,
+   *   brokenAt: {id, reason} | null}
+   */
+  async verifyChain() {
+    const report = {
+      intact: true,
+      checked: 0,
+      unsealed: 0,
+      headId: null,
+      headHash: null,
+      brokenAt: null,
+    };
+    let chainStarted = false;
+    let previousHash = null;
+    let afterId = 0;
+
+    for (;;) {
+      const batch = await AuditLog.findChainBatch(afterId, CHAIN_BATCH_SIZE);
+      for (const entry of batch) {
+        report.checked++;
+
+        if (!chainStarted && entry.hash === null) {
+          report.unsealed++;
+          continue;
+        }
+        chainStarted = true;
+
+        let reason = null;
+        if (entry.hash === null) {
+          reason = CHAIN_BREAK.MISSING_HASH;
+        } else if (entry.prev_hash !== previousHash) {
+          reason = CHAIN_BREAK.PREV_HASH_MISMATCH;
+        } else if (AuditLog.computeHash(entry) !== entry.hash) {
+          reason = CHAIN_BREAK.HASH_MISMATCH;
+        }
+
+        if (reason) {
+          report.intact = false;
+          report.brokenAt = { id: entry.id, reason };
+          logger.warn('auditService.verifyChain: Audit log hash chain is broken', {
+            auditLogId: entry.id,
+            reason,
+            checked: report.checked,
+          });
+          return report;
+        }
+
+        previousHash = entry.hash;
+        report.headId = entry.id;
+        report.headHash = entry.hash;
+      }
+
+      if (batch.length < CHAIN_BATCH_SIZE) {
+        break;
+      }
+      afterId = batch[batch.length - 1].id;
+    }
+
+    logger.info('auditService.verifyChain: Audit log hash chain verified', {
+      checked: report.checked,
+      unsealed: report.unsealed,
+      headId: report.headId,
+    });
+    return report;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,158 @@
+const { Client, InvalidCredentialsError } = require('ldapts');
+const { USER_ROLE } = require('../../constants/enums');
+const logger = require('../../utils/logger');
+
+// Role groups are checked in this order; the first group the user is in gives the role
+const ROLE_PRIORITY = [USER_ROLE.SUPER_ADMIN, USER_ROLE.ADMIN, USER_ROLE.DEPARTMENT];
+
+/**
+ * Escape a value for use inside an LDAP search filter (RFC 4515)
+ * @param {string} value - Raw value (e.g. the username as entered)
+ * @returns {string}
+ */
+function escapeFilterValue(value) {
+  return String(value).replace(
+    /[\\*()\0]/g,
+    (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`,
+  );
+}
+
+/**
+ * Normalize a DN for comparison (DNs are case-insensitive and may have spaces after commas)
+ * @param {string} dn - Distinguished name
+ * @returns {string}
+ */
+function normalizeDn(dn) {
+  return String(dn)
+    .trim()
+    .replace(/\s*,\s*/g, ',')
+    .toLowerCase();
+}
+
+/**
+ * LDAP / Active Directory authentication provider
+ *
+ * Implements the provider interface documented in localProvider.js. The password is
+ * checked by binding as the user: a service account (bindDN) searches for the user's entry
+ * with userFilter, then the client binds with the entry's DN and the password entered.
+ * Role and department come from the entry's memberOf groups, through roleGroups and
+ * departmentGroups.
+ */
+class LdapProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Server URL (ldap:// or ldaps://)
+   * @param {string} options.bindDN - Service account DN used for the search ('' for anonymous)
+   * @param {string} options.bindPassword - Service account password
+   * @param {string} options.searchBase - DN under which users are searched
+   * @param {string} options.userFilter - Search filter; {{username}} is replaced (escaped)
+   * @param {string} options.usernameAttribute - Attribute holding the login name
+   * @param {string} options.emailAttribute - Attribute holding the email address
+   * @param {Object} options.roleGroups - Group DN per role (super_admin, admin, department)
+   * @param {Array<{department: string, group: string}>} options.departmentGroups - Group DN
+   *   per department name
+   * @param {number} options.timeoutMs - Connection and operation timeout
+   * @param {Object} options.tlsOptions - Passed to tls.connect for ldaps:// URLs
+   */
+  constructor(options) {
+    this.name = 'ldap';
+    this.provisions = true;
+    this.options = options;
+  }
+
+  async authenticate(username, password, _user) {
+    // Most servers treat a bind with an empty password as an anonymous bind, which succeeds
+    if (!username || !password) {
+      return null;
+    }
+
+    const { url, bindDN, bindPassword, searchBase, userFilter, timeoutMs, tlsOptions } =
+      this.options;
+    const client = new Client({ url, timeout: timeoutMs, connectTimeout: timeoutMs, tlsOptions });
+
+    try {
+      await client.bind(bindDN, bindPassword);
+      const { searchEntries } = await client.search(searchBase, {
+        scope: 'sub',
+        filter: userFilter.replace(/\{\{username\}\}/g, escapeFilterValue(username)),
+        attributes: [this.options.usernameAttribute, this.options.emailAttribute, 'memberOf'],
+      });
+
+      // No entry (unknown user) or several (filter not specific enough): never guess
+      if (searchEntries.length !== 1) {
+        logger.debug('LdapProvider.authenticate: User entry not found', {
+          username,
+          entries: searchEntries.length,
+        });
+        return null;
+      }
+
+      const entry = searchEntries[0];
+      try {
+        await client.bind(entry.dn, password);
+      } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+          return null;
+        }
+        throw error;
+      }
+
+      return this.toProfile(entry, username);
+    } catch (error) {
+      logger.error('LdapProvider.authenticate: LDAP error', {
+        username,
+        url,
+        error: error.message,
+        stack: error.stack,
+      });
+      const unavailable = new Error('LDAP server unavailable');
+      unavailable.status = 503;
+      throw unavailable;
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  /**
+   * Build the provider profile of a directory entry
+   * The department role needs a department group too; without one the role is null.
+   * @param {Object} entry - Search entry (dn plus the requested attributes)
+   * @param {string} username - Username as entered (used when the entry has none)
+   * @returns {{username: string, email: string|null, role: string|null, department: string|null}}
+   */
+  toProfile(entry, username) {
+    const groups = this.attributeValues(entry, 'memberOf').map(normalizeDn);
+    const inGroup = (dn) => Boolean(dn) && groups.includes(normalizeDn(dn));
+
+    const departmentGroup = this.options.departmentGroups.find(({ group }) => inGroup(group));
+    let role = ROLE_PRIORITY.find((candidate) => inGroup(this.options.roleGroups[candidate]));
+    let department = null;
+    if (role === USER_ROLE.DEPARTMENT) {
+      department = departmentGroup ? departmentGroup.department : null;
+      role = department ? role : null;
+    }
+
+    return {
+      username: this.attributeValues(entry, this.options.usernameAttribute)[0] || username,
+      email: this.attributeValues(entry, this.options.emailAttribute)[0] || null,
+      role: role || null,
+      department,
+    };
+  }
+
+  /**
+   * Values of an entry attribute as an array (attribute names are case-insensitive)
+   * @param {Object} entry - Search entry
+   * @param {string} attribute - Attribute name
+   * @returns {string[]}
+   */
+  attributeValues(entry, attribute) {
+    const key = Object.keys(entry).find((name) => name.toLowerCase() === attribute.toLowerCase());
+    if (!key || entry[key] === undefined) {
+      return [];
+    }
+    return [].concat(entry[key]).map(String);
+  }
+}
+
+module.exports = LdapProvider;
@@ -0,0 +1,32 @@
+const bcrypt = require('bcryptjs');
+
+// Hash compared for unknown usernames: never matches but takes as long as a real one
+const DUMMY_HASH = '$2a$10$invalidhashtopreventtimingattack1234567890123456';
+
+/**
+ * Local authentication provider (bcrypt hash in users.password_hash)
+ *
+ * Authentication providers share one interface so config/auth.js can combine them:
+ * - name: string - stored in users.auth_provider for the accounts the provider checks
+ * - provisions: boolean - whether it can create accounts on their first login
+ * - authenticate(username, password, user): Promise<Object|null> - the profile when the
+ *   password is right, otherwise null; user is the account row, or null for an unknown
+ *   username. Provisioning providers return { username, email, role, department }, with
+ *   a null role when the user is in none of the mapped groups. A provider that cannot be
+ *   reached throws an error with status 503.
+ */
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.provisions = false;
+  }
+
+  async authenticate(username, password, user) {
+    // Always compare, even without an account, so unknown usernames cannot be told apart
+    // by how long the login takes
+    const isValid = await bcrypt.compare(password, user?.password_hash || DUMMY_HASH);
+    return user && isValid ? { username: user.username } : null;
+  }
+}
+
+module.exports = LocalProvider;
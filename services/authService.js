@@ -1,42 +1,174 @@
-const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const authConfig = require('../config/auth');
+const { LOGIN_LOCKOUT } = require('../constants/validation');
+const { PASSWORD_CHANGE_REASON, AUTH_PROVIDER, USER_ROLE } = require('../constants/enums');
 const logger = require('../utils/logger');
 
+// Days after which a password has to be changed (0 turns the maximum age off)
+const PASSWORD_MAX_AGE_DAYS = parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0');
+
 class AuthService {
-  async authenticate(username, password) {
+  constructor() {
+    // Configured providers, in AUTH_PROVIDERS order
+    this.providers = authConfig.providers;
+  }
+
+  /**
+   * Configured provider by name
+   * @param {string} name - users.auth_provider value
+   * @returns {Object|undefined}
+   */
+  getProvider(name) {
+    return this.providers.find((provider) => provider.name === name);
+  }
+
+  /**
+   * Whether the password of a user is checked by this application
+   * Directory users change their password (and email) in the directory.
+   * @param {Object} user - User row with auth_provider
+   * @returns {boolean}
+   */
+  isLocalAccount(user) {
+    return !user.auth_provider || user.auth_provider === AUTH_PROVIDER.LOCAL;
+  }
+
+  /**
+   * Whether a user is currently locked out after failed logins
+   * @param {Object} user - User row with locked_until
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  isLocked(user, now = new Date()) {
+    return Boolean(user.locked_until) && new Date(user.locked_until) > now;
+  }
+
+  /**
+   * Why a user has to change their password before going on, if they do
+   * @param {Object} user - User row with must_change_password and password_changed_at
+   * @param {Date} now - Reference time
+   * @param {number} maxAgeDays - Maximum password age (0 for none)
+   * @returns {string|null} PASSWORD_CHANGE_REASON value, or null
+   */
+  passwordChangeReason(user, now = new Date(), maxAgeDays = PASSWORD_MAX_AGE_DAYS) {
+    if (!this.isLocalAccount(user)) {
+      return null;
+    }
+    if (user.must_change_password) {
+      return PASSWORD_CHANGE_REASON.RESET;
+    }
+    if (maxAgeDays > 0 && user.password_changed_at) {
+      const ageMs = now - new Date(user.password_changed_at);
+      if (ageMs > maxAgeDays * 24 * 60 * 60 * 1000) {
+        return PASSWORD_CHANGE_REASON.EXPIRED;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Audit a refused login
+   * @param {Object|null} user - The account, or null for an unknown username
+   * @param {string} username - Username as entered
+   * @param {string} reason - unknown_user, locked, inactive, invalid_password,
+   *   provider_disabled, no_role or provision_failed
+   * @param {string} ipAddress - Client IP
+   * @param {Object} extra - More details (e.g. login_attempts)
+   */
+  async auditFailedLogin(user, username, reason, ipAddress, extra = {}) {
+    await AuditLog.create({
+      actorId: user ? user.id : null,
+      action: 'USER_LOGIN_FAILED',
+      targetType: 'user',
+      targetId: user ? user.id : null,
+      details: { success: false, username, reason, ...extra },
+      ipAddress,
+    });
+  }
+
+  /**
+   * Check a username and password
+   * An account is checked by the provider it belongs to (users.auth_provider). An unknown
+   * username is tried against every configured provider in AUTH_PROVIDERS order, and a
+   * directory that accepts it creates the account on the spot (provisionUser).
+   * Every refusal returns null (never says why, to prevent user enumeration) and is
+   * audited. A wrong password counts towards the lockout; the failure that reaches
+   * LOGIN_LOCKOUT.MAX_ATTEMPTS and every one after it locks the account, each time
+   * for twice as long.
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {string} ipAddress - Client IP (for the audit trail)
+   * @returns {Promise<Object|null>} The user, or null if the login is refused
+   * @throws {Error} status 503 when a directory cannot be reached
+   */
+  async authenticate(username, password, ipAddress = null) {
     const startTime = Date.now();
     try {
       logger.info('authService.authenticate: Authentication attempt', { username });
 
-      const user = await User.findByUsernameWithPassword(username);
-
-      // Always perform a password comparison even if user doesn't exist
-      // This prevents timing attacks that could enumerate valid usernames
-      // Using a dummy hash that will never match but takes similar time
-      const passwordToCompare =
-        user?.password_hash || '$2a$10$invalidhashtopreventtimingattack1234567890123456';
-      const isValidPassword = await bcrypt.compare(password, passwordToCompare);
+      let user = await User.findByUsernameWithPassword(username);
 
-      // If user doesn't exist, return null (but after doing the comparison)
       if (!user) {
+        const { provider, profile } = await this.findInProviders(username, password);
+        if (
+          profile &&
+          profile.username !== username &&
+          (await User.findByUsername(profile.username))
+        ) {
+          // Same directory account, typed in another letter case
+          return this.authenticate(profile.username, password, ipAddress);
+        }
+        if (profile) {
+          return this.provisionUser(provider, profile, ipAddress);
+        }
+
         const duration = Date.now() - startTime;
         logger.warn(
           'authService.authenticate: Authentication failed - user not found or invalid credentials',
           { username, duration },
         );
+        await this.auditFailedLogin(null, username, 'unknown_user', ipAddress);
         return null;
       }
 
+      // The provider of the account may have been removed from AUTH_PROVIDERS
+      const provider = this.getProvider(user.auth_provider || AUTH_PROVIDER.LOCAL);
+      if (!provider) {
+        logger.warn('authService.authenticate: Authentication failed - provider not configured', {
+          username,
+          userId: user.id,
+          authProvider: user.auth_provider,
+        });
+        await this.auditFailedLogin(user, username, 'provider_disabled', ipAddress, {
+          provider: user.auth_provider,
+        });
+        return null;
+      }
+      // Refused accounts are not sent to a directory: repeated binds with a wrong password
+      // would lock the directory account too
+      const refused = this.isLocked(user) || user.status !== 'active';
+      const profile =
+        refused && provider.provisions
+          ? null
+          : await provider.authenticate(username, password, user);
+
       // Check if account is locked due to too many failed attempts
       // Return null instead of throwing error to prevent user enumeration
-      if (user.login_attempts >= 5) {
+      // Attempts while locked do not count (the lock would never end otherwise)
+      if (this.isLocked(user)) {
         const duration = Date.now() - startTime;
         logger.warn('authService.authenticate: Authentication failed - account locked', {
           username,
           userId: user.id,
           loginAttempts: user.login_attempts,
+          lockedUntil: user.locked_until,
           duration,
         });
+        await this.auditFailedLogin(user, username, 'locked', ipAddress, {
+          locked_until: user.locked_until,
+        });
         return null;
       }
 
@@ -50,22 +182,42 @@ class AuthService {
           status: user.status,
           duration,
         });
+        await this.auditFailedLogin(user, username, 'inactive', ipAddress);
         return null;
       }
 
-      if (!isValidPassword) {
-        // Increment failed login attempts
-        await User.incrementLoginAttempts(username);
+      if (!profile) {
+        // Count the failed attempt (locks the account once the limit is reached)
+        const lock = await User.recordFailedLogin(user.id, {
+          maxAttempts: LOGIN_LOCKOUT.MAX_ATTEMPTS,
+          baseMinutes: LOGIN_LOCKOUT.BASE_MINUTES,
+          maxMinutes: LOGIN_LOCKOUT.MAX_MINUTES,
+        });
         const duration = Date.now() - startTime;
         logger.warn('authService.authenticate: Authentication failed - invalid credentials', {
           username,
           userId: user.id,
-          newLoginAttempts: user.login_attempts + 1,
+          newLoginAttempts: lock.login_attempts,
           duration,
         });
+        await this.auditFailedLogin(user, username, 'invalid_password', ipAddress, {
+          login_attempts: lock.login_attempts,
+        });
+
+        if (lock.login_attempts >= LOGIN_LOCKOUT.MAX_ATTEMPTS) {
+          await this.lockAccount(user, lock, ipAddress);
+        }
         return null;
       }
 
+      // Directory users follow their groups (and may have lost access since last time)
+      if (provider.provisions) {
+        user = await this.syncDirectoryUser(user, provider, profile, ipAddress);
+        if (!user) {
+          return null;
+        }
+      }
+
       // Reset login attempts and update last login on successful authentication
       await User.updateLastLogin(user.id);
 
@@ -90,6 +242,174 @@ class AuthService {
     }
   }
 
+  /**
+   * Try an unknown username against the configured providers, in order
+   * The local provider still runs its dummy comparison, so the time taken does not tell
+   * whether the username exists.
+   * @param {string} username - Username as entered
+   * @param {string} password - Password
+   * @returns {Promise<{provider: Object|null, profile: Object|null}>} The first provider
+   *   that accepted the password and its profile
+   */
+  async findInProviders(username, password) {
+    for (const provider of this.providers) {
+      const profile = await provider.authenticate(username, password, null);
+      if (profile) {
+        return { provider, profile };
+      }
+    }
+    return { provider: null, profile: null };
+  }
+
+  /**
+   * Create the account of a directory user on their first login
+   * The password hash is random and never checked: the provider keeps checking the
+   * password. Users in none of the mapped groups get no account.
+   * @param {Object} provider - Provider that accepted the password
+   * @param {Object} profile - username, email, role and department from the provider
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object|null>} The new user, or null if the login is refused
+   */
+  async provisionUser(provider, profile, ipAddress) {
+    const { username, email, role, department } = profile;
+    if (!role) {
+      logger.warn('authService.provisionUser: Directory user is in no mapped group', {
+        username,
+        provider: provider.name,
+      });
+      await this.auditFailedLogin(null, username, 'no_role', ipAddress, {
+        provider: provider.name,
+      });
+      return null;
+    }
+
+    let created;
+    try {
+      created = await User.create({
+        username,
+        email,
+        password: crypto.randomBytes(32).toString('hex'),
+        role,
+        department,
+        status: 'active',
+        authProvider: provider.name,
+      });
+    } catch (error) {
+      // Missing email, an email / username another account already has, or a
+      // department from the group mapping that is not in the departments table
+      if (!['23505', '23502', '23503'].includes(error.code)) {
+        throw error;
+      }
+      logger.warn('authService.provisionUser: Account could not be created', {
+        username,
+        provider: provider.name,
+        error: error.message,
+      });
+      await this.auditFailedLogin(null, username, 'provision_failed', ipAddress, {
+        provider: provider.name,
+      });
+      return null;
+    }
+
+    await AuditLog.create({
+      actorId: null,
+      action: 'USER_PROVISIONED',
+      targetType: 'user',
+      targetId: created.id,
+      details: { username, provider: provider.name, role, department },
+      ipAddress,
+    });
+    await User.updateLastLogin(created.id);
+
+    logger.info('authService.provisionUser: Directory user created', {
+      userId: created.id,
+      username,
+      provider: provider.name,
+      role,
+    });
+    return User.findByUsername(username);
+  }
+
+  /**
+   * Bring a directory user's role, department and email in line with the directory
+   * @param {Object} user - User row
+   * @param {Object} provider - Provider of the user
+   * @param {Object} profile - Profile returned by the provider
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object|null>} The (updated) user, or null if no group maps to a role
+   */
+  async syncDirectoryUser(user, provider, profile, ipAddress) {
+    if (!profile.role) {
+      logger.warn('authService.syncDirectoryUser: Directory user is in no mapped group', {
+        userId: user.id,
+        username: user.username,
+      });
+      await this.auditFailedLogin(user, user.username, 'no_role', ipAddress, {
+        provider: provider.name,
+      });
+      return null;
+    }
+
+    const changes = {};
+    ['role', 'department', 'email'].forEach((field) => {
+      if (profile[field] && profile[field] !== user[field]) {
+        changes[field] = profile[field];
+      }
+    });
+    // Only department users have a department
+    if (profile.role !== USER_ROLE.DEPARTMENT && user.department) {
+      changes.department = null;
+    }
+    if (Object.keys(changes).length === 0) {
+      return user;
+    }
+
+    await User.update(user.id, changes);
+    await AuditLog.create({
+      actorId: null,
+      action: 'USER_DIRECTORY_SYNC',
+      targetType: 'user',
+      targetId: user.id,
+      details: {
+        provider: provider.name,
+        from: Object.fromEntries(Object.keys(changes).map((field) => [field, user[field]])),
+        to: changes,
+      },
+      ipAddress,
+    });
+    logger.info('authService.syncDirectoryUser: User updated from the directory', {
+      userId: user.id,
+      changedFields: Object.keys(changes),
+    });
+    return { ...user, ...changes };
+  }
+
+  /**
+   * Audit a new lock and tell the user and the super admins about it
+   * @param {Object} user - Locked user
+   * @param {Object} lock - login_attempts and locked_until
+   * @param {string} ipAddress - Client IP of the failed login
+   */
+  async lockAccount(user, lock, ipAddress) {
+    logger.warn('authService.lockAccount: Account locked after failed logins', {
+      userId: user.id,
+      username: user.username,
+      loginAttempts: lock.login_attempts,
+      lockedUntil: lock.locked_until,
+    });
+
+    await AuditLog.create({
+      actorId: null,
+      action: 'USER_LOCKED',
+      targetType: 'user',
+      targetId: user.id,
+      details: { login_attempts: lock.login_attempts, locked_until: lock.locked_until },
+      ipAddress,
+    });
+
+    await notificationService.notifyAccountLocked(user, lock, ipAddress);
+  }
+
   createSessionData(user) {
     logger.debug('authService.createSessionData: Creating session data', {
       userId: user.id,
@@ -102,6 +422,7 @@ class AuthService {
       email: user.email,
       role: user.role,
       department: user.department,
+      department_id: user.department_id,
     };
   }
 }
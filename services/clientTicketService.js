@@ -1,8 +1,18 @@
 const Ticket = require('../models/Ticket');
+const TicketStatusHistory = require('../models/TicketStatusHistory');
 const Comment = require('../models/Comment');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const ticketLifecycleService = require('./ticketLifecycleService');
+const { TICKET_STATUS, USER_ROLE, TICKET_SORT, SORT_ORDER } = require('../constants/enums');
+const { assertTransition, canTransition } = require('../utils/ticketStatusTransitions');
+const { parsePagination, buildPagination } = require('../utils/pagination');
 const logger = require('../utils/logger');
 
+// Finished waits on the admin team averaged on the dashboard summary (in days)
+const WAIT_WINDOW_DAYS = 30;
+
 /**
  * Service for department user ticket operations
  * Implements ownership-aware business logic for client portal
@@ -11,8 +21,9 @@ class ClientTicketService {
   /**
    * Create a new ticket for a department user
    * Automatically sets reporter_id to link ticket to department account
+   * The creation is audited with the acting user and IP.
    */
-  async createTicket(userId, ticketData) {
+  async createTicket(userId, ticketData, ipAddress = null) {
     const startTime = Date.now();
     try {
       logger.info('clientTicketService.createTicket: Creating ticket for department user', {
@@ -44,6 +55,20 @@ class ClientTicketService {
         status: 'waiting_on_admin', // Department-created tickets start as 'waiting_on_admin'
       });
 
+      await AuditLog.create({
+        actorId: userId,
+        action: 'TICKET_CREATED',
+        targetType: 'ticket',
+        targetId: ticket.id,
+        details: {
+          title: ticket.title,
+          priority: ticket.priority,
+          status: ticket.status,
+          department: ticket.reporter_department,
+        },
+        ipAddress,
+      });
+
       const duration = Date.now() - startTime;
 
       logger.info('clientTicketService.createTicket: Ticket created successfully', {
@@ -67,15 +92,17 @@ class ClientTicketService {
   }
 
   /**
-   * Get all tickets for a department (department-based filtering)
-   * Returns all tickets for the department including both user-created and admin-created tickets
+   * Get one page of tickets for a department (department-based filtering)
+   * Admin-created (internal) tickets are never included. Status counts cover the
+   * whole department so the dashboard summary does not depend on filters or paging.
+   * @returns {Promise<{tickets: Array, pagination: Object, statusCounts: Object}>}
    */
-  async getDepartmentTickets(userId, department, filters = {}) {
+  async getDepartmentTickets(userId, departmentId, filters = {}) {
     const startTime = Date.now();
     try {
       logger.debug('clientTicketService.getDepartmentTickets: Fetching tickets', {
         userId,
-        department,
+        departmentId,
         filters,
       });
 
@@ -83,24 +110,37 @@ class ClientTicketService {
         status: filters.status || undefined,
         priority: filters.priority || undefined,
         search: filters.search || undefined,
+        // Unknown sort keys and orders are ignored (the list falls back to newest first)
+        sort: Object.values(TICKET_SORT).includes(filters.sort) ? filters.sort : undefined,
+        order: Object.values(SORT_ORDER).includes(filters.order) ? filters.order : undefined,
       };
 
-      const tickets = await Ticket.findByDepartment(department, cleanFilters);
+      const { page, perPage } = parsePagination(filters);
+      const total = await Ticket.countByDepartment(departmentId, cleanFilters);
+      const pagination = buildPagination(page, perPage, total);
+      const tickets = await Ticket.findByDepartment(departmentId, {
+        ...cleanFilters,
+        limit: perPage,
+        offset: pagination.offset,
+      });
+      const statusCounts = await Ticket.countStatusesByDepartment(departmentId);
       const duration = Date.now() - startTime;
 
       logger.debug('clientTicketService.getDepartmentTickets: Tickets fetched', {
         userId,
-        department,
+        departmentId,
         ticketCount: tickets.length,
+        total,
+        page: pagination.page,
         duration,
       });
 
-      return tickets;
+      return { tickets, pagination, statusCounts };
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error('clientTicketService.getDepartmentTickets: Failed to fetch tickets', {
         userId,
-        department,
+        departmentId,
         filters,
         error: error.message,
         stack: error.stack,
@@ -110,6 +150,47 @@ class ClientTicketService {
     }
   }
 
+  /**
+   * Summary statistics for the department dashboard
+   * Open counts per status come with getDepartmentTickets (statusCounts).
+   * - waitingOnAdmin: average length of the waits on the admin team that ended in the
+   *   last 30 days, from the ticket status history
+   * - closedThisMonth: tickets closed since the start of the current month
+   * - oldestOpenTicket: the department's oldest ticket that is not closed
+   * @param {number} departmentId - Department ID
+   * @param {Date} now - Current time (for tests)
+   * @returns {Promise<Object>} {waitingOnAdmin: {count, averageSeconds, windowDays},
+   *   closedThisMonth, oldestOpenTicket}
+   */
+  async getDepartmentSummary(departmentId, now = new Date()) {
+    const waitsSince = new Date(now.getTime() - WAIT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const waits = await TicketStatusHistory.averageDurationByDepartment(
+      departmentId,
+      TICKET_STATUS.WAITING_ON_ADMIN,
+      waitsSince,
+    );
+    const closedThisMonth = await Ticket.countClosedSinceByDepartment(departmentId, monthStart);
+    const oldestOpenTicket = await Ticket.findOldestOpenByDepartment(departmentId);
+
+    logger.debug('clientTicketService.getDepartmentSummary: Summary loaded', {
+      departmentId,
+      waitCount: waits.count,
+      closedThisMonth,
+    });
+
+    return {
+      waitingOnAdmin: {
+        count: waits.count,
+        averageSeconds: waits.average_seconds,
+        windowDays: WAIT_WINDOW_DAYS,
+      },
+      closedThisMonth,
+      oldestOpenTicket: oldestOpenTicket || null,
+    };
+  }
+
   /**
    * Get a single ticket by ID
    * Note: Ownership verification must be done in route layer
@@ -152,8 +233,12 @@ class ClientTicketService {
   /**
    * Add a public comment to a ticket
    * Department users can only add public comments (no internal notes)
+   * The comment and the automatic waiting_on_admin transition are both audited; the
+   * transition carries the triggering comment for the ticket timeline. A closed ticket
+   * is reopened this way within the reopen window (ticketLifecycleService).
+   * The assigned admin is emailed about the reply.
    */
-  async addComment(ticketId, userId, content) {
+  async addComment(ticketId, userId, content, ipAddress = null) {
     const startTime = Date.now();
     try {
       logger.info('clientTicketService.addComment: Adding comment', {
@@ -176,10 +261,34 @@ class ClientTicketService {
         visibility_type: 'public',
       });
 
+      await AuditLog.create({
+        actorId: userId,
+        action: 'COMMENT_CREATED',
+        targetType: 'comment',
+        targetId: comment.id,
+        details: {
+          ticket_id: parseInt(ticketId),
+          visibility_type: comment.visibility_type,
+          content_length: content?.length,
+        },
+        ipAddress,
+      });
+
       // AUTO-STATUS UPDATE: Department user adding public comment → "waiting_on_admin"
-      // EXCEPTION: Do NOT reopen closed tickets
-      if (ticket.status !== 'closed') {
-        await Ticket.update(ticketId, { status: 'waiting_on_admin' });
+      // Only when the department transition table allows it, or when a closed ticket is
+      // still inside its reopen window
+      const shouldUpdateStatus =
+        canTransition(ticket.status, TICKET_STATUS.WAITING_ON_ADMIN, USER_ROLE.DEPARTMENT) ||
+        ticketLifecycleService.canReopenByComment(ticket);
+      if (shouldUpdateStatus) {
+        await this.changeStatus(
+          ticketId,
+          ticket.status,
+          TICKET_STATUS.WAITING_ON_ADMIN,
+          userId,
+          ipAddress,
+          { triggered_by_comment_id: comment.id },
+        );
         logger.info('clientTicketService.addComment: Auto-updated status to waiting_on_admin', {
           ticketId,
           oldStatus: ticket.status,
@@ -190,13 +299,15 @@ class ClientTicketService {
         });
       }
 
+      await notificationService.notifyDepartmentReply(ticket, comment, userId);
+
       const duration = Date.now() - startTime;
 
       logger.info('clientTicketService.addComment: Comment added successfully', {
         commentId: comment.id,
         ticketId,
         userId,
-        statusUpdated: ticket.status !== 'closed',
+        statusUpdated: shouldUpdateStatus,
         duration,
       });
 
@@ -216,32 +327,39 @@ class ClientTicketService {
 
   /**
    * Update ticket status (department users have limited status options)
-   * Allowed status transitions for department users:
-   * - open -> waiting_on_admin (requesting admin help)
-   * - waiting_on_department -> waiting_on_admin (responding to admin)
-   * - waiting_on_department -> closed (resolving their issue)
+   * Allowed transitions come from the department table in utils/ticketStatusTransitions:
+   * - open / in_progress / waiting_on_department -> waiting_on_admin (requesting admin help)
+   * - any non-closed status -> closed (resolving their issue)
+   * - closed tickets cannot be changed by department users
+   * The change is audited with the previous status.
+   * The rest of the department is emailed about the change.
    */
-  async updateTicketStatus(ticketId, status) {
+  async updateTicketStatus(ticketId, status, actorId = null, ipAddress = null) {
     const startTime = Date.now();
 
-    // Validate allowed status values for department users
-    const allowedStatuses = ['waiting_on_admin', 'closed'];
-    if (!allowedStatuses.includes(status)) {
-      const error = new Error(`Department users cannot set status to: ${status}`);
-      logger.warn('clientTicketService.updateTicketStatus: Invalid status for department user', {
-        ticketId,
-        attemptedStatus: status,
-      });
-      throw error;
-    }
-
     try {
       logger.info('clientTicketService.updateTicketStatus: Updating ticket status', {
         ticketId,
         status,
       });
 
-      const updatedTicket = await Ticket.update(ticketId, { status });
+      const ticket = await Ticket.findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      assertTransition(ticket.status, status, USER_ROLE.DEPARTMENT);
+
+      const updatedTicket = await this.changeStatus(
+        ticketId,
+        ticket.status,
+        status,
+        actorId,
+        ipAddress,
+      );
+
+      await notificationService.notifyStatusChange(ticket, ticket.status, status, actorId);
+
       const duration = Date.now() - startTime;
 
       logger.info('clientTicketService.updateTicketStatus: Status updated successfully', {
@@ -256,6 +374,7 @@ class ClientTicketService {
       logger.error('clientTicketService.updateTicketStatus: Failed to update status', {
         ticketId,
         status,
+        errorCode: error.code,
         error: error.message,
         stack: error.stack,
         duration,
@@ -263,6 +382,36 @@ class ClientTicketService {
       throw error;
     }
   }
+
+  /**
+   * Write a department-side status change and audit it
+   * Every status change made from the client portal, explicit or automatic, goes
+   * through here. Re-applying the current status is written but not audited, since
+   * the entry would carry no change.
+   * @param {number|string} ticketId - Ticket ID
+   * @param {string} fromStatus - Status before the change
+   * @param {string} status - New status
+   * @param {number|null} actorId - Acting user
+   * @param {string|null} ipAddress - Acting user's IP
+   * @param {Object} details - Extra audit details (e.g. triggered_by_comment_id)
+   * @returns {Promise<Object>} Updated ticket
+   */
+  async changeStatus(ticketId, fromStatus, status, actorId, ipAddress, details = {}) {
+    const updatedTicket = await Ticket.update(ticketId, { status });
+
+    if (fromStatus !== status) {
+      await AuditLog.create({
+        actorId,
+        action: 'TICKET_UPDATED',
+        targetType: 'ticket',
+        targetId: parseInt(ticketId),
+        details: { old: { status: fromStatus }, new: { status }, ...details },
+        ipAddress,
+      });
+    }
+
+    return updatedTicket;
+  }
 }
 
 module.exports = new ClientTicketService();
@@ -102,14 +102,17 @@ class DepartmentService {
     }
 
     // If changing name, check for duplicates
-    if (name && name !== current.name) {
+    const renamed = Boolean(name) && name.trim() !== current.name;
+    if (renamed) {
       const existing = await Department.findByName(name.trim());
       if (existing && existing.id !== id) {
         throw new Error('Department with this name already exists');
       }
     }
 
-    // Update department
+    // Update department. A rename cascades to the department name copied onto its
+    // users and tickets (foreign keys on (id, name), migration 034), so tickets,
+    // history and access checks keyed on the id are unaffected.
     const updated = await Department.update(id, {
       name: name?.trim(),
       description: description?.trim(),
@@ -121,26 +124,34 @@ class DepartmentService {
       throw new Error('Failed to update department');
     }
 
+    const details = {
+      old: {
+        name: current.name,
+        description: current.description,
+        floor: current.floor,
+        active: current.active,
+      },
+      new: {
+        name: updated.name,
+        description: updated.description,
+        floor: updated.floor,
+        active: updated.active,
+      },
+    };
+    if (renamed) {
+      details.renamed = {
+        users: await Department.countUsers(id),
+        tickets: await Department.countTickets(id),
+      };
+    }
+
     // Log action
     await AuditLog.create({
       actorId,
       action: 'UPDATE_DEPARTMENT',
       targetType: 'department',
       targetId: id,
-      details: {
-        old: {
-          name: current.name,
-          description: current.description,
-          floor: current.floor,
-          active: current.active,
-        },
-        new: {
-          name: updated.name,
-          description: updated.description,
-          floor: updated.floor,
-          active: updated.active,
-        },
-      },
+      details,
       ipAddress,
     });
 
@@ -164,7 +175,7 @@ class DepartmentService {
     }
 
     // Check if department has users
-    const userCount = await Department.countUsers(department.name);
+    const userCount = await Department.countUsers(department.id);
     if (userCount > 0) {
       throw new Error(`Cannot deactivate department: ${userCount} user(s) still assigned`);
     }
@@ -221,7 +232,7 @@ class DepartmentService {
    */
   async getDepartmentUsers(departmentId) {
     const department = await this.getDepartmentById(departmentId);
-    return Department.getUsers(department.name);
+    return Department.getUsers(department.id);
   }
 
   /**
@@ -231,7 +242,7 @@ class DepartmentService {
    */
   async getAvailableUsers(departmentId) {
     const department = await this.getDepartmentById(departmentId);
-    return Department.getAvailableUsers(department.name);
+    return Department.getAvailableUsers(department.id);
   }
 
   /**
@@ -1,141 +1,317 @@
+const crypto = require('crypto');
+const ErrorReport = require('../models/ErrorReport');
+const AuditLog = require('../models/AuditLog');
+const adminTicketService = require('./adminTicketService');
+const { ERROR_REPORT_STATUS, REPORTER_DEPARTMENT } = require('../constants/enums');
+const { MAX_LENGTHS } = require('../constants/validation');
+const { parsePagination, buildPagination } = require('../utils/pagination');
 const logger = require('../utils/logger');
 
+// Errors remembered per session; only these can be reported
+const MAX_TRACKED_ERRORS = 10;
+
+// Errors shown to visitors who are not signed in are remembered in this process instead,
+// so error pages never create a session (and cookie) for crawlers
+const ANONYMOUS_ERROR_TTL_MS = 60 * 60 * 1000;
+const MAX_ANONYMOUS_ERRORS = 1000;
+
+/**
+ * Error Reporting Service
+ * Correlation IDs for error pages, reports users submit for them, and the admin
+ * list at /admin/error-reports.
+ *
+ * When an error page is shown, the request details are remembered under the page's
+ * correlation ID: in the session of a signed-in user, otherwise in memory for an hour
+ * (per process, so with several workers an anonymous report may not find its error).
+ * A report is only accepted for a remembered correlation ID, and stores those details
+ * with it, so every report points at an error the server actually logged.
+ */
 class ErrorReportingService {
   constructor() {
-    this.reports = new Map(); // In production, this would be a database
+    // Correlation ID -> tracked error with expiresAt, oldest first
+    this.anonymousErrors = new Map();
   }
 
   /**
-   * Report an error with user context
-   * @param {string} correlationId - Unique error identifier
-   * @param {string} category - Error category
-   * @param {Object} userContext - User information and context
-   * @param {string} userDescription - User's description of what happened
-   * @param {Object} additionalData - Any additional debugging data
+   * Generate the correlation ID for an error response and remember the error
+   * The same ID is logged, shown on the error page and used to report it.
+   * @param {Object} req - Express request (session is optional)
+   * @param {Object} error - {category, status, message}
+   * @returns {string} Correlation ID
    */
-  async reportError(
-    correlationId,
-    category,
-    userContext = {},
-    userDescription = '',
-    additionalData = {},
-  ) {
-    try {
-      const report = {
-        correlationId,
-        category,
-        timestamp: new Date().toISOString(),
-        userContext: {
-          userId: userContext.userId || 'anonymous',
-          userAgent: userContext.userAgent || 'unknown',
-          url: userContext.url || 'unknown',
-          ip: userContext.ip || 'unknown',
-        },
-        userDescription: userDescription.trim(),
-        additionalData,
-        status: 'reported',
-      };
+  trackError(req, { category, status, message = null }) {
+    const correlationId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    const entry = {
+      correlationId,
+      category,
+      status,
+      method: req.method,
+      path: req.originalUrl || req.url,
+      message,
+      occurredAt: new Date().toISOString(),
+    };
 
-      // Store the report (in production, save to database)
-      this.reports.set(correlationId, report);
+    // Writing to an anonymous session would save it, and send a cookie, just for this error
+    if (req.session?.user) {
+      const tracked = (req.session.trackedErrors || []).slice(-(MAX_TRACKED_ERRORS - 1));
+      tracked.push(entry);
+      req.session.trackedErrors = tracked;
+    } else {
+      this.rememberAnonymousError(entry);
+    }
 
-      // Log the error report
-      logger.info('Error report submitted', {
-        correlationId,
-        category,
-        userId: report.userContext.userId,
-        hasDescription: !!userDescription,
-      });
+    return correlationId;
+  }
 
-      // In production, you might want to:
-      // - Send email notifications to developers
-      // - Create tickets in issue tracking systems
-      // - Send to error monitoring services (Sentry, etc.)
-      // - Aggregate error reports for analysis
+  /**
+   * Remember an error shown to a visitor who is not signed in
+   * Expired entries are dropped first, then the oldest ones beyond MAX_ANONYMOUS_ERRORS.
+   * @param {Object} entry - Tracked error
+   * @param {number} now - Current time in ms (for tests)
+   */
+  rememberAnonymousError(entry, now = Date.now()) {
+    for (const [correlationId, tracked] of this.anonymousErrors) {
+      if (tracked.expiresAt > now && this.anonymousErrors.size < MAX_ANONYMOUS_ERRORS) {
+        break;
+      }
+      this.anonymousErrors.delete(correlationId);
+    }
+    this.anonymousErrors.set(entry.correlationId, {
+      ...entry,
+      expiresAt: now + ANONYMOUS_ERROR_TTL_MS,
+    });
+  }
 
+  /**
+   * Find a remembered error by correlation ID, in the session first
+   * @param {Object} session - Reporter's session (optional)
+   * @param {string} correlationId - Correlation ID from the error page
+   * @param {number} now - Current time in ms (for tests)
+   * @returns {{error: Object, forget: Function}|null} The error and how to forget it
+   */
+  findTrackedError(session, correlationId, now = Date.now()) {
+    const tracked = session?.trackedErrors || [];
+    const error = tracked.find((entry) => entry.correlationId === correlationId);
+    if (error) {
       return {
-        success: true,
-        reportId: correlationId,
-        message: 'Error report submitted successfully',
+        error,
+        forget: () => {
+          session.trackedErrors = tracked.filter((entry) => entry !== error);
+        },
       };
-    } catch (error) {
-      logger.error('Failed to process error report', {
-        correlationId,
-        error: error.message,
-        stack: error.stack,
-      });
+    }
 
-      return {
-        success: false,
-        message: 'Failed to submit error report',
-      };
+    const anonymous = this.anonymousErrors.get(correlationId);
+    if (anonymous && anonymous.expiresAt > now) {
+      return { error: anonymous, forget: () => this.anonymousErrors.delete(correlationId) };
     }
+    return null;
   }
 
   /**
-   * Get error report by correlation ID
-   * @param {string} correlationId
+   * Report an error shown to this session, or to a visitor who was not signed in
+   * The error is forgotten once reported, so it can be reported only once.
+   * @param {Object} session - Reporter's session
+   * @param {string} correlationId - Correlation ID from the error page
+   * @param {Object} report - userDescription, additionalData, userAgent, ip
+   * @returns {Promise<Object>} Created report
+   * @throws {Error} 404 when the correlation ID is unknown or has expired
    */
-  getReport(correlationId) {
-    return this.reports.get(correlationId) || null;
+  async reportError(
+    session,
+    correlationId,
+    { userDescription = '', additionalData = {}, userAgent, ip },
+  ) {
+    const found = this.findTrackedError(session, correlationId);
+    if (!found) {
+      const notFound = new Error('Unknown error reference');
+      notFound.status = 404;
+      throw notFound;
+    }
+    const { error } = found;
+
+    const report = await ErrorReport.create({
+      correlationId,
+      category: error.category,
+      statusCode: error.status,
+      requestMethod: error.method,
+      requestPath: error.path,
+      errorMessage: error.message,
+      occurredAt: error.occurredAt,
+      userId: session?.user?.id || null,
+      userAgent: userAgent || null,
+      ipAddress: ip || null,
+      description: String(userDescription)
+        .trim()
+        .substring(0, MAX_LENGTHS.ERROR_REPORT_DESCRIPTION),
+      additionalData,
+    });
+    found.forget();
+
+    logger.info('Error report submitted', {
+      reportId: report.id,
+      correlationId,
+      category: report.category,
+      userId: report.user_id,
+      hasDescription: report.description.length > 0,
+    });
+
+    return report;
   }
 
   /**
-   * Get all error reports (for admin purposes)
+   * Keep only well-formed filter values from the query string
+   * @param {Object} query - Request query
+   * @returns {Object} status, category, search
    */
-  getAllReports() {
-    return Array.from(this.reports.values());
+  cleanFilters(query = {}) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    return {
+      status: Object.values(ERROR_REPORT_STATUS).includes(query.status) ? query.status : undefined,
+      category: /^[A-Z_]{1,50}$/.test(text(query.category)) ? text(query.category) : undefined,
+      search: text(query.search).substring(0, 100) || undefined,
+    };
   }
 
   /**
-   * Get error statistics
+   * Get one page of reports with the filter options and per-status counts
+   * @param {Object} query - Request query (status, category, search, page, per_page)
+   * @returns {Promise<{reports: Array, pagination: Object, categories: Array, counts: Object}>}
    */
-  getErrorStats() {
-    const reports = Array.from(this.reports.values());
-    const stats = {
-      total: reports.length,
-      byCategory: {},
-      byDate: {},
-      unresolved: 0,
+  async getReports(query = {}) {
+    const filters = this.cleanFilters(query);
+    const { page, perPage } = parsePagination(query);
+    const total = await ErrorReport.countAll(filters);
+    const pagination = buildPagination(page, perPage, total);
+    const reports = await ErrorReport.findAll({
+      ...filters,
+      limit: perPage,
+      offset: pagination.offset,
+    });
+    const categories = await ErrorReport.findCategories();
+    const counts = await ErrorReport.countByStatus();
+
+    return {
+      reports,
+      pagination,
+      categories,
+      counts: {
+        open: counts[ERROR_REPORT_STATUS.OPEN] || 0,
+        resolved: counts[ERROR_REPORT_STATUS.RESOLVED] || 0,
+      },
     };
+  }
 
-    reports.forEach((report) => {
-      // Count by category
-      stats.byCategory[report.category] = (stats.byCategory[report.category] || 0) + 1;
+  /**
+   * Get one report
+   * @param {number} id - Report ID
+   * @returns {Promise<Object>}
+   * @throws {Error} 404 when not found
+   */
+  async getReportById(id) {
+    const report = await ErrorReport.findById(id);
+    if (!report) {
+      const error = new Error('Error report not found');
+      error.status = 404;
+      throw error;
+    }
+    return report;
+  }
 
-      // Count by date
-      const date = report.timestamp.split('T')[0];
-      stats.byDate[date] = (stats.byDate[date] || 0) + 1;
+  /**
+   * Mark a report as resolved
+   * @param {number} actorId - Admin resolving the report
+   * @param {number} id - Report ID
+   * @param {string} resolution - What was done (optional)
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} Updated report
+   * @throws {Error} 404 when not found, 409 when already resolved
+   */
+  async resolveReport(actorId, id, resolution, ipAddress) {
+    const report = await this.getReportById(id);
+    const resolved = await ErrorReport.resolve(id, {
+      resolution: resolution?.trim() || null,
+      resolvedBy: actorId,
+    });
+    if (!resolved) {
+      const error = new Error('Error report is already resolved');
+      error.status = 409;
+      throw error;
+    }
 
-      // Count unresolved
-      if (report.status !== 'resolved') {
-        stats.unresolved++;
-      }
+    await AuditLog.create({
+      actorId,
+      action: 'ERROR_REPORT_RESOLVED',
+      targetType: 'error_report',
+      targetId: id,
+      details: { correlation_id: report.correlation_id, resolution: resolved.resolution },
+      ipAddress,
     });
 
-    return stats;
+    logger.info('Error report resolved', { reportId: id, correlationId: report.correlation_id });
+    return resolved;
   }
 
   /**
-   * Mark an error report as resolved
-   * @param {string} correlationId
-   * @param {string} resolution - Description of how it was resolved
+   * Create an internal admin ticket from a report and link it
+   * @param {number} actorId - Admin creating the ticket
+   * @param {number} id - Report ID
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} Created ticket
+   * @throws {Error} 404 when not found, 409 when the report already has a ticket
    */
-  resolveReport(correlationId, resolution = '') {
-    const report = this.reports.get(correlationId);
-    if (report) {
-      report.status = 'resolved';
-      report.resolution = resolution;
-      report.resolvedAt = new Date().toISOString();
-
-      logger.info('Error report resolved', {
-        correlationId,
-        resolution: resolution.substring(0, 100), // Truncate for logging
+  async createTicketFromReport(actorId, id, ipAddress) {
+    const report = await this.getReportById(id);
+    if (report.ticket_id) {
+      const error = new Error(`Error report already has ticket #${report.ticket_id}`);
+      error.status = 409;
+      throw error;
+    }
+
+    const ticket = await adminTicketService.createAdminTicket(
+      actorId,
+      {
+        title: `Error report ${report.correlation_id}: ${report.category}`,
+        description: this.describeReport(report).substring(0, MAX_LENGTHS.TICKET_DESCRIPTION),
+        reporter_department: REPORTER_DEPARTMENT.INTERNAL,
+      },
+      ipAddress,
+    );
+
+    // Another admin may have converted the report meanwhile; their ticket stays linked
+    const linked = await ErrorReport.linkTicket(id, ticket.id);
+    if (!linked) {
+      logger.warn('Error report was linked to another ticket meanwhile', {
+        reportId: id,
+        ticketId: ticket.id,
       });
+    }
+
+    logger.info('Ticket created from error report', { reportId: id, ticketId: ticket.id });
+    return ticket;
+  }
 
-      return true;
+  /**
+   * Ticket description for a report: what the user wrote and what the server saw
+   * @param {Object} report - Error report
+   * @returns {string}
+   */
+  describeReport(report) {
+    const lines = [
+      report.description || '(no description given)',
+      '',
+      `Correlation ID: ${report.correlation_id}`,
+      `Category: ${report.category}`,
+      `Request: ${report.request_method || '?'} ${report.request_path || '?'} (${report.status_code || '?'})`,
+      `Occurred at: ${new Date(report.occurred_at).toISOString()}`,
+      `Reported by: ${report.reporter_username || 'anonymous'}`,
+    ];
+    if (report.error_message) {
+      lines.push(`Error: ${report.error_message}`);
     }
-    return false;
+    lines.push('', `Error report: /admin/error-reports/${report.id}`);
+    return lines.join('\n');
   }
 }
 
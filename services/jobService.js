@@ -0,0 +1,309 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const ticketLifecycleService = require('./ticketLifecycleService');
+const auditService = require('./auditService');
+const { JOB_NAME, JOB_RUN_STATUS, JOB_TRIGGER } = require('../constants/enums');
+const { parsePagination, buildPagination } = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+// Seconds between two looks for due jobs (in every worker)
+const POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS || '60');
+
+// A run still holding its lock after this long is assumed dead and can be claimed again
+const LOCK_LEASE_MINUTES = 30;
+
+// Days of run history kept by the cleanup job
+const RUN_RETENTION_DAYS = 30;
+
+/**
+ * Job definitions
+ * run() returns a JSON summary that is stored with the run; throwing marks the run failed
+ * (an error's `result` is stored as well).
+ */
+const JOBS = [
+  {
+    name: JOB_NAME.SLA_WARNINGS,
+    intervalMinutes: 5,
+    run: async () => ({ warned: await notificationService.notifySlaWarnings() }),
+  },
+  {
+    name: JOB_NAME.TICKET_AUTO_CLOSE,
+    intervalMinutes: 60,
+    run: async () => ({ closed: await ticketLifecycleService.autoCloseStaleTickets() }),
+  },
+  {
+    // connect-pg-simple's own pruning is off so that not every worker runs it
+    name: JOB_NAME.CLEANUP,
+    intervalMinutes: 60,
+    run: async () => ({
+      sessions: await User.deleteExpiredSessions(),
+      jobRuns: await JobRun.deleteOlderThan(RUN_RETENTION_DAYS),
+    }),
+  },
+  {
+    name: JOB_NAME.AUDIT_CHAIN_VERIFY,
+    intervalMinutes: 24 * 60,
+    run: async () => {
+      const report = await auditService.verifyChain();
+      if (!report.intact) {
+        const error = new Error(
+          `Audit log chain broken at entry #${report.brokenAt.id} (${report.brokenAt.reason})`,
+        );
+        error.result = report;
+        throw error;
+      }
+      return { checked: report.checked, unsealed: report.unsealed, headId: report.headId };
+    },
+  },
+];
+
+/**
+ * Background Job Service
+ * Every worker (PM2 cluster instance) runs the scheduler started from index.js. On each
+ * poll a worker claims the due jobs through the lock columns of scheduled_jobs, so each
+ * job runs in exactly one worker; every run is recorded in job_runs. Super admins see
+ * the jobs and their history at /admin/jobs and can start a run from there.
+ */
+class JobService {
+  constructor() {
+    // Lock owner written to scheduled_jobs and job_runs
+    this.worker = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.polling = false;
+    this.synced = null;
+  }
+
+  /**
+   * Job definition by name
+   * @param {string} name - Job name
+   * @returns {Object|undefined}
+   */
+  getDefinition(name) {
+    return JOBS.find((job) => job.name === name);
+  }
+
+  /**
+   * Write the job definitions to scheduled_jobs (once per process)
+   * @returns {Promise<void>}
+   */
+  async ensureJobs() {
+    if (!this.synced) {
+      this.synced = ScheduledJob.sync(JOBS).catch((error) => {
+        this.synced = null;
+        throw error;
+      });
+    }
+    return this.synced;
+  }
+
+  /**
+   * Start polling for due jobs in this worker
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    await this.ensureJobs();
+    this.timer = setInterval(() => this.poll(), POLL_SECONDS * 1000);
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+
+    logger.info('jobService.start: Job scheduler started', {
+      worker: this.worker,
+      pollSeconds: POLL_SECONDS,
+      jobs: JOBS.map((job) => job.name),
+    });
+    await this.poll();
+  }
+
+  /**
+   * Stop polling (runs in progress finish)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every due job that no other worker holds
+   * Errors are logged, never thrown; a poll is skipped while the previous one still runs.
+   * @returns {Promise<number>} Number of jobs run by this worker
+   */
+  async poll() {
+    if (this.polling) {
+      return 0;
+    }
+
+    this.polling = true;
+    let ran = 0;
+    try {
+      for (const name of await ScheduledJob.findDueNames()) {
+        if (!this.getDefinition(name)) {
+          continue;
+        }
+        try {
+          if (await this.runJob(name)) {
+            ran++;
+          }
+        } catch (error) {
+          logger.error('jobService.poll: Could not run job', {
+            name,
+            worker: this.worker,
+            error: error.message,
+            stack: error.stack,
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('jobService.poll: Job poll failed', {
+        worker: this.worker,
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      this.polling = false;
+    }
+    return ran;
+  }
+
+  /**
+   * Claim a job, run it and record the run
+   * A scheduled run that cannot claim the job (another worker has it or already ran it)
+   * returns null. A manual run ignores the schedule but not a lock held by another run.
+   * @param {string} name - Job name
+   * @param {Object} options - trigger (JOB_TRIGGER), triggeredBy (user ID of manual runs)
+   * @returns {Promise<Object|null>} The finished run, or null if not claimed
+   * @throws {Error} 404 for an unknown job, 409 when a manual run finds the job locked
+   */
+  async runJob(name, { trigger = JOB_TRIGGER.SCHEDULE, triggeredBy = null } = {}) {
+    const definition = this.getDefinition(name);
+    if (!definition) {
+      const error = new Error('Job not found');
+      error.status = 404;
+      throw error;
+    }
+
+    await this.ensureJobs();
+    const job = await ScheduledJob.claim(name, {
+      worker: this.worker,
+      leaseMinutes: LOCK_LEASE_MINUTES,
+      force: trigger === JOB_TRIGGER.MANUAL,
+    });
+    if (!job) {
+      if (trigger === JOB_TRIGGER.MANUAL) {
+        const error = new Error('Job is already running');
+        error.status = 409;
+        throw error;
+      }
+      return null;
+    }
+
+    let run;
+    try {
+      run = await JobRun.create({ jobName: name, trigger, triggeredBy, worker: this.worker });
+    } catch (error) {
+      await ScheduledJob.release(name, { worker: this.worker, status: JOB_RUN_STATUS.FAILED });
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const outcome = { status: JOB_RUN_STATUS.SUCCEEDED, result: null, error: null };
+    try {
+      outcome.result = (await definition.run()) || null;
+    } catch (error) {
+      outcome.status = JOB_RUN_STATUS.FAILED;
+      outcome.result = error.result || null;
+      outcome.error = error.message;
+      logger.error('jobService.runJob: Job failed', {
+        name,
+        trigger,
+        worker: this.worker,
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+
+    await ScheduledJob.release(name, {
+      worker: this.worker,
+      status: outcome.status,
+      result: outcome.result,
+    });
+    const finished = await JobRun.finish(run.id, outcome);
+
+    logger.info('jobService.runJob: Job finished', {
+      name,
+      trigger,
+      status: outcome.status,
+      worker: this.worker,
+      duration: Date.now() - startTime,
+    });
+    return finished;
+  }
+
+  /**
+   * Run a job now on behalf of a super admin and audit it
+   * @param {number} actorId - Super admin ID
+   * @param {string} name - Job name
+   * @param {string} ipAddress - Super admin's IP
+   * @returns {Promise<Object>} The finished run (status may be failed)
+   */
+  async triggerJob(actorId, name, ipAddress) {
+    const run = await this.runJob(name, { trigger: JOB_TRIGGER.MANUAL, triggeredBy: actorId });
+
+    await AuditLog.create({
+      actorId,
+      action: 'JOB_TRIGGERED',
+      targetType: 'job_run',
+      targetId: run.id,
+      details: { job: name, status: run.status },
+      ipAddress,
+    });
+
+    return run;
+  }
+
+  /**
+   * Jobs with their schedule and last run, in definition order
+   * @returns {Promise<Array>} scheduled_jobs rows
+   */
+  async getJobs() {
+    await this.ensureJobs();
+    const rows = await ScheduledJob.findAll();
+    return JOBS.map((job) => rows.find((row) => row.name === job.name)).filter(Boolean);
+  }
+
+  /**
+   * Drop malformed run history filters
+   * @param {Object} query - Request query
+   * @returns {Object} Clean filters (undefined when not set)
+   */
+  cleanFilters(query = {}) {
+    return {
+      jobName: this.getDefinition(query.job) ? query.job : undefined,
+      status: Object.values(JOB_RUN_STATUS).includes(query.status) ? query.status : undefined,
+    };
+  }
+
+  /**
+   * Get one page of the run history
+   * @param {Object} query - Request query (job, status, page, per_page)
+   * @returns {Promise<{runs: Array, pagination: Object}>}
+   */
+  async getRuns(query = {}) {
+    const filters = this.cleanFilters(query);
+    const { page, perPage } = parsePagination(query);
+    const total = await JobRun.countAll(filters);
+    const pagination = buildPagination(page, perPage, total);
+    const runs = await JobRun.findAll({ ...filters, limit: perPage, offset: pagination.offset });
+
+    return { runs, pagination };
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,15 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Console mail transport for development and tests
+ * Logs recipients and subject instead of sending; the body is logged at debug level.
+ */
+class ConsoleTransport {
+  async sendMail(message) {
+    logger.info('Email (console transport)', { to: message.to, subject: message.subject });
+    logger.debug('Email body (console transport)', { html: message.html });
+    return { accepted: [message.to], rejected: [] };
+  }
+}
+
+module.exports = ConsoleTransport;
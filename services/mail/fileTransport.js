@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * File mail transport for development
+ *
+ * Mail transports share nodemailer's interface so config/mail.js can swap them:
+ * - sendMail(message): Promise<Object> - deliver one message
+ *
+ * Messages are built by nodemailer and written as .eml files, which any mail
+ * client can open to check the rendered templates.
+ */
+class FileTransport {
+  /**
+   * @param {string} outputDir - Directory receiving one .eml file per message
+   */
+  constructor(outputDir) {
+    this.outputDir = path.resolve(outputDir);
+    this.builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async sendMail(message) {
+    const info = await this.builder.sendMail(message);
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+    await fs.promises.mkdir(this.outputDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.outputDir, fileName), info.message);
+    return { ...info, filePath: path.join(this.outputDir, fileName) };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const pool = require('../config/database');
+const SchemaMigration = require('../models/SchemaMigration');
+const { MIGRATION_STATE } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+// Advisory lock key held while migrations run (any constant unique to this app)
+const MIGRATION_LOCK = 7420017;
+
+// Up scripts are NNN_description.sql; an optional down script sits next to one as
+// NNN_description.down.sql
+const MIGRATION_FILE = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+
+/**
+ * SHA-256 of a migration file (line endings normalised, so a checkout with CRLF
+ * endings matches)
+ * @param {string} sql - File contents
+ * @returns {string} Hex digest
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Migration Service
+ * Applies the SQL files in migrations/ in version order and records each one in
+ * schema_migrations. Each migration runs in its own transaction together with its
+ * tracking row, so a failure leaves neither behind. Runs hold a session advisory
+ * lock: a second runner (another PM2 instance starting at the same time) waits and
+ * then finds nothing left to do.
+ */
+class MigrationService {
+  constructor() {
+    this.directory = path.join(__dirname, '../migrations');
+  }
+
+  /**
+   * Read the migration files
+   * @returns {Promise<Array>} [{version, name, checksum, sql, downSql}] by version;
+   *   downSql is null without a down script
+   */
+  async discover() {
+    const files = await fs.readdir(this.directory);
+    const migrations = [];
+
+    for (const file of files.sort()) {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) {
+        continue;
+      }
+      const version = parseInt(match[1]);
+      if (migrations.some((migration) => migration.version === version)) {
+        throw new Error(`Duplicate migration version ${match[1]} (${file})`);
+      }
+
+      const sql = await fs.readFile(path.join(this.directory, file), 'utf8');
+      const downFile = file.replace(/\.sql$/, DOWN_SUFFIX);
+      const downSql = files.includes(downFile)
+        ? await fs.readFile(path.join(this.directory, downFile), 'utf8')
+        : null;
+      migrations.push({ version, name: file, checksum: checksum(sql), sql, downSql });
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Run a function on a client holding the migration lock
+   * The tracking table is created first, so fn can always read it.
+   * @param {Function} fn - async (client) => result
+   * @returns {Promise<*>} fn's result
+   */
+  async withLock(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+      try {
+        await SchemaMigration.createTable(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Compare the files with the applied migrations
+   * @param {Array} migrations - From discover()
+   * @param {Array} applied - From SchemaMigration.findAll()
+   * @returns {Array} [{version, name, state, applied_at, baselined, hasDown}] by version
+   */
+  compare(migrations, applied) {
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+    const rows = migrations.map((migration) => {
+      const row = appliedByVersion.get(migration.version);
+      let state = MIGRATION_STATE.PENDING;
+      if (row) {
+        state =
+          row.checksum === migration.checksum ? MIGRATION_STATE.APPLIED : MIGRATION_STATE.MODIFIED;
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        applied_at: row ? row.applied_at : null,
+        baselined: row ? row.baselined : false,
+        hasDown: migration.downSql !== null,
+      };
+    });
+
+    for (const row of applied) {
+      if (!migrations.some((migration) => migration.version === row.version)) {
+        rows.push({
+          version: row.version,
+          name: row.name,
+          state: MIGRATION_STATE.MISSING,
+          applied_at: row.applied_at,
+          baselined: row.baselined,
+          hasDown: false,
+        });
+      }
+    }
+
+    return rows.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * State of every migration
+   * @returns {Promise<Array>} See compare()
+   */
+  async getStatus() {
+    const migrations = await this.discover();
+    return this.withLock(async (client) =>
+      this.compare(migrations, await SchemaMigration.findAll(client)),
+    );
+  }
+
+  /**
+   * Throw when an applied migration file was edited or deleted
+   * Fixes belong in a new migration: an edited file would never run again.
+   * @param {Array} status - From compare()
+   */
+  assertUnchanged(status) {
+    const changed = status.filter((row) =>
+      [MIGRATION_STATE.MODIFIED, MIGRATION_STATE.MISSING].includes(row.state),
+    );
+    if (changed.length > 0) {
+      const list = changed.map((row) => `${row.name} (${row.state})`).join(', ');
+      throw new Error(`Applied migrations do not match their files: ${list}`);
+    }
+  }
+
+  /**
+   * Apply pending migrations in version order
+   * @param {Object} options - {to: last version to apply (default: all)}
+   * @returns {Promise<Array>} Applied migrations [{version, name, durationMs}]
+   */
+  async up({ to } = {}) {
+    const migrations = await this.discover();
+
+    return this.withLock(async (client) => {
+      const applied = await SchemaMigration.findAll(client);
+      const status = this.compare(migrations, applied);
+      this.assertUnchanged(status);
+
+      if (applied.length === 0 && (await SchemaMigration.hasApplicationSchema(client))) {
+        throw new Error(
+          'The database has tables but no migration history. Record the migrations it ' +
+            'already has with "npm run migrate:baseline -- <last version>" first.',
+        );
+      }
+
+      const pending = migrations.filter(
+        (migration) =>
+          !applied.some((row) => row.version === migration.version) &&
+          (to === undefined || migration.version <= to),
+      );
+
+      const done = [];
+      for (const migration of pending) {
+        const startTime = Date.now();
+        logger.info('migrationService.up: Applying migration', { name: migration.name });
+        await this.inTransaction(client, migration.name, async () => {
+          await client.query(migration.sql);
+          await SchemaMigration.record(
+            {
+              version: migration.version,
+              name: migration.name,
+              checksum: migration.checksum,
+              durationMs: Date.now() - startTime,
+            },
+            client,
+          );
+        });
+        done.push({
+          version: migration.version,
+          name: migration.name,
+          durationMs: Date.now() - startTime,
+        });
+      }
+
+      logger.info('migrationService.up: Migrations up to date', { applied: done.length });
+      return done;
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations with their down scripts
+   * @param {number} steps - How many migrations to roll back
+   * @returns {Promise<Array>} Rolled back migrations [{version, name}], newest first
+   */
+  async down(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('The number of migrations to roll back must be at least 1');
+    }
+    const migrations = await this.discover();
+
+    return this.withLock(async (client) => {
+      const applied = await SchemaMigration.findAll(client);
+      const targets = applied.slice(-steps).reverse();
+
+      // Check every target before rolling anything back
+      for (const row of targets) {
+        const migration = migrations.find((candidate) => candidate.version === row.version);
+        if (!migration || migration.checksum !== row.checksum) {
+          throw new Error(`Cannot roll back ${row.name}: the file is missing or was changed`);
+        }
+        if (migration.downSql === null) {
+          throw new Error(`Cannot roll back ${row.name}: it has no down script`);
+        }
+      }
+
+      const done = [];
+      for (const row of targets) {
+        const migration = migrations.find((candidate) => candidate.version === row.version);
+        logger.info('migrationService.down: Rolling back migration', { name: row.name });
+        await this.inTransaction(client, row.name, async () => {
+          await client.query(migration.downSql);
+          await SchemaMigration.remove(row.version, client);
+        });
+        done.push({ version: row.version, name: row.name });
+      }
+
+      return done;
+    });
+  }
+
+  /**
+   * Record migrations as applied without running them
+   * For databases created before schema_migrations existed (by the old init-db
+   * script): every migration up to the given version is marked as applied.
+   * @param {number} version - Last migration the database already has
+   * @returns {Promise<Array>} Recorded migrations [{version, name}]
+   */
+  async baseline(version) {
+    const migrations = await this.discover();
+    if (!migrations.some((migration) => migration.version === version)) {
+      throw new Error(`Unknown migration version ${version}`);
+    }
+
+    return this.withLock(async (client) => {
+      const applied = await SchemaMigration.findAll(client);
+      if (applied.length > 0) {
+        throw new Error('Migrations are already recorded; baseline only applies to a new history');
+      }
+
+      const targets = migrations.filter((migration) => migration.version <= version);
+      await this.inTransaction(client, 'baseline', async () => {
+        for (const migration of targets) {
+          await SchemaMigration.record(
+            {
+              version: migration.version,
+              name: migration.name,
+              checksum: migration.checksum,
+              baselined: true,
+            },
+            client,
+          );
+        }
+      });
+
+      logger.info('migrationService.baseline: Recorded existing migrations', {
+        version,
+        count: targets.length,
+      });
+      return targets.map(({ version: recorded, name }) => ({ version: recorded, name }));
+    });
+  }
+
+  /**
+   * Run fn in a transaction on the locked client
+   * @param {Object} client - Locked client
+   * @param {string} name - Migration name for the error message
+   * @param {Function} fn - async () => void
+   */
+  async inTransaction(client, name, fn) {
+    await client.query('BEGIN');
+    try {
+      await fn();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('migrationService: Migration failed', { name, error: error.message });
+      error.message = `${name}: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+module.exports = new MigrationService();
@@ -0,0 +1,477 @@
+const path = require('path');
+const ejs = require('ejs');
+const { i18next } = require('../config/i18n');
+const mail = require('../config/mail');
+const User = require('../models/User');
+const Ticket = require('../models/Ticket');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { NOTIFICATION_EVENT, USER_ROLE } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+const TEMPLATE_DIR = path.join(__dirname, '../views/emails');
+
+// Email events offered on the notification settings page, by role
+// In-app notifications are always recorded; email is only sent for these events
+const ROLE_EVENTS = {
+  [USER_ROLE.DEPARTMENT]: [NOTIFICATION_EVENT.TICKET_REPLY, NOTIFICATION_EVENT.STATUS_CHANGE],
+  [USER_ROLE.ADMIN]: [NOTIFICATION_EVENT.DEPARTMENT_REPLY],
+  [USER_ROLE.SUPER_ADMIN]: [NOTIFICATION_EVENT.DEPARTMENT_REPLY],
+};
+
+// Minutes before an SLA deadline that a warning is raised
+const SLA_WARNING_MINUTES = parseInt(process.env.SLA_WARNING_MINUTES || '60');
+
+// Notifications in the header dropdown and on the notification page
+const RECENT_LIMIT = 8;
+const PAGE_LIMIT = 50;
+
+/**
+ * Service for ticket activity notifications
+ * Every event is recorded in the in-app notification center of its recipients
+ * and, where the recipient's role offers it and they have not opted out, emailed.
+ * Delivery problems are logged and never fail the ticket operation that
+ * triggered the notification.
+ */
+class NotificationService {
+  /**
+   * Email notification events a role can receive
+   * @param {string} role - User role
+   * @returns {Array<string>} NOTIFICATION_EVENT values
+   */
+  getEventsForRole(role) {
+    return ROLE_EVENTS[role] || [];
+  }
+
+  /**
+   * Get a user's notification settings (events without a stored row are enabled)
+   * @param {Object} user - Session user ({ id, role })
+   * @returns {Promise<Array<{event: string, emailEnabled: boolean}>>}
+   */
+  async getPreferences(user) {
+    const stored = await NotificationPreference.findByUserId(user.id);
+    const disabled = new Set(
+      stored.filter((row) => !row.email_enabled).map((row) => row.event_type),
+    );
+
+    return this.getEventsForRole(user.role).map((event) => ({
+      event,
+      emailEnabled: !disabled.has(event),
+    }));
+  }
+
+  /**
+   * Store a user's notification settings
+   * Every event of the user's role is written; events missing from enabledEvents are disabled.
+   * @param {Object} user - Session user ({ id, role })
+   * @param {Array<string>} enabledEvents - Events the user keeps enabled
+   */
+  async updatePreferences(user, enabledEvents) {
+    for (const event of this.getEventsForRole(user.role)) {
+      await NotificationPreference.upsert(user.id, event, enabledEvents.includes(event));
+    }
+
+    logger.info('notificationService.updatePreferences: Preferences saved', {
+      userId: user.id,
+      enabledEvents,
+    });
+  }
+
+  /**
+   * Unread count and latest notifications for the header bell
+   * @param {number} userId - Recipient user ID
+   * @returns {Promise<{unreadCount: number, recent: Array}>}
+   */
+  async getSummary(userId) {
+    const [unreadCount, recent] = await Promise.all([
+      Notification.countUnreadByUser(userId),
+      Notification.findRecentByUser(userId, RECENT_LIMIT),
+    ]);
+    return { unreadCount, recent };
+  }
+
+  /**
+   * Latest notifications for the notification page
+   * @param {number} userId - Recipient user ID
+   * @returns {Promise<Array>}
+   */
+  async getRecent(userId) {
+    return Notification.findRecentByUser(userId, PAGE_LIMIT);
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {number} userId - Recipient user ID
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise<Object|undefined>} The notification, or undefined if it is not the user's
+   */
+  async markRead(userId, notificationId) {
+    const notification = await Notification.findByIdForUser(notificationId, userId);
+    if (notification) {
+      await Notification.markRead(notificationId, userId);
+    }
+    return notification;
+  }
+
+  /**
+   * Mark all of the user's notifications as read
+   * @param {number} userId - Recipient user ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllRead(userId) {
+    return Notification.markAllRead(userId);
+  }
+
+  /**
+   * Ticket page for a recipient: department users use the client portal
+   * @param {number} ticketId - Ticket ID
+   * @param {string} role - Recipient role
+   * @returns {string} Path
+   */
+  getTicketPath(ticketId, role) {
+    return role === USER_ROLE.DEPARTMENT
+      ? `/client/tickets/${ticketId}`
+      : `/admin/tickets/${ticketId}`;
+  }
+
+  /**
+   * Whether department users can see a ticket (same rule as the client portal)
+   * @param {Object} ticket - Ticket row
+   * @returns {boolean}
+   */
+  isDepartmentTicket(ticket) {
+    return Boolean(ticket.reporter_department) && ticket.is_admin_created !== true;
+  }
+
+  /**
+   * The ticket's assigned admin if they are still active
+   * @param {Object} ticket - Ticket row
+   * @returns {Promise<Array>} Zero or one user
+   */
+  async findAssignee(ticket) {
+    if (!ticket.assigned_to) {
+      return [];
+    }
+    const assignee = await User.findById(ticket.assigned_to);
+    return assignee && assignee.status === 'active' ? [assignee] : [];
+  }
+
+  /**
+   * Notify the reporter's department about a public admin reply
+   * @param {Object} ticket - Ticket row
+   * @param {Object} comment - The public comment
+   * @param {number} actorId - Commenting admin (never notified)
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async notifyTicketReply(ticket, comment, actorId) {
+    if (!this.isDepartmentTicket(ticket)) {
+      return 0;
+    }
+
+    return this.deliver(NOTIFICATION_EVENT.TICKET_REPLY, {
+      findRecipients: () => User.findActiveByDepartment(ticket.reporter_department_id),
+      actorId,
+      ticket,
+      details: { comment_id: comment.id },
+      template: 'ticket-reply',
+      subject: (t) =>
+        t('notifications:email.ticketReply.subject', { id: ticket.id, title: ticket.title }),
+      data: { comment },
+    });
+  }
+
+  /**
+   * Notify the reporter's department and the assigned admin about a status change
+   * @param {Object} ticket - Ticket row
+   * @param {string} oldStatus - Previous status
+   * @param {string} newStatus - New status
+   * @param {number} actorId - User who changed the status (never notified)
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async notifyStatusChange(ticket, oldStatus, newStatus, actorId) {
+    if (oldStatus === newStatus) {
+      return 0;
+    }
+
+    return this.deliver(NOTIFICATION_EVENT.STATUS_CHANGE, {
+      findRecipients: async () => {
+        const departmentUsers = this.isDepartmentTicket(ticket)
+          ? await User.findActiveByDepartment(ticket.reporter_department_id)
+          : [];
+        return [...departmentUsers, ...(await this.findAssignee(ticket))];
+      },
+      actorId,
+      ticket,
+      details: { old_status: oldStatus, new_status: newStatus },
+      template: 'status-change',
+      subject: (t) =>
+        t('notifications:email.statusChange.subject', {
+          id: ticket.id,
+          status: t(`tickets:status.${newStatus}`),
+        }),
+      data: { oldStatus, newStatus },
+    });
+  }
+
+  /**
+   * Notify the assigned admin about a department user's reply
+   * @param {Object} ticket - Ticket row
+   * @param {Object} comment - The department user's comment
+   * @param {number} actorId - Commenting department user
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async notifyDepartmentReply(ticket, comment, actorId) {
+    if (!ticket.assigned_to) {
+      return 0;
+    }
+
+    return this.deliver(NOTIFICATION_EVENT.DEPARTMENT_REPLY, {
+      findRecipients: () => this.findAssignee(ticket),
+      actorId,
+      ticket,
+      details: { comment_id: comment.id },
+      template: 'department-reply',
+      subject: (t) =>
+        t('notifications:email.departmentReply.subject', {
+          id: ticket.id,
+          title: ticket.title,
+          department: ticket.reporter_department,
+        }),
+      data: { comment },
+    });
+  }
+
+  /**
+   * Notify an admin that a ticket was assigned to them (in-app only)
+   * @param {Object} ticket - Ticket row
+   * @param {number} assigneeId - New assignee
+   * @param {number} actorId - Assigning user (self-assignment is not notified)
+   */
+  async notifyTicketAssigned(ticket, assigneeId, actorId) {
+    return this.deliver(NOTIFICATION_EVENT.TICKET_ASSIGNED, {
+      findRecipients: () => this.findAssignee({ assigned_to: assigneeId }),
+      actorId,
+      ticket,
+      details: {},
+    });
+  }
+
+  /**
+   * Warn admins about tickets whose SLA deadline is near (in-app only)
+   * Each ticket is warned about once per target; unassigned tickets go to every admin.
+   * Meant to be run periodically (npm run sla:notify).
+   * @param {number} withinMinutes - Warning window before the deadline
+   * @returns {Promise<number>} Number of tickets warned about
+   */
+  async notifySlaWarnings(withinMinutes = SLA_WARNING_MINUTES) {
+    const tickets = await Ticket.findNearingSlaBreach(withinMinutes);
+    let warned = 0;
+
+    for (const target of ['first_response', 'resolution']) {
+      const targetTickets = tickets.filter((ticket) => ticket.target === target);
+      const alreadyWarned = await Notification.findSlaWarnedTicketIds(
+        targetTickets.map((ticket) => ticket.id),
+        target,
+      );
+
+      for (const ticket of targetTickets.filter((t) => !alreadyWarned.includes(t.id))) {
+        await this.deliver(NOTIFICATION_EVENT.SLA_WARNING, {
+          findRecipients: async () =>
+            ticket.assigned_to ? this.findAssignee(ticket) : User.findAssignableAdmins(),
+          actorId: null,
+          ticket,
+          details: { target, due_at: ticket.due_at },
+        });
+        warned++;
+      }
+    }
+
+    logger.info('notificationService.notifySlaWarnings: SLA warnings raised', {
+      withinMinutes,
+      candidates: tickets.length,
+      warned,
+    });
+    return warned;
+  }
+
+  /**
+   * Tell a user their account was locked after failed logins, and the super admins
+   * (in-app) so they can unlock it
+   * The locked user is emailed regardless of their notification settings, since the
+   * failed logins may not have been theirs.
+   * @param {Object} user - Locked user
+   * @param {Object} lock - login_attempts and locked_until after the failed login
+   * @param {string} ipAddress - Where the last failed login came from
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async notifyAccountLocked(user, { login_attempts, locked_until }, ipAddress) {
+    await this.deliver(NOTIFICATION_EVENT.ACCOUNT_LOCKED, {
+      findRecipients: () => User.findActiveSuperAdmins(),
+      actorId: user.id,
+      ticket: null,
+      details: {
+        user_id: user.id,
+        username: user.username,
+        login_attempts,
+        locked_until,
+      },
+    });
+
+    if (!user.email) {
+      return 0;
+    }
+
+    try {
+      const language = process.env.I18N_DEFAULTLANGUAGE || 'el';
+      const t = i18next.getFixedT(language);
+      const html = await this.renderEmail('account-locked', {
+        t,
+        locale: language === 'el' ? 'el-GR' : 'en-US',
+        recipient: user,
+        lockedUntil: locked_until,
+        loginAttempts: login_attempts,
+        ipAddress,
+        settingsUrl: `${mail.appUrl}/account/notifications`,
+      });
+      await mail.transport.sendMail({
+        from: mail.from,
+        to: user.email,
+        subject: t('notifications:email.accountLocked.subject'),
+        html,
+      });
+      return 1;
+    } catch (error) {
+      logger.error('notificationService.notifyAccountLocked: Failed to send email', {
+        userId: user.id,
+        error: error.message,
+        stack: error.stack,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Render an event template inside the email layout
+   * @param {string} template - Template name in views/emails
+   * @param {Object} data - Template data (must include t)
+   * @returns {Promise<string>} HTML body
+   */
+  async renderEmail(template, data) {
+    const body = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.ejs`), data);
+    return ejs.renderFile(path.join(TEMPLATE_DIR, 'layout.ejs'), { ...data, body });
+  }
+
+  /**
+   * Record an event for its recipients and email those who should get it
+   * The acting user is always skipped. Events without a template are in-app only;
+   * only those can be about something other than a ticket (ticket null).
+   * Errors are logged, never thrown.
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async deliver(eventType, { findRecipients, actorId, ticket, details, template, subject, data }) {
+    try {
+      const recipients = [];
+      for (const user of await findRecipients()) {
+        if (user.id !== actorId && !recipients.some((r) => r.id === user.id)) {
+          recipients.push(user);
+        }
+      }
+
+      await this.recordInApp(eventType, recipients, { actorId, ticket, details });
+      if (!template) {
+        return 0;
+      }
+      return await this.sendEmails(eventType, recipients, { ticket, template, subject, data });
+    } catch (error) {
+      logger.error('notificationService.deliver: Notification failed', {
+        eventType,
+        ticketId: ticket?.id,
+        error: error.message,
+        stack: error.stack,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Add the event to each recipient's notification center
+   * A failure is logged so email delivery still goes ahead.
+   */
+  async recordInApp(eventType, recipients, { actorId, ticket, details }) {
+    try {
+      await Notification.createMany(
+        recipients.map((user) => ({
+          user_id: user.id,
+          ticket_id: ticket ? ticket.id : null,
+          actor_id: actorId,
+          event_type: eventType,
+          details,
+        })),
+      );
+    } catch (error) {
+      logger.error('notificationService.recordInApp: Failed to record notifications', {
+        eventType,
+        ticketId: ticket?.id,
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  /**
+   * Email recipients whose role offers the event, who have an address and did not opt out
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async sendEmails(eventType, recipients, { ticket, template, subject, data }) {
+    const candidates = recipients.filter(
+      (user) => Boolean(user.email) && this.getEventsForRole(user.role).includes(eventType),
+    );
+    const optedOut = await NotificationPreference.findOptedOutUserIds(
+      candidates.map((user) => user.id),
+      eventType,
+    );
+    const emailRecipients = candidates.filter((user) => !optedOut.includes(user.id));
+
+    // Emails use the application's default language
+    const t = i18next.getFixedT(process.env.I18N_DEFAULTLANGUAGE || 'el');
+    const results = await Promise.allSettled(
+      emailRecipients.map(async (recipient) => {
+        const html = await this.renderEmail(template, {
+          ...data,
+          t,
+          recipient,
+          ticket,
+          ticketUrl: `${mail.appUrl}${this.getTicketPath(ticket.id, recipient.role)}`,
+          settingsUrl: `${mail.appUrl}/account/notifications`,
+        });
+        await mail.transport.sendMail({
+          from: mail.from,
+          to: recipient.email,
+          subject: subject(t),
+          html,
+        });
+      }),
+    );
+
+    const failed = results.filter((result) => result.status === 'rejected');
+    failed.forEach((result) => {
+      logger.error('notificationService.sendEmails: Failed to send email', {
+        eventType,
+        ticketId: ticket.id,
+        error: result.reason.message,
+      });
+    });
+
+    const sent = results.length - failed.length;
+    logger.info('notificationService.sendEmails: Notifications sent', {
+      eventType,
+      ticketId: ticket.id,
+      sent,
+      failed: failed.length,
+      optedOut: optedOut.length,
+    });
+    return sent;
+  }
+}
+
+module.exports = new NotificationService();
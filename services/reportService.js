@@ -0,0 +1,283 @@
+const TicketReport = require('../models/TicketReport');
+const {
+  TICKET_STATUS,
+  TICKET_PRIORITY,
+  REPORT_TYPE,
+  REPORT_GRANULARITY,
+} = require('../constants/enums');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range shown when none is given, and the longest range accepted (in days)
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+// Repeat reporters listed on the page and in the CSV download
+const TOP_REPORTERS_PAGE = 10;
+const TOP_REPORTERS_EXPORT = 100;
+
+// Statuses that make up the backlog, in workflow order
+const BACKLOG_STATUSES = Object.values(TICKET_STATUS).filter(
+  (status) => status !== TICKET_STATUS.CLOSED,
+);
+const PRIORITIES = Object.values(TICKET_PRIORITY);
+
+const minutes = (seconds) =>
+  seconds === null || seconds === undefined ? null : Math.round(seconds / 60);
+
+const BREAKDOWN_CSV_COLUMNS = [
+  { header: 'Opened', value: (row) => row.opened },
+  { header: 'Closed', value: (row) => row.closed },
+  { header: 'Backlog', value: (row) => row.backlog },
+  {
+    header: 'Median First Response (minutes)',
+    value: (row) => minutes(row.median_first_response_seconds),
+  },
+  { header: 'Median Time To Close (minutes)', value: (row) => minutes(row.median_close_seconds) },
+];
+
+// CSV download of each report: data it needs and its columns
+const CSV_REPORTS = {
+  [REPORT_TYPE.VOLUME]: {
+    load: (service, range) => service.getVolume(range).then((volume) => volume.periods),
+    columns: [
+      { header: 'Period Start', value: (row) => row.period },
+      { header: 'Opened', value: (row) => row.opened },
+      { header: 'Closed', value: (row) => row.closed },
+    ],
+  },
+  [REPORT_TYPE.BACKLOG]: {
+    load: () => TicketReport.countBacklog(),
+    columns: [
+      { header: 'Status', value: (row) => row.status },
+      { header: 'Priority', value: (row) => row.priority },
+      { header: 'Tickets', value: (row) => row.count },
+    ],
+  },
+  [REPORT_TYPE.RESPONSE_TIMES]: {
+    load: (service, range) =>
+      service
+        .getResponseTimes(range)
+        .then(({ overall, byPriority }) => [...byPriority, { ...overall, priority: 'all' }]),
+    columns: [
+      { header: 'Priority', value: (row) => row.priority },
+      { header: 'Responded', value: (row) => row.responded },
+      {
+        header: 'Median First Response (minutes)',
+        value: (row) => minutes(row.median_first_response_seconds),
+      },
+      { header: 'Closed', value: (row) => row.closed },
+      {
+        header: 'Median Time To Close (minutes)',
+        value: (row) => minutes(row.median_close_seconds),
+      },
+    ],
+  },
+  [REPORT_TYPE.DEPARTMENTS]: {
+    load: (service, range) => TicketReport.countByDepartment(range.from, range.to),
+    columns: [
+      { header: 'Department', value: (row) => row.department },
+      { header: 'Floor', value: (row) => row.floor },
+      ...BREAKDOWN_CSV_COLUMNS,
+    ],
+  },
+  [REPORT_TYPE.FLOORS]: {
+    load: (service, range) => TicketReport.countByFloor(range.from, range.to),
+    columns: [{ header: 'Floor', value: (row) => row.floor }, ...BREAKDOWN_CSV_COLUMNS],
+  },
+  [REPORT_TYPE.REPORTERS]: {
+    load: (service, range) =>
+      TicketReport.findTopReporters(range.from, range.to, TOP_REPORTERS_EXPORT),
+    columns: [
+      { header: 'Reporter', value: (row) => row.reporter },
+      { header: 'User ID', value: (row) => row.reporter_id },
+      { header: 'Department', value: (row) => row.department },
+      { header: 'Tickets', value: (row) => row.ticket_count },
+      { header: 'Still Open', value: (row) => row.open_count },
+      { header: 'Last Ticket', value: (row) => row.last_ticket_at },
+    ],
+  },
+};
+
+/**
+ * Format a date as YYYY-MM-DD in server local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date, or null when malformed
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function parseDay(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value.trim())) {
+    return null;
+  }
+  const [year, month, day] = value.trim().split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  // Reject dates that rolled over, such as 2026-02-30
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Report Service
+ * Ticket analytics for admins: volume, backlog, response times, department and floor
+ * breakdowns and repeat reporters, each downloadable as CSV
+ */
+class ReportService {
+  /**
+   * Clean the report range from the query string
+   * Malformed values fall back to the defaults (last 30 days, per day) rather than
+   * being rejected; reversed dates are swapped and ranges are capped at two years.
+   * @param {Object} query - Request query (from, to, granularity)
+   * @param {Date} now - Current time (for tests)
+   * @returns {{from: string, to: string, granularity: string}}
+   */
+  cleanRange(query = {}, now = new Date()) {
+    let to = parseDay(query.to) || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let from =
+      parseDay(query.from) ||
+      new Date(to.getFullYear(), to.getMonth(), to.getDate() - (DEFAULT_RANGE_DAYS - 1));
+
+    if (from > to) {
+      [from, to] = [to, from];
+    }
+    if (Math.round((to - from) / DAY_MS) >= MAX_RANGE_DAYS) {
+      from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - (MAX_RANGE_DAYS - 1));
+    }
+
+    const granularity = Object.values(REPORT_GRANULARITY).includes(query.granularity)
+      ? query.granularity
+      : REPORT_GRANULARITY.DAY;
+
+    return { from: formatDay(from), to: formatDay(to), granularity };
+  }
+
+  /**
+   * Tickets opened and closed per period
+   * @param {Object} range - Cleaned range
+   * @returns {Promise<{periods: Array, totals: {opened: number, closed: number}}>}
+   */
+  async getVolume({ from, to, granularity }) {
+    const periods = await TicketReport.countOpenedClosed(from, to, granularity);
+    const totals = periods.reduce(
+      (sum, row) => ({ opened: sum.opened + row.opened, closed: sum.closed + row.closed }),
+      { opened: 0, closed: 0 },
+    );
+    return { periods, totals };
+  }
+
+  /**
+   * Open tickets as a status x priority table
+   * @returns {Promise<{rows: Array, priorityTotals: Object, total: number}>} rows are
+   *   [{status, counts: {priority: count}, total}] for every non-closed status
+   */
+  async getBacklog() {
+    const counts = await TicketReport.countBacklog();
+    const priorityTotals = Object.fromEntries(PRIORITIES.map((priority) => [priority, 0]));
+
+    const rows = BACKLOG_STATUSES.map((status) => {
+      const row = {
+        status,
+        counts: Object.fromEntries(PRIORITIES.map((priority) => [priority, 0])),
+        total: 0,
+      };
+      counts
+        .filter((count) => count.status === status)
+        .forEach((count) => {
+          row.counts[count.priority] = count.count;
+          row.total += count.count;
+          priorityTotals[count.priority] += count.count;
+        });
+      return row;
+    });
+
+    return {
+      rows,
+      priorityTotals,
+      total: rows.reduce((sum, row) => sum + row.total, 0),
+    };
+  }
+
+  /**
+   * Median time to first response and to close, overall and per priority
+   * @param {Object} range - Cleaned range
+   * @returns {Promise<{overall: Object, byPriority: Array}>} byPriority in priority order,
+   *   only priorities with tickets in the range
+   */
+  async getResponseTimes({ from, to }) {
+    const rows = await TicketReport.findResponseTimes(from, to);
+    const empty = {
+      responded: 0,
+      median_first_response_seconds: null,
+      closed: 0,
+      median_close_seconds: null,
+    };
+
+    return {
+      overall: rows.find((row) => row.priority === null) || { priority: null, ...empty },
+      byPriority: PRIORITIES.map((priority) =>
+        rows.find((row) => row.priority === priority),
+      ).filter(Boolean),
+    };
+  }
+
+  /**
+   * Every report for the reports page
+   * @param {Object} query - Request query (from, to, granularity)
+   * @returns {Promise<Object>} {range, volume, backlog, responseTimes, departments,
+   *   floors, reporters}
+   */
+  async getReports(query = {}) {
+    const range = this.cleanRange(query);
+
+    const volume = await this.getVolume(range);
+    const backlog = await this.getBacklog();
+    const responseTimes = await this.getResponseTimes(range);
+    const departments = await TicketReport.countByDepartment(range.from, range.to);
+    const floors = await TicketReport.countByFloor(range.from, range.to);
+    const reporters = await TicketReport.findTopReporters(range.from, range.to, TOP_REPORTERS_PAGE);
+
+    return { range, volume, backlog, responseTimes, departments, floors, reporters };
+  }
+
+  /**
+   * One report as a CSV download
+   * @param {string} report - REPORT_TYPE value
+   * @param {Object} query - Request query (from, to, granularity)
+   * @returns {Promise<{filename: string, contentType: string, content: string}>}
+   */
+  async exportReport(report, query = {}) {
+    const definition = CSV_REPORTS[report];
+    if (!definition) {
+      const error = new Error('Report not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const range = this.cleanRange(query);
+    const rows = await definition.load(this, range);
+
+    logger.info('reportService.exportReport: Report exported', {
+      report,
+      ...range,
+      rowCount: rows.length,
+    });
+
+    return {
+      filename: `report-${report}-${range.from}_${range.to}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: toCsv(definition.columns, rows),
+    };
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,182 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const Department = require('../models/Department');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * SLA Service
+ * Business logic for SLA policy management
+ */
+class SlaService {
+  /**
+   * Get all policies for admin management
+   * @returns {Promise<Array>} All policies
+   */
+  async getAllPolicies() {
+    return SlaPolicy.findAll();
+  }
+
+  /**
+   * Get policy by ID
+   * @param {number} id - Policy ID
+   * @returns {Promise<Object>} Policy
+   */
+  async getPolicyById(id) {
+    const policy = await SlaPolicy.findById(id);
+    if (!policy) {
+      throw new Error('SLA policy not found');
+    }
+    return policy;
+  }
+
+  /**
+   * Create new policy
+   * @param {number} actorId - User creating policy
+   * @param {Object} data - {priority, department_id, first_response_minutes, resolution_minutes}
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} Created policy
+   */
+  async createPolicy(
+    actorId,
+    { priority, department_id, first_response_minutes, resolution_minutes },
+    ipAddress,
+  ) {
+    this.validateTargets(first_response_minutes, resolution_minutes);
+
+    const departmentId = department_id || null;
+    let departmentName = null;
+    if (departmentId) {
+      const department = await Department.findById(departmentId);
+      if (!department) {
+        throw new Error('Department not found');
+      }
+      departmentName = department.name;
+    }
+
+    // One policy per priority/department scope
+    const existing = await SlaPolicy.findByScope(priority, departmentId);
+    if (existing) {
+      throw new Error('An SLA policy for this priority and department already exists');
+    }
+
+    const policy = await SlaPolicy.create({
+      priority,
+      department_id: departmentId,
+      first_response_minutes,
+      resolution_minutes,
+    });
+
+    // Log action
+    await AuditLog.create({
+      actorId,
+      action: 'SLA_POLICY_CREATED',
+      targetType: 'sla_policy',
+      targetId: policy.id,
+      details: {
+        priority: policy.priority,
+        department: departmentName,
+        first_response_minutes: policy.first_response_minutes,
+        resolution_minutes: policy.resolution_minutes,
+      },
+      ipAddress,
+    });
+
+    return policy;
+  }
+
+  /**
+   * Update policy targets
+   * @param {number} actorId - User updating policy
+   * @param {number} id - Policy ID
+   * @param {Object} data - {first_response_minutes, resolution_minutes}
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} Updated policy
+   */
+  async updatePolicy(actorId, id, { first_response_minutes, resolution_minutes }, ipAddress) {
+    const current = await this.getPolicyById(id);
+
+    this.validateTargets(first_response_minutes, resolution_minutes);
+
+    const updated = await SlaPolicy.update(id, { first_response_minutes, resolution_minutes });
+
+    if (!updated) {
+      throw new Error('Failed to update SLA policy');
+    }
+
+    // Log action
+    await AuditLog.create({
+      actorId,
+      action: 'SLA_POLICY_UPDATED',
+      targetType: 'sla_policy',
+      targetId: id,
+      details: {
+        priority: current.priority,
+        department: current.department_name,
+        old: {
+          first_response_minutes: current.first_response_minutes,
+          resolution_minutes: current.resolution_minutes,
+        },
+        new: {
+          first_response_minutes: updated.first_response_minutes,
+          resolution_minutes: updated.resolution_minutes,
+        },
+      },
+      ipAddress,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Delete policy
+   * @param {number} actorId - User deleting policy
+   * @param {number} id - Policy ID
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} Deleted policy
+   */
+  async deletePolicy(actorId, id, ipAddress) {
+    const policy = await this.getPolicyById(id);
+
+    const deleted = await SlaPolicy.delete(id);
+
+    if (!deleted) {
+      throw new Error('Failed to delete SLA policy');
+    }
+
+    // Log action
+    await AuditLog.create({
+      actorId,
+      action: 'SLA_POLICY_DELETED',
+      targetType: 'sla_policy',
+      targetId: id,
+      details: {
+        priority: policy.priority,
+        department: policy.department_name,
+        first_response_minutes: policy.first_response_minutes,
+        resolution_minutes: policy.resolution_minutes,
+      },
+      ipAddress,
+    });
+
+    return deleted;
+  }
+
+  /**
+   * Ensure targets are positive and resolution is not shorter than first response
+   * @param {number} firstResponseMinutes - First response target
+   * @param {number} resolutionMinutes - Resolution target
+   * @throws {Error} If targets are invalid
+   */
+  validateTargets(firstResponseMinutes, resolutionMinutes) {
+    if (!Number.isInteger(firstResponseMinutes) || firstResponseMinutes < 1) {
+      throw new Error('First response target must be a positive number of minutes');
+    }
+    if (!Number.isInteger(resolutionMinutes) || resolutionMinutes < 1) {
+      throw new Error('Resolution target must be a positive number of minutes');
+    }
+    if (resolutionMinutes < firstResponseMinutes) {
+      throw new Error('Resolution target cannot be shorter than first response target');
+    }
+  }
+}
+
+module.exports = new SlaService();
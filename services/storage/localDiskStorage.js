@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage backend for attachments
+ *
+ * Storage backends share one interface so config/storage.js can swap them:
+ * - save(key, buffer): Promise<void> - store a new file (never overwrites)
+ * - createReadStream(key): Readable - stream a stored file
+ * - remove(key): Promise<void> - delete a file (no-op if it is already gone)
+ *
+ * Keys are generated by attachmentService; resolving them is still confined
+ * to the root directory so a bad key can never reach other files.
+ */
+class LocalDiskStorage {
+  /**
+   * @param {string} rootDir - Directory holding all attachment files
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the root directory
+   * @param {string} key - Storage key (e.g. '2026/10/<uuid>')
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,163 @@
+const pool = require('../config/database');
+const { i18next } = require('../config/i18n');
+const Ticket = require('../models/Ticket');
+const Comment = require('../models/Comment');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const { TICKET_STATUS, COMMENT_VISIBILITY } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+// Days a ticket may wait on its department without any comment before it is closed
+// (0 turns auto-close off)
+const AUTO_CLOSE_DAYS = parseInt(process.env.TICKET_AUTO_CLOSE_DAYS || '14');
+
+// Days after closing during which a department comment reopens the ticket (0 turns it off)
+const REOPEN_WINDOW_DAYS = parseInt(process.env.TICKET_REOPEN_WINDOW_DAYS || '7');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for automatic ticket lifecycle rules
+ * - Tickets left in waiting_on_department are closed with a public system comment
+ *   (npm run tickets:auto-close)
+ * - A closed ticket can be reopened by a department comment for a while after closing
+ *   (applied by clientTicketService.addComment)
+ */
+class TicketLifecycleService {
+  /**
+   * Until when a department comment reopens a closed ticket
+   * The window starts when the ticket was closed (resolved_at).
+   * @param {Object} ticket - Ticket row
+   * @param {Date} now - Current time (for tests)
+   * @param {number} windowDays - Reopen window
+   * @returns {Date|null} End of the window, or null if the ticket cannot be reopened
+   */
+  getReopenDeadline(ticket, now = new Date(), windowDays = REOPEN_WINDOW_DAYS) {
+    if (ticket.status !== TICKET_STATUS.CLOSED || !ticket.resolved_at || !(windowDays > 0)) {
+      return null;
+    }
+
+    const deadline = new Date(new Date(ticket.resolved_at).getTime() + windowDays * DAY_MS);
+    return deadline > now ? deadline : null;
+  }
+
+  /**
+   * Whether a department comment on the ticket reopens it now
+   * @param {Object} ticket - Ticket row
+   * @param {Date} now - Current time (for tests)
+   * @returns {boolean}
+   */
+  canReopenByComment(ticket, now = new Date()) {
+    return this.getReopenDeadline(ticket, now) !== null;
+  }
+
+  /**
+   * Close every ticket that has waited on its department for `idleDays` without a comment
+   * Each ticket gets a public system comment, an audit entry without actor and the usual
+   * status change notification. A ticket that fails is logged and skipped.
+   * Meant to be run periodically (npm run tickets:auto-close).
+   * @param {number} idleDays - Days without activity
+   * @returns {Promise<number>} Number of tickets closed
+   */
+  async autoCloseStaleTickets(idleDays = AUTO_CLOSE_DAYS) {
+    if (!(idleDays > 0)) {
+      logger.info('ticketLifecycleService.autoCloseStaleTickets: Auto-close is turned off');
+      return 0;
+    }
+
+    const tickets = await Ticket.findStaleWaitingOnDepartment(idleDays);
+    // The comment is stored once, in the application's default language
+    const t = i18next.getFixedT(process.env.I18N_DEFAULTLANGUAGE || 'el');
+    let closed = 0;
+
+    for (const ticket of tickets) {
+      try {
+        if (await this.autoCloseTicket(ticket, idleDays, t)) {
+          closed++;
+        }
+      } catch (error) {
+        logger.error('ticketLifecycleService.autoCloseStaleTickets: Failed to close ticket', {
+          ticketId: ticket.id,
+          error: error.message,
+          stack: error.stack,
+        });
+      }
+    }
+
+    logger.info('ticketLifecycleService.autoCloseStaleTickets: Stale tickets closed', {
+      idleDays,
+      candidates: tickets.length,
+      closed,
+    });
+    return closed;
+  }
+
+  /**
+   * Close one stale ticket with its system comment, audit entry and notification
+   * The close, comment and audit entry share one transaction. The close re-checks that
+   * the ticket is still stale (Ticket.closeIfStale), so a ticket commented on or changed
+   * since it was found is skipped. The notification is sent after the commit.
+   * @param {Object} ticket - Ticket row (from Ticket.findStaleWaitingOnDepartment)
+   * @param {number} idleDays - Days without activity
+   * @param {Function} t - Translation function for the comment
+   * @returns {Promise<Object|null>} Closed ticket, or null if it was skipped
+   */
+  async autoCloseTicket(ticket, idleDays, t) {
+    const content = [t('tickets:autoClose.comment', { count: idleDays })];
+    if (REOPEN_WINDOW_DAYS > 0) {
+      content.push(t('tickets:autoClose.reopenHint', { count: REOPEN_WINDOW_DAYS }));
+    }
+
+    const client = await pool.connect();
+    let updatedTicket;
+    try {
+      await client.query('BEGIN');
+      updatedTicket = await Ticket.closeIfStale(ticket.id, idleDays, client);
+      if (!updatedTicket) {
+        await client.query('ROLLBACK');
+        logger.info('ticketLifecycleService.autoCloseTicket: Ticket no longer stale, skipped', {
+          ticketId: ticket.id,
+        });
+        return null;
+      }
+
+      await Comment.create(
+        {
+          ticket_id: ticket.id,
+          user_id: null,
+          content: content.join(' '),
+          visibility_type: COMMENT_VISIBILITY.PUBLIC,
+        },
+        client,
+      );
+      await AuditLog.create(
+        {
+          actorId: null,
+          action: 'TICKET_UPDATED',
+          targetType: 'ticket',
+          targetId: ticket.id,
+          details: {
+            old: { status: ticket.status },
+            new: { status: TICKET_STATUS.CLOSED },
+            auto_closed: true,
+            idle_days: idleDays,
+          },
+          ipAddress: null,
+        },
+        client,
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await notificationService.notifyStatusChange(ticket, ticket.status, TICKET_STATUS.CLOSED, null);
+
+    return updatedTicket;
+  }
+}
+
+module.exports = new TicketLifecycleService();
@@ -1,8 +1,23 @@
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const Comment = require('../models/Comment');
+const notificationService = require('./notificationService');
+const {
+  USER_ROLE,
+  COMMENT_VISIBILITY,
+  TICKET_STATUS,
+  SLA_FILTER,
+  TICKET_SORT,
+  SORT_ORDER,
+} = require('../constants/enums');
+const { assertTransition, canTransition } = require('../utils/ticketStatusTransitions');
+const { parsePagination, buildPagination } = require('../utils/pagination');
 const logger = require('../utils/logger');
 
+// Ticket fields shown as old -> new changes in the activity timeline
+const TIMELINE_FIELDS = ['status', 'priority', 'assigned_to'];
+
 class TicketService {
   async createTicket(ticketData) {
     const startTime = Date.now();
@@ -42,17 +57,310 @@ class TicketService {
     return Ticket.findById(id);
   }
 
+  /**
+   * Get one page of tickets for the admin dashboard
+   * @param {Object} filters - Query filters (status, priority, search, assigned_to, sla,
+   *   sort, order, page, per_page)
+   * @returns {Promise<{tickets: Array, pagination: Object}>} Page of tickets and page metadata
+   */
   async getAllTickets(filters = {}) {
     const cleanFilters = {
       status: filters.status || undefined,
       priority: filters.priority || undefined,
       search: filters.search || undefined,
+      // Unknown SLA filters are ignored
+      sla: Object.values(SLA_FILTER).includes(filters.sla) ? filters.sla : undefined,
+      // Unknown sort keys and orders are ignored (the list falls back to newest first)
+      sort: Object.values(TICKET_SORT).includes(filters.sort) ? filters.sort : undefined,
+      order: Object.values(SORT_ORDER).includes(filters.order) ? filters.order : undefined,
+      // 'unassigned' or a numeric user ID; anything else is ignored
+      assigned_to:
+        filters.assigned_to === 'unassigned' || /^\d+$/.test(String(filters.assigned_to))
+          ? filters.assigned_to
+          : undefined,
     };
 
-    return Ticket.findAll(cleanFilters);
+    const { page, perPage } = parsePagination(filters);
+    const total = await Ticket.countAll(cleanFilters);
+    const pagination = buildPagination(page, perPage, total);
+    const tickets = await Ticket.findAll({
+      ...cleanFilters,
+      limit: perPage,
+      offset: pagination.offset,
+    });
+
+    return { tickets, pagination };
+  }
+
+  /**
+   * Build the chronological activity timeline of a ticket
+   * Interleaves comments (public and internal) with audited ticket events.
+   * Events at the same instant as a comment are listed after it, so automatic
+   * status changes appear below the comment that triggered them.
+   * @param {number} ticketId - Ticket ID
+   * @returns {Promise<Array>} Timeline items, oldest first
+   */
+  async getTicketTimeline(ticketId) {
+    const comments = await Comment.findByTicketId(ticketId);
+    const auditEntries = await AuditLog.findByTargetWithActor('ticket', ticketId);
+
+    const items = [
+      ...comments.map((comment) => ({
+        type: 'comment',
+        created_at: comment.created_at,
+        actor: comment.username,
+        comment,
+      })),
+      ...auditEntries
+        .map((entry) => ({
+          type: 'event',
+          created_at: entry.created_at,
+          actor: entry.actor_username || null,
+          action: entry.action,
+          changes: this.describeAuditChanges(entry),
+          triggeredByComment: Boolean(entry.details?.triggered_by_comment_id),
+        }))
+        // Updates that re-applied the current values carry no information
+        .filter((event) => event.action !== 'TICKET_UPDATED' || event.changes.length > 0),
+    ];
+
+    // Array.prototype.sort is stable: comments stay ahead of same-time events
+    return items.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * Turn a ticket audit entry into a list of field changes
+   * Handles the old/new detail format as well as older entries that only
+   * recorded the new values (from is undefined for those).
+   * @param {Object} entry - Audit log row
+   * @returns {Array<{field: string, from: *, to: *}>} Field changes
+   */
+  describeAuditChanges(entry) {
+    const details = entry.details || {};
+
+    if (entry.action === 'TICKET_ASSIGNED' || entry.action === 'TICKET_UNASSIGNED') {
+      return [
+        {
+          field: 'assigned_to',
+          from: details.previous_assigned_to_username ?? null,
+          to: details.assigned_to_username ?? null,
+        },
+      ];
+    }
+
+    if (entry.action !== 'TICKET_UPDATED') {
+      return [];
+    }
+
+    const hasPrevious = Boolean(details.new);
+    const oldValues = hasPrevious ? details.old || {} : {};
+    const newValues = details.new || details;
+
+    const changes = [];
+    for (const field of TIMELINE_FIELDS.filter((key) => key in newValues)) {
+      if (field === 'assigned_to') {
+        changes.push({
+          field,
+          from: hasPrevious ? (oldValues.assigned_to_username ?? null) : undefined,
+          to: newValues.assigned_to_username ?? newValues.assigned_to ?? null,
+        });
+      } else {
+        changes.push({ field, from: oldValues[field], to: newValues[field] });
+      }
+    }
+
+    return changes.filter((change) => change.from !== change.to);
+  }
+
+  /**
+   * Get users tickets can be assigned to (active admins and super admins)
+   * @returns {Promise<Array>} Assignable users
+   */
+  async getAssignableUsers() {
+    return User.findAssignableAdmins();
+  }
+
+  /**
+   * Record an admin's public comment as the ticket's first response (SLA)
+   * No-op for internal notes and for tickets that already have a first response.
+   * @param {number} ticketId - Ticket ID
+   * @param {Object} comment - Comment returned by Comment.create
+   * @returns {Promise<Object|undefined>} Updated ticket if this was the first response
+   */
+  async recordFirstResponse(ticketId, comment) {
+    if (!comment || comment.visibility_type !== COMMENT_VISIBILITY.PUBLIC) {
+      return undefined;
+    }
+
+    return Ticket.recordFirstResponse(ticketId, comment.created_at || new Date());
+  }
+
+  /**
+   * Add an admin comment to a ticket
+   * A public comment counts as the first response (SLA) and moves department tickets to
+   * waiting_on_department when the transition is allowed; the move is audited with the comment id.
+   * The reporter's department is emailed about public comments.
+   * @param {number} ticketId - Ticket ID
+   * @param {Object} actor - Commenting user ({ id, role })
+   * @param {string} content - Comment text
+   * @param {string} [visibilityType='public'] - 'public' or 'internal'
+   * @param {string|null} ipAddress - Request IP
+   * @returns {Promise<Object>} The created comment
+   * @throws {Error} If the ticket does not exist
+   */
+  async addAdminComment(
+    ticketId,
+    actor,
+    content,
+    visibilityType = COMMENT_VISIBILITY.PUBLIC,
+    ipAddress = null,
+  ) {
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket) {
+      throw new Error('Ticket not found');
+    }
+
+    const comment = await Comment.create({
+      ticket_id: ticketId,
+      user_id: actor.id,
+      content,
+      visibility_type: visibilityType,
+    });
+
+    // SLA: first public admin comment is the ticket's first response
+    await this.recordFirstResponse(ticketId, comment);
+
+    // AUTO-STATUS UPDATE: Admin adding PUBLIC comment → "waiting_on_department"
+    // ONLY if: public comment AND transition allowed (never from closed) AND has reporter_id (dept ticket)
+    if (
+      visibilityType === COMMENT_VISIBILITY.PUBLIC &&
+      canTransition(ticket.status, TICKET_STATUS.WAITING_ON_DEPARTMENT, actor.role) &&
+      ticket.reporter_id !== null
+    ) {
+      await this.updateTicket(
+        ticketId,
+        { status: TICKET_STATUS.WAITING_ON_DEPARTMENT },
+        actor.id,
+        ipAddress,
+        { triggered_by_comment_id: comment.id },
+      );
+      logger.info('ticketService.addAdminComment: Admin comment triggered status update', {
+        ticketId,
+        oldStatus: ticket.status,
+        newStatus: TICKET_STATUS.WAITING_ON_DEPARTMENT,
+        adminId: actor.id,
+      });
+    }
+
+    if (visibilityType === COMMENT_VISIBILITY.PUBLIC) {
+      await notificationService.notifyTicketReply(ticket, comment, actor.id);
+    }
+
+    return comment;
+  }
+
+  /**
+   * Ensure a user can be assigned tickets: must exist, be active and be an admin
+   * @param {number} ticketId - Ticket ID (for logging)
+   * @param {number} userId - Prospective assignee
+   * @returns {Promise<Object>} The assignee user
+   * @throws {Error} If the user cannot be assigned tickets
+   */
+  async validateAssignee(ticketId, userId) {
+    const assignedUser = await User.findById(userId);
+    if (!assignedUser || assignedUser.status !== 'active') {
+      logger.warn(
+        'ticketService.validateAssignee: Cannot assign to inactive or non-existent user',
+        {
+          ticketId,
+          assignedUserId: userId,
+          userFound: !!assignedUser,
+          userStatus: assignedUser?.status,
+        },
+      );
+      const error = new Error('Cannot assign to inactive or non-existent user');
+      error.status = 400;
+      throw error;
+    }
+    if (![USER_ROLE.ADMIN, USER_ROLE.SUPER_ADMIN].includes(assignedUser.role)) {
+      logger.warn('ticketService.validateAssignee: Cannot assign to non-admin user', {
+        ticketId,
+        assignedUserId: userId,
+        userRole: assignedUser.role,
+      });
+      const error = new Error('Tickets can only be assigned to admins');
+      error.status = 400;
+      throw error;
+    }
+    return assignedUser;
+  }
+
+  /**
+   * Assign, reassign or unassign a ticket and audit the change
+   * Assigning to the current assignee is a no-op and is not audited.
+   * The new assignee is notified unless they assigned the ticket to themselves.
+   * @param {number} id - Ticket ID
+   * @param {number|null} assigneeId - New assignee, or null to unassign
+   * @param {number} actorId - User performing the assignment
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} Updated ticket
+   */
+  async assignTicket(id, assigneeId, actorId, ipAddress = null) {
+    const ticket = await Ticket.findById(id);
+    if (!ticket) {
+      throw new Error('Ticket not found');
+    }
+
+    const newAssigneeId = assigneeId ? parseInt(assigneeId) : null;
+    if (ticket.assigned_to === newAssigneeId) {
+      return ticket;
+    }
+
+    const assignee = newAssigneeId ? await this.validateAssignee(id, newAssigneeId) : null;
+    const updatedTicket = await Ticket.update(id, { assigned_to: newAssigneeId });
+
+    await AuditLog.create({
+      actorId,
+      action: newAssigneeId ? 'TICKET_ASSIGNED' : 'TICKET_UNASSIGNED',
+      targetType: 'ticket',
+      targetId: parseInt(id),
+      details: {
+        previous_assigned_to: ticket.assigned_to,
+        previous_assigned_to_username: ticket.assigned_to_username || null,
+        assigned_to: newAssigneeId,
+        assigned_to_username: assignee ? assignee.username : null,
+        self_assigned: newAssigneeId !== null && newAssigneeId === actorId,
+      },
+      ipAddress,
+    });
+
+    logger.info('ticketService.assignTicket: Ticket assignment changed', {
+      ticketId: id,
+      previousAssignee: ticket.assigned_to,
+      newAssignee: newAssigneeId,
+      actorId,
+    });
+
+    if (newAssigneeId) {
+      await notificationService.notifyTicketAssigned(ticket, newAssigneeId, actorId);
+    }
+
+    return updatedTicket;
   }
 
-  async updateTicket(id, updates, actorId = null, ipAddress = null) {
+  /**
+   * Update status, priority and/or assignee of a ticket
+   * When an actor is given, the change is audited with previous and new values, a new
+   * assignee is notified and the reporter's department is notified about a status change
+   * (unless a reply triggered it, which already sends its own notification).
+   * @param {number} id - Ticket ID
+   * @param {Object} updates - Fields to change (status, priority, assigned_to)
+   * @param {number|null} actorId - User performing the update (enables auditing)
+   * @param {string|null} ipAddress - Request IP
+   * @param {Object} auditContext - Extra audit details (e.g. { triggered_by_comment_id })
+   * @returns {Promise<Object>} Updated ticket
+   */
+  async updateTicket(id, updates, actorId = null, ipAddress = null, auditContext = {}) {
     const startTime = Date.now();
     const changedFields = Object.keys(updates).filter((key) => updates[key] !== undefined);
 
@@ -63,8 +371,21 @@ class TicketService {
       });
 
       const allowedUpdates = {};
+      let assignedUser = null;
+
+      // Current values are needed for the transition check and the audit trail
+      let currentTicket = null;
+      if (updates.status || actorId) {
+        currentTicket = await Ticket.findById(id);
+        if (!currentTicket) {
+          throw new Error('Ticket not found');
+        }
+      }
 
+      // Status changes must follow the admin transition table
       if (updates.status) {
+        assertTransition(currentTicket.status, updates.status, USER_ROLE.ADMIN);
+        // Ticket.update also stamps/clears resolved_at for SLA resolution tracking
         allowedUpdates.status = updates.status;
       }
 
@@ -79,20 +400,7 @@ class TicketService {
           allowedUpdates.assigned_to = null;
           logger.debug('ticketService.updateTicket: Ticket unassigned', { ticketId: id });
         } else {
-          // Validate that the user exists and is active
-          const assignedUser = await User.findById(updates.assigned_to);
-          if (!assignedUser || assignedUser.status !== 'active') {
-            logger.warn(
-              'ticketService.updateTicket: Cannot assign to inactive or non-existent user',
-              {
-                ticketId: id,
-                assignedUserId: updates.assigned_to,
-                userFound: !!assignedUser,
-                userStatus: assignedUser?.status,
-              },
-            );
-            throw new Error('Cannot assign to inactive or non-existent user');
-          }
+          assignedUser = await this.validateAssignee(id, updates.assigned_to);
           allowedUpdates.assigned_to = updates.assigned_to;
           logger.debug('ticketService.updateTicket: Ticket assigned', {
             ticketId: id,
@@ -104,16 +412,43 @@ class TicketService {
 
       const updatedTicket = await Ticket.update(id, allowedUpdates);
 
-      // Audit log
+      // Audit log with old -> new values for the activity timeline
       if (actorId) {
+        const oldValues = {};
+        const newValues = {};
+        for (const field of Object.keys(allowedUpdates)) {
+          oldValues[field] = currentTicket[field] ?? null;
+          newValues[field] = allowedUpdates[field];
+        }
+        if ('assigned_to' in allowedUpdates) {
+          oldValues.assigned_to_username = currentTicket.assigned_to_username || null;
+          newValues.assigned_to_username = assignedUser ? assignedUser.username : null;
+        }
+
         await AuditLog.create({
           actorId,
           action: 'TICKET_UPDATED',
           targetType: 'ticket',
           targetId: parseInt(id),
-          details: allowedUpdates,
+          details: { old: oldValues, new: newValues, ...auditContext },
           ipAddress,
         });
+
+        const newAssigneeId = allowedUpdates.assigned_to
+          ? parseInt(allowedUpdates.assigned_to)
+          : null;
+        if (newAssigneeId && newAssigneeId !== currentTicket.assigned_to) {
+          await notificationService.notifyTicketAssigned(currentTicket, newAssigneeId, actorId);
+        }
+
+        if (allowedUpdates.status && !auditContext.triggered_by_comment_id) {
+          await notificationService.notifyStatusChange(
+            currentTicket,
+            currentTicket.status,
+            allowedUpdates.status,
+            actorId,
+          );
+        }
       }
 
       const duration = Date.now() - startTime;
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const AuditLog = require('../models/AuditLog');
+const { TWO_FACTOR } = require('../constants/validation');
+const { TWO_FACTOR_METHOD } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+// Roles that have to use two-factor authentication (comma-separated USER_ROLE values)
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+// Account issuer shown in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'KNII Ticketing';
+
+// Seconds per TOTP code; codes of the previous and next step are accepted too (clock drift)
+const STEP_SECONDS = 30;
+const totp = authenticator.clone({ step: STEP_SECONDS, window: 1 });
+
+const INVALID_CODE = 'The code is not valid';
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238) codes from an authenticator app, with one-time recovery codes as the
+ * fallback. Users turn it on from /account/two-factor; roles listed in
+ * TWO_FACTOR_REQUIRED_ROLES are sent there by requireAuth until they have. The QR code
+ * is rendered on the server, so the secret never reaches a third party.
+ */
+class TwoFactorService {
+  /**
+   * Whether a role has to use two-factor authentication
+   * @param {string} role - USER_ROLE value
+   * @param {Array<string>} requiredRoles - Roles that must use it
+   * @returns {boolean}
+   */
+  isRequiredFor(role, requiredRoles = REQUIRED_ROLES) {
+    return requiredRoles.includes(role);
+  }
+
+  /**
+   * Whether a user has two-factor authentication on
+   * @param {Object} user - User row with totp_enabled_at
+   * @returns {boolean}
+   */
+  isEnabled(user) {
+    return Boolean(user.totp_enabled_at);
+  }
+
+  /**
+   * Whether a user still has to turn two-factor authentication on
+   * @param {Object} user - User row with role and totp_enabled_at
+   * @returns {boolean}
+   */
+  setupRequired(user) {
+    return this.isRequiredFor(user.role) && !this.isEnabled(user);
+  }
+
+  /**
+   * Generate a new TOTP secret
+   * @returns {string} Base32 secret
+   */
+  generateSecret() {
+    return totp.generateSecret();
+  }
+
+  /**
+   * What the enrolment screen shows for a secret
+   * @param {string} username - Account name shown in the app
+   * @param {string} secret - Base32 secret
+   * @returns {Promise<{secret: string, qrCode: string}>} qrCode is an SVG document
+   */
+  async buildEnrolment(username, secret) {
+    const otpauthUrl = totp.keyuri(username, ISSUER, secret);
+    const qrCode = await QRCode.toString(otpauthUrl, { type: 'svg', margin: 1, width: 200 });
+    return { secret, qrCode };
+  }
+
+  /**
+   * Strip spaces and dashes from an entered code
+   * @param {string} code - Code as entered
+   * @returns {string}
+   */
+  normalizeCode(code) {
+    return String(code || '')
+      .replace(/[\s-]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup
+   * @param {string} code - Recovery code (with or without the dash)
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeCode(code)).digest('hex');
+  }
+
+  /**
+   * Generate new plain recovery codes
+   * @param {number} count - Number of codes
+   * @returns {Array<string>} Codes like "3f9a1-c04be"
+   */
+  generateRecoveryCodes(count = TWO_FACTOR.RECOVERY_CODES) {
+    return Array.from({ length: count }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Check a TOTP code against a secret
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Normalized code
+   * @returns {number|null} Time step the code belongs to, or null if it does not match
+   */
+  matchTotp(secret, code) {
+    if (!secret || !/^\d{6}$/.test(code)) {
+      return null;
+    }
+    const delta = totp.checkDelta(code, secret);
+    if (delta === null) {
+      return null;
+    }
+    return Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  }
+
+  /**
+   * Audit a wrong code
+   * @param {number} userId - User ID
+   * @param {string} context - Where the code was entered (login, enrol, disable, recovery_codes)
+   * @param {string} ipAddress - Client IP
+   */
+  async auditFailure(userId, context, ipAddress) {
+    logger.warn('twoFactorService: Invalid two-factor code', { userId, context });
+    await AuditLog.create({
+      actorId: userId,
+      action: 'TWO_FACTOR_FAILED',
+      targetType: 'user',
+      targetId: userId,
+      details: { context },
+      ipAddress,
+    });
+  }
+
+  /**
+   * Check a code from the authenticator app or an unused recovery code
+   * A matching TOTP code is accepted once; a matching recovery code is used up.
+   * Wrong codes are audited.
+   * @param {number} userId - User ID
+   * @param {string} code - Code as entered
+   * @param {string} ipAddress - Client IP
+   * @param {string} context - Where the code was entered (for the audit trail)
+   * @returns {Promise<string|null>} TWO_FACTOR_METHOD value, or null if the code is refused
+   */
+  async verifyCode(userId, code, ipAddress, context = 'login') {
+    const state = await User.findTwoFactor(userId);
+    if (!state || !state.totp_enabled_at) {
+      return null;
+    }
+
+    const normalized = this.normalizeCode(code);
+    let method = null;
+    if (/^\d{6}$/.test(normalized)) {
+      const step = this.matchTotp(state.totp_secret, normalized);
+      if (step !== null && (await User.recordTotpStep(userId, step))) {
+        method = TWO_FACTOR_METHOD.TOTP;
+      }
+    } else if (
+      normalized &&
+      (await RecoveryCode.consume(userId, this.hashRecoveryCode(normalized)))
+    ) {
+      method = TWO_FACTOR_METHOD.RECOVERY_CODE;
+      await AuditLog.create({
+        actorId: userId,
+        action: 'TWO_FACTOR_RECOVERY_CODE_USED',
+        targetType: 'user',
+        targetId: userId,
+        details: { context, remaining: await RecoveryCode.countUnused(userId) },
+        ipAddress,
+      });
+    }
+
+    if (!method) {
+      await this.auditFailure(userId, context, ipAddress);
+    }
+    return method;
+  }
+
+  /**
+   * Two-factor status shown on the account and user edit pages
+   * @param {Object} user - User row with id, role and totp_enabled_at
+   * @returns {Promise<{enabled: boolean, enabledAt: Date|null, required: boolean, recoveryCodesLeft: number}>}
+   */
+  async getStatus(user) {
+    const enabled = this.isEnabled(user);
+    return {
+      enabled,
+      enabledAt: user.totp_enabled_at || null,
+      required: this.isRequiredFor(user.role),
+      recoveryCodesLeft: enabled ? await RecoveryCode.countUnused(user.id) : 0,
+    };
+  }
+
+  /**
+   * Turn two-factor authentication on once the user proved their app has the secret
+   * @param {number} userId - User ID
+   * @param {string} secret - Secret shown at enrolment
+   * @param {string} code - Code from the app
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Array<string>>} The plain recovery codes (shown once)
+   * @throws {Error} 400 when two-factor authentication is already on or the code is wrong
+   */
+  async enable(userId, secret, code, ipAddress) {
+    const state = await User.findTwoFactor(userId);
+    if (!state) {
+      const error = new Error('User not found');
+      error.status = 404;
+      throw error;
+    }
+    if (state.totp_enabled_at) {
+      const error = new Error('Two-factor authentication is already on');
+      error.status = 400;
+      throw error;
+    }
+
+    const step = this.matchTotp(secret, this.normalizeCode(code));
+    if (step === null) {
+      await this.auditFailure(userId, 'enrol', ipAddress);
+      const error = new Error(INVALID_CODE);
+      error.status = 400;
+      throw error;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await RecoveryCode.replaceForUser(
+      userId,
+      recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode)),
+    );
+    await User.enableTwoFactor(userId, secret, step);
+
+    logger.info('twoFactorService.enable: Two-factor authentication enabled', { userId });
+    await AuditLog.create({
+      actorId: userId,
+      action: 'TWO_FACTOR_ENABLED',
+      targetType: 'user',
+      targetId: userId,
+      details: { recovery_codes: recoveryCodes.length },
+      ipAddress,
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn off one's own two-factor authentication (needs a valid code)
+   * @param {Object} user - Session user (id, role)
+   * @param {string} code - Code from the app or a recovery code
+   * @param {string} ipAddress - Client IP
+   * @throws {Error} 403 when the user's role requires it, 400 for a wrong code
+   */
+  async disable(user, code, ipAddress) {
+    if (this.isRequiredFor(user.role)) {
+      const error = new Error('Two-factor authentication is required for your role');
+      error.status = 403;
+      throw error;
+    }
+
+    if (!(await this.verifyCode(user.id, code, ipAddress, 'disable'))) {
+      const error = new Error(INVALID_CODE);
+      error.status = 400;
+      throw error;
+    }
+
+    await User.disableTwoFactor(user.id);
+
+    logger.info('twoFactorService.disable: Two-factor authentication disabled', {
+      userId: user.id,
+    });
+    await AuditLog.create({
+      actorId: user.id,
+      action: 'TWO_FACTOR_DISABLED',
+      targetType: 'user',
+      targetId: user.id,
+      details: {},
+      ipAddress,
+    });
+  }
+
+  /**
+   * Replace one's recovery codes (needs a valid code)
+   * @param {number} userId - User ID
+   * @param {string} code - Code from the app or a recovery code
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Array<string>>} The new plain recovery codes (shown once)
+   * @throws {Error} 400 for a wrong code
+   */
+  async regenerateRecoveryCodes(userId, code, ipAddress) {
+    if (!(await this.verifyCode(userId, code, ipAddress, 'recovery_codes'))) {
+      const error = new Error(INVALID_CODE);
+      error.status = 400;
+      throw error;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await RecoveryCode.replaceForUser(
+      userId,
+      recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode)),
+    );
+
+    await AuditLog.create({
+      actorId: userId,
+      action: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+      targetType: 'user',
+      targetId: userId,
+      details: { recovery_codes: recoveryCodes.length },
+      ipAddress,
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn off a user's two-factor authentication for them (lost device)
+   * If their role requires it, the user has to enrol again at their next sign-in.
+   * @param {number} actorId - Super admin ID
+   * @param {number} targetId - User ID
+   * @param {string} ipAddress - Super admin's IP
+   * @throws {Error} 404 for an unknown user, 400 when two-factor authentication is off
+   */
+  async resetForUser(actorId, targetId, ipAddress) {
+    const target = await User.findById(targetId);
+    if (!target) {
+      const error = new Error('User not found');
+      error.status = 404;
+      throw error;
+    }
+    if (!this.isEnabled(target)) {
+      const error = new Error('Two-factor authentication is not on for this user');
+      error.status = 400;
+      throw error;
+    }
+
+    await User.disableTwoFactor(targetId);
+
+    logger.info('twoFactorService.resetForUser: Two-factor authentication reset', {
+      actorId,
+      targetId,
+    });
+    await AuditLog.create({
+      actorId,
+      action: 'TWO_FACTOR_RESET',
+      targetType: 'user',
+      targetId,
+      details: { username: target.username },
+      ipAddress,
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
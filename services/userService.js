@@ -1,10 +1,34 @@
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const PasswordHistory = require('../models/PasswordHistory');
 const bcrypt = require('bcryptjs');
 const { validatePassword } = require('../utils/passwordValidator');
+const { LANGUAGE, AUTH_PROVIDER } = require('../constants/enums');
+const { VALIDATION_MESSAGES } = require('../constants/validation');
 const logger = require('../utils/logger');
 
+// A new password may not repeat the current one or the ones before it, up to this many
+// passwords in all (0 turns the check off)
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE || '5');
+
 class UserService {
+  /**
+   * Refuse password and email changes of directory users
+   * The directory keeps both: the password is checked there, the email is copied from it
+   * at every login (authService.syncDirectoryUser).
+   * @param {Object} user - User row with auth_provider
+   * @throws {Error} When the account belongs to another provider
+   */
+  assertLocalAccount(user) {
+    if (user.auth_provider && user.auth_provider !== AUTH_PROVIDER.LOCAL) {
+      logger.warn('userService.assertLocalAccount: Account is managed by the directory', {
+        userId: user.id,
+        authProvider: user.auth_provider,
+      });
+      throw new Error(VALIDATION_MESSAGES.MANAGED_BY_DIRECTORY);
+    }
+  }
+
   async getUserById(id) {
     return User.findById(id);
   }
@@ -87,16 +111,25 @@ class UserService {
     }
   }
 
-  // FIX: Update the broken changePassword method
-  async changePassword(userId, currentPassword, newPassword) {
+  /**
+   * Change the current user's own password (/account)
+   * @param {number} userId - User ID
+   * @param {string} currentPassword - Password the user signed in with
+   * @param {string} newPassword - New password
+   * @param {string} ipAddress - User's IP
+   * @returns {Promise<boolean>}
+   */
+  async changePassword(userId, currentPassword, newPassword, ipAddress = null) {
     const startTime = Date.now();
     try {
       logger.info('userService.changePassword: Password change initiated', { userId });
-      const user = await User.findByUsername((await User.findById(userId)).username);
+      const found = await User.findById(userId);
+      const user = found && (await User.findByUsernameWithPassword(found.username));
       if (!user) {
         logger.warn('userService.changePassword: User not found', { userId });
         throw new Error('User not found');
       }
+      this.assertLocalAccount(user);
 
       const isValid = await bcrypt.compare(currentPassword, user.password_hash);
       if (!isValid) {
@@ -117,7 +150,27 @@ class UserService {
         throw new Error(validation.errors.join(', '));
       }
 
+      if (await this.isRecentPassword(user, newPassword)) {
+        logger.warn('userService.changePassword: New password was used recently', { userId });
+        throw new Error(
+          `The new password must differ from your last ${PASSWORD_HISTORY_SIZE} passwords`,
+        );
+      }
+
       await User.updatePassword(userId, newPassword);
+      if (PASSWORD_HISTORY_SIZE > 0) {
+        await PasswordHistory.prune(userId, PASSWORD_HISTORY_SIZE - 1);
+      }
+
+      await AuditLog.create({
+        actorId: userId,
+        action: 'PASSWORD_CHANGED',
+        targetType: 'user',
+        targetId: userId,
+        details: {},
+        ipAddress,
+      });
+
       const duration = Date.now() - startTime;
       logger.info('userService.changePassword: Password changed successfully', {
         userId,
@@ -137,6 +190,121 @@ class UserService {
     }
   }
 
+  /**
+   * Whether a password matches the user's current one or one of the previous ones
+   * @param {Object} user - User row with password_hash
+   * @param {string} password - Candidate password
+   * @returns {Promise<boolean>}
+   */
+  async isRecentPassword(user, password) {
+    if (PASSWORD_HISTORY_SIZE <= 0) {
+      return false;
+    }
+
+    const previous =
+      PASSWORD_HISTORY_SIZE > 1
+        ? await PasswordHistory.findRecentHashes(user.id, PASSWORD_HISTORY_SIZE - 1)
+        : [];
+    for (const hash of [user.password_hash, ...previous]) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Change the current user's own email address (/account)
+   * @param {number} userId - User ID
+   * @param {string} email - New email address (validated and normalized)
+   * @param {string} ipAddress - User's IP
+   * @returns {Promise<Object>} Updated user
+   */
+  async changeEmail(userId, email, ipAddress = null) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      this.assertLocalAccount(user);
+
+      const owner = await User.findByEmail(email);
+      if (owner && owner.id !== user.id) {
+        throw new Error(VALIDATION_MESSAGES.EMAIL_IN_USE);
+      }
+
+      const updatedUser = await User.update(userId, { email });
+
+      await AuditLog.create({
+        actorId: userId,
+        action: 'EMAIL_CHANGED',
+        targetType: 'user',
+        targetId: userId,
+        details: { from: user.email, to: email },
+        ipAddress,
+      });
+
+      logger.info('userService.changeEmail: Email changed', { userId });
+      return updatedUser;
+    } catch (error) {
+      logger.error('userService.changeEmail: Failed to change email', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the language a user picked; it is restored into the session at login
+   * @param {number} userId - User ID
+   * @param {string} language - LANGUAGE value
+   * @returns {Promise<Object|undefined>} Updated user (id, username, language)
+   */
+  async setLanguage(userId, language) {
+    if (!Object.values(LANGUAGE).includes(language)) {
+      throw new Error('Invalid language');
+    }
+    return User.updateLanguage(userId, language);
+  }
+
+  /**
+   * The user's signed-in sessions, with the one making the request marked
+   * @param {number} userId - User ID
+   * @param {string} currentSid - req.sessionID
+   * @returns {Promise<Array>} Sessions with sid, expire, login_info, current
+   */
+  async getSessions(userId, currentSid) {
+    const sessions = await User.findSessions(userId);
+    return sessions.map((session) => ({ ...session, current: session.sid === currentSid }));
+  }
+
+  /**
+   * Sign the user out of every session, including the current one
+   * @param {number} userId - User ID
+   * @param {string} ipAddress - User's IP
+   * @returns {Promise<number>} Number of sessions removed from the store
+   */
+  async signOutEverywhere(userId, ipAddress = null) {
+    const sessionsCleared = await User.clearUserSessions(userId);
+
+    await AuditLog.create({
+      actorId: userId,
+      action: 'USER_SESSIONS_REVOKED',
+      targetType: 'user',
+      targetId: userId,
+      details: { sessionsCleared },
+      ipAddress,
+    });
+
+    logger.info('userService.signOutEverywhere: User signed out everywhere', {
+      userId,
+      sessionsCleared,
+    });
+    return sessionsCleared;
+  }
+
   // NEW: Update user (with business logic validation)
   async updateUser(actorId, targetId, updates, ipAddress) {
     const startTime = Date.now();
@@ -353,6 +521,7 @@ class UserService {
         logger.warn('userService.resetUserPassword: Target user not found', { actorId, targetId });
         throw new Error('User not found');
       }
+      this.assertLocalAccount(target);
 
       // Validate new password
       const validation = validatePassword(newPassword);
@@ -365,7 +534,8 @@ class UserService {
         throw new Error(validation.errors.join(', '));
       }
 
-      await User.updatePassword(targetId, newPassword);
+      // The user has to replace the password the admin chose at their next request
+      await User.updatePassword(targetId, newPassword, null, { mustChange: true });
 
       // Audit log
       await AuditLog.create({
@@ -399,6 +569,48 @@ class UserService {
     }
   }
 
+  // Lift a login lock (super admin function)
+  async unlockUser(actorId, targetId, ipAddress) {
+    try {
+      const target = await User.findById(targetId);
+      if (!target) {
+        logger.warn('userService.unlockUser: Target user not found', { actorId, targetId });
+        throw new Error('User not found');
+      }
+
+      if (!target.locked_until && target.login_attempts === 0) {
+        throw new Error('Account is not locked');
+      }
+
+      await User.unlock(targetId);
+
+      await AuditLog.create({
+        actorId,
+        action: 'USER_UNLOCKED',
+        targetType: 'user',
+        targetId,
+        details: { login_attempts: target.login_attempts, locked_until: target.locked_until },
+        ipAddress,
+      });
+
+      logger.info('userService.unlockUser: Account unlocked', {
+        actorId,
+        targetId,
+        targetUsername: target.username,
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('userService.unlockUser: Failed to unlock account', {
+        actorId,
+        targetId,
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
   // NEW: Toggle user status
   async toggleUserStatus(actorId, targetId, newStatus, ipAddress) {
     return this.updateUser(actorId, targetId, { status: newStatus }, ipAddress);
@@ -2,7 +2,7 @@
  * Authentication End-to-End Tests
  *
  * Tests complete authentication workflows from start to finish:
- * - Account locking workflow (5 failed attempts -> locked -> unlock -> success)
+ * - Account locking workflow (5 failed attempts -> locked for a while -> unlock -> success)
  * - Session management workflow (login -> persist -> logout -> invalidate)
  * - Multi-user authentication scenarios
  * - Password reset and security features
@@ -12,6 +12,7 @@
 
 const request = require('supertest');
 const app = require('../../app');
+const pool = require('../../config/database');
 const { setupIntegrationTest, teardownIntegrationTest } = require('../helpers/database');
 const { createUserData } = require('../helpers/factories');
 const { fetchCsrfToken, authenticateUser } = require('../helpers/csrf');
@@ -54,9 +55,10 @@ describe('Authentication E2E Tests', () => {
         expect(userCheck.login_attempts).toBe(i);
       }
 
-      // Step 3: Verify account is locked after 5 attempts
+      // Step 3: Verify account is locked for a while after 5 attempts
       const lockedUser = await User.findByUsernameWithPassword(userData.username);
       expect(lockedUser.login_attempts).toBe(5);
+      expect(new Date(lockedUser.locked_until).getTime()).toBeGreaterThan(Date.now());
 
       // Step 4: Attempt login with CORRECT password (should fail - account locked)
       const { csrfToken: csrfToken2, cookies: cookies2 } = await fetchCsrfToken(app);
@@ -72,8 +74,8 @@ describe('Authentication E2E Tests', () => {
       expect(lockedLoginResponse.status).toBe(302);
       expect(lockedLoginResponse.headers.location).toBe('/auth/login');
 
-      // Step 5: Super admin unlocks account (reset login_attempts)
-      await User.update(user.id, { login_attempts: 0 });
+      // Step 5: Super admin unlocks account (clears login_attempts and locked_until)
+      await User.unlock(user.id);
 
       // Step 6: Verify successful login works after unlock
       const { csrfToken: csrfToken3, cookies: cookies3 } = await fetchCsrfToken(app);
@@ -129,7 +131,12 @@ describe('Authentication E2E Tests', () => {
       const user = await User.create(userData);
 
       // Lock account
-      await User.update(user.id, { login_attempts: 5 });
+      await pool.query(
+        `UPDATE users
+         SET login_attempts = 5, locked_until = CURRENT_TIMESTAMP + INTERVAL '15 minutes'
+         WHERE id = $1`,
+        [user.id],
+      );
 
       // Act - Try to login with correct password
       const { csrfToken, cookies } = await fetchCsrfToken(app);
@@ -157,6 +164,35 @@ describe('Authentication E2E Tests', () => {
       }
     });
 
+    it('should allow login with the correct password once the lock has expired', async () => {
+      // Arrange - Lock that ended a minute ago
+      const userData = createUserData({ role: 'admin', status: 'active' });
+      const user = await User.create(userData);
+      await pool.query(
+        `UPDATE users
+         SET login_attempts = 5, locked_until = CURRENT_TIMESTAMP - INTERVAL '1 minute'
+         WHERE id = $1`,
+        [user.id],
+      );
+
+      // Act
+      const { csrfToken, cookies } = await fetchCsrfToken(app);
+      const response = await request(app)
+        .post('/auth/login')
+        .set('Cookie', cookies)
+        .send({
+          username: userData.username,
+          password: userData.password,
+          _csrf: csrfToken,
+        });
+
+      // Assert
+      expect(response.headers.location).toBe('/admin/dashboard');
+      const userAfter = await User.findByUsernameWithPassword(userData.username);
+      expect(userAfter.login_attempts).toBe(0);
+      expect(userAfter.locked_until).toBeNull();
+    });
+
     it('should reset login_attempts to 0 on successful login', async () => {
       // Arrange
       const userData = createUserData({ role: 'admin', status: 'active' });
@@ -103,7 +103,7 @@ describe('Ticket Lifecycle E2E Tests', () => {
       // Verify audit log entry created
       const auditLogs1 = await AuditLog.findByTarget('ticket', ticket.id);
       const statusUpdateLog = auditLogs1.find(
-        (log) => log.action === 'TICKET_UPDATED' && log.details.status === 'in_progress',
+        (log) => log.action === 'TICKET_UPDATED' && log.details.new.status === 'in_progress',
       );
       expect(statusUpdateLog).toBeDefined();
 
@@ -230,7 +230,7 @@ describe('Ticket Lifecycle E2E Tests', () => {
       // Assert - Verify all transitions logged
       const auditLogs = await AuditLog.findByTarget('ticket', ticket.id);
       const statusUpdateLogs = auditLogs.filter(
-        (log) => log.action === 'TICKET_UPDATED' && log.details.status,
+        (log) => log.action === 'TICKET_UPDATED' && log.details.new.status,
       );
 
       expect(statusUpdateLogs.length).toBeGreaterThanOrEqual(statuses.length);
@@ -355,7 +355,7 @@ describe('Ticket Lifecycle E2E Tests', () => {
       // Step 6: Verify audit trail shows all escalations
       const auditLogs = await AuditLog.findByTarget('ticket', ticket.id);
       const priorityLogs = auditLogs.filter(
-        (log) => log.action === 'TICKET_UPDATED' && log.details.priority,
+        (log) => log.action === 'TICKET_UPDATED' && log.details.new.priority,
       );
 
       expect(priorityLogs.length).toBeGreaterThanOrEqual(3);
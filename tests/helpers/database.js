@@ -134,13 +134,23 @@ async function cleanTable(tableName) {
  * Order optimized for CASCADE and SET NULL FK behaviors
  *
  * Order explanation:
- * 1. comments - child of tickets and users (CASCADE on delete)
- * 2. tickets - child of users and departments (SET NULL for assigned_to, reporter_id)
- * 3. audit_logs - child of users (SET NULL for actor_id after migration 021)
- * 4. session - independent table (no FK dependencies)
- * 5. users - parent of many tables, child of departments
- * 6. departments - parent of tickets and users, child of floors
- * 7. floors - parent of departments
+ * 1. notifications - child of users and tickets (CASCADE on delete)
+ * 2. error_reports - child of users and tickets (SET NULL on delete)
+ * 3. attachments - child of tickets and comments (CASCADE on delete)
+ * 4. comments - child of tickets and users (CASCADE on delete)
+ * 5. ticket_status_history - child of tickets (CASCADE on delete)
+ * 6. tickets - child of users and departments (SET NULL for assigned_to, reporter_id)
+ * 7. audit_logs - child of users (SET NULL for actor_id after migration 021)
+ * 8. session - independent table (no FK dependencies)
+ * 9. api_tokens - child of users (CASCADE on delete)
+ * 10. notification_preferences - child of users (CASCADE on delete)
+ * 11. job_runs - child of scheduled_jobs and users (SET NULL for triggered_by)
+ * 12. scheduled_jobs - parent of job_runs
+ * 13. password_history - child of users (CASCADE on delete)
+ * 14. two_factor_recovery_codes - child of users (CASCADE on delete)
+ * 15. users - parent of many tables, child of departments
+ * 16. departments - parent of tickets and users, child of floors
+ * 17. floors - parent of departments
  *
  * Note: departments and floors deleted to ensure clean state between integration tests
  * Uses TRUNCATE with CASCADE and RESTART IDENTITY for complete cleanup
@@ -148,10 +158,20 @@ async function cleanTable(tableName) {
 async function cleanAllTables() {
   // Delete in reverse dependency order to respect FK constraints
   // Must delete children before parents to avoid FK violations
+  await pool.query('DELETE FROM notifications');
+  await pool.query('DELETE FROM error_reports');
+  await pool.query('DELETE FROM attachments');
   await pool.query('DELETE FROM comments');
+  await pool.query('DELETE FROM ticket_status_history');
   await pool.query('DELETE FROM tickets');
   await pool.query('DELETE FROM audit_logs');
   await pool.query('DELETE FROM session');
+  await pool.query('DELETE FROM api_tokens');
+  await pool.query('DELETE FROM notification_preferences');
+  await pool.query('DELETE FROM job_runs');
+  await pool.query('DELETE FROM scheduled_jobs');
+  await pool.query('DELETE FROM password_history');
+  await pool.query('DELETE FROM two_factor_recovery_codes');
   await pool.query('DELETE FROM users');
   await pool.query('DELETE FROM departments');
   await pool.query('DELETE FROM floors');
@@ -0,0 +1,153 @@
+/**
+ * LDAP Test Helpers
+ *
+ * In-process LDAP server (ldapjs) standing in for Active Directory, so the LDAP
+ * provider can be tested without a real directory:
+ * - A service account (SERVICE_DN) that may search under ou=people
+ * - Users in DIRECTORY, with sAMAccountName, mail and memberOf groups
+ * - createLdapProvider() builds a provider configured for the server
+ */
+
+const ldap = require('ldapjs');
+const LdapProvider = require('../../services/auth/ldapProvider');
+
+const SERVICE_DN = 'cn=service,dc=hospital,dc=local';
+const SERVICE_PASSWORD = 'Service#Pass123';
+const GROUPS = {
+  superAdmins: 'CN=KNII Super Admins,OU=Groups,DC=hospital,DC=local',
+  admins: 'CN=KNII Admins,OU=Groups,DC=hospital,DC=local',
+  departments: 'CN=KNII Departments,OU=Groups,DC=hospital,DC=local',
+  cardiology: 'CN=KNII Cardiology,OU=Groups,DC=hospital,DC=local',
+};
+
+// Directory entries with their passwords
+const DIRECTORY = [
+  {
+    dn: 'cn=Jane Doe,ou=people,dc=hospital,dc=local',
+    password: 'Jane#Pass123',
+    attributes: {
+      sAMAccountName: 'jdoe',
+      mail: 'jdoe@hospital.local',
+      memberOf: [GROUPS.departments, GROUPS.cardiology],
+    },
+  },
+  {
+    dn: 'cn=Alex Admin,ou=people,dc=hospital,dc=local',
+    password: 'Alex#Pass123',
+    attributes: {
+      sAMAccountName: 'aadmin',
+      mail: 'aadmin@hospital.local',
+      // Groups as Active Directory may write them (other spacing and case)
+      memberOf: ['cn=knii admins, ou=groups, dc=hospital, dc=local', GROUPS.superAdmins],
+    },
+  },
+  {
+    dn: 'cn=Sam Nogroup,ou=people,dc=hospital,dc=local',
+    password: 'Sam#Pass123',
+    attributes: { sAMAccountName: 'snogroup', mail: 'snogroup@hospital.local', memberOf: [] },
+  },
+  {
+    dn: 'cn=Pat Nodept,ou=people,dc=hospital,dc=local',
+    password: 'Pat#Pass123',
+    attributes: {
+      sAMAccountName: 'pnodept',
+      mail: 'pnodept@hospital.local',
+      memberOf: [GROUPS.departments],
+    },
+  },
+];
+
+/**
+ * Attributes of an entry that a search asked for
+ * Attribute names are case-insensitive in LDAP; the ldapjs server only honours that for
+ * requests in lower case, so entries are built here and sent as they are.
+ * @param {Object} attributes - Entry attributes
+ * @param {string[]} requested - Attribute names in the search request
+ * @returns {Object}
+ */
+function requestedAttributes(attributes, requested) {
+  if (requested.length === 0) {
+    return attributes;
+  }
+  return Object.fromEntries(
+    Object.entries(attributes).filter(([name]) =>
+      requested.some((wanted) => wanted.toLowerCase() === name.toLowerCase()),
+    ),
+  );
+}
+
+/**
+ * Start an LDAP server holding the directory above
+ * @returns {Promise<Object>} The listening ldapjs server
+ */
+function startLdapServer() {
+  const server = ldap.createServer();
+  const passwords = new Map([[SERVICE_DN, SERVICE_PASSWORD]]);
+  DIRECTORY.forEach((entry) => passwords.set(entry.dn.toLowerCase(), entry.password));
+
+  server.bind('dc=hospital,dc=local', (req, res, next) => {
+    const dn = req.dn
+      .toString()
+      .replace(/\s*,\s*/g, ',')
+      .toLowerCase();
+    if (!passwords.has(dn) || passwords.get(dn) !== req.credentials) {
+      return next(new ldap.InvalidCredentialsError());
+    }
+    res.end();
+    return next();
+  });
+
+  server.search('dc=hospital,dc=local', (req, res, next) => {
+    DIRECTORY.filter((entry) => req.filter.matches(entry.attributes, false)).forEach((entry) => {
+      const attributes = requestedAttributes(entry.attributes, req.attributes);
+      res.send(
+        res.createSearchEntry({
+          objectName: entry.dn,
+          attributes: ldap.Attribute.fromObject(attributes),
+        }),
+      );
+    });
+    res.end();
+    return next();
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * LDAP provider pointing at the test server
+ * @param {string} url - Server URL
+ * @param {Object} overrides - Options to change
+ * @returns {LdapProvider}
+ */
+function createLdapProvider(url, overrides = {}) {
+  return new LdapProvider({
+    url,
+    bindDN: SERVICE_DN,
+    bindPassword: SERVICE_PASSWORD,
+    searchBase: 'ou=people,dc=hospital,dc=local',
+    userFilter: '(sAMAccountName={{username}})',
+    usernameAttribute: 'sAMAccountName',
+    emailAttribute: 'mail',
+    roleGroups: {
+      super_admin: GROUPS.superAdmins,
+      admin: GROUPS.admins,
+      department: GROUPS.departments,
+    },
+    departmentGroups: [{ department: 'Cardiology', group: GROUPS.cardiology }],
+    timeoutMs: 2000,
+    tlsOptions: {},
+    ...overrides,
+  });
+}
+
+module.exports = {
+  SERVICE_DN,
+  SERVICE_PASSWORD,
+  GROUPS,
+  DIRECTORY,
+  startLdapServer,
+  createLdapProvider,
+};
@@ -34,7 +34,7 @@ describe('Data Migration Correctness', () => {
     it('should allow NULL reporter_id for admin-created tickets', async () => {
       // Act
       const result = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING reporter_id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING reporter_id',
         ['Test', 'Description', 'open', 'unset', 'Reporter', 'Internal', null],
       );
 
@@ -50,7 +50,7 @@ describe('Data Migration Correctness', () => {
 
       // Act
       const result = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING reporter_id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING reporter_id',
         ['Test', 'Description', 'open', 'unset', 'Reporter', 'Internal', userId],
       );
 
@@ -75,7 +75,7 @@ describe('Data Migration Correctness', () => {
     it('should default is_admin_created to false for user-created tickets', async () => {
       // Act
       const result = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING is_admin_created',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING is_admin_created',
         ['Test', 'Description', 'open', 'unset', 'Reporter', 'Internal'],
       );
 
@@ -86,7 +86,7 @@ describe('Data Migration Correctness', () => {
     it('should allow setting is_admin_created to true for admin tickets', async () => {
       // Act
       const result = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, is_admin_created) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING is_admin_created',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, is_admin_created, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING is_admin_created',
         ['Test', 'Description', 'open', 'unset', 'Reporter', 'Internal', true],
       );
 
@@ -102,13 +102,13 @@ describe('Data Migration Correctness', () => {
 
       // Create a user-created ticket
       await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id, is_admin_created) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id, is_admin_created, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, (SELECT id FROM departments WHERE name = $6::varchar))',
         ['User Ticket', 'Description', 'open', 'unset', 'Reporter', 'Internal', userId, false],
       );
 
       // Create an admin-created ticket
       await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, is_admin_created) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, is_admin_created, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $6::varchar))',
         ['Admin Ticket', 'Description', 'open', 'unset', 'Admin', 'Internal', true],
       );
 
@@ -241,7 +241,7 @@ describe('Data Migration Correctness', () => {
 
       // Act - Insert same ticket twice should fail on second attempt due to constraints
       const firstInsert = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Unique Test', 'Description', 'open', 'unset', 'Reporter', 'Internal', userId],
       );
       const ticketId = firstInsert.rows[0].id;
@@ -257,12 +257,12 @@ describe('Data Migration Correctness', () => {
     it('should handle NULL reporter_id safely', async () => {
       // Arrange & Act - Insert multiple tickets with NULL reporter_id
       const ticket1 = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Null Reporter 1', 'Description', 'open', 'unset', 'Reporter', 'Internal'],
       );
 
       const ticket2 = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Null Reporter 2', 'Description', 'open', 'unset', 'Reporter', 'Internal'],
       );
 
@@ -287,7 +287,7 @@ describe('Data Migration Correctness', () => {
       const userId = user.id;
 
       const ticket = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id, is_admin_created) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_id, is_admin_created, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Consistency Test', 'Description', 'open', 'unset', 'Reporter', 'Internal', userId, false],
       );
       const ticketId = ticket.rows[0].id;
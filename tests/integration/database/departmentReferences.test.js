@@ -0,0 +1,81 @@
+/**
+ * Integration Tests: Department References Written by the Models
+ *
+ * The models store a department both by name and by id, binding the name once for the
+ * varchar column and once for the departments lookup. Runs those statements against
+ * PostgreSQL, which rejects a parameter whose deduced types differ (42P08):
+ * - User.create, User.update and User.updateDepartment
+ * - Ticket.create
+ *
+ * Uses pool-based setup (no transactions) since User.updateDepartment has no client
+ * parameter and cannot see uncommitted transactional data.
+ */
+
+const pool = require('../../../config/database');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+
+/**
+ * ID of a department by name
+ * @param {string} name - Department name
+ * @returns {Promise<number>}
+ */
+async function departmentId(name) {
+  const result = await pool.query('SELECT id FROM departments WHERE name = $1', [name]);
+  return result.rows[0].id;
+}
+
+describe('Department References Written by the Models', () => {
+  beforeEach(setupIntegrationTest);
+  afterEach(teardownIntegrationTest);
+
+  it('should store the department id when creating a department user', async () => {
+    // Act
+    const user = await User.create(
+      createUserData({ role: 'department', department: 'Cardiology' }),
+    );
+
+    // Assert
+    expect(user.department).toBe('Cardiology');
+    expect(user.department_id).toBe(await departmentId('Cardiology'));
+  });
+
+  it('should move the department id with the name on update', async () => {
+    // Arrange
+    const user = await User.create(
+      createUserData({ role: 'department', department: 'Cardiology' }),
+    );
+
+    // Act
+    const updated = await User.update(user.id, { department: 'Radiology' });
+
+    // Assert
+    expect(updated.department).toBe('Radiology');
+    expect(updated.department_id).toBe(await departmentId('Radiology'));
+  });
+
+  it('should move the department id with the name on a department change', async () => {
+    // Arrange
+    const user = await User.create(
+      createUserData({ role: 'department', department: 'Cardiology' }),
+    );
+
+    // Act
+    const updated = await User.updateDepartment(user.id, 'Pharmacy');
+
+    // Assert
+    expect(updated.department).toBe('Pharmacy');
+    expect(updated.department_id).toBe(await departmentId('Pharmacy'));
+  });
+
+  it('should store the reporter department id when creating a ticket', async () => {
+    // Act
+    const ticket = await Ticket.create(createTicketData({ reporter_department: 'Laboratory' }));
+
+    // Assert
+    expect(ticket.reporter_department).toBe('Laboratory');
+    expect(ticket.reporter_department_id).toBe(await departmentId('Laboratory'));
+  });
+});
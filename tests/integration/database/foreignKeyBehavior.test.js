@@ -26,7 +26,7 @@ describe('Foreign Key Behavior', () => {
       const userId = user.id;
 
       const ticketResult = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_id, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_id, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $7::varchar)) RETURNING id',
         ['Test', 'Description', 'open', 'unset', userId, 'Reporter', 'Internal'],
       );
       const ticketId = ticketResult.rows[0].id;
@@ -48,7 +48,7 @@ describe('Foreign Key Behavior', () => {
       const adminId = admin.id;
 
       const ticketResult = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, assigned_to, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, assigned_to, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $7::varchar)) RETURNING id',
         ['Test', 'Description', 'open', 'unset', adminId, 'Reporter', 'Internal'],
       );
       const ticketId = ticketResult.rows[0].id;
@@ -68,7 +68,7 @@ describe('Foreign Key Behavior', () => {
     it('should delete comments when ticket is deleted', async () => {
       // Arrange
       const ticketResult = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Test', 'Description', 'open', 'unset', 'Reporter', 'Internal'],
       );
       const ticketId = ticketResult.rows[0].id;
@@ -98,7 +98,7 @@ describe('Foreign Key Behavior', () => {
     it('should delete comments when user is deleted', async () => {
       // Arrange
       const ticketResult = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Test', 'Description', 'open', 'unset', 'Reporter', 'Internal'],
       );
       const ticketId = ticketResult.rows[0].id;
@@ -135,7 +135,7 @@ describe('Foreign Key Behavior', () => {
 
       const deptName = 'Test Dept';
       await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6)',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar))',
         ['Test', 'Description', 'open', 'unset', 'Reporter', deptName],
       );
 
@@ -190,10 +190,10 @@ describe('Foreign Key Behavior', () => {
 
       // Assert
       const updatedUser = await getTestClient().query(
-        'SELECT department FROM users WHERE id = $1',
+        'SELECT department, department_id FROM users WHERE id = $1',
         [userId],
       );
-      expect(updatedUser.rows[0].department).toBe(newName);
+      expect(updatedUser.rows[0]).toEqual({ department: newName, department_id: deptId });
     });
 
     it('should update ticket reporter_department on department name change', async () => {
@@ -208,7 +208,7 @@ describe('Foreign Key Behavior', () => {
       const deptId = deptResult.rows[0].id;
 
       const ticketResult = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Test', 'Description', 'open', 'unset', 'Reporter', originalName],
       );
       const ticketId = ticketResult.rows[0].id;
@@ -221,10 +221,13 @@ describe('Foreign Key Behavior', () => {
 
       // Assert
       const updatedTicket = await getTestClient().query(
-        'SELECT reporter_department FROM tickets WHERE id = $1',
+        'SELECT reporter_department, reporter_department_id FROM tickets WHERE id = $1',
         [ticketId],
       );
-      expect(updatedTicket.rows[0].reporter_department).toBe(newName);
+      expect(updatedTicket.rows[0]).toEqual({
+        reporter_department: newName,
+        reporter_department_id: deptId,
+      });
     });
   });
 
@@ -233,7 +236,7 @@ describe('Foreign Key Behavior', () => {
       // Act & Assert - Try to insert ticket with non-existent user
       await expect(
         getTestClient().query(
-          'INSERT INTO tickets (title, description, status, priority, reporter_id, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+          'INSERT INTO tickets (title, description, status, priority, reporter_id, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $7::varchar))',
           ['Test', 'Description', 'open', 'unset', 99999, 'Reporter', 'Internal'],
         ),
       ).rejects.toThrow();
@@ -243,7 +246,7 @@ describe('Foreign Key Behavior', () => {
       // Act & Assert - Try to insert ticket assigned to non-existent user
       await expect(
         getTestClient().query(
-          'INSERT INTO tickets (title, description, status, priority, assigned_to, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+          'INSERT INTO tickets (title, description, status, priority, assigned_to, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7, (SELECT id FROM departments WHERE name = $7::varchar))',
           ['Test', 'Description', 'open', 'unset', 99999, 'Reporter', 'Internal'],
         ),
       ).rejects.toThrow();
@@ -267,7 +270,7 @@ describe('Foreign Key Behavior', () => {
     it('should enforce user_id FK constraint in comments', async () => {
       // Arrange
       const ticketResult = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Test', 'Description', 'open', 'unset', 'Reporter', 'Internal'],
       );
       const ticketId = ticketResult.rows[0].id;
@@ -286,7 +289,7 @@ describe('Foreign Key Behavior', () => {
       const userData = createUserData({ role: 'department', department: 'NonexistentDept' });
       await expect(
         getTestClient().query(
-          'INSERT INTO users (username, email, password_hash, role, department, status) VALUES ($1, $2, $3, $4, $5, $6)',
+          'INSERT INTO users (username, email, password_hash, role, department, status, department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $5::varchar))',
           [
             userData.username,
             userData.email,
@@ -303,11 +306,49 @@ describe('Foreign Key Behavior', () => {
       // Act & Assert - Try to insert ticket with non-existent department
       await expect(
         getTestClient().query(
-          'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6)',
+          'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar))',
           ['Test', 'Description', 'open', 'unset', 'Reporter', 'NonexistentDept'],
         ),
       ).rejects.toThrow();
     });
+
+    it('should reject a department name that does not belong to the department id', async () => {
+      // Arrange
+      const radiology = await getTestClient().query(
+        "SELECT id FROM departments WHERE name = 'Radiology'",
+      );
+
+      // Act & Assert - The (id, name) pair must match one department
+      await expect(
+        getTestClient().query(
+          'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+          ['Test', 'Description', 'open', 'unset', 'Reporter', 'Cardiology', radiology.rows[0].id],
+        ),
+      ).rejects.toThrow();
+    });
+
+    it('should reject a user with a department id but no department name', async () => {
+      // Arrange
+      const userData = createUserData({ role: 'department' });
+      const cardiology = await getTestClient().query(
+        "SELECT id FROM departments WHERE name = 'Cardiology'",
+      );
+
+      // Act & Assert - MATCH FULL: both department columns or neither
+      await expect(
+        getTestClient().query(
+          'INSERT INTO users (username, email, password_hash, role, department_id, status) VALUES ($1, $2, $3, $4, $5, $6)',
+          [
+            userData.username,
+            userData.email,
+            userData.password_hash,
+            userData.role,
+            cardiology.rows[0].id,
+            userData.status,
+          ],
+        ),
+      ).rejects.toThrow();
+    });
   });
 
   describe('Foreign Key Constraint Names', () => {
@@ -1,8 +1,8 @@
 /**
  * Integration Tests: Migration Runner
  *
- * Verifies that scripts/init-db.js executes all 20 migrations correctly
- * and produces the expected final schema state.
+ * Verifies that the migrations applied by scripts/init-db.js (the migration runner)
+ * produce the expected final schema state.
  */
 
 const pool = require('../../../config/database');
@@ -141,7 +141,7 @@ describe('Migration Runner (init-db.js)', () => {
     it('should have unset as default priority', async () => {
       // Arrange
       await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5)',
+        'INSERT INTO tickets (title, description, status, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, (SELECT id FROM departments WHERE name = $5::varchar))',
         ['Test', 'Description', 'open', 'Reporter', 'Internal'],
       );
 
@@ -226,7 +226,7 @@ describe('Migration Runner (init-db.js)', () => {
     it('should allow Internal department in tickets (enforced by FK in migration 016)', async () => {
       // Act & Assert - Can create ticket with Internal department (Internal dept created by seed data)
       const ticketResult = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Internal Ticket', 'Admin only', 'open', 'unset', 'Admin', 'Internal'],
       );
 
@@ -394,7 +394,7 @@ describe('Migration Runner (init-db.js)', () => {
 
       // Ticket
       const ticket = await getTestClient().query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Title', 'Desc', 'open', 'unset', 'Reporter', 'Test Dept'],
       );
       expect(ticket.rows[0].id).toBeDefined();
@@ -0,0 +1,65 @@
+/**
+ * Integration Tests: Migration Tracking
+ *
+ * Verifies the migration runner against the test database, which CI creates with
+ * the runner (scripts/init-db.js):
+ * - Every migration file is recorded in schema_migrations with its checksum
+ * - Running again applies nothing, also when two runners start at once
+ * - A migration with a down script can be rolled back and applied again
+ *
+ * Uses the pool directly (no transactions): the runner works on its own connection.
+ */
+
+const pool = require('../../../config/database');
+const migrationService = require('../../../services/migrationService');
+
+describe('Migration Tracking (schema_migrations)', () => {
+  it('should record every migration file with a matching checksum', async () => {
+    // Arrange
+    const migrations = await migrationService.discover();
+
+    // Act
+    const status = await migrationService.getStatus();
+
+    // Assert
+    expect(status.map((row) => row.name)).toEqual(migrations.map((migration) => migration.name));
+    expect(status.every((row) => row.state === 'applied')).toBe(true);
+  });
+
+  it('should apply nothing when two runners start at the same time', async () => {
+    // Act
+    const [first, second] = await Promise.all([migrationService.up(), migrationService.up()]);
+
+    // Assert
+    expect(first).toEqual([]);
+    expect(second).toEqual([]);
+  });
+
+  it('should roll back the latest migration and apply it again', async () => {
+    // Arrange - new migrations ship with a down script, so the latest has one
+    const latest = (await migrationService.discover()).at(-1);
+
+    // Act
+    const rolledBack = await migrationService.down();
+    const statusAfterDown = await migrationService.getStatus();
+    const reapplied = await migrationService.up();
+
+    // Assert
+    expect(rolledBack).toEqual([{ version: latest.version, name: latest.name }]);
+    expect(statusAfterDown.at(-1).state).toBe('pending');
+    expect(reapplied.map((migration) => migration.name)).toEqual([latest.name]);
+    const recorded = await pool.query(
+      'SELECT checksum, baselined FROM schema_migrations WHERE version = $1',
+      [latest.version],
+    );
+    expect(recorded.rows).toEqual([{ checksum: latest.checksum, baselined: false }]);
+  });
+
+  it('should refuse to roll back a migration without a down script', async () => {
+    // Act & Assert - the oldest migrations have no down script: nothing is rolled back
+    const migrations = await migrationService.discover();
+    await expect(migrationService.down(migrations.length)).rejects.toThrow('has no down script');
+    const status = await migrationService.getStatus();
+    expect(status.every((row) => row.state === 'applied')).toBe(true);
+  });
+});
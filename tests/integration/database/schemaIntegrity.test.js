@@ -64,11 +64,19 @@ describe('Database Schema Integrity', () => {
         'password_hash',
         'role',
         'department',
+        'department_id',
         'status',
         'login_attempts',
         'last_login_at',
         'password_changed_at',
         'deleted_at',
+        'locked_until',
+        'language',
+        'must_change_password',
+        'totp_secret',
+        'totp_enabled_at',
+        'totp_last_step',
+        'auth_provider',
         'created_at',
         'updated_at',
       ];
@@ -153,10 +161,13 @@ describe('Database Schema Integrity', () => {
         'priority',
         'reporter_name',
         'reporter_department',
+        'reporter_department_id',
         'reporter_phone',
         'reporter_id',
         'assigned_to',
         'is_admin_created',
+        'first_response_at',
+        'resolved_at',
         'created_at',
         'updated_at',
       ];
@@ -423,6 +434,8 @@ describe('Database Schema Integrity', () => {
         'details',
         'ip_address',
         'created_at',
+        'prev_hash',
+        'hash',
       ];
 
       // Act
@@ -0,0 +1,292 @@
+/**
+ * Account Integration Tests
+ *
+ * Tests the /account self-service page with real database:
+ * - Password change with current-password check and password history
+ * - Forced password change after an admin reset or for seeded accounts
+ * - Email change (unique across users)
+ * - Preferred language stored with the user and restored at login
+ * - Sign out everywhere
+ *
+ * The session list reads the PostgreSQL session table, which the memory session store
+ * used in tests does not write, so it is covered by the model and service unit tests.
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+
+describe('Account Integration Tests', () => {
+  let userData;
+  let user;
+  let cookies;
+  let csrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    userData = createUserData({ role: 'department', status: 'active', department: 'Cardiology' });
+    user = await User.create(userData);
+    ({ cookies, csrfToken } = await authenticateUser(app, {
+      username: userData.username,
+      password: userData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  const post = (url, body) =>
+    request(app)
+      .post(url)
+      .set('Cookie', cookies)
+      .send({ ...body, _csrf: csrfToken });
+
+  describe('GET /account', () => {
+    it('should show the profile page to every role', async () => {
+      // Act
+      const response = await request(app).get('/account').set('Cookie', cookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('action="/account/password"');
+      expect(response.text).toContain(`value="${user.email}"`);
+      expect(response.text).toContain('action="/account/sessions/revoke"');
+    });
+
+    it('should redirect anonymous visitors to the login page', async () => {
+      // Act
+      const response = await request(app).get('/account');
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/auth/login');
+    });
+  });
+
+  describe('POST /account/password', () => {
+    it('should change the password and audit it', async () => {
+      // Act
+      const response = await post('/account/password', {
+        current_password: userData.password,
+        new_password: 'Changed#Pass123',
+        confirm_password: 'Changed#Pass123',
+      });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/account');
+      const updated = await User.findByUsernameWithPassword(user.username);
+      expect(await bcrypt.compare('Changed#Pass123', updated.password_hash)).toBe(true);
+      const auditLogs = await AuditLog.findByTarget('user', user.id);
+      expect(auditLogs.some((log) => log.action === 'PASSWORD_CHANGED')).toBe(true);
+    });
+
+    it('should keep the password when the current password is wrong', async () => {
+      // Act
+      await post('/account/password', {
+        current_password: 'Wrong#Pass123',
+        new_password: 'Changed#Pass123',
+        confirm_password: 'Changed#Pass123',
+      });
+
+      // Assert
+      const updated = await User.findByUsernameWithPassword(user.username);
+      expect(await bcrypt.compare(userData.password, updated.password_hash)).toBe(true);
+    });
+
+    it('should reject a confirmation that does not match', async () => {
+      // Act
+      const response = await post('/account/password', {
+        current_password: userData.password,
+        new_password: 'Changed#Pass123',
+        confirm_password: 'Changed#Pass456',
+      });
+
+      // Assert
+      expect(response.status).toBe(302);
+      const updated = await User.findByUsernameWithPassword(user.username);
+      expect(await bcrypt.compare(userData.password, updated.password_hash)).toBe(true);
+    });
+  });
+
+  describe('forced password change', () => {
+    let forcedData;
+    let forcedCookies;
+    let forcedCsrfToken;
+
+    beforeEach(async () => {
+      forcedData = createUserData({ role: 'admin', status: 'active' });
+      await User.create({ ...forcedData, mustChangePassword: true });
+      ({ cookies: forcedCookies, csrfToken: forcedCsrfToken } = await authenticateUser(app, {
+        username: forcedData.username,
+        password: forcedData.password,
+      }));
+    });
+
+    it('should send the user to the change-password screen from any page', async () => {
+      // Act
+      const dashboard = await request(app).get('/admin/dashboard').set('Cookie', forcedCookies);
+      const screen = await request(app).get('/account/password').set('Cookie', forcedCookies);
+
+      // Assert
+      expect(dashboard.status).toBe(302);
+      expect(dashboard.headers.location).toBe('/account/password');
+      expect(screen.status).toBe(200);
+      expect(screen.text).toContain('action="/account/password"');
+    });
+
+    it('should refuse API calls made with the session', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/me').set('Cookie', forcedCookies);
+
+      // Assert
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('PASSWORD_CHANGE_REQUIRED');
+    });
+
+    it('should clear the flag and lead on to the dashboard once the password is changed', async () => {
+      // Act
+      const response = await request(app)
+        .post('/account/password')
+        .set('Cookie', forcedCookies)
+        .send({
+          current_password: forcedData.password,
+          new_password: 'Changed#Pass123',
+          confirm_password: 'Changed#Pass123',
+          _csrf: forcedCsrfToken,
+        });
+      const dashboard = await request(app).get('/admin/dashboard').set('Cookie', forcedCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/admin/dashboard');
+      const updated = await User.findByUsername(forcedData.username);
+      expect(updated.must_change_password).toBe(false);
+      expect(dashboard.status).toBe(200);
+    });
+
+    it('should not accept the current password as the new one', async () => {
+      // Act
+      const response = await request(app)
+        .post('/account/password')
+        .set('Cookie', forcedCookies)
+        .send({
+          current_password: forcedData.password,
+          new_password: forcedData.password,
+          confirm_password: forcedData.password,
+          _csrf: forcedCsrfToken,
+        });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/account/password');
+      const updated = await User.findByUsername(forcedData.username);
+      expect(updated.must_change_password).toBe(true);
+    });
+  });
+
+  describe('password history', () => {
+    it('should refuse a password the user had before', async () => {
+      // Arrange
+      await post('/account/password', {
+        current_password: userData.password,
+        new_password: 'Changed#Pass123',
+        confirm_password: 'Changed#Pass123',
+      });
+
+      // Act
+      await post('/account/password', {
+        current_password: 'Changed#Pass123',
+        new_password: userData.password,
+        confirm_password: userData.password,
+      });
+
+      // Assert
+      const updated = await User.findByUsernameWithPassword(user.username);
+      expect(await bcrypt.compare('Changed#Pass123', updated.password_hash)).toBe(true);
+    });
+  });
+
+  describe('POST /account/email', () => {
+    it('should update the email address', async () => {
+      // Act
+      const response = await post('/account/email', { email: 'changed@example.com' });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/account');
+      const updated = await User.findById(user.id);
+      expect(updated.email).toBe('changed@example.com');
+    });
+
+    it('should refuse an email used by another user', async () => {
+      // Arrange
+      const other = await User.create(createUserData({ role: 'admin', status: 'active' }));
+
+      // Act
+      await post('/account/email', { email: other.email });
+
+      // Assert
+      const updated = await User.findById(user.id);
+      expect(updated.email).toBe(user.email);
+    });
+  });
+
+  describe('POST /account/language', () => {
+    it('should store the language with the user and restore it at the next login', async () => {
+      // Act
+      const response = await post('/account/language', { language: 'el' });
+      const next = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+      const page = await request(app).get('/account').set('Cookie', next.cookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect((await User.findById(user.id)).language).toBe('el');
+      expect(page.text).toContain('<html lang="el">');
+    });
+
+    it('should also store a switch made with the header language switcher', async () => {
+      // Act
+      await post('/language/change', { lang: 'el' });
+
+      // Assert
+      expect((await User.findById(user.id)).language).toBe('el');
+    });
+
+    it('should reject an unsupported language', async () => {
+      // Act
+      await post('/account/language', { language: 'fr' });
+
+      // Assert
+      expect((await User.findById(user.id)).language).toBeNull();
+    });
+  });
+
+  describe('POST /account/sessions/revoke', () => {
+    it('should sign the user out and audit it', async () => {
+      // Act
+      const response = await post('/account/sessions/revoke', {});
+      const after = await request(app).get('/account').set('Cookie', cookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/auth/login');
+      expect(after.status).toBe(302);
+      expect(after.headers.location).toBe('/auth/login');
+      const auditLogs = await AuditLog.findByTarget('user', user.id);
+      expect(auditLogs.some((log) => log.action === 'USER_SESSIONS_REVOKED')).toBe(true);
+    });
+  });
+});
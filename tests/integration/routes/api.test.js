@@ -0,0 +1,429 @@
+/**
+ * JSON API v1 Integration Tests
+ *
+ * Tests /api/v1 routes with real database and session authentication:
+ * - Authentication and JSON error bodies
+ * - GET/POST/PATCH /api/v1/tickets - role rules and department isolation
+ * - GET/POST /api/v1/tickets/:id/comments - internal comment rules
+ * - GET /api/v1/departments and /api/v1/floors
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const Comment = require('../../../models/Comment');
+
+describe('API v1 Integration Tests', () => {
+  let adminUser;
+  let adminCookies;
+  let adminCsrfToken;
+  let deptUser;
+  let deptCookies;
+  let deptCsrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    adminUser = await User.create(adminData);
+    ({ cookies: adminCookies, csrfToken: adminCsrfToken } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  describe('authentication', () => {
+    it('should return JSON 401 without a session', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/tickets');
+
+      // Assert
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    it('should return current user and CSRF token from /me', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/me').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        id: deptUser.id,
+        role: 'department',
+        department: 'Cardiology',
+      });
+      expect(response.body.csrfToken).toEqual(expect.any(String));
+    });
+
+    it('should reject mutations without CSRF token', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/tickets')
+        .set('Cookie', deptCookies)
+        .send({ title: 'No token', description: 'Missing CSRF header' });
+
+      // Assert
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+
+    it('should return JSON 404 for unknown endpoints', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/unknown').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/v1/tickets', () => {
+    it('should list all tickets with pagination for admins', async () => {
+      // Arrange
+      await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      await Ticket.create(createTicketData({ reporter_department: 'Radiology' }));
+
+      // Act
+      const response = await request(app).get('/api/v1/tickets').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.pagination).toEqual({
+        page: 1,
+        per_page: 25,
+        total: 2,
+        total_pages: 1,
+      });
+    });
+
+    it('should only list own department non-internal tickets for department users', async () => {
+      // Arrange
+      await Ticket.create(
+        createTicketData({ title: 'Own Ticket', reporter_department: 'Cardiology' }),
+      );
+      await Ticket.create(
+        createTicketData({ title: 'Other Ticket', reporter_department: 'Radiology' }),
+      );
+      await Ticket.create(
+        createTicketData({
+          title: 'Internal Ticket',
+          reporter_department: 'Cardiology',
+          is_admin_created: true,
+        }),
+      );
+
+      // Act
+      const response = await request(app).get('/api/v1/tickets').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((ticket) => ticket.title)).toEqual(['Own Ticket']);
+    });
+
+    it('should resolve assigned_to=me for admins', async () => {
+      // Arrange
+      const mine = await Ticket.create(createTicketData({ title: 'Mine' }));
+      await Ticket.update(mine.id, { assigned_to: adminUser.id });
+      await Ticket.create(createTicketData({ title: 'Unassigned' }));
+
+      // Act
+      const response = await request(app)
+        .get('/api/v1/tickets?assigned_to=me')
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.body.data.map((ticket) => ticket.title)).toEqual(['Mine']);
+    });
+  });
+
+  describe('GET /api/v1/tickets/:id', () => {
+    it('should return 404 for another department ticket', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Radiology' }));
+
+      // Act
+      const response = await request(app)
+        .get(`/api/v1/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+
+    it('should return 404 for internal admin tickets of own department', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', is_admin_created: true }),
+      );
+
+      // Act
+      const response = await request(app)
+        .get(`/api/v1/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 400 with details for invalid ID', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/tickets/abc').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].field).toBe('id');
+    });
+  });
+
+  describe('POST /api/v1/tickets', () => {
+    it('should create a department ticket from the user department', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/tickets')
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ title: 'Analyzer offline', description: 'Lab analyzer lost network' });
+
+      // Assert
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        title: 'Analyzer offline',
+        reporter_department: 'Cardiology',
+        reporter_id: deptUser.id,
+        status: 'waiting_on_admin',
+        priority: 'unset',
+      });
+    });
+
+    it('should create an admin ticket for admins', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/tickets')
+        .set('Cookie', adminCookies)
+        .set('X-CSRF-Token', adminCsrfToken)
+        .send({
+          title: 'Server patching',
+          description: 'Monthly patch window',
+          reporter_department: 'Radiology',
+          priority: 'high',
+        });
+
+      // Assert
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ is_admin_created: true, priority: 'high' });
+    });
+
+    it('should return validation errors as JSON', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/tickets')
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ description: 'No title' });
+
+      // Assert
+      expect(response.status).toBe(400);
+      expect(response.body.error.details.map((d) => d.field)).toContain('title');
+    });
+
+    it('should forbid department users from creating tickets on behalf of departments', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/tickets/department')
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ title: 'x', description: 'y', reporter_name: 'z' });
+
+      // Assert
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/v1/tickets/:id', () => {
+    it('should let admins update priority and assignee', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData());
+
+      // Act
+      const response = await request(app)
+        .patch(`/api/v1/tickets/${ticket.id}`)
+        .set('Cookie', adminCookies)
+        .set('X-CSRF-Token', adminCsrfToken)
+        .send({ priority: 'critical', assigned_to: adminUser.id });
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        priority: 'critical',
+        assigned_to: adminUser.id,
+      });
+    });
+
+    it('should hide other department tickets from status updates', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Radiology' }));
+
+      // Act
+      const response = await request(app)
+        .patch(`/api/v1/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ status: 'closed' });
+
+      // Assert
+      expect(response.status).toBe(404);
+      expect((await Ticket.findById(ticket.id)).status).toBe('open');
+    });
+
+    it('should only allow department status values', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      const response = await request(app)
+        .patch(`/api/v1/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ status: 'in_progress' });
+
+      // Assert
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].field).toBe('status');
+    });
+
+    it('should return 409 when a department user reopens a closed ticket', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'closed' }),
+      );
+
+      // Act
+      const response = await request(app)
+        .patch(`/api/v1/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ status: 'waiting_on_admin' });
+
+      // Assert
+      expect(response.status).toBe(409);
+      expect(response.body.error).toMatchObject({
+        code: 'INVALID_STATUS_TRANSITION',
+        details: { from: 'closed', to: 'waiting_on_admin' },
+      });
+    });
+  });
+
+  describe('comments', () => {
+    it('should hide internal comments from department users', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      await Comment.create({
+        ticket_id: ticket.id,
+        user_id: adminUser.id,
+        content: 'Public reply',
+        visibility_type: 'public',
+      });
+      await Comment.create({
+        ticket_id: ticket.id,
+        user_id: adminUser.id,
+        content: 'Internal note',
+        visibility_type: 'internal',
+      });
+
+      // Act
+      const deptResponse = await request(app)
+        .get(`/api/v1/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies);
+      const adminResponse = await request(app)
+        .get(`/api/v1/tickets/${ticket.id}/comments`)
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(deptResponse.body.data.map((c) => c.content)).toEqual(['Public reply']);
+      expect(adminResponse.body.data).toHaveLength(2);
+    });
+
+    it('should reject internal comments from department users', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      const response = await request(app)
+        .post(`/api/v1/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ content: 'Secret', visibility_type: 'internal' });
+
+      // Assert
+      expect(response.status).toBe(403);
+      expect(await Comment.findByTicketId(ticket.id)).toHaveLength(0);
+    });
+
+    it('should add admin public comment and move department ticket to waiting_on_department', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', reporter_id: deptUser.id }),
+      );
+
+      // Act
+      const response = await request(app)
+        .post(`/api/v1/tickets/${ticket.id}/comments`)
+        .set('Cookie', adminCookies)
+        .set('X-CSRF-Token', adminCsrfToken)
+        .send({ content: 'Please restart the device' });
+
+      // Assert
+      expect(response.status).toBe(201);
+      expect(response.body.data.visibility_type).toBe('public');
+      const updated = await Ticket.findById(ticket.id);
+      expect(updated.status).toBe('waiting_on_department');
+    });
+  });
+
+  describe('lookups', () => {
+    it('should list active departments without system departments for department users', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/departments').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((d) => d.name)).toContain('Cardiology');
+      expect(response.body.data.every((d) => d.is_system === false)).toBe(true);
+    });
+
+    it('should list active floors', async () => {
+      // Act
+      const response = await request(app).get('/api/v1/floors').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((f) => f.name)).toContain('Ground Floor');
+    });
+  });
+});
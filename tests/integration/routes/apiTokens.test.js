@@ -0,0 +1,288 @@
+/**
+ * API Token Integration Tests
+ *
+ * Tests personal API tokens with real database:
+ * - /account/tokens - create, list and revoke own tokens
+ * - /admin/users/:id/tokens - super admin manages tokens of other users
+ * - Bearer authentication on /api/v1 (scopes, revocation, CSRF exemption, auditing)
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const pool = require('../../../config/database');
+const User = require('../../../models/User');
+const ApiToken = require('../../../models/ApiToken');
+const apiTokenService = require('../../../services/apiTokenService');
+
+describe('API Token Integration Tests', () => {
+  let deptUser;
+  let deptCookies;
+  let deptCsrfToken;
+  let superAdmin;
+  let superAdminCookies;
+  let superAdminCsrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+
+    const superAdminData = createUserData({ role: 'super_admin', status: 'active' });
+    superAdmin = await User.create(superAdminData);
+    ({ cookies: superAdminCookies, csrfToken: superAdminCsrfToken } = await authenticateUser(app, {
+      username: superAdminData.username,
+      password: superAdminData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  const issueToken = (userId, scope = 'write') =>
+    apiTokenService.createToken(userId, userId, { name: 'Test', scope, expires_in_days: 30 });
+
+  describe('/account/tokens', () => {
+    it('should show the plain token once after creation and store only its hash', async () => {
+      // Act
+      const response = await request(app)
+        .post('/account/tokens')
+        .set('Cookie', deptCookies)
+        .send({ name: 'Monitoring', scope: 'read', expires_in_days: '30', _csrf: deptCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(200);
+      const plainToken = response.text.match(/knii_[A-Za-z0-9_-]{43}/)[0];
+
+      const tokens = await ApiToken.findByUser(deptUser.id);
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].name).toBe('Monitoring');
+
+      const stored = await ApiToken.findById(tokens[0].id);
+      expect(stored.token_hash).toBe(apiTokenService.hashToken(plainToken));
+
+      const list = await request(app).get('/account/tokens').set('Cookie', deptCookies);
+      expect(list.text).toContain('Monitoring');
+      expect(list.text).not.toContain(plainToken);
+    });
+
+    it('should reject an expiry outside the allowed options', async () => {
+      // Act
+      const response = await request(app)
+        .post('/account/tokens')
+        .set('Cookie', deptCookies)
+        .send({ name: 'Forever', scope: 'read', expires_in_days: '3650', _csrf: deptCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(await ApiToken.findByUser(deptUser.id)).toHaveLength(0);
+    });
+
+    it('should revoke an own token', async () => {
+      // Arrange
+      const { token } = await issueToken(deptUser.id);
+
+      // Act
+      const response = await request(app)
+        .post(`/account/tokens/${token.id}/revoke`)
+        .set('Cookie', deptCookies)
+        .send({ _csrf: deptCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/account/tokens');
+      const revoked = await ApiToken.findById(token.id);
+      expect(revoked.revoked_at).not.toBeNull();
+      expect(revoked.revoked_by).toBe(deptUser.id);
+    });
+
+    it('should not revoke tokens of other users', async () => {
+      // Arrange
+      const { token } = await issueToken(superAdmin.id);
+
+      // Act
+      await request(app)
+        .post(`/account/tokens/${token.id}/revoke`)
+        .set('Cookie', deptCookies)
+        .send({ _csrf: deptCsrfToken });
+
+      // Assert
+      const unchanged = await ApiToken.findById(token.id);
+      expect(unchanged.revoked_at).toBeNull();
+    });
+  });
+
+  describe('/admin/users/:id/tokens', () => {
+    it('should let a super admin create a token for another user', async () => {
+      // Act
+      const response = await request(app)
+        .post(`/admin/users/${deptUser.id}/tokens`)
+        .set('Cookie', superAdminCookies)
+        .send({
+          name: 'Lab sync',
+          scope: 'write',
+          expires_in_days: '90',
+          _csrf: superAdminCsrfToken,
+        });
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toMatch(/knii_[A-Za-z0-9_-]{43}/);
+      const tokens = await ApiToken.findByUser(deptUser.id);
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].created_by_username).toBe(superAdmin.username);
+    });
+
+    it('should let a super admin revoke a token of another user', async () => {
+      // Arrange
+      const { token } = await issueToken(deptUser.id);
+
+      // Act
+      const response = await request(app)
+        .post(`/admin/users/${deptUser.id}/tokens/${token.id}/revoke`)
+        .set('Cookie', superAdminCookies)
+        .send({ _csrf: superAdminCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(`/admin/users/${deptUser.id}/edit`);
+      expect((await ApiToken.findById(token.id)).revoked_by).toBe(superAdmin.id);
+    });
+
+    it('should deny token management of other users to non super admins', async () => {
+      // Act
+      await request(app)
+        .post(`/admin/users/${superAdmin.id}/tokens`)
+        .set('Cookie', deptCookies)
+        .send({ name: 'Sneaky', scope: 'write', expires_in_days: '30', _csrf: deptCsrfToken });
+
+      // Assert
+      expect(await ApiToken.findByUser(superAdmin.id)).toHaveLength(0);
+    });
+  });
+
+  describe('Bearer authentication', () => {
+    it('should authenticate API requests as the token owner', async () => {
+      // Arrange
+      const { token, plainToken } = await issueToken(deptUser.id, 'read');
+
+      // Act
+      const response = await request(app)
+        .get('/api/v1/me')
+        .set('Authorization', `Bearer ${plainToken}`);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: deptUser.id, role: 'department' });
+      expect(response.body.data.token).toMatchObject({ id: token.id, scope: 'read' });
+      expect((await ApiToken.findById(token.id)).last_used_at).not.toBeNull();
+    });
+
+    it('should reject write requests made with a read token', async () => {
+      // Arrange
+      const { plainToken } = await issueToken(deptUser.id, 'read');
+
+      // Act
+      const response = await request(app)
+        .post('/api/v1/tickets')
+        .set('Authorization', `Bearer ${plainToken}`)
+        .send({ title: 'Read only', description: 'Should not be created' });
+
+      // Assert
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_SCOPE');
+    });
+
+    it('should accept write requests without CSRF token and audit them', async () => {
+      // Arrange
+      const { token, plainToken } = await issueToken(deptUser.id, 'write');
+
+      // Act
+      const response = await request(app)
+        .post('/api/v1/tickets')
+        .set('Authorization', `Bearer ${plainToken}`)
+        .send({ title: 'From a script', description: 'Created with an API token' });
+
+      // Assert
+      expect(response.status).toBe(201);
+      const audit = await pool.query(
+        "SELECT * FROM audit_logs WHERE action = 'API_TOKEN_USED' AND target_id = $1",
+        [token.id],
+      );
+      expect(audit.rows).toHaveLength(1);
+      expect(audit.rows[0].actor_id).toBe(deptUser.id);
+    });
+
+    it('should reject revoked tokens', async () => {
+      // Arrange
+      const { token, plainToken } = await issueToken(deptUser.id);
+      await apiTokenService.revokeToken(deptUser.id, deptUser.id, token.id);
+
+      // Act
+      const response = await request(app)
+        .get('/api/v1/me')
+        .set('Authorization', `Bearer ${plainToken}`);
+
+      // Assert
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should reject expired tokens', async () => {
+      // Arrange
+      const { token, plainToken } = await issueToken(deptUser.id);
+      await pool.query(
+        "UPDATE api_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1",
+        [token.id],
+      );
+
+      // Act
+      const response = await request(app)
+        .get('/api/v1/me')
+        .set('Authorization', `Bearer ${plainToken}`);
+
+      // Assert
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject tokens of deactivated users', async () => {
+      // Arrange
+      const { plainToken } = await issueToken(deptUser.id);
+      await User.update(deptUser.id, { status: 'inactive' });
+
+      // Act
+      const response = await request(app)
+        .get('/api/v1/me')
+        .set('Authorization', `Bearer ${plainToken}`);
+
+      // Assert
+      expect(response.status).toBe(401);
+    });
+
+    it('should not fall back to the session when the Bearer token is invalid', async () => {
+      // Act
+      const response = await request(app)
+        .get('/api/v1/me')
+        .set('Cookie', deptCookies)
+        .set('Authorization', 'Bearer knii_invalid');
+
+      // Assert
+      expect(response.status).toBe(401);
+    });
+  });
+});
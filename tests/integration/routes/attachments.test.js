@@ -0,0 +1,305 @@
+/**
+ * Attachment Integration Tests
+ *
+ * Tests ticket and comment attachments with real database and storage:
+ * - Multipart upload on /client/tickets, /admin/tickets and the comment routes
+ * - Download routes with department isolation
+ * - Internal comment attachments are never served to department users
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const pool = require('../../../config/database');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const Comment = require('../../../models/Comment');
+const attachmentService = require('../../../services/attachmentService');
+
+const pngFile = { filename: 'error.png', contentType: 'image/png' };
+
+describe('Attachment Integration Tests', () => {
+  let adminUser;
+  let adminCookies;
+  let adminCsrfToken;
+  let deptUser;
+  let deptCookies;
+  let deptCsrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    adminUser = await User.create(adminData);
+    ({ cookies: adminCookies, csrfToken: adminCsrfToken } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  const findAttachments = async (ticketId) => {
+    const result = await pool.query('SELECT * FROM attachments WHERE ticket_id = $1 ORDER BY id', [
+      ticketId,
+    ]);
+    return result.rows;
+  };
+
+  const attachTo = (ticketId, commentId, uploadedBy, name = 'error.png') =>
+    attachmentService.saveAttachments(
+      [{ originalname: name, mimetype: 'image/png', size: 4, buffer: Buffer.from('data') }],
+      { ticketId, commentId, uploadedBy },
+    );
+
+  describe('uploads', () => {
+    it('should store attachments with a new department ticket', async () => {
+      // Act
+      const response = await request(app)
+        .post('/client/tickets')
+        .set('Cookie', deptCookies)
+        .field('_csrf', deptCsrfToken)
+        .field('title', 'ECG printer error')
+        .field('description', 'Photo of the error screen attached')
+        .attach('attachments', Buffer.from('fake png'), pngFile);
+
+      // Assert
+      expect(response.status).toBe(302);
+      const ticketId = parseInt(response.headers.location.split('/').pop());
+      const attachments = await findAttachments(ticketId);
+      expect(attachments).toHaveLength(1);
+      expect(attachments[0]).toMatchObject({
+        comment_id: null,
+        uploaded_by: deptUser.id,
+        original_name: 'error.png',
+        mime_type: 'image/png',
+        size_bytes: 8,
+      });
+    });
+
+    it('should store attachments with an admin ticket', async () => {
+      // Act
+      const response = await request(app)
+        .post('/admin/tickets')
+        .set('Cookie', adminCookies)
+        .field('_csrf', adminCsrfToken)
+        .field('title', 'Server room check')
+        .field('description', 'Checklist attached')
+        .field('reporter_department', 'Internal')
+        .field('priority', 'medium')
+        .attach('attachments', Buffer.from('checklist'), {
+          filename: 'checklist.txt',
+          contentType: 'text/plain',
+        });
+
+      // Assert
+      expect(response.status).toBe(302);
+      const ticketId = parseInt(response.headers.location.split('/').pop());
+      expect(await findAttachments(ticketId)).toHaveLength(1);
+    });
+
+    it('should attach files to a department comment', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      const response = await request(app)
+        .post(`/client/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies)
+        .field('_csrf', deptCsrfToken)
+        .field('content', 'Scanned form attached')
+        .attach('attachments', Buffer.from('%PDF-1.4'), {
+          filename: 'form.pdf',
+          contentType: 'application/pdf',
+        });
+
+      // Assert
+      expect(response.status).toBe(302);
+      const [attachment] = await findAttachments(ticket.id);
+      const comment = await pool.query('SELECT id FROM comments WHERE ticket_id = $1', [ticket.id]);
+      expect(attachment.comment_id).toBe(comment.rows[0].id);
+    });
+
+    it('should refuse a CSRF token in the query string', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      const response = await request(app)
+        .post(`/client/tickets/${ticket.id}/comments?_csrf=${encodeURIComponent(deptCsrfToken)}`)
+        .set('Cookie', deptCookies)
+        .field('content', 'Token in the URL')
+        .attach('attachments', Buffer.from('%PDF-1.4'), {
+          filename: 'form.pdf',
+          contentType: 'application/pdf',
+        });
+
+      // Assert
+      expect(response.status).toBe(403);
+      expect(await findAttachments(ticket.id)).toHaveLength(0);
+    });
+
+    it('should reject disallowed file types without creating the comment', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      const response = await request(app)
+        .post(`/client/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies)
+        .field('_csrf', deptCsrfToken)
+        .field('content', 'Installer attached')
+        .attach('attachments', Buffer.from('MZ'), {
+          filename: 'setup.exe',
+          contentType: 'application/octet-stream',
+        });
+
+      // Assert
+      expect(response.status).toBe(302);
+      const comments = await pool.query('SELECT id FROM comments WHERE ticket_id = $1', [
+        ticket.id,
+      ]);
+      expect(comments.rows).toHaveLength(0);
+      expect(await findAttachments(ticket.id)).toHaveLength(0);
+    });
+
+    it('should reject multipart forms without CSRF token', async () => {
+      // Act
+      const response = await request(app)
+        .post('/client/tickets')
+        .set('Cookie', deptCookies)
+        .field('title', 'No token')
+        .field('description', 'Missing CSRF token')
+        .attach('attachments', Buffer.from('fake png'), pngFile);
+
+      // Assert
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('downloads', () => {
+    it('should serve own department attachments to department users', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      const [attachment] = await attachTo(ticket.id, null, deptUser.id);
+
+      // Act
+      const response = await request(app)
+        .get(`/client/attachments/${attachment.id}`)
+        .set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['content-disposition']).toContain('attachment; filename="error.png"');
+      expect(response.body.toString()).toBe('data');
+    });
+
+    it('should not serve attachments of other departments', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Radiology' }));
+      const [attachment] = await attachTo(ticket.id, null, adminUser.id);
+
+      // Act
+      const response = await request(app)
+        .get(`/client/attachments/${attachment.id}`)
+        .set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/client/dashboard');
+    });
+
+    it('should not serve attachments of internal admin tickets', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', is_admin_created: true }),
+      );
+      const [attachment] = await attachTo(ticket.id, null, adminUser.id);
+
+      // Act
+      const response = await request(app)
+        .get(`/client/attachments/${attachment.id}`)
+        .set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+    });
+
+    it('should never serve internal comment attachments to department users', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      const comment = await Comment.create({
+        ticket_id: ticket.id,
+        user_id: adminUser.id,
+        content: 'Vendor quote',
+        visibility_type: 'internal',
+      });
+      const [attachment] = await attachTo(ticket.id, comment.id, adminUser.id, 'quote.png');
+
+      // Act
+      const download = await request(app)
+        .get(`/client/attachments/${attachment.id}`)
+        .set('Cookie', deptCookies);
+      const page = await request(app)
+        .get(`/client/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies);
+
+      // Assert
+      expect(download.status).toBe(302);
+      expect(page.text).not.toContain('quote.png');
+    });
+
+    it('should serve internal comment attachments to admins', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      const comment = await Comment.create({
+        ticket_id: ticket.id,
+        user_id: adminUser.id,
+        content: 'Vendor quote',
+        visibility_type: 'internal',
+      });
+      const [attachment] = await attachTo(ticket.id, comment.id, adminUser.id, 'quote.png');
+
+      // Act
+      const response = await request(app)
+        .get(`/admin/attachments/${attachment.id}`)
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+    });
+
+    it('should not serve admin downloads to department users', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      const [attachment] = await attachTo(ticket.id, null, deptUser.id);
+
+      // Act
+      const response = await request(app)
+        .get(`/admin/attachments/${attachment.id}`)
+        .set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+    });
+  });
+});
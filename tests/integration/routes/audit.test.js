@@ -0,0 +1,250 @@
+/**
+ * Audit Log Browser Routes Integration Tests
+ *
+ * Tests the audit log browser with real database:
+ * - GET /admin/audit - Filtered, paginated list (super_admin only)
+ * - GET /admin/audit/:id - Entry detail with JSONB details
+ * - GET /admin/audit/export - CSV/JSON export of the filtered entries
+ * - GET /admin/audit/verify - Hash chain verification
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const auditService = require('../../../services/auditService');
+const pool = require('../../../config/database');
+
+describe('Audit Log Browser Routes Integration Tests', () => {
+  let superAdminUser;
+  let superAdminCookies;
+  let adminCookies;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const superAdminData = createUserData({ role: 'super_admin', status: 'active' });
+    superAdminUser = await User.create(superAdminData);
+    ({ cookies: superAdminCookies } = await authenticateUser(app, {
+      username: superAdminData.username,
+      password: superAdminData.password,
+    }));
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    await User.create(adminData);
+    ({ cookies: adminCookies } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+
+    await AuditLog.create({
+      actorId: superAdminUser.id,
+      action: 'FLOOR_CREATED',
+      targetType: 'floor',
+      targetId: 3,
+      details: { name: 'Basement' },
+      ipAddress: '10.0.3.4',
+    });
+    await AuditLog.create({
+      actorId: superAdminUser.id,
+      action: 'SLA_POLICY_DELETED',
+      targetType: 'sla_policy',
+      targetId: 8,
+      details: { priority: 'high' },
+      ipAddress: '192.168.1.9',
+    });
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  describe('GET /admin/audit', () => {
+    it('should require super_admin role', async () => {
+      // Act
+      const response = await request(app).get('/admin/audit').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/admin/dashboard');
+    });
+
+    it('should list audit entries', async () => {
+      // Act
+      const response = await request(app).get('/admin/audit').set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('FLOOR_CREATED');
+      expect(response.text).toContain('SLA_POLICY_DELETED');
+    });
+
+    it('should filter by action and IP prefix', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/audit?action=FLOOR_CREATED&ip_address=10.0.')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('10.0.3.4');
+      expect(response.text).not.toContain('192.168.1.9');
+    });
+
+    it('should ignore malformed filters', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/audit?actor_id=abc&date_from=not-a-date')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('FLOOR_CREATED');
+    });
+  });
+
+  describe('GET /admin/audit/:id', () => {
+    it('should show the entry details', async () => {
+      // Arrange
+      const [entry] = await AuditLog.findAll({ action: 'FLOOR_CREATED' });
+
+      // Act
+      const response = await request(app)
+        .get(`/admin/audit/${entry.id}`)
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('Basement');
+      expect(response.text).toContain('/admin/floors/3/edit');
+    });
+
+    it('should return 404 for an unknown entry', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/audit/999999')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /admin/audit/export', () => {
+    it('should download the filtered entries as CSV and audit the export', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/audit/export?format=csv&target_type=floor')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(
+        /attachment; filename="audit-log-.*\.csv"/,
+      );
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('FLOOR_CREATED');
+
+      const exports = await AuditLog.findAll({ action: 'AUDIT_LOG_EXPORTED' });
+      expect(exports).toHaveLength(1);
+      expect(exports[0].details).toMatchObject({ format: 'csv', count: 1 });
+    });
+
+    it('should download JSON', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/audit/export?format=json&action=SLA_POLICY_DELETED')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/json');
+      const entries = JSON.parse(response.text);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].details).toEqual({ priority: 'high' });
+    });
+
+    it('should reject unknown formats', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/audit/export?format=xml')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+    });
+  });
+
+  describe('GET /admin/audit/verify', () => {
+    it('should require super_admin role', async () => {
+      // Act
+      const response = await request(app).get('/admin/audit/verify').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+    });
+
+    it('should report an intact chain with its head hash', async () => {
+      // Arrange
+      const [head] = await AuditLog.findAll({ action: 'SLA_POLICY_DELETED' });
+
+      // Act
+      const response = await request(app)
+        .get('/admin/audit/verify')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('The audit log chain is intact');
+      expect(response.text).toContain(head.hash);
+    });
+
+    it('should report the first tampered entry', async () => {
+      // Arrange
+      const [entry] = await AuditLog.findAll({ action: 'FLOOR_CREATED' });
+      await pool.query('UPDATE audit_logs SET details = $1 WHERE id = $2', [
+        JSON.stringify({ name: 'Roof' }),
+        entry.id,
+      ]);
+
+      // Act
+      const response = await request(app)
+        .get('/admin/audit/verify')
+        .set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain(`The audit log chain is broken at entry #${entry.id}`);
+    });
+
+    it('should keep the chain intact under concurrent inserts', async () => {
+      // Arrange
+      await Promise.all(
+        Array.from({ length: 10 }, (_, i) =>
+          AuditLog.create({
+            actorId: superAdminUser.id,
+            action: 'USER_LOGIN',
+            targetType: 'user',
+            targetId: i + 1,
+            ipAddress: '127.0.0.1',
+          }),
+        ),
+      );
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(report.intact).toBe(true);
+      expect(report.brokenAt).toBeNull();
+    });
+  });
+});
@@ -11,6 +11,7 @@
 
 const request = require('supertest');
 const app = require('../../../app');
+const pool = require('../../../config/database');
 const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
 const { createUserData } = require('../../helpers/factories');
 const {
@@ -20,6 +21,8 @@ const {
 const User = require('../../../models/User');
 const AuditLog = require('../../../models/AuditLog');
 
+const LOCKOUT = { maxAttempts: 5, baseMinutes: 15, maxMinutes: 1440 };
+
 describe('Auth Routes Integration Tests', () => {
   beforeEach(async () => {
     await setupIntegrationTest();
@@ -113,8 +116,8 @@ describe('Auth Routes Integration Tests', () => {
       const user = await User.create(userData);
 
       // Simulate failed login attempts
-      await User.incrementLoginAttempts(userData.username);
-      await User.incrementLoginAttempts(userData.username);
+      await User.recordFailedLogin(user.id, LOCKOUT);
+      await User.recordFailedLogin(user.id, LOCKOUT);
 
       // Verify login_attempts were incremented
       const userBefore = await User.findByUsernameWithPassword(userData.username);
@@ -182,6 +185,65 @@ describe('Auth Routes Integration Tests', () => {
       // Assert
       const userAfter = await User.findByUsernameWithPassword(userData.username);
       expect(userAfter.login_attempts).toBe(5);
+      const lockMinutes = (new Date(userAfter.locked_until) - Date.now()) / 60000;
+      expect(lockMinutes).toBeGreaterThan(14);
+      expect(lockMinutes).toBeLessThanOrEqual(15);
+
+      const audit = await pool.query(
+        'SELECT action FROM audit_logs WHERE target_type = $1 AND target_id = $2',
+        ['user', user.id],
+      );
+      const actions = audit.rows.map((row) => row.action);
+      expect(actions.filter((action) => action === 'USER_LOGIN_FAILED')).toHaveLength(5);
+      expect(actions).toContain('USER_LOCKED');
+    });
+
+    it('should double the lock for each failed login past the limit', async () => {
+      // Arrange
+      const userData = createUserData({ role: 'admin', status: 'active' });
+      const user = await User.create(userData);
+      for (let i = 0; i < 5; i++) {
+        await User.recordFailedLogin(user.id, LOCKOUT);
+      }
+
+      // Act - the sixth failure, after the first lock ran out
+      await pool.query('UPDATE users SET locked_until = NULL WHERE id = $1', [user.id]);
+      const lock = await User.recordFailedLogin(user.id, LOCKOUT);
+
+      // Assert
+      expect(lock.login_attempts).toBe(6);
+      const lockMinutes = (new Date(lock.locked_until) - Date.now()) / 60000;
+      expect(lockMinutes).toBeGreaterThan(29);
+      expect(lockMinutes).toBeLessThanOrEqual(30);
+    });
+
+    it('should allow login again once the lock has expired', async () => {
+      // Arrange
+      const userData = createUserData({ role: 'admin', status: 'active' });
+      const user = await User.create(userData);
+      await pool.query(
+        `UPDATE users SET login_attempts = 5, locked_until = CURRENT_TIMESTAMP - INTERVAL '1 minute'
+         WHERE id = $1`,
+        [user.id],
+      );
+
+      const { csrfToken, cookies } = await fetchCsrfToken(app);
+
+      // Act
+      const response = await request(app)
+        .post('/auth/login')
+        .set('Cookie', cookies)
+        .send({
+          username: userData.username,
+          password: userData.password,
+          _csrf: csrfToken,
+        });
+
+      // Assert
+      expect(response.headers.location).toBe('/admin/dashboard');
+      const userAfter = await User.findById(user.id);
+      expect(userAfter.login_attempts).toBe(0);
+      expect(userAfter.locked_until).toBeNull();
     });
 
     it('should reject login for locked accounts even with correct password', async () => {
@@ -191,7 +253,7 @@ describe('Auth Routes Integration Tests', () => {
 
       // Lock the account
       for (let i = 0; i < 5; i++) {
-        await User.incrementLoginAttempts(userData.username);
+        await User.recordFailedLogin(user.id, LOCKOUT);
       }
 
       const { csrfToken, cookies } = await fetchCsrfToken(app);
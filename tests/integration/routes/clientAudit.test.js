@@ -0,0 +1,149 @@
+/**
+ * Client Portal Audit Integration Tests
+ *
+ * Tests that department-user actions are recorded in the audit log with real database:
+ * - Ticket creation (TICKET_CREATED)
+ * - Public comments (COMMENT_CREATED, target is the comment)
+ * - The automatic waiting_on_admin transition after a comment (TICKET_UPDATED with
+ *   triggered_by_comment_id)
+ * - Explicit status changes (TICKET_UPDATED with old and new status)
+ * Each entry carries the acting user and IP.
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const AuditLog = require('../../../models/AuditLog');
+
+describe('Client Portal Audit Integration Tests', () => {
+  let deptUser;
+  let deptCookies;
+  let deptCsrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  it('should audit ticket creation', async () => {
+    // Act
+    await request(app).post('/client/tickets').set('Cookie', deptCookies).send({
+      title: 'ECG printer jammed',
+      description: 'Paper is stuck in the ECG printer on ward 2',
+      reporter_phone: '2101234567',
+      _csrf: deptCsrfToken,
+    });
+
+    // Assert
+    const [ticket] = await Ticket.findByDepartment(deptUser.department_id);
+    const auditLogs = await AuditLog.findByTarget('ticket', ticket.id);
+    expect(auditLogs).toHaveLength(1);
+    expect(auditLogs[0]).toMatchObject({
+      actor_id: deptUser.id,
+      action: 'TICKET_CREATED',
+      details: {
+        title: 'ECG printer jammed',
+        status: 'waiting_on_admin',
+        department: 'Cardiology',
+      },
+    });
+    expect(auditLogs[0].ip_address).toBeTruthy();
+  });
+
+  it('should audit a comment and the automatic status change it triggers', async () => {
+    // Arrange
+    const ticket = await Ticket.create(
+      createTicketData({ reporter_department: 'Cardiology', status: 'waiting_on_department' }),
+    );
+
+    // Act
+    await request(app)
+      .post(`/client/tickets/${ticket.id}/comments`)
+      .set('Cookie', deptCookies)
+      .send({ content: 'Here is the serial number', _csrf: deptCsrfToken });
+
+    // Assert
+    const [commentLog] = (await AuditLog.findByActor(deptUser.id)).filter(
+      (log) => log.action === 'COMMENT_CREATED',
+    );
+    expect(commentLog).toMatchObject({
+      target_type: 'comment',
+      details: { ticket_id: ticket.id, visibility_type: 'public' },
+    });
+    expect(commentLog.ip_address).toBeTruthy();
+
+    const ticketLogs = await AuditLog.findByTarget('ticket', ticket.id);
+    expect(ticketLogs).toHaveLength(1);
+    expect(ticketLogs[0]).toMatchObject({
+      actor_id: deptUser.id,
+      action: 'TICKET_UPDATED',
+      details: {
+        old: { status: 'waiting_on_department' },
+        new: { status: 'waiting_on_admin' },
+        triggered_by_comment_id: commentLog.target_id,
+      },
+    });
+  });
+
+  it('should audit an explicit status change with old and new status', async () => {
+    // Arrange
+    const ticket = await Ticket.create(
+      createTicketData({ reporter_department: 'Cardiology', status: 'in_progress' }),
+    );
+
+    // Act
+    await request(app)
+      .post(`/client/tickets/${ticket.id}/status`)
+      .set('Cookie', deptCookies)
+      .send({ status: 'closed', _csrf: deptCsrfToken });
+
+    // Assert
+    const auditLogs = await AuditLog.findByTarget('ticket', ticket.id);
+    expect(auditLogs).toHaveLength(1);
+    expect(auditLogs[0]).toMatchObject({
+      actor_id: deptUser.id,
+      action: 'TICKET_UPDATED',
+      details: { old: { status: 'in_progress' }, new: { status: 'closed' } },
+    });
+    expect(auditLogs[0].ip_address).toBeTruthy();
+  });
+
+  it('should audit tickets created through the API', async () => {
+    // Act
+    const response = await request(app)
+      .post('/api/v1/tickets')
+      .set('Cookie', deptCookies)
+      .set('X-CSRF-Token', deptCsrfToken)
+      .send({
+        title: 'Badge reader offline',
+        description: 'The badge reader at the ward entrance does not respond',
+        reporter_phone: '2101234567',
+      });
+
+    // Assert
+    expect(response.status).toBe(201);
+    const auditLogs = await AuditLog.findByTarget('ticket', response.body.data.id);
+    expect(auditLogs.map((log) => log.action)).toEqual(['TICKET_CREATED']);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Client Dashboard Summary Integration Tests
+ *
+ * Tests the department dashboard summary panel with real database:
+ * - Status changes by admins and department users are recorded in ticket_status_history
+ * - The panel shows open counts by status, the average wait on the admin team,
+ *   tickets closed this month and the oldest outstanding ticket
+ * - Only the user's own department is summarised
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const pool = require('../../../config/database');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+
+/**
+ * Status periods of a ticket, oldest first
+ * @param {number} ticketId
+ * @returns {Promise<Array>}
+ */
+async function findHistory(ticketId) {
+  const result = await pool.query(
+    `SELECT status, started_at, ended_at
+     FROM ticket_status_history
+     WHERE ticket_id = $1
+     ORDER BY started_at, id`,
+    [ticketId],
+  );
+  return result.rows;
+}
+
+describe('Client Dashboard Summary Integration Tests', () => {
+  let deptCookies;
+  let deptCsrfToken;
+  let adminCookies;
+  let adminCsrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    await User.create(adminData);
+    ({ cookies: adminCookies, csrfToken: adminCsrfToken } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  describe('Status history', () => {
+    it('should open a period for the initial status', async () => {
+      // Act
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Assert
+      const history = await findHistory(ticket.id);
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ status: 'open', ended_at: null });
+    });
+
+    it('should record admin and department status changes', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      await request(app)
+        .post(`/admin/tickets/${ticket.id}/status`)
+        .set('Cookie', adminCookies)
+        .send({ status: 'waiting_on_department', _csrf: adminCsrfToken });
+      await request(app)
+        .post(`/client/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies)
+        .send({ content: 'Here is the information you asked for', _csrf: deptCsrfToken });
+      await request(app)
+        .post(`/client/tickets/${ticket.id}/status`)
+        .set('Cookie', deptCookies)
+        .send({ status: 'closed', _csrf: deptCsrfToken });
+
+      // Assert
+      const history = await findHistory(ticket.id);
+      expect(history.map((period) => period.status)).toEqual([
+        'open',
+        'waiting_on_department',
+        'waiting_on_admin',
+        'closed',
+      ]);
+      expect(history.slice(0, 3).every((period) => period.ended_at !== null)).toBe(true);
+      expect(history[3].ended_at).toBeNull();
+    });
+
+    it('should not open a new period when the status does not change', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'waiting_on_admin' }),
+      );
+
+      // Act
+      await Ticket.update(ticket.id, { status: 'waiting_on_admin' });
+
+      // Assert
+      expect(await findHistory(ticket.id)).toHaveLength(1);
+    });
+  });
+
+  describe('GET /client/dashboard', () => {
+    it('should show the summary panel for the department', async () => {
+      // Arrange
+      const oldest = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', title: 'Broken ECG printer' }),
+      );
+      await pool.query("UPDATE tickets SET created_at = NOW() - INTERVAL '5 days' WHERE id = $1", [
+        oldest.id,
+      ]);
+
+      const waited = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'waiting_on_admin' }),
+      );
+      // Two hours spent waiting on the admin team, then closed
+      await pool.query(
+        `UPDATE ticket_status_history
+         SET started_at = NOW() - INTERVAL '2 hours'
+         WHERE ticket_id = $1`,
+        [waited.id],
+      );
+      await Ticket.update(waited.id, { status: 'closed' });
+
+      // Another department's ticket is not counted
+      await Ticket.create(createTicketData({ reporter_department: 'Radiology' }));
+
+      // Act
+      const response = await request(app).get('/client/dashboard').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('Department Summary');
+      expect(response.text).toContain('2.0 h');
+      expect(response.text).toContain('1 wait finished in the last 30 days');
+      expect(response.text).toContain(`#${oldest.id} Broken ECG printer`);
+      expect(response.text).toContain('Opened 5 days ago');
+    });
+
+    it('should show an empty summary for a department without tickets', async () => {
+      // Act
+      const response = await request(app).get('/client/dashboard').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('No outstanding tickets');
+      expect(response.text).toContain('0 waits finished in the last 30 days');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Department Rename Integration Tests
+ *
+ * Tests that renaming a department keeps its users and tickets with real database:
+ * - The new name is copied onto the department's users and tickets (id unchanged)
+ * - A department user who is logged in during the rename keeps access to the
+ *   department's tickets, and the session picks up the new name
+ * - The audit entry records the rename and how many users and tickets it affected
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const pool = require('../../../config/database');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const Department = require('../../../models/Department');
+const AuditLog = require('../../../models/AuditLog');
+
+describe('Department Rename Integration Tests', () => {
+  let cardiology;
+  let deptUser;
+  let deptCookies;
+  let superAdminCookies;
+  let superAdminCsrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+    cardiology = await Department.findByName('Cardiology');
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+
+    const superAdminData = createUserData({ role: 'super_admin', status: 'active' });
+    await User.create(superAdminData);
+    ({ cookies: superAdminCookies, csrfToken: superAdminCsrfToken } = await authenticateUser(app, {
+      username: superAdminData.username,
+      password: superAdminData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  /**
+   * Rename Cardiology through the admin form
+   * @param {string} name - New department name
+   */
+  async function renameCardiology(name) {
+    return request(app)
+      .post(`/admin/departments/${cardiology.id}`)
+      .set('Cookie', superAdminCookies)
+      .send({
+        name,
+        description: cardiology.description,
+        floor: cardiology.floor,
+        _csrf: superAdminCsrfToken,
+      });
+  }
+
+  it('should carry the new name to users and tickets without changing their department', async () => {
+    // Arrange
+    const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+    // Act
+    const response = await renameCardiology('Cardiology & Vascular');
+
+    // Assert
+    expect(response.status).toBe(302);
+    const user = await User.findById(deptUser.id);
+    expect(user).toMatchObject({
+      department: 'Cardiology & Vascular',
+      department_id: cardiology.id,
+    });
+    const renamedTicket = await Ticket.findById(ticket.id);
+    expect(renamedTicket).toMatchObject({
+      reporter_department: 'Cardiology & Vascular',
+      reporter_department_id: cardiology.id,
+      department_floor: cardiology.floor,
+    });
+    const history = await pool.query(
+      'SELECT status FROM ticket_status_history WHERE ticket_id = $1',
+      [ticket.id],
+    );
+    expect(history.rows).toEqual([{ status: 'open' }]);
+  });
+
+  it('should keep a logged-in department user on their tickets after a rename', async () => {
+    // Arrange
+    const ticket = await Ticket.create(
+      createTicketData({ reporter_department: 'Cardiology', title: 'Defibrillator check' }),
+    );
+    await renameCardiology('Cardiology & Vascular');
+
+    // Act
+    const dashboard = await request(app).get('/client/dashboard').set('Cookie', deptCookies);
+    const detail = await request(app)
+      .get(`/client/tickets/${ticket.id}`)
+      .set('Cookie', deptCookies);
+    const me = await request(app).get('/api/v1/me').set('Cookie', deptCookies);
+
+    // Assert
+    expect(dashboard.status).toBe(200);
+    expect(dashboard.text).toContain('Defibrillator check');
+    expect(detail.status).toBe(200);
+    expect(me.body.data.department).toBe('Cardiology & Vascular');
+  });
+
+  it('should audit the rename with the number of users and tickets renamed', async () => {
+    // Arrange
+    await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+    await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+    // Act
+    await renameCardiology('Cardiology & Vascular');
+
+    // Assert
+    const [log] = await AuditLog.findByTarget('department', cardiology.id);
+    expect(log).toMatchObject({
+      action: 'UPDATE_DEPARTMENT',
+      details: {
+        old: { name: 'Cardiology' },
+        new: { name: 'Cardiology & Vascular' },
+        renamed: { users: 1, tickets: 2 },
+      },
+    });
+  });
+
+  it('should not record a rename when only the description changes', async () => {
+    // Act
+    await request(app)
+      .post(`/admin/departments/${cardiology.id}`)
+      .set('Cookie', superAdminCookies)
+      .send({
+        name: 'Cardiology',
+        description: 'Heart care',
+        floor: cardiology.floor,
+        _csrf: superAdminCsrfToken,
+      });
+
+    // Assert
+    const [log] = await AuditLog.findByTarget('department', cardiology.id);
+    expect(log.details.new.description).toBe('Heart care');
+    expect(log.details.renamed).toBeUndefined();
+  });
+});
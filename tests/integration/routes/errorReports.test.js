@@ -0,0 +1,283 @@
+/**
+ * Error Report Routes Integration Tests
+ *
+ * Tests error reporting with real database:
+ * - POST /api/errors/report - Report an error shown to this session, or to a visitor who
+ *   was not signed in (stored in error_reports with the request the server logged under
+ *   the correlation ID)
+ * - GET /admin/error-reports - Filtered list (admin and super_admin only)
+ * - GET /admin/error-reports/:id - Report detail
+ * - POST /admin/error-reports/:id/resolve - Mark resolved (audited)
+ * - POST /admin/error-reports/:id/ticket - Create a linked internal admin ticket
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const pool = require('../../../config/database');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData } = require('../../helpers/factories');
+const { authenticateUser, fetchCsrfToken, mergeCookies } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const ErrorReport = require('../../../models/ErrorReport');
+
+/**
+ * Correlation ID of the error page in a response
+ * @param {string} html - Error page
+ * @returns {string}
+ */
+function extractCorrelationId(html) {
+  return html.match(/data-report-error="([0-9A-F]{16})"/)[1];
+}
+
+describe('Error Report Routes Integration Tests', () => {
+  let deptUser;
+  let deptCookies;
+  let deptCsrfToken;
+  let adminUser;
+  let adminCookies;
+  let adminCsrfToken;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const deptData = createUserData({ role: 'department', status: 'active' });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    adminUser = await User.create(adminData);
+    ({ cookies: adminCookies, csrfToken: adminCsrfToken } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  /**
+   * Open a missing page as the department user and report the error page
+   * @param {string} userDescription - What the user was doing
+   * @returns {Promise<{correlationId: string, response: Object}>}
+   */
+  async function reportMissingPage(userDescription = 'Followed a link from an email') {
+    const page = await request(app).get('/client/old-page').set('Cookie', deptCookies);
+    const correlationId = extractCorrelationId(page.text);
+
+    const response = await request(app)
+      .post('/api/errors/report')
+      .set('Cookie', deptCookies)
+      .set('X-CSRF-Token', deptCsrfToken)
+      .send({ correlationId, userDescription, additionalData: { viewport: { width: 1280 } } });
+
+    return { correlationId, response };
+  }
+
+  describe('POST /api/errors/report', () => {
+    it('should store the report with the request behind the correlation ID', async () => {
+      // Act
+      const { correlationId, response } = await reportMissingPage();
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, reportId: correlationId });
+      const result = await pool.query('SELECT * FROM error_reports WHERE correlation_id = $1', [
+        correlationId,
+      ]);
+      expect(result.rows[0]).toMatchObject({
+        category: 'NOT_FOUND',
+        status_code: 404,
+        request_method: 'GET',
+        request_path: '/client/old-page',
+        user_id: deptUser.id,
+        description: 'Followed a link from an email',
+        additional_data: { viewport: { width: 1280 } },
+        status: 'open',
+      });
+    });
+
+    it('should accept each error only once', async () => {
+      // Arrange
+      const { correlationId } = await reportMissingPage();
+
+      // Act
+      const response = await request(app)
+        .post('/api/errors/report')
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ correlationId, userDescription: 'Again' });
+
+      // Assert
+      expect(response.status).toBe(404);
+      expect(await ErrorReport.countAll()).toBe(1);
+    });
+
+    it('should reject a correlation ID shown to another session', async () => {
+      // Arrange
+      const page = await request(app).get('/client/old-page').set('Cookie', deptCookies);
+      const correlationId = extractCorrelationId(page.text);
+
+      // Act
+      const response = await request(app)
+        .post('/api/errors/report')
+        .set('Cookie', adminCookies)
+        .set('X-CSRF-Token', adminCsrfToken)
+        .send({ correlationId });
+
+      // Assert
+      expect(response.status).toBe(404);
+      expect(await ErrorReport.countAll()).toBe(0);
+    });
+
+    it('should accept a report of a visitor who was not signed in', async () => {
+      // Arrange
+      const { csrfToken, cookies } = await fetchCsrfToken(app);
+      const page = await request(app).get('/old-page').set('Cookie', cookies);
+      const correlationId = extractCorrelationId(page.text);
+
+      // Act
+      const response = await request(app)
+        .post('/api/errors/report')
+        .set('Cookie', mergeCookies(cookies, page.headers['set-cookie']))
+        .set('X-CSRF-Token', csrfToken)
+        .send({ correlationId, userDescription: 'Old bookmark' });
+
+      // Assert
+      expect(response.status).toBe(200);
+      const result = await pool.query('SELECT * FROM error_reports WHERE correlation_id = $1', [
+        correlationId,
+      ]);
+      expect(result.rows[0]).toMatchObject({ request_path: '/old-page', user_id: null });
+    });
+
+    it('should reject a malformed correlation ID', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/errors/report')
+        .set('Cookie', deptCookies)
+        .set('X-CSRF-Token', deptCsrfToken)
+        .send({ correlationId: 'not-an-id' });
+
+      // Assert
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /admin/error-reports', () => {
+    it('should require admin role', async () => {
+      // Act
+      const response = await request(app).get('/admin/error-reports').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/admin/dashboard');
+    });
+
+    it('should list reports and filter them by status', async () => {
+      // Arrange
+      const { correlationId } = await reportMissingPage();
+
+      // Act
+      const open = await request(app)
+        .get('/admin/error-reports?status=open')
+        .set('Cookie', adminCookies);
+      const resolved = await request(app)
+        .get('/admin/error-reports?status=resolved')
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(open.status).toBe(200);
+      expect(open.text).toContain(correlationId);
+      expect(resolved.status).toBe(200);
+      expect(resolved.text).not.toContain(correlationId);
+    });
+  });
+
+  describe('GET /admin/error-reports/:id', () => {
+    it('should show the report with the failed request', async () => {
+      // Arrange
+      const { correlationId } = await reportMissingPage();
+      const [report] = await ErrorReport.findAll();
+
+      // Act
+      const response = await request(app)
+        .get(`/admin/error-reports/${report.id}`)
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain(correlationId);
+      expect(response.text).toContain('/client/old-page');
+      expect(response.text).toContain('Followed a link from an email');
+    });
+  });
+
+  describe('POST /admin/error-reports/:id/resolve', () => {
+    it('should resolve the report and audit it', async () => {
+      // Arrange
+      await reportMissingPage();
+      const [report] = await ErrorReport.findAll();
+
+      // Act
+      const response = await request(app)
+        .post(`/admin/error-reports/${report.id}/resolve`)
+        .set('Cookie', adminCookies)
+        .send({ resolution: 'Link in the newsletter fixed', _csrf: adminCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      const resolved = await ErrorReport.findById(report.id);
+      expect(resolved).toMatchObject({
+        status: 'resolved',
+        resolution: 'Link in the newsletter fixed',
+        resolved_by: adminUser.id,
+      });
+      const audit = await pool.query(
+        'SELECT * FROM audit_logs WHERE action = $1 AND target_id = $2',
+        ['ERROR_REPORT_RESOLVED', report.id],
+      );
+      expect(audit.rows).toHaveLength(1);
+    });
+  });
+
+  describe('POST /admin/error-reports/:id/ticket', () => {
+    it('should create an internal admin ticket once and link it', async () => {
+      // Arrange
+      const { correlationId } = await reportMissingPage();
+      const [report] = await ErrorReport.findAll();
+
+      // Act
+      const response = await request(app)
+        .post(`/admin/error-reports/${report.id}/ticket`)
+        .set('Cookie', adminCookies)
+        .send({ _csrf: adminCsrfToken });
+      const again = await request(app)
+        .post(`/admin/error-reports/${report.id}/ticket`)
+        .set('Cookie', adminCookies)
+        .send({ _csrf: adminCsrfToken });
+
+      // Assert
+      const linked = await ErrorReport.findById(report.id);
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(`/admin/tickets/${linked.ticket_id}`);
+      const ticket = await Ticket.findById(linked.ticket_id);
+      expect(ticket).toMatchObject({
+        title: `Error report ${correlationId}: NOT_FOUND`,
+        reporter_department: 'Internal',
+        reporter_id: adminUser.id,
+        is_admin_created: true,
+      });
+      expect(again.headers.location).toBe(`/admin/error-reports/${report.id}`);
+      const tickets = await pool.query('SELECT COUNT(*) AS count FROM tickets');
+      expect(parseInt(tickets.rows[0].count)).toBe(1);
+    });
+  });
+});
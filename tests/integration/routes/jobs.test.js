@@ -0,0 +1,164 @@
+/**
+ * Background Job Routes Integration Tests
+ *
+ * Tests the job scheduler with real database:
+ * - GET /admin/jobs - Jobs with their schedule and run history (super_admin only)
+ * - POST /admin/jobs/:name/run - Run a job now (audited)
+ * - Job locks: a job held by one worker is not run by another
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const pool = require('../../../config/database');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const ScheduledJob = require('../../../models/ScheduledJob');
+const JobRun = require('../../../models/JobRun');
+const jobService = require('../../../services/jobService');
+
+describe('Background Job Routes Integration Tests', () => {
+  let superAdmin;
+  let superAdminCookies;
+  let superAdminCsrfToken;
+  let adminCookies;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+    // scheduled_jobs is emptied between tests; make the service write its rows again
+    jobService.synced = null;
+
+    const superAdminData = createUserData({ role: 'super_admin', status: 'active' });
+    superAdmin = await User.create(superAdminData);
+    ({ cookies: superAdminCookies, csrfToken: superAdminCsrfToken } = await authenticateUser(app, {
+      username: superAdminData.username,
+      password: superAdminData.password,
+    }));
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    await User.create(adminData);
+    ({ cookies: adminCookies } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  describe('GET /admin/jobs', () => {
+    it('should require super admin role', async () => {
+      // Act
+      const response = await request(app).get('/admin/jobs').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+    });
+
+    it('should list every job', async () => {
+      // Act
+      const response = await request(app).get('/admin/jobs').set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('/admin/jobs/sla_warnings/run');
+      expect(response.text).toContain('/admin/jobs/cleanup/run');
+      expect((await ScheduledJob.findAll()).length).toBe(4);
+    });
+  });
+
+  describe('POST /admin/jobs/:name/run', () => {
+    it('should run the job, record the run and audit it', async () => {
+      // Act
+      const response = await request(app)
+        .post('/admin/jobs/cleanup/run')
+        .set('Cookie', superAdminCookies)
+        .set('X-CSRF-Token', superAdminCsrfToken);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/admin/jobs?job=cleanup');
+
+      const [run] = await JobRun.findAll({ jobName: 'cleanup' });
+      expect(run).toMatchObject({
+        trigger: 'manual',
+        triggered_by: superAdmin.id,
+        triggered_by_username: superAdmin.username,
+        status: 'succeeded',
+        worker: jobService.worker,
+      });
+      expect(run.finished_at).not.toBeNull();
+
+      const [job] = (await ScheduledJob.findAll()).filter(({ name }) => name === 'cleanup');
+      expect(job).toMatchObject({ last_status: 'succeeded', locked_by: null });
+      expect(new Date(job.next_run_at).getTime()).toBeGreaterThan(Date.now());
+
+      const audit = await pool.query('SELECT * FROM audit_logs WHERE action = $1', [
+        'JOB_TRIGGERED',
+      ]);
+      expect(audit.rows[0]).toMatchObject({ actor_id: superAdmin.id, target_id: run.id });
+
+      const page = await request(app)
+        .get('/admin/jobs?job=cleanup')
+        .set('Cookie', superAdminCookies);
+      expect(page.text).toContain(superAdmin.username);
+    });
+
+    it('should not run a job another worker holds', async () => {
+      // Arrange
+      await jobService.ensureJobs();
+      await ScheduledJob.claim('cleanup', {
+        worker: 'other-host:1',
+        leaseMinutes: 30,
+        force: true,
+      });
+
+      // Act
+      const response = await request(app)
+        .post('/admin/jobs/cleanup/run')
+        .set('Cookie', superAdminCookies)
+        .set('X-CSRF-Token', superAdminCsrfToken);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(await JobRun.countAll({ jobName: 'cleanup' })).toBe(0);
+    });
+
+    it('should reject unknown jobs', async () => {
+      // Act
+      const response = await request(app)
+        .post('/admin/jobs/drop_everything/run')
+        .set('Cookie', superAdminCookies)
+        .set('X-CSRF-Token', superAdminCsrfToken);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(await JobRun.countAll()).toBe(0);
+    });
+  });
+
+  describe('scheduled runs', () => {
+    it('should run a due job in only one of two workers', async () => {
+      // Arrange
+      await jobService.ensureJobs();
+      await pool.query('UPDATE scheduled_jobs SET next_run_at = CURRENT_TIMESTAMP');
+      const otherWorker = { worker: 'other-host:1', leaseMinutes: 30 };
+
+      // Act
+      const claims = await Promise.all([
+        ScheduledJob.claim('cleanup', otherWorker),
+        ScheduledJob.claim('cleanup', { ...otherWorker, worker: jobService.worker }),
+      ]);
+      const run = await jobService.runJob('cleanup');
+
+      // Assert
+      expect(claims.filter(Boolean)).toHaveLength(1);
+      expect(run).toBeNull();
+    });
+  });
+});
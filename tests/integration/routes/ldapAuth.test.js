@@ -0,0 +1,208 @@
+/**
+ * LDAP Authentication Integration Tests
+ *
+ * Tests login through the LDAP provider with real database, against the in-process
+ * LDAP server of tests/helpers/ldapServer.js:
+ * - Just-in-time account creation with role and department from the groups
+ * - Role changes in the directory applied at the next login
+ * - Directory users without a mapped group, and local accounts with the same name
+ * - Group mappings naming a department that does not exist
+ * - Password changes refused for directory users
+ *
+ * AUTH_PROVIDERS is read when config/auth.js loads, so the LDAP provider is added to the
+ * service here. Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const pool = require('../../../config/database');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const { startLdapServer, createLdapProvider, GROUPS } = require('../../helpers/ldapServer');
+const authService = require('../../../services/authService');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+
+describe('LDAP Authentication Integration Tests', () => {
+  const localProviders = authService.providers;
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    server = await startLdapServer();
+    url = `ldap://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+    authService.providers = [...localProviders, createLdapProvider(url)];
+  });
+
+  afterEach(async () => {
+    authService.providers = localProviders;
+    await teardownIntegrationTest();
+  });
+
+  it('should create the account of a directory user on first login', async () => {
+    // Act
+    const { cookies, loginResponse } = await authenticateUser(app, {
+      username: 'jdoe',
+      password: 'Jane#Pass123',
+    });
+    const dashboard = await request(app).get('/client/dashboard').set('Cookie', cookies);
+
+    // Assert
+    expect(loginResponse.status).toBe(302);
+    expect(loginResponse.headers.location).toBe('/client/dashboard');
+    expect(dashboard.status).toBe(200);
+    const user = await User.findByUsername('jdoe');
+    expect(user).toEqual(
+      expect.objectContaining({
+        email: 'jdoe@hospital.local',
+        role: 'department',
+        department: 'Cardiology',
+        auth_provider: 'ldap',
+      }),
+    );
+    const auditLogs = await AuditLog.findByTarget('user', user.id);
+    expect(auditLogs.some((log) => log.action === 'USER_PROVISIONED')).toBe(true);
+  });
+
+  it('should sign the same account in again and follow group changes', async () => {
+    // Arrange
+    await authenticateUser(app, { username: 'jdoe', password: 'Jane#Pass123' });
+    const user = await User.findByUsername('jdoe');
+    await User.update(user.id, { role: 'admin', department: null });
+
+    // Act
+    const { loginResponse } = await authenticateUser(app, {
+      username: 'jdoe',
+      password: 'Jane#Pass123',
+    });
+
+    // Assert
+    expect(loginResponse.headers.location).toBe('/client/dashboard');
+    const synced = await User.findByUsername('jdoe');
+    expect(synced.id).toBe(user.id);
+    expect(synced.role).toBe('department');
+    expect(synced.department).toBe('Cardiology');
+    const auditLogs = await AuditLog.findByTarget('user', user.id);
+    expect(auditLogs.some((log) => log.action === 'USER_DIRECTORY_SYNC')).toBe(true);
+  });
+
+  it('should refuse a wrong directory password', async () => {
+    // Act
+    const { loginResponse } = await authenticateUser(app, {
+      username: 'jdoe',
+      password: 'Wrong#Pass123',
+    });
+
+    // Assert
+    expect(loginResponse.headers.location).toBe('/auth/login');
+    expect(await User.findByUsername('jdoe')).toBeUndefined();
+  });
+
+  it('should not create an account for directory users in no mapped group', async () => {
+    // Act
+    const { loginResponse } = await authenticateUser(app, {
+      username: 'snogroup',
+      password: 'Sam#Pass123',
+    });
+
+    // Assert
+    expect(loginResponse.headers.location).toBe('/auth/login');
+    expect(await User.findByUsername('snogroup')).toBeUndefined();
+  });
+
+  it('should refuse and audit the login when the mapped department does not exist', async () => {
+    // Arrange
+    authService.providers = [
+      ...localProviders,
+      createLdapProvider(url, {
+        departmentGroups: [{ department: 'Cardiac Surgery', group: GROUPS.cardiology }],
+      }),
+    ];
+
+    // Act
+    const { loginResponse } = await authenticateUser(app, {
+      username: 'jdoe',
+      password: 'Jane#Pass123',
+    });
+
+    // Assert
+    expect(loginResponse.status).toBe(302);
+    expect(loginResponse.headers.location).toBe('/auth/login');
+    expect(await User.findByUsername('jdoe')).toBeUndefined();
+    const audit = await pool.query(
+      "SELECT details FROM audit_logs WHERE action = 'USER_LOGIN_FAILED' AND details->>'username' = $1",
+      ['jdoe'],
+    );
+    expect(audit.rows.map((row) => row.details.reason)).toEqual(['provision_failed']);
+  });
+
+  it('should keep checking local accounts with their own password', async () => {
+    // Arrange
+    const userData = createUserData({ username: 'aadmin', role: 'admin', status: 'active' });
+    await User.create(userData);
+
+    // Act
+    const directoryLogin = await authenticateUser(app, {
+      username: 'aadmin',
+      password: 'Alex#Pass123',
+    });
+    const localLogin = await authenticateUser(app, {
+      username: 'aadmin',
+      password: userData.password,
+    });
+
+    // Assert
+    expect(directoryLogin.loginResponse.headers.location).toBe('/auth/login');
+    expect(localLogin.loginResponse.headers.location).toBe('/admin/dashboard');
+    expect((await User.findByUsername('aadmin')).auth_provider).toBe('local');
+  });
+
+  it('should refuse password changes of directory users', async () => {
+    // Arrange
+    const { cookies, csrfToken } = await authenticateUser(app, {
+      username: 'jdoe',
+      password: 'Jane#Pass123',
+    });
+
+    // Act
+    const response = await request(app).post('/account/password').set('Cookie', cookies).send({
+      current_password: 'Jane#Pass123',
+      new_password: 'Another#Pass456',
+      confirm_password: 'Another#Pass456',
+      _csrf: csrfToken,
+    });
+    const page = await request(app).get('/account').set('Cookie', cookies);
+
+    // Assert
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/account');
+    expect(page.text).not.toContain('action="/account/password"');
+  });
+
+  it('should tell the user when the directory cannot be reached', async () => {
+    // Arrange
+    authService.providers = [...localProviders, createLdapProvider('ldap://127.0.0.1:1')];
+
+    // Act
+    const { cookies, loginResponse } = await authenticateUser(app, {
+      username: 'jdoe',
+      password: 'Jane#Pass123',
+    });
+    const page = await request(app).get('/auth/login').set('Cookie', cookies);
+
+    // Assert
+    expect(loginResponse.status).toBe(302);
+    expect(loginResponse.headers.location).toBe('/auth/login');
+    expect(page.text).toMatch(/cannot be reached|δεν είναι διαθέσιμος/);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Notification Center Integration Tests
+ *
+ * Tests the in-app notification center with real database:
+ * - Ticket activity creates notifications for the right recipients
+ * - Header bell shows the unread count
+ * - /notifications lists notifications; opening one marks it read and redirects
+ *   to the ticket; users cannot read other users' notifications
+ * - Mark all as read
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const Notification = require('../../../models/Notification');
+
+describe('Notification Center Integration Tests', () => {
+  let deptUser;
+  let deptCookies;
+  let deptCsrfToken;
+  let admin;
+  let adminCookies;
+  let adminCsrfToken;
+  let otherAdmin;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    admin = await User.create(adminData);
+    ({ cookies: adminCookies, csrfToken: adminCsrfToken } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+
+    otherAdmin = await User.create(createUserData({ role: 'admin', status: 'active' }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  describe('Recording notifications', () => {
+    it('should notify the department about a public admin reply', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      await request(app)
+        .post(`/admin/tickets/${ticket.id}/comments`)
+        .set('Cookie', adminCookies)
+        .send({ content: 'We are on it', _csrf: adminCsrfToken });
+
+      // Assert
+      const notifications = await Notification.findRecentByUser(deptUser.id);
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({
+        ticket_id: ticket.id,
+        event_type: 'ticket_reply',
+        actor_username: admin.username,
+        read_at: null,
+      });
+    });
+
+    it('should notify an admin when a ticket is assigned to them', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      await request(app)
+        .post(`/admin/tickets/${ticket.id}/assign`)
+        .set('Cookie', adminCookies)
+        .send({ assigned_to: otherAdmin.id, _csrf: adminCsrfToken });
+
+      // Assert
+      const notifications = await Notification.findRecentByUser(otherAdmin.id);
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].event_type).toBe('ticket_assigned');
+    });
+
+    it('should not notify admins who assign a ticket to themselves', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      await request(app)
+        .post(`/admin/tickets/${ticket.id}/assign`)
+        .set('Cookie', adminCookies)
+        .send({ assigned_to: admin.id, _csrf: adminCsrfToken });
+
+      // Assert
+      expect(await Notification.countUnreadByUser(admin.id)).toBe(0);
+    });
+  });
+
+  describe('Header bell', () => {
+    it('should show the unread count', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      await Notification.createMany([
+        {
+          user_id: deptUser.id,
+          ticket_id: ticket.id,
+          actor_id: admin.id,
+          event_type: 'ticket_reply',
+        },
+        {
+          user_id: deptUser.id,
+          ticket_id: ticket.id,
+          actor_id: admin.id,
+          event_type: 'ticket_reply',
+        },
+      ]);
+
+      // Act
+      const response = await request(app).get('/client/dashboard').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('action="/notifications/read-all"');
+      expect(response.text).toMatch(/bg-red-600[^>]*>\s*2\s*</);
+    });
+  });
+
+  describe('GET /notifications', () => {
+    it('should list the user notifications', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ title: 'Printer offline', reporter_department: 'Cardiology' }),
+      );
+      await Notification.createMany([
+        {
+          user_id: deptUser.id,
+          ticket_id: ticket.id,
+          actor_id: admin.id,
+          event_type: 'ticket_reply',
+        },
+      ]);
+
+      // Act
+      const response = await request(app).get('/notifications').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('Printer offline');
+      expect(response.text).toContain(admin.username);
+    });
+
+    it('should require login', async () => {
+      // Act
+      const response = await request(app).get('/notifications');
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/auth/login');
+    });
+  });
+
+  describe('POST /notifications/:id/read', () => {
+    it('should mark the notification read and open the ticket in the client portal', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      const [notification] = await Notification.createMany([
+        {
+          user_id: deptUser.id,
+          ticket_id: ticket.id,
+          actor_id: admin.id,
+          event_type: 'ticket_reply',
+        },
+      ]);
+
+      // Act
+      const response = await request(app)
+        .post(`/notifications/${notification.id}/read`)
+        .set('Cookie', deptCookies)
+        .send({ _csrf: deptCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(`/client/tickets/${ticket.id}`);
+      expect(await Notification.countUnreadByUser(deptUser.id)).toBe(0);
+    });
+
+    it('should not mark notifications of other users', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      const [notification] = await Notification.createMany([
+        { user_id: otherAdmin.id, ticket_id: ticket.id, event_type: 'ticket_assigned' },
+      ]);
+
+      // Act
+      const response = await request(app)
+        .post(`/notifications/${notification.id}/read`)
+        .set('Cookie', adminCookies)
+        .send({ _csrf: adminCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/notifications');
+      expect(await Notification.countUnreadByUser(otherAdmin.id)).toBe(1);
+    });
+  });
+
+  describe('POST /notifications/read-all', () => {
+    it('should mark every notification of the user as read', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      await Notification.createMany([
+        { user_id: deptUser.id, ticket_id: ticket.id, event_type: 'ticket_reply' },
+        { user_id: deptUser.id, ticket_id: ticket.id, event_type: 'status_change' },
+        { user_id: admin.id, ticket_id: ticket.id, event_type: 'department_reply' },
+      ]);
+
+      // Act
+      const response = await request(app)
+        .post('/notifications/read-all')
+        .set('Cookie', deptCookies)
+        .send({ _csrf: deptCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(await Notification.countUnreadByUser(deptUser.id)).toBe(0);
+      expect(await Notification.countUnreadByUser(admin.id)).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Notification Integration Tests
+ *
+ * Tests email notifications with real database:
+ * - /account/notifications - view and save per-event opt-outs
+ * - Public admin replies email the reporter's department, honouring opt-outs
+ * - Department replies email the assigned admin
+ *
+ * The mail transport is spied on; the console transport is used in tests.
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const mail = require('../../../config/mail');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const NotificationPreference = require('../../../models/NotificationPreference');
+
+describe('Notification Integration Tests', () => {
+  let deptUser;
+  let deptCookies;
+  let deptCsrfToken;
+  let colleague;
+  let admin;
+  let adminCookies;
+  let adminCsrfToken;
+  let sendMail;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+    sendMail = jest.spyOn(mail.transport, 'sendMail');
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    deptUser = await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+
+    colleague = await User.create(
+      createUserData({ role: 'department', status: 'active', department: 'Cardiology' }),
+    );
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    admin = await User.create(adminData);
+    ({ cookies: adminCookies, csrfToken: adminCsrfToken } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    sendMail.mockRestore();
+    await teardownIntegrationTest();
+  });
+
+  const recipients = () => sendMail.mock.calls.map(([message]) => message.to).sort();
+
+  describe('/account/notifications', () => {
+    it('should list the events of the user role as enabled by default', async () => {
+      // Act
+      const response = await request(app).get('/account/notifications').set('Cookie', deptCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('value="ticket_reply"');
+      expect(response.text).toContain('value="status_change"');
+      expect(response.text).not.toContain('value="department_reply"');
+      expect(response.text.match(/checked/g)).toHaveLength(2);
+    });
+
+    it('should store unchecked events as opted out', async () => {
+      // Act
+      const response = await request(app)
+        .post('/account/notifications')
+        .set('Cookie', deptCookies)
+        .send({ email_events: 'ticket_reply', _csrf: deptCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/account/notifications');
+      const stored = await NotificationPreference.findByUserId(deptUser.id);
+      expect(stored).toEqual([
+        { event_type: 'status_change', email_enabled: false },
+        { event_type: 'ticket_reply', email_enabled: true },
+      ]);
+    });
+
+    it('should reject unknown events', async () => {
+      // Act
+      await request(app)
+        .post('/account/notifications')
+        .set('Cookie', deptCookies)
+        .send({ email_events: ['weekly_digest'], _csrf: deptCsrfToken });
+
+      // Assert
+      expect(await NotificationPreference.findByUserId(deptUser.id)).toEqual([]);
+    });
+
+    it('should require authentication', async () => {
+      // Act
+      const response = await request(app).get('/account/notifications');
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/auth/login');
+    });
+  });
+
+  describe('ticket activity', () => {
+    it('should email the department about a public admin reply', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      await request(app)
+        .post(`/admin/tickets/${ticket.id}/comments`)
+        .set('Cookie', adminCookies)
+        .send({ content: 'We are on it', _csrf: adminCsrfToken });
+
+      // Assert
+      expect(recipients()).toEqual([colleague.email, deptUser.email].sort());
+      expect(sendMail.mock.calls[0][0].html).toContain('We are on it');
+    });
+
+    it('should not email users who opted out of replies', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      await NotificationPreference.upsert(colleague.id, 'ticket_reply', false);
+
+      // Act
+      await request(app)
+        .post(`/admin/tickets/${ticket.id}/comments`)
+        .set('Cookie', adminCookies)
+        .send({ content: 'We are on it', _csrf: adminCsrfToken });
+
+      // Assert
+      expect(recipients()).toEqual([deptUser.email]);
+    });
+
+    it('should not email the department about internal comments', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+
+      // Act
+      await request(app)
+        .post(`/admin/tickets/${ticket.id}/comments`)
+        .set('Cookie', adminCookies)
+        .send({ content: 'Internal note', is_internal: 'on', _csrf: adminCsrfToken });
+
+      // Assert
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should email the assigned admin about a department reply', async () => {
+      // Arrange
+      const ticket = await Ticket.create(createTicketData({ reporter_department: 'Cardiology' }));
+      await Ticket.update(ticket.id, { assigned_to: admin.id });
+
+      // Act
+      await request(app)
+        .post(`/client/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies)
+        .send({ content: 'Still broken', _csrf: deptCsrfToken });
+
+      // Assert
+      expect(recipients()).toEqual([admin.email]);
+    });
+  });
+});
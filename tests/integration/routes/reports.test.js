@@ -0,0 +1,153 @@
+/**
+ * Reports Routes Integration Tests
+ *
+ * Tests the ticket reports with real database:
+ * - GET /admin/reports - Report page (admin and super_admin only)
+ * - GET /admin/reports/export - CSV download of one report
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const pool = require('../../../config/database');
+
+describe('Reports Routes Integration Tests', () => {
+  let adminCookies;
+  let departmentCookies;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const adminData = createUserData({ role: 'admin', status: 'active' });
+    await User.create(adminData);
+    ({ cookies: adminCookies } = await authenticateUser(app, {
+      username: adminData.username,
+      password: adminData.password,
+    }));
+
+    const departmentData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    await User.create(departmentData);
+    ({ cookies: departmentCookies } = await authenticateUser(app, {
+      username: departmentData.username,
+      password: departmentData.password,
+    }));
+
+    await Ticket.create(
+      createTicketData({ reporter_department: 'Cardiology', reporter_name: 'Maria Papadopoulou' }),
+    );
+    await Ticket.create(
+      createTicketData({ reporter_department: 'Cardiology', reporter_name: 'maria papadopoulou ' }),
+    );
+    const closed = await Ticket.create(createTicketData({ reporter_department: 'Radiology' }));
+    await Ticket.update(closed.id, { status: 'closed' });
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  describe('GET /admin/reports', () => {
+    it('should require an admin role', async () => {
+      // Act
+      const response = await request(app).get('/admin/reports').set('Cookie', departmentCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+    });
+
+    it('should show the reports for the default range', async () => {
+      // Act
+      const response = await request(app).get('/admin/reports').set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('3 opened, 1 closed in this range');
+      expect(response.text).toContain('Backlog (2 open)');
+      expect(response.text).toContain('Cardiology');
+      expect(response.text).toContain('2nd Floor');
+      expect(response.text).toMatch(/maria papadopoulou/i);
+      expect(response.text).toContain('<svg');
+    });
+
+    it('should group by week and ignore malformed dates', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/reports?granularity=week&from=not-a-date')
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('3 opened, 1 closed in this range');
+    });
+  });
+
+  describe('GET /admin/reports/export', () => {
+    it('should download the department breakdown as CSV', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/reports/export?report=departments')
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(
+        /attachment; filename="report-departments-.*\.csv"/,
+      );
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe(
+        'Department,Floor,Opened,Closed,Backlog,' +
+          'Median First Response (minutes),Median Time To Close (minutes)',
+      );
+      expect(lines).toContainEqual(expect.stringMatching(/^Cardiology,2nd Floor,2,0,2,/));
+      expect(lines).toContainEqual(expect.stringMatching(/^Radiology,3rd Floor,1,1,0,/));
+    });
+
+    it('should download repeat reporters grouped by name', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/reports/export?report=reporters')
+        .set('Cookie', adminCookies);
+
+      // Assert
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toMatch(/^maria papadopoulou,,Cardiology,2,2,/i);
+    });
+
+    it('should count tickets per week', async () => {
+      // Arrange
+      await pool.query("UPDATE tickets SET created_at = date_trunc('week', CURRENT_DATE)");
+
+      // Act
+      const response = await request(app)
+        .get('/admin/reports/export?report=volume&granularity=week')
+        .set('Cookie', adminCookies);
+
+      // Assert
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[lines.length - 1]).toMatch(/,3,1$/);
+    });
+
+    it('should reject unknown reports', async () => {
+      // Act
+      const response = await request(app)
+        .get('/admin/reports/export?report=users')
+        .set('Cookie', adminCookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+    });
+  });
+});
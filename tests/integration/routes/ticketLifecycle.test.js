@@ -0,0 +1,201 @@
+/**
+ * Ticket Lifecycle Integration Tests
+ *
+ * Tests the automatic lifecycle rules with real database:
+ * - Auto-close of tickets idle in waiting_on_department (npm run tickets:auto-close),
+ *   with a public system comment shown in the client portal
+ * - Reopen window: a department comment on a recently closed ticket reopens it
+ *
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const app = require('../../../app');
+const pool = require('../../../config/database');
+const { i18next } = require('../../../config/i18n');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData, createTicketData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const AuditLog = require('../../../models/AuditLog');
+const ticketLifecycleService = require('../../../services/ticketLifecycleService');
+
+/**
+ * Move a ticket's current status period and last change back in time
+ * @param {number} ticketId - Ticket ID
+ * @param {number} days - Days to move back
+ */
+async function backdateStatus(ticketId, days) {
+  await pool.query(
+    `UPDATE ticket_status_history
+     SET started_at = started_at - make_interval(days => $2)
+     WHERE ticket_id = $1 AND ended_at IS NULL`,
+    [ticketId, days],
+  );
+  await pool.query(
+    'UPDATE tickets SET updated_at = updated_at - make_interval(days => $2) WHERE id = $1',
+    [ticketId, days],
+  );
+}
+
+describe('Ticket Lifecycle Integration Tests', () => {
+  let deptCookies;
+  let deptCsrfToken;
+
+  beforeAll(async () => {
+    if (!i18next.isInitialized) {
+      await new Promise((resolve) => i18next.on('initialized', resolve));
+    }
+  });
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    const deptData = createUserData({
+      role: 'department',
+      status: 'active',
+      department: 'Cardiology',
+    });
+    await User.create(deptData);
+    ({ cookies: deptCookies, csrfToken: deptCsrfToken } = await authenticateUser(app, {
+      username: deptData.username,
+      password: deptData.password,
+    }));
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  describe('autoCloseStaleTickets', () => {
+    it('should close tickets idle in waiting_on_department with a system comment', async () => {
+      // Arrange
+      const stale = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'waiting_on_department' }),
+      );
+      const recent = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'waiting_on_department' }),
+      );
+      await backdateStatus(stale.id, 20);
+      await backdateStatus(recent.id, 3);
+
+      // Act
+      const closed = await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(closed).toBe(1);
+      expect((await Ticket.findById(stale.id)).status).toBe('closed');
+      expect((await Ticket.findById(recent.id)).status).toBe('waiting_on_department');
+
+      const [auditLog] = await AuditLog.findByTarget('ticket', stale.id);
+      expect(auditLog).toMatchObject({
+        actor_id: null,
+        action: 'TICKET_UPDATED',
+        details: { new: { status: 'closed' }, auto_closed: true, idle_days: 14 },
+      });
+
+      const page = await request(app).get(`/client/tickets/${stale.id}`).set('Cookie', deptCookies);
+      expect(page.status).toBe(200);
+      expect(page.text).toContain('System');
+      expect(page.text).toContain('closed automatically after waiting 14 days');
+    });
+
+    it('should keep a ticket open while it is being commented on', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'waiting_on_department' }),
+      );
+      await backdateStatus(ticket.id, 20);
+      await pool.query(
+        `INSERT INTO comments (ticket_id, user_id, content, visibility_type)
+         SELECT $1, id, 'Checking with the vendor', 'internal' FROM users LIMIT 1`,
+        [ticket.id],
+      );
+
+      // Act
+      const closed = await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(closed).toBe(0);
+      expect((await Ticket.findById(ticket.id)).status).toBe('waiting_on_department');
+    });
+
+    it('should skip a ticket commented on after it was found', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'waiting_on_department' }),
+      );
+      await backdateStatus(ticket.id, 20);
+      const [found] = await Ticket.findStaleWaitingOnDepartment(14);
+      await pool.query(
+        `INSERT INTO comments (ticket_id, user_id, content, visibility_type)
+         SELECT $1, id, 'Still on it', 'public' FROM users LIMIT 1`,
+        [ticket.id],
+      );
+      const t = i18next.getFixedT('en');
+
+      // Act
+      const result = await ticketLifecycleService.autoCloseTicket(found, 14, t);
+
+      // Assert
+      expect(result).toBeNull();
+      expect((await Ticket.findById(ticket.id)).status).toBe('waiting_on_department');
+      expect(await AuditLog.findByTarget('ticket', ticket.id)).toHaveLength(0);
+      const comments = await pool.query('SELECT * FROM comments WHERE ticket_id = $1', [ticket.id]);
+      expect(comments.rows).toHaveLength(1);
+    });
+  });
+
+  describe('reopen window', () => {
+    it('should reopen a recently closed ticket when the department comments', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'in_progress' }),
+      );
+      await Ticket.update(ticket.id, { status: 'closed' });
+
+      // Act
+      const page = await request(app)
+        .get(`/client/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies);
+      const response = await request(app)
+        .post(`/client/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies)
+        .send({ content: 'The printer is jammed again', _csrf: deptCsrfToken });
+
+      // Assert
+      expect(page.text).toContain('you can reopen it by adding a comment');
+      expect(response.status).toBe(302);
+      const reopened = await Ticket.findById(ticket.id);
+      expect(reopened.status).toBe('waiting_on_admin');
+      expect(reopened.resolved_at).toBeNull();
+    });
+
+    it('should leave a ticket closed once the reopen window is over', async () => {
+      // Arrange
+      const ticket = await Ticket.create(
+        createTicketData({ reporter_department: 'Cardiology', status: 'in_progress' }),
+      );
+      await Ticket.update(ticket.id, { status: 'closed' });
+      await pool.query(
+        'UPDATE tickets SET resolved_at = resolved_at - make_interval(days => 30) WHERE id = $1',
+        [ticket.id],
+      );
+
+      // Act
+      const page = await request(app)
+        .get(`/client/tickets/${ticket.id}`)
+        .set('Cookie', deptCookies);
+      await request(app)
+        .post(`/client/tickets/${ticket.id}/comments`)
+        .set('Cookie', deptCookies)
+        .send({ content: 'Thanks!', _csrf: deptCsrfToken });
+
+      // Assert
+      expect(page.text).not.toContain('name="content"');
+      expect((await Ticket.findById(ticket.id)).status).toBe('closed');
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Two-Factor Authentication Integration Tests
+ *
+ * Tests TOTP two-factor authentication with real database:
+ * - Enrolment on /account/two-factor (QR code, confirming code, recovery codes)
+ * - Second login step at /auth/two-factor before the session user is created
+ * - Recovery codes (single use)
+ * - Super admin reset of a user's two-factor authentication
+ *
+ * Enforcement per role (TWO_FACTOR_REQUIRED_ROLES) is read when the service loads, so it
+ * is covered by the service and middleware unit tests.
+ * Uses pool-based setup (no transactions) since tests make HTTP requests
+ * which cannot see uncommitted transactional data.
+ */
+
+const request = require('supertest');
+const { authenticator } = require('otplib');
+const app = require('../../../app');
+const { setupIntegrationTest, teardownIntegrationTest } = require('../../helpers/database');
+const { createUserData } = require('../../helpers/factories');
+const { authenticateUser } = require('../../helpers/csrf');
+const User = require('../../../models/User');
+const RecoveryCode = require('../../../models/RecoveryCode');
+const AuditLog = require('../../../models/AuditLog');
+const twoFactorService = require('../../../services/twoFactorService');
+
+describe('Two-Factor Authentication Integration Tests', () => {
+  let userData;
+  let user;
+
+  beforeEach(async () => {
+    await setupIntegrationTest();
+
+    userData = createUserData({ role: 'admin', status: 'active' });
+    user = await User.create(userData);
+  });
+
+  afterEach(async () => {
+    await teardownIntegrationTest();
+  });
+
+  /**
+   * Turn two-factor authentication on directly in the database
+   * @returns {Promise<{secret: string, recoveryCode: string}>}
+   */
+  async function enrol(userId) {
+    const secret = authenticator.generateSecret();
+    const recoveryCode = 'abcde-12345';
+    await RecoveryCode.replaceForUser(userId, [twoFactorService.hashRecoveryCode(recoveryCode)]);
+    await User.enableTwoFactor(userId, secret, 0);
+    return { secret, recoveryCode };
+  }
+
+  describe('enrolment', () => {
+    it('should turn two-factor authentication on with a code from the app', async () => {
+      // Arrange
+      const { cookies, csrfToken } = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+      const page = await request(app).get('/account/two-factor').set('Cookie', cookies);
+      const secret = /data-totp-secret>([A-Z2-7 ]+)</.exec(page.text)[1].replace(/ /g, '');
+
+      // Act
+      const response = await request(app)
+        .post('/account/two-factor')
+        .set('Cookie', cookies)
+        .send({ code: authenticator.generate(secret), _csrf: csrfToken });
+
+      // Assert
+      expect(page.status).toBe(200);
+      expect(page.text).toContain('<svg');
+      expect(response.status).toBe(200);
+      expect(response.text.match(/<li>[0-9a-f]{5}-[0-9a-f]{5}<\/li>/g)).toHaveLength(10);
+      expect((await User.findById(user.id)).totp_enabled_at).not.toBeNull();
+      expect(await RecoveryCode.countUnused(user.id)).toBe(10);
+      const auditLogs = await AuditLog.findByTarget('user', user.id);
+      expect(auditLogs.some((log) => log.action === 'TWO_FACTOR_ENABLED')).toBe(true);
+    });
+
+    it('should refuse a wrong code', async () => {
+      // Arrange
+      const { cookies, csrfToken } = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+      await request(app).get('/account/two-factor').set('Cookie', cookies);
+
+      // Act
+      const response = await request(app)
+        .post('/account/two-factor')
+        .set('Cookie', cookies)
+        .send({ code: '000000', _csrf: csrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/account/two-factor');
+      expect((await User.findById(user.id)).totp_enabled_at).toBeNull();
+    });
+  });
+
+  describe('login', () => {
+    let secret;
+    let recoveryCode;
+
+    beforeEach(async () => {
+      ({ secret, recoveryCode } = await enrol(user.id));
+    });
+
+    it('should ask for a code before signing the user in', async () => {
+      // Act
+      const { cookies, loginResponse } = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+      const dashboard = await request(app).get('/admin/dashboard').set('Cookie', cookies);
+      const step = await request(app).get('/auth/two-factor').set('Cookie', cookies);
+
+      // Assert
+      expect(loginResponse.status).toBe(302);
+      expect(loginResponse.headers.location).toBe('/auth/two-factor');
+      expect(dashboard.status).toBe(302);
+      expect(dashboard.headers.location).toBe('/auth/login');
+      expect(step.status).toBe(200);
+      expect(step.text).toContain('action="/auth/two-factor"');
+    });
+
+    it('should sign the user in with a code from the app', async () => {
+      // Arrange
+      const { cookies, csrfToken } = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+
+      // Act
+      const response = await request(app)
+        .post('/auth/two-factor')
+        .set('Cookie', cookies)
+        .send({ code: authenticator.generate(secret), _csrf: csrfToken });
+      const dashboard = await request(app).get('/admin/dashboard').set('Cookie', cookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/admin/dashboard');
+      expect(dashboard.status).toBe(200);
+      const auditLogs = await AuditLog.findByTarget('user', user.id);
+      const login = auditLogs.find((log) => log.action === 'USER_LOGIN');
+      expect(login.details.two_factor).toBe('totp');
+    });
+
+    it('should refuse a wrong code and audit it', async () => {
+      // Arrange
+      const { cookies, csrfToken } = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+
+      // Act
+      const response = await request(app)
+        .post('/auth/two-factor')
+        .set('Cookie', cookies)
+        .send({ code: 'zzzzz-zzzzz', _csrf: csrfToken });
+      const dashboard = await request(app).get('/admin/dashboard').set('Cookie', cookies);
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/auth/two-factor');
+      expect(dashboard.status).toBe(302);
+      const auditLogs = await AuditLog.findByTarget('user', user.id);
+      expect(auditLogs.some((log) => log.action === 'TWO_FACTOR_FAILED')).toBe(true);
+    });
+
+    it('should accept a recovery code only once', async () => {
+      // Arrange
+      const first = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+      const second = await authenticateUser(app, {
+        username: userData.username,
+        password: userData.password,
+      });
+
+      // Act
+      const firstResponse = await request(app)
+        .post('/auth/two-factor')
+        .set('Cookie', first.cookies)
+        .send({ code: recoveryCode.toUpperCase(), _csrf: first.csrfToken });
+      const secondResponse = await request(app)
+        .post('/auth/two-factor')
+        .set('Cookie', second.cookies)
+        .send({ code: recoveryCode, _csrf: second.csrfToken });
+
+      // Assert
+      expect(firstResponse.headers.location).toBe('/admin/dashboard');
+      expect(secondResponse.headers.location).toBe('/auth/two-factor');
+      expect(await RecoveryCode.countUnused(user.id)).toBe(0);
+    });
+
+    it('should send the user back to the password after a code sent without a pending login', async () => {
+      // Arrange
+      const { cookies, csrfToken } = await authenticateUser(app, {
+        username: 'nobody',
+        password: 'Wrong#Pass123',
+      });
+
+      // Act
+      const response = await request(app)
+        .post('/auth/two-factor')
+        .set('Cookie', cookies)
+        .send({ code: authenticator.generate(secret), _csrf: csrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/auth/login');
+    });
+  });
+
+  describe('POST /admin/users/:id/two-factor/reset', () => {
+    it('should let a super admin turn off two-factor authentication for a user', async () => {
+      // Arrange
+      await enrol(user.id);
+      const superAdminData = createUserData({ role: 'super_admin', status: 'active' });
+      await User.create(superAdminData);
+      const { cookies, csrfToken } = await authenticateUser(app, {
+        username: superAdminData.username,
+        password: superAdminData.password,
+      });
+
+      // Act
+      const response = await request(app)
+        .post(`/admin/users/${user.id}/two-factor/reset`)
+        .set('Cookie', cookies)
+        .send({ _csrf: csrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(`/admin/users/${user.id}/edit`);
+      expect((await User.findById(user.id)).totp_enabled_at).toBeNull();
+      expect(await RecoveryCode.countUnused(user.id)).toBe(0);
+      const auditLogs = await AuditLog.findByTarget('user', user.id);
+      expect(auditLogs.some((log) => log.action === 'TWO_FACTOR_RESET')).toBe(true);
+    });
+
+    it('should refuse admins', async () => {
+      // Arrange
+      await enrol(user.id);
+      const adminData = createUserData({ role: 'admin', status: 'active' });
+      await User.create(adminData);
+      const { cookies, csrfToken } = await authenticateUser(app, {
+        username: adminData.username,
+        password: adminData.password,
+      });
+
+      // Act
+      await request(app)
+        .post(`/admin/users/${user.id}/two-factor/reset`)
+        .set('Cookie', cookies)
+        .send({ _csrf: csrfToken });
+
+      // Assert
+      expect((await User.findById(user.id)).totp_enabled_at).not.toBeNull();
+    });
+  });
+});
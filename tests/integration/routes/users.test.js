@@ -439,6 +439,21 @@ describe('User Management Routes Integration Tests', () => {
       expect(isValid).toBe(true);
     });
 
+    it('should make the user choose a new password at their next request', async () => {
+      // Arrange
+      const user = await User.create(createUserData());
+
+      // Act
+      await request(app)
+        .post(`/admin/users/${user.id}/password`)
+        .set('Cookie', superAdminCookies)
+        .send({ password: 'NewSecurePass123!', _csrf: superAdminCsrfToken });
+
+      // Assert
+      const updatedUser = await User.findById(user.id);
+      expect(updatedUser.must_change_password).toBe(true);
+    });
+
     it('should hash new password', async () => {
       // Arrange
       const user = await User.create(createUserData());
@@ -454,7 +469,8 @@ describe('User Management Routes Integration Tests', () => {
       const updatedUser = await User.findByUsernameWithPassword(user.username);
       expect(updatedUser.password_hash).not.toBe(newPassword);
       expect(
-        updatedUser.password_hash.startsWith('$2a$') || updatedUser.password_hash.startsWith('$2b$'),
+        updatedUser.password_hash.startsWith('$2a$') ||
+          updatedUser.password_hash.startsWith('$2b$'),
       ).toBe(true);
     });
 
@@ -654,4 +670,68 @@ describe('User Management Routes Integration Tests', () => {
       expect(updatedUser.status).toBe('active');
     });
   });
+
+  describe('POST /admin/users/:id/unlock', () => {
+    /**
+     * Create a user locked out after failed logins
+     * @returns {Promise<Object>}
+     */
+    async function createLockedUser() {
+      const user = await User.create(createUserData({ status: 'active' }));
+      for (let i = 0; i < 5; i++) {
+        await User.recordFailedLogin(user.id, { maxAttempts: 5, baseMinutes: 15, maxMinutes: 60 });
+      }
+      return User.findById(user.id);
+    }
+
+    it('should show locked users with a lock badge and unlock button', async () => {
+      // Arrange
+      const user = await createLockedUser();
+
+      // Act
+      const response = await request(app).get('/admin/users').set('Cookie', superAdminCookies);
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('bi-lock-fill');
+      expect(response.text).toContain(`/admin/users/${user.id}/unlock`);
+    });
+
+    it('should unlock the account and audit it', async () => {
+      // Arrange
+      const user = await createLockedUser();
+
+      // Act
+      const response = await request(app)
+        .post(`/admin/users/${user.id}/unlock`)
+        .set('Cookie', superAdminCookies)
+        .send({ _csrf: superAdminCsrfToken });
+
+      // Assert
+      expect(response.status).toBe(302);
+      const updatedUser = await User.findById(user.id);
+      expect(updatedUser.login_attempts).toBe(0);
+      expect(updatedUser.locked_until).toBeNull();
+
+      const logs = await AuditLog.findByTarget('user', user.id);
+      const unlockLog = logs.find((log) => log.action === 'USER_UNLOCKED');
+      expect(unlockLog.actor_id).toBe(superAdminUser.id);
+      expect(unlockLog.details.login_attempts).toBe(5);
+    });
+
+    it('should deny access to regular admin', async () => {
+      // Arrange
+      const user = await createLockedUser();
+
+      // Act
+      await request(app)
+        .post(`/admin/users/${user.id}/unlock`)
+        .set('Cookie', adminCookies)
+        .send({ _csrf: adminCsrfToken });
+
+      // Assert
+      const unchanged = await User.findById(user.id);
+      expect(unchanged.locked_until).not.toBeNull();
+    });
+  });
 });
@@ -113,7 +113,7 @@ async function createTestDepartment(name = 'BenchmarkDept') {
 async function createTestTicket(overrides = {}) {
   try {
     const result = await pool.query(
-      'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+      'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
       [
         overrides.title || 'Benchmark Ticket',
         overrides.description || 'Test ticket for benchmarking',
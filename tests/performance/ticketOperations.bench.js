@@ -76,7 +76,7 @@ async function startServer() {
   app.post('/admin/tickets', async (req, res) => {
     try {
       const result = await pool.query(
-        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        'INSERT INTO tickets (title, description, status, priority, reporter_name, reporter_department, reporter_department_id) VALUES ($1, $2, $3, $4, $5, $6, (SELECT id FROM departments WHERE name = $6::varchar)) RETURNING id',
         ['Benchmark Ticket', 'Description', 'open', 'unset', 'Reporter', 'BenchmarkDept'],
       );
       res.status(201).json({ id: result.rows[0].id });
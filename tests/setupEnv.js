@@ -22,3 +22,12 @@ process.env.LOG_LEVEL = 'error';
 
 // Set language to English for tests (prevents i18n defaulting to Greek)
 process.env.I18N_DEFAULTLANGUAGE = 'en';
+
+// Keep uploaded test attachments out of the repository
+process.env.ATTACHMENT_STORAGE_DIR = require('path').join(
+  require('os').tmpdir(),
+  'knii-test-attachments',
+);
+
+// Never send real email from tests
+process.env.MAIL_TRANSPORT = 'console';
@@ -2,21 +2,35 @@
  * Auth Middleware Unit Tests
  *
  * Tests authentication and authorization middleware:
- * - requireAuth - Validates session and user status
+ * - requireAuth - Validates session and user status, sends users who must change their
+ *   password to the change-password screen and users who must turn on two-factor
+ *   authentication to the enrolment screen
  * - requireAdmin - Validates admin or super_admin role
  * - requireSuperAdmin - Validates super_admin role only
+ * - requireApiAuth / requireApiAdmin - JSON variants for the /api routers
+ * - getBearerToken - Authorization header parsing for personal API tokens
  */
 
-const { requireAuth, requireAdmin, requireSuperAdmin } = require('../../../middleware/auth');
+const {
+  requireAuth,
+  requireAdmin,
+  requireSuperAdmin,
+  requireApiAuth,
+  requireApiAdmin,
+  getBearerToken,
+} = require('../../../middleware/auth');
 const { createMockRequest, createMockResponse, createMockNext } = require('../../helpers/mocks');
 const User = require('../../../models/User');
+const apiTokenService = require('../../../services/apiTokenService');
+const twoFactorService = require('../../../services/twoFactorService');
 
 // Mock dependencies
 jest.mock('../../../models/User');
+jest.mock('../../../services/apiTokenService');
 jest.mock('../../../utils/logger');
 jest.mock('../../../utils/responseHelpers');
 
-const { errorRedirect } = require('../../../utils/responseHelpers');
+const { errorRedirect, apiError } = require('../../../utils/responseHelpers');
 
 describe('Auth Middleware', () => {
   beforeEach(() => {
@@ -25,6 +39,10 @@ describe('Auth Middleware', () => {
     errorRedirect.mockImplementation((req, res, message, path) => {
       res.redirect(path);
     });
+    // Mock apiError to send the JSON error body
+    apiError.mockImplementation((res, status, code, message) => {
+      res.status(status).json({ error: { code, message } });
+    });
   });
 
   describe('requireAuth', () => {
@@ -206,6 +224,160 @@ describe('Auth Middleware', () => {
       expect(destroyCallback).toHaveBeenCalled();
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should refresh the session department after a rename', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: {
+          user: { id: 1, role: 'department', department: 'Cardiology', department_id: 4 },
+        },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({
+        id: 1,
+        status: 'active',
+        department: 'Cardiology & Vascular',
+        department_id: 4,
+      });
+
+      // Act
+      await requireAuth(req, res, next);
+
+      // Assert
+      expect(req.session.user).toMatchObject({
+        department: 'Cardiology & Vascular',
+        department_id: 4,
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should add the department id to sessions created without one', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, role: 'department', department: 'Cardiology' } },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({
+        id: 1,
+        status: 'active',
+        department: 'Cardiology',
+        department_id: 4,
+      });
+
+      // Act
+      await requireAuth(req, res, next);
+
+      // Assert
+      expect(req.session.user.department_id).toBe(4);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should send users who must change their password to the change-password screen', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, role: 'admin' } },
+        baseUrl: '/admin',
+        path: '/dashboard',
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 1, status: 'active', must_change_password: true });
+
+      // Act
+      await requireAuth(req, res, next);
+
+      // Assert
+      expect(req.passwordChange).toBe('reset');
+      expect(res.redirect).toHaveBeenCalledWith('/account/password');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should let users who must change their password open the change-password screen', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, role: 'admin' } },
+        baseUrl: '/account',
+        path: '/password',
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 1, status: 'active', must_change_password: true });
+
+      // Act
+      await requireAuth(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(res.redirect).not.toHaveBeenCalled();
+    });
+
+    it('should send users who must turn on two-factor authentication to the enrolment screen', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, role: 'admin' } },
+        baseUrl: '/admin',
+        path: '/dashboard',
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 1, role: 'admin', status: 'active' });
+      jest.spyOn(twoFactorService, 'setupRequired').mockReturnValueOnce(true);
+
+      // Act
+      await requireAuth(req, res, next);
+
+      // Assert
+      expect(req.twoFactorSetup).toBe(true);
+      expect(res.redirect).toHaveBeenCalledWith('/account/two-factor');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should let users who must turn on two-factor authentication use the enrolment pages', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, role: 'admin' } },
+        baseUrl: '/account',
+        path: '/two-factor',
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 1, role: 'admin', status: 'active' });
+      jest.spyOn(twoFactorService, 'setupRequired').mockReturnValueOnce(true);
+
+      // Act
+      await requireAuth(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(res.redirect).not.toHaveBeenCalled();
+    });
+
+    it('should ask for the password change before the two-factor enrolment', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, role: 'admin' } },
+        baseUrl: '/account',
+        path: '/two-factor',
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({
+        id: 1,
+        role: 'admin',
+        status: 'active',
+        must_change_password: true,
+      });
+      jest.spyOn(twoFactorService, 'setupRequired').mockReturnValueOnce(true);
+
+      // Act
+      await requireAuth(req, res, next);
+
+      // Assert
+      expect(res.redirect).toHaveBeenCalledWith('/account/password');
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('requireAdmin', () => {
@@ -373,4 +545,368 @@ describe('Auth Middleware', () => {
       );
     });
   });
+
+  describe('requireApiAuth', () => {
+    it('should call next() when session user exists and is active', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, username: 'testuser', role: 'department' } },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 1, status: 'active' });
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(req.user).toEqual(req.session.user);
+    });
+
+    it('should scope req.user to the department stored on the user row', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: {
+          user: { id: 1, role: 'department', department: 'Radiology', department_id: 2 },
+        },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({
+        id: 1,
+        status: 'active',
+        department: 'Cardiology',
+        department_id: 4,
+      });
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(req.user).toMatchObject({ department: 'Cardiology', department_id: 4 });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should return JSON 401 instead of redirecting when no session user exists', async () => {
+      // Arrange
+      const req = createMockRequest({ session: {} });
+      const res = createMockResponse();
+      const next = createMockNext();
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(res, 401, 'UNAUTHORIZED', expect.any(String));
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.redirect).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should destroy session and return JSON 401 when user is inactive', async () => {
+      // Arrange
+      const destroy = jest.fn((callback) => callback());
+      const req = createMockRequest({
+        session: { user: { id: 2, username: 'gone', role: 'admin' }, destroy },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 2, status: 'inactive' });
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(destroy).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass database errors to next()', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, username: 'testuser', role: 'admin' } },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      const dbError = new Error('Connection refused');
+      User.findById.mockRejectedValue(dbError);
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(dbError);
+    });
+
+    it('should refuse sessions of users who must change their password', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, username: 'testuser', role: 'admin' } },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 1, status: 'active', must_change_password: true });
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(
+        res,
+        403,
+        'PASSWORD_CHANGE_REQUIRED',
+        expect.any(String),
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should refuse sessions of users who must turn on two-factor authentication', async () => {
+      // Arrange
+      const req = createMockRequest({
+        session: { user: { id: 1, username: 'testuser', role: 'admin' } },
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+      User.findById.mockResolvedValue({ id: 1, role: 'admin', status: 'active' });
+      jest.spyOn(twoFactorService, 'setupRequired').mockReturnValueOnce(true);
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(
+        res,
+        403,
+        'TWO_FACTOR_SETUP_REQUIRED',
+        expect.any(String),
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireApiAuth with Bearer token', () => {
+    const mockToken = { id: 7, user_id: 4, name: 'CI', scope: 'write' };
+    const mockUser = { id: 4, username: 'bot', role: 'admin', department: null, status: 'active' };
+
+    const createTokenRequest = (overrides = {}) =>
+      createMockRequest({
+        method: 'GET',
+        originalUrl: '/api/v1/tickets',
+        headers: { authorization: 'Bearer knii_secret' },
+        ...overrides,
+      });
+
+    beforeEach(() => {
+      apiTokenService.allowsMethod.mockImplementation(
+        (scope, method) => scope === 'write' || method === 'GET',
+      );
+      apiTokenService.recordUsage.mockResolvedValue();
+    });
+
+    it('should set req.user from the token owner and skip the session check', async () => {
+      // Arrange
+      const req = createTokenRequest({ session: { user: { id: 99, role: 'super_admin' } } });
+      const res = createMockResponse();
+      const next = createMockNext();
+      apiTokenService.authenticate.mockResolvedValue({ token: mockToken, user: mockUser });
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(apiTokenService.authenticate).toHaveBeenCalledWith('knii_secret');
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(req.user).toEqual({ id: 4, username: 'bot', role: 'admin', department: null });
+      expect(req.apiToken).toBe(mockToken);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should return JSON 401 for an unknown, expired or revoked token', async () => {
+      // Arrange
+      const req = createTokenRequest();
+      const res = createMockResponse();
+      const next = createMockNext();
+      apiTokenService.authenticate.mockResolvedValue(null);
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(res, 401, 'INVALID_TOKEN', expect.any(String));
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return JSON 403 when a read token is used for a write request', async () => {
+      // Arrange
+      const req = createTokenRequest({ method: 'POST' });
+      const res = createMockResponse();
+      const next = createMockNext();
+      apiTokenService.authenticate.mockResolvedValue({
+        token: { ...mockToken, scope: 'read' },
+        user: mockUser,
+      });
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(res, 403, 'INSUFFICIENT_SCOPE', expect.any(String));
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should audit write requests before the response is sent', async () => {
+      // Arrange
+      const req = createTokenRequest({ method: 'PATCH', originalUrl: '/api/v1/tickets/5' });
+      const res = createMockResponse();
+      const sendJson = res.json;
+      const next = createMockNext();
+      apiTokenService.authenticate.mockResolvedValue({ token: mockToken, user: mockUser });
+      apiTokenService.recordUsage.mockImplementation(async () => {
+        expect(sendJson).not.toHaveBeenCalled();
+      });
+
+      // Act
+      await requireApiAuth(req, res, next);
+      res.statusCode = 200;
+      res.json({ data: { id: 5 } });
+      await new Promise(setImmediate);
+
+      // Assert
+      expect(apiTokenService.recordUsage).toHaveBeenCalledWith(mockToken, {
+        method: 'PATCH',
+        path: '/api/v1/tickets/5',
+        status: 200,
+        ipAddress: '127.0.0.1',
+      });
+      expect(sendJson).toHaveBeenCalledWith({ data: { id: 5 } });
+      expect(res.json).toBe(sendJson);
+    });
+
+    it('should answer 500 when the write request audit fails', async () => {
+      // Arrange
+      const req = createTokenRequest({ method: 'DELETE', originalUrl: '/api/v1/tickets/5' });
+      const res = createMockResponse();
+      const sendJson = res.json;
+      const next = createMockNext();
+      apiTokenService.authenticate.mockResolvedValue({ token: mockToken, user: mockUser });
+      apiTokenService.recordUsage.mockRejectedValue(new Error('Connection refused'));
+
+      // Act
+      await requireApiAuth(req, res, next);
+      res.statusCode = 200;
+      res.json({ data: { id: 5 } });
+      await new Promise(setImmediate);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(res, 500, 'INTERNAL_ERROR', expect.any(String));
+      expect(sendJson).not.toHaveBeenCalledWith({ data: { id: 5 } });
+    });
+
+    it('should not audit read requests', async () => {
+      // Arrange
+      const req = createTokenRequest();
+      const res = createMockResponse();
+      const sendJson = res.json;
+      const next = createMockNext();
+      apiTokenService.authenticate.mockResolvedValue({ token: mockToken, user: mockUser });
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(res.json).toBe(sendJson);
+      expect(apiTokenService.recordUsage).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should pass token lookup errors to next()', async () => {
+      // Arrange
+      const req = createTokenRequest();
+      const res = createMockResponse();
+      const next = createMockNext();
+      const dbError = new Error('Connection refused');
+      apiTokenService.authenticate.mockRejectedValue(dbError);
+
+      // Act
+      await requireApiAuth(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(dbError);
+    });
+  });
+
+  describe('getBearerToken', () => {
+    it('should extract the token from a Bearer authorization header', () => {
+      // Arrange
+      const req = createMockRequest({ headers: { authorization: 'Bearer knii_abc' } });
+
+      // Act & Assert
+      expect(getBearerToken(req)).toBe('knii_abc');
+    });
+
+    it('should accept a lowercase scheme', () => {
+      // Arrange
+      const req = createMockRequest({ headers: { authorization: 'bearer knii_abc' } });
+
+      // Act & Assert
+      expect(getBearerToken(req)).toBe('knii_abc');
+    });
+
+    it.each([undefined, '', 'Basic dXNlcjpwYXNz', 'Bearer', 'Bearer a b'])(
+      'should return null for header %p',
+      (authorization) => {
+        // Arrange
+        const req = createMockRequest({ headers: { authorization } });
+
+        // Act & Assert
+        expect(getBearerToken(req)).toBeNull();
+      },
+    );
+  });
+
+  describe('requireApiAdmin', () => {
+    it.each(['admin', 'super_admin'])('should call next() for %s role', (role) => {
+      // Arrange
+      const req = createMockRequest({ user: { id: 1, role } });
+      const res = createMockResponse();
+      const next = createMockNext();
+
+      // Act
+      requireApiAdmin(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(apiError).not.toHaveBeenCalled();
+    });
+
+    it('should return JSON 403 for department users', () => {
+      // Arrange
+      const req = createMockRequest({ user: { id: 3, role: 'department' } });
+      const res = createMockResponse();
+      const next = createMockNext();
+
+      // Act
+      requireApiAdmin(req, res, next);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(res, 403, 'FORBIDDEN', expect.any(String));
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return JSON 401 when no authenticated user exists', () => {
+      // Arrange
+      const req = createMockRequest({ session: {} });
+      const res = createMockResponse();
+      const next = createMockNext();
+
+      // Act
+      requireApiAdmin(req, res, next);
+
+      // Assert
+      expect(apiError).toHaveBeenCalledWith(res, 401, 'UNAUTHORIZED', expect.any(String));
+    });
+  });
 });
@@ -138,6 +138,51 @@ describe('Error Handler Middleware', () => {
       );
     });
 
+    it('should remember the rendered correlation ID in the session so it can be reported', () => {
+      // Arrange
+      const error = new Error('Internal Server Error');
+      error.status = 500;
+      const req = createMockRequest({
+        session: { user: { id: 1 } },
+        accepts: jest.fn().mockReturnValue(true),
+        url: '/error',
+        originalUrl: '/admin/error',
+        method: 'POST',
+      });
+      const res = createMockResponse();
+
+      // Act
+      errorHandler(error, req, res, createMockNext());
+
+      // Assert
+      const { correlationId } = res.render.mock.calls[0][1];
+      expect(req.session.trackedErrors).toEqual([
+        expect.objectContaining({
+          correlationId,
+          category: 'SERVER_ERROR',
+          status: 500,
+          method: 'POST',
+          path: '/admin/error',
+          message: 'Internal Server Error',
+        }),
+      ]);
+    });
+
+    it('should not write the correlation ID into the session of a visitor who is not signed in', () => {
+      // Arrange
+      const error = new Error('Not Found');
+      error.status = 404;
+      const req = createMockRequest({ accepts: jest.fn().mockReturnValue(true), url: '/missing' });
+      const res = createMockResponse();
+
+      // Act
+      errorHandler(error, req, res, createMockNext());
+
+      // Assert
+      expect(res.render.mock.calls[0][1].correlationId).toMatch(/^[0-9A-F]{16}$/);
+      expect(req.session).toEqual({});
+    });
+
     it('should render generic error template for other status codes', () => {
       // Arrange
       const error = new Error('Bad Request');
@@ -287,6 +332,7 @@ describe('Error Handler Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({
         error: {
+          code: 'CLIENT_ERROR',
           message: 'API error',
           correlationId: expect.any(String),
           category: 'CLIENT_ERROR',
@@ -315,6 +361,7 @@ describe('Error Handler Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(500);
       expect(res.json).toHaveBeenCalledWith({
         error: {
+          code: 'SERVER_ERROR',
           message: 'Internal server error',
           correlationId: expect.any(String),
           category: 'SERVER_ERROR',
@@ -322,6 +369,36 @@ describe('Error Handler Middleware', () => {
       });
     });
 
+    it('should return JSON for API routes even when client accepts HTML', () => {
+      // Arrange
+      process.env.NODE_ENV = 'development';
+      const error = new Error('invalid csrf token');
+      error.status = 403;
+      const req = createMockRequest({
+        accepts: jest.fn().mockReturnValue(true),
+        originalUrl: '/api/v1/tickets',
+        url: '/tickets',
+        method: 'POST',
+      });
+      const res = createMockResponse();
+      const next = createMockNext();
+
+      // Act
+      errorHandler(error, req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'invalid csrf token',
+          correlationId: expect.any(String),
+          category: 'FORBIDDEN',
+        },
+      });
+      expect(res.render).not.toHaveBeenCalled();
+    });
+
     it('should log error details using logger', () => {
       // Arrange
       const error = new Error('Test error');
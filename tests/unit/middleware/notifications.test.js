@@ -0,0 +1,86 @@
+/**
+ * Notifications Middleware Unit Tests
+ *
+ * Tests loadNotificationSummary with the notification service mocked:
+ * - Loads the header bell data for logged-in page views
+ * - Skips anonymous users, non-GET requests and the JSON API
+ * - Never fails the request when loading fails
+ */
+
+const { loadNotificationSummary } = require('../../../middleware/notifications');
+const notificationService = require('../../../services/notificationService');
+const logger = require('../../../utils/logger');
+const { createMockRequest, createMockResponse, createMockNext } = require('../../helpers/mocks');
+
+jest.mock('../../../services/notificationService');
+jest.mock('../../../utils/logger');
+
+describe('Notifications Middleware', () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = createMockResponse();
+    next = createMockNext();
+  });
+
+  describe('loadNotificationSummary', () => {
+    it('should load the summary for a logged-in page view', async () => {
+      // Arrange
+      const summary = { unreadCount: 2, recent: [] };
+      notificationService.getSummary.mockResolvedValue(summary);
+      const req = createMockRequest({
+        method: 'GET',
+        path: '/admin/dashboard',
+        session: { user: { id: 5 } },
+      });
+
+      // Act
+      await loadNotificationSummary(req, res, next);
+
+      // Assert
+      expect(notificationService.getSummary).toHaveBeenCalledWith(5);
+      expect(res.locals.notificationSummary).toBe(summary);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it.each([
+      ['anonymous users', { method: 'GET', path: '/', session: {} }],
+      ['form posts', { method: 'POST', path: '/admin/tickets/1', session: { user: { id: 5 } } }],
+      ['API requests', { method: 'GET', path: '/api/v1/tickets', session: { user: { id: 5 } } }],
+    ])('should skip %s', async (label, options) => {
+      // Arrange
+      const req = createMockRequest(options);
+
+      // Act
+      await loadNotificationSummary(req, res, next);
+
+      // Assert
+      expect(notificationService.getSummary).not.toHaveBeenCalled();
+      expect(res.locals.notificationSummary).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should log errors and continue without a summary', async () => {
+      // Arrange
+      notificationService.getSummary.mockRejectedValue(new Error('Database down'));
+      const req = createMockRequest({
+        method: 'GET',
+        path: '/client/dashboard',
+        session: { user: { id: 5 } },
+      });
+
+      // Act
+      await loadNotificationSummary(req, res, next);
+
+      // Assert
+      expect(res.locals.notificationSummary).toBeNull();
+      expect(logger.error).toHaveBeenCalledWith(
+        'Failed to load notification summary',
+        expect.objectContaining({ userId: 5, error: 'Database down' }),
+      );
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Upload Middleware Unit Tests
+ *
+ * Tests uploadAttachments against a minimal Express app (no database):
+ * - Multipart parsing into req.body and req.files
+ * - Size, count and type limits
+ * - Flash-and-redirect on rejected uploads
+ * - Bodies of requests without a signed-in user left unread
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { uploadAttachments } = require('../../../middleware/upload');
+const { VALIDATION_MESSAGES, ATTACHMENT_LIMITS } = require('../../../constants/validation');
+
+jest.mock('../../../utils/logger');
+
+describe('Upload Middleware', () => {
+  let flash;
+  let app;
+
+  beforeEach(() => {
+    flash = jest.fn();
+    app = express();
+    app.use((req, res, next) => {
+      req.session = { user: { id: 1 } };
+      req.flash = flash;
+      next();
+    });
+    app.post('/upload', uploadAttachments, (req, res) => {
+      res.json({
+        body: req.body,
+        files: req.files.map((file) => ({
+          originalname: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size,
+        })),
+      });
+    });
+  });
+
+  it('should parse fields and accepted files', async () => {
+    // Act
+    const response = await request(app)
+      .post('/upload')
+      .field('title', 'Printer broken')
+      .attach('attachments', Buffer.from('fake png'), {
+        filename: 'error.png',
+        contentType: 'image/png',
+      })
+      .attach('attachments', Buffer.from('%PDF-1.4'), {
+        filename: 'form.pdf',
+        contentType: 'application/pdf',
+      });
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.body.body).toEqual({ title: 'Printer broken' });
+    expect(response.body.files).toEqual([
+      { originalname: 'error.png', mimetype: 'image/png', size: 8 },
+      { originalname: 'form.pdf', mimetype: 'application/pdf', size: 8 },
+    ]);
+  });
+
+  it('should set an empty file list for requests without files', async () => {
+    // Act
+    const response = await request(app).post('/upload').type('form').send({ title: 'No files' });
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.body.files).toEqual([]);
+  });
+
+  it('should not read the body of a request without a signed-in user', async () => {
+    // Arrange
+    const anonymousApp = express();
+    anonymousApp.use((req, res, next) => {
+      req.session = {};
+      next();
+    });
+    anonymousApp.post('/upload', uploadAttachments, (req, res) => {
+      res.json({ body: req.body || null, files: req.files });
+    });
+
+    // Act
+    const response = await request(anonymousApp)
+      .post('/upload')
+      .field('_csrf', 'token')
+      .attach('attachments', Buffer.from('fake png'), {
+        filename: 'error.png',
+        contentType: 'image/png',
+      });
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ body: null, files: [] });
+  });
+
+  it('should reject files with a disallowed type', async () => {
+    // Act
+    const response = await request(app).post('/upload').attach('attachments', Buffer.from('MZ'), {
+      filename: 'setup.exe',
+      contentType: 'application/octet-stream',
+    });
+
+    // Assert
+    expect(response.status).toBe(302);
+    expect(flash).toHaveBeenCalledWith('error_msg', VALIDATION_MESSAGES.ATTACHMENT_TYPE_INVALID);
+  });
+
+  it('should reject files whose extension does not match the MIME type', async () => {
+    // Act
+    const response = await request(app).post('/upload').attach('attachments', Buffer.from('MZ'), {
+      filename: 'photo.exe',
+      contentType: 'image/png',
+    });
+
+    // Assert
+    expect(response.status).toBe(302);
+    expect(flash).toHaveBeenCalledWith('error_msg', VALIDATION_MESSAGES.ATTACHMENT_TYPE_INVALID);
+  });
+
+  it('should reject files over the size limit', async () => {
+    // Act
+    const response = await request(app)
+      .post('/upload')
+      .attach('attachments', Buffer.alloc(ATTACHMENT_LIMITS.MAX_FILE_SIZE_BYTES + 1), {
+        filename: 'huge.png',
+        contentType: 'image/png',
+      });
+
+    // Assert
+    expect(response.status).toBe(302);
+    expect(flash).toHaveBeenCalledWith('error_msg', VALIDATION_MESSAGES.ATTACHMENT_TOO_LARGE);
+  });
+
+  it('should reject more files than allowed', async () => {
+    // Arrange
+    let req = request(app).post('/upload');
+    for (let i = 0; i <= ATTACHMENT_LIMITS.MAX_FILES; i++) {
+      req = req.attach('attachments', Buffer.from('text'), {
+        filename: `note-${i}.txt`,
+        contentType: 'text/plain',
+      });
+    }
+
+    // Act
+    const response = await req;
+
+    // Assert
+    expect(response.status).toBe(302);
+    expect(flash).toHaveBeenCalledWith('error_msg', VALIDATION_MESSAGES.ATTACHMENT_TOO_MANY);
+  });
+});
@@ -3,10 +3,15 @@
  *
  * Tests validation middleware functions:
  * - validateRequest - Handles express-validator errors
+ * - validateApiRequest - JSON variant for the /api routers
  * - parseUserId - Parses and validates user ID from route params
  */
 
-const { validateRequest, parseUserId } = require('../../../middleware/validation');
+const {
+  validateRequest,
+  validateApiRequest,
+  parseUserId,
+} = require('../../../middleware/validation');
 const {
   createMockRequest,
   createMockResponse,
@@ -150,6 +155,48 @@ describe('Validation Middleware', () => {
     });
   });
 
+  describe('validateApiRequest', () => {
+    it('should call next() when no validation errors exist', () => {
+      // Arrange
+      const req = createMockRequest();
+      const res = createMockResponse();
+      const next = createMockNext();
+      validationResult.mockReturnValue(createMockValidationResult([]));
+
+      // Act
+      validateApiRequest(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should return JSON 400 with field details even when client accepts HTML', () => {
+      // Arrange
+      const req = createMockRequest({ accepts: jest.fn().mockReturnValue(true) });
+      const res = createMockResponse();
+      const next = createMockNext();
+      validationResult.mockReturnValue(
+        createMockValidationResult([{ msg: 'Title is required', path: 'title' }]),
+      );
+
+      // Act
+      validateApiRequest(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: [{ field: 'title', message: 'Title is required' }],
+        },
+      });
+      expect(req.flash).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('parseUserId', () => {
     it('should parse valid integer ID and attach to req.userId', () => {
       // Arrange
@@ -0,0 +1,203 @@
+/**
+ * ApiToken Model Unit Tests
+ *
+ * Tests the ApiToken model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - create()
+ * - findById()
+ * - findActiveByHash()
+ * - findByUser()
+ * - revoke()
+ * - touchLastUsed()
+ */
+
+const ApiToken = require('../../../models/ApiToken');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+
+const pool = require('../../../config/database');
+
+describe('ApiToken Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    const tokenData = {
+      user_id: 4,
+      name: 'CI',
+      token_hash: 'a'.repeat(64),
+      token_prefix: 'knii_abcdefg',
+      scope: 'write',
+      expires_at: new Date('2026-12-01T00:00:00Z'),
+      created_by: 1,
+    };
+
+    it('should insert the token and return the created row', async () => {
+      // Arrange
+      const mockRow = { id: 1, ...tokenData };
+      pool.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await ApiToken.create(tokenData);
+
+      // Assert
+      expect(result).toEqual(mockRow);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO api_tokens'), [
+        4,
+        'CI',
+        'a'.repeat(64),
+        'knii_abcdefg',
+        'write',
+        tokenData.expires_at,
+        1,
+      ]);
+    });
+
+    it('should store null when created_by is missing', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      // Act
+      await ApiToken.create({ ...tokenData, created_by: undefined });
+
+      // Assert
+      expect(pool.query.mock.calls[0][1][6]).toBeNull();
+    });
+
+    it('should use the provided transaction client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+
+      // Act
+      await ApiToken.create(tokenData, client);
+
+      // Assert
+      expect(client.query).toHaveBeenCalled();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findById', () => {
+    it('should return the token when found', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 3, name: 'CI' }] });
+
+      // Act
+      const result = await ApiToken.findById(3);
+
+      // Assert
+      expect(result).toEqual({ id: 3, name: 'CI' });
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('WHERE id = $1'), [3]);
+    });
+
+    it('should return undefined when not found', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await ApiToken.findById(999);
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+  });
+
+  describe('findActiveByHash', () => {
+    it('should only match tokens that are neither revoked nor expired', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 3 }] });
+
+      // Act
+      const result = await ApiToken.findActiveByHash('b'.repeat(64));
+
+      // Assert
+      expect(result).toEqual({ id: 3 });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('revoked_at IS NULL');
+      expect(sql).toContain('expires_at > CURRENT_TIMESTAMP');
+      expect(params).toEqual(['b'.repeat(64)]);
+    });
+
+    it('should return undefined for an unknown hash', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await ApiToken.findActiveByHash('c'.repeat(64));
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+  });
+
+  describe('findByUser', () => {
+    it('should return the user tokens newest first without hashes', async () => {
+      // Arrange
+      const mockRows = [
+        { id: 2, name: 'New', created_by_username: 'root' },
+        { id: 1, name: 'Old', created_by_username: 'root' },
+      ];
+      pool.query.mockResolvedValue({ rows: mockRows });
+
+      // Act
+      const result = await ApiToken.findByUser(4);
+
+      // Assert
+      expect(result).toEqual(mockRows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).not.toContain('token_hash');
+      expect(sql).toContain('ORDER BY t.created_at DESC');
+      expect(params).toEqual([4]);
+    });
+  });
+
+  describe('revoke', () => {
+    it('should set revoked_at and revoked_by for an active token', async () => {
+      // Arrange
+      const mockRow = { id: 3, revoked_by: 1, revoked_at: new Date() };
+      pool.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await ApiToken.revoke(3, 1);
+
+      // Assert
+      expect(result).toEqual(mockRow);
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE id = $1 AND revoked_at IS NULL'),
+        [3, 1],
+      );
+    });
+
+    it('should return undefined when the token is already revoked', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await ApiToken.revoke(3, 1);
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+  });
+
+  describe('touchLastUsed', () => {
+    it('should update last_used_at for the token', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await ApiToken.touchLastUsed(3);
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('SET last_used_at'), [3]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Attachment Model Unit Tests
+ *
+ * Tests the Attachment model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - create()
+ * - findById()
+ * - findVisibleByTicketId()
+ */
+
+const Attachment = require('../../../models/Attachment');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+
+const pool = require('../../../config/database');
+
+describe('Attachment Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    const attachmentData = {
+      ticket_id: 3,
+      comment_id: 8,
+      uploaded_by: 4,
+      original_name: 'error.png',
+      storage_key: '2026/10/abc',
+      mime_type: 'image/png',
+      size_bytes: 2048,
+    };
+
+    it('should insert the attachment and return the created row', async () => {
+      // Arrange
+      const mockRow = { id: 1, ...attachmentData };
+      pool.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await Attachment.create(attachmentData);
+
+      // Assert
+      expect(result).toEqual(mockRow);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO attachments'), [
+        3,
+        8,
+        4,
+        'error.png',
+        '2026/10/abc',
+        'image/png',
+        2048,
+      ]);
+    });
+
+    it('should store null comment_id for ticket attachments', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      // Act
+      await Attachment.create({ ...attachmentData, comment_id: undefined });
+
+      // Assert
+      expect(pool.query.mock.calls[0][1][1]).toBeNull();
+    });
+
+    it('should use the provided transaction client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+
+      // Act
+      await Attachment.create(attachmentData, client);
+
+      // Assert
+      expect(client.query).toHaveBeenCalled();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findById', () => {
+    it('should return the attachment with ticket and comment access fields', async () => {
+      // Arrange
+      const mockRow = {
+        id: 1,
+        ticket_id: 3,
+        reporter_department: 'Cardiology',
+        is_admin_created: false,
+        visibility_type: null,
+      };
+      pool.query.mockResolvedValue({ rows: [mockRow] });
+
+      // Act
+      const result = await Attachment.findById(1);
+
+      // Assert
+      expect(result).toEqual(mockRow);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('JOIN tickets t');
+      expect(sql).toContain('LEFT JOIN comments c');
+      expect(params).toEqual([1]);
+    });
+
+    it('should return undefined when not found', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await Attachment.findById(999);
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+  });
+
+  describe('findVisibleByTicketId', () => {
+    it('should exclude internal comment attachments for department users', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Attachment.findVisibleByTicketId(3, 'department');
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("a.comment_id IS NULL OR c.visibility_type = 'public'");
+      expect(params).toEqual([3]);
+    });
+
+    it.each(['admin', 'super_admin'])('should return all attachments for %s', async (role) => {
+      // Arrange
+      const mockRows = [{ id: 1 }, { id: 2 }];
+      pool.query.mockResolvedValue({ rows: mockRows });
+
+      // Act
+      const result = await Attachment.findVisibleByTicketId(3, role);
+
+      // Assert
+      expect(result).toEqual(mockRows);
+      expect(pool.query.mock.calls[0][0]).not.toContain('visibility_type');
+    });
+
+    it('should never select the storage key', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Attachment.findVisibleByTicketId(3, 'admin');
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).not.toContain('storage_key');
+    });
+  });
+});
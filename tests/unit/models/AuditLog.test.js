@@ -2,7 +2,9 @@
  * AuditLog Model Unit Tests
  *
  * Tests the AuditLog model in complete isolation with all dependencies mocked.
- * Covers all 3 static methods with success, failure, and edge cases.
+ * Covers all static methods with success, failure, and edge cases, including the
+ * audit log browser queries (findAll, countAll, findByIdWithActor, findFilterOptions)
+ * and the hash chain (create sealing, computeHash, findChainBatch).
  */
 
 const AuditLog = require('../../../models/AuditLog');
@@ -25,96 +27,131 @@ describe('AuditLog Model', () => {
   });
 
   describe('create', () => {
+    let mockClient;
+
+    const reservation = (overrides = {}) => ({
+      rows: [
+        {
+          id: '7',
+          created_at: '2026-01-15 10:30:00.123456',
+          prev_hash: 'a'.repeat(64),
+          ...overrides,
+        },
+      ],
+    });
+
+    // BEGIN, advisory lock, reservation, INSERT, COMMIT
+    const mockAppend = (insertedRow, reserved = reservation()) => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce(reserved)
+        .mockResolvedValueOnce({ rows: [insertedRow] })
+        .mockResolvedValueOnce({ rows: [] });
+    };
+
+    const insertParams = () =>
+      mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_logs'))[1];
+
+    beforeEach(() => {
+      mockClient = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(mockClient);
+    });
+
     it('should create audit log with all fields', async () => {
       // Arrange
-      const auditLogData = createAuditLogData();
-      const mockAuditLog = {
-        id: 1,
-        actor_id: auditLogData.actorId,
-        action: auditLogData.action,
-        target_type: auditLogData.targetType,
-        target_id: auditLogData.targetId,
-        details: JSON.stringify(auditLogData.details),
-        ip_address: auditLogData.ipAddress,
-        created_at: new Date(),
+      const auditLogData = {
+        actorId: 3,
+        action: 'USER_UPDATED',
+        targetType: 'user',
+        targetId: 9,
+        details: { role: 'admin' },
+        ipAddress: '10.0.0.1',
       };
-      pool.query.mockResolvedValue({ rows: [mockAuditLog] });
+      const mockAuditLog = { id: 7, action: 'USER_UPDATED' };
+      mockAppend(mockAuditLog);
 
       // Act
       const result = await AuditLog.create(auditLogData);
 
       // Assert
       expect(result).toEqual(mockAuditLog);
-      expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('INSERT INTO audit_logs'),
-        expect.arrayContaining([
-          auditLogData.actorId,
-          auditLogData.action,
-          auditLogData.targetType,
-          auditLogData.targetId,
-          JSON.stringify(auditLogData.details),
-          auditLogData.ipAddress,
-        ]),
-      );
+      expect(insertParams()).toEqual([
+        7,
+        3,
+        'USER_UPDATED',
+        'user',
+        9,
+        JSON.stringify({ role: 'admin' }),
+        '10.0.0.1',
+        '2026-01-15 10:30:00.123456',
+        'a'.repeat(64),
+        expect.stringMatching(/^[0-9a-f]{64}$/),
+      ]);
     });
 
-    it('should stringify details object to JSON', async () => {
+    it('should seal the entry with the hash of its content and the previous hash', async () => {
       // Arrange
-      const detailsObject = {
-        username: 'testuser',
-        email: 'test@example.com',
-        role: 'admin',
-      };
-      const auditLogData = createAuditLogData({ details: detailsObject });
-      const mockAuditLog = {
-        id: 2,
-        actor_id: auditLogData.actorId,
-        action: auditLogData.action,
-        target_type: auditLogData.targetType,
-        target_id: auditLogData.targetId,
-        details: JSON.stringify(detailsObject),
-        ip_address: auditLogData.ipAddress,
-        created_at: new Date(),
-      };
-      pool.query.mockResolvedValue({ rows: [mockAuditLog] });
+      mockAppend({ id: 7 });
 
       // Act
-      await AuditLog.create(auditLogData);
+      await AuditLog.create({ actorId: 1, action: 'LOGIN', targetType: 'user', targetId: 1 });
 
       // Assert
-      expect(pool.query).toHaveBeenCalledWith(
-        expect.any(String),
-        expect.arrayContaining([JSON.stringify(detailsObject)]),
-      );
+      const params = insertParams();
+      const expectedHash = AuditLog.computeHash({
+        id: 7,
+        created_at: '2026-01-15 10:30:00.123456',
+        actor_id: 1,
+        action: 'LOGIN',
+        target_type: 'user',
+        target_id: 1,
+        details: null,
+        ip_address: null,
+        prev_hash: 'a'.repeat(64),
+      });
+      expect(params[9]).toBe(expectedHash);
     });
 
-    it('should return created audit log with correct structure', async () => {
+    it('should start the chain with a null previous hash', async () => {
       // Arrange
-      const auditLogData = createAuditLogData();
-      const mockAuditLog = {
-        id: 3,
-        actor_id: auditLogData.actorId,
-        action: auditLogData.action,
-        target_type: auditLogData.targetType,
-        target_id: auditLogData.targetId,
-        details: JSON.stringify(auditLogData.details),
-        ip_address: auditLogData.ipAddress,
-        created_at: new Date(),
-      };
-      pool.query.mockResolvedValue({ rows: [mockAuditLog] });
+      mockAppend({ id: 1 }, reservation({ id: '1', prev_hash: null }));
 
       // Act
-      const result = await AuditLog.create(auditLogData);
+      await AuditLog.create({ actorId: 1, action: 'LOGIN', targetType: 'user', targetId: 1 });
+
+      // Assert
+      expect(insertParams()[8]).toBeNull();
+    });
+
+    it('should serialise appends in a transaction holding the advisory lock', async () => {
+      // Arrange
+      mockAppend({ id: 7 });
+
+      // Act
+      await AuditLog.create({ actorId: 1, action: 'LOGIN', targetType: 'user', targetId: 1 });
+
+      // Assert
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[1]).toContain('pg_advisory_xact_lock');
+      expect(statements[2]).toContain('nextval');
+      expect(statements[3]).toContain('INSERT INTO audit_logs');
+      expect(statements[4]).toBe('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should coerce IDs the way the integer columns store them', async () => {
+      // Arrange
+      mockAppend({ id: 7 });
+
+      // Act
+      await AuditLog.create({ actorId: '5', action: 'LOGIN', targetType: 'user', targetId: '12' });
 
       // Assert
-      expect(result).toHaveProperty('id');
-      expect(result).toHaveProperty('actor_id');
-      expect(result).toHaveProperty('action');
-      expect(result).toHaveProperty('target_type');
-      expect(result).toHaveProperty('target_id');
-      expect(result).toHaveProperty('details');
-      expect(result).toHaveProperty('ip_address');
-      expect(result).toHaveProperty('created_at');
+      const params = insertParams();
+      expect(params[1]).toBe(5);
+      expect(params[4]).toBe(12);
     });
 
     it('should handle complex details object (nested objects, arrays)', async () => {
@@ -127,34 +164,136 @@ describe('AuditLog Model', () => {
         metadata: ['field1', 'field2'],
         count: 42,
       };
-      const auditLogData = createAuditLogData({ details: complexDetails });
-      const mockAuditLog = {
-        id: 4,
-        actor_id: auditLogData.actorId,
-        details: JSON.stringify(complexDetails),
-        created_at: new Date(),
-      };
-      pool.query.mockResolvedValue({ rows: [mockAuditLog] });
+      mockAppend({ id: 7 });
 
       // Act
-      await AuditLog.create(auditLogData);
+      await AuditLog.create({
+        actorId: 1,
+        action: 'USER_UPDATED',
+        targetType: 'user',
+        targetId: 2,
+        details: complexDetails,
+      });
 
       // Assert
-      const expectedJSON = JSON.stringify(complexDetails);
-      expect(pool.query).toHaveBeenCalledWith(
-        expect.any(String),
-        expect.arrayContaining([expectedJSON]),
+      expect(insertParams()[5]).toBe(JSON.stringify(complexDetails));
+    });
+
+    it('should use the caller transaction when a client is passed', async () => {
+      // Arrange
+      const txClient = { query: jest.fn(), release: jest.fn() };
+      txClient.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce(reservation())
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      // Act
+      const result = await AuditLog.create(
+        { actorId: 1, action: 'LOGIN', targetType: 'user', targetId: 1 },
+        txClient,
       );
+
+      // Assert
+      expect(result).toEqual({ id: 7 });
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(txClient.query).toHaveBeenCalledTimes(3);
+      expect(txClient.query).not.toHaveBeenCalledWith('BEGIN');
+      expect(txClient.release).not.toHaveBeenCalled();
     });
 
-    it('should throw error on database failure', async () => {
+    it('should roll back and release the client on database failure', async () => {
       // Arrange
       const auditLogData = createAuditLogData();
       const dbError = new Error('Database insert failed');
-      pool.query.mockRejectedValue(dbError);
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce(reservation())
+        .mockRejectedValueOnce(dbError)
+        .mockResolvedValueOnce({ rows: [] });
 
       // Act & Assert
       await expect(AuditLog.create(auditLogData)).rejects.toThrow('Database insert failed');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('computeHash', () => {
+    const entry = {
+      id: 7,
+      created_at: '2026-01-15 10:30:00.123456',
+      actor_id: 1,
+      action: 'USER_UPDATED',
+      target_type: 'user',
+      target_id: 2,
+      details: { before: { role: 'admin' }, after: { role: 'user' } },
+      ip_address: '127.0.0.1',
+      prev_hash: 'a'.repeat(64),
+    };
+
+    it('should return a SHA-256 hex digest', () => {
+      // Act
+      const hash = AuditLog.computeHash(entry);
+
+      // Assert
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(AuditLog.computeHash({ ...entry })).toBe(hash);
+    });
+
+    it('should not depend on the key order of details (JSONB reorders keys)', () => {
+      // Arrange
+      const reordered = {
+        ...entry,
+        details: { after: { role: 'user' }, before: { role: 'admin' } },
+      };
+
+      // Act & Assert
+      expect(AuditLog.computeHash(reordered)).toBe(AuditLog.computeHash(entry));
+    });
+
+    it('should ignore columns that are not hashed', () => {
+      // Act & Assert
+      expect(AuditLog.computeHash({ ...entry, hash: 'x', actor_username: 'admin' })).toBe(
+        AuditLog.computeHash(entry),
+      );
+    });
+
+    it('should change when the content or the previous hash changes', () => {
+      // Arrange
+      const hash = AuditLog.computeHash(entry);
+
+      // Act & Assert
+      expect(AuditLog.computeHash({ ...entry, action: 'USER_DELETED' })).not.toBe(hash);
+      expect(AuditLog.computeHash({ ...entry, details: { before: {}, after: {} } })).not.toBe(hash);
+      expect(AuditLog.computeHash({ ...entry, prev_hash: 'b'.repeat(64) })).not.toBe(hash);
+    });
+  });
+
+  describe('findChainBatch', () => {
+    it('should return entries after the given ID in ID order', async () => {
+      // Arrange
+      const rows = [{ id: 11 }, { id: 12 }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await AuditLog.findChainBatch(10, 1000);
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('WHERE id > $1');
+      expect(sql).toContain('ORDER BY id');
+      expect(sql).toContain('to_char(created_at');
+      expect(params).toEqual([10, 1000]);
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Database query failed'));
+
+      // Act & Assert
+      await expect(AuditLog.findChainBatch(0, 1000)).rejects.toThrow('Database query failed');
     });
   });
 
@@ -255,6 +394,37 @@ describe('AuditLog Model', () => {
     });
   });
 
+  describe('findByTargetWithActor', () => {
+    it('should return entries oldest first with actor username', async () => {
+      // Arrange
+      const mockRows = [
+        { id: 1, action: 'TICKET_UPDATED', actor_username: 'admin' },
+        { id: 2, action: 'TICKET_ASSIGNED', actor_username: null },
+      ];
+      pool.query.mockResolvedValue({ rows: mockRows });
+
+      // Act
+      const result = await AuditLog.findByTargetWithActor('ticket', 5);
+
+      // Assert
+      expect(result).toEqual(mockRows);
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('LEFT JOIN users u ON a.actor_id = u.id');
+      expect(query).toContain('ORDER BY a.created_at ASC');
+      expect(params).toEqual(['ticket', 5, 500]);
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Database query failed'));
+
+      // Act & Assert
+      await expect(AuditLog.findByTargetWithActor('ticket', 1)).rejects.toThrow(
+        'Database query failed',
+      );
+    });
+  });
+
   describe('findByActor', () => {
     it('should return audit logs for specific actor', async () => {
       // Arrange
@@ -342,4 +512,160 @@ describe('AuditLog Model', () => {
       await expect(AuditLog.findByActor(1)).rejects.toThrow('Query execution failed');
     });
   });
+
+  describe('findAll', () => {
+    it('should return all entries newest first without filters', async () => {
+      // Arrange
+      const rows = [{ id: 2, actor_username: 'admin' }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await AuditLog.findAll();
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('LEFT JOIN users u ON a.actor_id = u.id');
+      expect(sql).toContain('ORDER BY a.created_at DESC, a.id DESC');
+      expect(sql).not.toContain('LIMIT');
+      expect(params).toEqual([]);
+    });
+
+    it('should apply every filter and the page', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await AuditLog.findAll({
+        actor_id: 3,
+        action: 'USER_LOGIN',
+        target_type: 'user',
+        target_id: 3,
+        ip_address: '10.0.3.',
+        date_from: '2026-01-01',
+        date_to: '2026-01-31',
+        limit: 25,
+        offset: 50,
+      });
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('a.actor_id = $1');
+      expect(sql).toContain('a.action = $2');
+      expect(sql).toContain('a.target_type = $3');
+      expect(sql).toContain('a.target_id = $4');
+      expect(sql).toContain('a.ip_address LIKE $5');
+      expect(sql).toContain('a.created_at >= $6::date');
+      expect(sql).toContain('a.created_at < $7::date + 1');
+      expect(sql).toContain('LIMIT $8 OFFSET $9');
+      expect(params).toEqual([
+        3,
+        'USER_LOGIN',
+        'user',
+        3,
+        '10.0.3.%',
+        '2026-01-01',
+        '2026-01-31',
+        25,
+        50,
+      ]);
+    });
+
+    it('should escape LIKE wildcards in the IP filter', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await AuditLog.findAll({ ip_address: '10_%' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][1]).toEqual(['10\\_\\%%']);
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query execution failed'));
+
+      // Act & Assert
+      await expect(AuditLog.findAll()).rejects.toThrow('Query execution failed');
+    });
+  });
+
+  describe('countAll', () => {
+    it('should count entries matching the filters', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '42' }] });
+
+      // Act
+      const result = await AuditLog.countAll({ action: 'USER_LOGIN' });
+
+      // Assert
+      expect(result).toBe(42);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('a.action = $1'), [
+        'USER_LOGIN',
+      ]);
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query execution failed'));
+
+      // Act & Assert
+      await expect(AuditLog.countAll()).rejects.toThrow('Query execution failed');
+    });
+  });
+
+  describe('findByIdWithActor', () => {
+    it('should return the entry with the actor username', async () => {
+      // Arrange
+      const entry = { id: 5, action: 'USER_CREATED', actor_username: 'admin' };
+      pool.query.mockResolvedValue({ rows: [entry] });
+
+      // Act
+      const result = await AuditLog.findByIdWithActor(5);
+
+      // Assert
+      expect(result).toEqual(entry);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('WHERE a.id = $1'), [5]);
+    });
+
+    it('should return undefined when the entry does not exist', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await AuditLog.findByIdWithActor(999);
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+  });
+
+  describe('findFilterOptions', () => {
+    it('should return distinct actions, target types and actors', async () => {
+      // Arrange
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ action: 'USER_CREATED' }, { action: 'USER_LOGIN' }] })
+        .mockResolvedValueOnce({ rows: [{ target_type: 'user' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, username: 'admin' }] });
+
+      // Act
+      const result = await AuditLog.findFilterOptions();
+
+      // Assert
+      expect(result).toEqual({
+        actions: ['USER_CREATED', 'USER_LOGIN'],
+        targetTypes: ['user'],
+        actors: [{ id: 1, username: 'admin' }],
+      });
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query execution failed'));
+
+      // Act & Assert
+      await expect(AuditLog.findFilterOptions()).rejects.toThrow('Query execution failed');
+    });
+  });
 });
@@ -939,13 +939,13 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [{ count: '5' }] });
 
       // Act
-      const result = await Department.countUsers('Cardiology');
+      const result = await Department.countUsers(5);
 
       // Assert
       expect(result).toBe(5);
       expect(pool.query).toHaveBeenCalledWith(
-        'SELECT COUNT(*) as count FROM users WHERE department = $1',
-        ['Cardiology'],
+        'SELECT COUNT(*) as count FROM users WHERE department_id = $1',
+        [5],
       );
     });
 
@@ -954,7 +954,7 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [{ count: '0' }] });
 
       // Act
-      const result = await Department.countUsers('New Department');
+      const result = await Department.countUsers(9);
 
       // Assert
       expect(result).toBe(0);
@@ -965,7 +965,7 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [{ count: '10' }] });
 
       // Act
-      const result = await Department.countUsers('Cardiology');
+      const result = await Department.countUsers(5);
 
       // Assert
       expect(result).toBe(10);
@@ -981,7 +981,7 @@ describe('Department Model', () => {
       pool.query.mockRejectedValue(dbError);
 
       // Act & Assert
-      await expect(Department.countUsers('Cardiology')).rejects.toThrow('Database error');
+      await expect(Department.countUsers(5)).rejects.toThrow('Database error');
     });
   });
 
@@ -991,13 +991,13 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [{ count: '15' }] });
 
       // Act
-      const result = await Department.countTickets('Cardiology');
+      const result = await Department.countTickets(5);
 
       // Assert
       expect(result).toBe(15);
       expect(pool.query).toHaveBeenCalledWith(
-        'SELECT COUNT(*) as count FROM tickets WHERE reporter_department = $1',
-        ['Cardiology'],
+        'SELECT COUNT(*) as count FROM tickets WHERE reporter_department_id = $1',
+        [5],
       );
     });
 
@@ -1006,7 +1006,7 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [{ count: '0' }] });
 
       // Act
-      const result = await Department.countTickets('New Department');
+      const result = await Department.countTickets(9);
 
       // Assert
       expect(result).toBe(0);
@@ -1017,7 +1017,7 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [{ count: '25' }] });
 
       // Act
-      const result = await Department.countTickets('Cardiology');
+      const result = await Department.countTickets(5);
 
       // Assert
       expect(result).toBe(25);
@@ -1033,7 +1033,7 @@ describe('Department Model', () => {
       pool.query.mockRejectedValue(dbError);
 
       // Act & Assert
-      await expect(Department.countTickets('Cardiology')).rejects.toThrow('Database error');
+      await expect(Department.countTickets(5)).rejects.toThrow('Database error');
     });
   });
 
@@ -1061,13 +1061,14 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: mockUsers });
 
       // Act
-      const result = await Department.getUsers('Cardiology');
+      const result = await Department.getUsers(5);
 
       // Assert
       expect(result).toHaveLength(2);
-      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('WHERE department = $1'), [
-        'Cardiology',
-      ]);
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE department_id = $1'),
+        [5],
+      );
     });
 
     it('should order users by username', async () => {
@@ -1075,7 +1076,7 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [] });
 
       // Act
-      await Department.getUsers('Cardiology');
+      await Department.getUsers(5);
 
       // Assert
       expect(pool.query).toHaveBeenCalledWith(
@@ -1090,7 +1091,7 @@ describe('Department Model', () => {
       pool.query.mockRejectedValue(dbError);
 
       // Act & Assert
-      await expect(Department.getUsers('Cardiology')).rejects.toThrow('Database error');
+      await expect(Department.getUsers(5)).rejects.toThrow('Database error');
     });
   });
 
@@ -1110,13 +1111,13 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: mockUsers });
 
       // Act
-      const result = await Department.getAvailableUsers('Cardiology');
+      const result = await Department.getAvailableUsers(5);
 
       // Assert
       expect(result).toHaveLength(1);
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE (department != $1 OR department IS NULL)'),
-        ['Cardiology'],
+        expect.stringContaining('WHERE (department_id != $1 OR department_id IS NULL)'),
+        [5],
       );
     });
 
@@ -1125,7 +1126,7 @@ describe('Department Model', () => {
       pool.query.mockResolvedValue({ rows: [] });
 
       // Act
-      await Department.getAvailableUsers('Cardiology');
+      await Department.getAvailableUsers(5);
 
       // Assert
       expect(pool.query).toHaveBeenCalledWith(
@@ -1144,7 +1145,7 @@ describe('Department Model', () => {
       pool.query.mockRejectedValue(dbError);
 
       // Act & Assert
-      await expect(Department.getAvailableUsers('Cardiology')).rejects.toThrow('Database error');
+      await expect(Department.getAvailableUsers(5)).rejects.toThrow('Database error');
     });
   });
 });
@@ -0,0 +1,200 @@
+/**
+ * ErrorReport Model Unit Tests
+ *
+ * Tests the ErrorReport model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - create()
+ * - findById()
+ * - findAll() and countAll() filters
+ * - countByStatus()
+ * - resolve()
+ * - linkTicket()
+ */
+
+const ErrorReport = require('../../../models/ErrorReport');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+
+describe('ErrorReport Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should insert the report with the server-side request details', async () => {
+      // Arrange
+      const row = { id: 1, correlation_id: 'A1B2C3D4E5F60718' };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await ErrorReport.create({
+        correlationId: 'A1B2C3D4E5F60718',
+        category: 'SERVER_ERROR',
+        statusCode: 500,
+        requestMethod: 'GET',
+        requestPath: '/admin/tickets/4',
+        errorMessage: 'boom',
+        occurredAt: '2026-10-01T08:00:00.000Z',
+        userId: 7,
+        description: 'Opened a ticket',
+        additionalData: { viewport: { width: 1280 } },
+      });
+
+      // Assert
+      expect(result).toBe(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO error_reports');
+      expect(params).toEqual([
+        'A1B2C3D4E5F60718',
+        'SERVER_ERROR',
+        500,
+        'GET',
+        '/admin/tickets/4',
+        'boom',
+        '2026-10-01T08:00:00.000Z',
+        7,
+        null,
+        null,
+        'Opened a ticket',
+        '{"viewport":{"width":1280}}',
+      ]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      const error = new Error('duplicate key value');
+      error.code = '23505';
+      pool.query.mockRejectedValue(error);
+
+      // Act & Assert
+      await expect(
+        ErrorReport.create({ correlationId: 'X', category: 'NOT_FOUND', occurredAt: new Date() }),
+      ).rejects.toThrow('duplicate key value');
+    });
+  });
+
+  describe('findById', () => {
+    it('should return null when the report does not exist', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await ErrorReport.findById(99);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(pool.query.mock.calls[0][0]).toContain('AS reporter_username');
+      expect(pool.query.mock.calls[0][1]).toEqual([99]);
+    });
+  });
+
+  describe('findAll', () => {
+    it('should apply status, category and search filters with pagination', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await ErrorReport.findAll({
+        status: 'open',
+        category: 'NOT_FOUND',
+        search: '50%',
+        limit: 25,
+        offset: 50,
+      });
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('r.status = $1');
+      expect(sql).toContain('r.category = $2');
+      expect(sql).toContain('r.correlation_id ILIKE $3');
+      expect(sql).toContain('LIMIT $4 OFFSET $5');
+      expect(params).toEqual(['open', 'NOT_FOUND', '%50\\%%', 25, 50]);
+    });
+
+    it('should not paginate without a limit', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await ErrorReport.findAll();
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).not.toContain('LIMIT');
+      expect(pool.query.mock.calls[0][1]).toEqual([]);
+    });
+  });
+
+  describe('countAll', () => {
+    it('should count with the same filters as the list', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '4' }] });
+
+      // Act
+      const result = await ErrorReport.countAll({ status: 'resolved' });
+
+      // Assert
+      expect(result).toBe(4);
+      expect(pool.query.mock.calls[0][1]).toEqual(['resolved']);
+    });
+  });
+
+  describe('countByStatus', () => {
+    it('should return counts keyed by status', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({
+        rows: [
+          { status: 'open', count: '3' },
+          { status: 'resolved', count: '12' },
+        ],
+      });
+
+      // Act
+      const result = await ErrorReport.countByStatus();
+
+      // Assert
+      expect(result).toEqual({ open: 3, resolved: 12 });
+    });
+  });
+
+  describe('resolve', () => {
+    it('should only resolve open reports', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await ErrorReport.resolve(5, { resolution: 'Fixed', resolvedBy: 2 });
+
+      // Assert
+      expect(result).toBeNull();
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("WHERE id = $1 AND status = 'open'");
+      expect(params).toEqual([5, 'Fixed', 2]);
+    });
+  });
+
+  describe('linkTicket', () => {
+    it('should only link a report without a ticket', async () => {
+      // Arrange
+      const row = { id: 5, ticket_id: 40 };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await ErrorReport.linkTicket(5, 40);
+
+      // Assert
+      expect(result).toBe(row);
+      expect(pool.query.mock.calls[0][0]).toContain('ticket_id IS NULL');
+      expect(pool.query.mock.calls[0][1]).toEqual([5, 40]);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * JobRun Model Unit Tests
+ *
+ * Tests the JobRun model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - create()
+ * - finish()
+ * - findAll() and countAll() filters
+ * - deleteOlderThan()
+ */
+
+const JobRun = require('../../../models/JobRun');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+
+describe('JobRun Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should insert a running run', async () => {
+      // Arrange
+      const row = { id: 1, job_name: 'cleanup', status: 'running' };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await JobRun.create({
+        jobName: 'cleanup',
+        trigger: 'manual',
+        triggeredBy: 3,
+        worker: 'web-1:42',
+      });
+
+      // Assert
+      expect(result).toBe(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO job_runs');
+      expect(params).toEqual(['cleanup', 'manual', 3, 'web-1:42']);
+    });
+
+    it('should default triggeredBy to null for scheduled runs', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      // Act
+      await JobRun.create({ jobName: 'cleanup', trigger: 'schedule', worker: 'web-1:42' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][1][2]).toBeNull();
+    });
+
+    it('should throw on database error', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Connection lost'));
+
+      // Act & Assert
+      await expect(
+        JobRun.create({ jobName: 'cleanup', trigger: 'schedule', worker: 'web-1:42' }),
+      ).rejects.toThrow('Connection lost');
+    });
+  });
+
+  describe('finish', () => {
+    it('should store the outcome and finish time', async () => {
+      // Arrange
+      const row = { id: 1, status: 'succeeded' };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await JobRun.finish(1, { status: 'succeeded', result: { closed: 2 } });
+
+      // Assert
+      expect(result).toBe(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('finished_at = CURRENT_TIMESTAMP');
+      expect(params).toEqual([1, 'succeeded', '{"closed":2}', null]);
+    });
+
+    it('should store the error message of failed runs', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      // Act
+      await JobRun.finish(1, { status: 'failed', error: 'SMTP down' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][1]).toEqual([1, 'failed', null, 'SMTP down']);
+    });
+  });
+
+  describe('findAll', () => {
+    it('should return runs newest first with the triggering username', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await JobRun.findAll();
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('LEFT JOIN users u ON r.triggered_by = u.id');
+      expect(sql).toContain('ORDER BY r.started_at DESC, r.id DESC');
+      expect(sql).not.toContain('LIMIT');
+      expect(params).toEqual([]);
+    });
+
+    it('should apply filters and paging', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await JobRun.findAll({ jobName: 'cleanup', status: 'failed', limit: 20, offset: 40 });
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('r.job_name = $1');
+      expect(sql).toContain('r.status = $2');
+      expect(sql).toContain('LIMIT $3 OFFSET $4');
+      expect(params).toEqual(['cleanup', 'failed', 20, 40]);
+    });
+  });
+
+  describe('countAll', () => {
+    it('should count runs matching the filters', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '7' }] });
+
+      // Act
+      const result = await JobRun.countAll({ status: 'failed' });
+
+      // Assert
+      expect(result).toBe(7);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('r.status = $1');
+      expect(params).toEqual(['failed']);
+    });
+  });
+
+  describe('deleteOlderThan', () => {
+    it('should delete finished runs older than the given days', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 12 });
+
+      // Act
+      const result = await JobRun.deleteOlderThan(30);
+
+      // Assert
+      expect(result).toBe(12);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('finished_at IS NOT NULL');
+      expect(sql).toContain('make_interval(days => $1)');
+      expect(params).toEqual([30]);
+    });
+  });
+});
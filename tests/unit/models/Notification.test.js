@@ -0,0 +1,199 @@
+/**
+ * Notification Model Unit Tests
+ *
+ * Tests the Notification model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - createMany()
+ * - findRecentByUser() / countUnreadByUser() / findByIdForUser()
+ * - markRead() / markAllRead()
+ * - findSlaWarnedTicketIds()
+ */
+
+const Notification = require('../../../models/Notification');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+
+const pool = require('../../../config/database');
+
+describe('Notification Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('createMany', () => {
+    it('should insert all rows in one statement', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }, { id: 2 }] });
+
+      // Act
+      const result = await Notification.createMany([
+        {
+          user_id: 5,
+          ticket_id: 12,
+          actor_id: 1,
+          event_type: 'ticket_reply',
+          details: { comment_id: 40 },
+        },
+        { user_id: 6, ticket_id: 12, event_type: 'ticket_assigned' },
+      ]);
+
+      // Assert
+      expect(result).toHaveLength(2);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('VALUES ($1, $2, $3, $4, $5), ($6, $7, $8, $9, $10)');
+      expect(params).toEqual([
+        5,
+        12,
+        1,
+        'ticket_reply',
+        '{"comment_id":40}',
+        6,
+        12,
+        null,
+        'ticket_assigned',
+        '{}',
+      ]);
+    });
+
+    it('should use the given client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+
+      // Act
+      await Notification.createMany([{ user_id: 5, event_type: 'sla_warning' }], client);
+
+      // Assert
+      expect(client.query).toHaveBeenCalled();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should not query for an empty list', async () => {
+      // Act
+      const result = await Notification.createMany([]);
+
+      // Assert
+      expect(result).toEqual([]);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findRecentByUser', () => {
+    it('should return the newest notifications of the user', async () => {
+      // Arrange
+      const rows = [{ id: 3, ticket_title: 'Printer offline', actor_username: 'admin' }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await Notification.findRecentByUser(5, 8);
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('WHERE n.user_id = $1');
+      expect(sql).toContain('ORDER BY n.created_at DESC');
+      expect(params).toEqual([5, 8]);
+    });
+  });
+
+  describe('countUnreadByUser', () => {
+    it('should return the unread count as a number', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '4' }] });
+
+      // Act
+      const result = await Notification.countUnreadByUser(5);
+
+      // Assert
+      expect(result).toBe(4);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('read_at IS NULL'), [5]);
+    });
+  });
+
+  describe('findByIdForUser', () => {
+    it('should scope the lookup to the recipient', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await Notification.findByIdForUser(9, 5);
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('user_id = $2'), [9, 5]);
+    });
+  });
+
+  describe('markRead', () => {
+    it('should return true when an unread notification was marked', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 1 });
+
+      // Act
+      const result = await Notification.markRead(9, 5);
+
+      // Assert
+      expect(result).toBe(true);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('read_at IS NULL');
+      expect(params).toEqual([9, 5]);
+    });
+
+    it('should return false when nothing was marked', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 0 });
+
+      // Act
+      const result = await Notification.markRead(9, 5);
+
+      // Assert
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('markAllRead', () => {
+    it('should return the number of notifications marked', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 3 });
+
+      // Act
+      const result = await Notification.markAllRead(5);
+
+      // Assert
+      expect(result).toBe(3);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('WHERE user_id = $1'), [5]);
+    });
+  });
+
+  describe('findSlaWarnedTicketIds', () => {
+    it('should return tickets already warned about for the target', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ ticket_id: 12 }] });
+
+      // Act
+      const result = await Notification.findSlaWarnedTicketIds([12, 13], 'resolution');
+
+      // Assert
+      expect(result).toEqual([12]);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("event_type = 'sla_warning'");
+      expect(params).toEqual([[12, 13], 'resolution']);
+    });
+
+    it('should not query for an empty list', async () => {
+      // Act
+      const result = await Notification.findSlaWarnedTicketIds([], 'resolution');
+
+      // Assert
+      expect(result).toEqual([]);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * NotificationPreference Model Unit Tests
+ *
+ * Tests the NotificationPreference model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - findByUserId()
+ * - findOptedOutUserIds()
+ * - upsert()
+ */
+
+const NotificationPreference = require('../../../models/NotificationPreference');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+
+const pool = require('../../../config/database');
+
+describe('NotificationPreference Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('findByUserId', () => {
+    it('should return the stored preferences of a user', async () => {
+      // Arrange
+      const rows = [{ event_type: 'status_change', email_enabled: false }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await NotificationPreference.findByUserId(7);
+
+      // Assert
+      expect(result).toEqual(rows);
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM notification_preferences'),
+        [7],
+      );
+    });
+  });
+
+  describe('findOptedOutUserIds', () => {
+    it('should return the IDs of users who disabled the event', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ user_id: 3 }] });
+
+      // Act
+      const result = await NotificationPreference.findOptedOutUserIds([2, 3], 'ticket_reply');
+
+      // Assert
+      expect(result).toEqual([3]);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('email_enabled = false');
+      expect(params).toEqual([[2, 3], 'ticket_reply']);
+    });
+
+    it('should not query the database without candidates', async () => {
+      // Act
+      const result = await NotificationPreference.findOptedOutUserIds([], 'ticket_reply');
+
+      // Assert
+      expect(result).toEqual([]);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upsert', () => {
+    it('should insert or update the preference row', async () => {
+      // Arrange
+      const row = { user_id: 7, event_type: 'ticket_reply', email_enabled: false };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await NotificationPreference.upsert(7, 'ticket_reply', false);
+
+      // Assert
+      expect(result).toEqual(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (user_id, event_type)');
+      expect(params).toEqual([7, 'ticket_reply', false]);
+    });
+
+    it('should use the given client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{}] }) };
+
+      // Act
+      await NotificationPreference.upsert(7, 'ticket_reply', true, client);
+
+      // Assert
+      expect(client.query).toHaveBeenCalled();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * PasswordHistory Model Unit Tests
+ *
+ * Tests the PasswordHistory model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - findRecentHashes()
+ * - prune()
+ */
+
+const PasswordHistory = require('../../../models/PasswordHistory');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+
+describe('PasswordHistory Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('findRecentHashes', () => {
+    it('should return the newest hashes of the user', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({
+        rows: [{ password_hash: 'hash-2' }, { password_hash: 'hash-1' }],
+      });
+
+      // Act
+      const result = await PasswordHistory.findRecentHashes(5, 4);
+
+      // Assert
+      expect(result).toEqual(['hash-2', 'hash-1']);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('ORDER BY created_at DESC');
+      expect(params).toEqual([5, 4]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('connection lost'));
+
+      // Act & Assert
+      await expect(PasswordHistory.findRecentHashes(5, 4)).rejects.toThrow('connection lost');
+    });
+  });
+
+  describe('prune', () => {
+    it('should delete all but the newest hashes of the user', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 2 });
+
+      // Act
+      const result = await PasswordHistory.prune(5, 4);
+
+      // Assert
+      expect(result).toBe(2);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('DELETE FROM password_history');
+      expect(sql).toContain('LIMIT $2');
+      expect(params).toEqual([5, 4]);
+    });
+  });
+});
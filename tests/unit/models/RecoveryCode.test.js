@@ -0,0 +1,96 @@
+/**
+ * RecoveryCode Model Unit Tests
+ *
+ * Tests the RecoveryCode model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - replaceForUser()
+ * - consume()
+ * - countUnused()
+ */
+
+const RecoveryCode = require('../../../models/RecoveryCode');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+
+describe('RecoveryCode Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('replaceForUser', () => {
+    it('should delete the old codes and insert the new hashes', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 2 });
+
+      // Act
+      const result = await RecoveryCode.replaceForUser(5, ['hash-1', 'hash-2']);
+
+      // Assert
+      expect(result).toBe(2);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('DELETE FROM two_factor_recovery_codes WHERE user_id = $1');
+      expect(sql).toContain('unnest($2::text[])');
+      expect(params).toEqual([5, ['hash-1', 'hash-2']]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('connection lost'));
+
+      // Act & Assert
+      await expect(RecoveryCode.replaceForUser(5, ['hash-1'])).rejects.toThrow('connection lost');
+    });
+  });
+
+  describe('consume', () => {
+    it('should mark an unused matching code as used', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 1, rows: [{ id: 3 }] });
+
+      // Act
+      const result = await RecoveryCode.consume(5, 'hash-1');
+
+      // Assert
+      expect(result).toBe(true);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('SET used_at = CURRENT_TIMESTAMP');
+      expect(sql).toContain('used_at IS NULL');
+      expect(params).toEqual([5, 'hash-1']);
+    });
+
+    it('should return false when no unused code matches', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      // Act
+      const result = await RecoveryCode.consume(5, 'hash-9');
+
+      // Assert
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('countUnused', () => {
+    it('should count the unused codes of the user', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '7' }] });
+
+      // Act
+      const result = await RecoveryCode.countUnused(5);
+
+      // Assert
+      expect(result).toBe(7);
+      expect(pool.query.mock.calls[0][1]).toEqual([5]);
+    });
+  });
+});
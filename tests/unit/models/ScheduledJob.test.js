@@ -0,0 +1,192 @@
+/**
+ * ScheduledJob Model Unit Tests
+ *
+ * Tests the ScheduledJob model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - sync()
+ * - findAll()
+ * - findDueNames()
+ * - claim()
+ * - release()
+ */
+
+const ScheduledJob = require('../../../models/ScheduledJob');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+
+describe('ScheduledJob Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('sync', () => {
+    it('should upsert every job with the interval from its definition', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await ScheduledJob.sync([
+        { name: 'cleanup', intervalMinutes: 60 },
+        { name: 'sla_warnings', intervalMinutes: 5 },
+      ]);
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledTimes(2);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO scheduled_jobs');
+      expect(sql).toContain('ON CONFLICT (name) DO UPDATE SET interval_minutes');
+      expect(params).toEqual(['cleanup', 60]);
+      expect(pool.query.mock.calls[1][1]).toEqual(['sla_warnings', 5]);
+    });
+
+    it('should throw on database error', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Connection lost'));
+
+      // Act & Assert
+      await expect(ScheduledJob.sync([{ name: 'cleanup', intervalMinutes: 60 }])).rejects.toThrow(
+        'Connection lost',
+      );
+    });
+  });
+
+  describe('findAll', () => {
+    it('should return all jobs ordered by name', async () => {
+      // Arrange
+      const rows = [{ name: 'cleanup' }, { name: 'sla_warnings' }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await ScheduledJob.findAll();
+
+      // Assert
+      expect(result).toBe(rows);
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY name');
+    });
+  });
+
+  describe('findDueNames', () => {
+    it('should return the names of due, unlocked jobs', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ name: 'sla_warnings' }, { name: 'cleanup' }] });
+
+      // Act
+      const result = await ScheduledJob.findDueNames();
+
+      // Assert
+      expect(result).toEqual(['sla_warnings', 'cleanup']);
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('next_run_at <= CURRENT_TIMESTAMP');
+      expect(sql).toContain('locked_until < CURRENT_TIMESTAMP');
+    });
+  });
+
+  describe('claim', () => {
+    it('should take the lock in a single conditional update', async () => {
+      // Arrange
+      const row = { name: 'cleanup', locked_by: 'web-1:42' };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await ScheduledJob.claim('cleanup', { worker: 'web-1:42', leaseMinutes: 30 });
+
+      // Assert
+      expect(result).toBe(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('UPDATE scheduled_jobs');
+      expect(sql).toContain('locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP');
+      expect(sql).toContain('$4 OR next_run_at <= CURRENT_TIMESTAMP');
+      expect(params).toEqual(['cleanup', 'web-1:42', 30, false]);
+    });
+
+    it('should pass force for manual runs', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ name: 'cleanup' }] });
+
+      // Act
+      await ScheduledJob.claim('cleanup', { worker: 'web-1:42', leaseMinutes: 30, force: true });
+
+      // Assert
+      expect(pool.query.mock.calls[0][1][3]).toBe(true);
+    });
+
+    it('should return null when another worker holds the job', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await ScheduledJob.claim('cleanup', { worker: 'web-2:7', leaseMinutes: 30 });
+
+      // Assert
+      expect(result).toBeNull();
+    });
+
+    it('should throw on database error', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Connection lost'));
+
+      // Act & Assert
+      await expect(
+        ScheduledJob.claim('cleanup', { worker: 'web-1:42', leaseMinutes: 30 }),
+      ).rejects.toThrow('Connection lost');
+    });
+  });
+
+  describe('release', () => {
+    it('should record the outcome, schedule the next run and clear the lock', async () => {
+      // Arrange
+      const row = { name: 'cleanup', last_status: 'succeeded' };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await ScheduledJob.release('cleanup', {
+        worker: 'web-1:42',
+        status: 'succeeded',
+        result: { sessions: 3 },
+      });
+
+      // Assert
+      expect(result).toBe(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('make_interval(mins => interval_minutes)');
+      expect(sql).toContain('locked_by = NULL');
+      expect(sql).toContain('WHERE name = $1 AND locked_by = $2');
+      expect(params).toEqual(['cleanup', 'web-1:42', 'succeeded', '{"sessions":3}']);
+    });
+
+    it('should store a null result without serializing it', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ name: 'cleanup' }] });
+
+      // Act
+      await ScheduledJob.release('cleanup', { worker: 'web-1:42', status: 'failed' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][1][3]).toBeNull();
+    });
+
+    it('should return null when the lock was lost', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await ScheduledJob.release('cleanup', {
+        worker: 'web-1:42',
+        status: 'succeeded',
+      });
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+});
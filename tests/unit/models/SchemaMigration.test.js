@@ -0,0 +1,124 @@
+/**
+ * SchemaMigration Model Unit Tests
+ *
+ * Tests the SchemaMigration model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - createTable()
+ * - findAll()
+ * - record()
+ * - remove()
+ * - hasApplicationSchema()
+ */
+
+const SchemaMigration = require('../../../models/SchemaMigration');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+
+describe('SchemaMigration Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('createTable', () => {
+    it('should create the tracking table only when missing', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await SchemaMigration.createTable();
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('CREATE TABLE IF NOT EXISTS schema_migrations'),
+      );
+    });
+  });
+
+  describe('findAll', () => {
+    it('should return applied migrations by version using the given client', async () => {
+      // Arrange
+      const rows = [{ version: 1, name: '001_create_users.sql' }];
+      const client = { query: jest.fn().mockResolvedValue({ rows }) };
+
+      // Act
+      const result = await SchemaMigration.findAll(client);
+
+      // Assert
+      expect(result).toBe(rows);
+      expect(client.query.mock.calls[0][0]).toContain('ORDER BY version');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query failed'));
+
+      // Act & Assert
+      await expect(SchemaMigration.findAll()).rejects.toThrow('Query failed');
+    });
+  });
+
+  describe('record', () => {
+    it('should insert the migration with its checksum', async () => {
+      // Arrange
+      const row = { version: 34, name: '034_add_department_id_foreign_keys.sql' };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await SchemaMigration.record({
+        version: 34,
+        name: '034_add_department_id_foreign_keys.sql',
+        checksum: 'abc',
+        durationMs: 120,
+      });
+
+      // Assert
+      expect(result).toBe(row);
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO schema_migrations'),
+        [34, '034_add_department_id_foreign_keys.sql', 'abc', false, 120],
+      );
+    });
+  });
+
+  describe('remove', () => {
+    it('should report whether the migration was recorded', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 0 });
+
+      // Act
+      const result = await SchemaMigration.remove(34);
+
+      // Assert
+      expect(result).toBe(false);
+      expect(pool.query).toHaveBeenCalledWith(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [34],
+      );
+    });
+  });
+
+  describe('hasApplicationSchema', () => {
+    it('should check for the users table', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ exists: true }] });
+
+      // Act
+      const result = await SchemaMigration.hasApplicationSchema();
+
+      // Assert
+      expect(result).toBe(true);
+      expect(pool.query.mock.calls[0][0]).toContain("to_regclass('public.users')");
+    });
+  });
+});
@@ -2,16 +2,18 @@
  * Ticket Model Unit Tests
  *
  * Tests the Ticket model in complete isolation with all dependencies mocked.
- * Covers all 4 static methods with success, failure, and edge cases.
+ * Covers all static methods with success, failure, and edge cases.
  */
 
 const Ticket = require('../../../models/Ticket');
+const TicketStatusHistory = require('../../../models/TicketStatusHistory');
 const { createMockPool } = require('../../helpers/mocks');
 const { createTicketData } = require('../../helpers/factories');
 
 // Mock dependencies
 jest.mock('../../../config/database');
 jest.mock('../../../utils/logger');
+jest.mock('../../../models/TicketStatusHistory');
 
 const pool = require('../../../config/database');
 
@@ -57,6 +59,17 @@ describe('Ticket Model', () => {
       );
     });
 
+    it('should record the initial status in the status history', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 12, status: 'waiting_on_admin' }] });
+
+      // Act
+      await Ticket.create(createTicketData({ status: 'waiting_on_admin' }));
+
+      // Assert
+      expect(TicketStatusHistory.record).toHaveBeenCalledWith(12, 'waiting_on_admin', pool);
+    });
+
     it('should create ticket with default priority=unset when not provided', async () => {
       // Arrange
       const ticketData = createTicketData({ priority: undefined });
@@ -130,7 +143,9 @@ describe('Ticket Model', () => {
 
       // Assert
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('$1, $2, $3, $4, $5, $6, $7, $8, $9'),
+        expect.stringContaining(
+          '$1, $2, $3, $4, (SELECT id FROM departments WHERE name = $4::varchar), $5, $6, $7, $8, $9',
+        ),
         [
           'Test Ticket',
           'Test Description',
@@ -338,6 +353,172 @@ describe('Ticket Model', () => {
       );
     });
 
+    it('should filter by assignee ID', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ status: 'open', assigned_to: '5' });
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('t.assigned_to = $2'), [
+        'open',
+        5,
+      ]);
+    });
+
+    it('should filter unassigned tickets without a parameter', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ assigned_to: 'unassigned' });
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('t.assigned_to IS NULL'), []);
+    });
+
+    it('should include SLA due dates and breach flags', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({});
+
+      // Assert
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('LEFT JOIN LATERAL');
+      expect(query).toContain('ORDER BY sp.department_id NULLS LAST');
+      expect(query).toContain('as first_response_due_at');
+      expect(query).toContain('as resolution_due_at');
+      expect(query).toContain('as first_response_breached');
+      expect(query).toContain('as resolution_breached');
+    });
+
+    it('should filter breached tickets when sla filter is breached', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ status: 'open', sla: 'breached' });
+
+      // Assert
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toMatch(/AND \(COALESCE\(COALESCE\(t\.first_response_at/);
+      expect(params).toEqual(['open']);
+    });
+
+    it('should filter tickets without a policy when sla filter is no_policy', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ sla: 'no_policy' });
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('AND sla.resolution_minutes IS NULL'),
+        [],
+      );
+    });
+
+    it('should ignore unknown sla filter and sort values', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ sla: '1; DROP TABLE tickets', sort: 'id; --' });
+
+      // Assert
+      const query = pool.query.mock.calls[0][0];
+      expect(query).not.toContain('DROP TABLE');
+      expect(query).toContain('ORDER BY t.created_at DESC');
+    });
+
+    it('should ignore sort keys inherited from Object.prototype', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ sort: 'constructor' });
+      await Ticket.findByDepartment(1, { sort: 'toString', order: 'asc' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY t.created_at DESC, t.id DESC');
+      expect(pool.query.mock.calls[1][0]).toContain('ORDER BY t.created_at ASC, t.id ASC');
+      expect(pool.query.mock.calls[1][0]).not.toContain('undefined');
+    });
+
+    it('should ignore sla filter names inherited from Object.prototype', async () => {
+      // Arrange
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      // Act
+      await Ticket.findAll({ sla: 'toString' });
+      await Ticket.countAll({ sla: 'constructor' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).not.toContain('function');
+      expect(pool.query.mock.calls[1][0]).not.toContain('function');
+      expect(pool.query.mock.calls[1][0]).not.toContain('LEFT JOIN LATERAL');
+    });
+
+    it('should sort by resolution due date when requested', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ sort: 'resolution_due' });
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('ORDER BY resolution_due_at ASC NULLS LAST'),
+        [],
+      );
+    });
+
+    it.each([
+      ['priority', undefined, /ORDER BY CASE t\.priority .* END DESC, t\.id DESC/],
+      ['status', undefined, /ORDER BY CASE t\.status .* END ASC, t\.id ASC/],
+      ['updated', 'asc', /ORDER BY t\.updated_at ASC, t\.id ASC/],
+      ['id', 'asc', /ORDER BY t\.id ASC$/],
+    ])('should sort by %s (order=%s)', async (sort, order, expected) => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ sort, order });
+
+      // Assert
+      expect(pool.query.mock.calls[0][0].trim()).toMatch(expected);
+    });
+
+    it('should ignore unknown order values', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ sort: 'updated', order: 'sideways' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY t.updated_at DESC, t.id DESC');
+    });
+
+    it('should append LIMIT and OFFSET after filter parameters', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findAll({ status: 'open', limit: 25, offset: 50 });
+
+      // Assert
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('LIMIT $2 OFFSET $3');
+      expect(params).toEqual(['open', 25, 50]);
+    });
+
     it('should throw error on database failure', async () => {
       // Arrange
       const dbError = new Error('Database connection lost');
@@ -348,7 +529,184 @@ describe('Ticket Model', () => {
     });
   });
 
+  describe('countAll', () => {
+    it('should count with the same filters and return a number', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '42' }] });
+
+      // Act
+      const result = await Ticket.countAll({ status: 'open', search: 'printer', sort: 'id' });
+
+      // Assert
+      expect(result).toBe(42);
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('SELECT COUNT(*) as count');
+      expect(query).toContain('t.status = $1');
+      expect(query).not.toContain('ORDER BY');
+      expect(query).not.toContain('LEFT JOIN LATERAL');
+      expect(params).toEqual(['open', '%printer%']);
+    });
+
+    it('should join SLA policies only when filtering by SLA state', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '3' }] });
+
+      // Act
+      await Ticket.countAll({ sla: 'breached' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).toContain('LEFT JOIN LATERAL');
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Database connection lost'));
+
+      // Act & Assert
+      await expect(Ticket.countAll({})).rejects.toThrow('Database connection lost');
+    });
+  });
+
+  describe('findByDepartment', () => {
+    it('should exclude admin-created tickets and page results', async () => {
+      // Arrange
+      const mockTickets = [{ id: 1, reporter_department: 'Emergency', reporter_department_id: 3 }];
+      pool.query.mockResolvedValue({ rows: mockTickets });
+
+      // Act
+      const result = await Ticket.findByDepartment(3, {
+        priority: 'high',
+        limit: 10,
+        offset: 20,
+      });
+
+      // Assert
+      expect(result).toEqual(mockTickets);
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('t.reporter_department_id = $1');
+      expect(query).toContain('t.is_admin_created = false');
+      expect(query).toContain('t.priority = $2');
+      expect(query).toContain('LIMIT $3 OFFSET $4');
+      expect(params).toEqual([3, 'high', 10, 20]);
+    });
+
+    it('should fall back to newest first for SLA sort keys', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findByDepartment(3, { sort: 'resolution_due' });
+
+      // Assert
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('ORDER BY t.created_at DESC, t.id DESC');
+      expect(query).not.toContain('resolution_due_at');
+    });
+
+    it('should sort by priority when requested', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await Ticket.findByDepartment(3, { sort: 'priority', order: 'asc' });
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).toMatch(/ORDER BY CASE t\.priority .* END ASC/);
+    });
+  });
+
+  describe('countByDepartment', () => {
+    it('should count department tickets matching filters', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ count: '7' }] });
+
+      // Act
+      const result = await Ticket.countByDepartment(3, { status: 'closed' });
+
+      // Assert
+      expect(result).toBe(7);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('t.status = $2'), [
+        3,
+        'closed',
+      ]);
+    });
+  });
+
+  describe('countStatusesByDepartment', () => {
+    it('should return a status to count map', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({
+        rows: [
+          { status: 'open', count: '4' },
+          { status: 'closed', count: '10' },
+        ],
+      });
+
+      // Act
+      const result = await Ticket.countStatusesByDepartment(3);
+
+      // Assert
+      expect(result).toEqual({ open: 4, closed: 10 });
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('GROUP BY t.status'), [3]);
+    });
+  });
+
+  describe('countClosedSinceByDepartment', () => {
+    it('should count closed tickets resolved since the given time', async () => {
+      // Arrange
+      const since = new Date(2026, 2, 1);
+      pool.query.mockResolvedValue({ rows: [{ count: '6' }] });
+
+      // Act
+      const result = await Ticket.countClosedSinceByDepartment(3, since);
+
+      // Assert
+      expect(result).toBe(6);
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('t.resolved_at >= $2');
+      expect(query).toContain('t.is_admin_created = false');
+      expect(params).toEqual([3, since]);
+    });
+  });
+
+  describe('findOldestOpenByDepartment', () => {
+    it('should return the oldest ticket that is not closed', async () => {
+      // Arrange
+      const oldest = { id: 3, title: 'Printer', status: 'open', created_at: new Date() };
+      pool.query.mockResolvedValue({ rows: [oldest] });
+
+      // Act
+      const result = await Ticket.findOldestOpenByDepartment(3);
+
+      // Assert
+      expect(result).toBe(oldest);
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain("t.status <> 'closed'");
+      expect(query).toContain('ORDER BY t.created_at ASC');
+      expect(params).toEqual([3]);
+    });
+
+    it('should return undefined when nothing is outstanding', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await Ticket.findOldestOpenByDepartment(3);
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+  });
+
   describe('update', () => {
+    let client;
+
+    beforeEach(() => {
+      // Queries of the update's own transaction go to pool.query, like the other methods
+      client = { query: pool.query, release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+    });
+
     it('should update status only when only status provided', async () => {
       // Arrange
       const mockUpdatedTicket = {
@@ -485,6 +843,116 @@ describe('Ticket Model', () => {
       );
     });
 
+    it('should stamp resolved_at when closing ticket', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 7, status: 'closed' }] });
+
+      // Act
+      await Ticket.update(7, { status: 'closed' });
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('resolved_at = COALESCE(resolved_at, CURRENT_TIMESTAMP)'),
+        ['closed', 7],
+      );
+    });
+
+    it('should clear resolved_at when ticket leaves closed', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 8, status: 'open' }] });
+
+      // Act
+      await Ticket.update(8, { status: 'open' });
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('resolved_at = NULL'), [
+        'open',
+        8,
+      ]);
+    });
+
+    it('should not touch resolved_at when status is not updated', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 9 }] });
+
+      // Act
+      await Ticket.update(9, { priority: 'high' });
+
+      // Assert
+      const [updateSql] = pool.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE tickets'));
+      expect(updateSql).not.toContain('resolved_at');
+    });
+
+    it('should record a status change in the status history', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 8, status: 'waiting_on_admin' }] });
+
+      // Act
+      await Ticket.update(8, { status: 'waiting_on_admin' });
+
+      // Assert
+      expect(TicketStatusHistory.record).toHaveBeenCalledWith(8, 'waiting_on_admin', client);
+    });
+
+    it('should lock the ticket and record the status history in one transaction', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 8, status: 'closed' }] });
+      TicketStatusHistory.record.mockImplementationOnce(async () => {
+        await pool.query('-- history');
+      });
+
+      // Act
+      await Ticket.update(8, { status: 'closed' });
+
+      // Assert
+      const statements = pool.query.mock.calls.map(([sql]) => sql.split('\n')[0].trim());
+      expect(statements).toEqual([
+        'BEGIN',
+        'SELECT id FROM tickets WHERE id = $1 FOR UPDATE',
+        expect.stringMatching(/^UPDATE tickets SET status = \$1/),
+        '-- history',
+        'COMMIT',
+      ]);
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record the status history in the caller transaction', async () => {
+      // Arrange
+      const callerClient = { query: jest.fn().mockResolvedValue({ rows: [{ id: 8 }] }) };
+
+      // Act
+      await Ticket.update(8, { status: 'closed' }, callerClient);
+
+      // Assert
+      expect(TicketStatusHistory.record).toHaveBeenCalledWith(8, 'closed', callerClient);
+      expect(pool.connect).not.toHaveBeenCalled();
+      expect(callerClient.query).toHaveBeenCalledWith(expect.stringContaining('FOR UPDATE'), [8]);
+      expect(callerClient.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+
+    it('should not record status history when status is not updated', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 9 }] });
+
+      // Act
+      await Ticket.update(9, { priority: 'high' });
+
+      // Assert
+      expect(TicketStatusHistory.record).not.toHaveBeenCalled();
+    });
+
+    it('should not record status history when the ticket does not exist', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await Ticket.update(999, { status: 'closed' });
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(TicketStatusHistory.record).not.toHaveBeenCalled();
+    });
+
     it('should throw error on database failure', async () => {
       // Arrange
       const dbError = new Error('Update failed');
@@ -493,5 +961,152 @@ describe('Ticket Model', () => {
       // Act & Assert
       await expect(Ticket.update(1, { status: 'closed' })).rejects.toThrow('Update failed');
     });
+
+    it('should roll back and release the client when the history cannot be recorded', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 1, status: 'closed' }] });
+      TicketStatusHistory.record.mockRejectedValueOnce(new Error('History failed'));
+
+      // Act & Assert
+      await expect(Ticket.update(1, { status: 'closed' })).rejects.toThrow('History failed');
+      expect(pool.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(pool.query).not.toHaveBeenCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recordFirstResponse', () => {
+    it('should set first_response_at only when not already set', async () => {
+      // Arrange
+      const respondedAt = new Date('2026-01-01T10:00:00Z');
+      pool.query.mockResolvedValue({ rows: [{ id: 1, first_response_at: respondedAt }] });
+
+      // Act
+      const result = await Ticket.recordFirstResponse(1, respondedAt);
+
+      // Assert
+      expect(result.first_response_at).toBe(respondedAt);
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('WHERE id = $2 AND first_response_at IS NULL'),
+        [respondedAt, 1],
+      );
+    });
+
+    it('should return undefined when ticket already has a first response', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await Ticket.recordFirstResponse(1, new Date());
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Update failed'));
+
+      // Act & Assert
+      await expect(Ticket.recordFirstResponse(1, new Date())).rejects.toThrow('Update failed');
+    });
+  });
+
+  describe('findNearingSlaBreach', () => {
+    it('should return pending SLA targets due within the window', async () => {
+      // Arrange
+      const rows = [{ id: 1, title: 'Printer offline', assigned_to: 2, target: 'resolution' }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await Ticket.findNearingSlaBreach(60);
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("t.status != 'closed'");
+      expect(sql).toContain('t.first_response_at IS NULL');
+      expect(sql).toContain('make_interval(mins => $1)');
+      expect(params).toEqual([60]);
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query failed'));
+
+      // Act & Assert
+      await expect(Ticket.findNearingSlaBreach(60)).rejects.toThrow('Query failed');
+    });
+  });
+
+  describe('findStaleWaitingOnDepartment', () => {
+    it('should return tickets waiting on their department without recent comments', async () => {
+      // Arrange
+      const rows = [{ id: 4, status: 'waiting_on_department', waiting_since: new Date() }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await Ticket.findStaleWaitingOnDepartment(14);
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("t.status = 'waiting_on_department'");
+      expect(sql).toContain('h.ended_at IS NULL');
+      expect(sql).toContain('NOT EXISTS');
+      expect(sql).toContain('t.updated_at <= CURRENT_TIMESTAMP - make_interval(days => $1)');
+      expect(params).toEqual([14]);
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query failed'));
+
+      // Act & Assert
+      await expect(Ticket.findStaleWaitingOnDepartment(14)).rejects.toThrow('Query failed');
+    });
+  });
+
+  describe('closeIfStale', () => {
+    it('should close the ticket only while it is still stale', async () => {
+      // Arrange
+      const client = {
+        query: jest.fn().mockResolvedValue({ rows: [{ id: 4, status: 'closed' }] }),
+      };
+
+      // Act
+      const result = await Ticket.closeIfStale(4, 14, client);
+
+      // Assert
+      expect(result).toEqual({ id: 4, status: 'closed' });
+      expect(pool.query).not.toHaveBeenCalled();
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("SET status = 'closed'");
+      expect(sql).toContain("t.status = 'waiting_on_department'");
+      expect(sql).toContain('t.updated_at <= CURRENT_TIMESTAMP - make_interval(days => $2)');
+      expect(sql).toContain('NOT EXISTS');
+      expect(params).toEqual([4, 14]);
+      expect(TicketStatusHistory.record).toHaveBeenCalledWith(4, 'closed', client);
+    });
+
+    it('should return undefined without recording history when no longer stale', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await Ticket.closeIfStale(4, 14);
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(TicketStatusHistory.record).not.toHaveBeenCalled();
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query failed'));
+
+      // Act & Assert
+      await expect(Ticket.closeIfStale(4, 14)).rejects.toThrow('Query failed');
+    });
   });
 });
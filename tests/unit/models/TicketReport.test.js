@@ -0,0 +1,144 @@
+/**
+ * TicketReport Model Unit Tests
+ *
+ * Tests the report queries in complete isolation with the database mocked:
+ * parameters, range handling and error propagation.
+ */
+
+const TicketReport = require('../../../models/TicketReport');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+const logger = require('../../../utils/logger');
+
+describe('TicketReport Model', () => {
+  beforeEach(() => {
+    Object.assign(pool, createMockPool());
+    jest.clearAllMocks();
+  });
+
+  describe('countOpenedClosed', () => {
+    it('should return one row per period with the range and granularity as parameters', async () => {
+      // Arrange
+      const rows = [
+        { period: '2026-01-05', opened: 3, closed: 1 },
+        { period: '2026-01-12', opened: 0, closed: 2 },
+      ];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await TicketReport.countOpenedClosed('2026-01-05', '2026-01-18', 'week');
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('generate_series');
+      expect(sql).toContain('t.resolved_at');
+      expect(params).toEqual(['2026-01-05', '2026-01-18', 'week']);
+    });
+
+    it('should log and rethrow database errors', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Database query failed'));
+
+      // Act & Assert
+      await expect(
+        TicketReport.countOpenedClosed('2026-01-01', '2026-01-31', 'day'),
+      ).rejects.toThrow('Database query failed');
+      expect(logger.error).toHaveBeenCalledWith(
+        'TicketReport.countOpenedClosed: Database error',
+        expect.objectContaining({ error: 'Database query failed' }),
+      );
+    });
+  });
+
+  describe('countBacklog', () => {
+    it('should count tickets that are not closed per status and priority', async () => {
+      // Arrange
+      const rows = [{ status: 'open', priority: 'high', count: 2 }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await TicketReport.countBacklog();
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain("t.status <> 'closed'");
+      expect(sql).toContain('GROUP BY t.status, t.priority');
+    });
+  });
+
+  describe('findResponseTimes', () => {
+    it('should compute medians per priority and overall', async () => {
+      // Arrange
+      const rows = [
+        { priority: 'high', responded: 2, median_first_response_seconds: 600 },
+        { priority: null, responded: 2, median_first_response_seconds: 600 },
+      ];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await TicketReport.findResponseTimes('2026-01-01', '2026-01-31');
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('percentile_cont(0.5)');
+      expect(sql).toContain('GROUPING SETS ((t.priority), ())');
+      expect(params).toEqual(['2026-01-01', '2026-01-31']);
+    });
+  });
+
+  describe('countByDepartment', () => {
+    it('should break down tickets by department name', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ department: 'Cardiology', opened: 4 }] });
+
+      // Act
+      const result = await TicketReport.countByDepartment('2026-01-01', '2026-01-31');
+
+      // Assert
+      expect(result).toEqual([{ department: 'Cardiology', opened: 4 }]);
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('LEFT JOIN tickets t ON t.reporter_department_id = d.id');
+    });
+  });
+
+  describe('countByFloor', () => {
+    it('should break down tickets by the floor of their department', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ floor: '1st Floor', opened: 4 }] });
+
+      // Act
+      const result = await TicketReport.countByFloor('2026-01-01', '2026-01-31');
+
+      // Assert
+      expect(result).toEqual([{ floor: '1st Floor', opened: 4 }]);
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('JOIN departments d ON d.id = t.reporter_department_id');
+      expect(sql).toContain('ORDER BY f.sort_order');
+    });
+  });
+
+  describe('findTopReporters', () => {
+    it('should return reporters with more than one ticket, limited', async () => {
+      // Arrange
+      const rows = [{ reporter_id: 5, reporter: 'cardiology', ticket_count: 3 }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await TicketReport.findTopReporters('2026-01-01', '2026-01-31', 10);
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('HAVING COUNT(*) > 1');
+      expect(params).toEqual(['2026-01-01', '2026-01-31', 10]);
+    });
+  });
+});
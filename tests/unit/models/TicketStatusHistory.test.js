@@ -0,0 +1,114 @@
+/**
+ * TicketStatusHistory Model Unit Tests
+ *
+ * Tests the TicketStatusHistory model in complete isolation with all dependencies mocked.
+ *
+ * Test Coverage:
+ * - record()
+ * - averageDurationByDepartment()
+ */
+
+const TicketStatusHistory = require('../../../models/TicketStatusHistory');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+const pool = require('../../../config/database');
+
+describe('TicketStatusHistory Model', () => {
+  let mockPool;
+
+  beforeEach(() => {
+    mockPool = createMockPool();
+    Object.assign(pool, mockPool);
+    jest.clearAllMocks();
+  });
+
+  describe('record', () => {
+    it('should close the open period of another status, then open a new one', async () => {
+      // Arrange
+      const period = { id: 5, ticket_id: 1, status: 'waiting_on_admin', ended_at: null };
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [period] });
+
+      // Act
+      const result = await TicketStatusHistory.record(1, 'waiting_on_admin');
+
+      // Assert
+      expect(result).toBe(period);
+      const [closeQuery, closeParams] = pool.query.mock.calls[0];
+      expect(closeQuery).toContain('SET ended_at = CURRENT_TIMESTAMP');
+      expect(closeQuery).toContain('status <> $2');
+      expect(closeParams).toEqual([1, 'waiting_on_admin']);
+      const [insertQuery, insertParams] = pool.query.mock.calls[1];
+      expect(insertQuery).toContain('INSERT INTO ticket_status_history');
+      expect(insertQuery).toContain('WHERE NOT EXISTS');
+      expect(insertParams).toEqual([1, 'waiting_on_admin']);
+    });
+
+    it('should return undefined when the ticket is already in that status', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      const result = await TicketStatusHistory.record(1, 'open');
+
+      // Assert
+      expect(result).toBeUndefined();
+    });
+
+    it('should use the given client', async () => {
+      // Arrange
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      // Act
+      await TicketStatusHistory.record(1, 'closed', client);
+
+      // Assert
+      expect(client.query).toHaveBeenCalledTimes(2);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Insert failed'));
+
+      // Act & Assert
+      await expect(TicketStatusHistory.record(1, 'open')).rejects.toThrow('Insert failed');
+    });
+  });
+
+  describe('averageDurationByDepartment', () => {
+    it("should average the department's finished periods in the status", async () => {
+      // Arrange
+      const since = new Date('2026-02-13T00:00:00Z');
+      pool.query.mockResolvedValue({ rows: [{ count: 3, average_seconds: 7200 }] });
+
+      // Act
+      const result = await TicketStatusHistory.averageDurationByDepartment(
+        3,
+        'waiting_on_admin',
+        since,
+      );
+
+      // Assert
+      expect(result).toEqual({ count: 3, average_seconds: 7200 });
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('h.ended_at >= $3');
+      expect(query).toContain('t.is_admin_created = false');
+      expect(query).toContain('t.reporter_department_id = $1');
+      expect(params).toEqual([3, 'waiting_on_admin', since]);
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Query failed'));
+
+      // Act & Assert
+      await expect(
+        TicketStatusHistory.averageDurationByDepartment(3, 'open', new Date()),
+      ).rejects.toThrow('Query failed');
+    });
+  });
+});
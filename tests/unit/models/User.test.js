@@ -46,7 +46,7 @@ describe('User Model', () => {
       // Assert
       expect(result).toEqual(mockUser);
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('SELECT id, username, email, role, status, department, login_attempts, last_login_at, deleted_at, created_at, updated_at'),
+        expect.stringContaining('SELECT id, username, email, role, status, department, department_id, login_attempts, locked_until, language, must_change_password, password_changed_at, totp_enabled_at, auth_provider, last_login_at, deleted_at, created_at, updated_at'),
         [1],
       );
       expect(pool.query).toHaveBeenCalledWith(
@@ -208,10 +208,29 @@ describe('User Model', () => {
         'admin',
         null,
         'active',
+        false,
+        'local',
       ]);
       expect(result).toEqual(mockCreatedUser);
     });
 
+    it('should resolve department_id from the department name', async () => {
+      // Arrange
+      const userData = createUserData({ role: 'department', department: 'Cardiology' });
+      bcrypt.hash.mockResolvedValue('hashed');
+      pool.query.mockResolvedValue({ rows: [{ id: 1, department: 'Cardiology', department_id: 4 }] });
+
+      // Act
+      const result = await User.create(userData);
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('(SELECT id FROM departments WHERE name = $5::varchar)'),
+        expect.arrayContaining(['Cardiology']),
+      );
+      expect(result.department_id).toBe(4);
+    });
+
     it('should default role to admin when not provided', async () => {
       // Arrange
       const userData = { username: 'test', email: 'test@example.com', password: 'Pass123!' };
@@ -281,10 +300,40 @@ describe('User Model', () => {
         'department',
         'IT Support',
         'active',
+        false,
+        'local',
       ]);
       expect(result.department).toBe('IT Support');
     });
 
+    it('should store the forced password change flag', async () => {
+      // Arrange
+      const userData = { ...createUserData(), mustChangePassword: true };
+      bcrypt.hash.mockResolvedValue('hashed');
+      pool.query.mockResolvedValue({ rows: [{ id: 1, must_change_password: true }] });
+
+      // Act
+      const result = await User.create(userData);
+
+      // Assert
+      expect(pool.query.mock.calls[0][1][6]).toBe(true);
+      expect(result.must_change_password).toBe(true);
+    });
+
+    it('should store the authentication provider', async () => {
+      // Arrange
+      const userData = { ...createUserData(), authProvider: 'ldap' };
+      bcrypt.hash.mockResolvedValue('hashed');
+      pool.query.mockResolvedValue({ rows: [{ id: 1, auth_provider: 'ldap' }] });
+
+      // Act
+      const result = await User.create(userData);
+
+      // Assert
+      expect(pool.query.mock.calls[0][1][7]).toBe('ldap');
+      expect(result.auth_provider).toBe('ldap');
+    });
+
     it('should throw error on duplicate username', async () => {
       // Arrange
       const userData = createUserData();
@@ -433,6 +482,19 @@ describe('User Model', () => {
       );
     });
 
+    it('should set department_id from the department name', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 1, department: 'Finance', department_id: 4 }] });
+
+      // Act
+      await User.update(1, { department: 'Finance' });
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('department_id = (SELECT id FROM departments WHERE name = $1::varchar)');
+      expect(params).toEqual(['Finance', 1]);
+    });
+
     it('should set department to null when provided', async () => {
       // Arrange
       const mockUpdatedUser = { id: 1, department: null };
@@ -493,11 +555,39 @@ describe('User Model', () => {
       // Assert
       expect(bcrypt.hash).toHaveBeenCalledWith(newPassword, 10);
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('UPDATE users SET password_hash = $1'),
-        [hashedPassword, 1],
+        expect.stringContaining('SET password_hash = $1'),
+        [hashedPassword, 1, false],
+      );
+    });
+
+    it('should keep the replaced hash in password_history', async () => {
+      // Arrange
+      bcrypt.hash.mockResolvedValue('hashed');
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      // Act
+      await User.updatePassword(1, 'NewPass123!');
+
+      // Assert
+      expect(pool.query.mock.calls[0][0]).toContain(
+        'INSERT INTO password_history (user_id, password_hash)',
       );
     });
 
+    it('should mark the password for a forced change when asked to', async () => {
+      // Arrange
+      bcrypt.hash.mockResolvedValue('hashed');
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      // Act
+      await User.updatePassword(1, 'NewPass123!', null, { mustChange: true });
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('must_change_password = $3');
+      expect(params).toEqual(['hashed', 1, true]);
+    });
+
     it('should update password_changed_at timestamp', async () => {
       // Arrange
       bcrypt.hash.mockResolvedValue('hashed');
@@ -566,20 +656,78 @@ describe('User Model', () => {
       // Assert
       expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('login_attempts = 0'), [1]);
     });
-  });
 
-  describe('incrementLoginAttempts', () => {
-    it('should increment login_attempts by 1', async () => {
+    it('should lift any login lock', async () => {
       // Arrange
       pool.query.mockResolvedValue({});
 
       // Act
-      await User.incrementLoginAttempts('testuser');
+      await User.updateLastLogin(1);
 
       // Assert
-      expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('login_attempts = login_attempts + 1'),
-        ['testuser'],
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('locked_until = NULL'), [1]);
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    const lockout = { maxAttempts: 5, baseMinutes: 15, maxMinutes: 1440 };
+
+    it('should count the attempt and lock with exponential backoff in one update', async () => {
+      // Arrange
+      const row = { login_attempts: 6, locked_until: new Date() };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await User.recordFailedLogin(1, lockout);
+
+      // Assert
+      expect(result).toBe(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('login_attempts = login_attempts + 1');
+      expect(sql).toContain('WHEN login_attempts + 1 >= $2');
+      expect(sql).toContain('LEAST($3 * POWER(2, LEAST(login_attempts + 1 - $2, 20)), $4)');
+      expect(params).toEqual([1, 5, 15, 1440]);
+    });
+
+    it('should throw on database error', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Connection lost'));
+
+      // Act & Assert
+      await expect(User.recordFailedLogin(1, lockout)).rejects.toThrow('Connection lost');
+    });
+  });
+
+  describe('unlock', () => {
+    it('should clear the lock and the failed attempts', async () => {
+      // Arrange
+      const row = { id: 1, login_attempts: 0, locked_until: null };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await User.unlock(1);
+
+      // Assert
+      expect(result).toBe(row);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('login_attempts = 0, locked_until = NULL');
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe('findActiveSuperAdmins', () => {
+    it('should return active super admins', async () => {
+      // Arrange
+      const rows = [{ id: 1, username: 'root', email: 'root@example.com', role: 'super_admin' }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await User.findActiveSuperAdmins();
+
+      // Assert
+      expect(result).toEqual(rows);
+      expect(pool.query.mock.calls[0][0]).toContain(
+        "role = 'super_admin' AND status = 'active'",
       );
     });
   });
@@ -638,6 +786,47 @@ describe('User Model', () => {
       // Assert
       expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('ORDER BY created_at DESC'));
     });
+    it('should select the lock columns for the lock badge', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [] });
+
+      // Act
+      await User.findAllActive();
+
+      // Assert
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('login_attempts, locked_until'),
+      );
+    });
+  });
+
+  describe('findAssignableAdmins', () => {
+    it('should return active admins and super admins ordered by username', async () => {
+      // Arrange
+      const mockUsers = [
+        { id: 1, username: 'alice', role: 'admin' },
+        { id: 2, username: 'bob', role: 'super_admin' },
+      ];
+      pool.query.mockResolvedValue({ rows: mockUsers });
+
+      // Act
+      const result = await User.findAssignableAdmins();
+
+      // Assert
+      expect(result).toEqual(mockUsers);
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain("status = 'active'");
+      expect(query).toContain("role IN ('admin', 'super_admin')");
+      expect(query).toContain('ORDER BY username');
+    });
+
+    it('should throw error on database failure', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('Connection lost'));
+
+      // Act & Assert
+      await expect(User.findAssignableAdmins()).rejects.toThrow('Connection lost');
+    });
   });
 
   describe('clearUserSessions', () => {
@@ -666,4 +855,154 @@ describe('User Model', () => {
       expect(result).toBe(0);
     });
   });
+
+  describe('deleteExpiredSessions', () => {
+    it('should delete sessions past their expiry', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 3 });
+
+      // Act
+      const result = await User.deleteExpiredSessions();
+
+      // Assert
+      expect(result).toBe(3);
+      expect(pool.query.mock.calls[0][0]).toContain(
+        'DELETE FROM session WHERE expire < CURRENT_TIMESTAMP',
+      );
+    });
+  });
+
+  describe('findSessions', () => {
+    it('should return the unexpired sessions of the user with their login info', async () => {
+      // Arrange
+      const rows = [{ sid: 'abc', expire: new Date(), login_info: { ipAddress: '10.0.0.1' } }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await User.findSessions(5);
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("sess::jsonb->'user'->>'id' = $1");
+      expect(sql).toContain('expire > CURRENT_TIMESTAMP');
+      expect(params).toEqual(['5']);
+    });
+  });
+
+  describe('updateLanguage', () => {
+    it('should store the preferred language', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 5, username: 'testuser', language: 'en' }] });
+
+      // Act
+      const result = await User.updateLanguage(5, 'en');
+
+      // Assert
+      expect(result.language).toBe('en');
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('SET language = $1');
+      expect(params).toEqual(['en', 5]);
+    });
+  });
+
+  describe('findTwoFactor', () => {
+    it('should return the two-factor columns with the secret', async () => {
+      // Arrange
+      const row = { id: 5, totp_secret: 'SECRET', totp_enabled_at: new Date(), totp_last_step: 10 };
+      pool.query.mockResolvedValue({ rows: [row] });
+
+      // Act
+      const result = await User.findTwoFactor(5);
+
+      // Assert
+      expect(result).toEqual(row);
+      expect(pool.query.mock.calls[0][1]).toEqual([5]);
+    });
+  });
+
+  describe('enableTwoFactor', () => {
+    it('should store the secret and the step of the confirming code', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 5, totp_enabled_at: new Date() }] });
+
+      // Act
+      await User.enableTwoFactor(5, 'SECRET', 1234);
+
+      // Assert
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('totp_enabled_at = CURRENT_TIMESTAMP');
+      expect(params).toEqual(['SECRET', 1234, 5]);
+    });
+  });
+
+  describe('recordTotpStep', () => {
+    it('should accept a later step', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 1, rows: [{ id: 5 }] });
+
+      // Act
+      const result = await User.recordTotpStep(5, 1235);
+
+      // Assert
+      expect(result).toBe(true);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('totp_last_step < $1');
+      expect(params).toEqual([1235, 5]);
+    });
+
+    it('should refuse a step that was already used', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      // Act
+      const result = await User.recordTotpStep(5, 1234);
+
+      // Assert
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    it('should clear the two-factor columns and delete the recovery codes', async () => {
+      // Arrange
+      pool.query.mockResolvedValue({ rows: [{ id: 5 }] });
+
+      // Act
+      const result = await User.disableTwoFactor(5);
+
+      // Assert
+      expect(result).toEqual({ id: 5 });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('DELETE FROM two_factor_recovery_codes');
+      expect(sql).toContain('totp_secret = NULL');
+      expect(params).toEqual([5]);
+    });
+
+    it('should rethrow database errors', async () => {
+      // Arrange
+      pool.query.mockRejectedValue(new Error('connection lost'));
+
+      // Act & Assert
+      await expect(User.disableTwoFactor(5)).rejects.toThrow('connection lost');
+    });
+  });
+
+  describe('findActiveByDepartment', () => {
+    it('should return active department users of the department', async () => {
+      // Arrange
+      const rows = [{ id: 5, username: 'cardio1', email: 'cardio1@example.com' }];
+      pool.query.mockResolvedValue({ rows });
+
+      // Act
+      const result = await User.findActiveByDepartment(4);
+
+      // Assert
+      expect(result).toEqual(rows);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('department_id = $1');
+      expect(sql).toContain("role = 'department' AND status = 'active'");
+      expect(params).toEqual([4]);
+    });
+  });
 });
@@ -0,0 +1,319 @@
+/**
+ * ApiTokenService Unit Tests
+ *
+ * Tests the ApiTokenService in complete isolation with all dependencies mocked.
+ * Covers token generation, creation, revocation, Bearer authentication and usage auditing.
+ *
+ * Methods tested:
+ * - hashToken(plainToken)
+ * - generateToken()
+ * - allowsMethod(scope, method)
+ * - getUserTokens(userId)
+ * - createToken(actorId, userId, data, ipAddress)
+ * - revokeToken(actorId, userId, tokenId, ipAddress)
+ * - authenticate(plainToken)
+ * - recordUsage(token, request)
+ */
+
+const apiTokenService = require('../../../services/apiTokenService');
+const ApiToken = require('../../../models/ApiToken');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+
+// Mock dependencies
+jest.mock('../../../models/ApiToken');
+jest.mock('../../../models/User');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../utils/logger');
+
+describe('ApiTokenService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hashToken', () => {
+    it('should return a stable SHA-256 hex digest', () => {
+      // Act
+      const first = apiTokenService.hashToken('knii_abc');
+      const second = apiTokenService.hashToken('knii_abc');
+
+      // Assert
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+      expect(second).toBe(first);
+      expect(apiTokenService.hashToken('knii_abd')).not.toBe(first);
+    });
+  });
+
+  describe('generateToken', () => {
+    it('should generate unique prefixed tokens', () => {
+      // Act
+      const first = apiTokenService.generateToken();
+      const second = apiTokenService.generateToken();
+
+      // Assert
+      expect(first).toMatch(/^knii_[A-Za-z0-9_-]{43}$/);
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe('allowsMethod', () => {
+    it.each(['GET', 'HEAD', 'OPTIONS'])('should allow %s for read tokens', (method) => {
+      expect(apiTokenService.allowsMethod('read', method)).toBe(true);
+    });
+
+    it.each(['POST', 'PATCH', 'DELETE'])('should reject %s for read tokens', (method) => {
+      expect(apiTokenService.allowsMethod('read', method)).toBe(false);
+    });
+
+    it('should allow every method for write tokens', () => {
+      expect(apiTokenService.allowsMethod('write', 'PATCH')).toBe(true);
+    });
+  });
+
+  describe('getUserTokens', () => {
+    it('should derive active, expired and revoked status', async () => {
+      // Arrange
+      const future = new Date(Date.now() + 60 * 60 * 1000);
+      const past = new Date(Date.now() - 60 * 60 * 1000);
+      ApiToken.findByUser.mockResolvedValue([
+        { id: 1, expires_at: future, revoked_at: null },
+        { id: 2, expires_at: past, revoked_at: null },
+        { id: 3, expires_at: future, revoked_at: past },
+      ]);
+
+      // Act
+      const result = await apiTokenService.getUserTokens(4);
+
+      // Assert
+      expect(ApiToken.findByUser).toHaveBeenCalledWith(4);
+      expect(result.map((t) => t.status)).toEqual(['active', 'expired', 'revoked']);
+    });
+  });
+
+  describe('createToken', () => {
+    it('should store only the hash and return the plain token once', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 4, username: 'bot', status: 'active' });
+      ApiToken.create.mockImplementation(async (data) => ({ id: 10, ...data }));
+
+      // Act
+      const { token, plainToken } = await apiTokenService.createToken(
+        1,
+        4,
+        { name: 'CI', scope: 'write', expires_in_days: 30 },
+        '10.0.0.1',
+      );
+
+      // Assert
+      const created = ApiToken.create.mock.calls[0][0];
+      expect(plainToken).toMatch(/^knii_/);
+      expect(created.token_hash).toBe(apiTokenService.hashToken(plainToken));
+      expect(created.token_prefix).toBe(plainToken.slice(0, 12));
+      expect(created).not.toHaveProperty('token');
+      expect(created.user_id).toBe(4);
+      expect(created.created_by).toBe(1);
+      expect(token.id).toBe(10);
+    });
+
+    it('should set expiry the requested number of days ahead', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 4, username: 'bot', status: 'active' });
+      ApiToken.create.mockImplementation(async (data) => ({ id: 10, ...data }));
+      const before = Date.now();
+
+      // Act
+      await apiTokenService.createToken(4, 4, { name: 'CI', scope: 'read', expires_in_days: 7 });
+
+      // Assert
+      const expiresAt = ApiToken.create.mock.calls[0][0].expires_at.getTime();
+      const sevenDays = 7 * 24 * 60 * 60 * 1000;
+      expect(expiresAt).toBeGreaterThanOrEqual(before + sevenDays);
+      expect(expiresAt).toBeLessThanOrEqual(Date.now() + sevenDays);
+    });
+
+    it('should audit the creation without the token secret', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 4, username: 'bot', status: 'active' });
+      ApiToken.create.mockImplementation(async (data) => ({ id: 10, ...data }));
+
+      // Act
+      await apiTokenService.createToken(
+        1,
+        4,
+        { name: 'CI', scope: 'write', expires_in_days: 30 },
+        '10.0.0.1',
+      );
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorId: 1,
+          action: 'API_TOKEN_CREATED',
+          targetType: 'api_token',
+          targetId: 10,
+          ipAddress: '10.0.0.1',
+        }),
+      );
+      const { details } = AuditLog.create.mock.calls[0][0];
+      expect(details).not.toHaveProperty('token_hash');
+      expect(details.username).toBe('bot');
+    });
+
+    it('should throw when the user does not exist', async () => {
+      // Arrange
+      User.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(
+        apiTokenService.createToken(1, 99, { name: 'CI', scope: 'read', expires_in_days: 7 }),
+      ).rejects.toThrow('User not found');
+      expect(ApiToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject inactive users with status 400', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 4, username: 'bot', status: 'inactive' });
+
+      // Act & Assert
+      await expect(
+        apiTokenService.createToken(1, 4, { name: 'CI', scope: 'read', expires_in_days: 7 }),
+      ).rejects.toMatchObject({ status: 400 });
+      expect(ApiToken.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('should revoke the token and audit the action', async () => {
+      // Arrange
+      ApiToken.findById.mockResolvedValue({ id: 10, user_id: 4, name: 'CI', scope: 'read' });
+      ApiToken.revoke.mockResolvedValue({ id: 10, revoked_by: 1 });
+
+      // Act
+      const result = await apiTokenService.revokeToken(1, 4, 10, '10.0.0.1');
+
+      // Assert
+      expect(result).toEqual({ id: 10, revoked_by: 1 });
+      expect(ApiToken.revoke).toHaveBeenCalledWith(10, 1);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorId: 1,
+          action: 'API_TOKEN_REVOKED',
+          targetType: 'api_token',
+          targetId: 10,
+        }),
+      );
+    });
+
+    it('should treat tokens of other users as not found', async () => {
+      // Arrange
+      ApiToken.findById.mockResolvedValue({ id: 10, user_id: 5 });
+
+      // Act & Assert
+      await expect(apiTokenService.revokeToken(4, 4, 10)).rejects.toMatchObject({
+        message: 'API token not found',
+        status: 404,
+      });
+      expect(ApiToken.revoke).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when the token does not exist', async () => {
+      // Arrange
+      ApiToken.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(apiTokenService.revokeToken(4, 4, 99)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should throw 400 when the token is already revoked', async () => {
+      // Arrange
+      ApiToken.findById.mockResolvedValue({ id: 10, user_id: 4 });
+      ApiToken.revoke.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(apiTokenService.revokeToken(4, 4, 10)).rejects.toMatchObject({
+        message: 'API token is already revoked',
+        status: 400,
+      });
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should return the token and owner for an active token', async () => {
+      // Arrange
+      const plainToken = 'knii_secret';
+      ApiToken.findActiveByHash.mockResolvedValue({ id: 10, user_id: 4 });
+      User.findById.mockResolvedValue({ id: 4, status: 'active' });
+
+      // Act
+      const result = await apiTokenService.authenticate(plainToken);
+
+      // Assert
+      expect(ApiToken.findActiveByHash).toHaveBeenCalledWith(apiTokenService.hashToken(plainToken));
+      expect(ApiToken.touchLastUsed).toHaveBeenCalledWith(10);
+      expect(result).toEqual({ token: { id: 10, user_id: 4 }, user: { id: 4, status: 'active' } });
+    });
+
+    it.each([undefined, '', 'not-a-knii-token'])(
+      'should return null without a lookup for %p',
+      async (plainToken) => {
+        // Act
+        const result = await apiTokenService.authenticate(plainToken);
+
+        // Assert
+        expect(result).toBeNull();
+        expect(ApiToken.findActiveByHash).not.toHaveBeenCalled();
+      },
+    );
+
+    it('should return null for unknown, revoked or expired tokens', async () => {
+      // Arrange
+      ApiToken.findActiveByHash.mockResolvedValue(undefined);
+
+      // Act
+      const result = await apiTokenService.authenticate('knii_unknown');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(ApiToken.touchLastUsed).not.toHaveBeenCalled();
+    });
+
+    it('should return null when the owner is no longer active', async () => {
+      // Arrange
+      ApiToken.findActiveByHash.mockResolvedValue({ id: 10, user_id: 4 });
+      User.findById.mockResolvedValue({ id: 4, status: 'inactive' });
+
+      // Act
+      const result = await apiTokenService.authenticate('knii_secret');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(ApiToken.touchLastUsed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should audit the request against the token', async () => {
+      // Arrange
+      const token = { id: 10, user_id: 4, name: 'CI' };
+
+      // Act
+      await apiTokenService.recordUsage(token, {
+        method: 'POST',
+        path: '/api/v1/tickets',
+        status: 201,
+        ipAddress: '10.0.0.1',
+      });
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 4,
+        action: 'API_TOKEN_USED',
+        targetType: 'api_token',
+        targetId: 10,
+        details: { name: 'CI', method: 'POST', path: '/api/v1/tickets', status: 201 },
+        ipAddress: '10.0.0.1',
+      });
+    });
+  });
+});
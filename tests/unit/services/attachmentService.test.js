@@ -0,0 +1,204 @@
+/**
+ * AttachmentService Unit Tests
+ *
+ * Tests the AttachmentService in complete isolation with all dependencies mocked.
+ *
+ * Methods tested:
+ * - isAllowedType(originalName, mimeType)
+ * - generateStorageKey()
+ * - saveAttachments(files, target)
+ * - getTicketAttachments(ticketId, userRole)
+ * - getAttachmentById(attachmentId)
+ * - openAttachment(attachment)
+ */
+
+const attachmentService = require('../../../services/attachmentService');
+const Attachment = require('../../../models/Attachment');
+const storage = require('../../../config/storage');
+
+// Mock dependencies
+jest.mock('../../../models/Attachment');
+jest.mock('../../../config/storage', () => ({
+  save: jest.fn(),
+  createReadStream: jest.fn(),
+  remove: jest.fn(),
+}));
+jest.mock('../../../utils/logger');
+
+const createFile = (overrides = {}) => ({
+  originalname: 'error.png',
+  mimetype: 'image/png',
+  size: 4,
+  buffer: Buffer.from('data'),
+  ...overrides,
+});
+
+describe('AttachmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.save.mockResolvedValue();
+    storage.remove.mockResolvedValue();
+  });
+
+  describe('isAllowedType', () => {
+    it.each([
+      ['error.png', 'image/png'],
+      ['SCAN.JPG', 'image/jpeg'],
+      ['form.pdf', 'application/pdf'],
+      ['device.log', 'text/plain'],
+      ['report.xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    ])('should allow %s (%s)', (name, mimeType) => {
+      expect(attachmentService.isAllowedType(name, mimeType)).toBe(true);
+    });
+
+    it.each([
+      ['setup.exe', 'application/octet-stream'],
+      ['image.svg', 'image/svg+xml'],
+      ['photo.exe', 'image/png'],
+      ['noextension', 'text/plain'],
+      [undefined, 'image/png'],
+    ])('should reject %s (%s)', (name, mimeType) => {
+      expect(attachmentService.isAllowedType(name, mimeType)).toBe(false);
+    });
+  });
+
+  describe('generateStorageKey', () => {
+    it('should generate unique year/month keys without the file name', () => {
+      // Act
+      const first = attachmentService.generateStorageKey();
+      const second = attachmentService.generateStorageKey();
+
+      // Assert
+      expect(first).toMatch(/^\d{4}\/\d{2}\/[0-9a-f-]{36}$/);
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe('saveAttachments', () => {
+    it('should store each file and create its metadata row', async () => {
+      // Arrange
+      const files = [
+        createFile(),
+        createFile({ originalname: 'form.pdf', mimetype: 'application/pdf' }),
+      ];
+      Attachment.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      // Act
+      const result = await attachmentService.saveAttachments(files, {
+        ticketId: 3,
+        commentId: 8,
+        uploadedBy: 4,
+      });
+
+      // Assert
+      expect(result).toHaveLength(2);
+      expect(storage.save).toHaveBeenCalledTimes(2);
+      const [storageKey, buffer] = storage.save.mock.calls[0];
+      expect(buffer).toBe(files[0].buffer);
+      expect(Attachment.create).toHaveBeenCalledWith({
+        ticket_id: 3,
+        comment_id: 8,
+        uploaded_by: 4,
+        original_name: 'error.png',
+        storage_key: storageKey,
+        mime_type: 'image/png',
+        size_bytes: 4,
+      });
+    });
+
+    it('should default comment_id to null for ticket attachments', async () => {
+      // Arrange
+      Attachment.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      // Act
+      await attachmentService.saveAttachments([createFile()], { ticketId: 3, uploadedBy: 4 });
+
+      // Assert
+      expect(Attachment.create.mock.calls[0][0].comment_id).toBeNull();
+    });
+
+    it('should do nothing without files', async () => {
+      // Act
+      const result = await attachmentService.saveAttachments(undefined, {
+        ticketId: 3,
+        uploadedBy: 4,
+      });
+
+      // Assert
+      expect(result).toEqual([]);
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+
+    it('should remove the stored file when the metadata insert fails', async () => {
+      // Arrange
+      const dbError = new Error('Connection refused');
+      Attachment.create.mockRejectedValue(dbError);
+
+      // Act & Assert
+      await expect(
+        attachmentService.saveAttachments([createFile()], { ticketId: 3, uploadedBy: 4 }),
+      ).rejects.toThrow(dbError);
+      expect(storage.remove).toHaveBeenCalledWith(storage.save.mock.calls[0][0]);
+    });
+
+    it('should not create metadata when storing the file fails', async () => {
+      // Arrange
+      storage.save.mockRejectedValue(new Error('ENOSPC'));
+
+      // Act & Assert
+      await expect(
+        attachmentService.saveAttachments([createFile()], { ticketId: 3, uploadedBy: 4 }),
+      ).rejects.toThrow('ENOSPC');
+      expect(Attachment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTicketAttachments', () => {
+    it('should split ticket attachments from comment attachments', async () => {
+      // Arrange
+      Attachment.findVisibleByTicketId.mockResolvedValue([
+        { id: 1, comment_id: null },
+        { id: 2, comment_id: 8 },
+        { id: 3, comment_id: 8 },
+        { id: 4, comment_id: 9 },
+      ]);
+
+      // Act
+      const result = await attachmentService.getTicketAttachments(3, 'department');
+
+      // Assert
+      expect(Attachment.findVisibleByTicketId).toHaveBeenCalledWith(3, 'department');
+      expect(result.ticket.map((a) => a.id)).toEqual([1]);
+      expect(result.byComment[8].map((a) => a.id)).toEqual([2, 3]);
+      expect(result.byComment[9].map((a) => a.id)).toEqual([4]);
+    });
+  });
+
+  describe('getAttachmentById', () => {
+    it('should return the attachment from the model', async () => {
+      // Arrange
+      Attachment.findById.mockResolvedValue({ id: 1 });
+
+      // Act
+      const result = await attachmentService.getAttachmentById(1);
+
+      // Assert
+      expect(result).toEqual({ id: 1 });
+    });
+  });
+
+  describe('openAttachment', () => {
+    it('should open the file by storage key', () => {
+      // Arrange
+      const stream = {};
+      storage.createReadStream.mockReturnValue(stream);
+
+      // Act
+      const result = attachmentService.openAttachment({ id: 1, storage_key: '2026/10/abc' });
+
+      // Assert
+      expect(result).toBe(stream);
+      expect(storage.createReadStream).toHaveBeenCalledWith('2026/10/abc');
+    });
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * AuditService Unit Tests
+ *
+ * Tests the AuditService in complete isolation with all dependencies mocked.
+ *
+ * Methods tested:
+ * - cleanFilters(query)
+ * - getAuditLogs(query)
+ * - getAuditLogById(id)
+ * - getFilterOptions()
+ * - exportAuditLogs(query, format, actorId, ipAddress)
+ * - verifyChain()
+ */
+
+const auditService = require('../../../services/auditService');
+const AuditLog = require('../../../models/AuditLog');
+
+// Mock dependencies
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../utils/logger');
+
+const entry = {
+  id: 7,
+  created_at: new Date('2026-03-01T09:30:00Z'),
+  actor_id: 1,
+  actor_username: 'admin',
+  action: 'USER_CREATED',
+  target_type: 'user',
+  target_id: 4,
+  ip_address: '10.0.3.4',
+  details: { username: 'nurse, "head"' },
+  hash: 'f'.repeat(64),
+};
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('cleanFilters', () => {
+    it('should keep well-formed filters', () => {
+      // Act
+      const result = auditService.cleanFilters({
+        actor_id: '3',
+        action: 'USER_LOGIN',
+        target_type: 'user',
+        target_id: '3',
+        ip_address: ' 10.0.3. ',
+        date_from: '2026-01-01',
+        date_to: '2026-01-31',
+      });
+
+      // Assert
+      expect(result).toEqual({
+        actor_id: 3,
+        action: 'USER_LOGIN',
+        target_type: 'user',
+        target_id: 3,
+        ip_address: '10.0.3.',
+        date_from: '2026-01-01',
+        date_to: '2026-01-31',
+      });
+    });
+
+    it('should drop malformed filters', () => {
+      // Act
+      const result = auditService.cleanFilters({
+        actor_id: 'abc',
+        action: "USER_LOGIN' OR 1=1",
+        target_type: ['user', 'ticket'],
+        target_id: '-1',
+        ip_address: '10.0.3.*',
+        date_from: '2026-13-45',
+        date_to: 'yesterday',
+      });
+
+      // Assert
+      expect(Object.values(result).every((value) => value === undefined)).toBe(true);
+    });
+  });
+
+  describe('getAuditLogs', () => {
+    it('should return one page of entries with pagination', async () => {
+      // Arrange
+      AuditLog.countAll.mockResolvedValue(60);
+      AuditLog.findAll.mockResolvedValue([entry]);
+
+      // Act
+      const result = await auditService.getAuditLogs({ action: 'USER_CREATED', page: '2' });
+
+      // Assert
+      expect(result.entries).toEqual([entry]);
+      expect(result.pagination).toMatchObject({ page: 2, perPage: 25, total: 60 });
+      expect(AuditLog.countAll).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'USER_CREATED' }),
+      );
+      expect(AuditLog.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'USER_CREATED', limit: 25, offset: 25 }),
+      );
+    });
+  });
+
+  describe('getAuditLogById', () => {
+    it('should return the entry', async () => {
+      // Arrange
+      AuditLog.findByIdWithActor.mockResolvedValue(entry);
+
+      // Act
+      const result = await auditService.getAuditLogById(7);
+
+      // Assert
+      expect(result).toBe(entry);
+    });
+
+    it('should throw a 404 error when the entry does not exist', async () => {
+      // Arrange
+      AuditLog.findByIdWithActor.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(auditService.getAuditLogById(999)).rejects.toMatchObject({
+        message: 'Audit log entry not found',
+        status: 404,
+      });
+    });
+  });
+
+  describe('getFilterOptions', () => {
+    it('should return the options from the model', async () => {
+      // Arrange
+      const options = { actions: ['USER_LOGIN'], targetTypes: ['user'], actors: [] };
+      AuditLog.findFilterOptions.mockResolvedValue(options);
+
+      // Act
+      const result = await auditService.getFilterOptions();
+
+      // Assert
+      expect(result).toBe(options);
+    });
+  });
+
+  describe('exportAuditLogs', () => {
+    beforeEach(() => {
+      AuditLog.findAll.mockResolvedValue([entry]);
+    });
+
+    it('should export every matching entry as CSV', async () => {
+      // Act
+      const result = await auditService.exportAuditLogs(
+        { action: 'USER_CREATED', page: '3' },
+        'csv',
+        1,
+        '127.0.0.1',
+      );
+
+      // Assert
+      expect(AuditLog.findAll).toHaveBeenCalledWith(
+        expect.not.objectContaining({ limit: expect.anything() }),
+      );
+      expect(result.filename).toMatch(/^audit-log-\d{8}-\d{6}\.csv$/);
+      expect(result.contentType).toBe('text/csv; charset=utf-8');
+      const lines = result.content.split('\r\n');
+      expect(lines[0]).toBe(
+        'ID,Timestamp,Actor ID,Actor,Action,Target Type,Target ID,IP Address,Details,Hash',
+      );
+      expect(lines[1]).toBe(
+        '7,2026-03-01T09:30:00.000Z,1,admin,USER_CREATED,user,4,10.0.3.4,' +
+          '"{""username"":""nurse, \\""head\\""""}",' +
+          'f'.repeat(64),
+      );
+    });
+
+    it('should export entries as JSON', async () => {
+      // Act
+      const result = await auditService.exportAuditLogs({}, 'json', 1, '127.0.0.1');
+
+      // Assert
+      expect(result.filename).toMatch(/\.json$/);
+      expect(result.contentType).toBe('application/json; charset=utf-8');
+      expect(JSON.parse(result.content)).toEqual([
+        { ...entry, created_at: '2026-03-01T09:30:00.000Z' },
+      ]);
+    });
+
+    it('should record the export in the audit log', async () => {
+      // Act
+      await auditService.exportAuditLogs({ action: 'USER_CREATED' }, 'csv', 1, '127.0.0.1');
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 1,
+        action: 'AUDIT_LOG_EXPORTED',
+        targetType: 'audit_log',
+        targetId: null,
+        details: {
+          format: 'csv',
+          filters: expect.objectContaining({ action: 'USER_CREATED' }),
+          count: 1,
+        },
+        ipAddress: '127.0.0.1',
+      });
+    });
+  });
+
+  describe('verifyChain', () => {
+    // Stand-in for the SHA-256 seal: depends on the content and the previous hash
+    const seal = (row) => `hash(${row.id},${row.action},${row.prev_hash})`;
+
+    // Build a correctly chained list of entries
+    const chain = (count, firstId = 1) => {
+      const rows = [];
+      for (let i = 0; i < count; i++) {
+        const row = {
+          id: firstId + i,
+          action: 'LOGIN',
+          prev_hash: i === 0 ? null : rows[i - 1].hash,
+        };
+        row.hash = seal(row);
+        rows.push(row);
+      }
+      return rows;
+    };
+
+    beforeEach(() => {
+      AuditLog.computeHash.mockImplementation(seal);
+    });
+
+    it('should report an intact chain with its head', async () => {
+      // Arrange
+      const rows = chain(3);
+      AuditLog.findChainBatch.mockResolvedValueOnce(rows);
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(report).toEqual({
+        intact: true,
+        checked: 3,
+        unsealed: 0,
+        headId: 3,
+        headHash: rows[2].hash,
+        brokenAt: null,
+      });
+      expect(AuditLog.findChainBatch).toHaveBeenCalledWith(0, 1000);
+    });
+
+    it('should report an empty log as intact', async () => {
+      // Arrange
+      AuditLog.findChainBatch.mockResolvedValueOnce([]);
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(report).toMatchObject({ intact: true, checked: 0, headId: null, headHash: null });
+    });
+
+    it('should count entries written before the chain started as unsealed', async () => {
+      // Arrange
+      const legacy = [
+        { id: 1, action: 'LOGIN', prev_hash: null, hash: null },
+        { id: 2, action: 'LOGIN', prev_hash: null, hash: null },
+      ];
+      AuditLog.findChainBatch.mockResolvedValueOnce([...legacy, ...chain(2, 3)]);
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(report).toMatchObject({ intact: true, checked: 4, unsealed: 2, headId: 4 });
+    });
+
+    it('should read the chain in batches', async () => {
+      // Arrange
+      const rows = chain(1001);
+      AuditLog.findChainBatch
+        .mockResolvedValueOnce(rows.slice(0, 1000))
+        .mockResolvedValueOnce(rows.slice(1000));
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(AuditLog.findChainBatch).toHaveBeenNthCalledWith(2, 1000, 1000);
+      expect(report).toMatchObject({ intact: true, checked: 1001, headId: 1001 });
+    });
+
+    it('should detect an edited entry', async () => {
+      // Arrange
+      const rows = chain(3);
+      rows[1].action = 'USER_DELETED';
+      AuditLog.findChainBatch.mockResolvedValueOnce(rows);
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(report.intact).toBe(false);
+      expect(report.brokenAt).toEqual({ id: 2, reason: 'hash_mismatch' });
+      expect(report.headId).toBe(1);
+    });
+
+    it('should detect a deleted entry', async () => {
+      // Arrange
+      const rows = chain(3);
+      AuditLog.findChainBatch.mockResolvedValueOnce([rows[0], rows[2]]);
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(report.brokenAt).toEqual({ id: 3, reason: 'prev_hash_mismatch' });
+    });
+
+    it('should detect a sealed entry with its hash removed', async () => {
+      // Arrange
+      const rows = chain(3);
+      rows[2].hash = null;
+      AuditLog.findChainBatch.mockResolvedValueOnce(rows);
+
+      // Act
+      const report = await auditService.verifyChain();
+
+      // Assert
+      expect(report.brokenAt).toEqual({ id: 3, reason: 'missing_hash' });
+    });
+  });
+});
@@ -3,20 +3,28 @@
  *
  * Tests authentication service with focus on security:
  * - Timing attack prevention
- * - Account locking
+ * - Time-based account locking with exponential backoff
  * - User enumeration prevention
  * - Status validation
+ * - Audit of refused logins
  */
 
 const authService = require('../../../services/authService');
 const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const notificationService = require('../../../services/notificationService');
 const bcrypt = require('bcryptjs');
 
 // Mock dependencies
 jest.mock('../../../models/User');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../services/notificationService');
 jest.mock('bcryptjs');
 jest.mock('../../../utils/logger');
 
+const FUTURE = new Date(Date.now() + 60 * 60 * 1000);
+const PAST = new Date(Date.now() - 60 * 1000);
+
 describe('AuthService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -85,6 +93,13 @@ describe('AuthService', () => {
           'password123',
           expect.stringContaining('$2a$10$invalidhash'),
         );
+        expect(AuditLog.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            actorId: null,
+            targetId: null,
+            details: { success: false, username: 'nonexistent', reason: 'unknown_user' },
+          }),
+        );
       });
 
       it('should take similar time for existing and non-existing users', async () => {
@@ -100,6 +115,7 @@ describe('AuthService', () => {
         // Test with existing user
         User.findByUsernameWithPassword.mockResolvedValue(existingUser);
         bcrypt.compare.mockResolvedValue(false);
+        User.recordFailedLogin.mockResolvedValue({ login_attempts: 1, locked_until: null });
 
         const start1 = Date.now();
         await authService.authenticate('exists', 'wrongpass');
@@ -121,7 +137,7 @@ describe('AuthService', () => {
     });
 
     describe('account locking', () => {
-      it('should return null when login_attempts >= 5', async () => {
+      it('should return null while the account is locked', async () => {
         // Arrange
         const lockedUser = {
           id: 1,
@@ -129,6 +145,7 @@ describe('AuthService', () => {
           password_hash: 'hashed_password',
           status: 'active',
           login_attempts: 5,
+          locked_until: FUTURE,
         };
         User.findByUsernameWithPassword.mockResolvedValue(lockedUser);
         bcrypt.compare.mockResolvedValue(true); // Even with correct password
@@ -141,6 +158,34 @@ describe('AuthService', () => {
         expect(User.updateLastLogin).not.toHaveBeenCalled();
       });
 
+      it('should not count attempts made while locked', async () => {
+        // Arrange
+        const lockedUser = {
+          id: 1,
+          username: 'lockeduser',
+          password_hash: 'hashed',
+          status: 'active',
+          login_attempts: 5,
+          locked_until: FUTURE,
+        };
+        User.findByUsernameWithPassword.mockResolvedValue(lockedUser);
+        bcrypt.compare.mockResolvedValue(false);
+
+        // Act
+        await authService.authenticate('lockeduser', 'wrong', '10.0.0.1');
+
+        // Assert
+        expect(User.recordFailedLogin).not.toHaveBeenCalled();
+        expect(AuditLog.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            action: 'USER_LOGIN_FAILED',
+            targetId: 1,
+            details: expect.objectContaining({ reason: 'locked', locked_until: FUTURE }),
+            ipAddress: '10.0.0.1',
+          }),
+        );
+      });
+
       it('should not reveal account lock status to prevent enumeration', async () => {
         // Arrange - locked account
         const lockedUser = {
@@ -149,6 +194,7 @@ describe('AuthService', () => {
           password_hash: 'hashed',
           status: 'active',
           login_attempts: 5,
+          locked_until: FUTURE,
         };
         User.findByUsernameWithPassword.mockResolvedValue(lockedUser);
         bcrypt.compare.mockResolvedValue(true);
@@ -180,6 +226,99 @@ describe('AuthService', () => {
         expect(result).toEqual(user);
         expect(User.updateLastLogin).toHaveBeenCalledWith(1);
       });
+
+      it('should allow login once the lock has expired', async () => {
+        // Arrange
+        const user = {
+          id: 1,
+          username: 'user',
+          password_hash: 'hashed',
+          status: 'active',
+          login_attempts: 5,
+          locked_until: PAST,
+        };
+        User.findByUsernameWithPassword.mockResolvedValue(user);
+        bcrypt.compare.mockResolvedValue(true);
+        User.updateLastLogin.mockResolvedValue();
+
+        // Act
+        const result = await authService.authenticate('user', 'password');
+
+        // Assert
+        expect(result).toEqual(user);
+        expect(User.updateLastLogin).toHaveBeenCalledWith(1);
+      });
+
+      it('should lock the account, audit it and notify when the limit is reached', async () => {
+        // Arrange
+        const user = {
+          id: 1,
+          username: 'user',
+          email: 'user@example.com',
+          password_hash: 'hashed',
+          status: 'active',
+          login_attempts: 4,
+        };
+        const lock = { login_attempts: 5, locked_until: FUTURE };
+        User.findByUsernameWithPassword.mockResolvedValue(user);
+        bcrypt.compare.mockResolvedValue(false);
+        User.recordFailedLogin.mockResolvedValue(lock);
+
+        // Act
+        const result = await authService.authenticate('user', 'wrong', '10.0.0.1');
+
+        // Assert
+        expect(result).toBeNull();
+        expect(User.recordFailedLogin).toHaveBeenCalledWith(1, {
+          maxAttempts: 5,
+          baseMinutes: 15,
+          maxMinutes: 1440,
+        });
+        expect(AuditLog.create).toHaveBeenCalledWith({
+          actorId: null,
+          action: 'USER_LOCKED',
+          targetType: 'user',
+          targetId: 1,
+          details: { login_attempts: 5, locked_until: FUTURE },
+          ipAddress: '10.0.0.1',
+        });
+        expect(notificationService.notifyAccountLocked).toHaveBeenCalledWith(
+          user,
+          lock,
+          '10.0.0.1',
+        );
+      });
+
+      it('should not lock the account below the limit', async () => {
+        // Arrange
+        const user = {
+          id: 1,
+          username: 'user',
+          password_hash: 'hashed',
+          status: 'active',
+          login_attempts: 2,
+        };
+        User.findByUsernameWithPassword.mockResolvedValue(user);
+        bcrypt.compare.mockResolvedValue(false);
+        User.recordFailedLogin.mockResolvedValue({ login_attempts: 3, locked_until: null });
+
+        // Act
+        await authService.authenticate('user', 'wrong');
+
+        // Assert
+        expect(AuditLog.create).toHaveBeenCalledTimes(1);
+        expect(AuditLog.create.mock.calls[0][0].action).toBe('USER_LOGIN_FAILED');
+        expect(notificationService.notifyAccountLocked).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('isLocked', () => {
+      it('should only treat a lock ending in the future as locked', () => {
+        // Act & Assert
+        expect(authService.isLocked({ locked_until: FUTURE })).toBe(true);
+        expect(authService.isLocked({ locked_until: PAST })).toBe(false);
+        expect(authService.isLocked({ locked_until: null, login_attempts: 9 })).toBe(false);
+      });
     });
 
     describe('account status validation', () => {
@@ -257,7 +396,7 @@ describe('AuthService', () => {
         };
         User.findByUsernameWithPassword.mockResolvedValue(user);
         bcrypt.compare.mockResolvedValue(false);
-        User.incrementLoginAttempts.mockResolvedValue();
+        User.recordFailedLogin.mockResolvedValue({ login_attempts: 1, locked_until: null });
 
         // Act
         const result = await authService.authenticate('testuser', 'wrongpassword');
@@ -278,13 +417,26 @@ describe('AuthService', () => {
         };
         User.findByUsernameWithPassword.mockResolvedValue(user);
         bcrypt.compare.mockResolvedValue(false);
-        User.incrementLoginAttempts.mockResolvedValue();
+        User.recordFailedLogin.mockResolvedValue({ login_attempts: 3, locked_until: null });
 
         // Act
-        await authService.authenticate('testuser', 'wrongpassword');
+        await authService.authenticate('testuser', 'wrongpassword', '10.0.0.1');
 
         // Assert
-        expect(User.incrementLoginAttempts).toHaveBeenCalledWith('testuser');
+        expect(User.recordFailedLogin).toHaveBeenCalledWith(1, expect.any(Object));
+        expect(AuditLog.create).toHaveBeenCalledWith({
+          actorId: 1,
+          action: 'USER_LOGIN_FAILED',
+          targetType: 'user',
+          targetId: 1,
+          details: {
+            success: false,
+            username: 'testuser',
+            reason: 'invalid_password',
+            login_attempts: 3,
+          },
+          ipAddress: '10.0.0.1',
+        });
       });
 
       it('should not increment login_attempts on successful password', async () => {
@@ -304,7 +456,8 @@ describe('AuthService', () => {
         await authService.authenticate('testuser', 'correctpassword');
 
         // Assert
-        expect(User.incrementLoginAttempts).not.toHaveBeenCalled();
+        expect(User.recordFailedLogin).not.toHaveBeenCalled();
+        expect(AuditLog.create).not.toHaveBeenCalled();
       });
     });
 
@@ -332,6 +485,315 @@ describe('AuthService', () => {
     });
   });
 
+  describe('authentication providers', () => {
+    const localProviders = authService.providers;
+    let directory;
+
+    const directoryUser = {
+      id: 7,
+      username: 'jdoe',
+      email: 'jdoe@hospital.local',
+      password_hash: 'random',
+      role: 'department',
+      department: 'Cardiology',
+      status: 'active',
+      login_attempts: 0,
+      auth_provider: 'ldap',
+    };
+    const profile = {
+      username: 'jdoe',
+      email: 'jdoe@hospital.local',
+      role: 'department',
+      department: 'Cardiology',
+    };
+
+    beforeEach(() => {
+      directory = { name: 'ldap', provisions: true, authenticate: jest.fn() };
+      authService.providers = [...localProviders, directory];
+      bcrypt.compare.mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+      authService.providers = localProviders;
+    });
+
+    it('should check directory users against their provider only', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue(directoryUser);
+      directory.authenticate.mockResolvedValue(profile);
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toEqual(directoryUser);
+      expect(directory.authenticate).toHaveBeenCalledWith('jdoe', 'DirectoryPass1!', directoryUser);
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(User.update).not.toHaveBeenCalled();
+      expect(User.updateLastLogin).toHaveBeenCalledWith(7);
+    });
+
+    it('should count a wrong directory password towards the lockout', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue(directoryUser);
+      directory.authenticate.mockResolvedValue(null);
+      User.recordFailedLogin.mockResolvedValue({ login_attempts: 1, locked_until: null });
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'wrong', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(User.recordFailedLogin).toHaveBeenCalledWith(7, expect.any(Object));
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'USER_LOGIN_FAILED',
+          details: expect.objectContaining({ reason: 'invalid_password' }),
+        }),
+      );
+    });
+
+    it('should update role, department and email from the directory groups', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue(directoryUser);
+      directory.authenticate.mockResolvedValue({ ...profile, role: 'admin', department: null });
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(User.update).toHaveBeenCalledWith(7, { role: 'admin', department: null });
+      expect(result.role).toBe('admin');
+      expect(result.department).toBeNull();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'USER_DIRECTORY_SYNC',
+          targetId: 7,
+          details: {
+            provider: 'ldap',
+            from: { role: 'department', department: 'Cardiology' },
+            to: { role: 'admin', department: null },
+          },
+        }),
+      );
+    });
+
+    it('should refuse directory users who are no longer in a mapped group', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue(directoryUser);
+      directory.authenticate.mockResolvedValue({ ...profile, role: null, department: null });
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(User.updateLastLogin).not.toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ details: expect.objectContaining({ reason: 'no_role' }) }),
+      );
+    });
+
+    it('should not ask the directory about locked accounts', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue({ ...directoryUser, locked_until: FUTURE });
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(directory.authenticate).not.toHaveBeenCalled();
+      expect(User.recordFailedLogin).not.toHaveBeenCalled();
+    });
+
+    it('should refuse accounts whose provider is not configured', async () => {
+      // Arrange
+      authService.providers = localProviders;
+      User.findByUsernameWithPassword.mockResolvedValue(directoryUser);
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          details: expect.objectContaining({ reason: 'provider_disabled', provider: 'ldap' }),
+        }),
+      );
+    });
+
+    it('should create the account of a new directory user on first login', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue(undefined);
+      directory.authenticate.mockResolvedValue(profile);
+      User.create.mockResolvedValue({ id: 8 });
+      User.findByUsername.mockResolvedValue({ ...directoryUser, id: 8 });
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(bcrypt.compare).toHaveBeenCalledTimes(1);
+      expect(directory.authenticate).toHaveBeenCalledWith('jdoe', 'DirectoryPass1!', null);
+      expect(User.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          username: 'jdoe',
+          email: 'jdoe@hospital.local',
+          role: 'department',
+          department: 'Cardiology',
+          status: 'active',
+          authProvider: 'ldap',
+          password: expect.stringMatching(/^[0-9a-f]{64}$/),
+        }),
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'USER_PROVISIONED', targetId: 8 }),
+      );
+      expect(User.updateLastLogin).toHaveBeenCalledWith(8);
+      expect(result.id).toBe(8);
+    });
+
+    it('should not create an account for directory users in no mapped group', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue(undefined);
+      directory.authenticate.mockResolvedValue({ ...profile, role: null, department: null });
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(User.create).not.toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ details: expect.objectContaining({ reason: 'no_role' }) }),
+      );
+    });
+
+    it('should refuse the login when the account cannot be created', async () => {
+      // Arrange
+      const duplicate = new Error('duplicate key value violates unique constraint');
+      duplicate.code = '23505';
+      User.findByUsernameWithPassword.mockResolvedValue(undefined);
+      directory.authenticate.mockResolvedValue(profile);
+      User.create.mockRejectedValue(duplicate);
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          details: expect.objectContaining({ reason: 'provision_failed' }),
+        }),
+      );
+    });
+
+    it('should refuse the login when the mapped department does not exist', async () => {
+      // Arrange
+      const unknownDepartment = new Error('insert or update on table "users" violates foreign key');
+      unknownDepartment.code = '23503';
+      User.findByUsernameWithPassword.mockResolvedValue(undefined);
+      directory.authenticate.mockResolvedValue(profile);
+      User.create.mockRejectedValue(unknownDepartment);
+
+      // Act
+      const result = await authService.authenticate('jdoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          details: expect.objectContaining({ reason: 'provision_failed' }),
+        }),
+      );
+    });
+
+    it('should sign in the existing account when the username is typed in another case', async () => {
+      // Arrange
+      User.findByUsernameWithPassword
+        .mockResolvedValueOnce(undefined)
+        .mockResolvedValueOnce(directoryUser);
+      User.findByUsername.mockResolvedValue(directoryUser);
+      directory.authenticate.mockResolvedValue(profile);
+
+      // Act
+      const result = await authService.authenticate('JDoe', 'DirectoryPass1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toEqual(directoryUser);
+      expect(User.findByUsernameWithPassword).toHaveBeenLastCalledWith('jdoe');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should still audit unknown usernames no provider knows', async () => {
+      // Arrange
+      User.findByUsernameWithPassword.mockResolvedValue(undefined);
+      directory.authenticate.mockResolvedValue(null);
+
+      // Act
+      const result = await authService.authenticate('nobody', 'Whatever1!', '10.0.0.1');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(User.create).not.toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ details: expect.objectContaining({ reason: 'unknown_user' }) }),
+      );
+    });
+
+    it('should pass on the error when the directory cannot be reached', async () => {
+      // Arrange
+      const unavailable = new Error('LDAP server unavailable');
+      unavailable.status = 503;
+      User.findByUsernameWithPassword.mockResolvedValue(directoryUser);
+      directory.authenticate.mockRejectedValue(unavailable);
+
+      // Act & Assert
+      await expect(authService.authenticate('jdoe', 'DirectoryPass1!')).rejects.toThrow(
+        'LDAP server unavailable',
+      );
+      expect(User.recordFailedLogin).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('passwordChangeReason', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+
+    it('should require a change when the password was reset', () => {
+      // Act & Assert
+      expect(authService.passwordChangeReason({ must_change_password: true }, now)).toBe('reset');
+    });
+
+    it('should require a change when the password is older than the maximum age', () => {
+      // Arrange
+      const user = { must_change_password: false, password_changed_at: '2026-02-01T12:00:00Z' };
+
+      // Act & Assert
+      expect(authService.passwordChangeReason(user, now, 90)).toBe('expired');
+      expect(authService.passwordChangeReason(user, now, 180)).toBeNull();
+    });
+
+    it('should ignore the password age when no maximum is set', () => {
+      // Arrange
+      const user = { must_change_password: false, password_changed_at: '2020-01-01T00:00:00Z' };
+
+      // Act & Assert
+      expect(authService.passwordChangeReason(user, now, 0)).toBeNull();
+    });
+
+    it('should never ask directory users to change their password', () => {
+      // Arrange
+      const user = { auth_provider: 'ldap', must_change_password: true };
+
+      // Act & Assert
+      expect(authService.passwordChangeReason(user, now, 90)).toBeNull();
+    });
+  });
+
   describe('createSessionData', () => {
     it('should return only safe user fields', () => {
       // Arrange
@@ -0,0 +1,471 @@
+/**
+ * ClientTicketService Unit Tests
+ *
+ * Tests the department portal ticket service in isolation with all dependencies mocked.
+ * Focuses on the status state machine: explicit status updates by department users
+ * and the automatic waiting_on_admin transition when a department user comments,
+ * including the audit entries that feed the ticket activity timeline and the
+ * email notifications both actions trigger. Ticket creation and comments are
+ * audited as well. Comments on recently closed tickets reopen them.
+ */
+
+const clientTicketService = require('../../../services/clientTicketService');
+const Ticket = require('../../../models/Ticket');
+const TicketStatusHistory = require('../../../models/TicketStatusHistory');
+const Comment = require('../../../models/Comment');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const notificationService = require('../../../services/notificationService');
+
+// Mock dependencies
+jest.mock('../../../models/Ticket');
+jest.mock('../../../models/TicketStatusHistory');
+jest.mock('../../../models/Comment');
+jest.mock('../../../models/User');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../services/notificationService');
+jest.mock('../../../utils/logger');
+
+describe('ClientTicketService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createTicket', () => {
+    it('should create the ticket for the user department and audit it', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 5, username: 'cardio', department: 'Cardiology' });
+      Ticket.create.mockResolvedValue({
+        id: 21,
+        title: 'ECG printer jammed',
+        priority: 'unset',
+        status: 'waiting_on_admin',
+        reporter_department: 'Cardiology',
+      });
+
+      // Act
+      await clientTicketService.createTicket(
+        5,
+        { title: 'ECG printer jammed', description: 'Paper stuck again', reporter_phone: '1234' },
+        '10.0.0.1',
+      );
+
+      // Assert
+      expect(Ticket.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          reporter_department: 'Cardiology',
+          reporter_id: 5,
+          priority: 'unset',
+          status: 'waiting_on_admin',
+        }),
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 5,
+        action: 'TICKET_CREATED',
+        targetType: 'ticket',
+        targetId: 21,
+        details: {
+          title: 'ECG printer jammed',
+          priority: 'unset',
+          status: 'waiting_on_admin',
+          department: 'Cardiology',
+        },
+        ipAddress: '10.0.0.1',
+      });
+    });
+
+    it('should not create or audit a ticket for a user without a department', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 5, username: 'cardio', department: null });
+
+      // Act & Assert
+      await expect(clientTicketService.createTicket(5, { title: 'Help' })).rejects.toThrow(
+        'Department not set for user',
+      );
+      expect(Ticket.create).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDepartmentTickets', () => {
+    it('should return a page of tickets with pagination and status counts', async () => {
+      // Arrange
+      const mockTickets = [{ id: 1 }, { id: 2 }];
+      Ticket.countByDepartment.mockResolvedValue(12);
+      Ticket.findByDepartment.mockResolvedValue(mockTickets);
+      Ticket.countStatusesByDepartment.mockResolvedValue({ open: 5 });
+
+      // Act
+      const result = await clientTicketService.getDepartmentTickets(5, 'Emergency', {
+        status: 'open',
+        sort: 'updated',
+        page: '2',
+        per_page: '10',
+      });
+
+      // Assert
+      expect(result.tickets).toEqual(mockTickets);
+      expect(result.statusCounts).toEqual({ open: 5 });
+      expect(result.pagination).toMatchObject({ page: 2, total: 12, from: 11, to: 12 });
+      expect(Ticket.findByDepartment).toHaveBeenCalledWith('Emergency', {
+        status: 'open',
+        priority: undefined,
+        search: undefined,
+        sort: 'updated',
+        order: undefined,
+        limit: 10,
+        offset: 10,
+      });
+    });
+
+    it('should drop unknown sort keys and orders', async () => {
+      // Arrange
+      Ticket.countByDepartment.mockResolvedValue(0);
+      Ticket.findByDepartment.mockResolvedValue([]);
+      Ticket.countStatusesByDepartment.mockResolvedValue({});
+
+      // Act
+      await clientTicketService.getDepartmentTickets(5, 'Emergency', {
+        sort: 'constructor',
+        order: 'toString',
+      });
+
+      // Assert
+      expect(Ticket.findByDepartment).toHaveBeenCalledWith(
+        'Emergency',
+        expect.objectContaining({ sort: undefined, order: undefined }),
+      );
+    });
+  });
+
+  describe('getDepartmentSummary', () => {
+    const now = new Date(2026, 2, 15, 13, 45);
+
+    it('should combine the wait average, monthly closures and oldest open ticket', async () => {
+      // Arrange
+      const oldest = { id: 3, title: 'Printer', status: 'open' };
+      TicketStatusHistory.averageDurationByDepartment.mockResolvedValue({
+        count: 4,
+        average_seconds: 5400,
+      });
+      Ticket.countClosedSinceByDepartment.mockResolvedValue(7);
+      Ticket.findOldestOpenByDepartment.mockResolvedValue(oldest);
+
+      // Act
+      const result = await clientTicketService.getDepartmentSummary('Emergency', now);
+
+      // Assert
+      expect(result).toEqual({
+        waitingOnAdmin: { count: 4, averageSeconds: 5400, windowDays: 30 },
+        closedThisMonth: 7,
+        oldestOpenTicket: oldest,
+      });
+      expect(TicketStatusHistory.averageDurationByDepartment).toHaveBeenCalledWith(
+        'Emergency',
+        'waiting_on_admin',
+        new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000),
+      );
+      expect(Ticket.countClosedSinceByDepartment).toHaveBeenCalledWith(
+        'Emergency',
+        new Date(2026, 2, 1),
+      );
+    });
+
+    it('should return null when the department has no outstanding tickets', async () => {
+      // Arrange
+      TicketStatusHistory.averageDurationByDepartment.mockResolvedValue({
+        count: 0,
+        average_seconds: null,
+      });
+      Ticket.countClosedSinceByDepartment.mockResolvedValue(0);
+      Ticket.findOldestOpenByDepartment.mockResolvedValue(undefined);
+
+      // Act
+      const result = await clientTicketService.getDepartmentSummary('Emergency', now);
+
+      // Assert
+      expect(result.oldestOpenTicket).toBeNull();
+      expect(result.waitingOnAdmin.averageSeconds).toBeNull();
+    });
+  });
+
+  describe('updateTicketStatus', () => {
+    it.each([
+      ['open', 'waiting_on_admin'],
+      ['open', 'closed'],
+      ['in_progress', 'waiting_on_admin'],
+      ['in_progress', 'closed'],
+      ['waiting_on_admin', 'closed'],
+      ['waiting_on_department', 'waiting_on_admin'],
+      ['waiting_on_department', 'closed'],
+    ])('should allow department user to move ticket from %s to %s', async (from, to) => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: from });
+      Ticket.update.mockResolvedValue({ id: 1, status: to });
+
+      // Act
+      const result = await clientTicketService.updateTicketStatus(1, to);
+
+      // Assert
+      expect(result.status).toBe(to);
+      expect(Ticket.update).toHaveBeenCalledWith(1, { status: to });
+    });
+
+    it.each([
+      ['closed', 'waiting_on_admin'],
+      ['closed', 'open'],
+      ['open', 'in_progress'],
+      ['waiting_on_admin', 'waiting_on_department'],
+      ['waiting_on_department', 'open'],
+    ])('should reject department user moving ticket from %s to %s', async (from, to) => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 2, status: from });
+
+      // Act & Assert
+      await expect(clientTicketService.updateTicketStatus(2, to)).rejects.toMatchObject({
+        code: 'INVALID_STATUS_TRANSITION',
+        fromStatus: from,
+        toStatus: to,
+      });
+      expect(Ticket.update).not.toHaveBeenCalled();
+    });
+
+    it('should allow re-submitting the current status', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 3, status: 'waiting_on_admin' });
+      Ticket.update.mockResolvedValue({ id: 3, status: 'waiting_on_admin' });
+
+      // Act
+      await clientTicketService.updateTicketStatus(3, 'waiting_on_admin');
+
+      // Assert
+      expect(Ticket.update).toHaveBeenCalledWith(3, { status: 'waiting_on_admin' });
+    });
+
+    it('should audit previous and new status when actor is given', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 4, status: 'in_progress' });
+      Ticket.update.mockResolvedValue({ id: 4, status: 'closed' });
+
+      // Act
+      await clientTicketService.updateTicketStatus(4, 'closed', 5, '10.0.0.1');
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 5,
+        action: 'TICKET_UPDATED',
+        targetType: 'ticket',
+        targetId: 4,
+        details: { old: { status: 'in_progress' }, new: { status: 'closed' } },
+        ipAddress: '10.0.0.1',
+      });
+    });
+
+    it('should not audit re-submitting the current status', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 3, status: 'waiting_on_admin' });
+      Ticket.update.mockResolvedValue({ id: 3, status: 'waiting_on_admin' });
+
+      // Act
+      await clientTicketService.updateTicketStatus(3, 'waiting_on_admin', 5, '10.0.0.1');
+
+      // Assert
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should email the department about the new status', async () => {
+      // Arrange
+      const ticket = { id: 4, status: 'in_progress', reporter_department: 'Cardiology' };
+      Ticket.findById.mockResolvedValue(ticket);
+      Ticket.update.mockResolvedValue({ id: 4, status: 'closed' });
+
+      // Act
+      await clientTicketService.updateTicketStatus(4, 'closed', 5, '10.0.0.1');
+
+      // Assert
+      expect(notificationService.notifyStatusChange).toHaveBeenCalledWith(
+        ticket,
+        'in_progress',
+        'closed',
+        5,
+      );
+    });
+
+    it('should throw when ticket does not exist', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(clientTicketService.updateTicketStatus(999, 'closed')).rejects.toThrow(
+        'Ticket not found',
+      );
+      expect(Ticket.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addComment', () => {
+    beforeEach(() => {
+      Comment.create.mockResolvedValue({ id: 10, ticket_id: 1, visibility_type: 'public' });
+    });
+
+    it('should always create a public comment', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'open' });
+
+      // Act
+      await clientTicketService.addComment(1, 5, 'Any update?');
+
+      // Assert
+      expect(Comment.create).toHaveBeenCalledWith({
+        ticket_id: 1,
+        user_id: 5,
+        content: 'Any update?',
+        visibility_type: 'public',
+      });
+    });
+
+    it('should audit the comment with the acting user and IP', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'open' });
+
+      // Act
+      await clientTicketService.addComment('1', 5, 'Any update?', '10.0.0.1');
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 5,
+        action: 'COMMENT_CREATED',
+        targetType: 'comment',
+        targetId: 10,
+        details: { ticket_id: 1, visibility_type: 'public', content_length: 11 },
+        ipAddress: '10.0.0.1',
+      });
+    });
+
+    it.each(['open', 'in_progress', 'waiting_on_department', 'waiting_on_admin'])(
+      'should auto-transition %s ticket to waiting_on_admin',
+      async (from) => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 1, status: from });
+
+        // Act
+        await clientTicketService.addComment(1, 5, 'Here is the information you asked for');
+
+        // Assert
+        expect(Ticket.update).toHaveBeenCalledWith(1, { status: 'waiting_on_admin' });
+      },
+    );
+
+    it('should audit automatic transition with triggering comment', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'waiting_on_department' });
+
+      // Act
+      await clientTicketService.addComment(1, 5, 'Done, please check', '10.0.0.1');
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 5,
+        action: 'TICKET_UPDATED',
+        targetType: 'ticket',
+        targetId: 1,
+        details: {
+          old: { status: 'waiting_on_department' },
+          new: { status: 'waiting_on_admin' },
+          triggered_by_comment_id: 10,
+        },
+        ipAddress: '10.0.0.1',
+      });
+    });
+
+    it('should not audit a status change when ticket is already waiting on admin', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'waiting_on_admin' });
+
+      // Act
+      await clientTicketService.addComment(1, 5, 'Any news?');
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledTimes(1);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'COMMENT_CREATED' }),
+      );
+    });
+
+    it('should not reopen closed ticket when department user comments', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'closed' });
+
+      // Act
+      await clientTicketService.addComment(1, 5, 'Thanks!');
+
+      // Assert
+      expect(Comment.create).toHaveBeenCalled();
+      expect(Ticket.update).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'TICKET_UPDATED' }),
+      );
+    });
+
+    it('should reopen a closed ticket commented on within the reopen window', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'closed', resolved_at: new Date() });
+
+      // Act
+      await clientTicketService.addComment(1, 5, 'The printer is jammed again', '10.0.0.1');
+
+      // Assert
+      expect(Ticket.update).toHaveBeenCalledWith(1, { status: 'waiting_on_admin' });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'TICKET_UPDATED',
+          details: {
+            old: { status: 'closed' },
+            new: { status: 'waiting_on_admin' },
+            triggered_by_comment_id: 10,
+          },
+        }),
+      );
+    });
+
+    it('should not reopen a ticket closed before the reopen window', async () => {
+      // Arrange
+      const closedAt = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'closed', resolved_at: closedAt });
+
+      // Act
+      await clientTicketService.addComment(1, 5, 'Thanks!');
+
+      // Assert
+      expect(Comment.create).toHaveBeenCalled();
+      expect(Ticket.update).not.toHaveBeenCalled();
+    });
+
+    it('should email the assigned admin about the reply', async () => {
+      // Arrange
+      const ticket = { id: 1, status: 'open', assigned_to: 2 };
+      Ticket.findById.mockResolvedValue(ticket);
+
+      // Act
+      await clientTicketService.addComment(1, 5, 'Any update?');
+
+      // Assert
+      expect(notificationService.notifyDepartmentReply).toHaveBeenCalledWith(
+        ticket,
+        expect.objectContaining({ id: 10 }),
+        5,
+      );
+    });
+
+    it('should throw when ticket does not exist', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(clientTicketService.addComment(999, 5, 'Hello')).rejects.toThrow(
+        'Ticket not found',
+      );
+      expect(Comment.create).not.toHaveBeenCalled();
+    });
+  });
+});
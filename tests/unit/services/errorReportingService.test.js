@@ -0,0 +1,389 @@
+/**
+ * ErrorReportingService Unit Tests
+ *
+ * Tests the ErrorReportingService in complete isolation with all dependencies mocked.
+ *
+ * Methods tested:
+ * - trackError(req, error)
+ * - rememberAnonymousError(entry, now)
+ * - reportError(session, correlationId, report)
+ * - cleanFilters(query)
+ * - getReports(query)
+ * - resolveReport(actorId, id, resolution, ipAddress)
+ * - createTicketFromReport(actorId, id, ipAddress)
+ */
+
+const errorReportingService = require('../../../services/errorReportingService');
+const ErrorReport = require('../../../models/ErrorReport');
+const AuditLog = require('../../../models/AuditLog');
+const adminTicketService = require('../../../services/adminTicketService');
+
+// Mock dependencies
+jest.mock('../../../models/ErrorReport');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../services/adminTicketService');
+jest.mock('../../../utils/logger');
+
+describe('ErrorReportingService', () => {
+  const storedReport = {
+    id: 3,
+    correlation_id: 'A1B2C3D4E5F60718',
+    category: 'SERVER_ERROR',
+    status_code: 500,
+    request_method: 'POST',
+    request_path: '/admin/tickets/9/update',
+    error_message: 'connection terminated',
+    occurred_at: new Date('2026-10-01T08:00:00Z'),
+    reporter_username: 'maria',
+    description: 'Saved the ticket',
+    status: 'open',
+    ticket_id: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    errorReportingService.anonymousErrors.clear();
+  });
+
+  describe('trackError', () => {
+    it('should return a correlation ID and remember the request in the session', () => {
+      // Arrange
+      const req = { session: { user: { id: 7 } }, method: 'GET', originalUrl: '/admin/missing' };
+
+      // Act
+      const correlationId = errorReportingService.trackError(req, {
+        category: 'NOT_FOUND',
+        status: 404,
+      });
+
+      // Assert
+      expect(correlationId).toMatch(/^[0-9A-F]{16}$/);
+      expect(req.session.trackedErrors).toEqual([
+        {
+          correlationId,
+          category: 'NOT_FOUND',
+          status: 404,
+          method: 'GET',
+          path: '/admin/missing',
+          message: null,
+          occurredAt: expect.any(String),
+        },
+      ]);
+    });
+
+    it('should keep only the most recent errors', () => {
+      // Arrange
+      const req = { session: { user: { id: 7 } }, method: 'GET', url: '/' };
+
+      // Act
+      const ids = Array.from({ length: 12 }, () =>
+        errorReportingService.trackError(req, { category: 'NOT_FOUND', status: 404 }),
+      );
+
+      // Assert
+      expect(req.session.trackedErrors.map((entry) => entry.correlationId)).toEqual(ids.slice(2));
+    });
+
+    it('should still return a correlation ID without a session', () => {
+      // Act
+      const correlationId = errorReportingService.trackError(
+        { method: 'GET', url: '/' },
+        { category: 'SERVER_ERROR', status: 500 },
+      );
+
+      // Assert
+      expect(correlationId).toMatch(/^[0-9A-F]{16}$/);
+    });
+
+    it('should remember errors of visitors who are not signed in outside the session', () => {
+      // Arrange
+      const req = { session: {}, method: 'GET', originalUrl: '/wp-login.php' };
+
+      // Act
+      const correlationId = errorReportingService.trackError(req, {
+        category: 'NOT_FOUND',
+        status: 404,
+      });
+
+      // Assert
+      expect(req.session).toEqual({});
+      expect(errorReportingService.anonymousErrors.get(correlationId)).toEqual(
+        expect.objectContaining({
+          correlationId,
+          path: '/wp-login.php',
+          expiresAt: expect.any(Number),
+        }),
+      );
+    });
+  });
+
+  describe('rememberAnonymousError', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const entry = (correlationId) => ({ correlationId, category: 'NOT_FOUND', status: 404 });
+
+    it('should drop errors older than an hour', () => {
+      // Arrange
+      errorReportingService.rememberAnonymousError(entry('OLD'), now - 61 * 60 * 1000);
+      errorReportingService.rememberAnonymousError(entry('RECENT'), now - 30 * 60 * 1000);
+
+      // Act
+      errorReportingService.rememberAnonymousError(entry('NEW'), now);
+
+      // Assert
+      expect([...errorReportingService.anonymousErrors.keys()]).toEqual(['RECENT', 'NEW']);
+    });
+
+    it('should keep at most 1000 errors, dropping the oldest', () => {
+      // Act
+      for (let i = 0; i < 1001; i++) {
+        errorReportingService.rememberAnonymousError(entry(`E${i}`), now);
+      }
+
+      // Assert
+      expect(errorReportingService.anonymousErrors.size).toBe(1000);
+      expect(errorReportingService.anonymousErrors.has('E0')).toBe(false);
+      expect(errorReportingService.anonymousErrors.has('E1000')).toBe(true);
+    });
+  });
+
+  describe('reportError', () => {
+    let session;
+    let correlationId;
+
+    beforeEach(() => {
+      session = { user: { id: 7 } };
+      correlationId = errorReportingService.trackError(
+        { session, method: 'POST', originalUrl: '/admin/tickets/9/update' },
+        { category: 'SERVER_ERROR', status: 500, message: 'connection terminated' },
+      );
+      ErrorReport.create.mockResolvedValue({ ...storedReport, correlation_id: correlationId });
+    });
+
+    it('should store the report with the remembered request details', async () => {
+      // Act
+      await errorReportingService.reportError(session, correlationId, {
+        userDescription: '  Saved the ticket  ',
+        additionalData: { viewport: { width: 1280 } },
+        userAgent: 'Firefox',
+        ip: '10.0.0.5',
+      });
+
+      // Assert
+      expect(ErrorReport.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          correlationId,
+          category: 'SERVER_ERROR',
+          statusCode: 500,
+          requestMethod: 'POST',
+          requestPath: '/admin/tickets/9/update',
+          errorMessage: 'connection terminated',
+          userId: 7,
+          userAgent: 'Firefox',
+          ipAddress: '10.0.0.5',
+          description: 'Saved the ticket',
+          additionalData: { viewport: { width: 1280 } },
+        }),
+      );
+    });
+
+    it('should accept each error only once', async () => {
+      // Arrange
+      await errorReportingService.reportError(session, correlationId, {});
+
+      // Act & Assert
+      await expect(
+        errorReportingService.reportError(session, correlationId, {}),
+      ).rejects.toMatchObject({
+        message: 'Unknown error reference',
+        status: 404,
+      });
+      expect(ErrorReport.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a correlation ID that was not shown to this session', async () => {
+      // Act & Assert
+      await expect(
+        errorReportingService.reportError({}, correlationId, { userDescription: 'spam' }),
+      ).rejects.toMatchObject({ status: 404 });
+      expect(ErrorReport.create).not.toHaveBeenCalled();
+    });
+
+    it('should report an error shown to a visitor who was not signed in once', async () => {
+      // Arrange
+      const anonymousId = errorReportingService.trackError(
+        { session: {}, method: 'GET', originalUrl: '/old-page' },
+        { category: 'NOT_FOUND', status: 404 },
+      );
+
+      // Act
+      await errorReportingService.reportError({}, anonymousId, { userDescription: 'Old link' });
+
+      // Assert
+      expect(ErrorReport.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          correlationId: anonymousId,
+          requestPath: '/old-page',
+          userId: null,
+          description: 'Old link',
+        }),
+      );
+      expect(errorReportingService.anonymousErrors.has(anonymousId)).toBe(false);
+      await expect(errorReportingService.reportError({}, anonymousId, {})).rejects.toMatchObject({
+        status: 404,
+      });
+    });
+
+    it('should reject an anonymous error once it has expired', async () => {
+      // Arrange
+      const anonymousId = errorReportingService.trackError(
+        { session: {}, method: 'GET', url: '/' },
+        { category: 'NOT_FOUND', status: 404 },
+      );
+      errorReportingService.anonymousErrors.get(anonymousId).expiresAt = Date.now() - 1;
+
+      // Act & Assert
+      await expect(errorReportingService.reportError({}, anonymousId, {})).rejects.toMatchObject({
+        status: 404,
+      });
+      expect(ErrorReport.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cleanFilters', () => {
+    it('should drop malformed filter values', () => {
+      // Act
+      const filters = errorReportingService.cleanFilters({
+        status: 'deleted',
+        category: "NOT_FOUND' OR 1=1",
+        search: '   ',
+      });
+
+      // Assert
+      expect(filters).toEqual({ status: undefined, category: undefined, search: undefined });
+    });
+
+    it('should keep valid filter values', () => {
+      // Act
+      const filters = errorReportingService.cleanFilters({
+        status: 'open',
+        category: 'NOT_FOUND',
+        search: ' /admin ',
+      });
+
+      // Assert
+      expect(filters).toEqual({ status: 'open', category: 'NOT_FOUND', search: '/admin' });
+    });
+  });
+
+  describe('getReports', () => {
+    it('should return a page of reports with categories and counts', async () => {
+      // Arrange
+      ErrorReport.countAll.mockResolvedValue(30);
+      ErrorReport.findAll.mockResolvedValue([storedReport]);
+      ErrorReport.findCategories.mockResolvedValue(['NOT_FOUND', 'SERVER_ERROR']);
+      ErrorReport.countByStatus.mockResolvedValue({ open: 30 });
+
+      // Act
+      const result = await errorReportingService.getReports({ status: 'open', page: '2' });
+
+      // Assert
+      expect(ErrorReport.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'open', limit: 25, offset: 25 }),
+      );
+      expect(result.reports).toEqual([storedReport]);
+      expect(result.pagination).toMatchObject({ page: 2, total: 30 });
+      expect(result.categories).toEqual(['NOT_FOUND', 'SERVER_ERROR']);
+      expect(result.counts).toEqual({ open: 30, resolved: 0 });
+    });
+  });
+
+  describe('resolveReport', () => {
+    it('should resolve the report and audit it', async () => {
+      // Arrange
+      ErrorReport.findById.mockResolvedValue(storedReport);
+      ErrorReport.resolve.mockResolvedValue({
+        ...storedReport,
+        status: 'resolved',
+        resolution: 'Fixed',
+      });
+
+      // Act
+      await errorReportingService.resolveReport(2, 3, ' Fixed ', '10.0.0.1');
+
+      // Assert
+      expect(ErrorReport.resolve).toHaveBeenCalledWith(3, { resolution: 'Fixed', resolvedBy: 2 });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorId: 2,
+          action: 'ERROR_REPORT_RESOLVED',
+          targetType: 'error_report',
+          targetId: 3,
+        }),
+      );
+    });
+
+    it('should refuse a report that is already resolved', async () => {
+      // Arrange
+      ErrorReport.findById.mockResolvedValue({ ...storedReport, status: 'resolved' });
+      ErrorReport.resolve.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(errorReportingService.resolveReport(2, 3, '', '10.0.0.1')).rejects.toMatchObject(
+        {
+          status: 409,
+        },
+      );
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 for an unknown report', async () => {
+      // Arrange
+      ErrorReport.findById.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(
+        errorReportingService.resolveReport(2, 99, '', '10.0.0.1'),
+      ).rejects.toMatchObject({
+        message: 'Error report not found',
+        status: 404,
+      });
+    });
+  });
+
+  describe('createTicketFromReport', () => {
+    it('should create an internal admin ticket and link it to the report', async () => {
+      // Arrange
+      ErrorReport.findById.mockResolvedValue(storedReport);
+      adminTicketService.createAdminTicket.mockResolvedValue({ id: 40 });
+      ErrorReport.linkTicket.mockResolvedValue({ ...storedReport, ticket_id: 40 });
+
+      // Act
+      const ticket = await errorReportingService.createTicketFromReport(2, 3, '10.0.0.1');
+
+      // Assert
+      expect(ticket).toEqual({ id: 40 });
+      const [actorId, ticketData, ipAddress] = adminTicketService.createAdminTicket.mock.calls[0];
+      expect(actorId).toBe(2);
+      expect(ipAddress).toBe('10.0.0.1');
+      expect(ticketData).toMatchObject({
+        title: 'Error report A1B2C3D4E5F60718: SERVER_ERROR',
+        reporter_department: 'Internal',
+      });
+      expect(ticketData.description).toContain('Saved the ticket');
+      expect(ticketData.description).toContain('POST /admin/tickets/9/update (500)');
+      expect(ticketData.description).toContain('Error: connection terminated');
+      expect(ErrorReport.linkTicket).toHaveBeenCalledWith(3, 40);
+    });
+
+    it('should refuse a report that already has a ticket', async () => {
+      // Arrange
+      ErrorReport.findById.mockResolvedValue({ ...storedReport, ticket_id: 12 });
+
+      // Act & Assert
+      await expect(
+        errorReportingService.createTicketFromReport(2, 3, '10.0.0.1'),
+      ).rejects.toMatchObject({ message: 'Error report already has ticket #12', status: 409 });
+      expect(adminTicketService.createAdminTicket).not.toHaveBeenCalled();
+    });
+  });
+});
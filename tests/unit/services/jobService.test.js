@@ -0,0 +1,269 @@
+/**
+ * JobService Unit Tests
+ *
+ * Tests the background job scheduler with models and job services mocked.
+ *
+ * Test Coverage:
+ * - runJob() claiming, recording and failure handling
+ * - poll()
+ * - triggerJob() audit
+ * - job definitions (cleanup, audit chain verification)
+ * - getJobs() / getRuns()
+ */
+
+const jobService = require('../../../services/jobService');
+const ScheduledJob = require('../../../models/ScheduledJob');
+const JobRun = require('../../../models/JobRun');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const notificationService = require('../../../services/notificationService');
+const auditService = require('../../../services/auditService');
+
+jest.mock('../../../models/ScheduledJob');
+jest.mock('../../../models/JobRun');
+jest.mock('../../../models/User');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../services/notificationService');
+jest.mock('../../../services/ticketLifecycleService');
+jest.mock('../../../services/auditService');
+jest.mock('../../../utils/logger');
+
+describe('JobService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobService.synced = null;
+    ScheduledJob.sync.mockResolvedValue();
+    ScheduledJob.claim.mockResolvedValue({ name: 'sla_warnings' });
+    ScheduledJob.release.mockResolvedValue({ name: 'sla_warnings' });
+    JobRun.create.mockResolvedValue({ id: 11, job_name: 'sla_warnings' });
+    JobRun.finish.mockImplementation(async (id, outcome) => ({ id, ...outcome }));
+  });
+
+  describe('runJob', () => {
+    it('should claim the job, run it and record the result', async () => {
+      // Arrange
+      notificationService.notifySlaWarnings.mockResolvedValue(4);
+
+      // Act
+      const run = await jobService.runJob('sla_warnings');
+
+      // Assert
+      expect(ScheduledJob.claim).toHaveBeenCalledWith('sla_warnings', {
+        worker: jobService.worker,
+        leaseMinutes: 30,
+        force: false,
+      });
+      expect(JobRun.create).toHaveBeenCalledWith({
+        jobName: 'sla_warnings',
+        trigger: 'schedule',
+        triggeredBy: null,
+        worker: jobService.worker,
+      });
+      expect(ScheduledJob.release).toHaveBeenCalledWith('sla_warnings', {
+        worker: jobService.worker,
+        status: 'succeeded',
+        result: { warned: 4 },
+      });
+      expect(run).toEqual({ id: 11, status: 'succeeded', result: { warned: 4 }, error: null });
+    });
+
+    it('should return null when another worker has the job', async () => {
+      // Arrange
+      ScheduledJob.claim.mockResolvedValue(null);
+
+      // Act
+      const run = await jobService.runJob('sla_warnings');
+
+      // Assert
+      expect(run).toBeNull();
+      expect(JobRun.create).not.toHaveBeenCalled();
+      expect(notificationService.notifySlaWarnings).not.toHaveBeenCalled();
+    });
+
+    it('should force manual runs and reject them while the job is locked', async () => {
+      // Arrange
+      ScheduledJob.claim.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(
+        jobService.runJob('sla_warnings', { trigger: 'manual', triggeredBy: 1 }),
+      ).rejects.toMatchObject({ message: 'Job is already running', status: 409 });
+      expect(ScheduledJob.claim.mock.calls[0][1].force).toBe(true);
+    });
+
+    it('should reject unknown jobs', async () => {
+      // Act & Assert
+      await expect(jobService.runJob('nope')).rejects.toMatchObject({ status: 404 });
+      expect(ScheduledJob.claim).not.toHaveBeenCalled();
+    });
+
+    it('should record a failed run and release the lock when the job throws', async () => {
+      // Arrange
+      notificationService.notifySlaWarnings.mockRejectedValue(new Error('SMTP down'));
+
+      // Act
+      const run = await jobService.runJob('sla_warnings');
+
+      // Assert
+      expect(run).toEqual({ id: 11, status: 'failed', result: null, error: 'SMTP down' });
+      expect(ScheduledJob.release).toHaveBeenCalledWith('sla_warnings', {
+        worker: jobService.worker,
+        status: 'failed',
+        result: null,
+      });
+    });
+
+    it('should release the lock when the run cannot be recorded', async () => {
+      // Arrange
+      JobRun.create.mockRejectedValue(new Error('Connection lost'));
+
+      // Act & Assert
+      await expect(jobService.runJob('sla_warnings')).rejects.toThrow('Connection lost');
+      expect(ScheduledJob.release).toHaveBeenCalledWith('sla_warnings', {
+        worker: jobService.worker,
+        status: 'failed',
+      });
+      expect(notificationService.notifySlaWarnings).not.toHaveBeenCalled();
+    });
+
+    it('should sync the job definitions only once', async () => {
+      // Arrange
+      notificationService.notifySlaWarnings.mockResolvedValue(0);
+
+      // Act
+      await jobService.runJob('sla_warnings');
+      await jobService.runJob('sla_warnings');
+
+      // Assert
+      expect(ScheduledJob.sync).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('job definitions', () => {
+    it('should delete expired sessions and old runs in the cleanup job', async () => {
+      // Arrange
+      User.deleteExpiredSessions.mockResolvedValue(5);
+      JobRun.deleteOlderThan.mockResolvedValue(2);
+
+      // Act
+      const result = await jobService.getDefinition('cleanup').run();
+
+      // Assert
+      expect(result).toEqual({ sessions: 5, jobRuns: 2 });
+      expect(JobRun.deleteOlderThan).toHaveBeenCalledWith(30);
+    });
+
+    it('should fail the audit chain job with the report when the chain is broken', async () => {
+      // Arrange
+      const report = { intact: false, checked: 9, brokenAt: { id: 4, reason: 'hash_mismatch' } };
+      auditService.verifyChain.mockResolvedValue(report);
+
+      // Act & Assert
+      await expect(jobService.getDefinition('audit_chain_verify').run()).rejects.toMatchObject({
+        message: 'Audit log chain broken at entry #4 (hash_mismatch)',
+        result: report,
+      });
+    });
+  });
+
+  describe('poll', () => {
+    it('should run each due job and keep going when one fails', async () => {
+      // Arrange
+      ScheduledJob.findDueNames.mockResolvedValue(['cleanup', 'retired_job', 'sla_warnings']);
+      JobRun.create
+        .mockRejectedValueOnce(new Error('Connection lost'))
+        .mockResolvedValue({ id: 12 });
+      notificationService.notifySlaWarnings.mockResolvedValue(0);
+
+      // Act
+      const ran = await jobService.poll();
+
+      // Assert
+      expect(ran).toBe(1);
+      expect(ScheduledJob.claim).toHaveBeenCalledTimes(2);
+      expect(ScheduledJob.claim.mock.calls.map(([name]) => name)).toEqual([
+        'cleanup',
+        'sla_warnings',
+      ]);
+    });
+
+    it('should not throw when the due jobs cannot be loaded', async () => {
+      // Arrange
+      ScheduledJob.findDueNames.mockRejectedValue(new Error('Connection lost'));
+
+      // Act & Assert
+      await expect(jobService.poll()).resolves.toBe(0);
+      expect(jobService.polling).toBe(false);
+    });
+  });
+
+  describe('triggerJob', () => {
+    it('should run the job manually and audit the run', async () => {
+      // Arrange
+      notificationService.notifySlaWarnings.mockResolvedValue(1);
+
+      // Act
+      const run = await jobService.triggerJob(1, 'sla_warnings', '127.0.0.1');
+
+      // Assert
+      expect(JobRun.create).toHaveBeenCalledWith(
+        expect.objectContaining({ trigger: 'manual', triggeredBy: 1 }),
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 1,
+        action: 'JOB_TRIGGERED',
+        targetType: 'job_run',
+        targetId: 11,
+        details: { job: 'sla_warnings', status: 'succeeded' },
+        ipAddress: '127.0.0.1',
+      });
+      expect(run.status).toBe('succeeded');
+    });
+  });
+
+  describe('getJobs', () => {
+    it('should return the job rows in definition order', async () => {
+      // Arrange
+      ScheduledJob.findAll.mockResolvedValue([
+        { name: 'audit_chain_verify' },
+        { name: 'cleanup' },
+        { name: 'retired_job' },
+        { name: 'sla_warnings' },
+        { name: 'ticket_auto_close' },
+      ]);
+
+      // Act
+      const jobs = await jobService.getJobs();
+
+      // Assert
+      expect(jobs.map((job) => job.name)).toEqual([
+        'sla_warnings',
+        'ticket_auto_close',
+        'cleanup',
+        'audit_chain_verify',
+      ]);
+    });
+  });
+
+  describe('getRuns', () => {
+    it('should drop unknown filters and paginate', async () => {
+      // Arrange
+      JobRun.countAll.mockResolvedValue(45);
+      JobRun.findAll.mockResolvedValue([]);
+
+      // Act
+      const { pagination } = await jobService.getRuns({
+        job: 'cleanup',
+        status: 'bogus',
+        page: '2',
+      });
+
+      // Assert
+      expect(JobRun.countAll).toHaveBeenCalledWith({ jobName: 'cleanup', status: undefined });
+      expect(JobRun.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ jobName: 'cleanup', offset: pagination.offset }),
+      );
+      expect(pagination.page).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * LDAP Authentication Provider Unit Tests
+ *
+ * Runs the provider against the in-process LDAP server of tests/helpers/ldapServer.js:
+ * - Service account search, then a bind as the user
+ * - Group to role and group to department mapping
+ * - Filter escaping and refusal of empty passwords
+ * - Unreachable server (status 503)
+ */
+
+const { parseDepartmentGroups } = require('../../../config/auth');
+const { GROUPS, startLdapServer, createLdapProvider } = require('../../helpers/ldapServer');
+
+jest.mock('../../../utils/logger');
+
+describe('LdapProvider', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    server = await startLdapServer();
+    url = `ldap://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  it('should return the profile of a department user', async () => {
+    // Act
+    const profile = await createLdapProvider(url).authenticate('jdoe', 'Jane#Pass123', null);
+
+    // Assert
+    expect(profile).toEqual({
+      username: 'jdoe',
+      email: 'jdoe@hospital.local',
+      role: 'department',
+      department: 'Cardiology',
+    });
+  });
+
+  it('should give the highest mapped role and compare group DNs loosely', async () => {
+    // Act
+    const profile = await createLdapProvider(url).authenticate('aadmin', 'Alex#Pass123', null);
+
+    // Assert
+    expect(profile.role).toBe('super_admin');
+    expect(profile.department).toBeNull();
+  });
+
+  it('should give no role to users in none of the mapped groups', async () => {
+    // Act
+    const profile = await createLdapProvider(url).authenticate('snogroup', 'Sam#Pass123', null);
+
+    // Assert
+    expect(profile).toEqual(expect.objectContaining({ username: 'snogroup', role: null }));
+  });
+
+  it('should give no role to department users without a department group', async () => {
+    // Act
+    const profile = await createLdapProvider(url).authenticate('pnodept', 'Pat#Pass123', null);
+
+    // Assert
+    expect(profile.role).toBeNull();
+    expect(profile.department).toBeNull();
+  });
+
+  it('should return null for a wrong password', async () => {
+    // Act
+    const profile = await createLdapProvider(url).authenticate('jdoe', 'Wrong#Pass123', null);
+
+    // Assert
+    expect(profile).toBeNull();
+  });
+
+  it('should return null for an unknown user', async () => {
+    // Act
+    const profile = await createLdapProvider(url).authenticate('nobody', 'Jane#Pass123', null);
+
+    // Assert
+    expect(profile).toBeNull();
+  });
+
+  it('should refuse an empty password without asking the server', async () => {
+    // Arrange
+    const provider = createLdapProvider('ldap://127.0.0.1:1');
+
+    // Act
+    const profile = await provider.authenticate('jdoe', '', null);
+
+    // Assert
+    expect(profile).toBeNull();
+  });
+
+  it('should escape filter characters in the username', async () => {
+    // Act
+    const profile = await createLdapProvider(url).authenticate('jdo*', 'Jane#Pass123', null);
+
+    // Assert
+    expect(profile).toBeNull();
+  });
+
+  it('should return null when the filter matches several entries', async () => {
+    // Arrange
+    const provider = createLdapProvider(url, { userFilter: '(mail=*{{username}}*)' });
+
+    // Act
+    const profile = await provider.authenticate('hospital', 'Jane#Pass123', null);
+
+    // Assert
+    expect(profile).toBeNull();
+  });
+
+  it('should throw a 503 error when the service account is refused', async () => {
+    // Arrange
+    const provider = createLdapProvider(url, { bindPassword: 'wrong' });
+
+    // Act & Assert
+    await expect(provider.authenticate('jdoe', 'Jane#Pass123', null)).rejects.toMatchObject({
+      message: 'LDAP server unavailable',
+      status: 503,
+    });
+  });
+
+  it('should throw a 503 error when the server cannot be reached', async () => {
+    // Arrange
+    const provider = createLdapProvider('ldap://127.0.0.1:1');
+
+    // Act & Assert
+    await expect(provider.authenticate('jdoe', 'Jane#Pass123', null)).rejects.toMatchObject({
+      status: 503,
+    });
+  });
+});
+
+describe('parseDepartmentGroups', () => {
+  it('should split each pair at its first equals sign', () => {
+    // Act
+    const groups = parseDepartmentGroups(
+      `Cardiology=${GROUPS.cardiology}; Radiology = CN=KNII Radiology,DC=hospital,DC=local;`,
+    );
+
+    // Assert
+    expect(groups).toEqual([
+      { department: 'Cardiology', group: GROUPS.cardiology },
+      { department: 'Radiology', group: 'CN=KNII Radiology,DC=hospital,DC=local' },
+    ]);
+  });
+
+  it('should return no groups when unset', () => {
+    // Act & Assert
+    expect(parseDepartmentGroups(undefined)).toEqual([]);
+  });
+});
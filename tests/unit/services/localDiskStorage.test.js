@@ -0,0 +1,82 @@
+/**
+ * LocalDiskStorage Unit Tests
+ *
+ * Tests the local disk attachment backend against a temporary directory:
+ * - save() / createReadStream() / remove()
+ * - Keys cannot escape the root directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalDiskStorage = require('../../../services/storage/localDiskStorage');
+
+/**
+ * Read a stream into a string
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('LocalDiskStorage', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'knii-storage-'));
+    storage = new LocalDiskStorage(rootDir);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('should save a file under nested key directories and read it back', async () => {
+    // Act
+    await storage.save('2026/10/abc', Buffer.from('hello'));
+
+    // Assert
+    await expect(
+      fs.promises.access(path.join(rootDir, '2026', '10', 'abc')),
+    ).resolves.toBeUndefined();
+    expect(await readAll(storage.createReadStream('2026/10/abc'))).toBe('hello');
+  });
+
+  it('should never overwrite an existing file', async () => {
+    // Arrange
+    await storage.save('2026/10/abc', Buffer.from('first'));
+
+    // Act & Assert
+    await expect(storage.save('2026/10/abc', Buffer.from('second'))).rejects.toMatchObject({
+      code: 'EEXIST',
+    });
+  });
+
+  it('should remove files and ignore missing ones', async () => {
+    // Arrange
+    await storage.save('2026/10/abc', Buffer.from('hello'));
+
+    // Act
+    await storage.remove('2026/10/abc');
+    await storage.remove('2026/10/abc');
+
+    // Assert
+    await expect(fs.promises.access(path.join(rootDir, '2026', '10', 'abc'))).rejects.toMatchObject(
+      {
+        code: 'ENOENT',
+      },
+    );
+  });
+
+  it.each(['../outside', '/etc/passwd', '2026/../../outside', ''])(
+    'should reject key %p outside the root directory',
+    (key) => {
+      // Act & Assert
+      expect(() => storage.resolve(key)).toThrow('Invalid storage key');
+    },
+  );
+});
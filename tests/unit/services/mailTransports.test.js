@@ -0,0 +1,77 @@
+/**
+ * Mail Transport Unit Tests
+ *
+ * Tests the development mail transports:
+ * - FileTransport writes one .eml file per message
+ * - ConsoleTransport only logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileTransport = require('../../../services/mail/fileTransport');
+const ConsoleTransport = require('../../../services/mail/consoleTransport');
+const logger = require('../../../utils/logger');
+
+jest.mock('../../../utils/logger');
+
+const message = {
+  from: 'KNII Ticketing <no-reply@localhost>',
+  to: 'user@example.com',
+  subject: 'Ticket update',
+  html: '<p>Hello</p>',
+};
+
+describe('FileTransport', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'knii-mail-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('should write the message as an .eml file', async () => {
+    // Act
+    const info = await new FileTransport(outputDir).sendMail(message);
+
+    // Assert
+    expect(path.dirname(info.filePath)).toBe(outputDir);
+    expect(info.filePath).toMatch(/\.eml$/);
+    const content = await fs.promises.readFile(info.filePath, 'utf8');
+    expect(content).toContain('To: user@example.com');
+    expect(content).toContain('Subject: Ticket update');
+    expect(content).toContain('<p>Hello</p>');
+  });
+
+  it('should create the output directory when missing', async () => {
+    // Arrange
+    const nestedDir = path.join(outputDir, 'nested');
+
+    // Act
+    const info = await new FileTransport(nestedDir).sendMail(message);
+
+    // Assert
+    await expect(fs.promises.access(info.filePath)).resolves.toBeUndefined();
+  });
+});
+
+describe('ConsoleTransport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should log recipient and subject instead of sending', async () => {
+    // Act
+    const info = await new ConsoleTransport().sendMail(message);
+
+    // Assert
+    expect(info.accepted).toEqual(['user@example.com']);
+    expect(logger.info).toHaveBeenCalledWith('Email (console transport)', {
+      to: 'user@example.com',
+      subject: 'Ticket update',
+    });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * MigrationService Unit Tests
+ *
+ * Tests the MigrationService with the database mocked and migration files written
+ * to a temporary directory.
+ *
+ * Methods tested:
+ * - discover()
+ * - compare(migrations, applied)
+ * - up({to})
+ * - down(steps)
+ * - baseline(version)
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const migrationService = require('../../../services/migrationService');
+const SchemaMigration = require('../../../models/SchemaMigration');
+const pool = require('../../../config/database');
+const { createMockPool } = require('../../helpers/mocks');
+
+// Mock dependencies
+jest.mock('../../../config/database');
+jest.mock('../../../models/SchemaMigration');
+jest.mock('../../../utils/logger');
+
+describe('MigrationService', () => {
+  const originalDirectory = migrationService.directory;
+  let directory;
+  let client;
+
+  /**
+   * Write a migration file into the temporary migrations directory
+   * @param {string} name - File name
+   * @param {string} sql - Contents
+   * @returns {Promise<void>}
+   */
+  const writeMigration = (name, sql) => fs.writeFile(path.join(directory, name), sql);
+
+  /**
+   * Row of schema_migrations for a file as it is on disk
+   * @param {Object} migration - From discover()
+   */
+  const appliedRow = (migration) => ({
+    version: migration.version,
+    name: migration.name,
+    checksum: migration.checksum,
+    baselined: false,
+    applied_at: new Date('2026-03-01T10:00:00Z'),
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'knii-migrations-'));
+    migrationService.directory = directory;
+
+    await writeMigration('001_create_widgets.sql', 'CREATE TABLE widgets (id SERIAL PRIMARY KEY);');
+    await writeMigration('001_create_widgets.down.sql', 'DROP TABLE widgets;');
+    await writeMigration('002_add_widget_name.sql', 'ALTER TABLE widgets ADD COLUMN name TEXT;');
+    await writeMigration('README.md', 'not a migration');
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    Object.assign(pool, createMockPool());
+    pool.connect.mockResolvedValue(client);
+
+    SchemaMigration.createTable.mockResolvedValue();
+    SchemaMigration.findAll.mockResolvedValue([]);
+    SchemaMigration.hasApplicationSchema.mockResolvedValue(false);
+    SchemaMigration.record.mockResolvedValue({});
+    SchemaMigration.remove.mockResolvedValue(true);
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    migrationService.directory = originalDirectory;
+  });
+
+  describe('discover', () => {
+    it('should list up scripts by version with their down scripts and checksums', async () => {
+      // Act
+      const migrations = await migrationService.discover();
+
+      // Assert
+      expect(migrations.map((migration) => migration.name)).toEqual([
+        '001_create_widgets.sql',
+        '002_add_widget_name.sql',
+      ]);
+      expect(migrations[0]).toMatchObject({ version: 1, downSql: 'DROP TABLE widgets;' });
+      expect(migrations[1].downSql).toBeNull();
+      expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should give the same checksum for CRLF line endings', async () => {
+      // Arrange
+      await writeMigration('003_two_lines.sql', 'SELECT 1;\nSELECT 2;\n');
+      const [, , lf] = await migrationService.discover();
+      await writeMigration('003_two_lines.sql', 'SELECT 1;\r\nSELECT 2;\r\n');
+
+      // Act
+      const [, , crlf] = await migrationService.discover();
+
+      // Assert
+      expect(crlf.checksum).toBe(lf.checksum);
+    });
+
+    it('should reject two files with the same version', async () => {
+      // Arrange
+      await writeMigration('002_duplicate.sql', 'SELECT 1;');
+
+      // Act & Assert
+      await expect(migrationService.discover()).rejects.toThrow('Duplicate migration version 002');
+    });
+  });
+
+  describe('compare', () => {
+    it('should mark applied, pending, modified and missing migrations', async () => {
+      // Arrange
+      const [widgets, widgetName] = await migrationService.discover();
+      const applied = [
+        appliedRow(widgets),
+        { ...appliedRow(widgetName), checksum: 'f'.repeat(64) },
+        { version: 7, name: '007_removed.sql', checksum: 'a'.repeat(64), baselined: true },
+      ];
+
+      // Act
+      const status = migrationService.compare([widgets, widgetName], applied);
+
+      // Assert
+      expect(status.map((row) => [row.name, row.state])).toEqual([
+        ['001_create_widgets.sql', 'applied'],
+        ['002_add_widget_name.sql', 'modified'],
+        ['007_removed.sql', 'missing'],
+      ]);
+      expect(status[0].hasDown).toBe(true);
+    });
+  });
+
+  describe('up', () => {
+    it('should apply pending migrations in order, each in its own transaction', async () => {
+      // Arrange
+      const [widgets] = await migrationService.discover();
+      SchemaMigration.findAll.mockResolvedValue([appliedRow(widgets)]);
+
+      // Act
+      const applied = await migrationService.up();
+
+      // Assert
+      expect(applied.map((migration) => migration.name)).toEqual(['002_add_widget_name.sql']);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toEqual([
+        'SELECT pg_advisory_lock($1)',
+        'BEGIN',
+        'ALTER TABLE widgets ADD COLUMN name TEXT;',
+        'COMMIT',
+        'SELECT pg_advisory_unlock($1)',
+      ]);
+      expect(SchemaMigration.record).toHaveBeenCalledWith(
+        expect.objectContaining({ version: 2, name: '002_add_widget_name.sql' }),
+        client,
+      );
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should stop at the requested version', async () => {
+      // Act
+      const applied = await migrationService.up({ to: 1 });
+
+      // Assert
+      expect(applied.map((migration) => migration.version)).toEqual([1]);
+    });
+
+    it('should roll back a failing migration and name it in the error', async () => {
+      // Arrange
+      client.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('ALTER TABLE')) {
+          throw new Error('relation "widgets" does not exist');
+        }
+        return { rows: [] };
+      });
+
+      // Act & Assert
+      await expect(migrationService.up()).rejects.toThrow(
+        '002_add_widget_name.sql: relation "widgets" does not exist',
+      );
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(SchemaMigration.record).toHaveBeenCalledTimes(1);
+      expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_unlock($1)', [
+        expect.any(Number),
+      ]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should refuse to run when an applied migration file was changed', async () => {
+      // Arrange
+      const [widgets] = await migrationService.discover();
+      SchemaMigration.findAll.mockResolvedValue([{ ...appliedRow(widgets), checksum: 'x' }]);
+
+      // Act & Assert
+      await expect(migrationService.up()).rejects.toThrow(
+        'Applied migrations do not match their files: 001_create_widgets.sql (modified)',
+      );
+      expect(client.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+
+    it('should refuse to re-run everything on an untracked existing database', async () => {
+      // Arrange
+      SchemaMigration.hasApplicationSchema.mockResolvedValue(true);
+
+      // Act & Assert
+      await expect(migrationService.up()).rejects.toThrow('migrate:baseline');
+      expect(client.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+
+    it('should do nothing when every migration is applied', async () => {
+      // Arrange
+      const migrations = await migrationService.discover();
+      SchemaMigration.findAll.mockResolvedValue(migrations.map(appliedRow));
+
+      // Act
+      const applied = await migrationService.up();
+
+      // Assert
+      expect(applied).toEqual([]);
+      expect(SchemaMigration.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('down', () => {
+    it('should run the down script of the latest migration and forget it', async () => {
+      // Arrange
+      await writeMigration('002_add_widget_name.down.sql', 'ALTER TABLE widgets DROP COLUMN name;');
+      const migrations = await migrationService.discover();
+      SchemaMigration.findAll.mockResolvedValue(migrations.map(appliedRow));
+
+      // Act
+      const rolledBack = await migrationService.down();
+
+      // Assert
+      expect(rolledBack).toEqual([{ version: 2, name: '002_add_widget_name.sql' }]);
+      expect(client.query).toHaveBeenCalledWith('ALTER TABLE widgets DROP COLUMN name;');
+      expect(SchemaMigration.remove).toHaveBeenCalledWith(2, client);
+    });
+
+    it('should refuse when a migration to roll back has no down script', async () => {
+      // Arrange
+      const migrations = await migrationService.discover();
+      SchemaMigration.findAll.mockResolvedValue(migrations.map(appliedRow));
+
+      // Act & Assert
+      await expect(migrationService.down(2)).rejects.toThrow(
+        'Cannot roll back 002_add_widget_name.sql: it has no down script',
+      );
+      expect(client.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+
+    it('should reject a step count below 1', async () => {
+      // Act & Assert
+      await expect(migrationService.down(0)).rejects.toThrow('at least 1');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('baseline', () => {
+    it('should record migrations up to the version without running them', async () => {
+      // Act
+      const recorded = await migrationService.baseline(1);
+
+      // Assert
+      expect(recorded).toEqual([{ version: 1, name: '001_create_widgets.sql' }]);
+      expect(SchemaMigration.record).toHaveBeenCalledWith(
+        expect.objectContaining({ version: 1, baselined: true }),
+        client,
+      );
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE'));
+    });
+
+    it('should refuse when migrations are already recorded', async () => {
+      // Arrange
+      const [widgets] = await migrationService.discover();
+      SchemaMigration.findAll.mockResolvedValue([appliedRow(widgets)]);
+
+      // Act & Assert
+      await expect(migrationService.baseline(2)).rejects.toThrow('already recorded');
+    });
+
+    it('should reject an unknown version', async () => {
+      // Act & Assert
+      await expect(migrationService.baseline(9)).rejects.toThrow('Unknown migration version 9');
+    });
+  });
+});
@@ -0,0 +1,618 @@
+/**
+ * NotificationService Unit Tests
+ *
+ * Tests in-app and email notifications with models and the mail transport mocked.
+ * Templates are rendered for real with the English translations.
+ *
+ * Test Coverage:
+ * - getEventsForRole() / getPreferences() / updatePreferences()
+ * - getSummary() / markRead() / getTicketPath()
+ * - notifyTicketReply() / notifyStatusChange() / notifyDepartmentReply()
+ * - notifyTicketAssigned() / notifySlaWarnings()
+ * - Opt-outs, actor exclusion and delivery failures
+ */
+
+const notificationService = require('../../../services/notificationService');
+const User = require('../../../models/User');
+const Ticket = require('../../../models/Ticket');
+const Notification = require('../../../models/Notification');
+const NotificationPreference = require('../../../models/NotificationPreference');
+const mail = require('../../../config/mail');
+const logger = require('../../../utils/logger');
+const { i18next } = require('../../../config/i18n');
+
+jest.mock('../../../models/User');
+jest.mock('../../../models/Ticket');
+jest.mock('../../../models/Notification');
+jest.mock('../../../models/NotificationPreference');
+jest.mock('../../../config/mail', () => ({
+  transport: { sendMail: jest.fn() },
+  from: 'KNII Ticketing <no-reply@test>',
+  appUrl: 'http://tickets.test',
+}));
+jest.mock('../../../utils/logger');
+
+const departmentTicket = {
+  id: 12,
+  title: 'Printer offline',
+  reporter_department: 'Cardiology',
+  reporter_department_id: 4,
+  is_admin_created: false,
+  assigned_to: 2,
+};
+
+const departmentUsers = [
+  { id: 5, username: 'cardio1', email: 'cardio1@example.com', role: 'department' },
+  { id: 6, username: 'cardio2', email: 'cardio2@example.com', role: 'department' },
+];
+
+const assignee = {
+  id: 2,
+  username: 'admin2',
+  email: 'admin2@example.com',
+  role: 'admin',
+  status: 'active',
+};
+
+describe('NotificationService', () => {
+  beforeAll(async () => {
+    if (!i18next.isInitialized) {
+      await new Promise((resolve) => i18next.on('initialized', resolve));
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mail.transport.sendMail.mockResolvedValue({});
+    NotificationPreference.findOptedOutUserIds.mockResolvedValue([]);
+    Notification.createMany.mockResolvedValue([]);
+  });
+
+  describe('getEventsForRole', () => {
+    it('should offer reply and status emails to department users', () => {
+      expect(notificationService.getEventsForRole('department')).toEqual([
+        'ticket_reply',
+        'status_change',
+      ]);
+    });
+
+    it.each(['admin', 'super_admin'])('should offer department replies to %s', (role) => {
+      expect(notificationService.getEventsForRole(role)).toEqual(['department_reply']);
+    });
+  });
+
+  describe('getPreferences', () => {
+    it('should treat events without a stored row as enabled', async () => {
+      // Arrange
+      NotificationPreference.findByUserId.mockResolvedValue([
+        { event_type: 'status_change', email_enabled: false },
+      ]);
+
+      // Act
+      const result = await notificationService.getPreferences({ id: 5, role: 'department' });
+
+      // Assert
+      expect(result).toEqual([
+        { event: 'ticket_reply', emailEnabled: true },
+        { event: 'status_change', emailEnabled: false },
+      ]);
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should store every event of the role', async () => {
+      // Act
+      await notificationService.updatePreferences({ id: 5, role: 'department' }, ['ticket_reply']);
+
+      // Assert
+      expect(NotificationPreference.upsert).toHaveBeenCalledTimes(2);
+      expect(NotificationPreference.upsert).toHaveBeenCalledWith(5, 'ticket_reply', true);
+      expect(NotificationPreference.upsert).toHaveBeenCalledWith(5, 'status_change', false);
+    });
+
+    it('should ignore events that do not belong to the role', async () => {
+      // Act
+      await notificationService.updatePreferences({ id: 2, role: 'admin' }, ['ticket_reply']);
+
+      // Assert
+      expect(NotificationPreference.upsert).toHaveBeenCalledTimes(1);
+      expect(NotificationPreference.upsert).toHaveBeenCalledWith(2, 'department_reply', false);
+    });
+  });
+
+  describe('getSummary', () => {
+    it('should return the unread count and the latest notifications', async () => {
+      // Arrange
+      const recent = [{ id: 1, event_type: 'ticket_reply' }];
+      Notification.countUnreadByUser.mockResolvedValue(3);
+      Notification.findRecentByUser.mockResolvedValue(recent);
+
+      // Act
+      const result = await notificationService.getSummary(5);
+
+      // Assert
+      expect(result).toEqual({ unreadCount: 3, recent });
+      expect(Notification.findRecentByUser).toHaveBeenCalledWith(5, 8);
+    });
+  });
+
+  describe('markRead', () => {
+    it("should mark the user's notification as read", async () => {
+      // Arrange
+      const notification = { id: 9, ticket_id: 12 };
+      Notification.findByIdForUser.mockResolvedValue(notification);
+
+      // Act
+      const result = await notificationService.markRead(5, 9);
+
+      // Assert
+      expect(result).toBe(notification);
+      expect(Notification.findByIdForUser).toHaveBeenCalledWith(9, 5);
+      expect(Notification.markRead).toHaveBeenCalledWith(9, 5);
+    });
+
+    it('should not mark notifications of other users', async () => {
+      // Arrange
+      Notification.findByIdForUser.mockResolvedValue(undefined);
+
+      // Act
+      const result = await notificationService.markRead(5, 9);
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(Notification.markRead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTicketPath', () => {
+    it('should link department users to the client portal', () => {
+      expect(notificationService.getTicketPath(12, 'department')).toBe('/client/tickets/12');
+    });
+
+    it.each(['admin', 'super_admin'])('should link %s to the admin ticket page', (role) => {
+      expect(notificationService.getTicketPath(12, role)).toBe('/admin/tickets/12');
+    });
+  });
+
+  describe('notifyTicketReply', () => {
+    const comment = { id: 40, content: 'Please restart the printer' };
+
+    it('should email every department user with the rendered reply', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue(departmentUsers);
+
+      // Act
+      const sent = await notificationService.notifyTicketReply(departmentTicket, comment, 1);
+
+      // Assert
+      expect(sent).toBe(2);
+      expect(User.findActiveByDepartment).toHaveBeenCalledWith(4);
+      const message = mail.transport.sendMail.mock.calls[0][0];
+      expect(message).toMatchObject({
+        from: 'KNII Ticketing <no-reply@test>',
+        to: 'cardio1@example.com',
+        subject: '[Ticket #12] New reply: Printer offline',
+      });
+      expect(message.html).toContain('Hello cardio1,');
+      expect(message.html).toContain('Please restart the printer');
+      expect(message.html).toContain('http://tickets.test/client/tickets/12');
+      expect(message.html).toContain('http://tickets.test/account/notifications');
+    });
+
+    it('should escape user content in the email body', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue([departmentUsers[0]]);
+
+      // Act
+      await notificationService.notifyTicketReply(
+        departmentTicket,
+        { id: 41, content: '<script>alert(1)</script>' },
+        1,
+      );
+
+      // Assert
+      const { html } = mail.transport.sendMail.mock.calls[0][0];
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('&lt;script&gt;');
+    });
+
+    it('should skip users who opted out, the actor and users without email', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue([
+        ...departmentUsers,
+        { id: 7, username: 'noemail', email: null, role: 'department' },
+      ]);
+      NotificationPreference.findOptedOutUserIds.mockResolvedValue([6]);
+
+      // Act
+      const sent = await notificationService.notifyTicketReply(departmentTicket, comment, 5);
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(NotificationPreference.findOptedOutUserIds).toHaveBeenCalledWith([6], 'ticket_reply');
+      expect(mail.transport.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should not notify anyone about internal admin tickets', async () => {
+      // Act
+      const sent = await notificationService.notifyTicketReply(
+        { ...departmentTicket, is_admin_created: true },
+        comment,
+        1,
+      );
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(User.findActiveByDepartment).not.toHaveBeenCalled();
+    });
+
+    it('should record the reply in the notification center of every recipient', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue(departmentUsers);
+
+      // Act
+      await notificationService.notifyTicketReply(departmentTicket, comment, 1);
+
+      // Assert
+      expect(Notification.createMany).toHaveBeenCalledWith([
+        {
+          user_id: 5,
+          ticket_id: 12,
+          actor_id: 1,
+          event_type: 'ticket_reply',
+          details: { comment_id: 40 },
+        },
+        {
+          user_id: 6,
+          ticket_id: 12,
+          actor_id: 1,
+          event_type: 'ticket_reply',
+          details: { comment_id: 40 },
+        },
+      ]);
+    });
+
+    it('should record opted-out users in-app even though they get no email', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue([departmentUsers[0]]);
+      NotificationPreference.findOptedOutUserIds.mockResolvedValue([5]);
+
+      // Act
+      const sent = await notificationService.notifyTicketReply(departmentTicket, comment, 1);
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(Notification.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({ user_id: 5, event_type: 'ticket_reply' }),
+      ]);
+    });
+
+    it('should still send emails when recording in-app fails', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue([departmentUsers[0]]);
+      Notification.createMany.mockRejectedValue(new Error('Database down'));
+
+      // Act
+      const sent = await notificationService.notifyTicketReply(departmentTicket, comment, 1);
+
+      // Assert
+      expect(sent).toBe(1);
+      expect(logger.error).toHaveBeenCalledWith(
+        'notificationService.recordInApp: Failed to record notifications',
+        expect.objectContaining({ error: 'Database down', ticketId: 12 }),
+      );
+    });
+
+    it('should log delivery failures without throwing', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue(departmentUsers);
+      mail.transport.sendMail
+        .mockRejectedValueOnce(new Error('Connection refused'))
+        .mockResolvedValueOnce({});
+
+      // Act
+      const sent = await notificationService.notifyTicketReply(departmentTicket, comment, 1);
+
+      // Assert
+      expect(sent).toBe(1);
+      expect(logger.error).toHaveBeenCalledWith(
+        'notificationService.sendEmails: Failed to send email',
+        expect.objectContaining({ error: 'Connection refused', ticketId: 12 }),
+      );
+    });
+
+    it('should log lookup errors without throwing', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockRejectedValue(new Error('Database down'));
+
+      // Act
+      const sent = await notificationService.notifyTicketReply(departmentTicket, comment, 1);
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(logger.error).toHaveBeenCalledWith(
+        'notificationService.deliver: Notification failed',
+        expect.objectContaining({ error: 'Database down' }),
+      );
+    });
+  });
+
+  describe('notifyStatusChange', () => {
+    it('should email the department with translated statuses', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue([departmentUsers[0]]);
+
+      // Act
+      const sent = await notificationService.notifyStatusChange(
+        departmentTicket,
+        'open',
+        'closed',
+        1,
+      );
+
+      // Assert
+      expect(sent).toBe(1);
+      expect(NotificationPreference.findOptedOutUserIds).toHaveBeenCalledWith([5], 'status_change');
+      const message = mail.transport.sendMail.mock.calls[0][0];
+      expect(message.subject).toBe('[Ticket #12] Status changed to Closed');
+      expect(message.html).toContain('from Open to Closed');
+    });
+
+    it('should notify the assignee in-app without an email', async () => {
+      // Arrange
+      User.findActiveByDepartment.mockResolvedValue([departmentUsers[0]]);
+      User.findById.mockResolvedValue(assignee);
+
+      // Act
+      const sent = await notificationService.notifyStatusChange(
+        departmentTicket,
+        'open',
+        'closed',
+        5,
+      );
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(Notification.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({
+          user_id: 2,
+          event_type: 'status_change',
+          details: { old_status: 'open', new_status: 'closed' },
+        }),
+      ]);
+      expect(mail.transport.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when the status did not change', async () => {
+      // Act
+      const sent = await notificationService.notifyStatusChange(
+        departmentTicket,
+        'open',
+        'open',
+        1,
+      );
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(User.findActiveByDepartment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyDepartmentReply', () => {
+    const comment = { id: 42, content: 'Still broken' };
+
+    it('should email the assigned admin with an admin link', async () => {
+      // Arrange
+      User.findById.mockResolvedValue(assignee);
+
+      // Act
+      const sent = await notificationService.notifyDepartmentReply(departmentTicket, comment, 5);
+
+      // Assert
+      expect(sent).toBe(1);
+      expect(User.findById).toHaveBeenCalledWith(2);
+      const message = mail.transport.sendMail.mock.calls[0][0];
+      expect(message.to).toBe('admin2@example.com');
+      expect(message.subject).toBe('[Ticket #12] Reply from Cardiology: Printer offline');
+      expect(message.html).toContain('http://tickets.test/admin/tickets/12');
+    });
+
+    it('should skip unassigned tickets', async () => {
+      // Act
+      const sent = await notificationService.notifyDepartmentReply(
+        { ...departmentTicket, assigned_to: null },
+        comment,
+        5,
+      );
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should skip inactive assignees', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ ...assignee, status: 'inactive' });
+
+      // Act
+      const sent = await notificationService.notifyDepartmentReply(departmentTicket, comment, 5);
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(mail.transport.sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyTicketAssigned', () => {
+    it('should notify the new assignee in-app only', async () => {
+      // Arrange
+      User.findById.mockResolvedValue(assignee);
+
+      // Act
+      const sent = await notificationService.notifyTicketAssigned(departmentTicket, 2, 1);
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(User.findById).toHaveBeenCalledWith(2);
+      expect(Notification.createMany).toHaveBeenCalledWith([
+        { user_id: 2, ticket_id: 12, actor_id: 1, event_type: 'ticket_assigned', details: {} },
+      ]);
+      expect(mail.transport.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should not notify admins who assign a ticket to themselves', async () => {
+      // Arrange
+      User.findById.mockResolvedValue(assignee);
+
+      // Act
+      await notificationService.notifyTicketAssigned(departmentTicket, 2, 2);
+
+      // Assert
+      expect(Notification.createMany).toHaveBeenCalledWith([]);
+    });
+  });
+
+  describe('notifyAccountLocked', () => {
+    const lockedUser = {
+      id: 7,
+      username: 'nurse1',
+      email: 'nurse1@example.com',
+      role: 'department',
+    };
+    const lock = { login_attempts: 5, locked_until: new Date('2026-10-19T12:15:00Z') };
+
+    it('should notify the super admins in-app and email the locked user', async () => {
+      // Arrange
+      User.findActiveSuperAdmins.mockResolvedValue([
+        { id: 1, username: 'root', email: 'root@example.com', role: 'super_admin' },
+      ]);
+
+      // Act
+      const sent = await notificationService.notifyAccountLocked(lockedUser, lock, '10.0.0.9');
+
+      // Assert
+      expect(sent).toBe(1);
+      expect(Notification.createMany).toHaveBeenCalledWith([
+        {
+          user_id: 1,
+          ticket_id: null,
+          actor_id: 7,
+          event_type: 'account_locked',
+          details: { user_id: 7, username: 'nurse1', ...lock },
+        },
+      ]);
+      const message = mail.transport.sendMail.mock.calls[0][0];
+      expect(message.to).toBe('nurse1@example.com');
+      expect(message.subject).toBe('Your account has been locked');
+      expect(message.html).toContain('after 5 failed logins');
+      expect(message.html).toContain('10.0.0.9');
+    });
+
+    it('should not email users without an address', async () => {
+      // Arrange
+      User.findActiveSuperAdmins.mockResolvedValue([]);
+
+      // Act
+      const sent = await notificationService.notifyAccountLocked(
+        { ...lockedUser, email: null },
+        lock,
+        '10.0.0.9',
+      );
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(mail.transport.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should log and not throw when the email fails', async () => {
+      // Arrange
+      User.findActiveSuperAdmins.mockResolvedValue([]);
+      mail.transport.sendMail.mockRejectedValue(new Error('SMTP down'));
+
+      // Act
+      const sent = await notificationService.notifyAccountLocked(lockedUser, lock, '10.0.0.9');
+
+      // Assert
+      expect(sent).toBe(0);
+      expect(logger.error).toHaveBeenCalledWith(
+        'notificationService.notifyAccountLocked: Failed to send email',
+        expect.objectContaining({ userId: 7, error: 'SMTP down' }),
+      );
+    });
+  });
+
+  describe('notifySlaWarnings', () => {
+    const dueAt = '2026-10-19T10:00:00.000Z';
+
+    it('should warn the assignee about tickets nearing a deadline', async () => {
+      // Arrange
+      Ticket.findNearingSlaBreach.mockResolvedValue([
+        { id: 12, title: 'Printer offline', assigned_to: 2, target: 'resolution', due_at: dueAt },
+      ]);
+      Notification.findSlaWarnedTicketIds.mockResolvedValue([]);
+      User.findById.mockResolvedValue(assignee);
+
+      // Act
+      const warned = await notificationService.notifySlaWarnings(30);
+
+      // Assert
+      expect(warned).toBe(1);
+      expect(Ticket.findNearingSlaBreach).toHaveBeenCalledWith(30);
+      expect(Notification.createMany).toHaveBeenCalledWith([
+        {
+          user_id: 2,
+          ticket_id: 12,
+          actor_id: null,
+          event_type: 'sla_warning',
+          details: { target: 'resolution', due_at: dueAt },
+        },
+      ]);
+    });
+
+    it('should warn every assignable admin about unassigned tickets', async () => {
+      // Arrange
+      Ticket.findNearingSlaBreach.mockResolvedValue([
+        { id: 13, title: 'No network', assigned_to: null, target: 'first_response', due_at: dueAt },
+      ]);
+      Notification.findSlaWarnedTicketIds.mockResolvedValue([]);
+      User.findAssignableAdmins.mockResolvedValue([
+        { id: 1, username: 'admin1', role: 'super_admin' },
+        { id: 2, username: 'admin2', role: 'admin' },
+      ]);
+
+      // Act
+      await notificationService.notifySlaWarnings(30);
+
+      // Assert
+      const rows = Notification.createMany.mock.calls[0][0];
+      expect(rows.map((row) => row.user_id)).toEqual([1, 2]);
+    });
+
+    it('should warn about each ticket target only once', async () => {
+      // Arrange
+      Ticket.findNearingSlaBreach.mockResolvedValue([
+        {
+          id: 12,
+          title: 'Printer offline',
+          assigned_to: 2,
+          target: 'first_response',
+          due_at: dueAt,
+        },
+        { id: 12, title: 'Printer offline', assigned_to: 2, target: 'resolution', due_at: dueAt },
+      ]);
+      Notification.findSlaWarnedTicketIds.mockImplementation(async (ids, target) =>
+        target === 'first_response' ? [12] : [],
+      );
+      User.findById.mockResolvedValue(assignee);
+
+      // Act
+      const warned = await notificationService.notifySlaWarnings(30);
+
+      // Assert
+      expect(warned).toBe(1);
+      expect(Notification.findSlaWarnedTicketIds).toHaveBeenCalledWith([12], 'first_response');
+      expect(Notification.createMany).toHaveBeenCalledTimes(1);
+      expect(Notification.createMany.mock.calls[0][0][0].details.target).toBe('resolution');
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * ReportService Unit Tests
+ *
+ * Tests the ReportService in complete isolation with all dependencies mocked.
+ *
+ * Methods tested:
+ * - cleanRange(query, now)
+ * - getVolume(range)
+ * - getBacklog()
+ * - getResponseTimes(range)
+ * - getReports(query)
+ * - exportReport(report, query)
+ */
+
+const reportService = require('../../../services/reportService');
+const TicketReport = require('../../../models/TicketReport');
+
+// Mock dependencies
+jest.mock('../../../models/TicketReport');
+jest.mock('../../../utils/logger');
+
+const range = { from: '2026-01-01', to: '2026-01-31', granularity: 'day' };
+
+describe('ReportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('cleanRange', () => {
+    const now = new Date(2026, 2, 15, 13, 45);
+
+    it('should default to the last 30 days per day', () => {
+      // Act
+      const result = reportService.cleanRange({}, now);
+
+      // Assert
+      expect(result).toEqual({ from: '2026-02-14', to: '2026-03-15', granularity: 'day' });
+    });
+
+    it('should keep a well-formed range and granularity', () => {
+      // Act
+      const result = reportService.cleanRange(
+        { from: '2026-01-01', to: '2026-01-31', granularity: 'week' },
+        now,
+      );
+
+      // Assert
+      expect(result).toEqual({ from: '2026-01-01', to: '2026-01-31', granularity: 'week' });
+    });
+
+    it('should swap reversed dates', () => {
+      // Act
+      const result = reportService.cleanRange({ from: '2026-01-31', to: '2026-01-01' }, now);
+
+      // Assert
+      expect(result).toMatchObject({ from: '2026-01-01', to: '2026-01-31' });
+    });
+
+    it('should drop malformed values', () => {
+      // Act
+      const result = reportService.cleanRange(
+        { from: '2026-02-30', to: ['2026-01-01'], granularity: 'hour' },
+        now,
+      );
+
+      // Assert
+      expect(result).toEqual({ from: '2026-02-14', to: '2026-03-15', granularity: 'day' });
+    });
+
+    it('should cap the range at two years', () => {
+      // Act
+      const result = reportService.cleanRange({ from: '2000-01-01', to: '2026-01-31' }, now);
+
+      // Assert
+      expect(result).toMatchObject({ from: '2024-02-01', to: '2026-01-31' });
+    });
+  });
+
+  describe('getVolume', () => {
+    it('should return the periods with totals', async () => {
+      // Arrange
+      const periods = [
+        { period: '2026-01-01', opened: 3, closed: 1 },
+        { period: '2026-01-02', opened: 2, closed: 4 },
+      ];
+      TicketReport.countOpenedClosed.mockResolvedValue(periods);
+
+      // Act
+      const result = await reportService.getVolume(range);
+
+      // Assert
+      expect(TicketReport.countOpenedClosed).toHaveBeenCalledWith(
+        '2026-01-01',
+        '2026-01-31',
+        'day',
+      );
+      expect(result).toEqual({ periods, totals: { opened: 5, closed: 5 } });
+    });
+  });
+
+  describe('getBacklog', () => {
+    it('should pivot counts into a status x priority table', async () => {
+      // Arrange
+      TicketReport.countBacklog.mockResolvedValue([
+        { status: 'open', priority: 'high', count: 2 },
+        { status: 'open', priority: 'unset', count: 1 },
+        { status: 'waiting_on_admin', priority: 'high', count: 4 },
+      ]);
+
+      // Act
+      const result = await reportService.getBacklog();
+
+      // Assert
+      expect(result.rows.map((row) => row.status)).toEqual([
+        'open',
+        'in_progress',
+        'waiting_on_admin',
+        'waiting_on_department',
+      ]);
+      expect(result.rows[0]).toEqual({
+        status: 'open',
+        counts: { unset: 1, low: 0, medium: 0, high: 2, critical: 0 },
+        total: 3,
+      });
+      expect(result.rows[1].total).toBe(0);
+      expect(result.priorityTotals).toEqual({ unset: 1, low: 0, medium: 0, high: 6, critical: 0 });
+      expect(result.total).toBe(7);
+    });
+  });
+
+  describe('getResponseTimes', () => {
+    it('should split the overall row from the per-priority rows', async () => {
+      // Arrange
+      const overall = { priority: null, responded: 3, median_first_response_seconds: 900 };
+      const high = { priority: 'high', responded: 1, median_first_response_seconds: 300 };
+      const low = { priority: 'low', responded: 2, median_first_response_seconds: 1200 };
+      TicketReport.findResponseTimes.mockResolvedValue([high, overall, low]);
+
+      // Act
+      const result = await reportService.getResponseTimes(range);
+
+      // Assert
+      expect(result.overall).toBe(overall);
+      expect(result.byPriority).toEqual([low, high]);
+    });
+
+    it('should return an empty overall row when there are no tickets', async () => {
+      // Arrange
+      TicketReport.findResponseTimes.mockResolvedValue([]);
+
+      // Act
+      const result = await reportService.getResponseTimes(range);
+
+      // Assert
+      expect(result.overall).toEqual({
+        priority: null,
+        responded: 0,
+        median_first_response_seconds: null,
+        closed: 0,
+        median_close_seconds: null,
+      });
+      expect(result.byPriority).toEqual([]);
+    });
+  });
+
+  describe('getReports', () => {
+    it('should load every report for the cleaned range', async () => {
+      // Arrange
+      TicketReport.countOpenedClosed.mockResolvedValue([]);
+      TicketReport.countBacklog.mockResolvedValue([]);
+      TicketReport.findResponseTimes.mockResolvedValue([]);
+      TicketReport.countByDepartment.mockResolvedValue([{ department: 'Cardiology' }]);
+      TicketReport.countByFloor.mockResolvedValue([{ floor: '1st Floor' }]);
+      TicketReport.findTopReporters.mockResolvedValue([{ reporter: 'maria' }]);
+
+      // Act
+      const result = await reportService.getReports({ from: '2026-01-01', to: '2026-01-31' });
+
+      // Assert
+      expect(result.range).toEqual(range);
+      expect(result.departments).toEqual([{ department: 'Cardiology' }]);
+      expect(result.floors).toEqual([{ floor: '1st Floor' }]);
+      expect(result.reporters).toEqual([{ reporter: 'maria' }]);
+      expect(TicketReport.findTopReporters).toHaveBeenCalledWith('2026-01-01', '2026-01-31', 10);
+    });
+  });
+
+  describe('exportReport', () => {
+    it('should export the opened/closed report as CSV', async () => {
+      // Arrange
+      TicketReport.countOpenedClosed.mockResolvedValue([
+        { period: '2026-01-01', opened: 3, closed: 1 },
+      ]);
+
+      // Act
+      const result = await reportService.exportReport('volume', {
+        from: '2026-01-01',
+        to: '2026-01-31',
+      });
+
+      // Assert
+      expect(result.filename).toBe('report-volume-2026-01-01_2026-01-31.csv');
+      expect(result.contentType).toBe('text/csv; charset=utf-8');
+      expect(result.content.split('\r\n')).toEqual([
+        'Period Start,Opened,Closed',
+        '2026-01-01,3,1',
+        '',
+      ]);
+    });
+
+    it('should export durations in minutes with the overall row last', async () => {
+      // Arrange
+      TicketReport.findResponseTimes.mockResolvedValue([
+        {
+          priority: null,
+          responded: 2,
+          median_first_response_seconds: 5430,
+          closed: 1,
+          median_close_seconds: null,
+        },
+        {
+          priority: 'high',
+          responded: 2,
+          median_first_response_seconds: 5430,
+          closed: 1,
+          median_close_seconds: null,
+        },
+      ]);
+
+      // Act
+      const result = await reportService.exportReport('response_times', range);
+
+      // Assert
+      const lines = result.content.split('\r\n');
+      expect(lines[0]).toBe(
+        'Priority,Responded,Median First Response (minutes),Closed,Median Time To Close (minutes)',
+      );
+      expect(lines[1]).toBe('high,2,91,1,');
+      expect(lines[2]).toBe('all,2,91,1,');
+    });
+
+    it('should export repeat reporters with the export limit', async () => {
+      // Arrange
+      TicketReport.findTopReporters.mockResolvedValue([
+        {
+          reporter_id: null,
+          reporter: '=Maria',
+          department: 'Cardiology',
+          ticket_count: 2,
+          open_count: 1,
+          last_ticket_at: new Date('2026-01-10T08:00:00Z'),
+        },
+      ]);
+
+      // Act
+      const result = await reportService.exportReport('reporters', range);
+
+      // Assert
+      expect(TicketReport.findTopReporters).toHaveBeenCalledWith('2026-01-01', '2026-01-31', 100);
+      expect(result.content.split('\r\n')[1]).toBe(
+        "'=Maria,,Cardiology,2,1,2026-01-10T08:00:00.000Z",
+      );
+    });
+
+    it('should throw a 404 error for an unknown report', async () => {
+      // Act & Assert
+      await expect(reportService.exportReport('users', range)).rejects.toMatchObject({
+        message: 'Report not found',
+        status: 404,
+      });
+    });
+  });
+});
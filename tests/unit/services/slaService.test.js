@@ -0,0 +1,311 @@
+/**
+ * SlaService Unit Tests
+ *
+ * Tests the SlaService in complete isolation with all dependencies mocked.
+ * Covers policy CRUD, target validation and audit logging.
+ *
+ * Methods tested:
+ * - getAllPolicies()
+ * - getPolicyById(id)
+ * - createPolicy(actorId, data, ipAddress)
+ * - updatePolicy(actorId, id, data, ipAddress)
+ * - deletePolicy(actorId, id, ipAddress)
+ * - validateTargets(firstResponseMinutes, resolutionMinutes)
+ */
+
+const slaService = require('../../../services/slaService');
+const SlaPolicy = require('../../../models/SlaPolicy');
+const Department = require('../../../models/Department');
+const AuditLog = require('../../../models/AuditLog');
+
+// Mock dependencies
+jest.mock('../../../models/SlaPolicy');
+jest.mock('../../../models/Department');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../utils/logger');
+
+describe('SlaService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAllPolicies', () => {
+    it('should return all policies from SlaPolicy model', async () => {
+      // Arrange
+      const mockPolicies = [
+        { id: 1, priority: 'critical', department_id: null, department_name: null },
+        { id: 2, priority: 'critical', department_id: 3, department_name: 'Emergency' },
+      ];
+      SlaPolicy.findAll.mockResolvedValue(mockPolicies);
+
+      // Act
+      const result = await slaService.getAllPolicies();
+
+      // Assert
+      expect(result).toEqual(mockPolicies);
+      expect(SlaPolicy.findAll).toHaveBeenCalled();
+    });
+  });
+
+  describe('getPolicyById', () => {
+    it('should return policy when found', async () => {
+      // Arrange
+      const mockPolicy = { id: 1, priority: 'high' };
+      SlaPolicy.findById.mockResolvedValue(mockPolicy);
+
+      // Act
+      const result = await slaService.getPolicyById(1);
+
+      // Assert
+      expect(result).toEqual(mockPolicy);
+      expect(SlaPolicy.findById).toHaveBeenCalledWith(1);
+    });
+
+    it('should throw when policy not found', async () => {
+      // Arrange
+      SlaPolicy.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(slaService.getPolicyById(999)).rejects.toThrow('SLA policy not found');
+    });
+  });
+
+  describe('createPolicy', () => {
+    it('should create global policy when no department given', async () => {
+      // Arrange
+      const created = {
+        id: 1,
+        priority: 'high',
+        department_id: null,
+        first_response_minutes: 60,
+        resolution_minutes: 480,
+      };
+      SlaPolicy.findByScope.mockResolvedValue(undefined);
+      SlaPolicy.create.mockResolvedValue(created);
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      const result = await slaService.createPolicy(
+        1,
+        {
+          priority: 'high',
+          department_id: '',
+          first_response_minutes: 60,
+          resolution_minutes: 480,
+        },
+        '127.0.0.1',
+      );
+
+      // Assert
+      expect(result).toEqual(created);
+      expect(Department.findById).not.toHaveBeenCalled();
+      expect(SlaPolicy.findByScope).toHaveBeenCalledWith('high', null);
+      expect(SlaPolicy.create).toHaveBeenCalledWith({
+        priority: 'high',
+        department_id: null,
+        first_response_minutes: 60,
+        resolution_minutes: 480,
+      });
+    });
+
+    it('should create department policy and audit with department name', async () => {
+      // Arrange
+      Department.findById.mockResolvedValue({ id: 3, name: 'Emergency' });
+      SlaPolicy.findByScope.mockResolvedValue(undefined);
+      SlaPolicy.create.mockResolvedValue({
+        id: 2,
+        priority: 'critical',
+        department_id: 3,
+        first_response_minutes: 5,
+        resolution_minutes: 60,
+      });
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      await slaService.createPolicy(
+        1,
+        {
+          priority: 'critical',
+          department_id: 3,
+          first_response_minutes: 5,
+          resolution_minutes: 60,
+        },
+        '127.0.0.1',
+      );
+
+      // Assert
+      expect(SlaPolicy.findByScope).toHaveBeenCalledWith('critical', 3);
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 1,
+        action: 'SLA_POLICY_CREATED',
+        targetType: 'sla_policy',
+        targetId: 2,
+        details: {
+          priority: 'critical',
+          department: 'Emergency',
+          first_response_minutes: 5,
+          resolution_minutes: 60,
+        },
+        ipAddress: '127.0.0.1',
+      });
+    });
+
+    it('should throw when department does not exist', async () => {
+      // Arrange
+      Department.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(
+        slaService.createPolicy(
+          1,
+          {
+            priority: 'low',
+            department_id: 99,
+            first_response_minutes: 60,
+            resolution_minutes: 60,
+          },
+          '127.0.0.1',
+        ),
+      ).rejects.toThrow('Department not found');
+      expect(SlaPolicy.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw when policy for scope already exists', async () => {
+      // Arrange
+      SlaPolicy.findByScope.mockResolvedValue({ id: 7, priority: 'low', department_id: null });
+
+      // Act & Assert
+      await expect(
+        slaService.createPolicy(
+          1,
+          { priority: 'low', first_response_minutes: 60, resolution_minutes: 120 },
+          '127.0.0.1',
+        ),
+      ).rejects.toThrow('An SLA policy for this priority and department already exists');
+      expect(SlaPolicy.create).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject resolution target shorter than first response target', async () => {
+      // Act & Assert
+      await expect(
+        slaService.createPolicy(
+          1,
+          { priority: 'low', first_response_minutes: 120, resolution_minutes: 60 },
+          '127.0.0.1',
+        ),
+      ).rejects.toThrow('Resolution target cannot be shorter than first response target');
+      expect(SlaPolicy.findByScope).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePolicy', () => {
+    it('should update targets and audit old and new values', async () => {
+      // Arrange
+      SlaPolicy.findById.mockResolvedValue({
+        id: 2,
+        priority: 'critical',
+        department_name: 'Emergency',
+        first_response_minutes: 10,
+        resolution_minutes: 120,
+      });
+      SlaPolicy.update.mockResolvedValue({
+        id: 2,
+        priority: 'critical',
+        first_response_minutes: 5,
+        resolution_minutes: 60,
+      });
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      await slaService.updatePolicy(
+        1,
+        2,
+        { first_response_minutes: 5, resolution_minutes: 60 },
+        '127.0.0.1',
+      );
+
+      // Assert
+      expect(SlaPolicy.update).toHaveBeenCalledWith(2, {
+        first_response_minutes: 5,
+        resolution_minutes: 60,
+      });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'SLA_POLICY_UPDATED',
+          targetId: 2,
+          details: {
+            priority: 'critical',
+            department: 'Emergency',
+            old: { first_response_minutes: 10, resolution_minutes: 120 },
+            new: { first_response_minutes: 5, resolution_minutes: 60 },
+          },
+        }),
+      );
+    });
+
+    it('should throw when policy not found', async () => {
+      // Arrange
+      SlaPolicy.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(
+        slaService.updatePolicy(1, 999, { first_response_minutes: 5, resolution_minutes: 60 }),
+      ).rejects.toThrow('SLA policy not found');
+      expect(SlaPolicy.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deletePolicy', () => {
+    it('should delete policy and create audit log', async () => {
+      // Arrange
+      const policy = {
+        id: 4,
+        priority: 'medium',
+        department_name: null,
+        first_response_minutes: 240,
+        resolution_minutes: 1440,
+      };
+      SlaPolicy.findById.mockResolvedValue(policy);
+      SlaPolicy.delete.mockResolvedValue(policy);
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      const result = await slaService.deletePolicy(1, 4, '127.0.0.1');
+
+      // Assert
+      expect(result).toEqual(policy);
+      expect(SlaPolicy.delete).toHaveBeenCalledWith(4);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'SLA_POLICY_DELETED', targetId: 4 }),
+      );
+    });
+
+    it('should throw when delete affects no rows', async () => {
+      // Arrange
+      SlaPolicy.findById.mockResolvedValue({ id: 4, priority: 'medium' });
+      SlaPolicy.delete.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(slaService.deletePolicy(1, 4, '127.0.0.1')).rejects.toThrow(
+        'Failed to delete SLA policy',
+      );
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateTargets', () => {
+    it('should accept equal first response and resolution targets', () => {
+      expect(() => slaService.validateTargets(60, 60)).not.toThrow();
+    });
+
+    it.each([
+      [0, 60, 'First response target must be a positive number of minutes'],
+      [undefined, 60, 'First response target must be a positive number of minutes'],
+      [30, -1, 'Resolution target must be a positive number of minutes'],
+      [30, 1.5, 'Resolution target must be a positive number of minutes'],
+    ])('should reject first=%s resolution=%s', (first, resolution, message) => {
+      expect(() => slaService.validateTargets(first, resolution)).toThrow(message);
+    });
+  });
+});
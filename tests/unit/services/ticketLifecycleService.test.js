@@ -0,0 +1,254 @@
+/**
+ * TicketLifecycleService Unit Tests
+ *
+ * Tests the automatic ticket lifecycle rules with models and notifications mocked.
+ * The system comment is translated for real with the English translations.
+ *
+ * Test Coverage:
+ * - getReopenDeadline() / canReopenByComment()
+ * - autoCloseStaleTickets() (one transaction per ticket on a mocked client)
+ */
+
+const ticketLifecycleService = require('../../../services/ticketLifecycleService');
+const pool = require('../../../config/database');
+const Ticket = require('../../../models/Ticket');
+const Comment = require('../../../models/Comment');
+const AuditLog = require('../../../models/AuditLog');
+const notificationService = require('../../../services/notificationService');
+const logger = require('../../../utils/logger');
+const { i18next } = require('../../../config/i18n');
+
+jest.mock('../../../config/database');
+jest.mock('../../../models/Ticket');
+jest.mock('../../../models/Comment');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../services/notificationService');
+jest.mock('../../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('TicketLifecycleService', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  beforeAll(async () => {
+    if (!i18next.isInitialized) {
+      await new Promise((resolve) => i18next.on('initialized', resolve));
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getReopenDeadline', () => {
+    it('should end the reopen window the configured days after closing', () => {
+      // Arrange
+      const ticket = { status: 'closed', resolved_at: new Date(now.getTime() - 2 * DAY_MS) };
+
+      // Act
+      const deadline = ticketLifecycleService.getReopenDeadline(ticket, now, 7);
+
+      // Assert
+      expect(deadline).toEqual(new Date(now.getTime() + 5 * DAY_MS));
+    });
+
+    it('should return null once the window is over', () => {
+      // Arrange
+      const ticket = { status: 'closed', resolved_at: new Date(now.getTime() - 8 * DAY_MS) };
+
+      // Act & Assert
+      expect(ticketLifecycleService.getReopenDeadline(ticket, now, 7)).toBeNull();
+    });
+
+    it('should return null when the window is turned off', () => {
+      // Arrange
+      const ticket = { status: 'closed', resolved_at: now };
+
+      // Act & Assert
+      expect(ticketLifecycleService.getReopenDeadline(ticket, now, 0)).toBeNull();
+    });
+
+    it.each([
+      ['an open ticket', { status: 'waiting_on_admin', resolved_at: null }],
+      ['a closed ticket without close time', { status: 'closed', resolved_at: null }],
+    ])('should return null for %s', (label, ticket) => {
+      // Act & Assert
+      expect(ticketLifecycleService.getReopenDeadline(ticket, now, 7)).toBeNull();
+    });
+  });
+
+  describe('canReopenByComment', () => {
+    it('should allow reopening a ticket closed within the default window', () => {
+      // Arrange
+      const ticket = { status: 'closed', resolved_at: new Date(now.getTime() - DAY_MS) };
+
+      // Act & Assert
+      expect(ticketLifecycleService.canReopenByComment(ticket, now)).toBe(true);
+    });
+
+    it('should not allow reopening a ticket closed long ago', () => {
+      // Arrange
+      const ticket = { status: 'closed', resolved_at: new Date(now.getTime() - 60 * DAY_MS) };
+
+      // Act & Assert
+      expect(ticketLifecycleService.canReopenByComment(ticket, now)).toBe(false);
+    });
+  });
+
+  describe('autoCloseStaleTickets', () => {
+    const staleTicket = {
+      id: 12,
+      title: 'Printer offline',
+      status: 'waiting_on_department',
+      reporter_department_id: 4,
+    };
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      pool.connect = jest.fn().mockResolvedValue(client);
+      Ticket.closeIfStale.mockImplementation(async (id) => ({
+        ...staleTicket,
+        id,
+        status: 'closed',
+      }));
+    });
+
+    it('should close stale tickets with a public system comment', async () => {
+      // Arrange
+      Ticket.findStaleWaitingOnDepartment.mockResolvedValue([staleTicket]);
+
+      // Act
+      const closed = await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(closed).toBe(1);
+      expect(Ticket.findStaleWaitingOnDepartment).toHaveBeenCalledWith(14);
+      expect(Comment.create).toHaveBeenCalledWith(
+        {
+          ticket_id: 12,
+          user_id: null,
+          content: expect.stringContaining('closed automatically after waiting 14 days'),
+          visibility_type: 'public',
+        },
+        client,
+      );
+      expect(Comment.create.mock.calls[0][0].content).toContain(
+        'Add a comment within 7 days to reopen it.',
+      );
+      expect(Ticket.closeIfStale).toHaveBeenCalledWith(12, 14, client);
+    });
+
+    it('should close, comment and audit in one transaction', async () => {
+      // Arrange
+      Ticket.findStaleWaitingOnDepartment.mockResolvedValue([staleTicket]);
+
+      // Act
+      await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(client.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'COMMIT']);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.any(Object), client);
+      expect(client.release).toHaveBeenCalledTimes(1);
+      expect(Ticket.closeIfStale.mock.invocationCallOrder[0]).toBeLessThan(
+        Comment.create.mock.invocationCallOrder[0],
+      );
+    });
+
+    it('should skip a ticket that is no longer stale', async () => {
+      // Arrange
+      Ticket.findStaleWaitingOnDepartment.mockResolvedValue([staleTicket]);
+      Ticket.closeIfStale.mockResolvedValue(undefined);
+
+      // Act
+      const closed = await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(closed).toBe(0);
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalledTimes(1);
+      expect(Comment.create).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+      expect(notificationService.notifyStatusChange).not.toHaveBeenCalled();
+    });
+
+    it('should audit the change without an actor', async () => {
+      // Arrange
+      Ticket.findStaleWaitingOnDepartment.mockResolvedValue([staleTicket]);
+
+      // Act
+      await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        {
+          actorId: null,
+          action: 'TICKET_UPDATED',
+          targetType: 'ticket',
+          targetId: 12,
+          details: {
+            old: { status: 'waiting_on_department' },
+            new: { status: 'closed' },
+            auto_closed: true,
+            idle_days: 14,
+          },
+          ipAddress: null,
+        },
+        client,
+      );
+    });
+
+    it('should notify the department about the status change', async () => {
+      // Arrange
+      Ticket.findStaleWaitingOnDepartment.mockResolvedValue([staleTicket]);
+
+      // Act
+      await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(notificationService.notifyStatusChange).toHaveBeenCalledWith(
+        staleTicket,
+        'waiting_on_department',
+        'closed',
+        null,
+      );
+    });
+
+    it('should skip a ticket that fails and close the rest', async () => {
+      // Arrange
+      Ticket.findStaleWaitingOnDepartment.mockResolvedValue([
+        staleTicket,
+        { ...staleTicket, id: 13 },
+      ]);
+      Comment.create.mockRejectedValueOnce(new Error('connection terminated'));
+
+      // Act
+      const closed = await ticketLifecycleService.autoCloseStaleTickets(14);
+
+      // Assert
+      expect(closed).toBe(1);
+      expect(client.query.mock.calls.map(([sql]) => sql)).toEqual([
+        'BEGIN',
+        'ROLLBACK',
+        'BEGIN',
+        'COMMIT',
+      ]);
+      expect(client.release).toHaveBeenCalledTimes(2);
+      expect(notificationService.notifyStatusChange).toHaveBeenCalledTimes(1);
+      expect(notificationService.notifyStatusChange.mock.calls[0][0].id).toBe(13);
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to close ticket'),
+        expect.objectContaining({ ticketId: 12 }),
+      );
+    });
+
+    it('should do nothing when auto-close is turned off', async () => {
+      // Act
+      const closed = await ticketLifecycleService.autoCloseStaleTickets(0);
+
+      // Assert
+      expect(closed).toBe(0);
+      expect(Ticket.findStaleWaitingOnDepartment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,17 +2,23 @@
  * TicketService Unit Tests
  *
  * Tests the TicketService in complete isolation with all dependencies mocked.
- * Covers all 4 methods with success, failure, and edge cases.
+ * Covers all methods with success, failure, and edge cases.
  */
 
 const ticketService = require('../../../services/ticketService');
 const Ticket = require('../../../models/Ticket');
 const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const Comment = require('../../../models/Comment');
+const notificationService = require('../../../services/notificationService');
 const { createTicketData, createUserData } = require('../../helpers/factories');
 
 // Mock dependencies
 jest.mock('../../../models/Ticket');
 jest.mock('../../../models/User');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../models/Comment');
+jest.mock('../../../services/notificationService');
 jest.mock('../../../utils/logger');
 
 describe('TicketService', () => {
@@ -132,7 +138,11 @@ describe('TicketService', () => {
   });
 
   describe('getAllTickets', () => {
-    it('should return all tickets when no filters provided', async () => {
+    beforeEach(() => {
+      Ticket.countAll.mockResolvedValue(2);
+    });
+
+    it('should return first page of tickets when no filters provided', async () => {
       // Arrange
       const mockTickets = [
         { id: 1, title: 'Ticket 1', status: 'open' },
@@ -144,11 +154,14 @@ describe('TicketService', () => {
       const result = await ticketService.getAllTickets({});
 
       // Assert
-      expect(result).toEqual(mockTickets);
+      expect(result.tickets).toEqual(mockTickets);
+      expect(result.pagination).toMatchObject({ page: 1, perPage: 25, total: 2, totalPages: 1 });
       expect(Ticket.findAll).toHaveBeenCalledWith({
         status: undefined,
         priority: undefined,
         search: undefined,
+        limit: 25,
+        offset: 0,
       });
     });
 
@@ -165,6 +178,8 @@ describe('TicketService', () => {
         status: 'open',
         priority: undefined,
         search: undefined,
+        limit: 25,
+        offset: 0,
       });
     });
 
@@ -181,6 +196,8 @@ describe('TicketService', () => {
         status: undefined,
         priority: 'high',
         search: undefined,
+        limit: 25,
+        offset: 0,
       });
     });
 
@@ -197,6 +214,8 @@ describe('TicketService', () => {
         status: undefined,
         priority: undefined,
         search: 'bug',
+        limit: 25,
+        offset: 0,
       });
     });
 
@@ -216,6 +235,8 @@ describe('TicketService', () => {
         status: 'open',
         priority: undefined,
         search: undefined,
+        limit: 25,
+        offset: 0,
       });
     });
 
@@ -231,7 +252,500 @@ describe('TicketService', () => {
         status: undefined,
         priority: undefined,
         search: undefined,
+        limit: 25,
+        offset: 0,
+      });
+    });
+
+    it('should pass SLA filter and sort to Ticket.findAll', async () => {
+      // Arrange
+      Ticket.findAll.mockResolvedValue([]);
+
+      // Act
+      await ticketService.getAllTickets({ sla: 'breached', sort: 'resolution_due' });
+
+      // Assert
+      expect(Ticket.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ sla: 'breached', sort: 'resolution_due' }),
+      );
+    });
+
+    it('should drop unknown SLA filters', async () => {
+      // Arrange
+      Ticket.countAll.mockResolvedValue(0);
+      Ticket.findAll.mockResolvedValue([]);
+
+      // Act
+      await ticketService.getAllTickets({ sla: 'toString' });
+
+      // Assert
+      expect(Ticket.countAll).toHaveBeenCalledWith(expect.objectContaining({ sla: undefined }));
+      expect(Ticket.findAll).toHaveBeenCalledWith(expect.objectContaining({ sla: undefined }));
+    });
+
+    it('should drop unknown sort keys and orders', async () => {
+      // Arrange
+      Ticket.countAll.mockResolvedValue(0);
+      Ticket.findAll.mockResolvedValue([]);
+
+      // Act
+      await ticketService.getAllTickets({ sort: 'constructor', order: 'sideways' });
+
+      // Assert
+      expect(Ticket.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ sort: undefined, order: undefined }),
+      );
+    });
+
+    it('should count with the same filters and fetch the requested page', async () => {
+      // Arrange
+      Ticket.countAll.mockResolvedValue(120);
+      Ticket.findAll.mockResolvedValue([]);
+
+      // Act
+      const result = await ticketService.getAllTickets({
+        status: 'open',
+        sort: 'priority',
+        order: 'asc',
+        page: '3',
+        per_page: '50',
       });
+
+      // Assert
+      expect(Ticket.countAll).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'open', sort: 'priority', order: 'asc' }),
+      );
+      expect(Ticket.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'open', limit: 50, offset: 100 }),
+      );
+      expect(result.pagination).toMatchObject({ page: 3, totalPages: 3, hasNext: false });
+    });
+
+    it('should clamp page past the end to the last page', async () => {
+      // Arrange
+      Ticket.countAll.mockResolvedValue(30);
+      Ticket.findAll.mockResolvedValue([]);
+
+      // Act
+      const result = await ticketService.getAllTickets({ page: '99' });
+
+      // Assert
+      expect(result.pagination.page).toBe(2);
+      expect(Ticket.findAll).toHaveBeenCalledWith(expect.objectContaining({ offset: 25 }));
+    });
+  });
+
+  describe('getAllTickets assignee filter', () => {
+    beforeEach(() => {
+      Ticket.countAll.mockResolvedValue(0);
+    });
+
+    it.each([
+      ['unassigned', 'unassigned'],
+      ['7', '7'],
+      [7, 7],
+      ['me', undefined],
+      ['1; DROP TABLE tickets', undefined],
+    ])('should map assigned_to=%p to %p', async (input, expected) => {
+      // Arrange
+      Ticket.findAll.mockResolvedValue([]);
+
+      // Act
+      await ticketService.getAllTickets({ assigned_to: input });
+
+      // Assert
+      expect(Ticket.findAll.mock.calls[0][0].assigned_to).toBe(expected);
+    });
+  });
+
+  describe('getTicketTimeline', () => {
+    it('should interleave comments and audit events chronologically', async () => {
+      // Arrange
+      Comment.findByTicketId.mockResolvedValue([
+        { id: 1, username: 'dept', content: 'First', created_at: '2026-01-01T10:00:00Z' },
+        { id: 2, username: 'admin', content: 'Reply', created_at: '2026-01-01T12:00:00Z' },
+      ]);
+      AuditLog.findByTargetWithActor.mockResolvedValue([
+        {
+          action: 'TICKET_UPDATED',
+          actor_username: 'admin',
+          created_at: '2026-01-01T11:00:00Z',
+          details: { old: { priority: 'unset' }, new: { priority: 'high' } },
+        },
+      ]);
+
+      // Act
+      const timeline = await ticketService.getTicketTimeline(5);
+
+      // Assert
+      expect(AuditLog.findByTargetWithActor).toHaveBeenCalledWith('ticket', 5);
+      expect(timeline.map((item) => item.type)).toEqual(['comment', 'event', 'comment']);
+      expect(timeline[1]).toMatchObject({
+        actor: 'admin',
+        action: 'TICKET_UPDATED',
+        changes: [{ field: 'priority', from: 'unset', to: 'high' }],
+        triggeredByComment: false,
+      });
+    });
+
+    it('should list automatic status change after the comment that triggered it', async () => {
+      // Arrange
+      const at = '2026-01-01T10:00:00Z';
+      Comment.findByTicketId.mockResolvedValue([
+        { id: 7, username: 'admin', content: 'Need info', created_at: at },
+      ]);
+      AuditLog.findByTargetWithActor.mockResolvedValue([
+        {
+          action: 'TICKET_UPDATED',
+          actor_username: 'admin',
+          created_at: at,
+          details: {
+            old: { status: 'open' },
+            new: { status: 'waiting_on_department' },
+            triggered_by_comment_id: 7,
+          },
+        },
+      ]);
+
+      // Act
+      const timeline = await ticketService.getTicketTimeline(5);
+
+      // Assert
+      expect(timeline.map((item) => item.type)).toEqual(['comment', 'event']);
+      expect(timeline[1].triggeredByComment).toBe(true);
+    });
+
+    it('should drop updates that did not change anything', async () => {
+      // Arrange
+      Comment.findByTicketId.mockResolvedValue([]);
+      AuditLog.findByTargetWithActor.mockResolvedValue([
+        {
+          action: 'TICKET_UPDATED',
+          created_at: '2026-01-01T10:00:00Z',
+          details: { old: { status: 'open' }, new: { status: 'open' } },
+        },
+        {
+          action: 'CREATE_ADMIN_TICKET',
+          created_at: '2026-01-01T09:00:00Z',
+          details: { title: 'x' },
+        },
+      ]);
+
+      // Act
+      const timeline = await ticketService.getTicketTimeline(5);
+
+      // Assert
+      expect(timeline).toHaveLength(1);
+      expect(timeline[0]).toMatchObject({
+        action: 'CREATE_ADMIN_TICKET',
+        changes: [],
+        actor: null,
+      });
+    });
+  });
+
+  describe('describeAuditChanges', () => {
+    it('should describe assignment entries using usernames', () => {
+      expect(
+        ticketService.describeAuditChanges({
+          action: 'TICKET_UNASSIGNED',
+          details: { previous_assigned_to_username: 'bob', assigned_to_username: null },
+        }),
+      ).toEqual([{ field: 'assigned_to', from: 'bob', to: null }]);
+    });
+
+    it('should describe legacy updates without previous values', () => {
+      expect(
+        ticketService.describeAuditChanges({
+          action: 'TICKET_UPDATED',
+          details: { status: 'closed', assigned_to: 4 },
+        }),
+      ).toEqual([
+        { field: 'status', from: undefined, to: 'closed' },
+        { field: 'assigned_to', from: undefined, to: 4 },
+      ]);
+    });
+
+    it('should return no changes for other actions', () => {
+      expect(
+        ticketService.describeAuditChanges({ action: 'CREATE_DEPARTMENT_TICKET', details: {} }),
+      ).toEqual([]);
+    });
+  });
+
+  describe('assignTicket', () => {
+    it('should assign unassigned ticket and audit previous and new assignee', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, assigned_to: null, assigned_to_username: null });
+      User.findById.mockResolvedValue(
+        createUserData({ id: 5, username: 'alice', role: 'admin', status: 'active' }),
+      );
+      Ticket.update.mockResolvedValue({ id: 1, assigned_to: 5 });
+
+      // Act
+      const result = await ticketService.assignTicket(1, 5, 2, '127.0.0.1');
+
+      // Assert
+      expect(result.assigned_to).toBe(5);
+      expect(Ticket.update).toHaveBeenCalledWith(1, { assigned_to: 5 });
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 2,
+        action: 'TICKET_ASSIGNED',
+        targetType: 'ticket',
+        targetId: 1,
+        details: {
+          previous_assigned_to: null,
+          previous_assigned_to_username: null,
+          assigned_to: 5,
+          assigned_to_username: 'alice',
+          self_assigned: false,
+        },
+        ipAddress: '127.0.0.1',
+      });
+    });
+
+    it('should notify the new assignee', async () => {
+      // Arrange
+      const ticket = { id: 1, assigned_to: null, assigned_to_username: null };
+      Ticket.findById.mockResolvedValue(ticket);
+      User.findById.mockResolvedValue(
+        createUserData({ id: 5, username: 'alice', role: 'admin', status: 'active' }),
+      );
+      Ticket.update.mockResolvedValue({ id: 1, assigned_to: 5 });
+
+      // Act
+      await ticketService.assignTicket(1, '5', 2, '127.0.0.1');
+
+      // Assert
+      expect(notificationService.notifyTicketAssigned).toHaveBeenCalledWith(ticket, 5, 2);
+    });
+
+    it('should flag self-assignment when admin claims a ticket', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, assigned_to: 3, assigned_to_username: 'bob' });
+      User.findById.mockResolvedValue(
+        createUserData({ id: 2, username: 'carol', role: 'super_admin', status: 'active' }),
+      );
+      Ticket.update.mockResolvedValue({ id: 1, assigned_to: 2 });
+
+      // Act
+      await ticketService.assignTicket(1, 2, 2, '127.0.0.1');
+
+      // Assert
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'TICKET_ASSIGNED',
+          details: expect.objectContaining({
+            previous_assigned_to: 3,
+            previous_assigned_to_username: 'bob',
+            self_assigned: true,
+          }),
+        }),
+      );
+    });
+
+    it('should unassign ticket and audit TICKET_UNASSIGNED', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, assigned_to: 3, assigned_to_username: 'bob' });
+      Ticket.update.mockResolvedValue({ id: 1, assigned_to: null });
+
+      // Act
+      await ticketService.assignTicket(1, null, 2, '127.0.0.1');
+
+      // Assert
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(Ticket.update).toHaveBeenCalledWith(1, { assigned_to: null });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'TICKET_UNASSIGNED' }),
+      );
+    });
+
+    it('should not notify anyone when unassigning', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, assigned_to: 3, assigned_to_username: 'bob' });
+      Ticket.update.mockResolvedValue({ id: 1, assigned_to: null });
+
+      // Act
+      await ticketService.assignTicket(1, null, 2, '127.0.0.1');
+
+      // Assert
+      expect(notificationService.notifyTicketAssigned).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when assignee is unchanged', async () => {
+      // Arrange
+      const ticket = { id: 1, assigned_to: 5 };
+      Ticket.findById.mockResolvedValue(ticket);
+
+      // Act
+      const result = await ticketService.assignTicket(1, '5', 2, '127.0.0.1');
+
+      // Assert
+      expect(result).toBe(ticket);
+      expect(Ticket.update).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject assigning ticket to department user', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, assigned_to: null });
+      User.findById.mockResolvedValue(
+        createUserData({ id: 9, role: 'department', status: 'active' }),
+      );
+
+      // Act & Assert
+      await expect(ticketService.assignTicket(1, 9, 2)).rejects.toMatchObject({
+        message: 'Tickets can only be assigned to admins',
+        status: 400,
+      });
+      expect(Ticket.update).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw when ticket does not exist', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(ticketService.assignTicket(999, 5, 2)).rejects.toThrow('Ticket not found');
+    });
+  });
+
+  describe('recordFirstResponse', () => {
+    it('should record public comment time as first response', async () => {
+      // Arrange
+      const createdAt = new Date('2026-01-01T08:30:00Z');
+      Ticket.recordFirstResponse.mockResolvedValue({ id: 1, first_response_at: createdAt });
+
+      // Act
+      await ticketService.recordFirstResponse(1, {
+        id: 10,
+        visibility_type: 'public',
+        created_at: createdAt,
+      });
+
+      // Assert
+      expect(Ticket.recordFirstResponse).toHaveBeenCalledWith(1, createdAt);
+    });
+
+    it('should ignore internal comments', async () => {
+      // Act
+      const result = await ticketService.recordFirstResponse(1, {
+        id: 11,
+        visibility_type: 'internal',
+        created_at: new Date(),
+      });
+
+      // Assert
+      expect(result).toBeUndefined();
+      expect(Ticket.recordFirstResponse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addAdminComment', () => {
+    const admin = { id: 5, role: 'admin' };
+
+    it('should create public comment, record first response and move to waiting_on_department', async () => {
+      // Arrange
+      const createdAt = new Date('2026-01-01T09:00:00Z');
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'open', reporter_id: 7 });
+      Comment.create.mockResolvedValue({
+        id: 30,
+        visibility_type: 'public',
+        created_at: createdAt,
+      });
+      Ticket.recordFirstResponse.mockResolvedValue({ id: 1 });
+      Ticket.update.mockResolvedValue({ id: 1, status: 'waiting_on_department' });
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      const result = await ticketService.addAdminComment(1, admin, 'On it', 'public', '10.0.0.1');
+
+      // Assert
+      expect(result.id).toBe(30);
+      expect(Comment.create).toHaveBeenCalledWith({
+        ticket_id: 1,
+        user_id: 5,
+        content: 'On it',
+        visibility_type: 'public',
+      });
+      expect(Ticket.recordFirstResponse).toHaveBeenCalledWith(1, createdAt);
+      expect(Ticket.update).toHaveBeenCalledWith(1, { status: 'waiting_on_department' });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'TICKET_UPDATED',
+          details: expect.objectContaining({ triggered_by_comment_id: 30 }),
+          ipAddress: '10.0.0.1',
+        }),
+      );
+    });
+
+    it('should email the department about public comments only once', async () => {
+      // Arrange
+      const ticket = { id: 1, status: 'open', reporter_id: 7 };
+      const comment = { id: 33, visibility_type: 'public' };
+      Ticket.findById.mockResolvedValue(ticket);
+      Comment.create.mockResolvedValue(comment);
+      Ticket.update.mockResolvedValue({ id: 1, status: 'waiting_on_department' });
+
+      // Act
+      await ticketService.addAdminComment(1, admin, 'On it');
+
+      // Assert
+      expect(notificationService.notifyTicketReply).toHaveBeenCalledWith(ticket, comment, 5);
+      // The status move caused by the reply does not send a second email
+      expect(notificationService.notifyStatusChange).not.toHaveBeenCalled();
+    });
+
+    it('should not email anyone about internal comments', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'open', reporter_id: 7 });
+      Comment.create.mockResolvedValue({ id: 34, visibility_type: 'internal' });
+
+      // Act
+      await ticketService.addAdminComment(1, admin, 'Note to self', 'internal');
+
+      // Assert
+      expect(notificationService.notifyTicketReply).not.toHaveBeenCalled();
+    });
+
+    it('should not change status for internal comments', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'open', reporter_id: 7 });
+      Comment.create.mockResolvedValue({ id: 31, visibility_type: 'internal' });
+
+      // Act
+      await ticketService.addAdminComment(1, admin, 'Note to self', 'internal');
+
+      // Assert
+      expect(Ticket.recordFirstResponse).not.toHaveBeenCalled();
+      expect(Ticket.update).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['admin ticket without reporter', { status: 'open', reporter_id: null }],
+      ['closed ticket', { status: 'closed', reporter_id: 7 }],
+    ])('should not change status for %s', async (label, ticket) => {
+      // Arrange
+      Ticket.findById.mockResolvedValue({ id: 1, ...ticket });
+      Comment.create.mockResolvedValue({ id: 32, visibility_type: 'public' });
+
+      // Act
+      await ticketService.addAdminComment(1, admin, 'Update');
+
+      // Assert
+      expect(Ticket.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw when ticket not found', async () => {
+      // Arrange
+      Ticket.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(ticketService.addAdminComment(999, admin, 'Hello')).rejects.toThrow(
+        'Ticket not found',
+      );
+      expect(Comment.create).not.toHaveBeenCalled();
     });
   });
 
@@ -245,6 +759,7 @@ describe('TicketService', () => {
         priority: 'medium',
         updated_at: new Date(),
       };
+      Ticket.findById.mockResolvedValue({ id: 1, status: 'in_progress' });
       Ticket.update.mockResolvedValue(mockUpdatedTicket);
 
       // Act
@@ -367,6 +882,18 @@ describe('TicketService', () => {
       expect(Ticket.update).not.toHaveBeenCalled();
     });
 
+    it('should throw error when assigning to non-admin user', async () => {
+      // Arrange
+      const departmentUser = createUserData({ id: 11, role: 'department', status: 'active' });
+      User.findById.mockResolvedValue(departmentUser);
+
+      // Act & Assert
+      await expect(ticketService.updateTicket(11, { assigned_to: 11 })).rejects.toThrow(
+        'Tickets can only be assigned to admins',
+      );
+      expect(Ticket.update).not.toHaveBeenCalled();
+    });
+
     it('should update multiple fields simultaneously', async () => {
       // Arrange
       const mockUser = createUserData({ id: 9, status: 'active' });
@@ -378,6 +905,7 @@ describe('TicketService', () => {
         updated_at: new Date(),
       };
       User.findById.mockResolvedValue(mockUser);
+      Ticket.findById.mockResolvedValue({ id: 9, status: 'open' });
       Ticket.update.mockResolvedValue(mockUpdatedTicket);
 
       // Act
@@ -415,6 +943,7 @@ describe('TicketService', () => {
     it('should throw error when Ticket.update fails', async () => {
       // Arrange
       const dbError = new Error('Database update failed');
+      Ticket.findById.mockResolvedValue({ id: 11, status: 'in_progress' });
       Ticket.update.mockRejectedValue(dbError);
 
       // Act & Assert
@@ -432,6 +961,7 @@ describe('TicketService', () => {
         priority: 'low',
         updated_at: new Date(),
       };
+      Ticket.findById.mockResolvedValue({ id: 12, status: 'waiting_on_department' });
       Ticket.update.mockResolvedValue(mockUpdatedTicket);
 
       // Act
@@ -447,5 +977,244 @@ describe('TicketService', () => {
         priority: 'low',
       });
     });
+
+    describe('audit trail', () => {
+      it('should record previous and new values when actor is given', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 20, status: 'open', priority: 'low' });
+        Ticket.update.mockResolvedValue({ id: 20, status: 'in_progress', priority: 'high' });
+
+        // Act
+        await ticketService.updateTicket(
+          20,
+          { status: 'in_progress', priority: 'high' },
+          2,
+          '127.0.0.1',
+        );
+
+        // Assert
+        expect(AuditLog.create).toHaveBeenCalledWith({
+          actorId: 2,
+          action: 'TICKET_UPDATED',
+          targetType: 'ticket',
+          targetId: 20,
+          details: {
+            old: { status: 'open', priority: 'low' },
+            new: { status: 'in_progress', priority: 'high' },
+          },
+          ipAddress: '127.0.0.1',
+        });
+      });
+
+      it('should record assignee usernames alongside IDs', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({
+          id: 21,
+          assigned_to: 3,
+          assigned_to_username: 'bob',
+        });
+        User.findById.mockResolvedValue(
+          createUserData({ id: 4, username: 'alice', role: 'admin', status: 'active' }),
+        );
+        Ticket.update.mockResolvedValue({ id: 21, assigned_to: 4 });
+
+        // Act
+        await ticketService.updateTicket(21, { assigned_to: 4 }, 2, '127.0.0.1');
+
+        // Assert
+        expect(AuditLog.create.mock.calls[0][0].details).toEqual({
+          old: { assigned_to: 3, assigned_to_username: 'bob' },
+          new: { assigned_to: 4, assigned_to_username: 'alice' },
+        });
+      });
+
+      it('should merge audit context such as the triggering comment', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 22, status: 'open' });
+        Ticket.update.mockResolvedValue({ id: 22, status: 'waiting_on_department' });
+
+        // Act
+        await ticketService.updateTicket(22, { status: 'waiting_on_department' }, 2, '127.0.0.1', {
+          triggered_by_comment_id: 99,
+        });
+
+        // Assert
+        expect(AuditLog.create.mock.calls[0][0].details).toEqual({
+          old: { status: 'open' },
+          new: { status: 'waiting_on_department' },
+          triggered_by_comment_id: 99,
+        });
+      });
+
+      it('should email the department about status changes by an actor', async () => {
+        // Arrange
+        const currentTicket = { id: 24, status: 'in_progress', reporter_department: 'Cardiology' };
+        Ticket.findById.mockResolvedValue(currentTicket);
+        Ticket.update.mockResolvedValue({ id: 24, status: 'closed' });
+
+        // Act
+        await ticketService.updateTicket(24, { status: 'closed' }, 2, '127.0.0.1');
+
+        // Assert
+        expect(notificationService.notifyStatusChange).toHaveBeenCalledWith(
+          currentTicket,
+          'in_progress',
+          'closed',
+          2,
+        );
+      });
+
+      it('should not email about priority-only changes', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 25, priority: 'low' });
+        Ticket.update.mockResolvedValue({ id: 25, priority: 'high' });
+
+        // Act
+        await ticketService.updateTicket(25, { priority: 'high' }, 2, '127.0.0.1');
+
+        // Assert
+        expect(notificationService.notifyStatusChange).not.toHaveBeenCalled();
+      });
+
+      it('should notify a new assignee set through an update', async () => {
+        // Arrange
+        const currentTicket = { id: 26, assigned_to: 3 };
+        Ticket.findById.mockResolvedValue(currentTicket);
+        Ticket.update.mockResolvedValue({ id: 26, assigned_to: 5 });
+
+        // Act
+        await ticketService.updateTicket(26, { assigned_to: '5' }, 2, '127.0.0.1');
+
+        // Assert
+        expect(notificationService.notifyTicketAssigned).toHaveBeenCalledWith(currentTicket, 5, 2);
+      });
+
+      it('should not notify when the assignee is unchanged', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 27, assigned_to: 5, priority: 'low' });
+        Ticket.update.mockResolvedValue({ id: 27, assigned_to: 5, priority: 'high' });
+
+        // Act
+        await ticketService.updateTicket(
+          27,
+          { assigned_to: '5', priority: 'high' },
+          2,
+          '127.0.0.1',
+        );
+
+        // Assert
+        expect(notificationService.notifyTicketAssigned).not.toHaveBeenCalled();
+      });
+
+      it('should not audit when no actor is given', async () => {
+        // Arrange
+        Ticket.update.mockResolvedValue({ id: 23, priority: 'high' });
+
+        // Act
+        await ticketService.updateTicket(23, { priority: 'high' });
+
+        // Assert
+        expect(Ticket.findById).not.toHaveBeenCalled();
+        expect(AuditLog.create).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('status transitions', () => {
+      it('should load current ticket to validate status transition', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 13, status: 'open' });
+        Ticket.update.mockResolvedValue({ id: 13, status: 'in_progress' });
+
+        // Act
+        await ticketService.updateTicket(13, { status: 'in_progress' });
+
+        // Assert
+        expect(Ticket.findById).toHaveBeenCalledWith(13);
+        expect(Ticket.update).toHaveBeenCalledWith(13, { status: 'in_progress' });
+      });
+
+      it('should reject transition not allowed for admins (open -> closed)', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 14, status: 'open' });
+
+        // Act & Assert
+        await expect(ticketService.updateTicket(14, { status: 'closed' })).rejects.toMatchObject({
+          message: 'Cannot change ticket status from open to closed',
+          code: 'INVALID_STATUS_TRANSITION',
+          fromStatus: 'open',
+          toStatus: 'closed',
+        });
+        expect(Ticket.update).not.toHaveBeenCalled();
+      });
+
+      it('should reject moving closed ticket to anything but open', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 15, status: 'closed' });
+
+        // Act & Assert
+        await expect(
+          ticketService.updateTicket(15, { status: 'waiting_on_department' }),
+        ).rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+        expect(Ticket.update).not.toHaveBeenCalled();
+      });
+
+      it('should allow explicit reopen (closed -> open)', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 16, status: 'closed' });
+        Ticket.update.mockResolvedValue({ id: 16, status: 'open' });
+
+        // Act
+        const result = await ticketService.updateTicket(16, { status: 'open' });
+
+        // Assert
+        expect(result.status).toBe('open');
+        expect(Ticket.update).toHaveBeenCalledWith(16, { status: 'open' });
+      });
+
+      it('should allow setting unchanged status', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 17, status: 'waiting_on_department' });
+        Ticket.update.mockResolvedValue({ id: 17, status: 'waiting_on_department' });
+
+        // Act
+        await ticketService.updateTicket(17, { status: 'waiting_on_department' });
+
+        // Assert
+        expect(Ticket.update).toHaveBeenCalledWith(17, { status: 'waiting_on_department' });
+      });
+
+      it('should reject invalid transition before touching other fields', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue({ id: 18, status: 'waiting_on_admin' });
+
+        // Act & Assert
+        await expect(
+          ticketService.updateTicket(18, { status: 'open', priority: 'high' }),
+        ).rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+        expect(Ticket.update).not.toHaveBeenCalled();
+      });
+
+      it('should throw when ticket does not exist', async () => {
+        // Arrange
+        Ticket.findById.mockResolvedValue(undefined);
+
+        // Act & Assert
+        await expect(ticketService.updateTicket(999, { status: 'closed' })).rejects.toThrow(
+          'Ticket not found',
+        );
+        expect(Ticket.update).not.toHaveBeenCalled();
+      });
+
+      it('should not load ticket when status is not being changed', async () => {
+        // Arrange
+        Ticket.update.mockResolvedValue({ id: 19, priority: 'high' });
+
+        // Act
+        await ticketService.updateTicket(19, { priority: 'high' });
+
+        // Assert
+        expect(Ticket.findById).not.toHaveBeenCalled();
+      });
+    });
   });
 });
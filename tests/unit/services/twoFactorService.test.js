@@ -0,0 +1,419 @@
+/**
+ * TwoFactorService Unit Tests
+ *
+ * Tests the TwoFactorService in complete isolation with models mocked. TOTP codes are
+ * generated with otplib from the same secret, so code checks run for real.
+ *
+ * Methods tested:
+ * - isRequiredFor(role, requiredRoles) / setupRequired(user)
+ * - buildEnrolment(username, secret)
+ * - hashRecoveryCode(code) / generateRecoveryCodes(count)
+ * - matchTotp(secret, code)
+ * - verifyCode(userId, code, ipAddress, context)
+ * - getStatus(user)
+ * - enable(userId, secret, code, ipAddress)
+ * - disable(user, code, ipAddress)
+ * - regenerateRecoveryCodes(userId, code, ipAddress)
+ * - resetForUser(actorId, targetId, ipAddress)
+ */
+
+const { authenticator } = require('otplib');
+const twoFactorService = require('../../../services/twoFactorService');
+const User = require('../../../models/User');
+const RecoveryCode = require('../../../models/RecoveryCode');
+const AuditLog = require('../../../models/AuditLog');
+
+// Mock dependencies
+jest.mock('../../../models/User');
+jest.mock('../../../models/RecoveryCode');
+jest.mock('../../../models/AuditLog');
+jest.mock('../../../utils/logger');
+
+describe('TwoFactorService', () => {
+  const secret = authenticator.generateSecret();
+  const enabledState = {
+    id: 5,
+    totp_secret: secret,
+    totp_enabled_at: new Date('2026-01-01'),
+    totp_last_step: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('isRequiredFor', () => {
+    it('should require it for the listed roles only', () => {
+      // Act & Assert
+      expect(twoFactorService.isRequiredFor('admin', ['admin', 'super_admin'])).toBe(true);
+      expect(twoFactorService.isRequiredFor('department', ['admin', 'super_admin'])).toBe(false);
+    });
+
+    it('should require it for no role when TWO_FACTOR_REQUIRED_ROLES is not set', () => {
+      // Act & Assert
+      expect(twoFactorService.isRequiredFor('super_admin')).toBe(false);
+    });
+  });
+
+  describe('setupRequired', () => {
+    it('should be true only for required roles without two-factor authentication', () => {
+      // Arrange
+      jest.spyOn(twoFactorService, 'isRequiredFor').mockReturnValue(true);
+
+      // Act & Assert
+      expect(twoFactorService.setupRequired({ role: 'admin', totp_enabled_at: null })).toBe(true);
+      expect(twoFactorService.setupRequired({ role: 'admin', totp_enabled_at: new Date() })).toBe(
+        false,
+      );
+    });
+  });
+
+  describe('buildEnrolment', () => {
+    it('should render the QR code as SVG on the server', async () => {
+      // Act
+      const result = await twoFactorService.buildEnrolment('alice', secret);
+
+      // Assert
+      expect(result.secret).toBe(secret);
+      expect(result.qrCode).toMatch(/^<svg/);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate distinct codes in the xxxxx-xxxxx format', () => {
+      // Act
+      const codes = twoFactorService.generateRecoveryCodes();
+
+      // Assert
+      expect(codes).toHaveLength(10);
+      codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(new Set(codes).size).toBe(10);
+    });
+
+    it('should hash a code the same way however it is typed', () => {
+      // Act
+      const hash = twoFactorService.hashRecoveryCode('3f9a1-c04be');
+
+      // Assert
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(twoFactorService.hashRecoveryCode(' 3F9A1 C04BE ')).toBe(hash);
+      expect(twoFactorService.hashRecoveryCode('3f9a1c04bf')).not.toBe(hash);
+    });
+  });
+
+  describe('matchTotp', () => {
+    it('should return the time step of a current code', () => {
+      // Act
+      const step = twoFactorService.matchTotp(secret, authenticator.generate(secret));
+
+      // Assert
+      expect(Math.abs(step - Math.floor(Date.now() / 30000))).toBeLessThanOrEqual(1);
+    });
+
+    it('should return null for a wrong or malformed code', () => {
+      // Act & Assert
+      const wrong = String((Number(authenticator.generate(secret)) + 1) % 1000000).padStart(6, '0');
+      expect(twoFactorService.matchTotp(secret, wrong)).toBeNull();
+      expect(twoFactorService.matchTotp(secret, 'abcdef')).toBeNull();
+      expect(twoFactorService.matchTotp(null, '123456')).toBeNull();
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('should accept a current code from the app once', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      User.recordTotpStep.mockResolvedValue(true);
+
+      // Act
+      const result = await twoFactorService.verifyCode(
+        5,
+        authenticator.generate(secret),
+        '1.2.3.4',
+      );
+
+      // Assert
+      expect(result).toBe('totp');
+      expect(User.recordTotpStep).toHaveBeenCalledWith(5, expect.any(Number));
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a replayed code and audit it', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      User.recordTotpStep.mockResolvedValue(false);
+
+      // Act
+      const result = await twoFactorService.verifyCode(
+        5,
+        authenticator.generate(secret),
+        '1.2.3.4',
+      );
+
+      // Assert
+      expect(result).toBeNull();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'TWO_FACTOR_FAILED', details: { context: 'login' } }),
+      );
+    });
+
+    it('should use up a recovery code and audit how many are left', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      RecoveryCode.consume.mockResolvedValue(true);
+      RecoveryCode.countUnused.mockResolvedValue(9);
+
+      // Act
+      const result = await twoFactorService.verifyCode(5, '3F9A1-C04BE', '1.2.3.4');
+
+      // Assert
+      expect(result).toBe('recovery_code');
+      expect(RecoveryCode.consume).toHaveBeenCalledWith(
+        5,
+        twoFactorService.hashRecoveryCode('3f9a1c04be'),
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'TWO_FACTOR_RECOVERY_CODE_USED',
+          details: { context: 'login', remaining: 9 },
+        }),
+      );
+    });
+
+    it('should refuse an unknown recovery code and audit it', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      RecoveryCode.consume.mockResolvedValue(false);
+
+      // Act
+      const result = await twoFactorService.verifyCode(5, 'aaaaa-bbbbb', '1.2.3.4', 'disable');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorId: 5,
+          action: 'TWO_FACTOR_FAILED',
+          details: { context: 'disable' },
+          ipAddress: '1.2.3.4',
+        }),
+      );
+    });
+
+    it('should refuse codes of users without two-factor authentication', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue({ id: 5, totp_secret: null, totp_enabled_at: null });
+
+      // Act
+      const result = await twoFactorService.verifyCode(5, '123456', '1.2.3.4');
+
+      // Assert
+      expect(result).toBeNull();
+      expect(User.recordTotpStep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should count the recovery codes left when two-factor authentication is on', async () => {
+      // Arrange
+      RecoveryCode.countUnused.mockResolvedValue(4);
+      const enabledAt = new Date('2026-01-01');
+
+      // Act
+      const result = await twoFactorService.getStatus({
+        id: 5,
+        role: 'admin',
+        totp_enabled_at: enabledAt,
+      });
+
+      // Assert
+      expect(result).toEqual({ enabled: true, enabledAt, required: false, recoveryCodesLeft: 4 });
+    });
+
+    it('should report two-factor authentication as off', async () => {
+      // Act
+      const result = await twoFactorService.getStatus({ id: 5, role: 'admin' });
+
+      // Assert
+      expect(result.enabled).toBe(false);
+      expect(RecoveryCode.countUnused).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enable', () => {
+    it('should turn two-factor authentication on and return new recovery codes', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue({ id: 5, totp_secret: null, totp_enabled_at: null });
+
+      // Act
+      const codes = await twoFactorService.enable(
+        5,
+        secret,
+        authenticator.generate(secret),
+        '1.2.3.4',
+      );
+
+      // Assert
+      expect(codes).toHaveLength(10);
+      expect(RecoveryCode.replaceForUser).toHaveBeenCalledWith(
+        5,
+        codes.map((code) => twoFactorService.hashRecoveryCode(code)),
+      );
+      expect(User.enableTwoFactor).toHaveBeenCalledWith(5, secret, expect.any(Number));
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'TWO_FACTOR_ENABLED',
+          targetId: 5,
+          details: { recovery_codes: 10 },
+        }),
+      );
+    });
+
+    it('should refuse a wrong code and audit it', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue({ id: 5, totp_secret: null, totp_enabled_at: null });
+
+      // Act & Assert
+      await expect(twoFactorService.enable(5, secret, 'abcdef', '1.2.3.4')).rejects.toMatchObject({
+        message: 'The code is not valid',
+        status: 400,
+      });
+      expect(User.enableTwoFactor).not.toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'TWO_FACTOR_FAILED', details: { context: 'enrol' } }),
+      );
+    });
+
+    it('should refuse a user who already has two-factor authentication', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+
+      // Act & Assert
+      await expect(
+        twoFactorService.enable(5, secret, authenticator.generate(secret), '1.2.3.4'),
+      ).rejects.toThrow('Two-factor authentication is already on');
+      expect(RecoveryCode.replaceForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('disable', () => {
+    it('should turn two-factor authentication off with a valid code', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      User.recordTotpStep.mockResolvedValue(true);
+
+      // Act
+      await twoFactorService.disable(
+        { id: 5, role: 'admin' },
+        authenticator.generate(secret),
+        '1.2.3.4',
+      );
+
+      // Assert
+      expect(User.disableTwoFactor).toHaveBeenCalledWith(5);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'TWO_FACTOR_DISABLED', targetId: 5 }),
+      );
+    });
+
+    it('should keep two-factor authentication on after a wrong code', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      RecoveryCode.consume.mockResolvedValue(false);
+
+      // Act & Assert
+      await expect(
+        twoFactorService.disable({ id: 5, role: 'admin' }, 'aaaaa-bbbbb', '1.2.3.4'),
+      ).rejects.toMatchObject({ status: 400 });
+      expect(User.disableTwoFactor).not.toHaveBeenCalled();
+    });
+
+    it('should refuse users whose role requires two-factor authentication', async () => {
+      // Arrange
+      jest.spyOn(twoFactorService, 'isRequiredFor').mockReturnValue(true);
+
+      // Act & Assert
+      await expect(
+        twoFactorService.disable({ id: 5, role: 'admin' }, '123456', '1.2.3.4'),
+      ).rejects.toMatchObject({ status: 403 });
+      expect(User.findTwoFactor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('regenerateRecoveryCodes', () => {
+    it('should replace the recovery codes after a valid code', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      User.recordTotpStep.mockResolvedValue(true);
+
+      // Act
+      const codes = await twoFactorService.regenerateRecoveryCodes(
+        5,
+        authenticator.generate(secret),
+        '1.2.3.4',
+      );
+
+      // Assert
+      expect(codes).toHaveLength(10);
+      expect(RecoveryCode.replaceForUser).toHaveBeenCalledWith(5, expect.any(Array));
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED' }),
+      );
+    });
+
+    it('should keep the recovery codes after a wrong code', async () => {
+      // Arrange
+      User.findTwoFactor.mockResolvedValue(enabledState);
+      RecoveryCode.consume.mockResolvedValue(false);
+
+      // Act & Assert
+      await expect(
+        twoFactorService.regenerateRecoveryCodes(5, 'aaaaa-bbbbb', '1.2.3.4'),
+      ).rejects.toThrow('The code is not valid');
+      expect(RecoveryCode.replaceForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetForUser', () => {
+    it('should turn off two-factor authentication for the user and audit it', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 7, username: 'bob', totp_enabled_at: new Date() });
+
+      // Act
+      await twoFactorService.resetForUser(1, 7, '1.2.3.4');
+
+      // Assert
+      expect(User.disableTwoFactor).toHaveBeenCalledWith(7);
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 1,
+        action: 'TWO_FACTOR_RESET',
+        targetType: 'user',
+        targetId: 7,
+        details: { username: 'bob' },
+        ipAddress: '1.2.3.4',
+      });
+    });
+
+    it('should throw 404 for an unknown user', async () => {
+      // Arrange
+      User.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(twoFactorService.resetForUser(1, 99, '1.2.3.4')).rejects.toMatchObject({
+        status: 404,
+      });
+    });
+
+    it('should throw 400 when two-factor authentication is off', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 7, username: 'bob', totp_enabled_at: null });
+
+      // Act & Assert
+      await expect(twoFactorService.resetForUser(1, 7, '1.2.3.4')).rejects.toMatchObject({
+        status: 400,
+      });
+      expect(User.disableTwoFactor).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -8,7 +8,11 @@
  * - getUserByUsername(username)
  * - getAllUsers()
  * - createUser(userData)
- * - changePassword(userId, currentPassword, newPassword)
+ * - changePassword(userId, currentPassword, newPassword, ipAddress)
+ * - changeEmail(userId, email, ipAddress)
+ * - setLanguage(userId, language)
+ * - getSessions(userId, currentSid)
+ * - signOutEverywhere(userId, ipAddress)
  * - updateUser(actorId, targetId, updates, ipAddress)
  * - deleteUser(actorId, targetId, ipAddress)
  * - resetUserPassword(actorId, targetId, newPassword, ipAddress)
@@ -18,13 +22,16 @@
 const userService = require('../../../services/userService');
 const User = require('../../../models/User');
 const AuditLog = require('../../../models/AuditLog');
+const PasswordHistory = require('../../../models/PasswordHistory');
 const bcrypt = require('bcryptjs');
 const { validatePassword } = require('../../../utils/passwordValidator');
+const { VALIDATION_MESSAGES } = require('../../../constants/validation');
 const { createUserData } = require('../../helpers/factories');
 
 // Mock dependencies
 jest.mock('../../../models/User');
 jest.mock('../../../models/AuditLog');
+jest.mock('../../../models/PasswordHistory');
 jest.mock('bcryptjs');
 jest.mock('../../../utils/passwordValidator');
 jest.mock('../../../utils/logger');
@@ -32,6 +39,7 @@ jest.mock('../../../utils/logger');
 describe('UserService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    PasswordHistory.findRecentHashes.mockResolvedValue([]);
   });
 
   describe('getUserById', () => {
@@ -207,8 +215,8 @@ describe('UserService', () => {
       };
 
       User.findById.mockResolvedValue({ username: 'testuser' });
-      User.findByUsername.mockResolvedValue(mockUser);
-      bcrypt.compare.mockResolvedValue(true);
+      User.findByUsernameWithPassword.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValueOnce(true).mockResolvedValue(false);
       validatePassword.mockReturnValue({ isValid: true, errors: [] });
       User.updatePassword.mockResolvedValue(true);
 
@@ -224,8 +232,7 @@ describe('UserService', () => {
 
     it('should throw error when user not found', async () => {
       // Arrange
-      User.findById.mockResolvedValue({ username: 'testuser' });
-      User.findByUsername.mockResolvedValue(null);
+      User.findById.mockResolvedValue(undefined);
 
       // Act & Assert
       await expect(userService.changePassword(999, 'OldPass123!', 'NewPass456!')).rejects.toThrow(
@@ -233,6 +240,22 @@ describe('UserService', () => {
       );
     });
 
+    it('should refuse directory users', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ username: 'jdoe' });
+      User.findByUsernameWithPassword.mockResolvedValue({
+        id: 7,
+        username: 'jdoe',
+        auth_provider: 'ldap',
+      });
+
+      // Act & Assert
+      await expect(userService.changePassword(7, 'OldPass123!', 'NewPass456!')).rejects.toThrow(
+        VALIDATION_MESSAGES.MANAGED_BY_DIRECTORY,
+      );
+      expect(User.updatePassword).not.toHaveBeenCalled();
+    });
+
     it('should throw error when current password is incorrect', async () => {
       // Arrange
       const mockUser = {
@@ -242,7 +265,7 @@ describe('UserService', () => {
       };
 
       User.findById.mockResolvedValue({ username: 'testuser' });
-      User.findByUsername.mockResolvedValue(mockUser);
+      User.findByUsernameWithPassword.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(false);
 
       // Act & Assert
@@ -261,7 +284,7 @@ describe('UserService', () => {
       };
 
       User.findById.mockResolvedValue({ username: 'testuser' });
-      User.findByUsername.mockResolvedValue(mockUser);
+      User.findByUsernameWithPassword.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(true);
       validatePassword.mockReturnValue({
         isValid: false,
@@ -284,7 +307,7 @@ describe('UserService', () => {
       };
 
       User.findById.mockResolvedValue({ username: 'testuser' });
-      User.findByUsername.mockResolvedValue(mockUser);
+      User.findByUsernameWithPassword.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(true);
       validatePassword.mockReturnValue({
         isValid: false,
@@ -299,6 +322,212 @@ describe('UserService', () => {
         'Password must contain uppercase letter, Password must contain special character',
       );
     });
+    it('should check the stored hash and audit the change', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 5, username: 'testuser' });
+      User.findByUsernameWithPassword.mockResolvedValue({
+        id: 5,
+        username: 'testuser',
+        password_hash: 'hashed_old_password',
+      });
+      bcrypt.compare.mockResolvedValueOnce(true).mockResolvedValue(false);
+      validatePassword.mockReturnValue({ isValid: true, errors: [] });
+      User.updatePassword.mockResolvedValue(true);
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      await userService.changePassword(5, 'OldPassword123!', 'NewPassword456!', '10.0.0.1');
+
+      // Assert
+      expect(User.findByUsernameWithPassword).toHaveBeenCalledWith('testuser');
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 5,
+        action: 'PASSWORD_CHANGED',
+        targetType: 'user',
+        targetId: 5,
+        details: {},
+        ipAddress: '10.0.0.1',
+      });
+    });
+  });
+
+  describe('changePassword password history', () => {
+    const user = { id: 5, username: 'testuser', password_hash: 'current_hash' };
+
+    beforeEach(() => {
+      User.findById.mockResolvedValue(user);
+      User.findByUsernameWithPassword.mockResolvedValue(user);
+      validatePassword.mockReturnValue({ isValid: true, errors: [] });
+      PasswordHistory.findRecentHashes.mockResolvedValue(['previous_hash', 'older_hash']);
+    });
+
+    it('should refuse the current password as the new one', async () => {
+      // Arrange
+      bcrypt.compare.mockResolvedValue(true);
+
+      // Act & Assert
+      await expect(userService.changePassword(5, 'Same#Pass123', 'Same#Pass123')).rejects.toThrow(
+        'The new password must differ from your last 5 passwords',
+      );
+      expect(User.updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a password from the history', async () => {
+      // Arrange
+      bcrypt.compare.mockImplementation(async (password, hash) =>
+        password === 'Current#Pass1' ? hash === 'current_hash' : hash === 'older_hash',
+      );
+
+      // Act & Assert
+      await expect(userService.changePassword(5, 'Current#Pass1', 'Older#Pass1')).rejects.toThrow(
+        'must differ from your last 5 passwords',
+      );
+      expect(PasswordHistory.findRecentHashes).toHaveBeenCalledWith(5, 4);
+      expect(User.updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('should accept a new password and trim the history', async () => {
+      // Arrange
+      bcrypt.compare.mockImplementation(
+        async (password, hash) => password === 'Current#Pass1' && hash === 'current_hash',
+      );
+
+      // Act
+      await userService.changePassword(5, 'Current#Pass1', 'Brand#New123');
+
+      // Assert
+      expect(User.updatePassword).toHaveBeenCalledWith(5, 'Brand#New123');
+      expect(PasswordHistory.prune).toHaveBeenCalledWith(5, 4);
+    });
+  });
+
+  describe('changeEmail', () => {
+    it('should update the email and audit the old and new address', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 5, username: 'testuser', email: 'old@example.com' });
+      User.findByEmail.mockResolvedValue(undefined);
+      User.update.mockResolvedValue({ id: 5, email: 'new@example.com' });
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      const result = await userService.changeEmail(5, 'new@example.com', '10.0.0.1');
+
+      // Assert
+      expect(result.email).toBe('new@example.com');
+      expect(User.update).toHaveBeenCalledWith(5, { email: 'new@example.com' });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorId: 5,
+          action: 'EMAIL_CHANGED',
+          targetId: 5,
+          details: { from: 'old@example.com', to: 'new@example.com' },
+        }),
+      );
+    });
+
+    it('should allow saving the current email again', async () => {
+      // Arrange
+      const user = { id: 5, username: 'testuser', email: 'same@example.com' };
+      User.findById.mockResolvedValue(user);
+      User.findByEmail.mockResolvedValue(user);
+      User.update.mockResolvedValue(user);
+
+      // Act & Assert
+      await expect(userService.changeEmail(5, 'same@example.com')).resolves.toEqual(user);
+    });
+
+    it('should refuse directory users', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 7, email: 'jdoe@hospital.local', auth_provider: 'ldap' });
+
+      // Act & Assert
+      await expect(userService.changeEmail(7, 'other@example.com')).rejects.toThrow(
+        VALIDATION_MESSAGES.MANAGED_BY_DIRECTORY,
+      );
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject an email used by another user', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 5, username: 'testuser', email: 'old@example.com' });
+      User.findByEmail.mockResolvedValue({ id: 9, email: 'taken@example.com' });
+
+      // Act & Assert
+      await expect(userService.changeEmail(5, 'taken@example.com')).rejects.toThrow(
+        'Email is already in use',
+      );
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the user does not exist', async () => {
+      // Arrange
+      User.findById.mockResolvedValue(undefined);
+
+      // Act & Assert
+      await expect(userService.changeEmail(999, 'new@example.com')).rejects.toThrow(
+        'User not found',
+      );
+    });
+  });
+
+  describe('setLanguage', () => {
+    it('should store a supported language', async () => {
+      // Arrange
+      User.updateLanguage.mockResolvedValue({ id: 5, username: 'testuser', language: 'en' });
+
+      // Act
+      const result = await userService.setLanguage(5, 'en');
+
+      // Assert
+      expect(result.language).toBe('en');
+      expect(User.updateLanguage).toHaveBeenCalledWith(5, 'en');
+    });
+
+    it('should reject an unsupported language', async () => {
+      // Act & Assert
+      await expect(userService.setLanguage(5, 'fr')).rejects.toThrow('Invalid language');
+      expect(User.updateLanguage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSessions', () => {
+    it('should mark the session making the request', async () => {
+      // Arrange
+      User.findSessions.mockResolvedValue([
+        { sid: 'abc', expire: new Date(), login_info: null },
+        { sid: 'def', expire: new Date(), login_info: null },
+      ]);
+
+      // Act
+      const result = await userService.getSessions(5, 'def');
+
+      // Assert
+      expect(User.findSessions).toHaveBeenCalledWith(5);
+      expect(result.map((session) => session.current)).toEqual([false, true]);
+    });
+  });
+
+  describe('signOutEverywhere', () => {
+    it('should clear all sessions of the user and audit it', async () => {
+      // Arrange
+      User.clearUserSessions.mockResolvedValue(3);
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      const result = await userService.signOutEverywhere(5, '10.0.0.1');
+
+      // Assert
+      expect(result).toBe(3);
+      expect(User.clearUserSessions).toHaveBeenCalledWith(5);
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 5,
+        action: 'USER_SESSIONS_REVOKED',
+        targetType: 'user',
+        targetId: 5,
+        details: { sessionsCleared: 3 },
+        ipAddress: '10.0.0.1',
+      });
+    });
   });
 
   describe('updateUser', () => {
@@ -706,7 +935,9 @@ describe('UserService', () => {
       // Assert
       expect(result).toBe(true);
       expect(validatePassword).toHaveBeenCalledWith(newPassword);
-      expect(User.updatePassword).toHaveBeenCalledWith(targetId, newPassword);
+      expect(User.updatePassword).toHaveBeenCalledWith(targetId, newPassword, null, {
+        mustChange: true,
+      });
       expect(AuditLog.create).toHaveBeenCalledWith({
         actorId,
         action: 'PASSWORD_RESET',
@@ -728,6 +959,17 @@ describe('UserService', () => {
       expect(User.updatePassword).not.toHaveBeenCalled();
     });
 
+    it('should refuse to reset the password of a directory user', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 7, username: 'jdoe', auth_provider: 'ldap' });
+
+      // Act & Assert
+      await expect(
+        userService.resetUserPassword(1, 7, 'NewPass123!', '127.0.0.1'),
+      ).rejects.toThrow(VALIDATION_MESSAGES.MANAGED_BY_DIRECTORY);
+      expect(User.updatePassword).not.toHaveBeenCalled();
+    });
+
     it('should throw error when new password is invalid', async () => {
       // Arrange
       const mockTarget = { id: 5, username: 'target' };
@@ -749,6 +991,55 @@ describe('UserService', () => {
     });
   });
 
+  describe('unlockUser', () => {
+    it('should lift the lock and audit the previous lock state', async () => {
+      // Arrange
+      const lockedUntil = new Date('2026-10-19T12:30:00Z');
+      User.findById.mockResolvedValue({
+        id: 5,
+        username: 'user5',
+        login_attempts: 6,
+        locked_until: lockedUntil,
+      });
+      User.unlock.mockResolvedValue({ id: 5, login_attempts: 0, locked_until: null });
+      AuditLog.create.mockResolvedValue({});
+
+      // Act
+      const result = await userService.unlockUser(1, 5, '127.0.0.1');
+
+      // Assert
+      expect(result).toBe(true);
+      expect(User.unlock).toHaveBeenCalledWith(5);
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actorId: 1,
+        action: 'USER_UNLOCKED',
+        targetType: 'user',
+        targetId: 5,
+        details: { login_attempts: 6, locked_until: lockedUntil },
+        ipAddress: '127.0.0.1',
+      });
+    });
+
+    it('should reject accounts without failed logins', async () => {
+      // Arrange
+      User.findById.mockResolvedValue({ id: 5, login_attempts: 0, locked_until: null });
+
+      // Act & Assert
+      await expect(userService.unlockUser(1, 5, '127.0.0.1')).rejects.toThrow(
+        'Account is not locked',
+      );
+      expect(User.unlock).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the user does not exist', async () => {
+      // Arrange
+      User.findById.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(userService.unlockUser(1, 99, '127.0.0.1')).rejects.toThrow('User not found');
+    });
+  });
+
   describe('toggleUserStatus', () => {
     it('should delegate to updateUser correctly', async () => {
       // Arrange
@@ -0,0 +1,57 @@
+/**
+ * CSV Utility Unit Tests
+ *
+ * Tests CSV field escaping and document building.
+ */
+
+const { escapeCsvField, toCsv } = require('../../../utils/csv');
+
+describe('CSV Utility', () => {
+  describe('escapeCsvField', () => {
+    it.each([
+      ['plain', 'plain'],
+      [42, '42'],
+      [null, ''],
+      [undefined, ''],
+      ['a,b', '"a,b"'],
+      ['say "hi"', '"say ""hi"""'],
+      ['line\nbreak', '"line\nbreak"'],
+    ])('should escape %p as %p', (value, expected) => {
+      expect(escapeCsvField(value)).toBe(expected);
+    });
+
+    it('should write dates as ISO timestamps', () => {
+      expect(escapeCsvField(new Date('2026-03-01T09:30:00Z'))).toBe('2026-03-01T09:30:00.000Z');
+    });
+
+    it.each(['=SUM(A1:A2)', '+1', '-1', '@cmd'])(
+      'should neutralise spreadsheet formula %p',
+      (value) => {
+        expect(escapeCsvField(value)).toBe(`'${value}`);
+      },
+    );
+  });
+
+  describe('toCsv', () => {
+    it('should write a header line and one line per row with CRLF endings', () => {
+      // Arrange
+      const columns = [
+        { header: 'ID', value: (row) => row.id },
+        { header: 'Name', value: (row) => row.name },
+      ];
+
+      // Act
+      const result = toCsv(columns, [
+        { id: 1, name: 'Cardiology' },
+        { id: 2, name: 'Radiology, Floor 2' },
+      ]);
+
+      // Assert
+      expect(result).toBe('ID,Name\r\n1,Cardiology\r\n2,"Radiology, Floor 2"\r\n');
+    });
+
+    it('should write only the header for no rows', () => {
+      expect(toCsv([{ header: 'ID', value: (row) => row.id }], [])).toBe('ID\r\n');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for Pagination Utility
+ *
+ * Tests parsing of untrusted page/per_page query values and the page
+ * metadata used by the dashboard pagination controls.
+ */
+
+const { DEFAULT_PER_PAGE, parsePagination, buildPagination } = require('../../../utils/pagination');
+
+describe('parsePagination', () => {
+  it('should default to first page with default page size', () => {
+    expect(parsePagination({})).toEqual({ page: 1, perPage: DEFAULT_PER_PAGE });
+  });
+
+  it('should parse valid page and page size', () => {
+    expect(parsePagination({ page: '3', per_page: '50' })).toEqual({ page: 3, perPage: 50 });
+  });
+
+  it.each(['0', '-2', 'abc', '2.5', '1; DROP TABLE tickets'])(
+    'should fall back to page 1 for page=%p',
+    (page) => {
+      expect(parsePagination({ page }).page).toBe(1);
+    },
+  );
+
+  it.each(['7', '1000', 'all', '-25'])('should ignore unsupported per_page=%p', (perPage) => {
+    expect(parsePagination({ per_page: perPage }).perPage).toBe(DEFAULT_PER_PAGE);
+  });
+});
+
+describe('buildPagination', () => {
+  it('should describe a middle page', () => {
+    expect(buildPagination(2, 25, 60)).toEqual({
+      page: 2,
+      perPage: 25,
+      perPageOptions: [10, 25, 50, 100],
+      total: 60,
+      totalPages: 3,
+      offset: 25,
+      hasPrevious: true,
+      hasNext: true,
+      from: 26,
+      to: 50,
+    });
+  });
+
+  it('should stop at the total on the last page', () => {
+    expect(buildPagination(3, 25, 60)).toMatchObject({ hasNext: false, from: 51, to: 60 });
+  });
+
+  it('should clamp a page past the end to the last page', () => {
+    expect(buildPagination(10, 25, 60)).toMatchObject({ page: 3, offset: 50 });
+  });
+
+  it('should report a single empty page when there are no rows', () => {
+    expect(buildPagination(1, 25, 0)).toMatchObject({
+      page: 1,
+      totalPages: 1,
+      offset: 0,
+      hasPrevious: false,
+      hasNext: false,
+      from: 0,
+      to: 0,
+    });
+  });
+});
@@ -1,14 +1,19 @@
 /**
  * Response Helpers Unit Tests
  *
- * Tests the response helper utilities for flashing messages and redirecting.
- * Covers all 3 functions with success and edge cases.
+ * Tests the response helper utilities for flashing messages and redirecting,
+ * the JSON API error helper and file downloads. Covers all 5 functions with success
+ * and edge cases.
  */
 
+const { PassThrough } = require('stream');
+
 const {
   flashAndRedirect,
   successRedirect,
   errorRedirect,
+  apiError,
+  sendDownload,
 } = require('../../../utils/responseHelpers');
 const { FLASH_KEYS } = require('../../../constants/messages');
 const { createMockRequest, createMockResponse } = require('../../helpers/mocks');
@@ -225,4 +230,90 @@ describe('Response Helpers', () => {
       expect(mockRes.redirect).toHaveBeenCalledWith(path);
     });
   });
+
+  describe('apiError', () => {
+    it('should send status and error body with code and message', () => {
+      // Act
+      apiError(mockRes, 404, 'NOT_FOUND', 'Ticket not found');
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: { code: 'NOT_FOUND', message: 'Ticket not found' },
+      });
+    });
+
+    it('should include details when given', () => {
+      // Arrange
+      const details = [{ field: 'title', message: 'Title is required' }];
+
+      // Act
+      apiError(mockRes, 400, 'VALIDATION_ERROR', 'Validation failed', details);
+
+      // Assert
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details },
+      });
+    });
+  });
+
+  describe('sendDownload', () => {
+    const file = { filename: 'error.png', mimeType: 'image/png', size: 8 };
+
+    beforeEach(() => {
+      mockRes.attachment = jest.fn();
+      mockRes.headersSent = false;
+      mockRes.destroy = jest.fn();
+    });
+
+    it('should set download headers and pipe the stream to the response', () => {
+      // Arrange
+      const stream = new PassThrough();
+      stream.pipe = jest.fn();
+
+      // Act
+      sendDownload(mockRes, jest.fn(), stream, file);
+
+      // Assert
+      expect(mockRes.attachment).toHaveBeenCalledWith('error.png');
+      expect(mockRes.set).toHaveBeenCalledWith({
+        'Content-Type': 'image/png',
+        'Content-Length': '8',
+      });
+      expect(stream.pipe).toHaveBeenCalledWith(mockRes);
+    });
+
+    it('should pass a missing file to next() as a 404', () => {
+      // Arrange
+      const stream = new PassThrough();
+      stream.pipe = jest.fn();
+      const next = jest.fn();
+      const error = Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' });
+
+      // Act
+      sendDownload(mockRes, next, stream, file);
+      stream.emit('error', error);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(error.status).toBe(404);
+    });
+
+    it('should abort the response when the stream fails mid-download', () => {
+      // Arrange
+      const stream = new PassThrough();
+      stream.pipe = jest.fn();
+      const next = jest.fn();
+      const error = new Error('EIO');
+
+      // Act
+      sendDownload(mockRes, next, stream, file);
+      mockRes.headersSent = true;
+      stream.emit('error', error);
+
+      // Assert
+      expect(mockRes.destroy).toHaveBeenCalledWith(error);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,142 @@
+/**
+ * Ticket Status Transitions Unit Tests
+ *
+ * Tests the central ticket status state machine used by ticketService and
+ * clientTicketService. Every (from, to) pair is checked for every role so that
+ * any change to the transition table is a deliberate, visible test change.
+ */
+
+const {
+  INVALID_STATUS_TRANSITION,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+} = require('../../../utils/ticketStatusTransitions');
+
+const STATUSES = ['open', 'in_progress', 'waiting_on_admin', 'waiting_on_department', 'closed'];
+
+const EXPECTED_ADMIN = {
+  open: ['in_progress', 'waiting_on_department'],
+  in_progress: ['waiting_on_department', 'closed'],
+  waiting_on_admin: ['in_progress', 'waiting_on_department', 'closed'],
+  waiting_on_department: ['in_progress', 'closed'],
+  closed: ['open'],
+};
+
+const EXPECTED_DEPARTMENT = {
+  open: ['waiting_on_admin', 'closed'],
+  in_progress: ['waiting_on_admin', 'closed'],
+  waiting_on_admin: ['closed'],
+  waiting_on_department: ['waiting_on_admin', 'closed'],
+  closed: [],
+};
+
+describe('ticketStatusTransitions', () => {
+  describe('getAllowedTransitions', () => {
+    it.each(STATUSES)('should return admin transitions from %s', (from) => {
+      expect(getAllowedTransitions(from, 'admin')).toEqual(EXPECTED_ADMIN[from]);
+    });
+
+    it.each(STATUSES)('should give super_admin the same transitions as admin from %s', (from) => {
+      expect(getAllowedTransitions(from, 'super_admin')).toEqual(EXPECTED_ADMIN[from]);
+    });
+
+    it.each(STATUSES)('should return department transitions from %s', (from) => {
+      expect(getAllowedTransitions(from, 'department')).toEqual(EXPECTED_DEPARTMENT[from]);
+    });
+
+    it('should return empty array for unknown role', () => {
+      expect(getAllowedTransitions('open', 'guest')).toEqual([]);
+    });
+
+    it('should return empty array for unknown status', () => {
+      expect(getAllowedTransitions('archived', 'admin')).toEqual([]);
+    });
+
+    it('should return a copy that cannot mutate the transition table', () => {
+      // Arrange
+      const allowed = getAllowedTransitions('closed', 'admin');
+
+      // Act
+      allowed.push('in_progress');
+
+      // Assert
+      expect(getAllowedTransitions('closed', 'admin')).toEqual(['open']);
+    });
+  });
+
+  describe('canTransition', () => {
+    const cases = [];
+    for (const [role, expected] of [
+      ['admin', EXPECTED_ADMIN],
+      ['super_admin', EXPECTED_ADMIN],
+      ['department', EXPECTED_DEPARTMENT],
+    ]) {
+      for (const from of STATUSES) {
+        for (const to of STATUSES) {
+          cases.push([role, from, to, from === to || expected[from].includes(to)]);
+        }
+      }
+    }
+
+    it.each(cases)('%s: %s -> %s should be %s', (role, from, to, expected) => {
+      expect(canTransition(from, to, role)).toBe(expected);
+    });
+
+    it('should reject unknown target status even when unchanged', () => {
+      expect(canTransition('archived', 'archived', 'admin')).toBe(false);
+    });
+
+    it('should reject any transition for unknown role', () => {
+      expect(canTransition('open', 'open', 'guest')).toBe(false);
+      expect(canTransition('open', 'in_progress', undefined)).toBe(false);
+    });
+
+    it('should only allow leaving closed via reopen to open', () => {
+      expect(canTransition('closed', 'open', 'admin')).toBe(true);
+      expect(canTransition('closed', 'in_progress', 'admin')).toBe(false);
+      expect(canTransition('closed', 'waiting_on_admin', 'department')).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('should not throw for allowed transition', () => {
+      expect(() => assertTransition('open', 'in_progress', 'admin')).not.toThrow();
+    });
+
+    it('should not throw when status is unchanged', () => {
+      expect(() => assertTransition('closed', 'closed', 'department')).not.toThrow();
+    });
+
+    it('should throw error with transition details for disallowed transition', () => {
+      // Act
+      let thrown;
+      try {
+        assertTransition('open', 'closed', 'admin');
+      } catch (error) {
+        thrown = error;
+      }
+
+      // Assert
+      expect(thrown).toBeInstanceOf(Error);
+      expect(thrown.message).toBe('Cannot change ticket status from open to closed');
+      expect(thrown.code).toBe(INVALID_STATUS_TRANSITION);
+      expect(thrown.status).toBe(400);
+      expect(thrown.fromStatus).toBe('open');
+      expect(thrown.toStatus).toBe('closed');
+      expect(thrown.role).toBe('admin');
+    });
+
+    it('should throw when department user tries to reopen closed ticket', () => {
+      expect(() => assertTransition('closed', 'waiting_on_admin', 'department')).toThrow(
+        'Cannot change ticket status from closed to waiting_on_admin',
+      );
+    });
+
+    it('should throw when department user tries to set admin-only status', () => {
+      expect(() => assertTransition('waiting_on_admin', 'in_progress', 'department')).toThrow(
+        'Cannot change ticket status from waiting_on_admin to in_progress',
+      );
+    });
+  });
+});
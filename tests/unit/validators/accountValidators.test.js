@@ -0,0 +1,138 @@
+/**
+ * Account Validators Unit Tests
+ *
+ * Tests the /account (password, email, language) validation middleware using express-validator.
+ */
+
+const { validationResult } = require('express-validator');
+const {
+  validatePasswordChange,
+  validateEmailChange,
+  validateLanguage,
+} = require('../../../validators/accountValidators');
+const { createMockRequest } = require('../../helpers/mocks');
+
+/**
+ * Helper function to run validators and collect errors
+ */
+async function runValidators(validators, req) {
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+}
+
+describe('Account Validators', () => {
+  describe('validatePasswordChange', () => {
+    it('should pass with the current password and a confirmed strong new password', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: {
+          current_password: 'OldPassword123!',
+          new_password: 'NewPassword456!',
+          confirm_password: 'NewPassword456!',
+        },
+      });
+
+      // Act
+      const result = await runValidators(validatePasswordChange, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    it('should require the current password', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { new_password: 'NewPassword456!', confirm_password: 'NewPassword456!' },
+      });
+
+      // Act
+      const result = await runValidators(validatePasswordChange, req);
+
+      // Assert
+      expect(result.array()[0].msg).toBe('Current password is required');
+    });
+
+    it('should fail for a weak new password', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { current_password: 'x', new_password: 'weakpass', confirm_password: 'weakpass' },
+      });
+
+      // Act
+      const result = await runValidators(validatePasswordChange, req);
+
+      // Assert
+      expect(result.array()[0].msg).toBe(
+        'Password must contain uppercase, lowercase, number, and special character',
+      );
+    });
+
+    it('should fail when the confirmation does not match', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: {
+          current_password: 'OldPassword123!',
+          new_password: 'NewPassword456!',
+          confirm_password: 'NewPassword789!',
+        },
+      });
+
+      // Act
+      const result = await runValidators(validatePasswordChange, req);
+
+      // Assert
+      expect(result.array()[0].msg).toBe('New password and confirmation do not match');
+    });
+  });
+
+  describe('validateEmailChange', () => {
+    it('should pass and normalize a valid email', async () => {
+      // Arrange
+      const req = createMockRequest({ body: { email: '  User@Example.com ' } });
+
+      // Act
+      const result = await runValidators(validateEmailChange, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.body.email).toBe('user@example.com');
+    });
+
+    it.each(['', 'not-an-email'])('should fail for email "%s"', async (email) => {
+      // Arrange
+      const req = createMockRequest({ body: { email } });
+
+      // Act
+      const result = await runValidators(validateEmailChange, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+    });
+  });
+
+  describe('validateLanguage', () => {
+    it.each(['el', 'en'])('should pass for %s', async (language) => {
+      // Arrange
+      const req = createMockRequest({ body: { language } });
+
+      // Act
+      const result = await runValidators(validateLanguage, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    it('should fail for an unsupported language', async () => {
+      // Arrange
+      const req = createMockRequest({ body: { language: 'fr' } });
+
+      // Act
+      const result = await runValidators(validateLanguage, req);
+
+      // Assert
+      expect(result.array()[0].msg).toBe('Unsupported language');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * API Token Validators Unit Tests
+ *
+ * Tests the API token validation middleware using express-validator.
+ * Covers both validator arrays with valid and invalid inputs.
+ */
+
+const { validationResult } = require('express-validator');
+const {
+  validateApiTokenId,
+  validateApiTokenCreate,
+} = require('../../../validators/apiTokenValidators');
+const { createMockRequest } = require('../../helpers/mocks');
+
+/**
+ * Helper function to run validators and collect errors
+ */
+async function runValidators(validators, req) {
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+}
+
+describe('API Token Validators', () => {
+  describe('validateApiTokenId', () => {
+    it('should pass and convert a valid token ID to an integer', async () => {
+      // Arrange
+      const req = createMockRequest({ params: { tokenId: '12' } });
+
+      // Act
+      const result = await runValidators(validateApiTokenId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.params.tokenId).toBe(12);
+    });
+
+    it.each(['0', '-1', 'abc'])('should fail for token ID %p', async (tokenId) => {
+      // Arrange
+      const req = createMockRequest({ params: { tokenId } });
+
+      // Act
+      const result = await runValidators(validateApiTokenId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+    });
+  });
+
+  describe('validateApiTokenCreate', () => {
+    it('should pass and convert expiry to an integer for valid input', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { name: '  Monitoring  ', scope: 'read', expires_in_days: '30' },
+      });
+
+      // Act
+      const result = await runValidators(validateApiTokenCreate, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.body.name).toBe('Monitoring');
+      expect(req.body.expires_in_days).toBe(30);
+    });
+
+    it('should fail when name is empty', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { name: '   ', scope: 'write', expires_in_days: '90' },
+      });
+
+      // Act
+      const result = await runValidators(validateApiTokenCreate, req);
+
+      // Assert
+      expect(result.array().map((e) => e.path)).toEqual(['name']);
+    });
+
+    it('should fail when name is too long', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { name: 'a'.repeat(101), scope: 'write', expires_in_days: '90' },
+      });
+
+      // Act
+      const result = await runValidators(validateApiTokenCreate, req);
+
+      // Assert
+      expect(result.array().map((e) => e.path)).toEqual(['name']);
+    });
+
+    it('should fail for an unknown scope', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { name: 'CI', scope: 'admin', expires_in_days: '90' },
+      });
+
+      // Act
+      const result = await runValidators(validateApiTokenCreate, req);
+
+      // Assert
+      expect(result.array().map((e) => e.path)).toEqual(['scope']);
+    });
+
+    it.each(['0', '14', '3650', 'never'])(
+      'should fail for expiry %p outside the allowed options',
+      async (expiresInDays) => {
+        // Arrange
+        const req = createMockRequest({
+          body: { name: 'CI', scope: 'read', expires_in_days: expiresInDays },
+        });
+
+        // Act
+        const result = await runValidators(validateApiTokenCreate, req);
+
+        // Assert
+        expect(result.array().map((e) => e.path)).toEqual(['expires_in_days']);
+      },
+    );
+  });
+});
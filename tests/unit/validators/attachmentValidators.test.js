@@ -0,0 +1,46 @@
+/**
+ * Attachment Validators Unit Tests
+ *
+ * Tests the attachment ID validation middleware using express-validator.
+ */
+
+const { validationResult } = require('express-validator');
+const { validateAttachmentId } = require('../../../validators/attachmentValidators');
+const { createMockRequest } = require('../../helpers/mocks');
+
+/**
+ * Helper function to run validators and collect errors
+ */
+async function runValidators(validators, req) {
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+}
+
+describe('Attachment Validators', () => {
+  describe('validateAttachmentId', () => {
+    it('should pass and convert a valid ID to an integer', async () => {
+      // Arrange
+      const req = createMockRequest({ params: { id: '42' } });
+
+      // Act
+      const result = await runValidators(validateAttachmentId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.params.id).toBe(42);
+    });
+
+    it.each(['0', '-3', 'file.png'])('should fail for ID %p', async (id) => {
+      // Arrange
+      const req = createMockRequest({ params: { id } });
+
+      // Act
+      const result = await runValidators(validateAttachmentId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+    });
+  });
+});
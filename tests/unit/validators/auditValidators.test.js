@@ -0,0 +1,72 @@
+/**
+ * Audit Validators Unit Tests
+ *
+ * Tests the audit log browser validation middleware using express-validator.
+ */
+
+const { validationResult } = require('express-validator');
+const { validateAuditLogId, validateAuditExport } = require('../../../validators/auditValidators');
+const { createMockRequest } = require('../../helpers/mocks');
+
+/**
+ * Helper function to run validators and collect errors
+ */
+async function runValidators(validators, req) {
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+}
+
+describe('Audit Validators', () => {
+  describe('validateAuditLogId', () => {
+    it('should pass and convert a positive integer ID', async () => {
+      // Arrange
+      const req = createMockRequest({ params: { id: '7' } });
+
+      // Act
+      const result = await runValidators(validateAuditLogId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.params.id).toBe(7);
+    });
+
+    it.each(['0', 'abc'])('should fail for ID %s', async (id) => {
+      // Arrange
+      const req = createMockRequest({ params: { id } });
+
+      // Act
+      const result = await runValidators(validateAuditLogId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].msg).toBe('Invalid ID provided');
+    });
+  });
+
+  describe('validateAuditExport', () => {
+    it.each(['csv', 'json'])('should pass for format %s', async (format) => {
+      // Arrange
+      const req = createMockRequest({ query: { format } });
+
+      // Act
+      const result = await runValidators(validateAuditExport, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    it.each([undefined, 'xml'])('should fail for format %s', async (format) => {
+      // Arrange
+      const req = createMockRequest({ query: { format } });
+
+      // Act
+      const result = await runValidators(validateAuditExport, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].msg).toBe('Export format must be CSV or JSON');
+    });
+  });
+});
@@ -2,11 +2,11 @@
  * Auth Validators Unit Tests
  *
  * Tests the authentication validation middleware using express-validator.
- * Covers the validateLogin validator with valid and invalid inputs.
+ * Covers the validateLogin and validateTwoFactorCode validators with valid and invalid inputs.
  */
 
 const { validationResult } = require('express-validator');
-const { validateLogin } = require('../../../validators/authValidators');
+const { validateLogin, validateTwoFactorCode } = require('../../../validators/authValidators');
 const { createMockRequest } = require('../../helpers/mocks');
 
 /**
@@ -207,4 +207,46 @@ describe('Auth Validators', () => {
       expect(result.isEmpty()).toBe(true);
     });
   });
+
+  describe('validateTwoFactorCode', () => {
+    it('should accept a code from the app and a recovery code', async () => {
+      // Arrange
+      const totpReq = createMockRequest({ body: { code: ' 123456 ' } });
+      const recoveryReq = createMockRequest({ body: { code: '3f9a1-c04be' } });
+
+      // Act
+      const totpResult = await runValidators(validateTwoFactorCode, totpReq);
+      const recoveryResult = await runValidators(validateTwoFactorCode, recoveryReq);
+
+      // Assert
+      expect(totpResult.isEmpty()).toBe(true);
+      expect(totpReq.body.code).toBe('123456');
+      expect(recoveryResult.isEmpty()).toBe(true);
+    });
+
+    it('should fail when the code is missing', async () => {
+      // Arrange
+      const req = createMockRequest({ body: { code: '   ' } });
+
+      // Act
+      const result = await runValidators(validateTwoFactorCode, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].msg).toBe(
+        'Enter the code from your authenticator app or a recovery code',
+      );
+    });
+
+    it('should fail for overlong input', async () => {
+      // Arrange
+      const req = createMockRequest({ body: { code: 'x'.repeat(21) } });
+
+      // Act
+      const result = await runValidators(validateTwoFactorCode, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,100 @@
+/**
+ * Notification Validators Unit Tests
+ *
+ * Tests the notification center and settings validation middleware using express-validator.
+ */
+
+const { validationResult } = require('express-validator');
+const {
+  validateNotificationId,
+  validateNotificationPreferences,
+} = require('../../../validators/notificationValidators');
+const { createMockRequest } = require('../../helpers/mocks');
+
+/**
+ * Helper function to run validators and collect errors
+ */
+async function runValidators(validators, req) {
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+}
+
+describe('Notification Validators', () => {
+  describe('validateNotificationId', () => {
+    it('should pass and convert a positive integer ID', async () => {
+      // Arrange
+      const req = createMockRequest({ params: { id: '12' } });
+
+      // Act
+      const result = await runValidators(validateNotificationId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.params.id).toBe(12);
+    });
+
+    it.each(['0', '-1', 'abc'])('should fail for ID %s', async (id) => {
+      // Arrange
+      const req = createMockRequest({ params: { id } });
+
+      // Act
+      const result = await runValidators(validateNotificationId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].msg).toBe('Invalid ID provided');
+    });
+  });
+
+  describe('validateNotificationPreferences', () => {
+    it('should pass when no event is checked', async () => {
+      // Arrange
+      const req = createMockRequest({ body: {} });
+
+      // Act
+      const result = await runValidators(validateNotificationPreferences, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    it('should turn a single checked event into an array', async () => {
+      // Arrange
+      const req = createMockRequest({ body: { email_events: 'ticket_reply' } });
+
+      // Act
+      const result = await runValidators(validateNotificationPreferences, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.body.email_events).toEqual(['ticket_reply']);
+    });
+
+    it('should pass for several known events', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { email_events: ['ticket_reply', 'status_change', 'department_reply'] },
+      });
+
+      // Act
+      const result = await runValidators(validateNotificationPreferences, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    it('should fail for an unknown event', async () => {
+      // Arrange
+      const req = createMockRequest({ body: { email_events: ['ticket_reply', 'weekly_digest'] } });
+
+      // Act
+      const result = await runValidators(validateNotificationPreferences, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].msg).toBe('Invalid notification event');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Report Validators Unit Tests
+ *
+ * Tests the report CSV download validation middleware using express-validator.
+ */
+
+const { validationResult } = require('express-validator');
+const { validateReportExport } = require('../../../validators/reportValidators');
+const { createMockRequest } = require('../../helpers/mocks');
+
+/**
+ * Helper function to run validators and collect errors
+ */
+async function runValidators(validators, req) {
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+}
+
+describe('Report Validators', () => {
+  describe('validateReportExport', () => {
+    it.each(['volume', 'backlog', 'response_times', 'departments', 'floors', 'reporters'])(
+      'should pass for report %s',
+      async (report) => {
+        // Arrange
+        const req = createMockRequest({ query: { report } });
+
+        // Act
+        const result = await runValidators(validateReportExport, req);
+
+        // Assert
+        expect(result.isEmpty()).toBe(true);
+      },
+    );
+
+    it.each([undefined, 'users'])('should fail for report %s', async (report) => {
+      // Arrange
+      const req = createMockRequest({ query: { report } });
+
+      // Act
+      const result = await runValidators(validateReportExport, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+      expect(result.array()[0].msg).toBe('Unknown report');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * SLA Validators Unit Tests
+ *
+ * Tests the SLA policy validation middleware using express-validator.
+ * Covers all 3 validator arrays with valid and invalid inputs.
+ */
+
+const { validationResult } = require('express-validator');
+const {
+  validateSlaPolicyId,
+  validateSlaPolicyCreate,
+  validateSlaPolicyUpdate,
+} = require('../../../validators/slaValidators');
+const { createMockRequest } = require('../../helpers/mocks');
+
+/**
+ * Helper function to run validators and collect errors
+ */
+async function runValidators(validators, req) {
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+}
+
+describe('SLA Validators', () => {
+  describe('validateSlaPolicyId', () => {
+    it('should pass validation for valid positive integer ID', async () => {
+      // Arrange
+      const req = createMockRequest({ params: { id: '3' } });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    it('should fail when ID is not a positive integer', async () => {
+      // Arrange
+      const req = createMockRequest({ params: { id: '0' } });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyId, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(false);
+    });
+  });
+
+  describe('validateSlaPolicyCreate', () => {
+    it('should pass and convert targets to integers for a global policy', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: {
+          priority: 'critical',
+          department_id: '',
+          first_response_minutes: '15',
+          resolution_minutes: '240',
+        },
+      });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyCreate, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.body.first_response_minutes).toBe(15);
+      expect(req.body.resolution_minutes).toBe(240);
+    });
+
+    it('should convert department_id to integer', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: {
+          priority: 'high',
+          department_id: '4',
+          first_response_minutes: '30',
+          resolution_minutes: '60',
+        },
+      });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyCreate, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+      expect(req.body.department_id).toBe(4);
+    });
+
+    it('should fail for unknown priority', async () => {
+      // Arrange
+      const req = createMockRequest({
+        body: { priority: 'urgent', first_response_minutes: '30', resolution_minutes: '60' },
+      });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyCreate, req);
+
+      // Assert
+      expect(result.array().map((e) => e.path)).toEqual(['priority']);
+    });
+
+    it.each([
+      ['missing', undefined],
+      ['zero', '0'],
+      ['negative', '-5'],
+      ['decimal', '1.5'],
+      ['text', 'soon'],
+    ])('should fail when first response target is %s', async (label, value) => {
+      // Arrange
+      const req = createMockRequest({
+        body: { priority: 'low', first_response_minutes: value, resolution_minutes: '60' },
+      });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyCreate, req);
+
+      // Assert
+      expect(result.array().map((e) => e.path)).toContain('first_response_minutes');
+    });
+  });
+
+  describe('validateSlaPolicyUpdate', () => {
+    it('should pass validation with valid id and targets', async () => {
+      // Arrange
+      const req = createMockRequest({
+        params: { id: '1' },
+        body: { first_response_minutes: '10', resolution_minutes: '120' },
+      });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyUpdate, req);
+
+      // Assert
+      expect(result.isEmpty()).toBe(true);
+    });
+
+    it('should fail when resolution target is missing', async () => {
+      // Arrange
+      const req = createMockRequest({
+        params: { id: '1' },
+        body: { first_response_minutes: '10' },
+      });
+
+      // Act
+      const result = await runValidators(validateSlaPolicyUpdate, req);
+
+      // Assert
+      expect(result.array().map((e) => e.path)).toContain('resolution_minutes');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * CSV Utility
+ *
+ * Builds RFC 4180 CSV text for downloads that are opened in spreadsheet
+ * applications.
+ *
+ * @module utils/csv
+ */
+
+// Leading characters a spreadsheet would evaluate as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape one CSV field
+ * Fields with separators, quotes or line breaks are quoted; text that a
+ * spreadsheet would run as a formula is prefixed with an apostrophe.
+ *
+ * @param {*} value - Field value (null and undefined become an empty field)
+ * @returns {string} Escaped field
+ *
+ * @example
+ * escapeCsvField('say "hi", bye');
+ * // Returns: '"say ""hi"", bye"'
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows
+ *
+ * @param {Array<{header: string, value: Function}>} columns - Header and value getter per column
+ * @param {Array<Object>} rows - Rows to write
+ * @returns {string} CSV text with a header line and CRLF line endings
+ *
+ * @example
+ * toCsv([{ header: 'ID', value: (row) => row.id }], [{ id: 1 }]);
+ * // Returns: 'ID\r\n1\r\n'
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCsvField(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsvField(column.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeCsvField,
+  toCsv,
+};
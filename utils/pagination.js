@@ -0,0 +1,73 @@
+/**
+ * Offset Pagination Utility
+ *
+ * Turns untrusted `page` / `per_page` query values into safe page numbers
+ * and builds the page metadata rendered by views/partials/pagination.ejs.
+ *
+ * @module utils/pagination
+ */
+
+const DEFAULT_PER_PAGE = 25;
+const PER_PAGE_OPTIONS = [10, 25, 50, 100];
+
+/**
+ * Parse page and page size from query parameters
+ * Invalid values fall back to page 1 and the default size; page sizes are
+ * limited to PER_PAGE_OPTIONS.
+ *
+ * @param {Object} query - Request query (page, per_page)
+ * @returns {{page: number, perPage: number}}
+ *
+ * @example
+ * parsePagination({ page: '3', per_page: '50' });
+ * // Returns: { page: 3, perPage: 50 }
+ */
+function parsePagination(query = {}) {
+  const page = /^\d+$/.test(String(query.page)) ? Math.max(parseInt(query.page), 1) : 1;
+  const requestedPerPage = parseInt(query.per_page);
+  const perPage = PER_PAGE_OPTIONS.includes(requestedPerPage) ? requestedPerPage : DEFAULT_PER_PAGE;
+
+  return { page, perPage };
+}
+
+/**
+ * Build page metadata for a list
+ * A page past the end is clamped to the last page, so callers should count
+ * first and use the returned `offset` for the query.
+ *
+ * @param {number} page - Requested page (1-based)
+ * @param {number} perPage - Page size
+ * @param {number} total - Total number of matching rows
+ * @returns {Object} page, perPage, perPageOptions, total, totalPages, offset, hasPrevious,
+ *   hasNext, from, to
+ *
+ * @example
+ * buildPagination(2, 25, 60);
+ * // Returns: { page: 2, perPage: 25, perPageOptions: [...], total: 60, totalPages: 3, offset: 25,
+ * //            hasPrevious: true, hasNext: true, from: 26, to: 50 }
+ */
+function buildPagination(page, perPage, total) {
+  const totalPages = Math.max(Math.ceil(total / perPage), 1);
+  const currentPage = Math.min(page, totalPages);
+  const offset = (currentPage - 1) * perPage;
+
+  return {
+    page: currentPage,
+    perPage,
+    perPageOptions: PER_PAGE_OPTIONS,
+    total,
+    totalPages,
+    offset,
+    hasPrevious: currentPage > 1,
+    hasNext: currentPage < totalPages,
+    from: total === 0 ? 0 : offset + 1,
+    to: Math.min(offset + perPage, total),
+  };
+}
+
+module.exports = {
+  DEFAULT_PER_PAGE,
+  PER_PAGE_OPTIONS,
+  parsePagination,
+  buildPagination,
+};
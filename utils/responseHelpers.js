@@ -45,8 +45,53 @@ function errorRedirect(req, res, messageOrKey, redirectPath, interpolation = {})
   flashAndRedirect(req, res, FLASH_KEYS.ERROR, messageOrKey, redirectPath, interpolation);
 }
 
+/**
+ * Send a JSON API error
+ * Every /api error uses the same body: { error: { code, message, details? } }
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code (e.g. 'NOT_FOUND')
+ * @param {string} message - Human-readable message
+ * @param {*} details - Optional extra data (e.g. validation errors per field)
+ */
+function apiError(res, status, code, message, details) {
+  const error = { code, message };
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return res.status(status).json({ error });
+}
+
+/**
+ * Stream a stored file to the client as a download
+ * Errors before the first byte (e.g. the file is missing from storage) go to
+ * next(); a missing file becomes a 404.
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Readable} stream - File contents
+ * @param {Object} file - {filename, mimeType, size}
+ */
+function sendDownload(res, next, stream, { filename, mimeType, size }) {
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    if (error.code === 'ENOENT') {
+      error.status = 404;
+    }
+    next(error);
+  });
+
+  res.attachment(filename);
+  res.set({ 'Content-Type': mimeType, 'Content-Length': String(size) });
+  stream.pipe(res);
+}
+
 module.exports = {
   flashAndRedirect,
   successRedirect,
   errorRedirect,
+  apiError,
+  sendDownload,
 };
@@ -0,0 +1,114 @@
+/**
+ * Ticket Status State Machine
+ *
+ * Central transition table for ticket statuses. Every status change - whether
+ * made by an admin, a department user, or automatically when a comment is
+ * added - is validated against this table so tickets follow one lifecycle.
+ *
+ * Transitions are role-aware: admins drive the ticket through triage and
+ * resolution, department users can only hand a ticket back to the admin team
+ * or close it. A closed ticket can only be reopened (closed → open) by an admin.
+ *
+ * Setting a ticket to the status it already has is not a transition and is
+ * always allowed (e.g. a second admin reply while already waiting_on_department).
+ *
+ * @module utils/ticketStatusTransitions
+ */
+
+const { TICKET_STATUS, USER_ROLE } = require('../constants/enums');
+
+/**
+ * Error code attached to errors thrown by assertTransition()
+ * Routes check this to surface a friendly flash message instead of an error page
+ */
+const INVALID_STATUS_TRANSITION = 'INVALID_STATUS_TRANSITION';
+
+const ADMIN_TRANSITIONS = {
+  [TICKET_STATUS.OPEN]: [TICKET_STATUS.IN_PROGRESS, TICKET_STATUS.WAITING_ON_DEPARTMENT],
+  [TICKET_STATUS.IN_PROGRESS]: [TICKET_STATUS.WAITING_ON_DEPARTMENT, TICKET_STATUS.CLOSED],
+  [TICKET_STATUS.WAITING_ON_ADMIN]: [
+    TICKET_STATUS.IN_PROGRESS,
+    TICKET_STATUS.WAITING_ON_DEPARTMENT,
+    TICKET_STATUS.CLOSED,
+  ],
+  [TICKET_STATUS.WAITING_ON_DEPARTMENT]: [TICKET_STATUS.IN_PROGRESS, TICKET_STATUS.CLOSED],
+  // Explicit reopen is the only way out of closed
+  [TICKET_STATUS.CLOSED]: [TICKET_STATUS.OPEN],
+};
+
+const DEPARTMENT_TRANSITIONS = {
+  [TICKET_STATUS.OPEN]: [TICKET_STATUS.WAITING_ON_ADMIN, TICKET_STATUS.CLOSED],
+  [TICKET_STATUS.IN_PROGRESS]: [TICKET_STATUS.WAITING_ON_ADMIN, TICKET_STATUS.CLOSED],
+  [TICKET_STATUS.WAITING_ON_ADMIN]: [TICKET_STATUS.CLOSED],
+  [TICKET_STATUS.WAITING_ON_DEPARTMENT]: [TICKET_STATUS.WAITING_ON_ADMIN, TICKET_STATUS.CLOSED],
+  // Department users cannot reopen closed tickets
+  [TICKET_STATUS.CLOSED]: [],
+};
+
+const STATUS_TRANSITIONS = {
+  [USER_ROLE.ADMIN]: ADMIN_TRANSITIONS,
+  [USER_ROLE.SUPER_ADMIN]: ADMIN_TRANSITIONS,
+  [USER_ROLE.DEPARTMENT]: DEPARTMENT_TRANSITIONS,
+};
+
+/**
+ * Get the statuses a role may move a ticket to from its current status
+ * @param {string} currentStatus - Current ticket status
+ * @param {string} role - Acting user's role (USER_ROLE value)
+ * @returns {string[]} Allowed target statuses (empty for unknown role/status)
+ */
+function getAllowedTransitions(currentStatus, role) {
+  const table = STATUS_TRANSITIONS[role];
+  if (!table || !table[currentStatus]) {
+    return [];
+  }
+  return [...table[currentStatus]];
+}
+
+/**
+ * Check whether a role may move a ticket from one status to another
+ * @param {string} currentStatus - Current ticket status
+ * @param {string} nextStatus - Requested ticket status
+ * @param {string} role - Acting user's role (USER_ROLE value)
+ * @returns {boolean} True if the transition is allowed (or is a no-op)
+ */
+function canTransition(currentStatus, nextStatus, role) {
+  if (!STATUS_TRANSITIONS[role] || !Object.values(TICKET_STATUS).includes(nextStatus)) {
+    return false;
+  }
+  if (currentStatus === nextStatus) {
+    return true;
+  }
+  return getAllowedTransitions(currentStatus, role).includes(nextStatus);
+}
+
+/**
+ * Throw if a role may not move a ticket from one status to another
+ * The thrown error carries status 400, code INVALID_STATUS_TRANSITION and the
+ * from/to statuses so routes can build a translated flash message.
+ * @param {string} currentStatus - Current ticket status
+ * @param {string} nextStatus - Requested ticket status
+ * @param {string} role - Acting user's role (USER_ROLE value)
+ * @throws {Error} If the transition is not allowed
+ */
+function assertTransition(currentStatus, nextStatus, role) {
+  if (canTransition(currentStatus, nextStatus, role)) {
+    return;
+  }
+
+  const error = new Error(`Cannot change ticket status from ${currentStatus} to ${nextStatus}`);
+  error.status = 400;
+  error.code = INVALID_STATUS_TRANSITION;
+  error.fromStatus = currentStatus;
+  error.toStatus = nextStatus;
+  error.role = role;
+  throw error;
+}
+
+module.exports = {
+  INVALID_STATUS_TRANSITION,
+  STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+};
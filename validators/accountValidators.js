@@ -0,0 +1,45 @@
+const { body } = require('express-validator');
+const { VALIDATION_MESSAGES, MAX_LENGTHS } = require('../constants/validation');
+const { LANGUAGE } = require('../constants/enums');
+const { passwordValidation } = require('./shared/passwordRules');
+
+/**
+ * Validation rules for changing the current user's password
+ */
+const validatePasswordChange = [
+  body('current_password').notEmpty().withMessage(VALIDATION_MESSAGES.CURRENT_PASSWORD_REQUIRED),
+
+  passwordValidation('new_password'),
+
+  body('confirm_password')
+    .custom((value, { req }) => value === req.body.new_password)
+    .withMessage(VALIDATION_MESSAGES.PASSWORD_MISMATCH),
+];
+
+/**
+ * Validation rules for changing the current user's email address
+ */
+const validateEmailChange = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage(VALIDATION_MESSAGES.EMAIL_REQUIRED)
+    .isEmail()
+    .withMessage(VALIDATION_MESSAGES.EMAIL_INVALID)
+    .isLength({ max: MAX_LENGTHS.EMAIL })
+    .withMessage(VALIDATION_MESSAGES.EMAIL_INVALID)
+    .normalizeEmail(),
+];
+
+/**
+ * Validation rules for the preferred language
+ */
+const validateLanguage = [
+  body('language').isIn(Object.values(LANGUAGE)).withMessage(VALIDATION_MESSAGES.LANGUAGE_INVALID),
+];
+
+module.exports = {
+  validatePasswordChange,
+  validateEmailChange,
+  validateLanguage,
+};
@@ -0,0 +1,40 @@
+const { body, param } = require('express-validator');
+const { API_TOKEN_SCOPE } = require('../constants/enums');
+const {
+  VALIDATION_MESSAGES,
+  MAX_LENGTHS,
+  API_TOKEN_EXPIRY_DAYS,
+} = require('../constants/validation');
+
+/**
+ * Validation rules for the API token ID parameter
+ */
+const validateApiTokenId = [
+  param('tokenId').isInt({ min: 1 }).withMessage(VALIDATION_MESSAGES.ID_INVALID).toInt(),
+];
+
+/**
+ * Validation rules for creating an API token
+ */
+const validateApiTokenCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage(VALIDATION_MESSAGES.NAME_REQUIRED)
+    .isLength({ max: MAX_LENGTHS.NAME })
+    .withMessage(VALIDATION_MESSAGES.NAME_TOO_LONG),
+
+  body('scope')
+    .isIn(Object.values(API_TOKEN_SCOPE))
+    .withMessage(VALIDATION_MESSAGES.TOKEN_SCOPE_INVALID),
+
+  body('expires_in_days')
+    .isIn(API_TOKEN_EXPIRY_DAYS.map(String))
+    .withMessage(VALIDATION_MESSAGES.TOKEN_EXPIRY_INVALID)
+    .toInt(),
+];
+
+module.exports = {
+  validateApiTokenId,
+  validateApiTokenCreate,
+};
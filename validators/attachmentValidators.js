@@ -0,0 +1,13 @@
+const { param } = require('express-validator');
+const { VALIDATION_MESSAGES } = require('../constants/validation');
+
+/**
+ * Validation rules for the attachment ID parameter
+ */
+const validateAttachmentId = [
+  param('id').isInt({ min: 1 }).withMessage(VALIDATION_MESSAGES.ID_INVALID).toInt(),
+];
+
+module.exports = {
+  validateAttachmentId,
+};
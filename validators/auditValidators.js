@@ -0,0 +1,25 @@
+const { param, query } = require('express-validator');
+const { AUDIT_EXPORT_FORMAT } = require('../constants/enums');
+const { VALIDATION_MESSAGES } = require('../constants/validation');
+
+/**
+ * Validation rules for the audit entry ID parameter
+ */
+const validateAuditLogId = [
+  param('id').isInt({ min: 1 }).withMessage(VALIDATION_MESSAGES.ID_INVALID).toInt(),
+];
+
+/**
+ * Validation rules for audit log exports
+ * Filters are cleaned by auditService like on the list page; only the format is checked here.
+ */
+const validateAuditExport = [
+  query('format')
+    .isIn(Object.values(AUDIT_EXPORT_FORMAT))
+    .withMessage(VALIDATION_MESSAGES.AUDIT_EXPORT_FORMAT_INVALID),
+];
+
+module.exports = {
+  validateAuditLogId,
+  validateAuditExport,
+};
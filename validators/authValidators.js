@@ -6,6 +6,19 @@ const validateLogin = [
   body('password').notEmpty().withMessage(VALIDATION_MESSAGES.PASSWORD_REQUIRED),
 ];
 
+/**
+ * Validation rules for a two-factor code (6 digits from the app or a recovery code)
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage(VALIDATION_MESSAGES.TWO_FACTOR_CODE_REQUIRED)
+    .isLength({ max: 20 })
+    .withMessage(VALIDATION_MESSAGES.TWO_FACTOR_CODE_REQUIRED),
+];
+
 module.exports = {
   validateLogin,
+  validateTwoFactorCode,
 };
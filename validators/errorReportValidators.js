@@ -0,0 +1,47 @@
+const { body, param } = require('express-validator');
+const { MAX_LENGTHS, VALIDATION_MESSAGES } = require('../constants/validation');
+
+/**
+ * Validation rules for a report submitted from an error page
+ * Correlation IDs are 16 upper-case hex characters (see errorReportingService.trackError).
+ */
+const validateErrorReportSubmit = [
+  body('correlationId')
+    .isString()
+    .matches(/^[0-9A-F]{16}$/)
+    .withMessage(VALIDATION_MESSAGES.CORRELATION_ID_INVALID),
+
+  body('userDescription')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: MAX_LENGTHS.ERROR_REPORT_DESCRIPTION })
+    .withMessage(VALIDATION_MESSAGES.ERROR_REPORT_DESCRIPTION_TOO_LONG),
+
+  body('additionalData').optional({ nullable: true }).isObject(),
+];
+
+/**
+ * Validation rules for the error report ID parameter
+ */
+const validateErrorReportId = [
+  param('id').isInt({ min: 1 }).withMessage(VALIDATION_MESSAGES.ID_INVALID).toInt(),
+];
+
+/**
+ * Validation rules for resolving an error report
+ */
+const validateErrorReportResolve = [
+  ...validateErrorReportId,
+  body('resolution')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: MAX_LENGTHS.ERROR_REPORT_DESCRIPTION })
+    .withMessage(VALIDATION_MESSAGES.RESOLUTION_TOO_LONG),
+];
+
+module.exports = {
+  validateErrorReportSubmit,
+  validateErrorReportId,
+  validateErrorReportResolve,
+};
@@ -0,0 +1,14 @@
+const { param } = require('express-validator');
+const { VALIDATION_MESSAGES } = require('../constants/validation');
+const { JOB_NAME } = require('../constants/enums');
+
+/**
+ * Validation rules for the job name parameter
+ */
+const validateJobName = [
+  param('name').isIn(Object.values(JOB_NAME)).withMessage(VALIDATION_MESSAGES.JOB_NAME_INVALID),
+];
+
+module.exports = {
+  validateJobName,
+};
@@ -0,0 +1,27 @@
+const { body, param } = require('express-validator');
+const { NOTIFICATION_EVENT } = require('../constants/enums');
+const { VALIDATION_MESSAGES } = require('../constants/validation');
+
+/**
+ * Validation rules for the notification ID parameter
+ */
+const validateNotificationId = [
+  param('id').isInt({ min: 1 }).withMessage(VALIDATION_MESSAGES.ID_INVALID).toInt(),
+];
+
+/**
+ * Validation rules for saving notification settings
+ * email_events holds the checked events; unchecked boxes are simply missing.
+ */
+const validateNotificationPreferences = [
+  body('email_events').optional().toArray(),
+
+  body('email_events.*')
+    .isIn(Object.values(NOTIFICATION_EVENT))
+    .withMessage(VALIDATION_MESSAGES.NOTIFICATION_EVENT_INVALID),
+];
+
+module.exports = {
+  validateNotificationId,
+  validateNotificationPreferences,
+};
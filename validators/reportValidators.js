@@ -0,0 +1,18 @@
+const { query } = require('express-validator');
+const { REPORT_TYPE } = require('../constants/enums');
+const { VALIDATION_MESSAGES } = require('../constants/validation');
+
+/**
+ * Validation rules for report CSV downloads
+ * The date range is cleaned by reportService like on the reports page; only the report
+ * name is checked here.
+ */
+const validateReportExport = [
+  query('report')
+    .isIn(Object.values(REPORT_TYPE))
+    .withMessage(VALIDATION_MESSAGES.REPORT_TYPE_INVALID),
+];
+
+module.exports = {
+  validateReportExport,
+};
@@ -0,0 +1,57 @@
+const { body, param } = require('express-validator');
+const { TICKET_PRIORITY } = require('../constants/enums');
+const { VALIDATION_MESSAGES } = require('../constants/validation');
+
+/**
+ * Validation rules for SLA policy ID parameter
+ */
+const validateSlaPolicyId = [
+  param('id').isInt({ min: 1 }).withMessage(VALIDATION_MESSAGES.ID_INVALID),
+];
+
+/**
+ * Shared validation rules for SLA targets (minutes)
+ */
+const targetRules = [
+  body('first_response_minutes')
+    .notEmpty()
+    .withMessage('First response target is required')
+    .isInt({ min: 1 })
+    .withMessage('First response target must be a positive number of minutes')
+    .toInt(),
+
+  body('resolution_minutes')
+    .notEmpty()
+    .withMessage('Resolution target is required')
+    .isInt({ min: 1 })
+    .withMessage('Resolution target must be a positive number of minutes')
+    .toInt(),
+];
+
+/**
+ * Validation rules for creating an SLA policy
+ */
+const validateSlaPolicyCreate = [
+  body('priority')
+    .isIn(Object.values(TICKET_PRIORITY))
+    .withMessage(VALIDATION_MESSAGES.PRIORITY_INVALID),
+
+  body('department_id')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage(VALIDATION_MESSAGES.DEPARTMENT_INVALID)
+    .toInt(),
+
+  ...targetRules,
+];
+
+/**
+ * Validation rules for updating an SLA policy
+ */
+const validateSlaPolicyUpdate = [...validateSlaPolicyId, ...targetRules];
+
+module.exports = {
+  validateSlaPolicyId,
+  validateSlaPolicyCreate,
+  validateSlaPolicyUpdate,
+};